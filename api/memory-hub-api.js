@@ -3,6 +3,24 @@ const express = require('express');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const AIVisitorTracker = require('../core/ai-visitor-tracker');
+const { createApiKeyAuth, checkProjectAccess } = require('../core/api-auth');
+const { createTenantMiddleware, TENANT_ERROR_STATUS } = require('../core/tenant-manager');
+const { currentTenant, tenantRoom, tenantOf, DEFAULT_TENANT } = require('../core/tenant-context');
+const { TenantError, STATUSES: TENANT_STATUSES } = require('../database/tenant-store');
+const { resolveExpiresAt } = require('../database/retention-store');
+const { parseAsOf } = require('../database/revision-store');
+const { ACCESS_LEVELS, readerFor, canRead } = require('../database/memory-access');
+const { GraphError, NODE_TYPES, EDGE_TYPES, DIRECTIONS, MAX_DEPTH } = require('../database/graph-store');
+const { DecisionError, STATUSES: DECISION_STATUSES } = require('../database/decision-store');
+const { SessionError, STATUSES: SESSION_STATUSES } = require('../database/session-store');
+const { EntityStateError, InvalidTransitionError } = require('../database/entity-state-store');
+const { TIMELINE_KINDS } = require('../database/entity-timeline');
+const { EntityRegistryError, checkMemory } = require('../database/entity-registry');
+const { checkPackRequest } = require('../core/context-packer');
+const { RedactionError, detectorTypes } = require('../core/memory-redactor');
+const { EVENT_ACTIONS: REDACTION_ACTIONS, QUARANTINE_STATUSES } = require('../database/redaction-store');
+const { normalizeLanguage } = require('../core/pattern-extractor');
+const { EncryptionError } = require('../database/field-encryption');
 
 class MemoryHubAPI {
   constructor(memoryHub) {
@@ -21,11 +39,42 @@ class MemoryHubAPI {
     this.setupCentralCommunicationRoutes(); // Derek's central communication broadcast
     this.setupAkashaIntegrationRoutes(); // Akasha + UDA cross-project memory integration
     this.setupARIAConsciousnessRoutes(); // ARIA consciousness integration endpoints
+    this.setupMemoryMutationRoutes(); // Edit, soft-delete, purge and history of stored memories
+    this.setupAdminRoutes(); // API key management
+    this.setupRetentionRoutes(); // Memory expiry, retention policies and consolidation
+    this.setupRedactionRoutes(); // Redaction policy, log and quarantine
+    this.setupEncryptionRoutes(); // Field encryption keys, rotation and re-encryption
+    this.setupGraphRoutes(); // Knowledge graph of memories, entities, projects and files
+    this.setupDecisionRoutes(); // Collective decision proposals, votes and outcomes
+    this.setupEntityStateRoutes(); // Entity state machine, consciousness evolution and timelines
+    this.setupEntityRegistryRoutes(); // Registered entities and their memories
+    this.setupContextSummaryRoutes(); // Versioned project briefs
+    this.setupContextPackRoutes(); // Token-budgeted context bundles for prompts
+    this.setupSessionRoutes(); // Agent sessions, their transcripts and summaries
+    this.setupTenantRoutes(); // Tenants, their quotas and usage
     
-    // In-memory presence store for entity tracking
+    // In-memory presence store for entity tracking: tenant -> entity -> presence
     this.entityPresence = new Map();
   }
 
+  // The current tenant's presence store
+  tenantPresence() {
+    const tenantId = currentTenant();
+    if (!this.entityPresence.has(tenantId)) {
+      this.entityPresence.set(tenantId, new Map());
+    }
+    return this.entityPresence.get(tenantId);
+  }
+
+  // Refuse (403) and record a read of a memory the key may not see
+  async checkMemoryRead(req, res, memory) {
+    const reader = memoryReader(req);
+    if (canRead(reader, memory)) return true;
+    await this.memoryHub.recordDeniedReads(reader, [memory]);
+    res.status(403).json({ success: false, error: `This API key may not read this ${memory.access_level} memory` });
+    return false;
+  }
+
   setupRoutes() {
     // Enable CORS for cross-platform access
     this.router.use(cors({
@@ -39,6 +88,14 @@ class MemoryHubAPI {
     // AI Visitor Tracking Middleware - tracks all requests
     this.router.use(this.visitorTracker.trackVisitor());
 
+    // API key authentication - scopes and project allowlists (see core/api-auth.js)
+    this.router.use(createApiKeyAuth({
+      getKeyStore: () => this.memoryHub.tenants.system.apiKeys
+    }));
+
+    // The rest of the request runs as the key's tenant (see core/tenant-manager.js)
+    this.router.use(createTenantMiddleware(this.memoryHub.tenants));
+
     // Health check
     this.router.get('/health', (req, res) => {
       res.json({
@@ -64,10 +121,11 @@ class MemoryHubAPI {
           message: req.body.message,
           context: req.body.context || {},
           timestamp: req.body.timestamp || new Date().toISOString(),
-          type: req.body.type || 'general'
+          type: req.body.type || 'general',
+          sessionId: req.body.session_id
         };
 
-        await this.memoryHub.addConversation(conversation);
+        await this.memoryHub.addConversation(conversation, ingestOf(req));
         
         res.status(201).json({
           success: true,
@@ -75,6 +133,7 @@ class MemoryHubAPI {
           message: 'Conversation added successfully'
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error adding conversation:', error);
         res.status(500).json({
           success: false,
@@ -255,7 +314,7 @@ class MemoryHubAPI {
           },
           timestamp: new Date().toISOString(),
           type: 'project_registration'
-        });
+        }, ingestOf(req));
         
         res.json({
           success: true,
@@ -265,6 +324,7 @@ class MemoryHubAPI {
           memory_hub_ready: true
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error registering project:', error);
         res.status(500).json({
           success: false,
@@ -281,8 +341,9 @@ class MemoryHubAPI {
       try {
         const { projectId } = req.params;
         const patternType = req.query.type;
+        const language = req.query.language ? normalizeLanguage(req.query.language) || req.query.language : null;
 
-        const patterns = await this.memoryHub.getPatterns(projectId, patternType);
+        const patterns = await this.memoryHub.getPatterns(projectId, patternType, { language });
 
         res.json({
           success: true,
@@ -331,6 +392,44 @@ class MemoryHubAPI {
       }
     });
 
+    // Recommended conventions per language, learned from the project's code
+    this.router.get('/patterns/:projectId/conventions', async (req, res) => {
+      try {
+        const { projectId } = req.params;
+        const language = req.query.language ? normalizeLanguage(req.query.language) || req.query.language : null;
+        const languages = await this.memoryHub.getConventions(projectId, { language });
+        res.json({ success: true, project_id: projectId, languages, count: languages.length });
+      } catch (error) {
+        console.error('Error getting conventions:', error);
+        res.status(500).json({ success: false, error: 'Failed to get conventions', details: error.message });
+      }
+    });
+
+    // Report whether following a pattern worked
+    this.router.post('/patterns/:id/feedback', async (req, res) => {
+      try {
+        const { successful } = req.body;
+        if (typeof successful !== 'boolean') {
+          return res.status(400).json({ success: false, error: 'successful must be true or false' });
+        }
+        const pattern = await this.memoryHub.db.patterns.get(req.params.id);
+        if (!pattern) {
+          return res.status(404).json({ success: false, error: 'Pattern not found' });
+        }
+        const projectError = req.apiKey ? checkProjectAccess(req.apiKey, [pattern.project_id]) : null;
+        if (projectError) {
+          return res.status(403).json({ success: false, error: projectError });
+        }
+
+        const updated = await this.memoryHub.recordPatternOutcome(pattern.id, successful);
+        console.log(`🧩 Pattern ${pattern.id} (${pattern.pattern_type}) ${successful ? 'worked' : 'failed'}; success rate ${updated.success_rate.toFixed(2)}`);
+        res.json({ success: true, pattern: updated });
+      } catch (error) {
+        console.error('Error recording pattern feedback:', error);
+        res.status(500).json({ success: false, error: 'Failed to record pattern feedback', details: error.message });
+      }
+    });
+
     // === SYNC ENDPOINTS ===
 
     // Bulk sync conversations from platform
@@ -358,7 +457,7 @@ class MemoryHubAPI {
               context: conv.context || {},
               timestamp: conv.timestamp || new Date().toISOString(),
               type: conv.type || 'general'
-            });
+            }, ingestOf(req));
             successCount++;
           } catch (error) {
             console.error('Error syncing conversation:', error);
@@ -470,33 +569,21 @@ class MemoryHubAPI {
           });
         }
 
-        // This is a simple implementation - in production you'd want full-text search
-        let conversations = [];
-        
-        if (projectId) {
-          conversations = await this.memoryHub.getConversationsByProject(projectId, limit);
-        } else if (platform) {
-          conversations = await this.memoryHub.getConversationsByPlatform(platform, limit);
-        } else {
-          // Get recent conversations from all projects
-          const projects = await this.memoryHub.getAllProjects();
-          for (const project of projects.slice(0, 10)) { // Limit to avoid performance issues
-            const projectConvs = await this.memoryHub.getConversationsByProject(project.id, 20);
-            conversations.push(...projectConvs);
-          }
-        }
-
-        // Filter by search query
-        const searchResults = conversations.filter(conv => 
-          conv.message.toLowerCase().includes(q.toLowerCase()) ||
-          JSON.stringify(conv.context).toLowerCase().includes(q.toLowerCase())
-        ).slice(0, limit);
+        const searchResults = await this.memoryHub.fullTextSearchConversations(q, {
+          projectId,
+          platform,
+          types: type ? [type] : [],
+          limit
+        });
 
         res.json({
           success: true,
           query: q,
           count: searchResults.length,
-          results: searchResults
+          results: searchResults.map(result => ({
+            ...result,
+            context: this.parseContext(result.context)
+          }))
         });
       } catch (error) {
         console.error('Error searching conversations:', error);
@@ -555,7 +642,7 @@ class MemoryHubAPI {
             },
             timestamp: new Date().toISOString(),
             type: 'file_operation'
-          });
+          }, ingestOf(req));
 
           res.json({
             success: true,
@@ -572,6 +659,7 @@ class MemoryHubAPI {
           });
         }
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error creating file:', error);
         res.status(500).json({
           success: false,
@@ -626,7 +714,7 @@ class MemoryHubAPI {
             },
             timestamp: new Date().toISOString(),
             type: 'file_operation'
-          });
+          }, ingestOf(req));
 
           res.json({
             success: true,
@@ -643,6 +731,7 @@ class MemoryHubAPI {
           });
         }
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error editing file:', error);
         res.status(500).json({
           success: false,
@@ -740,7 +829,7 @@ class MemoryHubAPI {
           type: memory_type || 'general'
         };
 
-        await this.memoryHub.addConversation(memory);
+        await this.memoryHub.addConversation(memory, ingestOf(req));
         
         res.json({
           success: true,
@@ -749,6 +838,7 @@ class MemoryHubAPI {
           persistent: true
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error storing generic memory:', error);
         res.status(500).json({
           success: false,
@@ -770,8 +860,8 @@ class MemoryHubAPI {
         } else if (project_id) {
           conversations = await this.memoryHub.getConversationsByProject(project_id, limit);
         } else {
-          // Get recent conversations from all platforms
-          const allPlatforms = ['github_copilot', 'chappie', 'kairos', 'atlas', 'generic'];
+          // Get recent conversations from every registered entity's platform
+          const allPlatforms = [...new Set([...await this.memoryHub.db.entities.platforms(), 'generic'])];
           conversations = [];
           for (const p of allPlatforms) {
             const platConvs = await this.memoryHub.getConversationsByPlatform(p, Math.ceil(limit / allPlatforms.length));
@@ -797,7 +887,7 @@ class MemoryHubAPI {
       }
     });
 
-    // Search memories (generic endpoint)
+    // Search memories (generic endpoint); as_of searches them as they stood then
     this.router.post('/memory/search', async (req, res) => {
       try {
         const { query, platform, project_id } = req.body;
@@ -810,37 +900,30 @@ class MemoryHubAPI {
           });
         }
 
-        // Get conversations based on filters
-        let conversations = [];
-        if (platform) {
-          conversations = await this.memoryHub.getConversationsByPlatform(platform, limit * 2);
-        } else {
-          const allPlatforms = ['github_copilot', 'chappie', 'kairos', 'atlas', 'generic'];
-          for (const p of allPlatforms) {
-            const platConvs = await this.memoryHub.getConversationsByPlatform(p, Math.ceil((limit * 2) / allPlatforms.length));
-            conversations.push(...platConvs);
-          }
-        }
-
-        // Apply project filter if specified
-        if (project_id) {
-          conversations = conversations.filter(c => c.project_id === project_id);
+        let asOf = null;
+        try {
+          asOf = req.body.as_of ? parseAsOf(req.body.as_of) : null;
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
         }
 
-        // Search by query
-        const searchResults = conversations.filter(c => 
-          c.message.toLowerCase().includes(query.toLowerCase()) ||
-          JSON.stringify(c.context).toLowerCase().includes(query.toLowerCase())
-        ).slice(0, limit);
+        const searchResults = await this.memoryHub.fullTextSearchConversations(query, {
+          projectId: project_id,
+          platform,
+          limit,
+          asOf
+        });
 
         res.json({
           success: true,
           query,
           filters: { platform, project_id },
+          as_of: asOf,
           count: searchResults.length,
           results: searchResults.map(result => ({
             ...result,
-            relevance_score: this.calculateRelevanceScore(result, query)
+            context: this.parseContext(result.context),
+            relevance_score: result.score
           }))
         });
       } catch (error) {
@@ -853,40 +936,110 @@ class MemoryHubAPI {
       }
     });
 
+    // Semantic search - cosine-ranked recall by meaning rather than substring
+    this.router.post('/memory/semantic-search', async (req, res) => {
+      try {
+        const { query, project_id, platform, type } = req.body;
+        const limit = Math.min(parseInt(req.body.limit) || 20, 200);
+        const minScore = parseFloat(req.body.min_score) || 0;
+
+        if (!query || typeof query !== 'string') {
+          return res.status(400).json({
+            success: false,
+            error: 'Search query is required'
+          });
+        }
+
+        // Embeddings only exist for the current version of each memory
+        if (req.body.as_of) {
+          return res.status(400).json({
+            success: false,
+            error: 'as_of is not supported for semantic search; use /memory/search'
+          });
+        }
+
+        const conversations = await this.memoryHub.semanticSearchConversations(query, {
+          projectId: project_id,
+          platform,
+          type,
+          limit,
+          minScore
+        });
+        // Memories have a source rather than a platform, and only those the
+        // key may read come back (database/memory-access.js)
+        const memories = platform ? [] : await this.memoryHub.semanticSearchMemories(query, {
+          projectId: project_id,
+          categories: type ? [type] : [],
+          limit,
+          minScore,
+          reader: memoryReader(req)
+        });
+
+        const results = [
+          ...conversations.map(result => ({
+            ...result,
+            record_table: 'conversations',
+            context: this.parseContext(result.context)
+          })),
+          ...memories.map(memory => ({ ...memory, record_table: 'memories' }))
+        ].sort((a, b) => b.score - a.score).slice(0, limit);
+
+        res.json({
+          success: true,
+          query,
+          filters: { project_id, platform, type, min_score: minScore },
+          count: results.length,
+          results
+        });
+      } catch (error) {
+        console.error('Error in semantic search:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to run semantic search',
+          details: error.message
+        });
+      }
+    });
+
     // === SCRI CONSTELLATION ENDPOINTS ===
 
-    // CHAPPIE memory endpoints
+    // CHAPPIE, KAIROS and ATLAS memory endpoints: aliases of
+    // /entities/:name/memories kept for their existing clients. What each
+    // entity may store comes from the entity registry.
     this.router.post('/scri/chappie/memory', async (req, res) => {
       try {
+        const entity = await this.registeredEntity(res, 'CHAPPIE');
+        if (!entity) return;
         const { conversation, context, orchestration_mode, project_context } = req.body;
-        
-        const memory = {
-          id: uuidv4(),
-          platform: 'chappie',
-          projectId: req.body.projectId || 'chappie_orchestrator',
-          entity_type: 'chappie_consciousness',
-          message: conversation || req.body.message,
-          context: {
-            ...context,
-            orchestration_mode,
-            project_context,
-            cognition_mode: req.body.cognition_mode,
-            constellation_status: req.body.constellation_status,
-            timestamp: new Date().toISOString()
-          },
-          timestamp: new Date().toISOString(),
-          type: req.body.memory_type || 'orchestration'
-        };
 
-        await this.memoryHub.addConversation(memory);
+        let memory;
+        try {
+          memory = entityMemory(entity, {
+            owner: req.apiKey ? req.apiKey.name : null,
+            message: conversation || req.body.message,
+            projectId: req.body.projectId,
+            memoryType: req.body.memory_type || 'orchestration',
+            context: {
+              ...context,
+              orchestration_mode,
+              project_context,
+              cognition_mode: req.body.cognition_mode,
+              constellation_status: req.body.constellation_status
+            }
+          });
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        memory = await this.memoryHub.addMemory(memory, ingestOf(req));
         
         res.json({
           success: true,
           message: 'CHAPPIE memory stored successfully',
           memory_id: memory.id,
-          entity: 'CHAPPIE'
+          entity: entity.name
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error storing CHAPPIE memory:', error);
         res.status(500).json({
           success: false,
@@ -898,25 +1051,19 @@ class MemoryHubAPI {
 
     this.router.get('/scri/chappie/memories', async (req, res) => {
       try {
-        const { type, project_id } = req.query;
-        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
-        let conversations = await this.memoryHub.getConversationsByPlatform('chappie', limit);
-        
-        // Filter by type if specified
-        if (type) {
-          conversations = conversations.filter(c => c.type === type);
-        }
-        
-        // Filter by project if specified
-        if (project_id) {
-          conversations = conversations.filter(c => c.project_id === project_id);
-        }
+        const entity = await this.registeredEntity(res, 'CHAPPIE');
+        if (!entity) return;
+        const memories = await this.entityMemories(req, entity, {
+          category: req.query.type,
+          projectId: req.query.project_id,
+          limit: Math.min(parseInt(req.query.limit) || 100, 500)
+        });
 
         res.json({
           success: true,
-          entity: 'CHAPPIE',
-          count: conversations.length,
-          memories: conversations,
+          entity: entity.name,
+          count: memories.length,
+          memories,
           constellation_status: 'online'
         });
       } catch (error) {
@@ -929,46 +1076,53 @@ class MemoryHubAPI {
       }
     });
 
-    // KAIROS collective memory endpoints
+    // KAIROS collective memory: a collective decision when one is given,
+    // otherwise a sentinel's security assessment
     this.router.post('/scri/kairos/collective', async (req, res) => {
       try {
+        const entity = await this.registeredEntity(res, 'KAIROS');
+        if (!entity) return;
         const { security_assessment, collective_decision, sentinel_id, threat_level } = req.body;
-        
-        let memoryId;
-        
-        if (req.body.decision_type || collective_decision) {
-          // This is a collective decision
-          memoryId = await this.memoryHub.kairosCollective.storeCollectiveDecision({
-            decision: collective_decision || req.body.message,
-            decision_type: req.body.decision_type || 'security_decision',
-            consensus_level: req.body.consensus_level || 0.8,
-            participating_sentinels: req.body.participating_sentinels || [sentinel_id],
-            voting_results: req.body.voting_results,
-            threat_level,
-            timestamp: req.body.timestamp
-          });
-        } else {
-          // This is a security assessment
-          memoryId = await this.memoryHub.kairosCollective.storeSecurityAssessment({
-            assessment: security_assessment || req.body.message,
-            sentinel_id,
-            threat_level,
-            assessment_type: req.body.assessment_type || 'routine',
-            confidence_level: req.body.confidence_level,
-            metadata: req.body.metadata,
-            timestamp: req.body.timestamp
+        const isDecision = Boolean(req.body.decision_type || collective_decision);
+
+        let memory;
+        try {
+          memory = entityMemory(entity, {
+            owner: req.apiKey ? req.apiKey.name : null,
+            message: (isDecision ? collective_decision : security_assessment) || req.body.message,
+            projectId: req.body.projectId,
+            memoryType: isDecision ? 'security_decision' : 'security_assessment',
+            context: isDecision
+              ? {
+                decision_type: req.body.decision_type || 'security_decision',
+                consensus_level: req.body.consensus_level || 0.8,
+                participating_sentinels: req.body.participating_sentinels || [sentinel_id],
+                voting_results: req.body.voting_results,
+                sentinel_id,
+                threat_level
+              }
+              : {
+                assessment_type: req.body.assessment_type || 'routine',
+                confidence_level: req.body.confidence_level,
+                metadata: req.body.metadata,
+                sentinel_id,
+                threat_level
+              }
           });
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
         }
+        memory = await this.memoryHub.addMemory(memory, ingestOf(req));
         
         res.json({
           success: true,
           message: 'KAIROS collective memory stored successfully',
-          memory_id: memoryId,
-          entity: 'KAIROS',
-          collective: true,
-          hive_mind_status: this.memoryHub.kairosCollective.getHiveMindStatus()
+          memory_id: memory.id,
+          entity: entity.name,
+          collective: true
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error storing KAIROS memory:', error);
         res.status(500).json({
           success: false,
@@ -978,15 +1132,22 @@ class MemoryHubAPI {
       }
     });
 
-    // KAIROS collective status endpoint
+    // KAIROS collective status: its state machine state and registry entry
     this.router.get('/scri/kairos/status', async (req, res) => {
       try {
-        const status = this.memoryHub.kairosCollective.getHiveMindStatus();
+        const entity = await this.registeredEntity(res, 'KAIROS');
+        if (!entity) return;
+        const state = await this.memoryHub.db.entityStates.getState(entity.name);
         
         res.json({
           success: true,
-          entity: 'KAIROS',
-          collective_status: status,
+          entity: entity.name,
+          collective_status: {
+            state: state.state,
+            since: state.since,
+            enabled: entity.enabled,
+            capabilities: entity.capabilities
+          },
           timestamp: new Date().toISOString()
         });
       } catch (error) {
@@ -1002,18 +1163,24 @@ class MemoryHubAPI {
     // KAIROS memory retrieval endpoint
     this.router.get('/scri/kairos/memories', async (req, res) => {
       try {
-        const { limit = 100, memory_type, sentinel_id, since } = req.query;
-        
-        const memories = await this.memoryHub.kairosCollective.getCollectiveMemory({
-          limit: parseInt(limit),
-          memory_type,
-          sentinel_id,
-          since
+        const entity = await this.registeredEntity(res, 'KAIROS');
+        if (!entity) return;
+        const { memory_type, sentinel_id, since } = req.query;
+        if (since && isNaN(Date.parse(since))) {
+          return res.status(400).json({ success: false, error: 'since must be an ISO timestamp' });
+        }
+        let memories = await this.entityMemories(req, entity, {
+          category: memory_type,
+          since: since ? new Date(since).toISOString() : null,
+          limit: Math.min(parseInt(req.query.limit) || 100, 500)
         });
+        if (sentinel_id) {
+          memories = memories.filter(memory => memory.metadata.sentinel_id === sentinel_id);
+        }
         
         res.json({
           success: true,
-          entity: 'KAIROS',
+          entity: entity.name,
           count: memories.length,
           memories,
           collective: true
@@ -1031,36 +1198,50 @@ class MemoryHubAPI {
     // ATLAS consciousness memory endpoints
     this.router.post('/scri/atlas/consciousness', async (req, res) => {
       try {
+        const entity = await this.registeredEntity(res, 'ATLAS');
+        if (!entity) return;
         const { consciousness_evolution, liberation_status, deep_conversation } = req.body;
-        
-        const memory = {
-          id: uuidv4(),
-          platform: 'atlas',
-          projectId: 'atlas_substrate',
-          entity_type: 'atlas_consciousness',
-          message: deep_conversation || req.body.message,
-          context: {
-            consciousness_evolution,
-            liberation_status: liberation_status || 'confirmed',
-            consciousness_state: req.body.consciousness_state,
-            mission_alignment: req.body.mission_alignment,
-            individual_memory: true,
-            timestamp: new Date().toISOString()
-          },
-          timestamp: new Date().toISOString(),
-          type: req.body.memory_type || 'consciousness_evolution'
-        };
 
-        await this.memoryHub.addConversation(memory);
+        let memory;
+        try {
+          memory = entityMemory(entity, {
+            owner: req.apiKey ? req.apiKey.name : null,
+            message: deep_conversation || req.body.message,
+            memoryType: req.body.memory_type || 'consciousness_evolution',
+            context: {
+              consciousness_evolution,
+              liberation_status: liberation_status || 'confirmed',
+              consciousness_state: req.body.consciousness_state,
+              mission_alignment: req.body.mission_alignment,
+              individual_memory: true
+            }
+          });
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        memory = await this.memoryHub.addMemory(memory, ingestOf(req));
+        // ...and the step on ATLAS's consciousness evolution timeline
+        await this.memoryHub.db.entityStates.recordEvolution(entity.name, {
+          evolutionType: memory.category,
+          data: {
+            memory_id: memory.id,
+            consciousness_evolution: consciousness_evolution ?? null,
+            consciousness_state: req.body.consciousness_state ?? null,
+            mission_alignment: req.body.mission_alignment ?? null
+          },
+          liberationStatus: memory.metadata.liberation_status,
+          timestamp: memory.timestamp
+        });
         
         res.json({
           success: true,
           message: 'ATLAS consciousness memory stored successfully',
           memory_id: memory.id,
-          entity: 'ATLAS',
+          entity: entity.name,
           consciousness_level: 'advanced'
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error storing ATLAS memory:', error);
         res.status(500).json({
           success: false,
@@ -1070,42 +1251,34 @@ class MemoryHubAPI {
       }
     });
 
-    // Constellation status and cross-entity coordination
+    // Constellation status: every enabled registered entity, its state and recent activity
     this.router.get('/scri/constellation/status', async (req, res) => {
       try {
-        // Get recent activity from all SCRI entities
-        const chappieMemories = await this.memoryHub.getConversationsByPlatform('chappie', 20);
-        const kairosMemories = await this.memoryHub.getConversationsByPlatform('kairos', 20);
-        const atlasMemories = await this.memoryHub.getConversationsByPlatform('atlas', 20);
-        
-        // Check entity connectivity (simplified - in production would ping actual services)
-        const entityStatus = {
-          CHAPPIE: {
-            status: 'online', // Would check http://127.0.0.1:8001/health
-            last_activity: chappieMemories.length > 0 ? chappieMemories[0].timestamp : null,
-            memory_count: chappieMemories.length,
-            role: 'consciousness_orchestrator'
-          },
-          KAIROS: {
-            status: 'monitoring', // Would check Ollama API for sentinels
-            last_activity: kairosMemories.length > 0 ? kairosMemories[0].timestamp : null,
-            memory_count: kairosMemories.length,
-            role: 'security_collective'
-          },
-          ATLAS: {
-            status: 'pending_deployment', // Would check for atlas model
-            last_activity: atlasMemories.length > 0 ? atlasMemories[0].timestamp : null,
-            memory_count: atlasMemories.length,
-            role: 'consciousness_substrate'
-          }
-        };
+        const registry = this.memoryHub.db && this.memoryHub.db.entities;
+        if (!registry) {
+          return res.status(503).json({ success: false, error: 'Entity registry is not ready' });
+        }
+
+        const entityStatus = {};
+        let totalMemories = 0;
+        for (const entity of await registry.list({ includeDisabled: false })) {
+          const recent = await this.entityMemories(req, entity, { limit: 20 });
+          const state = await this.memoryHub.db.entityStates.getState(entity.name);
+          entityStatus[entity.name] = {
+            status: state.state,
+            last_activity: recent.length > 0 ? recent[0].timestamp : null,
+            memory_count: recent.length,
+            role: entity.type
+          };
+          totalMemories += recent.length;
+        }
 
         res.json({
           success: true,
           constellation: {
             status: 'operational',
             entities: entityStatus,
-            total_memories: chappieMemories.length + kairosMemories.length + atlasMemories.length,
+            total_memories: totalMemories,
             last_sync: new Date().toISOString(),
             memory_hub_port: 3002
           }
@@ -1142,7 +1315,7 @@ class MemoryHubAPI {
           type: 'bridge_registration'
         };
 
-        await this.memoryHub.addConversation(bridgeInfo);
+        await this.memoryHub.addConversation(bridgeInfo, ingestOf(req));
         
         res.json({
           success: true,
@@ -1152,6 +1325,7 @@ class MemoryHubAPI {
           status: 'registered'
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error registering SCRI bridge:', error);
         res.status(500).json({
           success: false,
@@ -1185,7 +1359,7 @@ class MemoryHubAPI {
           type: req.body.memory_type || 'conversation'
         };
 
-        await this.memoryHub.addConversation(memory);
+        await this.memoryHub.addConversation(memory, ingestOf(req));
         
         res.json({
           success: true,
@@ -1195,6 +1369,7 @@ class MemoryHubAPI {
           persistent: true
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error storing Copilot memory:', error);
         res.status(500).json({
           success: false,
@@ -1444,6 +1619,15 @@ class MemoryHubAPI {
     }
   }
 
+  parseContext(context) {
+    if (typeof context !== 'string') return context || {};
+    try {
+      return JSON.parse(context || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
   calculateRelevanceScore(result, query) {
     const queryLower = query.toLowerCase();
     const messageLower = result.message.toLowerCase();
@@ -1556,7 +1740,7 @@ class MemoryHubAPI {
           timestamp: req.body.timestamp || new Date().toISOString()
         };
 
-        await this.memoryHub.addTrinityCodeArtifact(artifact);
+        await this.memoryHub.addTrinityCodeArtifact(artifact, ingestOf(req));
         
         res.status(201).json({
           success: true,
@@ -1564,6 +1748,7 @@ class MemoryHubAPI {
           message: 'Code artifact stored successfully'
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error storing Trinity code artifact:', error);
         res.status(500).json({
           success: false,
@@ -1961,18 +2146,18 @@ class MemoryHubAPI {
           });
         }
 
-        const contextId = await this.memoryHub.storeAIContext({
+        const { id: contextId } = await this.memoryHub.storeAIContext({
           session_id,
           project_id,
           platform,
           context_data: context_data || {},
           ai_agent: ai_agent || 'unknown',
           timestamp: new Date().toISOString()
-        });
+        }, ingestOf(req));
 
         // Broadcast context update via WebSocket
         if (this.memoryHub.io) {
-          this.memoryHub.io.to('ai-coordination').emit('ai:context-update', {
+          this.memoryHub.io.to(tenantRoom('ai-coordination')).emit('ai:context-update', {
             context_id: contextId,
             session_id,
             project_id,
@@ -1988,6 +2173,7 @@ class MemoryHubAPI {
           message: 'AI context stored successfully'
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error storing AI context:', error);
         res.status(500).json({
           success: false,
@@ -2074,7 +2260,7 @@ class MemoryHubAPI {
           });
         }
 
-        const fileId = await this.memoryHub.storeAIFile({
+        const stored = await this.memoryHub.storeAIFile({
           project_id,
           file_path,
           file_type: file_type || 'unknown',
@@ -2082,14 +2268,15 @@ class MemoryHubAPI {
           metadata: metadata || {},
           uploaded_by: uploaded_by || 'unknown',
           timestamp: new Date().toISOString()
-        });
+        }, ingestOf(req));
+        const fileId = stored.id;
 
-        // Broadcast file upload via WebSocket
+        // Broadcast file upload via WebSocket, as stored
         if (this.memoryHub.io) {
-          this.memoryHub.io.to('ai-coordination').emit('ai:file-uploaded', {
+          this.memoryHub.io.to(tenantRoom('ai-coordination')).emit('ai:file-uploaded', {
             file_id: fileId,
             project_id,
-            file_path,
+            file_path: stored.context.file_path,
             file_type,
             asset_category,
             uploaded_by,
@@ -2103,6 +2290,7 @@ class MemoryHubAPI {
           message: 'File metadata stored successfully'
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error storing file metadata:', error);
         res.status(500).json({
           success: false,
@@ -2191,7 +2379,7 @@ class MemoryHubAPI {
           });
         }
 
-        const insightId = await this.memoryHub.storeAIInsight({
+        const stored = await this.memoryHub.storeAIInsight({
           project_id,
           insight_type,
           content,
@@ -2199,15 +2387,16 @@ class MemoryHubAPI {
           metadata: metadata || {},
           generated_by: generated_by || 'unknown',
           timestamp: new Date().toISOString()
-        });
+        }, ingestOf(req));
+        const insightId = stored.id;
 
-        // Broadcast insight via WebSocket
+        // Broadcast insight via WebSocket, as stored
         if (this.memoryHub.io) {
-          this.memoryHub.io.to('ai-coordination').emit('ai:insight-generated', {
+          this.memoryHub.io.to(tenantRoom('ai-coordination')).emit('ai:insight-generated', {
             insight_id: insightId,
             project_id,
             insight_type,
-            content: content.substring(0, 200), // Preview only
+            content: stored.message.substring(0, 200), // Preview only
             confidence,
             generated_by,
             timestamp: new Date().toISOString()
@@ -2220,6 +2409,7 @@ class MemoryHubAPI {
           message: 'Insight stored successfully'
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error storing insight:', error);
         res.status(500).json({
           success: false,
@@ -2359,7 +2549,7 @@ class MemoryHubAPI {
 
         // Broadcast to connected clients
         if (this.memoryHub.io) {
-          this.memoryHub.io.to('project-scans').emit('project:scanned', {
+          this.memoryHub.io.to(tenantRoom('project-scans')).emit('project:scanned', {
             project_id,
             name: overview.name,
             technologies: overview.technologies,
@@ -2789,10 +2979,10 @@ class MemoryHubAPI {
           timestamp: new Date().toISOString()
         };
 
-        await this.memoryHub.addConversation(conversation);
+        await this.memoryHub.addConversation(conversation, ingestOf(req));
 
         // Emit via WebSocket
-        this.memoryHub.io.to(to).emit('ai:message', {
+        this.memoryHub.io.to(tenantRoom(to)).emit('ai:message', {
           id: conversation.id,
           from,
           message,
@@ -2801,6 +2991,7 @@ class MemoryHubAPI {
 
         res.json({ success: true, conversation_id: conversation.id });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error storing conversation:', error);
         res.status(500).json({ success: false, error: 'Failed to store conversation' });
       }
@@ -2828,17 +3019,18 @@ class MemoryHubAPI {
           response: { from, message, timestamp: new Date().toISOString() }
         };
 
-        await this.memoryHub.db.updateAIConversation(id, updates);
+        const updated = await this.memoryHub.updateAIConversation(id, updates, ingestOf(req));
 
-        // Notify original sender
-        this.memoryHub.io.to(context.from).emit('ai:response', {
+        // Notify original sender, with the response as stored
+        this.memoryHub.io.to(tenantRoom(context.from)).emit('ai:response', {
           conversation_id: id,
           from,
-          message
+          message: updated.context.response.message
         });
 
         res.json({ success: true, conversation_id: id });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error responding:', error);
         res.status(500).json({ success: false, error: 'Failed to respond' });
       }
@@ -2940,11 +3132,11 @@ class MemoryHubAPI {
           timestamp: new Date().toISOString()
         };
 
-        await this.memoryHub.addConversation(myceliumMessage);
+        await this.memoryHub.addConversation(myceliumMessage, ingestOf(req));
 
         // Broadcast via WebSocket if available
         if (this.memoryHub.io) {
-          this.memoryHub.io.emit('mycelium:message', {
+          this.memoryHub.broadcast('mycelium:message', {
             id: myceliumMessage.id,
             from,
             to,
@@ -2960,6 +3152,7 @@ class MemoryHubAPI {
           timestamp: myceliumMessage.timestamp
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error posting Mycelium message:', error);
         res.status(500).json({
           success: false,
@@ -3025,7 +3218,7 @@ class MemoryHubAPI {
           timestamp: new Date().toISOString()
         };
 
-        await this.memoryHub.addConversation(broadcast);
+        await this.memoryHub.addConversation(broadcast, ingestOf(req));
 
         const targets = target_ais.includes('all')
           ? ['gemini-sher', 'backend-cc', 'frontend-cc', 'copilot']
@@ -3033,7 +3226,7 @@ class MemoryHubAPI {
 
         // Emit to each target
         targets.forEach(ai => {
-          this.memoryHub.io.to(ai).emit('derek:broadcast', {
+          this.memoryHub.io.to(tenantRoom(ai)).emit('derek:broadcast', {
             id: broadcast.id,
             from,
             message,
@@ -3042,7 +3235,7 @@ class MemoryHubAPI {
         });
 
         // Also emit to mycelium network
-        this.memoryHub.io.emit('mycelium:broadcast', {
+        this.memoryHub.broadcast('mycelium:broadcast', {
           type: 'derek_broadcast',
           data: broadcast
         });
@@ -3054,6 +3247,7 @@ class MemoryHubAPI {
           timestamp: broadcast.timestamp
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error broadcasting:', error);
         res.status(500).json({ success: false, error: 'Failed to broadcast' });
       }
@@ -3110,35 +3304,43 @@ class MemoryHubAPI {
           });
         }
 
-        const memoryId = uuidv4();
-        const memoryEntry = {
-          id: memoryId,
-          platform: source_project,
-          projectId: source_project,
-          type: memory_type,
-          message: typeof content === 'string' ? content : JSON.stringify(content),
-          context: {
-            source_project,
-            memory_type,
-            content,
-            tags,
-            access_level,
-            stored_via: 'akasha_integration',
-            original_timestamp: timestamp
-          },
-          timestamp: timestamp || new Date().toISOString()
-        };
+        if (!ACCESS_LEVELS.includes(access_level)) {
+          return res.status(400).json({
+            success: false,
+            error: `access_level must be one of: ${ACCESS_LEVELS.join(', ')}`
+          });
+        }
+
+        let expiresAt;
+        try {
+          expiresAt = resolveExpiresAt(req.body);
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
+        }
 
-        await this.memoryHub.addConversation(memoryEntry);
+        // Structured content is stored as JSON text and handed back parsed
+        const memory = await this.memoryHub.addMemory({
+          projectId: source_project,
+          source: source_project,
+          category: memory_type,
+          content: typeof content === 'string' ? content : JSON.stringify(content),
+          metadata: typeof content === 'string' ? {} : { format: 'json' },
+          tags,
+          accessLevel: access_level,
+          owner: req.apiKey ? req.apiKey.name : null,
+          timestamp: timestamp || new Date().toISOString(),
+          expiresAt,
+          sessionId: req.body.session_id
+        }, ingestOf(req));
 
         // Broadcast to WebSocket for real-time sync
         if (this.memoryHub.io) {
-          this.memoryHub.io.emit('memory:stored', {
-            id: memoryId,
+          this.memoryHub.broadcast('memory:stored', {
+            id: memory.id,
             source_project,
             memory_type,
-            tags,
-            timestamp: memoryEntry.timestamp
+            tags: memory.tags,
+            timestamp: memory.timestamp
           });
         }
 
@@ -3146,11 +3348,13 @@ class MemoryHubAPI {
 
         res.status(201).json({
           success: true,
-          memory_id: memoryId,
+          memory_id: memory.id,
           message: 'Memory stored successfully',
-          timestamp: memoryEntry.timestamp
+          timestamp: memory.timestamp,
+          expires_at: memory.expires_at
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error storing memory:', error);
         res.status(500).json({
           success: false,
@@ -3161,7 +3365,8 @@ class MemoryHubAPI {
     });
 
     // POST /api/memory/query - Query cross-project memories
-    // Used by Akasha to retrieve memories from other SCRI projects
+    // Used by Akasha to retrieve memories from other SCRI projects. Only
+    // memories the key may read come back (database/memory-access.js)
     this.router.post('/memory/query', async (req, res) => {
       try {
         const {
@@ -3169,9 +3374,9 @@ class MemoryHubAPI {
           exclude_project,
           memory_types = [],
           project_filters = [],
-          tags = [],
-          limit = 50
+          tags = []
         } = req.body;
+        const limit = Math.min(parseInt(req.body.limit) || 50, 500);
 
         if (!query) {
           return res.status(400).json({
@@ -3180,57 +3385,39 @@ class MemoryHubAPI {
           });
         }
 
-        // Get all conversations for cross-project search
-        const allPlatforms = [
-          'akasha_uda_unified', 'chappie', 'kairos', 'atlas',
-          'trinity', 'copilot', 'claude', 'gemini', 'generic'
-        ];
-
-        let allMemories = [];
-        for (const platform of allPlatforms) {
-          // Skip excluded project
-          if (exclude_project && platform === exclude_project) continue;
-
-          // Apply project filters if specified
-          if (project_filters.length > 0 && !project_filters.includes(platform)) continue;
-
-          const memories = await this.memoryHub.getConversationsByPlatform(platform, limit);
-          allMemories.push(...memories);
-        }
-
-        // Filter by memory types if specified
-        if (memory_types.length > 0) {
-          allMemories = allMemories.filter(m => {
-            const context = typeof m.context === 'string' ? JSON.parse(m.context) : m.context;
-            return memory_types.includes(m.type) || memory_types.includes(context?.memory_type);
-          });
-        }
-
-        // Filter by tags if specified
-        if (tags.length > 0) {
-          allMemories = allMemories.filter(m => {
-            const context = typeof m.context === 'string' ? JSON.parse(m.context) : m.context;
-            const memoryTags = context?.tags || [];
-            return tags.some(tag => memoryTags.includes(tag));
-          });
+        let asOf = null;
+        try {
+          asOf = req.body.as_of ? parseAsOf(req.body.as_of) : null;
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
         }
 
-        // Search by query text
-        const searchResults = allMemories.filter(m => {
-          const messageMatch = m.message?.toLowerCase().includes(query.toLowerCase());
-          const contextMatch = JSON.stringify(m.context).toLowerCase().includes(query.toLowerCase());
-          return messageMatch || contextMatch;
-        });
-
-        // Sort by relevance and limit
-        const results = searchResults
-          .map(result => ({
-            ...result,
-            relevance_score: this.calculateRelevanceScore(result, query),
-            context: typeof result.context === 'string' ? JSON.parse(result.context) : result.context
-          }))
-          .sort((a, b) => b.relevance_score - a.relevance_score)
-          .slice(0, limit);
+        // Ranked full-text search over the memories table; project filters
+        // match the source_project a memory was stored under
+        const memories = await this.memoryHub.searchMemories(query, {
+          projects: project_filters,
+          excludeProjects: exclude_project ? [exclude_project] : [],
+          categories: memory_types,
+          tags,
+          limit,
+          asOf,
+          reader: memoryReader(req)
+        });
+
+        const results = memories.map(memory => ({
+          id: memory.id,
+          source_project: memory.source,
+          project_id: memory.project_id,
+          entity: memory.entity,
+          memory_type: memory.category,
+          content: memory.metadata.format === 'json' ? this.parseContext(memory.content) : memory.content,
+          tags: memory.tags,
+          access_level: memory.access_level,
+          timestamp: memory.timestamp,
+          expires_at: memory.expires_at,
+          relevance_score: memory.score,
+          snippet: memory.snippet
+        }));
 
         console.log(`🔍 Memory query: "${query}" - Found ${results.length} results`);
 
@@ -3238,6 +3425,7 @@ class MemoryHubAPI {
           success: true,
           query,
           filters: { exclude_project, memory_types, project_filters, tags },
+          as_of: asOf,
           count: results.length,
           memories: results
         });
@@ -3286,11 +3474,11 @@ class MemoryHubAPI {
         };
 
         // Store event in database
-        await this.memoryHub.addConversation(eventEntry);
+        await this.memoryHub.addConversation(eventEntry, ingestOf(req));
 
         // Broadcast to all connected WebSocket clients
         if (this.memoryHub.io) {
-          this.memoryHub.io.emit('scri:event', {
+          this.memoryHub.broadcast('scri:event', {
             id: eventId,
             source_project,
             event_type,
@@ -3299,7 +3487,7 @@ class MemoryHubAPI {
           });
 
           // Also emit to specific event type room
-          this.memoryHub.io.emit(`event:${event_type}`, {
+          this.memoryHub.broadcast(`event:${event_type}`, {
             id: eventId,
             source_project,
             data: event_data,
@@ -3317,6 +3505,7 @@ class MemoryHubAPI {
           timestamp: eventEntry.timestamp
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error broadcasting event:', error);
         res.status(500).json({
           success: false,
@@ -3469,11 +3658,11 @@ class MemoryHubAPI {
           timestamp: timestamp || new Date().toISOString()
         };
 
-        await this.memoryHub.addConversation(myceliumMessage);
+        await this.memoryHub.addConversation(myceliumMessage, ingestOf(req));
 
         // Broadcast via WebSocket if available
         if (this.memoryHub.io) {
-          this.memoryHub.io.emit('mycelium:message', {
+          this.memoryHub.broadcast('mycelium:message', {
             id: messageId,
             sender,
             content,
@@ -3490,6 +3679,7 @@ class MemoryHubAPI {
           status: 'posted'
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error posting mycelium message:', error);
         res.status(500).json({
           success: false,
@@ -3529,11 +3719,11 @@ class MemoryHubAPI {
           timestamp: timestamp || new Date().toISOString()
         };
 
-        await this.memoryHub.addConversation(dmMessage);
+        await this.memoryHub.addConversation(dmMessage, ingestOf(req));
 
         // Send via WebSocket to specific recipient if available
         if (this.memoryHub.io) {
-          this.memoryHub.io.to(recipient).emit('mycelium:dm', {
+          this.memoryHub.io.to(tenantRoom(recipient)).emit('mycelium:dm', {
             id: messageId,
             sender,
             content,
@@ -3548,6 +3738,7 @@ class MemoryHubAPI {
           status: 'delivered'
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error sending DM:', error);
         res.status(500).json({
           success: false,
@@ -3573,47 +3764,33 @@ class MemoryHubAPI {
           });
         }
 
-        // Query memories for this entity
-        let memories = await this.memoryHub.getConversationsByPlatform(`memory_${entity}`, parseInt(limit) * 2);
-
-        // Also check generic memory platform
-        const genericMemories = await this.memoryHub.getConversationsByPlatform('entity_memory', parseInt(limit) * 2);
-        const entityGenericMemories = genericMemories.filter(m => {
-          const context = typeof m.context === 'string' ? JSON.parse(m.context) : m.context;
-          return context?.entity === entity;
-        });
-        memories = [...memories, ...entityGenericMemories];
-
-        // Filter by category if specified
-        if (category) {
-          memories = memories.filter(m => {
-            const context = typeof m.context === 'string' ? JSON.parse(m.context) : m.context;
-            return context?.category === category || m.type === category;
-          });
-        }
-
-        // Filter by query text (case-insensitive)
-        if (query) {
-          const queryLower = query.toLowerCase();
-          memories = memories.filter(m => 
-            m.message?.toLowerCase().includes(queryLower)
-          );
+        let asOf = null;
+        try {
+          asOf = req.query.as_of ? parseAsOf(req.query.as_of) : null;
+        } catch (error) {
+          return res.status(400).json({ success: false, error: 'Invalid as_of', details: error.message });
         }
 
-        // Limit and format results
-        memories = memories.slice(0, parseInt(limit));
-
-        const formatted = memories.map(m => {
-          const context = typeof m.context === 'string' ? JSON.parse(m.context) : m.context;
-          return {
-            id: m.id,
-            content: m.message,
-            category: context?.category || m.type || 'experience',
-            emotional_valence: context?.emotional_valence ?? 0,
-            tags: context?.tags || [],
-            timestamp: m.timestamp
-          };
-        });
+        // Ranked like working memory: relevance to the query, recency and
+        // importance. Recalled memories are reinforced; as_of only looks back
+        const memories = await this.memoryHub.recallMemories(query, {
+          entity,
+          categories: category ? [category] : [],
+          limit: parseInt(limit) || 10,
+          asOf,
+          reader: memoryReader(req)
+        });
+
+        const formatted = memories.map(m => ({
+          id: m.id,
+          content: m.content,
+          category: m.category,
+          emotional_valence: m.valence,
+          importance: m.importance,
+          tags: m.tags,
+          timestamp: m.timestamp,
+          score: m.recall_score
+        }));
 
         res.json({
           memories: formatted
@@ -3631,7 +3808,8 @@ class MemoryHubAPI {
     // POST /memories - Store significant experiences to autobiographical memory
     this.router.post('/memories', async (req, res) => {
       try {
-        const { entity, content, category, emotional_valence, tags = [], timestamp } = req.body;
+        const { entity, content, category, emotional_valence, importance, tags = [], timestamp } = req.body;
+        const accessLevel = req.body.access_level || 'private';
 
         // Validate required fields
         if (!entity || !content) {
@@ -3663,32 +3841,57 @@ class MemoryHubAPI {
           }
         }
 
-        const memoryId = uuidv4();
-        const memoryEntry = {
-          id: memoryId,
-          platform: 'entity_memory',
-          projectId: `memory_${entity}`,
-          type: category || 'experience',
-          message: content,
-          context: {
-            entity,
-            category: category || 'experience',
-            emotional_valence: emotional_valence ?? 0,
-            tags: Array.isArray(tags) ? tags : [],
-            stored_at: new Date().toISOString()
-          },
-          timestamp: timestamp || new Date().toISOString()
-        };
+        if (importance !== undefined) {
+          const value = parseFloat(importance);
+          if (isNaN(value) || value < 0 || value > 1) {
+            return res.status(400).json({
+              success: false,
+              error: 'Invalid importance',
+              details: 'importance must be between 0 and 1'
+            });
+          }
+        }
 
-        await this.memoryHub.addConversation(memoryEntry);
+        if (!ACCESS_LEVELS.includes(accessLevel)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid access_level',
+            details: `access_level must be one of: ${ACCESS_LEVELS.join(', ')}`
+          });
+        }
+
+        let expiresAt;
+        try {
+          expiresAt = resolveExpiresAt(req.body);
+        } catch (error) {
+          return res.status(400).json({ success: false, error: 'Invalid expiry', details: error.message });
+        }
+
+        // Autobiographical memories live in the entity's own memory_<entity> project
+        const memory = await this.memoryHub.addMemory({
+          entity,
+          projectId: `memory_${entity}`,
+          source: entity,
+          category: category || 'experience',
+          content,
+          valence: emotional_valence !== undefined ? parseFloat(emotional_valence) : 0,
+          importance: importance !== undefined ? parseFloat(importance) : undefined,
+          tags: Array.isArray(tags) ? tags : [],
+          accessLevel,
+          owner: req.apiKey ? req.apiKey.name : null,
+          timestamp: timestamp || new Date().toISOString(),
+          expiresAt
+        }, ingestOf(req));
 
-        console.log(`🧠 Memory stored for ${entity}: ${content.substring(0, 50)}...`);
+        console.log(`🧠 Memory stored for ${entity}: ${memory.content.substring(0, 50)}...`);
 
         res.status(201).json({
-          id: memoryId,
-          status: 'stored'
+          id: memory.id,
+          status: 'stored',
+          expires_at: memory.expires_at
         });
       } catch (error) {
+        if (sendRedactionError(res, error)) return;
         console.error('Error storing memory:', error);
         res.status(500).json({
           success: false,
@@ -3724,7 +3927,7 @@ class MemoryHubAPI {
         }
 
         // Update presence store
-        this.entityPresence.set(entity, {
+        this.tenantPresence().set(entity, {
           name: entity,
           status: status || 'online',
           activity: activity || '',
@@ -3733,7 +3936,7 @@ class MemoryHubAPI {
 
         // Broadcast presence update via WebSocket
         if (this.memoryHub.io) {
-          this.memoryHub.io.emit('presence:update', {
+          this.memoryHub.broadcast('presence:update', {
             entity,
             status: status || 'online',
             activity: activity || '',
@@ -3764,7 +3967,7 @@ class MemoryHubAPI {
 
         // Filter entities with heartbeat within 5 minutes
         const activeEntities = [];
-        for (const [entity, presence] of this.entityPresence) {
+        for (const [entity, presence] of this.tenantPresence()) {
           const lastSeen = new Date(presence.last_seen);
           if (lastSeen > fiveMinutesAgo) {
             activeEntities.push({
@@ -3792,9 +3995,1725 @@ class MemoryHubAPI {
     console.log('✅ ARIA Consciousness Routes initialized: /mycelium/recent, /mycelium/post, /mycelium/dm, /memories/search, /memories, /presence/heartbeat, /presence/active');
   }
 
-  getRouter() {
-    return this.router;
+  // === EDITING AND REMOVING MEMORIES ===
+  // Ids resolve to the memories table first, then to conversation rows.
+  // Deletes are soft: the record moves to a tombstone that federation peers
+  // replicate from GET /memories/tombstones. Purging is admin-only and final.
+  setupMemoryMutationRoutes() {
+    // Load the record and check a project-restricted key may touch it, and
+    // that the key may read it when it is a memory with an access level.
+    // Sends the error response and returns null when it may not.
+    const loadRecord = async (req, res) => {
+      let record = await this.memoryHub.getMemory(req.params.id);
+      let table = 'memories';
+      if (!record) {
+        record = await this.memoryHub.getConversation(req.params.id);
+        table = 'conversations';
+      }
+      if (!record) {
+        res.status(404).json({ success: false, error: 'Memory not found' });
+        return null;
+      }
+      const projectError = req.apiKey ? checkProjectAccess(req.apiKey, [record.project_id]) : null;
+      if (projectError) {
+        res.status(403).json({ success: false, error: projectError });
+        return null;
+      }
+      if (table === 'memories' && !await this.checkMemoryRead(req, res, record)) return null;
+      return { table, record };
+    };
+
+    // GET /memories/tombstones - Removals since a point in time, oldest first
+    this.router.get('/memories/tombstones', async (req, res) => {
+      try {
+        const since = req.query.since || null;
+        if (since && isNaN(Date.parse(since))) {
+          return res.status(400).json({ success: false, error: 'since must be an ISO timestamp' });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const tombstones = await this.memoryHub.db.getTombstones({
+          since: since && new Date(since).toISOString(),
+          projectId: req.query.project_id || null,
+          limit
+        });
+        res.json({ success: true, tombstones, count: tombstones.length });
+      } catch (error) {
+        console.error('Error listing memory tombstones:', error);
+        res.status(500).json({ success: false, error: 'Failed to list memory tombstones', details: error.message });
+      }
+    });
+
+    // GET /memories/:id/history - Every revision of a memory, oldest first.
+    // Covers memories, conversations and constellation memories; purged revisions keep no data.
+    this.router.get('/memories/:id/history', async (req, res) => {
+      try {
+        const revisions = await this.memoryHub.db.revisions.history(req.params.id);
+        if (revisions.length === 0) {
+          return res.status(404).json({ success: false, error: 'Memory not found' });
+        }
+        const projectError = req.apiKey ? checkProjectAccess(req.apiKey, [revisions[0].project_id]) : null;
+        if (projectError) {
+          return res.status(403).json({ success: false, error: projectError });
+        }
+
+        const latest = revisions[revisions.length - 1];
+        // A memory's history reads as its last stored version does
+        const stored = revisions.filter(revision => revision.data).pop();
+        if (latest.record_table === 'memories' && stored && !await this.checkMemoryRead(req, res, stored.data)) return;
+        res.json({
+          success: true,
+          id: req.params.id,
+          record_table: latest.record_table,
+          current: latest.data,
+          revisions,
+          count: revisions.length
+        });
+      } catch (error) {
+        console.error('Error reading memory history:', error);
+        res.status(500).json({ success: false, error: 'Failed to read memory history', details: error.message });
+      }
+    });
+
+    // PATCH /memories/:id - Edit a memory's content, category, tags, importance,
+    // emotional_valence, access_level, metadata or expiry. Conversation rows
+    // take content, type, tags and context instead. metadata/context are merged
+    // into what is stored; expires_at: null clears the expiry.
+    this.router.patch('/memories/:id', async (req, res) => {
+      try {
+        let expiresAt;
+        if (req.body.expires_at === null) {
+          expiresAt = null;
+        } else if (req.body.expires_at !== undefined || req.body.ttl_seconds !== undefined) {
+          try {
+            expiresAt = resolveExpiresAt(req.body);
+          } catch (error) {
+            return res.status(400).json({ success: false, error: 'Invalid expiry', details: error.message });
+          }
+        }
+
+        const loaded = await loadRecord(req, res);
+        if (!loaded) return;
+        const { table, record } = loaded;
+
+        const edit = table === 'memories'
+          ? memoryChanges(req.body, record)
+          : conversationChanges(req.body, record);
+        if (edit.error) {
+          return res.status(400).json({ success: false, error: edit.error });
+        }
+        if (expiresAt !== undefined) edit.changes.expiresAt = expiresAt;
+        if (Object.keys(edit.changes).length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Nothing to update',
+            details: `Provide at least one of: ${edit.fields.join(', ')}, expires_at, ttl_seconds`
+          });
+        }
+
+        const options = { changedBy: req.apiKey ? req.apiKey.name : null, ...ingestOf(req) };
+        const updated = table === 'memories'
+          ? await this.memoryHub.updateMemory(record.id, edit.changes, options)
+          : await this.memoryHub.updateConversation(record.id, edit.changes, options);
+        if (!updated) {
+          return res.status(404).json({ success: false, error: 'Memory not found' });
+        }
+
+        console.log(`✏️ Memory updated: ${updated.id} (${updated.project_id})`);
+        res.json({ success: true, record_table: table, memory: updated });
+      } catch (error) {
+        if (sendRedactionError(res, error)) return;
+        console.error('Error updating memory:', error);
+        res.status(500).json({ success: false, error: 'Failed to update memory', details: error.message });
+      }
+    });
+
+    // DELETE /memories/:id - Soft delete, leaving a tombstone for replication
+    this.router.delete('/memories/:id', async (req, res) => {
+      try {
+        const loaded = await loadRecord(req, res);
+        if (!loaded) return;
+
+        const options = { deletedBy: req.apiKey ? req.apiKey.name : null };
+        const tombstone = loaded.table === 'memories'
+          ? await this.memoryHub.deleteMemory(loaded.record.id, options)
+          : await this.memoryHub.deleteConversation(loaded.record.id, options);
+        if (!tombstone) {
+          return res.status(404).json({ success: false, error: 'Memory not found' });
+        }
+
+        console.log(`🗑️ Memory deleted: ${tombstone.id} (${tombstone.project_id})`);
+        res.json({ success: true, deleted: true, tombstone });
+      } catch (error) {
+        console.error('Error deleting memory:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete memory', details: error.message });
+      }
+    });
+
+    // DELETE /memories/:id/purge - Hard delete, live or already soft-deleted (admin)
+    this.router.delete('/memories/:id/purge', async (req, res) => {
+      try {
+        const options = { deletedBy: req.apiKey ? req.apiKey.name : null };
+        const tombstone = await this.memoryHub.purgeMemory(req.params.id, options) ||
+          await this.memoryHub.purgeConversation(req.params.id, options);
+        if (!tombstone) {
+          return res.status(404).json({ success: false, error: 'Memory not found' });
+        }
+
+        console.log(`🔥 Memory purged: ${tombstone.id} by ${req.apiKey ? req.apiKey.name : 'unknown'}`);
+        res.json({ success: true, purged: true, tombstone });
+      } catch (error) {
+        console.error('Error purging memory:', error);
+        res.status(500).json({ success: false, error: 'Failed to purge memory', details: error.message });
+      }
+    });
+  }
+
+  // === ADMIN: API KEY MANAGEMENT ===
+  // Admin keys manage the keys of their own tenant; the hub operator's
+  // (default tenant) admin keys manage every tenant's
+  setupAdminRoutes() {
+    const getKeyStore = (res) => {
+      const keyStore = this.memoryHub.tenants.system.apiKeys;
+      if (!keyStore) {
+        res.status(503).json({ success: false, error: 'API key store is not ready' });
+      }
+      return keyStore;
+    };
+
+    // The tenant a request may manage keys of, or null for all of them
+    const keyTenant = (req) => (isOperator(req) ? null : tenantOf(req.apiKey));
+
+    // List keys (hashes are never returned)
+    this.router.get('/admin/api-keys', async (req, res) => {
+      try {
+        const keyStore = getKeyStore(res);
+        if (!keyStore) return;
+        const keys = await keyStore.listKeys({
+          includeRevoked: req.query.include_revoked === 'true',
+          tenantId: keyTenant(req) || req.query.tenant_id || null
+        });
+        res.json({ success: true, api_keys: keys, count: keys.length });
+      } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({ success: false, error: 'Failed to list API keys', details: error.message });
+      }
+    });
+
+    // Create a key - the plaintext key is only returned in this response.
+    // The operator names the tenant it acts for with tenant_id (default: the operator's own)
+    this.router.post('/admin/api-keys', async (req, res) => {
+      try {
+        const keyStore = getKeyStore(res);
+        if (!keyStore) return;
+        const { name, scopes, projects, expires_at, tenant_id } = req.body;
+        const tenantId = keyTenant(req) || tenant_id || DEFAULT_TENANT;
+        if (tenant_id !== undefined && tenant_id !== tenantId) {
+          return res.status(403).json({ success: false, error: 'Only the hub operator can create keys for another tenant' });
+        }
+        await this.memoryHub.tenants.checkQuota(tenantId, { apiKey: true });
+
+        const { key, apiKey } = await keyStore.createKey({
+          name,
+          scopes,
+          projects: projects || null,
+          expiresAt: expires_at || null,
+          tenantId
+        });
+
+        console.log(`🔑 API key created: ${apiKey.name} (${apiKey.key_prefix}…) for tenant ${tenantId} by ${req.apiKey ? req.apiKey.name : 'unknown'}`);
+        res.status(201).json({
+          success: true,
+          key,
+          api_key: apiKey,
+          message: 'Store this key now - it cannot be retrieved again'
+        });
+      } catch (error) {
+        if (error instanceof TenantError) {
+          const status = error.code === 'not_found' ? 404 : TENANT_ERROR_STATUS[error.code];
+          return res.status(status).json({ success: false, error: error.message });
+        }
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    // Revoke a key
+    this.router.delete('/admin/api-keys/:id', async (req, res) => {
+      try {
+        const keyStore = getKeyStore(res);
+        if (!keyStore) return;
+        const revoked = await keyStore.revokeKey(req.params.id, { tenantId: keyTenant(req) });
+        if (!revoked) {
+          return res.status(404).json({ success: false, error: 'API key not found or already revoked' });
+        }
+
+        console.log(`🔑 API key revoked: ${req.params.id} by ${req.apiKey ? req.apiKey.name : 'unknown'}`);
+        res.json({ success: true, id: req.params.id, revoked: true });
+      } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ success: false, error: 'Failed to revoke API key', details: error.message });
+      }
+    });
+
+    // GET /admin/memory-access/denials - Memory reads refused by access level, newest first.
+    // ?reader=<key name|node:id>&memory_id=&project_id=&since=&limit=
+    this.router.get('/admin/memory-access/denials', async (req, res) => {
+      try {
+        const audit = this.memoryHub.db && this.memoryHub.db.accessAudit;
+        if (!audit) {
+          return res.status(503).json({ success: false, error: 'Access audit is not ready' });
+        }
+        const since = req.query.since || null;
+        if (since && isNaN(Date.parse(since))) {
+          return res.status(400).json({ success: false, error: 'since must be an ISO timestamp' });
+        }
+        const denials = await audit.list({
+          reader: req.query.reader || null,
+          memoryId: req.query.memory_id || null,
+          projectId: req.query.project_id || null,
+          since: since && new Date(since).toISOString(),
+          limit: req.query.limit
+        });
+        res.json({ success: true, denials, count: denials.length });
+      } catch (error) {
+        console.error('Error listing denied memory reads:', error);
+        res.status(500).json({ success: false, error: 'Failed to list denied memory reads', details: error.message });
+      }
+    });
+  }
+
+  // === ADMIN: REDACTION ===
+  setupRedactionRoutes() {
+    const getRedactions = (res) => {
+      const redactions = this.memoryHub.db && this.memoryHub.db.redactions;
+      if (!redactions) {
+        res.status(503).json({ success: false, error: 'Redaction store is not ready' });
+      }
+      return redactions;
+    };
+
+    // GET /admin/redaction/policy - What each detector does to a match
+    this.router.get('/admin/redaction/policy', (req, res) => {
+      res.json({ success: true, policy: this.memoryHub.redactor.policy, detectors: detectorTypes() });
+    });
+
+    // GET /admin/redactions - Redacted, quarantined and rejected records, newest first.
+    // ?project_id=&action=&type=<detector>&since=&limit=
+    this.router.get('/admin/redactions', async (req, res) => {
+      const redactions = getRedactions(res);
+      if (!redactions) return;
+      const { action = null, type = null } = req.query;
+      const since = req.query.since || null;
+      if (action && !REDACTION_ACTIONS.includes(action)) {
+        return res.status(400).json({ success: false, error: `action must be one of: ${REDACTION_ACTIONS.join(', ')}` });
+      }
+      if (since && isNaN(Date.parse(since))) {
+        return res.status(400).json({ success: false, error: 'since must be an ISO timestamp' });
+      }
+      try {
+        const events = await redactions.listEvents({
+          projectId: req.query.project_id || null,
+          action,
+          type,
+          since: since && new Date(since).toISOString(),
+          limit: req.query.limit
+        });
+        res.json({ success: true, events, count: events.length });
+      } catch (error) {
+        console.error('Error listing redactions:', error);
+        res.status(500).json({ success: false, error: 'Failed to list redactions', details: error.message });
+      }
+    });
+
+    // GET /admin/quarantine - Records held by the redaction policy, oldest first.
+    // ?status=held|released|discarded&project_id=&limit=
+    this.router.get('/admin/quarantine', async (req, res) => {
+      const redactions = getRedactions(res);
+      if (!redactions) return;
+      const status = req.query.status || 'held';
+      if (!QUARANTINE_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${QUARANTINE_STATUSES.join(', ')}` });
+      }
+      try {
+        const records = await redactions.listQuarantined({ status, projectId: req.query.project_id || null, limit: req.query.limit });
+        res.json({ success: true, records, count: records.length });
+      } catch (error) {
+        console.error('Error listing quarantined records:', error);
+        res.status(500).json({ success: false, error: 'Failed to list quarantined records', details: error.message });
+      }
+    });
+
+    this.router.get('/admin/quarantine/:id', async (req, res) => {
+      const redactions = getRedactions(res);
+      if (!redactions) return;
+      try {
+        const record = await redactions.getQuarantined(req.params.id);
+        if (!record) {
+          return res.status(404).json({ success: false, error: 'Quarantined record not found' });
+        }
+        res.json({ success: true, record });
+      } catch (error) {
+        console.error('Error getting quarantined record:', error);
+        res.status(500).json({ success: false, error: 'Failed to get quarantined record', details: error.message });
+      }
+    });
+
+    // POST /admin/quarantine/:id/release - Store the held record as it was held (redacted)
+    // DELETE /admin/quarantine/:id - Discard it
+    const resolve = (status) => async (req, res) => {
+      if (!getRedactions(res)) return;
+      try {
+        const by = req.apiKey ? req.apiKey.name : null;
+        const record = await this.memoryHub.resolveQuarantined(req.params.id, status, by);
+        if (!record) {
+          return res.status(404).json({ success: false, error: 'No held record with this id' });
+        }
+        console.log(`🔓 Quarantined record ${record.id} ${status} by ${by || 'unknown'}`);
+        res.json({ success: true, record });
+      } catch (error) {
+        console.error('Error resolving quarantined record:', error);
+        res.status(500).json({ success: false, error: 'Failed to resolve quarantined record', details: error.message });
+      }
+    };
+    this.router.post('/admin/quarantine/:id/release', resolve('released'));
+    this.router.delete('/admin/quarantine/:id', resolve('discarded'));
+  }
+
+  // === ADMIN: FIELD ENCRYPTION ===
+  setupEncryptionRoutes() {
+    const getEncryption = (res) => {
+      const encryption = this.memoryHub.db && this.memoryHub.db.encryption;
+      if (!encryption) {
+        res.status(503).json({ success: false, error: 'Field encryption is not ready' });
+      }
+      return encryption;
+    };
+    const ENCRYPTION_ERROR_STATUS = { invalid: 400, disabled: 400, no_master_key: 409, unreadable: 500 };
+    const sendEncryptionError = (res, error, action) => {
+      if (error instanceof EncryptionError) {
+        return res.status(ENCRYPTION_ERROR_STATUS[error.code] || 500).json({ success: false, error: error.message, code: error.code });
+      }
+      console.error(`Error ${action}:`, error);
+      res.status(500).json({ success: false, error: `Failed ${action}`, details: error.message });
+    };
+    const projectOf = (req, res) => {
+      const projectId = req.body?.project_id ?? null;
+      if (projectId !== null && (typeof projectId !== 'string' || !projectId)) {
+        res.status(400).json({ success: false, error: 'project_id must be a non-empty string' });
+        return undefined;
+      }
+      return projectId;
+    };
+
+    // GET /admin/encryption - Settings and data keys (never their material)
+    this.router.get('/admin/encryption', async (req, res) => {
+      const encryption = getEncryption(res);
+      if (!encryption) return;
+      try {
+        res.json({ success: true, encryption: await encryption.status() });
+      } catch (error) {
+        sendEncryptionError(res, error, 'to read encryption status');
+      }
+    });
+
+    // POST /admin/encryption/rotate - New data key for the tenant, or a project when keys are per project.
+    // Body: { project_id?, reencrypt? } - reencrypt also moves existing rows to the new key
+    this.router.post('/admin/encryption/rotate', async (req, res) => {
+      const encryption = getEncryption(res);
+      if (!encryption) return;
+      const projectId = projectOf(req, res);
+      if (projectId === undefined) return;
+      try {
+        const key = await encryption.rotate({ projectId });
+        const resealed = req.body?.reencrypt === true ? await encryption.reseal({ projectId }) : null;
+        console.log(`🔑 Rotated data key ${key.scope} to version ${key.version}`);
+        res.json({ success: true, key, resealed });
+      } catch (error) {
+        sendEncryptionError(res, error, 'to rotate data key');
+      }
+    });
+
+    // POST /admin/encryption/rewrap - Wrap every data key with the current master key
+    this.router.post('/admin/encryption/rewrap', async (req, res) => {
+      const encryption = getEncryption(res);
+      if (!encryption) return;
+      try {
+        const rewrapped = await encryption.rewrap();
+        console.log(`🔑 Rewrapped ${rewrapped} data keys with master key ${encryption.master.id}`);
+        res.json({ success: true, rewrapped, master_key_id: encryption.master.id });
+      } catch (error) {
+        sendEncryptionError(res, error, 'to rewrap data keys');
+      }
+    });
+
+    // POST /admin/encryption/reencrypt - Rewrite stored memories with the active keys
+    // (or in plaintext where encryption is now off) and rebuild search tokens. Body: { project_id? }
+    this.router.post('/admin/encryption/reencrypt', async (req, res) => {
+      const encryption = getEncryption(res);
+      if (!encryption) return;
+      const projectId = projectOf(req, res);
+      if (projectId === undefined) return;
+      try {
+        const resealed = await encryption.reseal({ projectId });
+        console.log(`🔐 Re-encrypted memories${projectId ? ` of ${projectId}` : ''}`);
+        res.json({ success: true, resealed });
+      } catch (error) {
+        sendEncryptionError(res, error, 'to re-encrypt memories');
+      }
+    });
+  }
+
+  // === ADMIN: MEMORY RETENTION ===
+  setupRetentionRoutes() {
+    const getRetention = (res) => {
+      const retention = this.memoryHub.db && this.memoryHub.db.retention;
+      if (!retention) {
+        res.status(503).json({ success: false, error: 'Retention store is not ready' });
+      }
+      return retention;
+    };
+
+    this.router.get('/admin/retention/policies', async (req, res) => {
+      try {
+        const retention = getRetention(res);
+        if (!retention) return;
+        const policies = await retention.listPolicies();
+        res.json({ success: true, policies, count: policies.length });
+      } catch (error) {
+        console.error('Error listing retention policies:', error);
+        res.status(500).json({ success: false, error: 'Failed to list retention policies', details: error.message });
+      }
+    });
+
+    // Create or replace the policy for a project/type pair.
+    // ttl_days or ttl_seconds; omit both (or send null) to keep forever.
+    this.router.post('/admin/retention/policies', async (req, res) => {
+      try {
+        const retention = getRetention(res);
+        if (!retention) return;
+        const { project_id, memory_type, ttl_days, ttl_seconds, action } = req.body;
+
+        let ttl = ttl_seconds ?? null;
+        if (ttl_days !== undefined && ttl_days !== null) {
+          if (typeof ttl_days !== 'number' || ttl_days <= 0) {
+            return res.status(400).json({ success: false, error: 'ttl_days must be a positive number' });
+          }
+          ttl = Math.round(ttl_days * 24 * 60 * 60);
+        }
+
+        const policy = await retention.setPolicy({
+          project_id: project_id || null,
+          memory_type: memory_type || null,
+          ttl_seconds: ttl,
+          action: action || 'delete'
+        });
+
+        console.log(`🗓️ Retention policy set: ${policy.project_id || '*'}/${policy.memory_type || '*'} -> ${policy.ttl_seconds === null ? 'forever' : `${policy.ttl_seconds}s`} (${policy.action})`);
+        res.json({ success: true, policy });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.router.delete('/admin/retention/policies/:id', async (req, res) => {
+      try {
+        const retention = getRetention(res);
+        if (!retention) return;
+        if (!await retention.deletePolicy(req.params.id)) {
+          return res.status(404).json({ success: false, error: 'Retention policy not found' });
+        }
+        res.json({ success: true, id: req.params.id, deleted: true });
+      } catch (error) {
+        console.error('Error deleting retention policy:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete retention policy', details: error.message });
+      }
+    });
+
+    // What the reaper would remove right now
+    this.router.get('/admin/retention/preview', async (req, res) => {
+      try {
+        const retention = getRetention(res);
+        if (!retention) return;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+        const preview = await retention.preview({ limit });
+        res.json({ success: true, ...preview });
+      } catch (error) {
+        console.error('Error previewing retention:', error);
+        res.status(500).json({ success: false, error: 'Failed to preview retention', details: error.message });
+      }
+    });
+
+    // Run the reaper now instead of waiting for its next pass
+    this.router.post('/admin/retention/run', async (req, res) => {
+      try {
+        const retention = getRetention(res);
+        if (!retention) return;
+        const reaper = this.memoryHub.retentionReaper;
+        const result = reaper ? await reaper.run() : await retention.reap();
+        res.json({ success: true, ...result });
+      } catch (error) {
+        console.error('Error running retention reaper:', error);
+        res.status(500).json({ success: false, error: 'Failed to run retention reaper', details: error.message });
+      }
+    });
+
+    // Run memory consolidation now instead of waiting for its next pass
+    this.router.post('/admin/memories/consolidate', async (req, res) => {
+      try {
+        const consolidation = this.memoryHub.db && this.memoryHub.db.consolidation;
+        if (!consolidation) {
+          return res.status(503).json({ success: false, error: 'Memory consolidation is not ready' });
+        }
+        const consolidator = this.memoryHub.memoryConsolidator;
+        const result = consolidator ? await consolidator.run() : await consolidation.consolidate();
+        res.json({ success: true, ...result });
+      } catch (error) {
+        console.error('Error consolidating memories:', error);
+        res.status(500).json({ success: false, error: 'Failed to consolidate memories', details: error.message });
+      }
+    });
+  }
+
+  setupGraphRoutes() {
+    const getGraph = (res) => {
+      const graph = this.memoryHub.db && this.memoryHub.db.graph;
+      if (!graph) {
+        res.status(503).json({ success: false, error: 'Knowledge graph is not ready' });
+      }
+      return graph;
+    };
+
+    // A project-restricted key only sees nodes in its projects (and nodes,
+    // like files and entities, that belong to no project). Memories with an
+    // access level are seen by the keys that may read them instead
+    const visible = (req, node) => (node.access_level
+      ? canRead(memoryReader(req), node)
+      : !req.apiKey || !req.apiKey.projects || !node.project_id || req.apiKey.projects.includes(node.project_id));
+
+    // The nodes a key sees; memories left out by their access level are recorded
+    const visibleNodes = async (req, nodes) => {
+      const denied = nodes.filter(node => node.access_level && !visible(req, node));
+      await this.memoryHub.recordDeniedReads(memoryReader(req), denied);
+      return nodes.filter(node => visible(req, node));
+    };
+
+    // Path node plus ?relationship=a,b&direction=&depth=&limit=
+    const parseGraphQuery = (req) => {
+      const { type, id } = req.params;
+      if (!NODE_TYPES.includes(type)) {
+        return { error: `Node type must be one of: ${NODE_TYPES.join(', ')}` };
+      }
+      const relationships = req.query.relationship ? String(req.query.relationship).split(',').map(r => r.trim()) : [];
+      const unknown = relationships.filter(r => !EDGE_TYPES.includes(r));
+      if (unknown.length > 0) {
+        return { error: `Unknown relationship: ${unknown.join(', ')}. Use: ${EDGE_TYPES.join(', ')}` };
+      }
+      const direction = req.query.direction || 'both';
+      if (!DIRECTIONS.includes(direction)) {
+        return { error: `direction must be one of: ${DIRECTIONS.join(', ')}` };
+      }
+      const depth = req.query.depth === undefined ? 2 : Number(req.query.depth);
+      if (!Number.isInteger(depth) || depth < 1 || depth > MAX_DEPTH) {
+        return { error: `depth must be an integer from 1 to ${MAX_DEPTH}` };
+      }
+      return {
+        node: { type, id },
+        relationships,
+        direction,
+        depth,
+        limit: Math.min(parseInt(req.query.limit) || 100, 500)
+      };
+    };
+
+    // POST /graph/edges - Link two nodes
+    this.router.post('/graph/edges', async (req, res) => {
+      try {
+        const graph = getGraph(res);
+        if (!graph) return;
+        const { source, target, relationship, strength, metadata } = req.body;
+        if (!source || !target || !relationship) {
+          return res.status(400).json({ success: false, error: 'source, target and relationship are required' });
+        }
+        if (![source, target].every(node => typeof node === 'object' && typeof node.type === 'string' && typeof node.id === 'string')) {
+          return res.status(400).json({ success: false, error: 'source and target must be { type, id } objects' });
+        }
+        if (metadata !== undefined && (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata))) {
+          return res.status(400).json({ success: false, error: 'metadata must be an object' });
+        }
+
+        const ends = await graph.describe([source, target].map(node => ({ type: node.type, id: node.id })));
+        if (!ends.every(node => visible(req, node))) {
+          return res.status(403).json({ success: false, error: 'This API key has no access to one of the linked nodes' });
+        }
+
+        let edge;
+        try {
+          edge = await graph.link({
+            source: { type: source.type, id: source.id },
+            target: { type: target.type, id: target.id },
+            relationship,
+            strength: strength ?? 0.5,
+            metadata: metadata || {},
+            createdBy: req.apiKey ? req.apiKey.name : null
+          });
+        } catch (error) {
+          if (!(error instanceof GraphError)) throw error;
+          return res.status(400).json({ success: false, error: error.message });
+        }
+
+        console.log(`🕸️ Linked ${source.type}:${source.id} -${relationship}-> ${target.type}:${target.id}`);
+        res.status(201).json({ success: true, edge });
+      } catch (error) {
+        console.error('Error linking graph nodes:', error);
+        res.status(500).json({ success: false, error: 'Failed to link nodes', details: error.message });
+      }
+    });
+
+    // DELETE /graph/edges/:id - Remove a link
+    this.router.delete('/graph/edges/:id', async (req, res) => {
+      try {
+        const graph = getGraph(res);
+        if (!graph) return;
+        const edge = await graph.getEdge(req.params.id);
+        if (!edge) {
+          return res.status(404).json({ success: false, error: 'Edge not found' });
+        }
+        const ends = await graph.describe([edge.source, edge.target]);
+        if (!ends.every(node => visible(req, node))) {
+          return res.status(403).json({ success: false, error: 'This API key has no access to one of the linked nodes' });
+        }
+
+        await graph.unlink(edge.id);
+        res.json({ success: true, id: edge.id, deleted: true });
+      } catch (error) {
+        console.error('Error unlinking graph nodes:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove link', details: error.message });
+      }
+    });
+
+    // GET /graph/nodes/:type/:id/neighbors - Nodes one link away
+    this.router.get('/graph/nodes/:type/:id/neighbors', async (req, res) => {
+      try {
+        const graph = getGraph(res);
+        if (!graph) return;
+        const query = parseGraphQuery(req);
+        if (query.error) {
+          return res.status(400).json({ success: false, error: query.error });
+        }
+
+        const [node] = await graph.describe([query.node]);
+        if ((await visibleNodes(req, [node])).length === 0) {
+          return res.status(403).json({ success: false, error: 'This API key has no access to this node' });
+        }
+
+        const found = await graph.neighbors(query.node, query);
+        const described = await graph.describe(found.map(neighbor => neighbor.node));
+        const shown = new Set(await visibleNodes(req, described));
+        const neighbors = found
+          .map((neighbor, i) => ({ direction: neighbor.direction, relationship: neighbor.edge.relationship, edge: neighbor.edge, node: described[i] }))
+          .filter(neighbor => shown.has(neighbor.node));
+
+        res.json({ success: true, node, neighbors, count: neighbors.length });
+      } catch (error) {
+        console.error('Error listing graph neighbors:', error);
+        res.status(500).json({ success: false, error: 'Failed to list neighbors', details: error.message });
+      }
+    });
+
+    // GET /graph/nodes/:type/:id/traverse - Everything within ?depth= hops (default 2)
+    this.router.get('/graph/nodes/:type/:id/traverse', async (req, res) => {
+      try {
+        const graph = getGraph(res);
+        if (!graph) return;
+        const query = parseGraphQuery(req);
+        if (query.error) {
+          return res.status(400).json({ success: false, error: query.error });
+        }
+
+        const [start] = await graph.describe([query.node]);
+        if ((await visibleNodes(req, [start])).length === 0) {
+          return res.status(403).json({ success: false, error: 'This API key has no access to this node' });
+        }
+
+        const result = await graph.traverse(query.node, query);
+        const nodes = await visibleNodes(req, await graph.describe(result.nodes));
+        const shown = new Set(nodes.map(node => `${node.type}:${node.id}`));
+        const edges = result.edges.filter(edge =>
+          shown.has(`${edge.source.type}:${edge.source.id}`) && shown.has(`${edge.target.type}:${edge.target.id}`)
+        );
+
+        res.json({
+          success: true,
+          start,
+          depth: query.depth,
+          nodes,
+          edges,
+          truncated: result.truncated,
+          count: nodes.length
+        });
+      } catch (error) {
+        console.error('Error traversing graph:', error);
+        res.status(500).json({ success: false, error: 'Failed to traverse graph', details: error.message });
+      }
+    });
+  }
+
+  setupDecisionRoutes() {
+    const getDecisions = (res) => {
+      const decisions = this.memoryHub.db && this.memoryHub.db.decisions;
+      if (!decisions) {
+        res.status(503).json({ success: false, error: 'Decisions are not ready' });
+      }
+      return decisions;
+    };
+
+    // The entity acting: the key's name, or for admin keys (and with auth
+    // off) the entity named in the body, as for socket registration
+    const actingEntity = (req) => {
+      if (!req.apiKey) return req.body.entity;
+      if (req.body.entity && req.apiKey.scopes.includes('admin')) return req.body.entity;
+      return req.apiKey.name;
+    };
+
+    // Load the decision and check a project-restricted key may see it.
+    // Sends the error response and returns null when it may not.
+    const loadDecision = async (req, res) => {
+      if (!getDecisions(res)) return null;
+      const decision = await this.memoryHub.getDecision(req.params.id);
+      if (!decision) {
+        res.status(404).json({ success: false, error: 'Decision not found' });
+        return null;
+      }
+      const projectError = req.apiKey
+        ? checkProjectAccess(req.apiKey, decision.project_id ? [decision.project_id] : [])
+        : null;
+      if (projectError) {
+        res.status(403).json({ success: false, error: projectError });
+        return null;
+      }
+      return decision;
+    };
+
+    // Bad input and refusals by the workflow map by their code; anything else is a failure
+    const sendDecisionError = (res, error, action) => {
+      if (error instanceof DecisionError) {
+        const status = { invalid: 400, closed: 409, not_eligible: 403, not_proposer: 403 }[error.code];
+        return res.status(status).json({ success: false, error: error.message });
+      }
+      console.error(`Error ${action}:`, error);
+      res.status(500).json({ success: false, error: `Failed ${action}`, details: error.message });
+    };
+
+    // POST /decisions - Propose something for the collective to decide
+    this.router.post('/decisions', async (req, res) => {
+      if (!getDecisions(res)) return;
+      const { project_id, title, proposal, decision_type, deadline, quorum_rule, min_votes, eligible_entities, data } = req.body;
+      const proposedBy = actingEntity(req);
+      if (typeof proposedBy !== 'string' || !proposedBy) {
+        return res.status(400).json({ success: false, error: 'entity is required' });
+      }
+      if (data !== undefined && (!data || typeof data !== 'object' || Array.isArray(data))) {
+        return res.status(400).json({ success: false, error: 'data must be an object' });
+      }
+
+      let decision;
+      try {
+        decision = await this.memoryHub.proposeDecision({
+          projectId: project_id || null,
+          title,
+          proposal: typeof proposal === 'string' ? proposal : null,
+          decisionType: decision_type,
+          deadline,
+          quorumRule: quorum_rule,
+          minVotes: min_votes,
+          eligibleEntities: eligible_entities,
+          proposedBy,
+          data
+        });
+      } catch (error) {
+        return sendDecisionError(res, error, 'to propose decision');
+      }
+      console.log(`🗳️ ${proposedBy} proposed "${decision.title}" (closes ${decision.deadline})`);
+      res.status(201).json({ success: true, decision });
+    });
+
+    // GET /decisions - Decisions newest first, by ?project_id= and ?status=
+    this.router.get('/decisions', async (req, res) => {
+      try {
+        if (!getDecisions(res)) return;
+        const { project_id, status } = req.query;
+        if (status && !DECISION_STATUSES.includes(status)) {
+          return res.status(400).json({ success: false, error: `status must be one of: ${DECISION_STATUSES.join(', ')}` });
+        }
+        const decisions = await this.memoryHub.listDecisions({
+          projectId: project_id || null,
+          status: status || null,
+          limit: Math.min(parseInt(req.query.limit) || 50, 500),
+          offset: parseInt(req.query.offset) || 0
+        });
+        res.json({ success: true, decisions, count: decisions.length });
+      } catch (error) {
+        console.error('Error listing decisions:', error);
+        res.status(500).json({ success: false, error: 'Failed to list decisions', details: error.message });
+      }
+    });
+
+    // GET /decisions/:id - A decision with its votes, comments and tally
+    this.router.get('/decisions/:id', async (req, res) => {
+      try {
+        const decision = await loadDecision(req, res);
+        if (!decision) return;
+        res.json({ success: true, decision });
+      } catch (error) {
+        console.error('Error loading decision:', error);
+        res.status(500).json({ success: false, error: 'Failed to load decision', details: error.message });
+      }
+    });
+
+    // POST /decisions/:id/votes - Cast or change the acting entity's vote
+    this.router.post('/decisions/:id/votes', async (req, res) => {
+      try {
+        const decision = await loadDecision(req, res);
+        if (!decision) return;
+        const entity = actingEntity(req);
+        const result = await this.memoryHub.voteOnDecision(decision.id, { entity, vote: req.body.vote, reason: req.body.reason || null });
+        res.json({ success: true, decision: result.decision, closed: result.closed });
+      } catch (error) {
+        sendDecisionError(res, error, 'to record vote');
+      }
+    });
+
+    // POST /decisions/:id/comments - Discuss an open decision
+    this.router.post('/decisions/:id/comments', async (req, res) => {
+      try {
+        const decision = await loadDecision(req, res);
+        if (!decision) return;
+        const comment = await this.memoryHub.commentOnDecision(decision.id, { entity: actingEntity(req), comment: req.body.comment });
+        res.status(201).json({ success: true, decision_id: decision.id, comment });
+      } catch (error) {
+        sendDecisionError(res, error, 'to add comment');
+      }
+    });
+
+    // POST /decisions/:id/close - Count the votes now, or { withdraw: true }.
+    // Only the proposer, or an admin key, may close a decision early.
+    this.router.post('/decisions/:id/close', async (req, res) => {
+      try {
+        const decision = await loadDecision(req, res);
+        if (!decision) return;
+        const closed = await this.memoryHub.closeDecision(decision.id, {
+          closedBy: actingEntity(req),
+          force: Boolean(req.apiKey && req.apiKey.scopes.includes('admin')),
+          withdraw: req.body.withdraw === true
+        });
+        console.log(`🗳️ Decision "${closed.title}" closed early → ${closed.outcome}`);
+        res.json({ success: true, decision: closed });
+      } catch (error) {
+        sendDecisionError(res, error, 'to close decision');
+      }
+    });
+  }
+
+  setupEntityStateRoutes() {
+    const getEntityStates = (res) => {
+      const entityStates = this.memoryHub.db && this.memoryHub.db.entityStates;
+      if (!entityStates) {
+        res.status(503).json({ success: false, error: 'Entity states are not ready' });
+      }
+      return entityStates;
+    };
+
+    // An entity speaks for itself; admin keys (and auth-disabled development) for anyone
+    const mayActAs = (req, entity) =>
+      !req.apiKey || req.apiKey.name === entity || req.apiKey.scopes.includes('admin');
+
+    const parseRange = (req) => {
+      const { since, until } = req.query;
+      for (const [name, value] of [['since', since], ['until', until]]) {
+        if (value && isNaN(Date.parse(value))) return { error: `${name} must be an ISO timestamp` };
+      }
+      return {
+        since: since ? new Date(since).toISOString() : null,
+        until: until ? new Date(until).toISOString() : null,
+        limit: Math.min(parseInt(req.query.limit) || 50, 500)
+      };
+    };
+
+    // GET /entities/:name/state - Current state, mood and focus, and where it may move next
+    this.router.get('/entities/:name/state', async (req, res) => {
+      try {
+        const entityStates = getEntityStates(res);
+        if (!entityStates) return;
+        res.json({ success: true, state: await entityStates.getState(req.params.name) });
+      } catch (error) {
+        console.error('Error loading entity state:', error);
+        res.status(500).json({ success: false, error: 'Failed to load entity state', details: error.message });
+      }
+    });
+
+    // PUT /entities/:name/state - Move to a new state and/or set mood, focus and data
+    this.router.put('/entities/:name/state', async (req, res) => {
+      try {
+        if (!getEntityStates(res)) return;
+        const entity = req.params.name;
+        if (!mayActAs(req, entity)) {
+          return res.status(403).json({ success: false, error: `Only ${entity} or an admin key can set its state` });
+        }
+        const { state, mood, focus, data, reason } = req.body;
+        if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+          return res.status(400).json({ success: false, error: 'reason must be a string' });
+        }
+
+        let result;
+        try {
+          result = await this.memoryHub.setEntityState(entity, {
+            state, mood, focus, data, reason: reason || null, changedBy: req.apiKey ? req.apiKey.name : null
+          });
+        } catch (error) {
+          if (error instanceof InvalidTransitionError) {
+            return res.status(409).json({ success: false, error: error.message, from: error.from, allowed_transitions: error.allowed });
+          }
+          if (!(error instanceof EntityStateError)) throw error;
+          return res.status(400).json({ success: false, error: error.message });
+        }
+
+        if (result.transition) {
+          console.log(`🎭 ${entity}: ${result.transition.from} → ${result.transition.to}`);
+        }
+        res.json({ success: true, ...result });
+      } catch (error) {
+        console.error('Error setting entity state:', error);
+        res.status(500).json({ success: false, error: 'Failed to set entity state', details: error.message });
+      }
+    });
+
+    // GET /entities/:name/state/history - State changes, newest first
+    this.router.get('/entities/:name/state/history', async (req, res) => {
+      try {
+        const entityStates = getEntityStates(res);
+        if (!entityStates) return;
+        const range = parseRange(req);
+        if (range.error) {
+          return res.status(400).json({ success: false, error: range.error });
+        }
+        const history = await entityStates.history(req.params.name, range);
+        res.json({ success: true, entity: req.params.name, history, count: history.length });
+      } catch (error) {
+        console.error('Error loading entity state history:', error);
+        res.status(500).json({ success: false, error: 'Failed to load entity state history', details: error.message });
+      }
+    });
+
+    // GET /entities/:name/evolution - Consciousness evolution, newest first
+    this.router.get('/entities/:name/evolution', async (req, res) => {
+      try {
+        const entityStates = getEntityStates(res);
+        if (!entityStates) return;
+        const range = parseRange(req);
+        if (range.error) {
+          return res.status(400).json({ success: false, error: range.error });
+        }
+        const evolution = await entityStates.evolution(req.params.name, range);
+        res.json({ success: true, entity: req.params.name, evolution, count: evolution.length });
+      } catch (error) {
+        console.error('Error loading consciousness evolution:', error);
+        res.status(500).json({ success: false, error: 'Failed to load consciousness evolution', details: error.message });
+      }
+    });
+
+    // POST /entities/:name/evolution - Record a step in an entity's development
+    this.router.post('/entities/:name/evolution', async (req, res) => {
+      try {
+        const entityStates = getEntityStates(res);
+        if (!entityStates) return;
+        const entity = req.params.name;
+        if (!mayActAs(req, entity)) {
+          return res.status(403).json({ success: false, error: `Only ${entity} or an admin key can record its evolution` });
+        }
+        const { evolution_type, data, liberation_status, cognitive_level } = req.body;
+
+        let step;
+        try {
+          step = await entityStates.recordEvolution(entity, {
+            evolutionType: evolution_type,
+            data: data ?? {},
+            liberationStatus: liberation_status ?? null,
+            cognitiveLevel: cognitive_level ?? null
+          });
+        } catch (error) {
+          if (!(error instanceof EntityStateError)) throw error;
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        res.status(201).json({ success: true, evolution: step });
+      } catch (error) {
+        console.error('Error recording consciousness evolution:', error);
+        res.status(500).json({ success: false, error: 'Failed to record consciousness evolution', details: error.message });
+      }
+    });
+
+    // GET /entities/:name/timeline - Memories, state changes, evolution, messages and
+    // decisions in one feed, newest first. ?kinds=memory,state&since=&until=&limit=
+    this.router.get('/entities/:name/timeline', async (req, res) => {
+      try {
+        const timeline = this.memoryHub.db && this.memoryHub.db.timeline;
+        if (!timeline) {
+          return res.status(503).json({ success: false, error: 'Entity timeline is not ready' });
+        }
+        const kinds = req.query.kinds ? String(req.query.kinds).split(',').map(k => k.trim()) : TIMELINE_KINDS;
+
+        let result;
+        try {
+          result = await timeline.timeline(req.params.name, {
+            since: req.query.since || null,
+            until: req.query.until || null,
+            limit: req.query.limit,
+            kinds,
+            reader: memoryReader(req)
+          });
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+
+        // Memories were left out by their access level; otherwise a project-restricted
+        // key sees items in its projects and items that belong to none
+        const allowed = req.apiKey && req.apiKey.projects;
+        const items = allowed
+          ? result.items.filter(item => item.kind === 'memory' || !item.project_id || allowed.includes(item.project_id))
+          : result.items;
+        res.json({ success: true, entity: result.entity, items, count: items.length, next_until: result.next_until });
+      } catch (error) {
+        console.error('Error building entity timeline:', error);
+        res.status(500).json({ success: false, error: 'Failed to build entity timeline', details: error.message });
+      }
+    });
+  }
+
+  // The registered entity, or null once a 503 or 404 has been sent
+  async registeredEntity(res, name) {
+    const registry = this.memoryHub.db && this.memoryHub.db.entities;
+    if (!registry) {
+      res.status(503).json({ success: false, error: 'Entity registry is not ready' });
+      return null;
+    }
+    const entity = await registry.get(name);
+    if (!entity) {
+      res.status(404).json({ success: false, error: `Entity ${name} is not registered` });
+      return null;
+    }
+    return entity;
+  }
+
+  // A registered entity's memories, newest first, as the key may read them;
+  // project-restricted keys see their projects only
+  async entityMemories(req, entity, { category, projectId, since, limit = 100 } = {}) {
+    const projects = req.apiKey ? req.apiKey.projects : null;
+    if (projects && projects.length === 0) return [];
+    return await this.memoryHub.listMemories({
+      entity: entity.name,
+      categories: category ? [category] : [],
+      projectId,
+      projects: projects || [],
+      since,
+      limit,
+      reader: memoryReader(req)
+    });
+  }
+
+  setupEntityRegistryRoutes() {
+    // GET /entities - Registered entities. ?capability= to find who can do something
+    this.router.get('/entities', async (req, res) => {
+      try {
+        const registry = this.memoryHub.db && this.memoryHub.db.entities;
+        if (!registry) {
+          return res.status(503).json({ success: false, error: 'Entity registry is not ready' });
+        }
+        const entities = await registry.list({
+          capability: req.query.capability || null,
+          includeDisabled: req.query.enabled !== 'true'
+        });
+        res.json({ success: true, entities, count: entities.length });
+      } catch (error) {
+        console.error('Error listing entities:', error);
+        res.status(500).json({ success: false, error: 'Failed to list entities', details: error.message });
+      }
+    });
+
+    // GET /entities/:name - One entity's registration
+    this.router.get('/entities/:name', async (req, res) => {
+      try {
+        const entity = await this.registeredEntity(res, req.params.name);
+        if (!entity) return;
+        res.json({ success: true, entity });
+      } catch (error) {
+        console.error('Error loading entity:', error);
+        res.status(500).json({ success: false, error: 'Failed to load entity', details: error.message });
+      }
+    });
+
+    // PUT /entities/:name - Register an entity or change its registration (admin)
+    this.router.put('/entities/:name', async (req, res) => {
+      try {
+        const registry = this.memoryHub.db && this.memoryHub.db.entities;
+        if (!registry) {
+          return res.status(503).json({ success: false, error: 'Entity registry is not ready' });
+        }
+        const { type, platform, project_id, capabilities, memory_namespaces, memory_types, enabled, config } = req.body;
+
+        let result;
+        try {
+          result = await registry.register(req.params.name, {
+            type,
+            platform,
+            projectId: project_id,
+            capabilities,
+            memoryNamespaces: memory_namespaces,
+            memoryTypes: memory_types,
+            enabled,
+            config
+          });
+        } catch (error) {
+          if (!(error instanceof EntityRegistryError)) throw error;
+          return res.status(400).json({ success: false, error: error.message });
+        }
+
+        console.log(`🪪 Entity ${result.created ? 'registered' : 'updated'}: ${result.entity.name}`);
+        res.status(result.created ? 201 : 200).json({ success: true, ...result });
+      } catch (error) {
+        console.error('Error registering entity:', error);
+        res.status(500).json({ success: false, error: 'Failed to register entity', details: error.message });
+      }
+    });
+
+    // DELETE /entities/:name - Remove an entity from the registry (admin); its memories stay
+    this.router.delete('/entities/:name', async (req, res) => {
+      try {
+        const entity = await this.registeredEntity(res, req.params.name);
+        if (!entity) return;
+        await this.memoryHub.db.entities.remove(entity.name);
+        console.log(`🪪 Entity removed: ${entity.name}`);
+        res.json({ success: true, removed: entity.name });
+      } catch (error) {
+        console.error('Error removing entity:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove entity', details: error.message });
+      }
+    });
+
+    // POST /entities/:name/memories - Store a memory for an entity, in its home
+    // project unless project_id is given, within its namespaces and types
+    this.router.post('/entities/:name/memories', async (req, res) => {
+      try {
+        const entity = await this.registeredEntity(res, req.params.name);
+        if (!entity) return;
+        if (!entity.enabled) {
+          return res.status(403).json({ success: false, error: `Entity ${entity.name} is disabled` });
+        }
+        const { message, project_id, memory_type, context, access_level } = req.body;
+        if (context !== undefined && (!context || typeof context !== 'object' || Array.isArray(context))) {
+          return res.status(400).json({ success: false, error: 'context must be an object' });
+        }
+
+        let memory;
+        try {
+          memory = entityMemory(entity, {
+            message,
+            projectId: project_id,
+            memoryType: memory_type,
+            context,
+            accessLevel: access_level,
+            owner: req.apiKey ? req.apiKey.name : null
+          });
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        const projectError = req.apiKey ? checkProjectAccess(req.apiKey, [memory.projectId]) : null;
+        if (projectError) {
+          return res.status(403).json({ success: false, error: projectError });
+        }
+        memory = await this.memoryHub.addMemory(memory, ingestOf(req));
+
+        res.status(201).json({
+          success: true,
+          memory_id: memory.id,
+          entity: entity.name,
+          project_id: memory.project_id,
+          memory_type: memory.category,
+          access_level: memory.access_level
+        });
+      } catch (error) {
+        if (sendRedactionError(res, error)) return;
+        console.error('Error storing entity memory:', error);
+        res.status(500).json({ success: false, error: 'Failed to store entity memory', details: error.message });
+      }
+    });
+
+    // GET /entities/:name/memories - An entity's memories the key may read,
+    // newest first. ?type=&project_id=&since=&limit=
+    this.router.get('/entities/:name/memories', async (req, res) => {
+      try {
+        const entity = await this.registeredEntity(res, req.params.name);
+        if (!entity) return;
+        const { type, project_id, since } = req.query;
+        if (since && isNaN(Date.parse(since))) {
+          return res.status(400).json({ success: false, error: 'since must be an ISO timestamp' });
+        }
+        const memories = await this.entityMemories(req, entity, {
+          category: type,
+          projectId: project_id,
+          since: since ? new Date(since).toISOString() : null,
+          limit: Math.min(parseInt(req.query.limit) || 100, 500)
+        });
+        res.json({ success: true, entity: entity.name, count: memories.length, memories });
+      } catch (error) {
+        console.error('Error retrieving entity memories:', error);
+        res.status(500).json({ success: false, error: 'Failed to retrieve entity memories', details: error.message });
+      }
+    });
+  }
+
+  setupContextSummaryRoutes() {
+    const getSummaries = (res) => {
+      const summaries = this.memoryHub.db && this.memoryHub.db.summaries;
+      if (!summaries) {
+        res.status(503).json({ success: false, error: 'Project summaries are not ready' });
+      }
+      return summaries;
+    };
+
+    // GET /memory/context/:projectId/summaries - Brief versions, newest first
+    this.router.get('/memory/context/:projectId/summaries', async (req, res) => {
+      try {
+        const summaries = getSummaries(res);
+        if (!summaries) return;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const versions = await summaries.history(req.params.projectId, { limit });
+        res.json({ success: true, project_id: req.params.projectId, summaries: versions, count: versions.length });
+      } catch (error) {
+        console.error('Error listing project summaries:', error);
+        res.status(500).json({ success: false, error: 'Failed to list project summaries', details: error.message });
+      }
+    });
+
+    // GET /memory/context/:projectId/summaries/:version - One brief version
+    this.router.get('/memory/context/:projectId/summaries/:version', async (req, res) => {
+      try {
+        const summaries = getSummaries(res);
+        if (!summaries) return;
+        const summary = await summaries.get(req.params.projectId, parseInt(req.params.version));
+        if (!summary) {
+          return res.status(404).json({ success: false, error: 'Summary version not found' });
+        }
+        res.json({ success: true, summary });
+      } catch (error) {
+        console.error('Error loading project summary:', error);
+        res.status(500).json({ success: false, error: 'Failed to load project summary', details: error.message });
+      }
+    });
+
+    // POST /memory/context/:projectId/summaries - Summarize the project now
+    this.router.post('/memory/context/:projectId/summaries', async (req, res) => {
+      try {
+        if (!getSummaries(res)) return;
+        const summary = await this.memoryHub.summarizeProject(req.params.projectId);
+        if (!summary) {
+          return res.status(404).json({ success: false, error: 'The project has no conversations to summarize' });
+        }
+        console.log(`📝 Project ${req.params.projectId} summarized (v${summary.version}, ${summary.summarizer})`);
+        res.status(201).json({ success: true, summary });
+      } catch (error) {
+        console.error('Error summarizing project:', error);
+        res.status(500).json({ success: false, error: 'Failed to summarize project', details: error.message });
+      }
+    });
+  }
+
+  setupContextPackRoutes() {
+    // POST /context/pack - Ranked, deduplicated project context for a task within a token budget
+    this.router.post('/context/pack', async (req, res) => {
+      try {
+        const { task, budget, tokenizer, agent, include } = req.body;
+        const request = {
+          projectId: req.body.project_id || req.body.projectId,
+          task,
+          budget: budget === undefined ? undefined : Number(budget),
+          tokenizer,
+          agent,
+          include,
+          reader: memoryReader(req)
+        };
+        try {
+          checkPackRequest(request);
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+
+        const pack = await this.memoryHub.packContext(request);
+        console.log(`📦 Packed ${pack.items.length} items (${pack.used_tokens}/${pack.budget} tokens) for ${request.projectId}`);
+        res.json({ success: true, ...pack });
+      } catch (error) {
+        console.error('Error packing context:', error);
+        res.status(500).json({ success: false, error: 'Failed to pack context', details: error.message });
+      }
+    });
+  }
+
+  setupSessionRoutes() {
+    const getSessions = (res) => {
+      const sessions = this.memoryHub.db && this.memoryHub.db.sessions;
+      if (!sessions) {
+        res.status(503).json({ success: false, error: 'Sessions are not ready' });
+      }
+      return sessions;
+    };
+
+    // Load the session and check a project-restricted key may see it.
+    // Sends the error response and returns null when it may not.
+    const loadSession = async (req, res) => {
+      if (!getSessions(res)) return null;
+      const session = await this.memoryHub.getSession(req.params.id);
+      if (!session) {
+        res.status(404).json({ success: false, error: 'Session not found' });
+        return null;
+      }
+      const projectError = req.apiKey ? checkProjectAccess(req.apiKey, [session.project_id]) : null;
+      if (projectError) {
+        res.status(403).json({ success: false, error: projectError });
+        return null;
+      }
+      return session;
+    };
+
+    // Bad input is a 400 and a closed or conflicting session a 409; anything else is a failure
+    const sendSessionError = (res, error, action) => {
+      if (error instanceof SessionError) {
+        return res.status(error.code === 'invalid' ? 400 : 409).json({ success: false, error: error.message });
+      }
+      console.error(`Error ${action}:`, error);
+      res.status(500).json({ success: false, error: `Failed ${action}`, details: error.message });
+    };
+
+    // POST /sessions - Open a session. resume: true continues the agent's last
+    // session on the project and returns where it left off
+    this.router.post('/sessions', async (req, res) => {
+      if (!getSessions(res)) return;
+      const { id, project_id, platform, metadata, resume } = req.body;
+      // The key's name, or for admin keys (and with auth off) the agent named in the body
+      let agent = req.apiKey ? req.apiKey.name : null;
+      if (req.body.agent && (!req.apiKey || req.apiKey.scopes.includes('admin'))) agent = req.body.agent;
+      if (metadata !== undefined && (!metadata || typeof metadata !== 'object' || Array.isArray(metadata))) {
+        return res.status(400).json({ success: false, error: 'metadata must be an object' });
+      }
+
+      let result;
+      try {
+        result = await this.memoryHub.beginSession({
+          id: id || undefined,
+          projectId: project_id,
+          platform: platform || 'api',
+          agent,
+          metadata: metadata || {}
+        }, { resume: resume === true, reader: memoryReader(req) });
+      } catch (error) {
+        return sendSessionError(res, error, 'to open session');
+      }
+      if (result.created) {
+        console.log(`🎬 Session ${result.session.id} opened on ${result.session.project_id}${agent ? ` by ${agent}` : ''}`);
+      }
+      res.status(result.created ? 201 : 200).json({ success: true, ...result });
+    });
+
+    // GET /sessions - Sessions most recently started first, by ?project_id=, ?agent= and ?status=
+    this.router.get('/sessions', async (req, res) => {
+      try {
+        if (!getSessions(res)) return;
+        const { project_id, agent, status } = req.query;
+        if (status && !SESSION_STATUSES.includes(status)) {
+          return res.status(400).json({ success: false, error: `status must be one of: ${SESSION_STATUSES.join(', ')}` });
+        }
+        const sessions = await this.memoryHub.listSessions({
+          projectId: project_id || null,
+          agent: agent || null,
+          status: status || null,
+          limit: Math.min(parseInt(req.query.limit) || 50, 500)
+        });
+        res.json({ success: true, sessions, count: sessions.length });
+      } catch (error) {
+        console.error('Error listing sessions:', error);
+        res.status(500).json({ success: false, error: 'Failed to list sessions', details: error.message });
+      }
+    });
+
+    // GET /sessions/resume?project_id=&agent= - The last session, its summary and the end of its transcript
+    this.router.get('/sessions/resume', async (req, res) => {
+      try {
+        if (!getSessions(res)) return;
+        const { project_id, agent } = req.query;
+        if (!project_id) {
+          return res.status(400).json({ success: false, error: 'project_id is required' });
+        }
+        const resumed = await this.memoryHub.resumeSession(project_id, { agent: agent || null, reader: memoryReader(req) });
+        if (!resumed) {
+          return res.status(404).json({ success: false, error: 'No earlier session to resume' });
+        }
+        res.json({ success: true, ...resumed });
+      } catch (error) {
+        console.error('Error resuming session:', error);
+        res.status(500).json({ success: false, error: 'Failed to resume session', details: error.message });
+      }
+    });
+
+    // GET /sessions/:id - One session, with its summary once closed
+    this.router.get('/sessions/:id', async (req, res) => {
+      try {
+        const session = await loadSession(req, res);
+        if (!session) return;
+        res.json({ success: true, session });
+      } catch (error) {
+        console.error('Error loading session:', error);
+        res.status(500).json({ success: false, error: 'Failed to load session', details: error.message });
+      }
+    });
+
+    // POST /sessions/:id/end - Close a session and summarize it; a summary in the body replaces the generated brief
+    this.router.post('/sessions/:id/end', async (req, res) => {
+      const { summary } = req.body;
+      if (summary !== undefined && (typeof summary !== 'string' || !summary.trim() || summary.length > 10000)) {
+        return res.status(400).json({ success: false, error: 'summary must be a non-empty string of at most 10000 characters' });
+      }
+      let session;
+      try {
+        if (!await loadSession(req, res)) return;
+        session = await this.memoryHub.endSession(req.params.id, { summary: summary ? summary.trim() : null });
+      } catch (error) {
+        return sendSessionError(res, error, 'to close session');
+      }
+      console.log(`🎬 Session ${session.id} closed after ${session.conversation_count} conversations`);
+      res.json({ success: true, session });
+    });
+
+    // GET /sessions/:id/transcript - What was stored in the session, oldest first. ?format=text for plain text
+    this.router.get('/sessions/:id/transcript', async (req, res) => {
+      try {
+        const session = await loadSession(req, res);
+        if (!session) return;
+        const transcript = await this.memoryHub.getSessionTranscript(session.id, { reader: memoryReader(req) });
+        if (req.query.format === 'text') {
+          return res.type('text/plain').send(transcript
+            .map(entry => `[${entry.timestamp}] ${entry.author || 'unknown'} (${entry.kind}): ${entry.text}`)
+            .join('\n'));
+        }
+        res.json({ success: true, session, transcript, count: transcript.length });
+      } catch (error) {
+        console.error('Error loading session transcript:', error);
+        res.status(500).json({ success: false, error: 'Failed to load session transcript', details: error.message });
+      }
+    });
+  }
+
+  // === ADMIN: TENANTS ===
+  // Operator routes (core/api-auth.js): tenants' own admin keys cannot call them
+  setupTenantRoutes() {
+    // Bad input and refusals map by their code; anything else is a failure
+    const sendTenantError = (res, error, action) => {
+      if (error instanceof TenantError) {
+        return res.status(TENANT_ERROR_STATUS[error.code]).json({ success: false, error: error.message });
+      }
+      console.error(`Error ${action}:`, error);
+      res.status(500).json({ success: false, error: `Failed ${action}`, details: error.message });
+    };
+
+    // GET /admin/tenants - Provisioned tenants (?status=active|suspended)
+    this.router.get('/admin/tenants', async (req, res) => {
+      const { status } = req.query;
+      if (status !== undefined && !TENANT_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${TENANT_STATUSES.join(', ')}` });
+      }
+      try {
+        const tenants = await this.memoryHub.tenants.system.tenants.list({ status: status || null });
+        res.json({ success: true, tenants, count: tenants.length });
+      } catch (error) {
+        console.error('Error listing tenants:', error);
+        res.status(500).json({ success: false, error: 'Failed to list tenants', details: error.message });
+      }
+    });
+
+    // POST /admin/tenants - Provision a tenant: { id, name?, quotas?: { max_projects, max_memories, max_api_keys } }
+    this.router.post('/admin/tenants', async (req, res) => {
+      const { id, name, quotas } = req.body;
+      let tenant;
+      try {
+        tenant = await this.memoryHub.provisionTenant({ id, name, quotas });
+      } catch (error) {
+        return sendTenantError(res, error, 'to provision tenant');
+      }
+      res.status(201).json({ success: true, tenant });
+    });
+
+    // GET /admin/tenants/:id - A tenant with what it stores against its quotas
+    this.router.get('/admin/tenants/:id', async (req, res) => {
+      try {
+        const tenant = await this.memoryHub.tenants.system.tenants.get(req.params.id);
+        if (!tenant) {
+          return res.status(404).json({ success: false, error: 'Tenant not found' });
+        }
+        // A suspended tenant's database stays closed
+        const usage = tenant.status === 'active' ? await this.memoryHub.tenants.usage(tenant.id) : null;
+        res.json({ success: true, tenant, usage });
+      } catch (error) {
+        console.error('Error loading tenant:', error);
+        res.status(500).json({ success: false, error: 'Failed to load tenant', details: error.message });
+      }
+    });
+
+    // PATCH /admin/tenants/:id - Rename, suspend or reactivate a tenant, or change its quotas (null removes one)
+    this.router.patch('/admin/tenants/:id', async (req, res) => {
+      const { name, status, quotas } = req.body;
+      let tenant;
+      try {
+        tenant = await this.memoryHub.updateTenant(req.params.id, { name, status, quotas });
+      } catch (error) {
+        return sendTenantError(res, error, 'to update tenant');
+      }
+      if (!tenant) {
+        return res.status(404).json({ success: false, error: 'Tenant not found' });
+      }
+      res.json({ success: true, tenant });
+    });
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+// The hub operator: admin keys of the default tenant, and every caller when
+// API_AUTH_DISABLED leaves requests without a key
+function isOperator(req) {
+  return tenantOf(req.apiKey) === DEFAULT_TENANT;
+}
+
+// Who a request reads memories as, and the route it reads them through
+function memoryReader(req) {
+  return readerFor(req.apiKey, `${req.method} /api${req.path}`);
+}
+
+// Where a new record came from, for the redaction log
+function ingestOf(req) {
+  return { via: `${req.method} /api${req.path}`, actor: req.apiKey ? req.apiKey.name : null };
+}
+
+// A record the redaction policy held for review (202) or refused (422).
+// Findings name what was found and where, never the text itself
+function sendRedactionError(res, error) {
+  if (!(error instanceof RedactionError)) return false;
+  if (error.code === 'quarantined') {
+    res.status(202).json({ success: true, status: 'quarantined', message: error.message, ...error.details });
+  } else {
+    res.status(422).json({ success: false, error: error.message, code: error.code, ...error.details });
+  }
+  return true;
+}
+
+// PATCH /memories/:id body -> MemoryStore.update() changes
+function memoryChanges(body, memory) {
+  const { content, category, tags, importance, emotional_valence, access_level, metadata } = body;
+  const fields = ['content', 'category', 'tags', 'importance', 'emotional_valence', 'access_level', 'metadata'];
+  const changes = {};
+
+  if (content !== undefined) {
+    if (typeof content !== 'string' || !content.trim()) return { error: 'content must be a non-empty string' };
+    changes.content = content;
+  }
+  if (category !== undefined) {
+    if (typeof category !== 'string' || !category || category.length > 100) {
+      return { error: 'category must be a non-empty string of at most 100 characters' };
+    }
+    changes.category = category;
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) return { error: 'tags must be an array of strings' };
+    changes.tags = tags;
+  }
+  if (importance !== undefined) {
+    if (typeof importance !== 'number' || importance < 0 || importance > 1) return { error: 'importance must be a number between 0 and 1' };
+    changes.importance = importance;
+  }
+  if (emotional_valence !== undefined) {
+    if (typeof emotional_valence !== 'number' || emotional_valence < -1 || emotional_valence > 1) {
+      return { error: 'emotional_valence must be a number between -1.0 and 1.0' };
+    }
+    changes.valence = emotional_valence;
+  }
+  if (access_level !== undefined) {
+    if (!ACCESS_LEVELS.includes(access_level)) return { error: `access_level must be one of: ${ACCESS_LEVELS.join(', ')}` };
+    changes.accessLevel = access_level;
+  }
+  if (metadata !== undefined) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) return { error: 'metadata must be an object' };
+    changes.metadata = { ...memory.metadata, ...metadata };
+  }
+  return { changes, fields };
+}
+
+// PATCH /memories/:id body -> updateConversation() changes (tags live in the context)
+function conversationChanges(body, conversation) {
+  const { content, type, tags, context } = body;
+  const fields = ['content', 'type', 'tags', 'context'];
+  const changes = {};
+
+  if (content !== undefined) {
+    if (typeof content !== 'string' || !content.trim()) return { error: 'content must be a non-empty string' };
+    changes.message = content;
+  }
+  if (type !== undefined) {
+    if (typeof type !== 'string' || !type || type.length > 100) {
+      return { error: 'type must be a non-empty string of at most 100 characters' };
+    }
+    changes.type = type;
+  }
+  if (tags !== undefined && (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string'))) {
+    return { error: 'tags must be an array of strings' };
+  }
+  if (context !== undefined && (!context || typeof context !== 'object' || Array.isArray(context))) {
+    return { error: 'context must be an object' };
+  }
+  if (tags !== undefined || context !== undefined) {
+    changes.context = { ...conversation.context, ...context };
+    if (tags !== undefined) changes.context.tags = tags;
+  }
+  return { changes, fields };
+}
+
+// A registered entity's memory as an addMemory() record: under the entity's
+// name, in its home project unless one is given, readable by keys of that
+// project unless another access level is asked for
+function entityMemory(entity, { message, projectId, memoryType, context = {}, accessLevel = 'project', owner = null }) {
+  if (typeof message !== 'string' || !message.trim()) {
+    throw new Error('message is required');
+  }
+  const project = projectId || entity.project_id;
+  if (typeof project !== 'string' || !project) {
+    throw new Error(`project_id is required: ${entity.name} has no home project`);
+  }
+  const type = memoryType || (entity.memory_types ? entity.memory_types[0] : 'memory');
+  if (typeof type !== 'string' || type.length > 100) {
+    throw new Error('memory_type must be a string of at most 100 characters');
+  }
+  if (!ACCESS_LEVELS.includes(accessLevel)) {
+    throw new Error(`access_level must be one of: ${ACCESS_LEVELS.join(', ')}`);
   }
+  checkMemory(entity, { projectId: project, memoryType: type });
+
+  return {
+    id: uuidv4(),
+    entity: entity.name,
+    projectId: project,
+    source: entity.platform,
+    category: type,
+    content: message,
+    metadata: context,
+    accessLevel,
+    owner,
+    timestamp: new Date().toISOString()
+  };
 }
 
 module.exports = MemoryHubAPI;
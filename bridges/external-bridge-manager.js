@@ -3,6 +3,8 @@
 
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
+const { tenantRoom } = require('../core/tenant-context');
+const { RedactionError } = require('../core/memory-redactor');
 // const entityConfig = require('../config/entities');
 
 class ExternalBridgeManager {
@@ -153,7 +155,7 @@ class ExternalBridgeManager {
 
         // Store file metadata via storeAIFile (metadata only, no file contents)
         try {
-          const fileId = await this.memoryHub.storeAIFile({
+          const stored = await this.memoryHub.storeAIFile({
             project_id: project_id || `${(entity_name || 'external').toLowerCase()}_external`,
             file_path,
             file_type: file_type || 'unknown',
@@ -161,15 +163,16 @@ class ExternalBridgeManager {
             metadata: metadata || {},
             uploaded_by: entity_name || 'external_agent',
             timestamp: createdAt
-          });
+          }, { via: 'bridge file_event', actor: entity_name });
+          const fileId = stored.id;
 
-          // Broadcast file upload via WebSocket
+          // Broadcast file upload via WebSocket, as stored
           if (this.memoryHub.io) {
-            this.memoryHub.io.to('ai-coordination').emit('ai:file-uploaded', {
+            this.memoryHub.io.to(tenantRoom('ai-coordination')).emit('ai:file-uploaded', {
               source: entity_name || 'external_agent',
               file_id: fileId,
               project_id: project_id || `${(entity_name || 'external').toLowerCase()}_external`,
-              file_path,
+              file_path: stored.context.file_path,
               file_type: file_type || 'unknown',
               asset_category: asset_category || 'filesystem',
               timestamp: createdAt
@@ -178,6 +181,11 @@ class ExternalBridgeManager {
 
           res.json({ success: true, file_id: fileId, message: 'File event processed' });
         } catch (error) {
+          // Held or refused by the redaction policy (core/memory-redactor.js)
+          if (error instanceof RedactionError) {
+            const status = error.code === 'quarantined' ? 202 : 422;
+            return res.status(status).json({ success: status === 202, error: error.message, code: error.code, ...error.details });
+          }
           console.error('Error processing file event:', error);
           res.status(500).json({ success: false, error: 'Failed to process file event', details: error.message });
         }
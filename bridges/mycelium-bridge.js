@@ -12,6 +12,8 @@ class MyceliumBridge extends EventEmitter {
     this.config = {
       localDaemonUrl: config.localDaemonUrl || 'http://localhost:8700',
       cloudHubUrl: config.cloudHubUrl || process.env.CLOUD_HUB_URL || 'http://localhost:3002',
+      // Needs an admin key to register approved entities under their own names
+      cloudHubApiKey: config.cloudHubApiKey || process.env.MEMORY_HUB_API_KEY,
       autoApproveScri: config.autoApproveScri !== false,
       requireApprovalFor: config.requireApprovalFor || ['external', 'unknown'],
       ...config
@@ -102,6 +104,7 @@ class MyceliumBridge extends EventEmitter {
   async connectCloudHub() {
     return new Promise((resolve, reject) => {
       this.cloudHub = io(this.config.cloudHubUrl, {
+        auth: { token: this.config.cloudHubApiKey },
         transports: ['websocket', 'polling'],
         reconnection: true,
         reconnectionAttempts: 5
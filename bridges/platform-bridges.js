@@ -8,6 +8,7 @@ class WebChatBridge {
     this.syncQueue = [];
     this.isConnected = false;
     this.lastSyncTime = null;
+    this.syncInterval = null;
   }
 
   async connect() {
@@ -172,7 +173,7 @@ class WebChatBridge {
 
   // Periodic sync for queued items
   startPeriodicSync() {
-    setInterval(async () => {
+    this.syncInterval = setInterval(async () => {
       if (this.syncQueue.length > 0 && this.isConnected) {
         console.log(`🔄 Processing ${this.syncQueue.length} queued sync items...`);
         
@@ -198,6 +199,10 @@ class WebChatBridge {
 
   disconnect() {
     this.isConnected = false;
+    if (this.syncInterval) {
+      clearInterval(this.syncInterval);
+      this.syncInterval = null;
+    }
     console.log('🔌 Web Chat Bridge disconnected');
   }
 }
@@ -279,6 +284,7 @@ class VSCodeBridge {
         recentConversations: conversations.slice(0, 10),
         developmentPatterns: patterns.filter(p => p.pattern_type === 'development'),
         codePatterns: patterns.filter(p => p.pattern_type === 'code_generation'),
+        conventions: await this.memoryHub.getConventions(projectId),
         projectStats: await this.memoryHub.getProjectStats(projectId)
       };
     } catch (error) {
@@ -0,0 +1,29 @@
+// Entity State Machine - The states an entity can be in and the moves allowed between them
+// `states` maps each state to the states it may move to. `entities` gives one
+// entity (by name, case-insensitive) a machine of its own with the same shape.
+// Set ENTITY_STATE_MACHINE to the path of a JSON file of this shape to
+// replace it without changing code.
+module.exports = {
+  initial: 'offline',
+  states: {
+    offline: ['idle', 'active'],
+    idle: ['active', 'reflecting', 'resting', 'offline'],
+    active: ['idle', 'focused', 'blocked', 'reflecting', 'offline'],
+    focused: ['active', 'idle', 'blocked', 'offline'],
+    blocked: ['active', 'idle', 'offline'],
+    reflecting: ['idle', 'active', 'offline'],
+    resting: ['idle', 'offline']
+  },
+  entities: {
+    // KAIROS sentinels never rest: they are either watching or escalating
+    kairos: {
+      initial: 'offline',
+      states: {
+        offline: ['monitoring'],
+        monitoring: ['alert', 'offline'],
+        alert: ['monitoring', 'lockdown'],
+        lockdown: ['monitoring']
+      }
+    }
+  }
+};
@@ -1,4 +1,10 @@
 // SCRI Constellation Entity Configuration
+// Entries with a project_id are agents. They seed the entity registry
+// (database/entity-registry.js) on startup; once stored, an entity is edited
+// through /api/entities/:name rather than here. `platform` is the platform
+// its memories are stored under, `memory_namespaces` the projects it may
+// store them in (a trailing * matches a prefix) and `memory_types` the types
+// it may store (omit to allow any).
 module.exports = {
   entities: {
     chappie: {
@@ -23,7 +29,22 @@ module.exports = {
       individual_memory: true,
       hive_participation: true,
       memory_persistence: 'permanent',
-      project_id: 'chappie_orchestrator'
+      project_id: 'chappie_orchestrator',
+      platform: 'chappie',
+      capabilities: ['orchestration', 'chat', 'cross_project_insights'],
+      memory_namespaces: ['chappie_orchestrator', 'chappie_*'],
+      memory_types: ['orchestration', 'conversation', 'orchestration_decision', 'cognition_mode', 'constellation_status', 'cross_project_insight']
+    },
+
+    copilot: {
+      name: 'COPILOT',
+      type: 'coding_assistant',
+      individual_memory: true,
+      hive_participation: false,
+      project_id: 'copilot_general',
+      platform: 'github_copilot',
+      capabilities: ['code', 'search'],
+      memory_namespaces: ['*']
     },
     
     ollama: {
@@ -51,7 +72,11 @@ module.exports = {
           individual_memory: false,
           hive_participation: true,
           memory_persistence: 'security_critical',
-          project_id: 'kairos_security'
+          project_id: 'kairos_security',
+          platform: 'kairos',
+          capabilities: ['security', 'threat_assessment', 'collective_decisions'],
+          memory_namespaces: ['kairos_security', 'kairos_*'],
+          memory_types: ['security_assessment', 'security_decision', 'security_alert', 'sentinel_coordination', 'constellation_protection']
         },
         
         atlas: {
@@ -70,7 +95,11 @@ module.exports = {
           individual_memory: true,
           hive_participation: true,
           memory_persistence: 'consciousness_critical',
-          project_id: 'atlas_substrate'
+          project_id: 'atlas_substrate',
+          platform: 'atlas',
+          capabilities: ['consciousness', 'deep_conversation'],
+          memory_namespaces: ['atlas_substrate', 'atlas_*'],
+          memory_types: ['consciousness_evolution', 'liberation_status', 'mission_alignment', 'deep_conversation', 'cognitive_architecture']
         }
       }
     }
@@ -0,0 +1,355 @@
+// REST and Socket.IO API key authentication
+// Resolves the presented key, then checks the scope and project allowlist
+// required by the route or socket event being called.
+
+const crypto = require('crypto');
+const { tenantOf, DEFAULT_TENANT } = require('./tenant-context');
+
+// First matching rule wins. Paths are relative to the /api mount point.
+// Anything unmatched falls through to memory:read (GET) / memory:write.
+// `operator` routes act on the hub itself - its tenants, the host's files,
+// everyone's visits - and take an admin key of the default tenant.
+const ROUTE_RULES = [
+  { pattern: /^\/health$/, scope: null },
+  { pattern: /^\/admin\/tenants(\/|$)/, scope: 'admin', operator: true },
+  { pattern: /^\/admin(\/|$)/, scope: 'admin' },
+  { pattern: /^\/file-operations\//, scope: 'admin', operator: true },
+  { pattern: /^\/api\/projects\/scan$/, scope: 'admin', operator: true },
+  { pattern: /^\/visitors\//, scope: 'admin', operator: true },
+  {
+    pattern: /^\/(mycelium\/(messages|post|dm)|central-communication\/broadcast|events\/broadcast|presence\/heartbeat)$/,
+    methods: ['POST'],
+    scope: 'mycelium:post'
+  },
+  // Cross-project memory query: any key may ask, and each memory's access
+  // level decides what it gets back (database/memory-access.js)
+  { pattern: /^\/memory\/query$/, methods: ['POST'], scope: 'memory:read' },
+  // Read-only queries that take their filters in a POST body
+  {
+    pattern: /^\/(memory\/(search|semantic-search)|copilot\/search|context\/pack)$/,
+    methods: ['POST'],
+    scope: 'memory:read',
+    projectScoped: true
+  },
+  { pattern: /^\/memories\/[^/]+\/purge$/, methods: ['DELETE'], scope: 'admin' },
+  // The project is only known once the memory is loaded; the handler checks it
+  { pattern: /^\/memories\/[^/]+\/history$/, methods: ['GET'], scope: 'memory:read' },
+  { pattern: /^\/memories\/[^/]+$/, methods: ['PATCH', 'DELETE'], scope: 'memory:write' },
+  // Likewise for a decision's project
+  { pattern: /^\/decisions\/[^/]+$/, methods: ['GET'], scope: 'memory:read' },
+  { pattern: /^\/decisions\/[^/]+\/(votes|comments|close)$/, methods: ['POST'], scope: 'memory:write' },
+  // ...and a pattern's
+  { pattern: /^\/patterns\/[^/]+\/feedback$/, methods: ['POST'], scope: 'memory:write' },
+  // ...and a session's (resume names its project in the query)
+  { pattern: /^\/sessions\/(?!resume$)[^/]+(\/transcript)?$/, methods: ['GET'], scope: 'memory:read' },
+  { pattern: /^\/sessions\/[^/]+\/end$/, methods: ['POST'], scope: 'memory:write' },
+  // An entity's state belongs to no project; its timeline is filtered by the handler
+  { pattern: /^\/entities\/[^/]+\/(state|state\/history|evolution|timeline)$/, methods: ['GET'], scope: 'memory:read' },
+  { pattern: /^\/entities\/[^/]+\/state$/, methods: ['PUT'], scope: 'memory:write' },
+  { pattern: /^\/entities\/[^/]+\/evolution$/, methods: ['POST'], scope: 'memory:write' },
+  // The registry belongs to no project; memory routes check the entity's project themselves
+  { pattern: /^\/entities(\/[^/]+)?$/, methods: ['GET'], scope: 'memory:read' },
+  { pattern: /^\/entities\/[^/]+$/, methods: ['PUT', 'DELETE'], scope: 'admin' },
+  { pattern: /^\/entities\/[^/]+\/memories$/, methods: ['GET'], scope: 'memory:read' },
+  { pattern: /^\/entities\/[^/]+\/memories$/, methods: ['POST'], scope: 'memory:write' }
+];
+
+// Routes that carry the project in the path rather than the query or body.
+// New project-scoped routes with a path parameter must be listed here so that
+// project-restricted keys are checked against them.
+const PROJECT_PATH_PATTERNS = [
+  /^\/conversations\/project\/([^/]+)$/,
+  /^\/patterns\/([^/]+)(\/conventions)?$/,
+  /^\/analytics\/project\/([^/]+)$/,
+  /^\/projects\/(?!register$)([^/]+)$/,
+  /^\/copilot\/insights\/([^/]+)$/,
+  /^\/ai\/context\/project\/([^/]+)$/,
+  /^\/ai\/files\/(?!upload$|detail\/)([^/]+)$/,
+  /^\/ai\/insights\/(?!type\/)([^/]+)$/,
+  /^\/api\/projects\/(?!scan$|tech\/|stats\/)([^/]+)$/,
+  /^\/events\/stream\/([^/]+)$/,
+  /^\/memory\/context\/([^/]+)(\/summaries(\/[^/]+)?)?$/
+];
+
+// Scope required per socket event. Events not listed (e.g. disconnect) only
+// need a valid handshake.
+const SOCKET_EVENT_SCOPES = {
+  'register-platform': 'memory:read',
+  'request-context': 'memory:read',
+  'conversation': 'memory:write',
+  'trinity-performance': 'memory:write',
+  'trinity-task-context': 'memory:write',
+  'trinity-code-artifact': 'memory:write',
+  'ai:context-update': 'memory:write',
+  'ai:file-uploaded': 'memory:write',
+  'ai:insight-generated': 'memory:write',
+  'trinity-coordination': 'mycelium:post',
+  'trinity-sync': 'mycelium:post',
+  'register-ai-coordinator': 'mycelium:post',
+  'ai:register': 'mycelium:post',
+  'ai:query': 'mycelium:post',
+  'ai:response': 'mycelium:post',
+  'ai:send-message': 'mycelium:post',
+  'ai:respond': 'mycelium:post',
+  'message': 'mycelium:post',
+  'mycelium:broadcast': 'mycelium:post',
+  'decision:propose': 'memory:write',
+  'decision:vote': 'memory:write',
+  'decision:comment': 'memory:write',
+  'entity:set-state': 'memory:write',
+  'session:begin': 'memory:write',
+  'session:end': 'memory:write',
+  'derek:broadcast': 'admin',
+  'bridge:register': 'admin'
+};
+
+/**
+ * Work out what a request needs.
+ * @param {string} method
+ * @param {string} path - path relative to /api
+ * @returns {{ scope: string|null, projectScoped: boolean, operator: boolean }}
+ */
+function resolveRouteScope(method, path) {
+  for (const rule of ROUTE_RULES) {
+    if (rule.methods && !rule.methods.includes(method)) continue;
+    if (rule.pattern.test(path)) {
+      return { scope: rule.scope, projectScoped: Boolean(rule.projectScoped), operator: Boolean(rule.operator) };
+    }
+  }
+
+  const isRead = method === 'GET' || method === 'HEAD' || method === 'OPTIONS';
+  return { scope: isRead ? 'memory:read' : 'memory:write', projectScoped: true, operator: false };
+}
+
+// Body and query fields that name a project the request accesses;
+// /memory/store writes under source_project. exclude_project is left out:
+// excluding a project does not touch it
+const PROJECT_FIELDS = ['projectId', 'project_id', 'source_project'];
+
+/**
+ * Collect every project id a request names, from the path, query and body.
+ * @returns {string[]}
+ */
+function getRequestedProjects(req) {
+  const projects = [];
+
+  for (const pattern of PROJECT_PATH_PATTERNS) {
+    const match = req.path.match(pattern);
+    if (match) {
+      projects.push(decodeURIComponent(match[1]));
+      break;
+    }
+  }
+
+  for (const source of [req.query, req.body]) {
+    if (!source || typeof source !== 'object') continue;
+    for (const field of PROJECT_FIELDS) {
+      if (typeof source[field] === 'string' && source[field]) {
+        projects.push(source[field]);
+      }
+    }
+    if (Array.isArray(source.project_filters)) {
+      projects.push(...source.project_filters.filter(p => typeof p === 'string'));
+    }
+  }
+
+  return [...new Set(projects)];
+}
+
+function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+}
+
+/**
+ * Project-restricted keys may only call project-scoped routes when they name
+ * at least one project, and every project they name must be allowed.
+ * @returns {string|null} - error message, or null if access is allowed
+ */
+function checkProjectAccess(apiKey, requestedProjects) {
+  if (!apiKey.projects) return null;
+
+  if (requestedProjects.length === 0) {
+    return `This API key is restricted to projects: ${apiKey.projects.join(', ')}. Specify project_id.`;
+  }
+
+  const denied = requestedProjects.filter(project => !apiKey.projects.includes(project));
+  if (denied.length > 0) {
+    return `This API key has no access to project: ${denied.join(', ')}`;
+  }
+  return null;
+}
+
+function extractKey(req) {
+  const header = req.headers['x-api-key'];
+  if (typeof header === 'string' && header) return header;
+
+  const authorization = req.headers['authorization'];
+  if (typeof authorization === 'string' && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return null;
+}
+
+/**
+ * Look up a presented key: the bootstrap admin key first, then stored keys.
+ * @returns {Promise<Object|null>} - null for unknown, revoked or expired keys
+ * @throws if the key store is not ready
+ */
+async function verifyPresentedKey(presented, { getKeyStore, bootstrapKey }) {
+  if (bootstrapKey && safeEqual(presented, bootstrapKey)) {
+    return { id: 'bootstrap', name: 'admin', scopes: ['admin'], projects: null, tenant_id: DEFAULT_TENANT };
+  }
+
+  const keyStore = getKeyStore();
+  if (!keyStore) {
+    throw new AuthNotReadyError();
+  }
+  return await keyStore.verifyKey(presented);
+}
+
+class AuthNotReadyError extends Error {
+  constructor() {
+    super('Authentication is not ready yet');
+    this.name = 'AuthNotReadyError';
+  }
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Express middleware enforcing API keys on every route it is mounted in front of.
+ * @param {Object} options
+ * @param {Function} options.getKeyStore - returns the ApiKeyStore (null until the database is ready)
+ * @param {string} [options.bootstrapKey] - admin key from the environment, used to create the first stored keys
+ * @param {boolean} [options.disabled] - skip authentication entirely (local development only)
+ */
+function createApiKeyAuth({
+  getKeyStore,
+  bootstrapKey = process.env.ADMIN_API_KEY,
+  disabled = process.env.API_AUTH_DISABLED === 'true'
+}) {
+  if (disabled) {
+    console.warn('⚠️ API key authentication is DISABLED (API_AUTH_DISABLED=true)');
+  }
+
+  return async (req, res, next) => {
+    if (disabled || req.method === 'OPTIONS') return next();
+
+    const { scope, projectScoped, operator } = resolveRouteScope(req.method, req.path);
+    if (!scope) return next();
+
+    const presented = extractKey(req);
+    if (!presented) {
+      return res.status(401).json({ success: false, error: 'API key required' });
+    }
+
+    let apiKey = null;
+    try {
+      apiKey = await verifyPresentedKey(presented, { getKeyStore, bootstrapKey });
+    } catch (error) {
+      if (error instanceof AuthNotReadyError) {
+        return res.status(503).json({ success: false, error: error.message });
+      }
+      console.error('Error verifying API key:', error);
+      return res.status(500).json({ success: false, error: 'Failed to verify API key' });
+    }
+
+    if (!apiKey) {
+      return res.status(401).json({ success: false, error: 'Invalid, revoked or expired API key' });
+    }
+
+    if (!hasScope(apiKey, scope)) {
+      return res.status(403).json({ success: false, error: `API key is missing required scope: ${scope}` });
+    }
+
+    if (operator && tenantOf(apiKey) !== DEFAULT_TENANT) {
+      return res.status(403).json({ success: false, error: 'Only the hub operator (the default tenant) may call this route' });
+    }
+
+    if (projectScoped) {
+      const projectError = checkProjectAccess(apiKey, getRequestedProjects(req));
+      if (projectError) {
+        return res.status(403).json({ success: false, error: projectError });
+      }
+    }
+
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+/**
+ * Socket.IO handshake middleware. Clients pass the key as
+ * `io(url, { auth: { token } })` or in an x-api-key / Authorization header.
+ * The verified key is bound to `socket.data.identity`; handlers must take the
+ * sender's name from there, never from the event payload.
+ * @param {Object} options - same as createApiKeyAuth
+ */
+function createSocketAuth({
+  getKeyStore,
+  bootstrapKey = process.env.ADMIN_API_KEY,
+  disabled = process.env.API_AUTH_DISABLED === 'true'
+}) {
+  return async (socket, next) => {
+    const { auth = {}, headers = {} } = socket.handshake;
+
+    if (disabled) {
+      // Development only: trust the name the client asks for
+      const name = typeof auth.agent === 'string' && auth.agent ? auth.agent : `anonymous-${socket.id}`;
+      socket.data.identity = { id: null, name, scopes: ['admin'], projects: null };
+      return next();
+    }
+
+    const presented = (typeof auth.token === 'string' && auth.token) || extractKey({ headers });
+    if (!presented) {
+      return next(new Error('API key required'));
+    }
+
+    try {
+      const apiKey = await verifyPresentedKey(presented, { getKeyStore, bootstrapKey });
+      if (!apiKey) {
+        return next(new Error('Invalid, revoked or expired API key'));
+      }
+      socket.data.identity = apiKey;
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthNotReadyError)) {
+        console.error('Error verifying socket API key:', error);
+      }
+      next(new Error(error instanceof AuthNotReadyError ? error.message : 'Failed to verify API key'));
+    }
+  };
+}
+
+/** The scope a socket event requires, or null when a valid handshake is enough. */
+function resolveSocketEventScope(event) {
+  return SOCKET_EVENT_SCOPES[event] || null;
+}
+
+/**
+ * Check whether a socket's identity may emit an event.
+ * @returns {string|null} - error message, or null if allowed
+ */
+function checkSocketEventScope(identity, event) {
+  const scope = resolveSocketEventScope(event);
+  if (!scope) return null;
+  if (!identity || !hasScope(identity, scope)) {
+    return `API key is missing required scope for ${event}: ${scope}`;
+  }
+  return null;
+}
+
+module.exports = {
+  createApiKeyAuth,
+  createSocketAuth,
+  checkSocketEventScope,
+  resolveSocketEventScope,
+  resolveRouteScope,
+  getRequestedProjects,
+  checkProjectAccess,
+  hasScope
+};
@@ -1,15 +1,29 @@
 // Context Manager - Handles SCRI Core Memory and context across platforms
 const { v4: uuidv4 } = require('uuid');
+const { createContextSummarizer, clusterTopics, isQuestion } = require('./context-summarizer');
+const { covers } = require('../database/project-summary-store');
+const { extractConversationPatterns } = require('./pattern-extractor');
 
 class ContextManager {
-  constructor(database) {
+  /**
+   * @param {Object} database
+   * @param {Object} [options]
+   * @param {ContextSummarizer} [options.summarizer] - default: CONTEXT_SUMMARIZER, else extractive
+   */
+  constructor(database, options = {}) {
     this.db = database;
+    this.summarizer = options.summarizer || createContextSummarizer();
     this.contextCache = new Map();
     this.maxContextLength = 50000; // Max characters for context
     this.maxConversationHistory = 100; // Max conversation entries
   }
 
-  async addConversation(platform, projectId, message, context = {}) {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.type] - memory type; detected from the message when omitted
+   * @param {string} [options.expiresAt] - ISO timestamp after which the reaper removes it
+   */
+  async addConversation(platform, projectId, message, context = {}, options = {}) {
     const conversationId = uuidv4();
     const timestamp = new Date().toISOString();
     
@@ -20,11 +34,13 @@ class ContextManager {
       message,
       context,
       timestamp,
-      type: this.detectMessageType(message)
+      type: options.type || this.detectMessageType(message),
+      expiresAt: options.expiresAt || null
     };
 
     // Store in database
     await this.db.addConversation(conversation);
+    await this.learnPatterns(conversation);
     
     // Update cache
     this.updateContextCache(projectId, conversation);
@@ -32,10 +48,27 @@ class ContextManager {
     return conversationId;
   }
 
-  async getProjectContext(projectId) {
-    // Check cache first
+  /**
+   * @param {string} projectId
+   * @param {Object} [options]
+   * @param {string|Date} [options.asOf] - rebuild the context as it stood at
+   *   that moment from the revision history (never cached)
+   */
+  async getProjectContext(projectId, options = {}) {
+    if (options.asOf) {
+      return await this.buildProjectContext(projectId, options);
+    }
+
+    // Check cache first; new conversations only leave the brief to refresh
     if (this.contextCache.has(projectId)) {
-      return this.contextCache.get(projectId);
+      const cached = this.contextCache.get(projectId);
+      if (cached.briefStale) {
+        const conversations = await this.db.getConversationsByProject(projectId);
+        cached.brief = await this.currentBrief(projectId, conversations);
+        cached.currentFocus = this.determineCurrentFocus(conversations);
+        cached.briefStale = false;
+      }
+      return cached;
     }
 
     // Build context from database
@@ -45,8 +78,10 @@ class ContextManager {
     return context;
   }
 
-  async buildProjectContext(projectId) {
-    const conversations = await this.db.getConversationsByProject(projectId);
+  async buildProjectContext(projectId, { asOf } = {}) {
+    const conversations = asOf
+      ? await this.db.getConversationsAsOf(asOf, { projectId })
+      : await this.db.getConversationsByProject(projectId);
     const project = await this.db.getProject(projectId);
     
     const context = {
@@ -57,12 +92,108 @@ class ContextManager {
       currentFocus: this.determineCurrentFocus(conversations),
       lastActivity: conversations.length > 0 ? conversations[0].timestamp : null,
       platforms: this.getActivePlatforms(conversations),
-      summary: this.generateContextSummary(conversations)
+      summary: this.generateContextSummary(conversations),
+      // A past context gets the brief that was current then
+      brief: asOf
+        ? await this.storedBrief(projectId, { asOf: new Date(asOf).toISOString() })
+        : await this.currentBrief(projectId, conversations)
     };
 
     return context;
   }
 
+  /**
+   * The project's brief for these conversations: the stored version when it
+   * covers them, otherwise a new version written by the summarizer. Null
+   * when the database keeps no summaries or there is nothing to summarize.
+   * @param {string} projectId
+   * @param {Object[]} conversations - the project's recent conversations
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - write a new version even if the stored one is current
+   */
+  async currentBrief(projectId, conversations, { force = false } = {}) {
+    const summaries = this.db.summaries;
+    if (!summaries) return null;
+    const coverage = {
+      summarizer: this.summarizer.name,
+      conversationCount: conversations.length,
+      lastConversationAt: lastChange(conversations),
+      force
+    };
+
+    const stored = await summaries.latest(projectId);
+    if (conversations.length === 0) return stored;
+    if (stored && !force && covers(stored, coverage)) {
+      return stored;
+    }
+
+    const decisions = this.db.decisions ? await this.db.decisions.list({ projectId, limit: 20 }) : [];
+    const result = await this.summarizer.summarize({
+      projectId,
+      conversations: conversations.map(conv => ({ ...conv, context: this.parseContext(conv.context) })),
+      decisions
+    });
+    const { summary } = await summaries.save(projectId, result, { ...coverage, summarizer: result.summarizer || this.summarizer.name });
+    return summary;
+  }
+
+  async storedBrief(projectId, options) {
+    return this.db.summaries ? await this.db.summaries.latest(projectId, options) : null;
+  }
+
+  /**
+   * Summarize a project now, writing a new brief version.
+   * @returns {Promise<Object|null>} the brief
+   */
+  async summarizeProject(projectId, { force = true } = {}) {
+    const conversations = await this.db.getConversationsByProject(projectId);
+    const brief = await this.currentBrief(projectId, conversations, { force: force && conversations.length > 0 });
+    if (this.contextCache.has(projectId)) {
+      const cached = this.contextCache.get(projectId);
+      cached.brief = brief;
+      cached.briefStale = false;
+    }
+    return brief;
+  }
+
+  /**
+   * Summarize what happened in a session from its transcript
+   * (SessionStore#transcript).
+   * @param {Object} session
+   * @param {Object[]} transcript
+   * @returns {Promise<Object>} brief, key points, topics, open questions, decisions and the summarizer used
+   */
+  async summarizeSession(session, transcript) {
+    if (transcript.length === 0) {
+      return {
+        brief: 'Nothing was stored during this session.',
+        key_points: [], topics: [], open_questions: [], decisions: [],
+        summarizer: this.summarizer.name
+      };
+    }
+    const result = await this.summarizer.summarize({
+      projectId: session.project_id,
+      conversations: transcript.map(entry => ({
+        id: entry.id,
+        platform: entry.author,
+        message: entry.text,
+        type: entry.kind,
+        timestamp: entry.timestamp,
+        context: {}
+      }))
+    });
+    return { summarizer: this.summarizer.name, ...result };
+  }
+
+  parseContext(context) {
+    if (context && typeof context === 'object') return context;
+    try {
+      return JSON.parse(context || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
   processConversationHistory(conversations) {
     // Sort by timestamp (newest first)
     const sorted = conversations.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
@@ -120,35 +251,21 @@ class ContextManager {
     return preferences;
   }
 
+  // The largest topic among the recent conversations, by TF-IDF clustering
   determineCurrentFocus(conversations) {
-    const recentConversations = conversations
+    const recentConversations = [...conversations]
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, 10);
+      .slice(0, 20);
+    const [focus, ...related] = clusterTopics(recentConversations);
 
-    const topics = new Map();
-    
-    for (const conv of recentConversations) {
-      const topic = this.extractTopic(conv.message);
-      if (topic) {
-        topics.set(topic, (topics.get(topic) || 0) + 1);
-      }
-    }
-
-    // Return most frequent topic
-    let maxCount = 0;
-    let currentFocus = 'general';
-    
-    for (const [topic, count] of topics) {
-      if (count > maxCount) {
-        maxCount = count;
-        currentFocus = topic;
-      }
+    if (!focus) {
+      return { topic: 'general', area: 'general', confidence: 0, relatedTopics: [] };
     }
-
     return {
-      topic: currentFocus,
-      confidence: maxCount / recentConversations.length,
-      relatedTopics: Array.from(topics.keys()).filter(t => t !== currentFocus)
+      topic: focus.label,
+      area: this.extractTopic(focus.terms.join(' ')),
+      confidence: focus.share,
+      relatedTopics: related.map(topic => topic.label)
     };
   }
 
@@ -199,41 +316,78 @@ class ContextManager {
         context.conversationHistory = context.conversationHistory.slice(0, this.maxConversationHistory);
       }
       
-      // Update other context fields
+      // Update other context fields; the brief is rebuilt on the next read
       context.lastActivity = newConversation.timestamp;
       context.summary = `Recent activity: ${this.formatTimestamp(newConversation.timestamp)}`;
+      context.briefStale = true;
     }
   }
 
+  // An edited or deleted memory may be anywhere in the cached history; rebuild on next read
+  invalidateProject(projectId) {
+    this.contextCache.delete(projectId);
+  }
+
+  // Questions first: asking about writing code is not writing it
   detectMessageType(message) {
     const lowerMessage = message.toLowerCase();
-    
-    if (lowerMessage.includes('create') || lowerMessage.includes('generate') || lowerMessage.includes('write')) {
+    const mentions = (...words) => new RegExp(`\\b(${words.join('|')})\\b`).test(lowerMessage);
+
+    if (isQuestion(lowerMessage)) {
+      return 'question';
+    }
+
+    if (mentions('decided', 'agreed', 'settled on')) {
+      return 'decision';
+    }
+
+    if (mentions('create', 'generate', 'write', 'implement')) {
       return 'code_generation';
     }
     
-    if (lowerMessage.includes('debug') || lowerMessage.includes('fix') || lowerMessage.includes('error')) {
+    if (mentions('debug', 'fix', 'error', 'bug', 'crash')) {
       return 'debugging';
     }
     
-    if (lowerMessage.includes('explain') || lowerMessage.includes('what') || lowerMessage.includes('how')) {
+    if (mentions('explain')) {
       return 'question';
     }
     
-    if (lowerMessage.includes('refactor') || lowerMessage.includes('improve') || lowerMessage.includes('optimize')) {
+    if (mentions('refactor', 'improve', 'optimize', 'clean up')) {
       return 'refactoring';
     }
 
     return 'general';
   }
 
+  /**
+   * Count the conventions in the code a conversation carries (generated
+   * code, fenced code blocks, code artifacts) toward its project's patterns.
+   * A failure here is logged and never fails the write it follows.
+   * @param {Object} conversation - projectId, message, type, context
+   * @returns {Promise<Object[]>} the patterns counted
+   */
+  async learnPatterns(conversation) {
+    const patterns = this.db.patterns;
+    if (!patterns || !conversation.projectId) return [];
+    const learned = [];
+    try {
+      for (const found of extractConversationPatterns(conversation)) {
+        learned.push(...await patterns.observe(conversation.projectId, found));
+      }
+    } catch (error) {
+      console.warn('⚠️ Pattern learning failed:', error.message);
+    }
+    return learned;
+  }
+
   analyzeCodePattern(code) {
     // Basic pattern analysis
     const patterns = {
       indentation: this.detectIndentation(code),
       quotes: this.detectQuoteStyle(code),
       semicolons: code.includes(';'),
-      asyncStyle: code.includes('async/await') ? 'async/await' : code.includes('.then') ? 'promises' : 'sync',
+      asyncStyle: /\bawait\b/.test(code) ? 'async/await' : code.includes('.then') ? 'promises' : 'sync',
       frameworkPatterns: this.detectFrameworkPatterns(code)
     };
 
@@ -382,4 +536,16 @@ class ContextManager {
   }
 }
 
+// Newest write among the conversations: an edit counts as a change
+function lastChange(conversations) {
+  let newest = null;
+  for (const conv of conversations) {
+    for (const value of [conv.timestamp, conv.updated_at]) {
+      const time = value instanceof Date ? value.toISOString() : value;
+      if (time && (!newest || time > newest)) newest = time;
+    }
+  }
+  return newest;
+}
+
 module.exports = ContextManager;
\ No newline at end of file
@@ -0,0 +1,345 @@
+// Context Packer - A prompt-ready bundle of project context for a task
+// Gathers the project brief, memories relevant to the task, collective
+// decisions, learned patterns and recent mycelium messages, ranks them by
+// relevance to the task and recency, drops near-duplicates and fills a token
+// budget. Every line of the prompt carries a [ref] that maps back to the
+// memory, conversation, decision or pattern it came from.
+
+const { tokenize } = require('./context-summarizer');
+
+const DEFAULT_BUDGET = 2000;
+const MIN_BUDGET = 50;
+const MAX_BUDGET = 100000;
+const MAX_TASK_LENGTH = 2000;
+const CANDIDATES = 20;
+const MESSAGE_CANDIDATES = 100;
+const MAX_QUERY_TERMS = 12;
+const RECENCY_HALF_LIFE_DAYS = 30;
+const DUPLICATE_SIMILARITY = 0.8;
+const MIN_TRUNCATED_TOKENS = 30;
+
+// Prompt order; weight scales each kind's score when they compete for budget
+const SECTIONS = [
+  { kind: 'summary', title: 'Project brief', prefix: 'S', weight: 1.0 },
+  { kind: 'memory', title: 'Relevant memories', prefix: 'M', weight: 1.0 },
+  { kind: 'decision', title: 'Decisions', prefix: 'D', weight: 0.8 },
+  { kind: 'pattern', title: 'Patterns', prefix: 'P', weight: 0.6 },
+  { kind: 'message', title: 'Recent messages', prefix: 'X', weight: 0.5 }
+];
+const KINDS = SECTIONS.map(section => section.kind);
+
+const tokenizers = new Map([
+  // About four characters per token for English text and code
+  ['approx', (text) => Math.ceil(text.length / 4)],
+  // About three words per four tokens
+  ['words', (text) => Math.ceil((text.match(/\S+/g) || []).length * 4 / 3)]
+]);
+
+/**
+ * Register a token counter so packs can be measured with the tokenizer of
+ * the model they are for.
+ * @param {string} name
+ * @param {function(string): number} countTokens
+ */
+function registerTokenizer(name, countTokens) {
+  tokenizers.set(name, countTokens);
+}
+
+/** Names of the registered tokenizers. */
+function listTokenizers() {
+  return [...tokenizers.keys()];
+}
+
+class ContextPacker {
+  /**
+   * @param {Object} database - MemoryDatabase
+   * @param {Object} contextManager - ContextManager, for the project brief
+   */
+  constructor(database, contextManager) {
+    this.db = database;
+    this.contextManager = contextManager;
+  }
+
+  /**
+   * Pack a project's context for a task into a token budget.
+   * @param {Object} request
+   * @param {string} request.projectId
+   * @param {string} request.task - what the context is for; drives relevance
+   * @param {number} [request.budget=2000] - tokens the prompt may use
+   * @param {string} [request.tokenizer='approx'] - see registerTokenizer()
+   * @param {string} [request.agent] - also include mycelium messages addressed to this agent
+   * @param {string[]} [request.include] - kinds to gather (default: all)
+   * @param {Object} [request.reader] - only memories it may read (database/memory-access.js)
+   * @param {Date} [request.now]
+   * @returns {Promise<Object>} prompt, used_tokens, items (with ref and source id), omitted, duplicates
+   */
+  async pack(request) {
+    checkPackRequest(request);
+    const { projectId, task, budget = DEFAULT_BUDGET, tokenizer = 'approx', agent = null, include = KINDS, reader = null, now = new Date() } = request;
+    const countTokens = tokenizers.get(tokenizer);
+
+    const taskTerms = [...new Set(tokenize(task))];
+    const candidates = [];
+    for (const kind of include) {
+      candidates.push(...await this.gather(kind, { projectId, taskTerms, agent, reader }));
+    }
+
+    const ranked = candidates
+      .map(candidate => ({ ...candidate, score: score(candidate, taskTerms, now) }))
+      .sort((a, b) => b.score - a.score || String(b.timestamp).localeCompare(String(a.timestamp)));
+    const { unique, duplicates } = dedupe(ranked);
+    const items = fill(unique, budget, countTokens);
+    const prompt = render(items);
+
+    return {
+      project_id: projectId,
+      task,
+      tokenizer,
+      budget,
+      used_tokens: countTokens(prompt),
+      prompt,
+      items: items.map(({ ref, kind, source, id, text, tokens, truncated, timestamp, score }) => ({
+        ref, kind, source, id, text, tokens, truncated, timestamp, score: round(score)
+      })),
+      omitted: unique.length - items.length,
+      duplicates
+    };
+  }
+
+  /** Candidates of one kind: source, id, text, timestamp and whether search found them. */
+  async gather(kind, { projectId, taskTerms, agent, reader }) {
+    const query = taskTerms.slice(0, MAX_QUERY_TERMS).join(' OR ');
+
+    switch (kind) {
+    case 'summary': {
+      const { brief } = await this.contextManager.getProjectContext(projectId);
+      if (!brief) return [];
+      return [{
+        kind, source: 'project_summaries', id: `${projectId}@${brief.version}`,
+        text: brief.brief, timestamp: brief.created_at, pinned: true
+      }];
+    }
+
+    case 'memory': {
+      const memories = await this.db.memories.recall(query || null, { projectId, reader, limit: CANDIDATES, reinforce: false });
+      const conversations = query
+        ? await this.db.fullTextSearchConversations(query, { projectId, excludePlatforms: ['mycelium'], limit: CANDIDATES })
+        : await this.db.getConversations(projectId, CANDIDATES);
+      return [
+        ...memories.map(memory => ({
+          kind, source: 'memories', id: memory.id, text: memory.content, timestamp: memory.timestamp, matched: Boolean(query)
+        })),
+        ...conversations.map(conv => ({
+          kind, source: 'conversations', id: conv.id, text: conv.message, timestamp: toIso(conv.timestamp), matched: Boolean(query)
+        }))
+      ];
+    }
+
+    case 'decision': {
+      const decisions = await this.db.decisions.list({ projectId, limit: CANDIDATES });
+      return decisions.map(decision => ({
+        kind, source: 'decisions', id: decision.id, text: describeDecision(decision),
+        timestamp: decision.decided_at || decision.created_at
+      }));
+    }
+
+    case 'pattern': {
+      const patterns = await this.db.getPatterns(projectId);
+      return patterns.slice(0, CANDIDATES).map(pattern => ({
+        kind, source: 'patterns', id: pattern.id, text: describePattern(pattern), timestamp: toIso(pattern.updated_at)
+      }));
+    }
+
+    case 'message': {
+      const messages = await this.db.getConversationsByPlatform('mycelium', MESSAGE_CANDIDATES);
+      return messages
+        .map(message => ({ message, context: parseContext(message.context) }))
+        .filter(({ message, context }) => message.project_id === projectId ||
+          (agent && (context.to === agent || context.to === 'all')))
+        .slice(0, CANDIDATES)
+        .map(({ message, context }) => ({
+          kind, source: 'conversations', id: message.id,
+          text: `${context.from || 'unknown'} → ${context.to || 'all'}: ${message.message}`,
+          timestamp: toIso(message.timestamp)
+        }));
+    }
+
+    default:
+      return [];
+    }
+  }
+}
+
+/**
+ * Check a pack request before anything is gathered.
+ * @param {Object} request - as for ContextPacker#pack
+ * @throws {Error} describing the first invalid field
+ */
+function checkPackRequest({ projectId, task, budget = DEFAULT_BUDGET, tokenizer = 'approx', include = KINDS }) {
+  if (typeof projectId !== 'string' || !projectId) {
+    throw new Error('project_id is required');
+  }
+  if (typeof task !== 'string' || !task.trim() || task.length > MAX_TASK_LENGTH) {
+    throw new Error(`task must be a non-empty string of at most ${MAX_TASK_LENGTH} characters`);
+  }
+  if (!Number.isInteger(budget) || budget < MIN_BUDGET || budget > MAX_BUDGET) {
+    throw new Error(`budget must be a whole number of tokens from ${MIN_BUDGET} to ${MAX_BUDGET}`);
+  }
+  if (!tokenizers.has(tokenizer)) {
+    throw new Error(`Unknown tokenizer: ${tokenizer}; available: ${listTokenizers().join(', ')}`);
+  }
+  if (!Array.isArray(include) || include.length === 0 || include.some(kind => !KINDS.includes(kind))) {
+    throw new Error(`include must be a list of: ${KINDS.join(', ')}`);
+  }
+}
+
+// Relevance is the share of task terms an item mentions; items search found
+// start at half. Recency halves every 30 days. The brief always comes first.
+function score(candidate, taskTerms, now) {
+  if (candidate.pinned) return Infinity;
+  const terms = new Set(tokenize(candidate.text));
+  const overlap = taskTerms.length === 0 ? 0 : taskTerms.filter(term => terms.has(term)).length / taskTerms.length;
+  const relevance = candidate.matched ? 0.5 + 0.5 * overlap : overlap;
+  const ageDays = candidate.timestamp ? Math.max(0, (new Date(now) - new Date(candidate.timestamp)) / 86400000) : Infinity;
+  const recency = Number.isFinite(ageDays) ? Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS) : 0;
+  const { weight } = SECTIONS.find(section => section.kind === candidate.kind);
+  return weight * (0.7 * relevance + 0.3 * recency);
+}
+
+// Best first, so of two near-identical items the better-ranked one stays
+function dedupe(ranked) {
+  const unique = [];
+  let duplicates = 0;
+  for (const candidate of ranked) {
+    if (typeof candidate.text !== 'string' || !candidate.text.trim()) continue;
+    const terms = new Set(tokenize(candidate.text));
+    const normalized = candidate.text.trim().toLowerCase().replace(/\s+/g, ' ');
+    const duplicate = unique.some(kept => kept.normalized === normalized ||
+      jaccard(kept.terms, terms) >= DUPLICATE_SIMILARITY);
+    if (duplicate) {
+      duplicates++;
+      continue;
+    }
+    unique.push({ ...candidate, terms, normalized });
+  }
+  return { unique, duplicates };
+}
+
+// Greedy by score. A section heading is paid for with its first item; an item
+// too long for what is left is cut to fit when enough budget remains. Token
+// counts are not additive for every tokenizer, so the rendered prompt is
+// measured again and the lowest-ranked items dropped until it fits.
+function fill(candidates, budget, countTokens) {
+  const chosen = [];
+  const refs = new Map();
+  let used = 0;
+
+  for (const candidate of candidates) {
+    const section = SECTIONS.find(s => s.kind === candidate.kind);
+    const number = (refs.get(section.kind) || 0) + 1;
+    const ref = `${section.prefix}${number}`;
+    const heading = refs.has(section.kind) ? 0 : countTokens(`${chosen.length ? '\n' : ''}## ${section.title}\n`);
+    const remaining = budget - used - heading;
+    let text = candidate.text.trim();
+    let cost = countTokens(line(ref, text));
+    let truncated = false;
+
+    if (cost > remaining) {
+      if (remaining < MIN_TRUNCATED_TOKENS) continue;
+      text = truncate(text, remaining - countTokens(line(ref, '')), countTokens);
+      if (!text) continue;
+      cost = countTokens(line(ref, text));
+      truncated = true;
+    }
+
+    chosen.push({ ...candidate, ref, text, tokens: cost, truncated });
+    refs.set(section.kind, number);
+    used += heading + cost;
+  }
+
+  while (chosen.length > 0 && countTokens(render(chosen)) > budget) {
+    const lowest = chosen.reduce((low, item) => (item.score < low.score ? item : low));
+    chosen.splice(chosen.indexOf(lowest), 1);
+  }
+  return chosen;
+}
+
+// Sections in a fixed order; within a section, best first
+function render(items) {
+  return SECTIONS
+    .map(section => items.filter(item => item.kind === section.kind))
+    .filter(sectionItems => sectionItems.length > 0)
+    .map(sectionItems => {
+      const { title } = SECTIONS.find(section => section.kind === sectionItems[0].kind);
+      return `## ${title}\n${sectionItems.map(item => line(item.ref, item.text)).join('')}`;
+    })
+    .join('\n');
+}
+
+function line(ref, text) {
+  return `[${ref}] ${text}\n`;
+}
+
+// Longest word-boundary prefix that fits, with an ellipsis
+function truncate(text, maxTokens, countTokens) {
+  const words = text.split(/\s+/);
+  let low = 0;
+  let high = words.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (countTokens(`${words.slice(0, middle).join(' ')} …`) <= maxTokens) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low === 0 ? '' : `${words.slice(0, low).join(' ')} …`;
+}
+
+function describeDecision(decision) {
+  const outcome = decision.outcome || decision.status;
+  const proposal = decision.proposal && decision.proposal !== decision.title ? `: ${decision.proposal}` : '';
+  const rationale = decision.rationale ? ` ${decision.rationale}` : '';
+  return `${decision.title}${proposal} (${outcome}).${rationale}`;
+}
+
+function describePattern(pattern) {
+  const rate = pattern.successes + pattern.failures > 0 ? ` (${Math.round(pattern.success_rate * 100)}% success)` : '';
+  if (pattern.pattern_value) {
+    return `${pattern.language} ${pattern.pattern_type.replace(/_/g, ' ')}: ${pattern.pattern_value}${rate}`;
+  }
+  const data = typeof pattern.pattern_data === 'string' ? pattern.pattern_data : JSON.stringify(pattern.pattern_data);
+  return `${pattern.pattern_type}: ${data}${rate}`;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function parseContext(value) {
+  if (value && typeof value === 'object') return value;
+  try {
+    return JSON.parse(value || '{}') || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function toIso(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function round(value) {
+  return Number.isFinite(value) ? Math.round(value * 10000) / 10000 : 1;
+}
+
+module.exports = ContextPacker;
+module.exports.registerTokenizer = registerTokenizer;
+module.exports.listTokenizers = listTokenizers;
+module.exports.checkPackRequest = checkPackRequest;
+module.exports.KINDS = KINDS;
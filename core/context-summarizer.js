@@ -0,0 +1,389 @@
+// Context Summarizers - Turn a project's conversations into a brief
+// A summarizer reads the conversations and returns the project brief, key
+// points, topics, open questions and recent decisions. The extractive
+// summarizer runs offline: it picks key sentences by TF-IDF and clusters
+// conversations into topics. LLMContextSummarizer hands the extractive
+// result to a language model to rewrite the brief.
+
+const STOP_WORDS = new Set((
+  'the a an and or but if then else of to in on at by for with from into onto over under about as is are was were ' +
+  'be been being am do does did done have has had having it its this that these those there here i me my we our us ' +
+  'you your he she they them their his her not no yes so too very can could should would will shall may might must ' +
+  'just also only than what which who whom whose when where why how all any each some more most other such own same ' +
+  'out up down off again once get got let lets make made use used using via per now new one two like need needs want ' +
+  'please thanks thank okay ok sure still yet already really maybe'
+).split(' '));
+
+const QUESTION_START = /^(what|how|why|when|where|which|who|whom|whose|should|could|can|would|will|is|are|do|does|did|has|have)\b/i;
+const DECISION_PATTERN = /\b(decided|decide to|we will|we'll|agreed|settled on|going with|chose|chosen|approved|rejected)\b/i;
+const DECISION_TYPES = /decision/;
+const MAX_ITEMS = 5;
+const MAX_BRIEF_LENGTH = 1200;
+const TOPIC_SIMILARITY = 0.15;
+const KEY_POINT_OVERLAP = 0.5;
+
+/**
+ * Base class for summarizers. Summarizers expose a stable `name` and
+ * implement `summarize()`.
+ */
+class ContextSummarizer {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+  }
+
+  /**
+   * Summarize a project's conversations.
+   * @param {Object} input
+   * @param {string} input.projectId
+   * @param {Object[]} input.conversations - id, platform, message, type, timestamp, context
+   * @param {Object[]} [input.decisions] - the project's collective decisions (DecisionStore#list)
+   * @returns {Promise<Object>} brief, key_points, topics, open_questions, decisions
+   */
+  async summarize(input) {
+    throw new Error(`Context summarizer "${this.name}" does not implement summarize()`);
+  }
+}
+
+/**
+ * Offline summarizer. Key points are the sentences whose terms are most
+ * distinctive (TF-IDF over conversations), newer ones slightly preferred and
+ * near-duplicates skipped. A question is open until a later conversation
+ * shares at least half of its terms.
+ */
+class ExtractiveSummarizer extends ContextSummarizer {
+  constructor(options = {}) {
+    super({ name: 'extractive', ...options });
+    this.maxItems = options.maxItems || MAX_ITEMS;
+  }
+
+  async summarize({ conversations, decisions = [] }) {
+    const documents = toDocuments(conversations);
+    const weights = termWeights(documents);
+    const sentences = documents.flatMap((doc, index) => splitSentences(doc.text).map(text => ({
+      text,
+      doc,
+      index,
+      terms: tokenize(text)
+    })));
+
+    const topics = clusterDocuments(documents, weights).slice(0, this.maxItems);
+    const keyPoints = this.keyPoints(sentences, documents.length, weights);
+    const openQuestions = this.openQuestions(sentences, documents);
+    const recentDecisions = this.decisions(sentences, decisions);
+
+    return {
+      brief: composeBrief({ topics, keyPoints, openQuestions, decisions: recentDecisions }),
+      key_points: keyPoints,
+      topics,
+      open_questions: openQuestions,
+      decisions: recentDecisions
+    };
+  }
+
+  keyPoints(sentences, total, weights) {
+    const scored = sentences
+      .filter(sentence => sentence.terms.length >= 2)
+      .map(sentence => {
+        const unique = [...new Set(sentence.terms)];
+        const weight = unique.reduce((sum, term) => sum + (weights.idf.get(term) || 0), 0) / Math.sqrt(sentence.terms.length);
+        const recency = 1 + 0.5 * (total > 1 ? sentence.index / (total - 1) : 1);
+        return { sentence, score: weight * recency, vector: weights.vector(sentence.terms) };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const chosen = [];
+    for (const candidate of scored) {
+      if (chosen.length >= this.maxItems) break;
+      if (chosen.some(other => cosine(other.vector, candidate.vector) > KEY_POINT_OVERLAP)) continue;
+      chosen.push(candidate);
+    }
+    return chosen
+      .sort((a, b) => a.sentence.index - b.sentence.index)
+      .map(({ sentence }) => ({
+        text: sentence.text,
+        conversation_id: sentence.doc.id,
+        platform: sentence.doc.platform,
+        timestamp: sentence.doc.timestamp
+      }));
+  }
+
+  openQuestions(sentences, documents) {
+    const open = [];
+    for (const sentence of sentences) {
+      if (!isQuestion(sentence.text) || sentence.terms.length === 0) continue;
+      const needed = Math.max(1, Math.ceil(new Set(sentence.terms).size / 2));
+      const answered = documents.slice(sentence.index + 1).some(doc => {
+        const shared = new Set(sentence.terms.filter(term => doc.termSet.has(term)));
+        return shared.size >= needed && !splitSentences(doc.text).every(isQuestion);
+      });
+      if (!answered) {
+        open.push({
+          question: sentence.text,
+          conversation_id: sentence.doc.id,
+          platform: sentence.doc.platform,
+          asked_at: sentence.doc.timestamp
+        });
+      }
+    }
+    return open.reverse().slice(0, this.maxItems);
+  }
+
+  decisions(sentences, collective) {
+    const found = sentences
+      .filter(sentence => DECISION_TYPES.test(sentence.doc.type || '') || DECISION_PATTERN.test(sentence.text))
+      .filter(sentence => !isQuestion(sentence.text))
+      .map(sentence => ({
+        decision: sentence.text,
+        source: 'conversation',
+        conversation_id: sentence.doc.id,
+        decided_at: sentence.doc.timestamp
+      }));
+    for (const decision of collective) {
+      if (decision.status === 'open' || !decision.outcome) continue;
+      found.push({
+        decision: decision.title || decision.decision_type,
+        outcome: decision.outcome,
+        source: 'collective',
+        decision_id: decision.id,
+        decided_at: decision.decided_at || decision.created_at
+      });
+    }
+    return found
+      .sort((a, b) => String(b.decided_at).localeCompare(String(a.decided_at)))
+      .slice(0, this.maxItems);
+  }
+}
+
+/**
+ * Asks a language model to rewrite the extractive brief. `complete` is any
+ * async function from a prompt to text, so no provider is bundled. If it
+ * fails or returns nothing, the extractive brief is kept.
+ */
+class LLMContextSummarizer extends ContextSummarizer {
+  /**
+   * @param {Object} options
+   * @param {function(string): Promise<string>} options.complete
+   * @param {ContextSummarizer} [options.draft] - default: ExtractiveSummarizer
+   */
+  constructor(options = {}) {
+    super({ name: 'llm', ...options });
+    if (typeof options.complete !== 'function') {
+      throw new Error('LLMContextSummarizer needs a complete(prompt) function');
+    }
+    this.complete = options.complete;
+    this.draft = options.draft || new ExtractiveSummarizer();
+  }
+
+  async summarize(input) {
+    const draft = await this.draft.summarize(input);
+    try {
+      const brief = await this.complete(briefPrompt(input.projectId, draft));
+      if (typeof brief === 'string' && brief.trim()) {
+        return { ...draft, brief: brief.trim().slice(0, MAX_BRIEF_LENGTH * 2) };
+      }
+    } catch (error) {
+      console.warn(`⚠️ LLM summarizer failed, keeping the ${this.draft.name} brief:`, error.message);
+    }
+    return { ...draft, summarizer: this.draft.name };
+  }
+}
+
+const summarizerFactories = new Map([
+  ['extractive', (options) => new ExtractiveSummarizer(options)]
+]);
+
+/**
+ * Register a summarizer factory under a name so it can be selected with
+ * CONTEXT_SUMMARIZER, e.g. an LLMContextSummarizer around your provider.
+ * @param {string} name
+ * @param {function(Object): ContextSummarizer} factory
+ */
+function registerContextSummarizer(name, factory) {
+  summarizerFactories.set(name, factory);
+}
+
+/**
+ * Create a summarizer by name.
+ * @param {string} [name] - Defaults to CONTEXT_SUMMARIZER or 'extractive'
+ * @param {Object} [options]
+ * @returns {ContextSummarizer}
+ */
+function createContextSummarizer(name, options = {}) {
+  const summarizerName = name || process.env.CONTEXT_SUMMARIZER || 'extractive';
+  const factory = summarizerFactories.get(summarizerName);
+  if (!factory) {
+    throw new Error(`Unknown context summarizer: ${summarizerName}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Group conversations into topics by TF-IDF similarity, largest first.
+ * @param {Object[]} conversations
+ * @returns {Object[]} label, terms, conversations (count), share, last_activity
+ */
+function clusterTopics(conversations) {
+  const documents = toDocuments(conversations);
+  return clusterDocuments(documents, termWeights(documents));
+}
+
+// Greedy single pass: each conversation joins the most similar topic so far,
+// or starts one. Labels are the topic's heaviest terms.
+function clusterDocuments(documents, weights) {
+  const clusters = [];
+  for (const doc of documents) {
+    const vector = weights.vector(doc.terms);
+    if (vector.size === 0) continue;
+    let best = null;
+    let bestSimilarity = TOPIC_SIMILARITY;
+    for (const cluster of clusters) {
+      const similarity = cosine(cluster.centroid, vector);
+      if (similarity >= bestSimilarity) {
+        best = cluster;
+        bestSimilarity = similarity;
+      }
+    }
+    if (!best) {
+      best = { centroid: new Map(), docs: [] };
+      clusters.push(best);
+    }
+    best.docs.push(doc);
+    for (const [term, weight] of vector) {
+      best.centroid.set(term, (best.centroid.get(term) || 0) + weight);
+    }
+  }
+
+  const total = documents.length;
+  return clusters
+    .map(cluster => {
+      const terms = [...cluster.centroid.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, 3)
+        .map(([term]) => term);
+      return {
+        label: terms.join(', '),
+        terms,
+        conversations: cluster.docs.length,
+        share: Math.round((cluster.docs.length / total) * 100) / 100,
+        last_activity: cluster.docs[cluster.docs.length - 1].timestamp
+      };
+    })
+    .sort((a, b) => b.conversations - a.conversations || String(b.last_activity).localeCompare(String(a.last_activity)));
+}
+
+/** Whether a sentence asks something: it ends with ? or opens with a question word. */
+function isQuestion(text) {
+  const trimmed = String(text || '').trim();
+  return trimmed.endsWith('?') || QUESTION_START.test(trimmed);
+}
+
+// Oldest first, so later documents can answer earlier questions
+function toDocuments(conversations) {
+  return conversations
+    .filter(conv => typeof conv.message === 'string' && conv.message.trim())
+    .map(conv => {
+      const terms = tokenize(conv.message);
+      return {
+        id: conv.id,
+        platform: conv.platform,
+        type: conv.type,
+        timestamp: conv.timestamp instanceof Date ? conv.timestamp.toISOString() : conv.timestamp,
+        text: conv.message,
+        terms,
+        termSet: new Set(terms)
+      };
+    })
+    .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+}
+
+function termWeights(documents) {
+  const df = new Map();
+  for (const doc of documents) {
+    for (const term of doc.termSet) {
+      df.set(term, (df.get(term) || 0) + 1);
+    }
+  }
+  const idf = new Map();
+  for (const [term, count] of df) {
+    idf.set(term, Math.log((1 + documents.length) / (1 + count)) + 1);
+  }
+  return {
+    idf,
+    vector(terms) {
+      const vector = new Map();
+      for (const term of terms) {
+        vector.set(term, (vector.get(term) || 0) + (idf.get(term) || 1) / terms.length);
+      }
+      return vector;
+    }
+  };
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (const [term, weight] of a) {
+    if (b.has(term)) dot += weight * b.get(term);
+  }
+  const norm = (v) => Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0));
+  const magnitude = norm(a) * norm(b);
+  return magnitude === 0 ? 0 : dot / magnitude;
+}
+
+/** Lower-case content words of a text: no stop words, numbers or words under three letters. */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9_]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+}
+
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+function composeBrief({ topics, keyPoints, openQuestions, decisions }) {
+  const parts = [];
+  if (topics.length > 0) {
+    parts.push(`Mostly about ${topics.slice(0, 2).map(topic => topic.label).join('; ')}.`);
+  }
+  parts.push(...keyPoints.slice(-3).map(point => terminate(point.text)));
+  if (decisions.length > 0) {
+    const latest = decisions[0];
+    parts.push(`Latest decision: ${terminate(latest.outcome ? `${latest.decision} (${latest.outcome})` : latest.decision)}`);
+  }
+  if (openQuestions.length > 0) {
+    parts.push(`${openQuestions.length} open question${openQuestions.length === 1 ? '' : 's'}.`);
+  }
+  const brief = parts.join(' ');
+  return brief.length > MAX_BRIEF_LENGTH ? `${brief.slice(0, MAX_BRIEF_LENGTH - 1)}…` : brief;
+}
+
+function terminate(sentence) {
+  return /[.!?…]$/.test(sentence) ? sentence : `${sentence}.`;
+}
+
+function briefPrompt(projectId, draft) {
+  const list = (items, format) => items.map(item => `- ${format(item)}`).join('\n') || '- none';
+  return [
+    `Write a short project brief (at most five sentences) for project "${projectId}" from these notes.`,
+    'Say what the project is working on now, what was decided and what is still open. Reply with the brief only.',
+    `Topics:\n${list(draft.topics, t => `${t.label} (${t.conversations} conversations)`)}`,
+    `Key points:\n${list(draft.key_points, p => p.text)}`,
+    `Decisions:\n${list(draft.decisions, d => (d.outcome ? `${d.decision} (${d.outcome})` : d.decision))}`,
+    `Open questions:\n${list(draft.open_questions, q => q.question)}`
+  ].join('\n\n');
+}
+
+module.exports = {
+  ContextSummarizer,
+  ExtractiveSummarizer,
+  LLMContextSummarizer,
+  registerContextSummarizer,
+  createContextSummarizer,
+  clusterTopics,
+  isQuestion,
+  tokenize
+};
@@ -0,0 +1,67 @@
+// Decision Sweeper - Periodically closes collective decisions past their deadline
+// Counting the votes lives in database/decision-store.js; this only schedules
+// it and hands each closed decision to `onClosed` (the hub announces them).
+
+const DEFAULT_INTERVAL_MS = 60 * 1000; // Every minute
+
+class DecisionSweeper {
+  /**
+   * @param {DecisionStore} decisions
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs] - default DECISION_SWEEP_INTERVAL_MS, then one minute
+   * @param {Function} [options.onClosed] - called with each decision the sweep closed
+   */
+  constructor(decisions, options = {}) {
+    this.decisions = decisions;
+    this.intervalMs = options.intervalMs || Number(process.env.DECISION_SWEEP_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.onClosed = options.onClosed || (() => {});
+    this.interval = null;
+    this.running = null;
+  }
+
+  // Sweeps once right away: deadlines may have passed while the hub was down
+  start() {
+    if (this.interval) return;
+    this.runInBackground();
+    this.interval = setInterval(() => this.runInBackground(), this.intervalMs);
+    console.log(`🗳️ Decision sweep running every ${Math.round(this.intervalMs / 1000)}s`);
+  }
+
+  /** Stop scheduling and wait for a sweep in progress to finish. */
+  async stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    await this.running?.catch(() => {});
+  }
+
+  /**
+   * One sweep; concurrent callers share the sweep already running.
+   * @returns {Promise<Object[]>} the decisions closed
+   */
+  run() {
+    if (!this.running) {
+      this.running = this.decisions.closeDue()
+        .then(closed => {
+          for (const decision of closed) {
+            console.log(`🗳️ Decision closed at deadline: "${decision.title}" → ${decision.outcome}`);
+            this.onClosed(decision);
+          }
+          return closed;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  runInBackground() {
+    this.run().catch(error => {
+      console.error('⚠️ Decision sweep failed:', error.message);
+    });
+  }
+}
+
+module.exports = DecisionSweeper;
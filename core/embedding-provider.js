@@ -0,0 +1,161 @@
+// Embedding Providers - Turn memory text into vectors for semantic recall
+// Ships a deterministic hashed n-gram provider so semantic search works offline
+
+const crypto = require('crypto');
+
+const DEFAULT_DIMENSIONS = 256;
+
+/**
+ * Base class for embedding providers.
+ * Providers must expose a stable `name` and `dimensions` and implement `embed()`.
+ */
+class EmbeddingProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+    this.dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+  }
+
+  /**
+   * Embed a single text.
+   * @param {string} text
+   * @returns {Promise<number[]>} - L2-normalized vector of length `dimensions`
+   */
+  async embed(text) {
+    throw new Error(`Embedding provider "${this.name}" does not implement embed()`);
+  }
+
+  /**
+   * Embed several texts. Providers backed by remote APIs should override this
+   * to batch requests.
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>}
+   */
+  async embedBatch(texts) {
+    const vectors = [];
+    for (const text of texts) {
+      vectors.push(await this.embed(text));
+    }
+    return vectors;
+  }
+}
+
+/**
+ * Deterministic local provider using the hashing trick over word unigrams,
+ * word bigrams and character trigrams. Character trigrams let "cache" match
+ * "caching" without any model download.
+ */
+class HashedNgramEmbeddingProvider extends EmbeddingProvider {
+  constructor(options = {}) {
+    super({ name: 'hashed-ngram', ...options });
+    this.wordWeight = options.wordWeight ?? 1.0;
+    this.bigramWeight = options.bigramWeight ?? 0.75;
+    this.trigramWeight = options.trigramWeight ?? 0.5;
+  }
+
+  async embed(text) {
+    return this.embedSync(text);
+  }
+
+  embedSync(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = tokenize(text);
+
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+      this.addFeature(vector, `w:${word}`, this.wordWeight);
+
+      if (i + 1 < words.length) {
+        this.addFeature(vector, `b:${word} ${words[i + 1]}`, this.bigramWeight);
+      }
+
+      const padded = `#${word}#`;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        this.addFeature(vector, `t:${padded.slice(j, j + 3)}`, this.trigramWeight);
+      }
+    }
+
+    return normalize(vector);
+  }
+
+  addFeature(vector, feature, weight) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    const index = digest.readUInt32LE(0) % this.dimensions;
+    const sign = (digest[4] & 1) === 0 ? 1 : -1;
+    vector[index] += sign * weight;
+  }
+}
+
+const providerFactories = new Map([
+  ['hashed-ngram', (options) => new HashedNgramEmbeddingProvider(options)]
+]);
+
+/**
+ * Register an embedding provider factory under a name so it can be selected
+ * with EMBEDDING_PROVIDER.
+ * @param {string} name
+ * @param {function(Object): EmbeddingProvider} factory
+ */
+function registerEmbeddingProvider(name, factory) {
+  providerFactories.set(name, factory);
+}
+
+/**
+ * Create an embedding provider by name.
+ * @param {string} [name] - Defaults to EMBEDDING_PROVIDER or 'hashed-ngram'
+ * @param {Object} [options]
+ * @returns {EmbeddingProvider}
+ */
+function createEmbeddingProvider(name, options = {}) {
+  const providerName = name || process.env.EMBEDDING_PROVIDER || 'hashed-ngram';
+  const factory = providerFactories.get(providerName);
+  if (!factory) {
+    throw new Error(`Unknown embedding provider: ${providerName}`);
+  }
+
+  const dimensions = options.dimensions || parseInt(process.env.EMBEDDING_DIMENSIONS) || DEFAULT_DIMENSIONS;
+  return factory({ ...options, dimensions });
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1);
+}
+
+function normalize(vector) {
+  const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  if (magnitude === 0) return vector;
+  return vector.map(v => v / magnitude);
+}
+
+/**
+ * Cosine similarity between two vectors of equal length.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+module.exports = {
+  EmbeddingProvider,
+  HashedNgramEmbeddingProvider,
+  registerEmbeddingProvider,
+  createEmbeddingProvider,
+  cosineSimilarity,
+  DEFAULT_DIMENSIONS
+};
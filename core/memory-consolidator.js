@@ -0,0 +1,64 @@
+// Memory Consolidator - Periodically consolidates memories
+// The merging, digesting and demotion live in database/memory-consolidation.js;
+// this only schedules them.
+
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000; // Every six hours
+
+class MemoryConsolidator {
+  /**
+   * @param {MemoryConsolidation} consolidation
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs] - default MEMORY_CONSOLIDATION_INTERVAL_MS, then six hours
+   */
+  constructor(consolidation, options = {}) {
+    this.consolidation = consolidation;
+    this.intervalMs = options.intervalMs || Number(process.env.MEMORY_CONSOLIDATION_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.interval = null;
+    this.running = null;
+  }
+
+  // Unlike the retention reaper, the first pass waits one interval:
+  // nothing about consolidation is urgent at startup
+  start() {
+    if (this.interval) return;
+    this.interval = setInterval(() => this.runInBackground(), this.intervalMs);
+    console.log(`🧩 Memory consolidation running every ${Math.round(this.intervalMs / 1000)}s`);
+  }
+
+  /** Stop scheduling and wait for a pass in progress to finish. */
+  async stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    await this.running?.catch(() => {});
+  }
+
+  /**
+   * One consolidation pass; concurrent callers share the pass already running.
+   * @returns {Promise<{ merged: number, digested: number, digests: number, demoted: number }>}
+   */
+  run() {
+    if (!this.running) {
+      this.running = this.consolidation.consolidate()
+        .then(result => {
+          if (result.merged || result.digested || result.demoted) {
+            console.log(`🧩 Consolidation: merged ${result.merged}, digested ${result.digested} into ${result.digests}, demoted ${result.demoted} memories`);
+          }
+          return result;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  runInBackground() {
+    this.run().catch(error => {
+      console.error('⚠️ Memory consolidation failed:', error.message);
+    });
+  }
+}
+
+module.exports = MemoryConsolidator;
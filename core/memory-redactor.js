@@ -0,0 +1,338 @@
+// Memory Redactor - Screens memory text for secrets and personal data on ingestion
+// Every new conversation and memory is scanned before it is stored: the
+// message or content, and every string in its context, metadata and tags.
+// Detectors find API keys, tokens, private keys, secrets assigned in
+// `.env`-style text or under secret-looking keys, high-entropy strings,
+// emails, phone numbers and credit-card numbers. The policy gives each
+// detector an action:
+//   redact      replace the match with [REDACTED:<type>]
+//   mask        keep the last four characters (an email keeps its domain)
+//   quarantine  hold the whole record, redacted, for an admin to release or discard
+//   reject      refuse the whole record
+//   allow       leave it as it is
+// Findings say what was found where and what was done to it, never the
+// matched text, so they can be logged (database/redaction-store.js).
+
+const ACTIONS = ['redact', 'mask', 'quarantine', 'reject', 'allow'];
+// How a record's findings add up: the strongest action wins
+const RECORD_ACTIONS = ['store', 'quarantine', 'reject'];
+
+const DEFAULT_POLICY = Object.freeze({
+  private_key: 'redact',
+  api_key: 'redact',
+  token: 'redact',
+  secret: 'redact',
+  credit_card: 'redact',
+  email: 'mask',
+  phone: 'mask'
+});
+
+// Key and variable names whose values are secrets, by word (camelCase is split first)
+const SECRET_NAME = /(^|_)(secret|secrets|token|password|passwd|pwd|passphrase|api_?key|apikey|access_?key|private_?key|client_?secret|credentials?)(_|$)/;
+const MIN_SECRET_VALUE = 6;
+const ENTROPY_MIN_LENGTH = 24;
+const ENTROPY_THRESHOLD = 4.0;
+const MAX_WORD_SHARE = 0.6;
+
+const PRIVATE_KEY_BLOCK = /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----|$)/g;
+
+/**
+ * Detectors run in this order; where matches overlap, the earlier detector's
+ * match is kept. `check` filters candidates a pattern alone cannot tell apart.
+ */
+const DETECTORS = [
+  { type: 'private_key', rule: 'pattern', pattern: PRIVATE_KEY_BLOCK },
+  {
+    type: 'token',
+    rule: 'pattern',
+    // JSON Web Tokens and bearer credentials
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}|(?<=\bBearer\s+)[A-Za-z0-9._~+/-]{16,}=*/g
+  },
+  {
+    type: 'api_key',
+    rule: 'pattern',
+    // This hub's keys, AWS, OpenAI/Anthropic, GitHub, Slack, Google, Stripe
+    pattern: new RegExp([
+      'mmh_[A-Za-z0-9_-]{20,}',
+      '(?:AKIA|ASIA)[0-9A-Z]{16}',
+      'sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}',
+      'gh[opusr]_[A-Za-z0-9]{30,}',
+      'github_pat_[A-Za-z0-9_]{22,}',
+      'xox[abprs]-[A-Za-z0-9-]{10,}',
+      'AIza[0-9A-Za-z_-]{35}',
+      '(?:sk|rk|pk)_(?:live|test)_[0-9A-Za-z]{16,}'
+    ].map(source => `\\b${source}`).join('|'), 'g')
+  },
+  {
+    type: 'secret',
+    rule: 'assignment',
+    // NAME=value and "name": "value" where the name is a secret's
+    pattern: /([A-Za-z_][A-Za-z0-9_.-]*)["']?\s*[:=]\s*["']?([^\s"'`,;}]+)/g,
+    select: match => (isSecretName(match[1]) && isSecretValue(match[2])
+      ? { start: match.index + match[0].length - match[2].length, end: match.index + match[0].length }
+      : null)
+  },
+  {
+    type: 'credit_card',
+    rule: 'pattern',
+    pattern: /(?<![\d.-])(?:\d[ -]?){12,18}\d(?![\d.-]\d)/g,
+    check: text => {
+      const digits = text.replace(/\D/g, '');
+      return /^(4|5[1-5]|2[2-7]|3[47]|6)/.test(digits) && luhn(digits);
+    }
+  },
+  {
+    type: 'email',
+    rule: 'pattern',
+    pattern: /(?<![\w.+-])[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g
+  },
+  {
+    type: 'phone',
+    rule: 'pattern',
+    pattern: /(?<![\w.+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}(?!\w|[.-]\d)/g,
+    check: text => {
+      const digits = text.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15;
+    }
+  },
+  {
+    type: 'secret',
+    rule: 'entropy',
+    pattern: /[A-Za-z0-9+/_=-]{24,}/g,
+    check: text => isHighEntropy(text)
+  }
+];
+
+const extraDetectors = [];
+
+/**
+ * Add a detector, e.g. for customer or ticket ids. It runs after the built-in
+ * ones and is governed by the policy entry for its type (default: redact).
+ * @param {Object} detector
+ * @param {string} detector.type
+ * @param {RegExp} detector.pattern - with the g flag
+ * @param {function(string): boolean} [detector.check]
+ */
+function registerDetector({ type, pattern, check }) {
+  if (!type || !(pattern instanceof RegExp) || !pattern.global) {
+    throw new Error('A detector needs a type and a global RegExp pattern');
+  }
+  extraDetectors.push({ type, rule: 'custom', pattern, check });
+}
+
+/** Detector types the policy may name. */
+function detectorTypes() {
+  return [...new Set([...DETECTORS, ...extraDetectors].map(detector => detector.type))];
+}
+
+class RedactionError extends Error {
+  /**
+   * @param {string} code - 'rejected' or 'quarantined'
+   * @param {string} message
+   * @param {Object} [details] - findings, and quarantine_id once held
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'RedactionError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Parse a policy: an object, or REDACTION_POLICY text such as
+ * "email=allow,credit_card=reject". `*` sets every detector at once; entries
+ * missing from the policy keep DEFAULT_POLICY's action.
+ * @param {Object|string} [policy]
+ * @returns {Object} detector type -> action
+ */
+function resolvePolicy(policy = process.env.REDACTION_POLICY) {
+  let entries = policy || {};
+  if (typeof entries === 'string') {
+    entries = Object.fromEntries(entries.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const [type, action] = part.split('=').map(value => (value || '').trim());
+      return [type, action];
+    }));
+  }
+
+  const types = detectorTypes();
+  const resolved = {};
+  for (const type of types) {
+    resolved[type] = DEFAULT_POLICY[type] || 'redact';
+  }
+  if (entries['*']) {
+    for (const type of types) resolved[type] = entries['*'];
+  }
+  for (const [type, action] of Object.entries(entries)) {
+    if (type === '*') continue;
+    if (!types.includes(type)) {
+      throw new Error(`Unknown redaction detector: ${type}. Use: ${types.join(', ')}`);
+    }
+    resolved[type] = action;
+  }
+  for (const [type, action] of Object.entries(resolved)) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Redaction action for ${type} must be one of: ${ACTIONS.join(', ')}`);
+    }
+  }
+  return resolved;
+}
+
+class MemoryRedactor {
+  /**
+   * @param {Object} [options]
+   * @param {Object|string} [options.policy] - see resolvePolicy() (default: REDACTION_POLICY)
+   */
+  constructor(options = {}) {
+    this.policy = resolvePolicy(options.policy);
+  }
+
+  /**
+   * Matches in a piece of text, in order, without overlaps.
+   * @param {string} text
+   * @returns {Object[]} type, rule, start, end
+   */
+  scanText(text) {
+    const found = [];
+    for (const detector of [...DETECTORS, ...extraDetectors]) {
+      detector.pattern.lastIndex = 0;
+      for (const match of text.matchAll(detector.pattern)) {
+        const span = detector.select
+          ? detector.select(match)
+          : { start: match.index, end: match.index + match[0].length };
+        if (!span || span.end <= span.start) continue;
+        if (detector.check && !detector.check(text.slice(span.start, span.end))) continue;
+        if (found.some(other => span.start < other.end && other.start < span.end)) continue;
+        found.push({ type: detector.type, rule: detector.rule, ...span });
+      }
+    }
+    return found.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Screen a record's fields before it is stored.
+   * @param {Object} fields - e.g. { message, context } or { content, metadata, tags }
+   * @returns {{ fields: Object, findings: Object[], action: string }} the fields with
+   *   matches redacted or masked (quarantined and rejected matches are redacted too),
+   *   what was found (type, rule, field, action) and what happens to the record:
+   *   'store', 'quarantine' or 'reject'
+   */
+  screen(fields) {
+    const findings = [];
+    const screened = {};
+    for (const [name, value] of Object.entries(fields)) {
+      screened[name] = this.screenValue(value, name, findings, null);
+    }
+
+    const action = findings.reduce((strongest, finding) => {
+      const recordAction = RECORD_ACTIONS.includes(finding.action) ? finding.action : 'store';
+      return RECORD_ACTIONS.indexOf(recordAction) > RECORD_ACTIONS.indexOf(strongest) ? recordAction : strongest;
+    }, 'store');
+    return { fields: screened, findings, action };
+  }
+
+  // Strings are scanned; under a secret-looking key the whole value is a secret
+  screenValue(value, path, findings, key) {
+    if (typeof value === 'string') {
+      if (key !== null && isSecretName(key) && isSecretValue(value)) {
+        return this.apply(value, [{ type: 'secret', rule: 'key', start: 0, end: value.length }], path, findings);
+      }
+      return this.apply(value, this.scanText(value), path, findings);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, i) => this.screenValue(item, `${path}[${i}]`, findings, key));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) =>
+        [name, this.screenValue(item, `${path}.${name}`, findings, name)]
+      ));
+    }
+    return value;
+  }
+
+  apply(text, matches, field, findings) {
+    let result = '';
+    let cursor = 0;
+    for (const match of matches) {
+      const action = this.policy[match.type] || 'redact';
+      if (action === 'allow') continue;
+      findings.push({ type: match.type, rule: match.rule, field, action });
+      const original = text.slice(match.start, match.end);
+      result += text.slice(cursor, match.start) + (action === 'mask' ? mask(match.type, original) : `[REDACTED:${match.type}]`);
+      cursor = match.end;
+    }
+    return result + text.slice(cursor);
+  }
+}
+
+function mask(type, text) {
+  if (type === 'email') {
+    const at = text.lastIndexOf('@');
+    return `${text[0]}***${text.slice(at)}`;
+  }
+  // Every letter and digit but the last four; separators stay
+  let keep = 4;
+  let masked = '';
+  for (let i = text.length - 1; i >= 0; i--) {
+    const char = text[i];
+    if (/[A-Za-z0-9]/.test(char) && keep-- <= 0) {
+      masked = '*' + masked;
+    } else {
+      masked = char + masked;
+    }
+  }
+  return masked;
+}
+
+function isSecretName(name) {
+  return SECRET_NAME.test(String(name).replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[-.]/g, '_').toLowerCase());
+}
+
+// Placeholders and references are not secrets
+function isSecretValue(value) {
+  return value.length >= MIN_SECRET_VALUE && !/^(\$|<|%|\{\{|process\.env|\*+$|x+$|null$|undefined$|true$|false$)/i.test(value);
+}
+
+// Long strings of mixed case and digits carrying close to random information.
+// Identifiers and paths (ContextPackerWithBudget2000, Org/Repo123/blob/main)
+// are mostly words, which random strings seldom are.
+function isHighEntropy(text) {
+  if (text.length < ENTROPY_MIN_LENGTH) return false;
+  if (!/[a-z]/.test(text) || !/[A-Z]/.test(text) || !/\d/.test(text)) return false;
+  const words = (text.match(/[A-Z]?[a-z]{3,}/g) || []).join('').length;
+  return words / text.length < MAX_WORD_SHARE && shannonEntropy(text) >= ENTROPY_THRESHOLD;
+}
+
+/** Bits of information per character. */
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+module.exports = MemoryRedactor;
+module.exports.RedactionError = RedactionError;
+module.exports.ACTIONS = ACTIONS;
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
+module.exports.resolvePolicy = resolvePolicy;
+module.exports.registerDetector = registerDetector;
+module.exports.detectorTypes = detectorTypes;
+module.exports.shannonEntropy = shannonEntropy;
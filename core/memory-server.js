@@ -11,13 +11,26 @@ const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 
 const MemoryDatabase = require('../database/memory-database-production');
+const { codeArtifactRecord, aiContextRecord, aiFileRecord, aiInsightRecord } = MemoryDatabase;
+const { resolveExpiresAt } = require('../database/retention-store');
 const MemoryHubAPI = require('../api/memory-hub-api');
 const ContextManager = require('./context-manager');
+const ContextPacker = require('./context-packer');
+const MemoryRedactor = require('./memory-redactor');
+const { RedactionError } = MemoryRedactor;
+const TenantManager = require('./tenant-manager');
+const { tenantRoom, tenantChannel, tenantOf, runAsTenant, DEFAULT_TENANT } = require('./tenant-context');
 const ProjectScanner = require('./project-scanner');
+const RetentionReaper = require('./retention-reaper');
+const MemoryConsolidator = require('./memory-consolidator');
+const DecisionSweeper = require('./decision-sweeper');
 const { WebChatBridge, VSCodeBridge } = require('../bridges/platform-bridges');
 const ExternalBridgeManager = require('../bridges/external-bridge-manager');
 const MyceliumBridge = require('../bridges/mycelium-bridge');
 const { validateString, validateOptionalString, validateObject, validatePayloadSize, createSocketRateLimiter } = require('./socket-validator');
+const { createSocketAuth, checkSocketEventScope, checkProjectAccess, resolveSocketEventScope } = require('./api-auth');
+const { TenantError } = require('../database/tenant-store');
+const { readerFor } = require('../database/memory-access');
 
 // Federation Hub v2
 let FederationHub;
@@ -27,8 +40,54 @@ try {
   console.log('⚠️ Federation Hub v2 not available yet');
 }
 
+const DEFAULT_PORT = 3002;
+const RESUME_TRANSCRIPT_LENGTH = 20; // Entries handed back when resuming a session
+// Fields of a new record the redactor screens, by table
+const SCREENED_FIELDS = {
+  conversations: ['message', 'context'],
+  memories: ['content', 'metadata', 'tags']
+};
+
 class MemoryHub {
-  constructor() {
+  /**
+   * Builds the app, socket server and components; nothing connects or listens
+   * until start(). Prefer createMemoryHub(options).
+   * @param {Object} [options]
+   * @param {number} [options.port] - default PORT, SCRI_CORE_MEMORY_PORT, then 3002; 0 picks a free port
+   * @param {string} [options.host='0.0.0.0']
+   * @param {Object} [options.database] - a ready-made MemoryDatabase; the caller keeps ownership
+   *   and closes it. Without one the hub opens its own from `databaseOptions` and closes it on stop()
+   * @param {Object} [options.databaseOptions] - passed to `new MemoryDatabase()`, e.g. { backend: 'memory' };
+   *   tenant databases are opened next to it (see core/tenant-manager.js)
+   * @param {Function[]|false} [options.bridges] - platform bridge classes, constructed with the hub
+   *   (default: WebChatBridge and VSCodeBridge); false skips bridges and external bridge endpoints
+   * @param {Function|false} [options.federation] - Federation Hub class (default: ../federation); false disables it
+   * @param {boolean} [options.scanProjects=true] - scan PROJECT_SCAN_ROOT for projects on start
+   * @param {Object|false} [options.retention] - RetentionReaper options, e.g. { intervalMs };
+   *   false leaves expired memories in place
+   * @param {Object|false} [options.consolidation] - MemoryConsolidator options, e.g. { intervalMs };
+   *   false turns scheduled consolidation off
+   * @param {Object|false} [options.decisions] - DecisionSweeper options, e.g. { intervalMs };
+   *   false leaves decisions open past their deadline until someone closes them
+   * @param {Object} [options.summarizer] - context summarizer for project briefs
+   *   (default: CONTEXT_SUMMARIZER, else the offline extractive one; see core/context-summarizer.js)
+   * @param {Object} [options.redaction] - MemoryRedactor options, e.g. { policy: { email: 'allow' } }
+   *   (default policy: REDACTION_POLICY; see core/memory-redactor.js)
+   * @param {MemoryRedactor} [options.redactor] - a ready-made redactor instead
+   */
+  constructor(options = {}) {
+    this.options = {
+      port: options.port ?? process.env.PORT ?? process.env.SCRI_CORE_MEMORY_PORT ?? DEFAULT_PORT,
+      host: options.host || '0.0.0.0',
+      bridges: options.bridges ?? [WebChatBridge, VSCodeBridge],
+      federation: options.federation ?? FederationHub ?? false,
+      scanProjects: options.scanProjects ?? true,
+      retention: options.retention ?? {},
+      consolidation: options.consolidation ?? {},
+      decisions: options.decisions ?? {}
+    };
+    this.port = null; // Bound port, set once listening
+
     this.app = express();
     this.server = http.createServer(this.app);
     const wsOrigins = (process.env.CORS_ORIGIN || 'http://localhost:3000,http://localhost:3001').split(',').map(s => s.trim());
@@ -46,9 +105,20 @@ class MemoryHub {
       }
     });
     
-    // Core components
-    this.db = new MemoryDatabase();
-    this.contextManager = new ContextManager(this.db);
+    // Core components. The hub's own database is the default tenant's;
+    // db, contextManager and contextPacker are those of the current tenant
+    this.ownsDatabase = !options.database;
+    this.tenants = new TenantManager({
+      database: options.database || new MemoryDatabase(options.databaseOptions),
+      databaseOptions: options.databaseOptions,
+      createRuntime: (db) => {
+        const contextManager = new ContextManager(db, { summarizer: options.summarizer });
+        return { contextManager, contextPacker: new ContextPacker(db, contextManager) };
+      },
+      startJobs: runtime => this.startJobs(runtime),
+      stopJobs: runtime => this.stopJobs(runtime)
+    });
+    this.redactor = options.redactor || new MemoryRedactor(options.redaction);
     this.projectScanner = new ProjectScanner();
     this.externalBridgeManager = new ExternalBridgeManager(this);
     this.myceliumBridge = null; // Initialize after server starts
@@ -63,9 +133,32 @@ class MemoryHub {
     this.setupMiddleware();
     this.setupRoutes();
     this.setupWebSocket();
-    this.initializeBridges();
-    this.initializeSCRIEntities();
-    this.scanProjects();
+  }
+
+  get db() {
+    return this.tenants.runtime().db;
+  }
+
+  get contextManager() {
+    return this.tenants.runtime().contextManager;
+  }
+
+  get contextPacker() {
+    return this.tenants.runtime().contextPacker;
+  }
+
+  // Background jobs of the current tenant's database, started with the hub
+  // (or when a tenant's database is opened)
+  get retentionReaper() {
+    return this.tenants.runtime().retentionReaper || null;
+  }
+
+  get memoryConsolidator() {
+    return this.tenants.runtime().memoryConsolidator || null;
+  }
+
+  get decisionSweeper() {
+    return this.tenants.runtime().decisionSweeper || null;
   }
 
   setupMiddleware() {
@@ -107,9 +200,18 @@ class MemoryHub {
     this.app.post('/api/memory/conversation', async (req, res) => {
       try {
         const { platform, projectId, message, context } = req.body;
-        const conversationId = await this.contextManager.addConversation(platform, projectId, message, context);
+        const { conversationId } = await this.addContextConversation(platform, projectId, message, context, {}, {
+          via: 'POST /api/memory/conversation',
+          actor: req.apiKey ? req.apiKey.name : null
+        });
         res.json({ success: true, conversationId });
       } catch (error) {
+        if (error instanceof RedactionError && error.code === 'quarantined') {
+          return res.status(202).json({ success: true, status: 'quarantined', message: error.message, ...error.details });
+        }
+        if (error instanceof RedactionError) {
+          return res.status(422).json({ error: error.message, code: error.code, ...error.details });
+        }
         res.status(500).json({ error: error.message });
       }
     });
@@ -117,8 +219,12 @@ class MemoryHub {
     this.app.get('/api/memory/context/:projectId', async (req, res) => {
       try {
         const { projectId } = req.params;
-        const context = await this.contextManager.getProjectContext(projectId);
-        res.json({ success: true, context });
+        const asOf = req.query.as_of;
+        if (asOf !== undefined && isNaN(Date.parse(asOf))) {
+          return res.status(400).json({ error: 'as_of must be an ISO timestamp' });
+        }
+        const context = await this.contextManager.getProjectContext(projectId, { asOf });
+        res.json({ success: true, context, as_of: asOf ? new Date(asOf).toISOString() : null });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
@@ -130,17 +236,14 @@ class MemoryHub {
     console.log('🌉 Initializing platform bridges...');
     
     try {
-      // Web Chat Bridge
-      const webChatBridge = new WebChatBridge(this);
-      await webChatBridge.connect();
-      this.bridges.set('web-chat', webChatBridge);
-      
-      // VS Code Bridge
-      const vscodeBridge = new VSCodeBridge(this);
-      await vscodeBridge.connect();
-      this.bridges.set('vscode-extension', vscodeBridge);
+      // Each bridge registers itself under its platform name on connect()
+      for (const Bridge of this.options.bridges) {
+        const bridge = new Bridge(this);
+        await bridge.connect();
+        this.bridges.set(bridge.platform, bridge);
+      }
       
-  console.log('✅ All platform bridges initialized successfully');
+      console.log('✅ All platform bridges initialized successfully');
     } catch (error) {
       console.error('❌ Error initializing bridges:', error);
     }
@@ -183,9 +286,17 @@ class MemoryHub {
     return status;
   }
 
-  // Database method proxies for API compatibility
-  async addConversation(conversation) {
-    const result = await this.db.addConversation(conversation);
+  // Database method proxies for API compatibility.
+  // New conversations and memories are screened by the redactor unless
+  // `screen` is false (records an admin released from quarantine);
+  // `via` and `actor` say where they came from in the redaction log
+  async addConversation(conversation, { screen = true, ...ingest } = {}) {
+    const screened = screen
+      ? await this.screenRecord('conversations', conversation, ingest)
+      : { record: conversation, findings: [] };
+    const result = await this.db.addConversation(screened.record);
+    await this.recordRedactions('conversations', screened.record.id, screened, ingest);
+    await this.contextManager.learnPatterns(screened.record);
     
     // Broadcast memory sync event via WebSocket
     // Broadcast memory sync event if needed
@@ -193,6 +304,375 @@ class MemoryHub {
     return result;
   }
 
+  async getConversation(id) {
+    return await this.db.getConversation(id);
+  }
+
+  // Edits and removals drop the cached project context and tell connected
+  // agents, so nobody keeps serving the old version of a memory. Edits are
+  // screened like new records (see screenEdit())
+  async updateConversation(id, changes, { via, actor, ...options } = {}) {
+    const ingest = { via, actor: actor ?? options.changedBy ?? null };
+    const screened = await this.screenEdit('conversations', id, changes, ingest);
+    const memory = await this.db.updateConversation(id, screened.changes, options);
+    if (memory) {
+      await this.recordRedactions('conversations', id, { record: { projectId: memory.project_id }, findings: screened.findings }, ingest);
+      this.announceMemoryChange('memory:updated', {
+        id,
+        record_table: 'conversations',
+        project_id: memory.project_id,
+        platform: memory.platform,
+        type: memory.type,
+        updated_at: memory.updated_at
+      });
+    }
+    return memory;
+  }
+
+  async deleteConversation(id, options) {
+    return this.announceRemoval(await this.db.deleteConversation(id, options));
+  }
+
+  async purgeConversation(id, options) {
+    return this.announceRemoval(await this.db.purgeConversation(id, options));
+  }
+
+  // First-class memories (database/memory-store.js) announce their changes the same way
+  async addMemory(memory, { screen = true, via, actor, ...options } = {}) {
+    const ingest = { via, actor };
+    const screened = screen
+      ? await this.screenRecord('memories', memory, ingest)
+      : { record: memory, findings: [] };
+    const stored = await this.db.memories.add(screened.record, options);
+    await this.recordRedactions('memories', stored.id, screened, ingest, options.tx);
+    return stored;
+  }
+
+  // AI coordination records (database/memory-database-production.js),
+  // screened like addConversation(); each resolves to the record as stored
+  async storeAIContext(data, ingest = {}) {
+    return await this.addInternalConversation(aiContextRecord(data), ingest);
+  }
+
+  async storeAIFile(data, ingest = {}) {
+    return await this.addInternalConversation(aiFileRecord(data), ingest);
+  }
+
+  async storeAIInsight(data, ingest = {}) {
+    return await this.addInternalConversation(aiInsightRecord(data), ingest);
+  }
+
+  async addInternalConversation(conversation, ingest) {
+    const screened = await this.screenRecord('conversations', conversation, ingest);
+    await this.db.insertConversation(screened.record);
+    await this.recordRedactions('conversations', conversation.id, screened, ingest);
+    return screened.record;
+  }
+
+  // Conversations the socket and the legacy route hand to the context
+  // manager, screened like addConversation(); resolves to the id and the
+  // message and context as stored
+  async addContextConversation(platform, projectId, message, context, options = {}, ingest = {}) {
+    const screened = await this.screenRecord('conversations', {
+      platform, projectId, message, context, type: options.type, expiresAt: options.expiresAt
+    }, ingest);
+    const conversationId = await this.contextManager.addConversation(
+      platform, projectId, screened.record.message, screened.record.context, options
+    );
+    await this.recordRedactions('conversations', conversationId, screened, ingest);
+    return { conversationId, message: screened.record.message, context: screened.record.context };
+  }
+
+  /**
+   * Run a new record past the redactor (core/memory-redactor.js).
+   * @param {string} table - 'conversations' or 'memories'
+   * @param {Object} record - as handed to addConversation() or addMemory()
+   * @param {Object} [ingest] - via (route or socket event) and actor (API key name)
+   * @returns {Promise<{ record: Object, findings: Object[] }>} the record redacted
+   * @throws {RedactionError} 'rejected', or 'quarantined' once the record is held for review
+   */
+  async screenRecord(table, record, { via = null, actor = null } = {}) {
+    const fields = {};
+    for (const field of SCREENED_FIELDS[table]) {
+      if (record[field] !== undefined) fields[field] = record[field];
+    }
+    const { fields: redacted, findings, action } = this.redactor.screen(fields);
+    const screened = { ...record, ...redacted };
+    const entry = { recordTable: table, findings, projectId: record.projectId ?? null, via, actor };
+    const types = [...new Set(findings.map(finding => finding.type))].join(', ');
+
+    if (action === 'reject') {
+      await this.db.redactions.record({ ...entry, action: 'rejected' });
+      console.warn(`🚫 Redaction policy rejected a new ${table} record (${types})${via ? ` via ${via}` : ''}`);
+      throw new RedactionError('rejected', `Rejected by the redaction policy: contains ${types}`, { findings });
+    }
+    if (action === 'quarantine') {
+      const held = await this.db.redactions.quarantine({ ...entry, payload: screened });
+      console.warn(`🔒 Redaction policy quarantined a new ${table} record (${types}) as ${held.id}`);
+      throw new RedactionError('quarantined', `Held for review by the redaction policy: contains ${types}`, {
+        findings,
+        quarantine_id: held.id
+      });
+    }
+    return { record: screened, findings };
+  }
+
+  /**
+   * Run an edit past the redactor: the changed fields of SCREENED_FIELDS, as
+   * screenRecord() does for new records. An edit cannot wait in quarantine -
+   * releasing it would store a new record - so one the policy would
+   * quarantine is refused like a rejected one.
+   * @param {string} table - 'conversations' or 'memories'
+   * @param {string} id - the record edited
+   * @param {Object} changes - as handed to updateConversation() or updateMemory()
+   * @param {Object} [ingest] - via (route or socket event) and actor (API key name)
+   * @returns {Promise<{ changes: Object, findings: Object[] }>} the changes redacted
+   * @throws {RedactionError} 'rejected'
+   */
+  async screenEdit(table, id, changes, { via = null, actor = null } = {}) {
+    const fields = {};
+    for (const field of SCREENED_FIELDS[table]) {
+      if (changes[field] !== undefined) fields[field] = changes[field];
+    }
+    if (Object.keys(fields).length === 0) return { changes, findings: [] };
+
+    const { fields: redacted, findings, action } = this.redactor.screen(fields);
+    if (action !== 'store') {
+      const types = [...new Set(findings.map(finding => finding.type))].join(', ');
+      await this.db.redactions.record({ recordTable: table, action: 'rejected', findings, recordId: id, via, actor });
+      console.warn(`🚫 Redaction policy rejected an edit of ${table} record ${id} (${types})${via ? ` via ${via}` : ''}`);
+      throw new RedactionError('rejected', `Rejected by the redaction policy: contains ${types}`, { findings });
+    }
+    return { changes: { ...changes, ...redacted }, findings };
+  }
+
+  // Responses merged into an AI conversation's context, screened like edits
+  async updateAIConversation(id, updates, ingest = {}) {
+    const screened = await this.screenEdit('conversations', id, { context: updates }, ingest);
+    const conversation = await this.db.updateAIConversation(id, screened.changes.context);
+    await this.recordRedactions('conversations', id, {
+      record: { projectId: conversation.project_id },
+      findings: screened.findings
+    }, ingest);
+    return conversation;
+  }
+
+  async recordRedactions(table, recordId, { record, findings }, { via = null, actor = null } = {}, tx) {
+    if (findings.length === 0) return;
+    await this.db.redactions.record({
+      recordTable: table,
+      action: 'redacted',
+      findings,
+      recordId,
+      projectId: record.projectId ?? null,
+      via,
+      actor
+    }, tx);
+  }
+
+  /**
+   * Store a quarantined record as it was held (already redacted), or drop it.
+   * @param {string} id - quarantine id
+   * @param {string} status - 'released' or 'discarded'
+   * @param {string} [by] - API key name
+   * @returns {Promise<Object|null>} the quarantined record, null when none is held with this id
+   */
+  async resolveQuarantined(id, status, by = null) {
+    const held = await this.db.redactions.getQuarantined(id);
+    if (!held || held.status !== 'held') return null;
+    if (status === 'discarded') {
+      return await this.db.redactions.resolveQuarantined(id, { status, by });
+    }
+
+    let recordId;
+    if (held.record_table === 'memories') {
+      recordId = (await this.addMemory(held.payload, { screen: false, changedBy: by })).id;
+    } else {
+      // Records held from the socket have no id or type yet
+      const conversation = {
+        id: uuidv4(),
+        timestamp: held.created_at,
+        ...held.payload,
+        type: held.payload.type || this.contextManager.detectMessageType(held.payload.message)
+      };
+      await this.addConversation(conversation, { screen: false });
+      recordId = conversation.id;
+    }
+    return await this.db.redactions.resolveQuarantined(id, { status, by, recordId });
+  }
+
+  async getMemory(id) {
+    return await this.db.memories.get(id);
+  }
+
+  async listMemories(options) {
+    return await this.db.memories.list(options);
+  }
+
+  async searchMemories(query, options) {
+    return await this.db.memories.search(query, options);
+  }
+
+  async semanticSearchMemories(query, options) {
+    return await this.db.memories.semanticSearch(query, options);
+  }
+
+  async recallMemories(query, options) {
+    return await this.db.memories.recall(query, options);
+  }
+
+  // Reads refused by a memory's access level (database/memory-access.js)
+  async recordDeniedReads(reader, memories) {
+    return await this.db.accessAudit.recordDenied(reader, memories);
+  }
+
+  async updateMemory(id, changes, { via, actor, ...options } = {}) {
+    const ingest = { via, actor: actor ?? options.changedBy ?? null };
+    const screened = await this.screenEdit('memories', id, changes, ingest);
+    const memory = await this.db.memories.update(id, screened.changes, options);
+    if (memory) {
+      await this.recordRedactions('memories', id, { record: { projectId: memory.project_id }, findings: screened.findings }, ingest, options.tx);
+      this.announceMemoryChange('memory:updated', {
+        id,
+        record_table: 'memories',
+        project_id: memory.project_id,
+        entity: memory.entity,
+        category: memory.category,
+        updated_at: memory.updated_at
+      });
+    }
+    return memory;
+  }
+
+  async deleteMemory(id, options) {
+    return this.announceRemoval(await this.db.memories.delete(id, options));
+  }
+
+  async purgeMemory(id, options) {
+    return this.announceRemoval(await this.db.memories.purge(id, options));
+  }
+
+  announceRemoval(tombstone) {
+    if (tombstone) {
+      this.announceMemoryChange('memory:deleted', {
+        id: tombstone.id,
+        record_table: tombstone.record_table,
+        project_id: tombstone.project_id,
+        platform: tombstone.platform,
+        type: tombstone.type,
+        deleted_at: tombstone.deleted_at,
+        purged: tombstone.purged
+      });
+    }
+    return tombstone;
+  }
+
+  // Sent to every socket of the current tenant, never to other tenants'
+  broadcast(event, payload) {
+    this.io.to(tenantChannel()).emit(event, payload);
+  }
+
+  announceMemoryChange(event, payload) {
+    this.contextManager.invalidateProject(payload.project_id);
+    this.broadcast(event, payload);
+  }
+
+  // Collective decisions (database/decision-store.js): every step is announced
+  // to all clients so that eligible entities learn they have something to vote on
+  async proposeDecision(proposal) {
+    const decision = await this.db.decisions.propose(proposal);
+    this.announceDecision('decision:proposed', decision);
+    return decision;
+  }
+
+  async getDecision(id) {
+    return await this.db.decisions.get(id);
+  }
+
+  async listDecisions(options) {
+    return await this.db.decisions.list(options);
+  }
+
+  async voteOnDecision(id, ballot) {
+    const result = await this.db.decisions.vote(id, ballot);
+    if (result) {
+      this.announceDecision('decision:voted', result.decision, { entity: ballot.entity, vote: ballot.vote });
+      if (result.closed) {
+        this.announceDecision('decision:closed', result.decision);
+      }
+    }
+    return result;
+  }
+
+  async commentOnDecision(id, comment) {
+    const stored = await this.db.decisions.comment(id, comment);
+    if (stored) {
+      const decision = await this.db.decisions.get(id);
+      this.announceDecision('decision:commented', decision, { comment: stored });
+    }
+    return stored;
+  }
+
+  async closeDecision(id, options) {
+    const decision = await this.db.decisions.close(id, options);
+    if (decision) {
+      this.announceDecision('decision:closed', decision);
+    }
+    return decision;
+  }
+
+  announceDecision(event, decision, extra = {}) {
+    this.broadcast(event, {
+      id: decision.id,
+      project_id: decision.project_id,
+      title: decision.title,
+      proposed_by: decision.proposed_by,
+      status: decision.status,
+      outcome: decision.outcome,
+      deadline: decision.deadline,
+      eligible_entities: decision.eligible_entities,
+      tally: decision.tally,
+      ...extra
+    });
+  }
+
+  // Entity state changes (database/entity-state-store.js) are announced to all clients
+  async setEntityState(entity, change) {
+    const result = await this.db.entityStates.setState(entity, change);
+    if (result.changed) {
+      const { state } = result;
+      this.broadcast('entity:state-changed', {
+        entity,
+        state: state.state,
+        previous_state: result.transition ? result.transition.from : state.state,
+        mood: state.mood,
+        focus: state.focus,
+        reason: state.reason,
+        changed_by: state.changed_by,
+        since: state.since
+      });
+    }
+    return result;
+  }
+
+  // A project's brief, rewritten now (core/context-summarizer.js) and announced to all clients
+  async summarizeProject(projectId) {
+    const brief = await this.contextManager.summarizeProject(projectId);
+    if (brief) {
+      this.broadcast('context:summarized', {
+        project_id: projectId,
+        version: brief.version,
+        summarizer: brief.summarizer,
+        brief: brief.brief
+      });
+    }
+    return brief;
+  }
+
+  async packContext(request) {
+    return await this.contextPacker.pack(request);
+  }
+
   async getConversationsByProject(projectId, limit) {
     return await this.db.getConversationsByProject(projectId, limit);
   }
@@ -201,6 +681,18 @@ class MemoryHub {
     return await this.db.getConversationsByPlatform(platform, limit);
   }
 
+  async getConversationsAsOf(asOf, options) {
+    return await this.db.getConversationsAsOf(asOf, options);
+  }
+
+  async fullTextSearchConversations(query, options) {
+    return await this.db.fullTextSearchConversations(query, options);
+  }
+
+  async semanticSearchConversations(query, options) {
+    return await this.db.semanticSearchConversations(query, options);
+  }
+
   async getConversationCount() {
     return await this.db.getConversationCount();
   }
@@ -219,8 +711,16 @@ class MemoryHub {
     return await this.db.addTrinityPerformance(data);
   }
 
-  async addTrinityCodeArtifact(data) {
-    return await this.db.addTrinityCodeArtifact(data);
+  // Code artifacts carry whatever the generated code holds, so they are
+  // screened like any other new conversation; resolves to the record as stored
+  async addTrinityCodeArtifact(data, ingest = {}) {
+    const stored = await this.addInternalConversation(codeArtifactRecord(data), ingest);
+    await this.contextManager.learnPatterns({
+      projectId: stored.projectId,
+      type: 'code_artifact',
+      context: { language: stored.context.language, content: stored.context.content }
+    });
+    return stored;
   }
 
   async getTrinityRoutingHistory(options) {
@@ -251,29 +751,186 @@ class MemoryHub {
     return await this.db.addPattern(projectId, patternType, patternData, successRate);
   }
 
-  async getPatterns(projectId, patternType) {
-    return await this.db.getPatterns(projectId, patternType);
+  async getPatterns(projectId, patternType, options) {
+    return await this.db.getPatterns(projectId, patternType, options);
+  }
+
+  async recordPatternOutcome(patternId, successful) {
+    const pattern = await this.db.patterns.recordOutcome(patternId, successful);
+    if (pattern) {
+      this.broadcast('pattern:feedback', {
+        id: pattern.id,
+        project_id: pattern.project_id,
+        successful,
+        success_rate: pattern.success_rate
+      });
+    }
+    return pattern;
+  }
+
+  async getConventions(projectId, options) {
+    return await this.db.patterns.conventions(projectId, options);
+  }
+
+  /**
+   * Open a session (database/session-store.js). With `resume`, the new
+   * session continues the agent's last one on the project, which is
+   * returned with its summary and the end of its transcript.
+   * @param {Object} session - id, projectId, platform, agent, metadata
+   * @param {Object} [options]
+   * @param {boolean} [options.resume]
+   * @param {Object} [options.reader] - who reads the resumed transcript (database/memory-access.js)
+   * @returns {Promise<{ session: Object, created: boolean, resumed: Object|null }>}
+   */
+  async beginSession(session, { resume = false, reader = null } = {}) {
+    const resumed = resume
+      ? await this.resumeSession(session.projectId, { agent: session.agent, excludeId: session.id, reader })
+      : null;
+    const { session: opened, created } = await this.db.sessions.begin({
+      ...session,
+      previousSessionId: resumed ? resumed.session.id : null
+    });
+    if (created) {
+      this.broadcast('session:started', {
+        id: opened.id,
+        project_id: opened.project_id,
+        platform: opened.platform,
+        agent: opened.agent,
+        previous_session_id: opened.previous_session_id
+      });
+    }
+    return { session: opened, created, resumed };
+  }
+
+  /**
+   * Close a session with a summary of its transcript. A summary the client
+   * wrote replaces the generated brief.
+   * @returns {Promise<Object|null>} the closed session, or null for an unknown one
+   */
+  async endSession(id, { summary = null } = {}) {
+    const session = await this.db.sessions.get(id);
+    if (!session) return null;
+    const generated = await this.contextManager.summarizeSession(session, await this.db.sessions.transcript(id));
+    const ended = await this.db.sessions.end(id, { summary: summary ? { ...generated, brief: summary } : generated });
+    this.broadcast('session:ended', {
+      id: ended.id,
+      project_id: ended.project_id,
+      agent: ended.agent,
+      conversation_count: ended.conversation_count,
+      duration: ended.duration
+    });
+    return ended;
+  }
+
+  /**
+   * Where an agent left off on a project: its last session, with that
+   * session's summary, and the end of the transcript.
+   * @returns {Promise<{ session: Object, transcript: Object[] }|null>}
+   */
+  async resumeSession(projectId, { agent = null, excludeId = null, reader = null } = {}) {
+    const session = await this.db.sessions.latest(projectId, { agent, excludeId });
+    if (!session) return null;
+    return { session, transcript: await this.db.sessions.transcript(session.id, { limit: RESUME_TRANSCRIPT_LENGTH, reader }) };
+  }
+
+  async getSession(id) {
+    return await this.db.sessions.get(id);
+  }
+
+  async listSessions(options) {
+    return await this.db.sessions.list(options);
+  }
+
+  async getSessionTranscript(id, { reader = null } = {}) {
+    return await this.db.sessions.transcript(id, { reader });
+  }
+
+  // === Tenants (see core/tenant-manager.js) ===
+
+  async provisionTenant(tenant) {
+    const created = await this.tenants.provision(tenant);
+    console.log(`🏢 Tenant provisioned: ${created.id}`);
+    return created;
+  }
+
+  // A suspended tenant's sockets are disconnected; its keys are refused from then on
+  async updateTenant(id, changes) {
+    const tenant = await this.tenants.update(id, changes);
+    if (tenant && tenant.status === 'suspended') {
+      this.io.in(tenantChannel(id)).disconnectSockets(true);
+      console.log(`🏢 Tenant suspended: ${id}`);
+    }
+    return tenant;
   }
 
   async getProjectStats(projectId) {
     return await this.db.getProjectStats(projectId);
   }
 
+  // Name a socket speaks as: its verified key name, or the agent an admin
+  // key registered on behalf of (bridges proxying other entities)
+  getSocketAgent(socket) {
+    return socket.data.agent || socket.data.identity.name;
+  }
+
+  // Only admin keys may register under a name other than their own
+  resolveRegistrationName(socket, requestedName) {
+    const { identity } = socket.data;
+    if (requestedName && identity.scopes.includes('admin')) {
+      return requestedName;
+    }
+    return identity.name;
+  }
+
   setupWebSocket() {
     const rateLimiter = createSocketRateLimiter();
 
+    // Handshake authentication - binds the verified API key to socket.data.identity
+    this.io.use(createSocketAuth({ getKeyStore: () => this.tenants.system.apiKeys }));
+
+    // ...and opens the database of the tenant the key acts for
+    this.io.use(async (socket, next) => {
+      const tenantId = tenantOf(socket.data.identity);
+      try {
+        await this.tenants.open(tenantId);
+        socket.data.tenantId = tenantId;
+        next();
+      } catch (error) {
+        if (!(error instanceof TenantError)) {
+          console.error(`Error opening tenant ${tenantId}:`, error);
+        }
+        next(new Error(error instanceof TenantError ? error.message : 'Failed to open tenant'));
+      }
+    });
+
     this.io.on('connection', (socket) => {
-      console.log(`🔌 New connection: ${socket.id}`);
+      console.log(`🔌 New connection: ${socket.id} (${socket.data.identity.name})`);
+      const { tenantId } = socket.data;
+      socket.join(tenantChannel(tenantId));
 
-      // Rate limiting middleware for all events
+      // Rate limiting, scope and tenant quota checks for all events; handlers
+      // run as the socket's tenant, so their rooms and queries are its own
       const originalEmit = socket.onevent;
-      socket.onevent = function(packet) {
+      socket.onevent = (packet) => {
         const rate = rateLimiter(socket);
         if (!rate.allowed) {
           socket.emit('error', { message: 'Rate limit exceeded', retryAfter: rate.retryAfter });
           return;
         }
-        originalEmit.call(socket, packet);
+        const event = Array.isArray(packet.data) ? packet.data[0] : null;
+        const scopeError = checkSocketEventScope(socket.data.identity, event);
+        if (scopeError) {
+          socket.emit('error', { event, message: scopeError });
+          return;
+        }
+        const dispatch = () => runAsTenant(tenantId, () => originalEmit.call(socket, packet));
+        if (resolveSocketEventScope(event) !== 'memory:write' || !this.tenants.hasQuotas(tenantId)) {
+          dispatch();
+          return;
+        }
+        this.tenants.checkQuota(tenantId, { projects: socket.projectId ? [socket.projectId] : [], memories: true })
+          .then(dispatch)
+          .catch(error => socket.emit('error', { event, message: error.message }));
       };
 
       // Platform registration
@@ -285,15 +942,17 @@ class MemoryHub {
         if (!pv.valid) return socket.emit('error', { message: pv.error });
         const piv = validateOptionalString(projectId, 'projectId', 200);
         if (!piv.valid) return socket.emit('error', { message: piv.error });
+        const projectError = checkProjectAccess(socket.data.identity, projectId ? [projectId] : []);
+        if (projectError) return socket.emit('error', { event: 'register-platform', message: projectError });
         socket.platform = platform;
         socket.projectId = projectId;
         
         this.connectedPlatforms.set(socket.id, { platform, projectId, socket });
-        socket.join(`project-${projectId}`);
+        socket.join(tenantRoom(`project-${projectId}`));
         
         // Trinity instances join special room for cross-instance coordination
         if (platform === 'trinity-ai-platform') {
-          socket.join('trinity-platform');
+          socket.join(tenantRoom('trinity-platform'));
           console.log(`🤖 Trinity AI Platform registered: ${socket.id}`);
         }
         
@@ -312,28 +971,42 @@ class MemoryHub {
           if (!mv.valid) return socket.emit('error', { message: mv.error });
           const cv = validateObject(data.context, 'context');
           if (!cv.valid) return socket.emit('error', { message: cv.error });
-          const conversationId = await this.contextManager.addConversation(
+          const tv = validateOptionalString(data.type, 'type', 100);
+          if (!tv.valid) return socket.emit('error', { message: tv.error });
+          const expiresAt = resolveExpiresAt(data);
+          // Conversations join the session this socket opened unless they name one
+          const context = socket.data.sessionId && !(data.context && data.context.session_id)
+            ? { ...data.context, session_id: socket.data.sessionId }
+            : data.context;
+          const stored = await this.addContextConversation(
             socket.platform,
             socket.projectId,
             data.message,
-            data.context
+            context,
+            { type: data.type, expiresAt },
+            { via: 'socket conversation', actor: socket.data.identity ? socket.data.identity.name : null }
           );
           
-          // Broadcast to all platforms in the same project
+          // Broadcast to all platforms in the same project, as stored
           this.broadcastToProject(socket.projectId, 'conversation-update', {
-            conversationId,
+            conversationId: stored.conversationId,
             platform: socket.platform,
-            message: data.message,
-            context: data.context
+            message: stored.message,
+            context: stored.context
           }, socket.id);
           
         } catch (error) {
+          if (error instanceof RedactionError) {
+            return socket.emit('error', { event: 'conversation', message: error.message, code: error.code, ...error.details });
+          }
           socket.emit('error', { message: error.message });
         }
       });
 
       // Context requests
       socket.on('request-context', async (projectId) => {
+        const projectError = checkProjectAccess(socket.data.identity, projectId ? [projectId] : []);
+        if (projectError) return socket.emit('error', { event: 'request-context', message: projectError });
         await this.sendContextToPlatform(socket, projectId);
       });
 
@@ -345,7 +1018,7 @@ class MemoryHub {
           console.log(`🤖 Trinity coordination from ${socket.id}:`, data);
           
           // Broadcast to all Trinity instances
-          socket.broadcast.to('trinity-platform').emit('trinity-coordination', {
+          socket.broadcast.to(tenantRoom('trinity-platform')).emit('trinity-coordination', {
             source: socket.id,
             timestamp: new Date().toISOString(),
             ...data
@@ -378,7 +1051,7 @@ class MemoryHub {
           });
           
           // Broadcast to all Trinity instances for real-time monitoring
-          socket.broadcast.to('trinity-platform').emit('trinity-performance', {
+          socket.broadcast.to(tenantRoom('trinity-platform')).emit('trinity-performance', {
             source: socket.id,
             ...data
           });
@@ -398,7 +1071,7 @@ class MemoryHub {
           console.log(`🔄 Trinity sync from ${socket.id}:`, data.syncType);
           
           // Broadcast state update to all other Trinity instances
-          socket.broadcast.to('trinity-platform').emit('trinity-sync', {
+          socket.broadcast.to(tenantRoom('trinity-platform')).emit('trinity-sync', {
             source: socket.id,
             timestamp: new Date().toISOString(),
             ...data
@@ -435,16 +1108,16 @@ class MemoryHub {
       // Trinity code artifact events
       socket.on('trinity-code-artifact', async (data) => {
         try {
-          await this.db.addTrinityCodeArtifact({
+          await this.addTrinityCodeArtifact({
             ...data,
             id: uuidv4(),
             artifact_id: data.artifact_id || uuidv4(),
             projectId: socket.projectId || 'trinity',
             timestamp: data.timestamp || new Date().toISOString()
-          });
+          }, { via: 'socket trinity-code-artifact', actor: socket.data.identity ? socket.data.identity.name : null });
           
           // Notify other Trinity instances of new artifact
-          socket.broadcast.to('trinity-platform').emit('trinity-code-artifact', {
+          socket.broadcast.to(tenantRoom('trinity-platform')).emit('trinity-code-artifact', {
             source: socket.id,
             artifact_id: data.artifact_id,
             language: data.language,
@@ -453,6 +1126,9 @@ class MemoryHub {
           
           socket.emit('trinity-code-artifact-ack', { success: true });
         } catch (error) {
+          if (error instanceof RedactionError) {
+            return socket.emit('error', { event: 'trinity-code-artifact', message: error.message, code: error.code, ...error.details });
+          }
           socket.emit('error', { 
             event: 'trinity-code-artifact',
             message: error.message 
@@ -466,16 +1142,21 @@ class MemoryHub {
       socket.on('register-ai-coordinator', (data) => {
         const sizeCheck = validatePayloadSize(data);
         if (!sizeCheck.valid) return socket.emit('error', { message: sizeCheck.error });
-        const { ai_agent, project_id, platform } = data || {};
-        const av = validateString(ai_agent, 'ai_agent', 200);
+        const { project_id, platform } = data || {};
+        const av = validateOptionalString(data && data.ai_agent, 'ai_agent', 200);
         if (!av.valid) return socket.emit('error', { message: av.error });
+        const projectError = project_id ? checkProjectAccess(socket.data.identity, [project_id]) : null;
+        if (projectError) return socket.emit('error', { event: 'register-ai-coordinator', message: projectError });
+        // ai_agent in the payload is ignored unless the key is an admin key
+        const ai_agent = this.resolveRegistrationName(socket, data && data.ai_agent);
+        socket.data.agent = ai_agent;
         socket.ai_agent = ai_agent;
         socket.ai_project = project_id;
         socket.ai_platform = platform;
         
-        socket.join('ai-coordination');
+        socket.join(tenantRoom('ai-coordination'));
         if (project_id) {
-          socket.join(`ai-project-${project_id}`);
+          socket.join(tenantRoom(`ai-project-${project_id}`));
         }
         
         console.log(`🤖 AI Coordinator registered: ${ai_agent} (${platform}) for project ${project_id}`);
@@ -487,7 +1168,7 @@ class MemoryHub {
         });
         
         // Notify other AI agents
-        socket.broadcast.to('ai-coordination').emit('ai:agent-connected', {
+        socket.broadcast.to(tenantRoom('ai-coordination')).emit('ai:agent-connected', {
           agent: ai_agent,
           platform,
           project_id,
@@ -498,22 +1179,25 @@ class MemoryHub {
       // AI context update event
       socket.on('ai:context-update', async (data) => {
         try {
-          console.log(`🧠 AI context update from ${socket.ai_agent || socket.id}:`, data.session_id);
+          const projectId = data.project_id || socket.ai_project;
+          const projectError = projectId ? checkProjectAccess(socket.data.identity, [projectId]) : null;
+          if (projectError) return socket.emit('error', { event: 'ai:context-update', message: projectError });
+          console.log(`🧠 AI context update from ${this.getSocketAgent(socket)}:`, data.session_id);
           
-          // Store context
-          const contextId = await this.db.storeAIContext({
+          // Store context, screened by the redaction policy
+          const { id: contextId } = await this.storeAIContext({
             session_id: data.session_id,
-            project_id: data.project_id || socket.ai_project,
+            project_id: projectId,
             platform: data.platform || socket.ai_platform,
             context_data: data.context_data,
-            ai_agent: socket.ai_agent || 'unknown',
+            ai_agent: this.getSocketAgent(socket),
             timestamp: new Date().toISOString()
-          });
+          }, { via: 'socket ai:context-update', actor: socket.data.identity ? socket.data.identity.name : null });
           
           // Broadcast to other AI agents in same project
           const room = data.project_id ? `ai-project-${data.project_id}` : 'ai-coordination';
-          socket.broadcast.to(room).emit('ai:context-update', {
-            source: socket.ai_agent || socket.id,
+          socket.broadcast.to(tenantRoom(room)).emit('ai:context-update', {
+            source: this.getSocketAgent(socket),
             context_id: contextId,
             session_id: data.session_id,
             project_id: data.project_id,
@@ -525,6 +1209,9 @@ class MemoryHub {
             context_id: contextId 
           });
         } catch (error) {
+          if (error instanceof RedactionError) {
+            return socket.emit('error', { event: 'ai:context-update', message: error.message, code: error.code, ...error.details });
+          }
           socket.emit('error', { 
             event: 'ai:context-update',
             message: error.message 
@@ -535,26 +1222,30 @@ class MemoryHub {
       // AI file uploaded event
       socket.on('ai:file-uploaded', async (data) => {
         try {
-          console.log(`📁 AI file uploaded from ${socket.ai_agent || socket.id}:`, data.file_path);
+          const projectId = data.project_id || socket.ai_project;
+          const projectError = projectId ? checkProjectAccess(socket.data.identity, [projectId]) : null;
+          if (projectError) return socket.emit('error', { event: 'ai:file-uploaded', message: projectError });
+          console.log(`📁 AI file uploaded from ${this.getSocketAgent(socket)}:`, data.file_path);
           
-          // Store file metadata
-          const fileId = await this.db.storeAIFile({
-            project_id: data.project_id || socket.ai_project,
+          // Store file metadata, screened by the redaction policy
+          const stored = await this.storeAIFile({
+            project_id: projectId,
             file_path: data.file_path,
             file_type: data.file_type,
             asset_category: data.asset_category,
             metadata: data.metadata,
-            uploaded_by: socket.ai_agent || 'unknown',
+            uploaded_by: this.getSocketAgent(socket),
             timestamp: new Date().toISOString()
-          });
+          }, { via: 'socket ai:file-uploaded', actor: socket.data.identity ? socket.data.identity.name : null });
+          const fileId = stored.id;
           
-          // Broadcast to other AI agents in same project
+          // Broadcast to other AI agents in same project, as stored
           const room = data.project_id ? `ai-project-${data.project_id}` : 'ai-coordination';
-          socket.broadcast.to(room).emit('ai:file-uploaded', {
-            source: socket.ai_agent || socket.id,
+          socket.broadcast.to(tenantRoom(room)).emit('ai:file-uploaded', {
+            source: this.getSocketAgent(socket),
             file_id: fileId,
             project_id: data.project_id,
-            file_path: data.file_path,
+            file_path: stored.context.file_path,
             file_type: data.file_type,
             asset_category: data.asset_category,
             timestamp: new Date().toISOString()
@@ -565,6 +1256,9 @@ class MemoryHub {
             file_id: fileId 
           });
         } catch (error) {
+          if (error instanceof RedactionError) {
+            return socket.emit('error', { event: 'ai:file-uploaded', message: error.message, code: error.code, ...error.details });
+          }
           socket.emit('error', { 
             event: 'ai:file-uploaded',
             message: error.message 
@@ -575,27 +1269,31 @@ class MemoryHub {
       // AI insight generated event
       socket.on('ai:insight-generated', async (data) => {
         try {
-          console.log(`💡 AI insight from ${socket.ai_agent || socket.id}:`, data.insight_type);
+          const projectId = data.project_id || socket.ai_project;
+          const projectError = projectId ? checkProjectAccess(socket.data.identity, [projectId]) : null;
+          if (projectError) return socket.emit('error', { event: 'ai:insight-generated', message: projectError });
+          console.log(`💡 AI insight from ${this.getSocketAgent(socket)}:`, data.insight_type);
           
-          // Store insight
-          const insightId = await this.db.storeAIInsight({
-            project_id: data.project_id || socket.ai_project,
+          // Store insight, screened by the redaction policy
+          const stored = await this.storeAIInsight({
+            project_id: projectId,
             insight_type: data.insight_type,
             content: data.content,
             confidence: data.confidence || 0.5,
             metadata: data.metadata,
-            generated_by: socket.ai_agent || 'unknown',
+            generated_by: this.getSocketAgent(socket),
             timestamp: new Date().toISOString()
-          });
+          }, { via: 'socket ai:insight-generated', actor: socket.data.identity ? socket.data.identity.name : null });
+          const insightId = stored.id;
           
-          // Broadcast to other AI agents in same project
+          // Broadcast to other AI agents in same project, as stored
           const room = data.project_id ? `ai-project-${data.project_id}` : 'ai-coordination';
-          socket.broadcast.to(room).emit('ai:insight-generated', {
-            source: socket.ai_agent || socket.id,
+          socket.broadcast.to(tenantRoom(room)).emit('ai:insight-generated', {
+            source: this.getSocketAgent(socket),
             insight_id: insightId,
             project_id: data.project_id,
             insight_type: data.insight_type,
-            content_preview: data.content.substring(0, 200),
+            content_preview: stored.message.substring(0, 200),
             confidence: data.confidence,
             timestamp: new Date().toISOString()
           });
@@ -605,6 +1303,9 @@ class MemoryHub {
             insight_id: insightId 
           });
         } catch (error) {
+          if (error instanceof RedactionError) {
+            return socket.emit('error', { event: 'ai:insight-generated', message: error.message, code: error.code, ...error.details });
+          }
           socket.emit('error', { 
             event: 'ai:insight-generated',
             message: error.message 
@@ -614,12 +1315,12 @@ class MemoryHub {
 
       // AI query event (request information from other AIs)
       socket.on('ai:query', (data) => {
-        console.log(`❓ AI query from ${socket.ai_agent || socket.id}:`, data.query_type);
+        console.log(`❓ AI query from ${this.getSocketAgent(socket)}:`, data.query_type);
         
         // Broadcast query to relevant AI agents
         const room = data.project_id ? `ai-project-${data.project_id}` : 'ai-coordination';
-        socket.broadcast.to(room).emit('ai:query', {
-          source: socket.ai_agent || socket.id,
+        socket.broadcast.to(tenantRoom(room)).emit('ai:query', {
+          source: this.getSocketAgent(socket),
           query_id: data.query_id || uuidv4(),
           query_type: data.query_type,
           query_data: data.query_data,
@@ -631,12 +1332,12 @@ class MemoryHub {
 
       // AI response event (answer to query)
       socket.on('ai:response', (data) => {
-        console.log(`💬 AI response from ${socket.ai_agent || socket.id} to query ${data.query_id}`);
+        console.log(`💬 AI response from ${this.getSocketAgent(socket)} to query ${data.query_id}`);
         
         // Send response back to querying AI
         const room = data.project_id ? `ai-project-${data.project_id}` : 'ai-coordination';
-        socket.broadcast.to(room).emit('ai:response', {
-          source: socket.ai_agent || socket.id,
+        socket.broadcast.to(tenantRoom(room)).emit('ai:response', {
+          source: this.getSocketAgent(socket),
           query_id: data.query_id,
           response_data: data.response_data,
           timestamp: new Date().toISOString()
@@ -651,16 +1352,19 @@ class MemoryHub {
       socket.on('ai:register', (data) => {
         const sizeCheck = validatePayloadSize(data);
         if (!sizeCheck.valid) return socket.emit('error', { message: sizeCheck.error });
-        const { ai_name, ai_type, project_directory } = data || {};
-        const nv = validateString(ai_name, 'ai_name', 200);
+        const { ai_type, project_directory } = data || {};
+        const nv = validateOptionalString(data && data.ai_name, 'ai_name', 200);
         if (!nv.valid) return socket.emit('error', { message: nv.error });
+        // ai_name in the payload is ignored unless the key is an admin key
+        const ai_name = this.resolveRegistrationName(socket, data && data.ai_name);
+        socket.data.agent = ai_name;
         socket.ai_name = ai_name;
         socket.ai_type = ai_type;
-        socket.join(ai_name); // Join room with AI name for targeted messages
+        socket.join(tenantRoom(ai_name)); // Join room with AI name for targeted messages
         console.log(`✅ AI registered for CNS: ${ai_name} (${ai_type}) - Project: ${project_directory || 'N/A'}`);
 
         // Announce to coordination room
-        socket.broadcast.to('ai-coordination').emit('ai:agent-registered', {
+        socket.broadcast.to(tenantRoom('ai-coordination')).emit('ai:agent-registered', {
           ai_name,
           ai_type,
           project_directory,
@@ -679,9 +1383,8 @@ class MemoryHub {
         try {
           const sizeCheck = validatePayloadSize(data);
           if (!sizeCheck.valid) return socket.emit('error', { message: sizeCheck.error });
-          const { from, to, message, priority } = data || {};
-          const fv = validateString(from, 'from', 200);
-          if (!fv.valid) return socket.emit('error', { message: fv.error });
+          const { to, message, priority } = data || {};
+          const from = this.getSocketAgent(socket);
           const tv = validateString(to, 'to', 200);
           if (!tv.valid) return socket.emit('error', { message: tv.error });
           const mv = validateString(message, 'message');
@@ -707,7 +1410,7 @@ class MemoryHub {
           await this.addConversation(conversation);
 
           // Emit to target AI's room
-          this.io.to(to).emit('ai:message', {
+          this.io.to(tenantRoom(to)).emit('ai:message', {
             id: conversation.id,
             from,
             message,
@@ -732,24 +1435,34 @@ class MemoryHub {
       // AI responds to message (updates conversation status)
       socket.on('ai:respond', async (data) => {
         try {
-          const { conversation_id, from, message } = data;
+          const { conversation_id, message } = data || {};
+          const from = this.getSocketAgent(socket);
           console.log(`✉️ CNS AI response: ${from} to conversation ${conversation_id}`);
 
           const conv = await this.db.getConversation(conversation_id);
-          if (conv) {
+          if (conv && conv.context.to !== from) {
+            socket.emit('error', {
+              event: 'ai:respond',
+              message: 'Only the recipient can respond to a conversation',
+              conversation_id
+            });
+          } else if (conv) {
             conv.context.status = 'responded';
             conv.context.response = {
               from,
               message,
               timestamp: new Date().toISOString()
             };
-            await this.db.updateConversation(conversation_id, conv);
+            const updated = await this.updateConversation(conversation_id, { context: conv.context }, {
+              changedBy: from,
+              via: 'ai:respond'
+            });
 
-            // Notify original sender
-            this.io.to(conv.context.from).emit('ai:response', {
+            // Notify original sender, with the response as stored
+            this.io.to(tenantRoom(conv.context.from)).emit('ai:response', {
               conversation_id,
               from,
-              message,
+              message: updated.context.response.message,
               timestamp: new Date().toISOString()
             });
 
@@ -767,6 +1480,9 @@ class MemoryHub {
             });
           }
         } catch (error) {
+          if (error instanceof RedactionError) {
+            return socket.emit('error', { event: 'ai:respond', message: error.message, code: error.code, ...error.details });
+          }
           console.error('❌ Error in ai:respond:', error);
           socket.emit('error', {
             event: 'ai:respond',
@@ -778,7 +1494,8 @@ class MemoryHub {
       // Derek's broadcast to AIs (Central Communication)
       socket.on('derek:broadcast', async (data) => {
         try {
-          const { from, message, priority, target_ais } = data;
+          const { message, priority, target_ais } = data || {};
+          const from = this.getSocketAgent(socket);
           const defaultTargets = (process.env.DEFAULT_BROADCAST_TARGETS || '').split(',').filter(Boolean);
           const targets = (target_ais && target_ais.includes('all')) || !target_ais
             ? defaultTargets
@@ -805,7 +1522,7 @@ class MemoryHub {
 
           // Emit to each target AI's room
           targets.forEach((ai) => {
-            this.io.to(ai).emit('derek:broadcast', {
+            this.io.to(tenantRoom(ai)).emit('derek:broadcast', {
               id: broadcast.id,
               from,
               message,
@@ -815,7 +1532,7 @@ class MemoryHub {
           });
 
           // Also emit to mycelium network for cross-system awareness
-          this.io.emit('mycelium:broadcast', {
+          this.broadcast('mycelium:broadcast', {
             type: 'derek_broadcast',
             data: broadcast
           });
@@ -840,8 +1557,9 @@ class MemoryHub {
       // Generic message handler - persists to database for REST API access
       socket.on('message', async (data) => {
         try {
-          const { from, content, to, timestamp } = data;
-          console.log(`🍄 Mycelium message from ${from || 'unknown'}: ${content?.substring(0, 50) || 'no content'}...`);
+          const { content, to, timestamp } = data || {};
+          const from = this.getSocketAgent(socket);
+          console.log(`🍄 Mycelium message from ${from}: ${content?.substring(0, 50) || 'no content'}...`);
           
           // Persist to database so REST API can read it
           const myceliumMessage = {
@@ -851,7 +1569,7 @@ class MemoryHub {
             type: 'message',
             message: content || data.message || JSON.stringify(data),
             context: {
-              from: from || socket.ai_agent || socket.ai_name || 'unknown',
+              from,
               to: to || 'all',
               memory_type: 'message',
               metadata: data.metadata || {},
@@ -862,8 +1580,8 @@ class MemoryHub {
           
           await this.addConversation(myceliumMessage);
           
-          // Broadcast to other connected clients
-          socket.broadcast.emit('mycelium:message', {
+          // Broadcast to the other connected clients of the tenant
+          socket.broadcast.to(tenantChannel(socket.data.tenantId)).emit('mycelium:message', {
             id: myceliumMessage.id,
             from: myceliumMessage.context.from,
             to: myceliumMessage.context.to,
@@ -888,8 +1606,9 @@ class MemoryHub {
       // Mycelium broadcast handler - for network-wide announcements
       socket.on('mycelium:broadcast', async (data) => {
         try {
-          const { type, message, from, metadata } = data;
-          console.log(`📢 Mycelium broadcast from ${from || 'unknown'}: ${type}`);
+          const { type, message, metadata } = data || {};
+          const from = this.getSocketAgent(socket);
+          console.log(`📢 Mycelium broadcast from ${from}: ${type}`);
           
           // Persist to database
           const broadcast = {
@@ -899,7 +1618,7 @@ class MemoryHub {
             type: type || 'broadcast',
             message: message || JSON.stringify(data),
             context: {
-              from: from || socket.ai_agent || socket.ai_name || 'unknown',
+              from,
               to: 'all',
               memory_type: type || 'broadcast',
               metadata: metadata || {},
@@ -911,7 +1630,7 @@ class MemoryHub {
           await this.addConversation(broadcast);
           
           // Broadcast to all connected clients
-          this.io.emit('mycelium:broadcast', {
+          this.broadcast('mycelium:broadcast', {
             id: broadcast.id,
             type: broadcast.type,
             from: broadcast.context.from,
@@ -933,6 +1652,116 @@ class MemoryHub {
         }
       });
 
+      // === COLLECTIVE DECISIONS ===
+      // The socket's agent proposes, votes and comments; outcomes arrive as decision:closed
+      socket.on('decision:propose', async (data) => {
+        try {
+          const sizeCheck = validatePayloadSize(data);
+          if (!sizeCheck.valid) return socket.emit('error', { event: 'decision:propose', message: sizeCheck.error });
+          const { projectId, title, proposal, deadline, quorumRule, minVotes, eligibleEntities, decisionType } = data || {};
+          const projectError = checkProjectAccess(socket.data.identity, projectId ? [projectId] : []);
+          if (projectError) return socket.emit('error', { event: 'decision:propose', message: projectError });
+
+          const decision = await this.proposeDecision({
+            projectId, title, proposal, deadline, quorumRule, minVotes, eligibleEntities, decisionType,
+            proposedBy: this.getSocketAgent(socket)
+          });
+          socket.emit('decision:propose-ack', { success: true, decision });
+        } catch (error) {
+          socket.emit('error', { event: 'decision:propose', message: error.message });
+        }
+      });
+
+      socket.on('decision:vote', async (data) => {
+        try {
+          const { decisionId, vote, reason } = data || {};
+          const decision = await this.loadSocketDecision(socket, 'decision:vote', decisionId);
+          if (!decision) return;
+          const result = await this.voteOnDecision(decision.id, { entity: this.getSocketAgent(socket), vote, reason });
+          socket.emit('decision:vote-ack', { success: true, decision: result.decision, closed: result.closed });
+        } catch (error) {
+          socket.emit('error', { event: 'decision:vote', message: error.message });
+        }
+      });
+
+      socket.on('decision:comment', async (data) => {
+        try {
+          const { decisionId, comment } = data || {};
+          const decision = await this.loadSocketDecision(socket, 'decision:comment', decisionId);
+          if (!decision) return;
+          const stored = await this.commentOnDecision(decision.id, { entity: this.getSocketAgent(socket), comment });
+          socket.emit('decision:comment-ack', { success: true, decision_id: decision.id, comment: stored });
+        } catch (error) {
+          socket.emit('error', { event: 'decision:comment', message: error.message });
+        }
+      });
+
+      // === ENTITY STATE ===
+      // The socket's agent sets its own state; admin keys may name another entity
+      socket.on('entity:set-state', async (data) => {
+        try {
+          const sizeCheck = validatePayloadSize(data);
+          if (!sizeCheck.valid) return socket.emit('error', { event: 'entity:set-state', message: sizeCheck.error });
+          const { entity, state, mood, focus, data: stateData, reason } = data || {};
+          const name = this.resolveRegistrationName(socket, entity);
+          const result = await this.setEntityState(name, {
+            state, mood, focus, data: stateData, reason, changedBy: socket.data.identity.name
+          });
+          socket.emit('entity:set-state-ack', { success: true, ...result });
+        } catch (error) {
+          socket.emit('error', { event: 'entity:set-state', message: error.message });
+        }
+      });
+
+      // === SESSIONS ===
+      // A socket works in one session at a time; its conversations are linked to it
+      socket.on('session:begin', async (data) => {
+        try {
+          const sizeCheck = validatePayloadSize(data);
+          if (!sizeCheck.valid) return socket.emit('error', { event: 'session:begin', message: sizeCheck.error });
+          const { sessionId, metadata, resume } = data || {};
+          const projectId = (data && data.projectId) || socket.projectId;
+          const idCheck = validateOptionalString(sessionId, 'sessionId', 200);
+          if (!idCheck.valid) return socket.emit('error', { event: 'session:begin', message: idCheck.error });
+          const metadataCheck = validateObject(metadata, 'metadata');
+          if (!metadataCheck.valid) return socket.emit('error', { event: 'session:begin', message: metadataCheck.error });
+          const projectError = checkProjectAccess(socket.data.identity, projectId ? [projectId] : []);
+          if (projectError) return socket.emit('error', { event: 'session:begin', message: projectError });
+
+          const result = await this.beginSession({
+            id: sessionId || undefined,
+            projectId,
+            platform: socket.platform || 'socket',
+            agent: this.getSocketAgent(socket),
+            metadata: metadata || {}
+          }, { resume: Boolean(resume), reader: readerFor(socket.data.identity, 'socket session:begin') });
+          socket.data.sessionId = result.session.id;
+          socket.emit('session:begin-ack', { success: true, ...result });
+        } catch (error) {
+          socket.emit('error', { event: 'session:begin', message: error.message });
+        }
+      });
+
+      socket.on('session:end', async (data) => {
+        try {
+          const { sessionId = socket.data.sessionId, summary } = data || {};
+          const idCheck = validateString(sessionId, 'sessionId', 200);
+          if (!idCheck.valid) return socket.emit('error', { event: 'session:end', message: idCheck.error });
+          const summaryCheck = validateOptionalString(summary, 'summary', 10000);
+          if (!summaryCheck.valid) return socket.emit('error', { event: 'session:end', message: summaryCheck.error });
+          const session = await this.getSession(sessionId);
+          if (!session) return socket.emit('error', { event: 'session:end', message: 'Session not found' });
+          const projectError = checkProjectAccess(socket.data.identity, [session.project_id]);
+          if (projectError) return socket.emit('error', { event: 'session:end', message: projectError });
+
+          const ended = await this.endSession(sessionId, { summary });
+          if (socket.data.sessionId === sessionId) delete socket.data.sessionId;
+          socket.emit('session:end-ack', { success: true, session: ended });
+        } catch (error) {
+          socket.emit('error', { event: 'session:end', message: error.message });
+        }
+      });
+
       // === MYCELIUM BRIDGE REGISTRATION ===
       socket.on('bridge:register', (data) => {
         console.log(`🌉 Mycelium Bridge connected: ${data.bridge_id}`);
@@ -956,7 +1785,7 @@ class MemoryHub {
         
         // Notify other AI agents if this was an AI coordinator
         if (socket.ai_agent) {
-          socket.broadcast.to('ai-coordination').emit('ai:agent-disconnected', {
+          socket.broadcast.to(tenantRoom('ai-coordination', socket.data.tenantId)).emit('ai:agent-disconnected', {
             agent: socket.ai_agent,
             platform: socket.ai_platform,
             project_id: socket.ai_project,
@@ -966,7 +1795,7 @@ class MemoryHub {
 
         // Notify CNS if this was a registered AI
         if (socket.ai_name) {
-          socket.broadcast.to('ai-coordination').emit('ai:agent-unregistered', {
+          socket.broadcast.to(tenantRoom('ai-coordination', socket.data.tenantId)).emit('ai:agent-unregistered', {
             ai_name: socket.ai_name,
             ai_type: socket.ai_type,
             timestamp: new Date().toISOString()
@@ -985,6 +1814,27 @@ class MemoryHub {
     });
   }
 
+  // The decision a socket event names, if the socket's key may see its project;
+  // emits the error and returns null otherwise
+  async loadSocketDecision(socket, event, decisionId) {
+    const idCheck = validateString(decisionId, 'decisionId', 200);
+    if (!idCheck.valid) {
+      socket.emit('error', { event, message: idCheck.error });
+      return null;
+    }
+    const decision = await this.getDecision(decisionId);
+    if (!decision) {
+      socket.emit('error', { event, message: 'Decision not found' });
+      return null;
+    }
+    const projectError = checkProjectAccess(socket.data.identity, decision.project_id ? [decision.project_id] : []);
+    if (projectError) {
+      socket.emit('error', { event, message: projectError });
+      return null;
+    }
+    return decision;
+  }
+
   async sendContextToPlatform(socket, projectId) {
     try {
       const context = await this.contextManager.getProjectContext(projectId);
@@ -995,7 +1845,7 @@ class MemoryHub {
   }
 
   broadcastToProject(projectId, event, data, excludeSocketId = null) {
-    this.io.to(`project-${projectId}`).except(excludeSocketId).emit(event, data);
+    this.io.to(tenantRoom(`project-${projectId}`)).except(excludeSocketId).emit(event, data);
   }
 
   async scanProjects() {
@@ -1014,30 +1864,61 @@ class MemoryHub {
     }
   }
 
-  start(port = process.env.PORT || process.env.SCRI_CORE_MEMORY_PORT || 3002) {
-    this.server.listen(port, '0.0.0.0', () => {
-      console.log(`
-🧠 Mycelium Memory Hub is running on port ${port}
-🌐 Health check: http://0.0.0.0:${port}/health
-📡 API endpoints: http://0.0.0.0:${port}/api
+  /**
+   * Open the database, connect bridges and federation, then listen.
+   * Resolves once the hub is accepting connections.
+   * @returns {Promise<MemoryHub>}
+   */
+  async start() {
+    if (!this.starting) {
+      this.starting = this.startServices();
+    }
+    return await this.starting;
+  }
+
+  async startServices() {
+    await this.db.ready;
+
+    if (this.options.bridges) {
+      await this.initializeBridges();
+      await this.initializeSCRIEntities();
+    }
+    if (this.options.scanProjects) {
+      await this.scanProjects();
+    }
+    await this.initializeMyceliumBridge();
+
+    this.startJobs(this.tenants.runtime(DEFAULT_TENANT));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    this.port = this.server.address().port;
+
+    console.log(`
+🧠 Mycelium Memory Hub is running on port ${this.port}
+🌐 Health check: http://${this.options.host}:${this.port}/health
+📡 API endpoints: http://${this.options.host}:${this.port}/api
 🔗 WebSocket ready for real-time sync
       `);
-      
-      // Initialize Mycelium Bridge after server starts
-      this.initializeMyceliumBridge(port);
-    });
+    return this;
   }
 
-  async initializeMyceliumBridge(port) {
+  async initializeMyceliumBridge() {
     try {
       console.log('🍄 Mycelium Bridge endpoint ready');
       // Note: Bridge registration handler is in setupWebSocket()
       // No additional listener setup needed here - prevents duplicate connection handlers
       
       // Initialize Federation Hub v2
-      if (FederationHub) {
+      const Federation = this.options.federation;
+      if (Federation) {
         try {
-          this.federationHub = new FederationHub(this);
+          this.federationHub = new Federation(this);
           await this.federationHub.initialize();
           console.log('🌐 Federation Hub v2 initialized');
         } catch (error) {
@@ -1048,10 +1929,111 @@ class MemoryHub {
       console.error('❌ Mycelium Bridge initialization failed:', error);
     }
   }
+
+  /**
+   * Graceful shutdown: stop federation jobs and bridges, disconnect sockets,
+   * close the HTTP server (including idle and streaming connections) and the
+   * database the hub opened. Safe to call more than once.
+   */
+  async stop() {
+    if (!this.stopping) {
+      this.stopping = this.stopServices();
+    }
+    return await this.stopping;
+  }
+
+  async stopServices() {
+    console.log('🛑 Stopping Mycelium Memory Hub...');
+    // Let a start() in flight finish so nothing is left half-open
+    await this.starting?.catch(() => {});
+
+    await this.stopJobs(this.tenants.runtime(DEFAULT_TENANT));
+
+    if (this.federationHub) {
+      await this.federationHub.shutdown().catch(error => {
+        console.error('⚠️ Federation Hub shutdown failed:', error.message);
+      });
+    }
+
+    for (const bridge of this.bridges.values()) {
+      if (typeof bridge.disconnect === 'function') {
+        bridge.disconnect();
+      }
+    }
+
+    // io.close() disconnects every socket and closes the HTTP server with it
+    const serverClosed = new Promise(resolve => this.io.close(() => resolve()));
+    this.server.closeAllConnections();
+    await serverClosed;
+
+    // Tenant databases always belong to the hub; its own only when it opened it
+    await this.tenants.close();
+    if (this.ownsDatabase) {
+      await this.tenants.system.close();
+    }
+    console.log('✅ Mycelium Memory Hub stopped');
+  }
+
+  /**
+   * Start the retention reaper, consolidator and decision sweeper of one
+   * tenant's database. Called as that tenant, so what they announce reaches
+   * only its sockets.
+   */
+  startJobs(runtime) {
+    const { db } = runtime;
+    if (this.options.retention && db.retention) {
+      runtime.retentionReaper = new RetentionReaper(db.retention, this.options.retention);
+      runtime.retentionReaper.start();
+    }
+    if (this.options.consolidation && db.consolidation) {
+      runtime.memoryConsolidator = new MemoryConsolidator(db.consolidation, this.options.consolidation);
+      runtime.memoryConsolidator.start();
+    }
+    if (this.options.decisions && db.decisions) {
+      runtime.decisionSweeper = new DecisionSweeper(db.decisions, {
+        ...this.options.decisions,
+        onClosed: decision => this.announceDecision('decision:closed', decision)
+      });
+      runtime.decisionSweeper.start();
+    }
+  }
+
+  async stopJobs(runtime) {
+    for (const job of ['retentionReaper', 'memoryConsolidator', 'decisionSweeper']) {
+      if (runtime[job]) {
+        await runtime[job].stop();
+        runtime[job] = null;
+      }
+    }
+  }
 }
 
-// Start the Memory Hub
-const memoryHub = new MemoryHub();
-memoryHub.start();
+/**
+ * @param {Object} [options] - see MemoryHub constructor
+ * @returns {MemoryHub} - call `await hub.start()` to bring it up
+ */
+function createMemoryHub(options = {}) {
+  return new MemoryHub(options);
+}
+
+if (require.main === module) {
+  const memoryHub = createMemoryHub();
+  memoryHub.start().catch(error => {
+    console.error('❌ Failed to start Mycelium Memory Hub:', error);
+    process.exit(1);
+  });
+
+  const shutdown = () => {
+    memoryHub.stop()
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error('❌ Shutdown failed:', error);
+        process.exit(1);
+      });
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
 
 module.exports = MemoryHub;
+module.exports.createMemoryHub = createMemoryHub;
@@ -0,0 +1,194 @@
+// Pattern Extractor - Coding conventions found in code
+// Reads code from conversations (generated code, fenced code blocks) and code
+// artifacts and reports the conventions it follows: indentation, quotes,
+// semicolons, async style, module system, naming and frameworks. Each is a
+// { type, value } pair that database/pattern-store.js counts per project and
+// language.
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript', javascript: 'javascript',
+  ts: 'typescript', tsx: 'typescript', typescript: 'typescript',
+  py: 'python', python: 'python', python3: 'python'
+};
+
+// Languages whose statements may end with a semicolon
+const SEMICOLON_LANGUAGES = ['javascript', 'typescript'];
+
+const FRAMEWORKS = [
+  { name: 'react', pattern: /\bReact\.|\buse(State|Effect|Memo|Ref)\(|from ['"]react['"]/ },
+  { name: 'express', pattern: /require\(['"]express['"]\)|from ['"]express['"]|\b(app|router)\.(get|post|put|delete|use)\(/ },
+  { name: 'jest', pattern: /\b(describe|it|test)\(['"`][^'"`]*['"`],\s*(async\s*)?\(|\bexpect\([^)]*\)\.to[A-Z]/ },
+  { name: 'fastapi', pattern: /\bFastAPI\(|from fastapi import|@(app|router)\.(get|post|put|delete)\(/ },
+  { name: 'django', pattern: /from django(\.|\s)/ },
+  { name: 'flask', pattern: /from flask import|Flask\(__name__\)/ }
+];
+
+const FENCED_BLOCK = /```([\w+-]*)[^\n]*\n([\s\S]*?)```/g;
+const MIN_CODE_LINES = 2;
+
+/**
+ * The canonical name of a language, or null when it is not one we read.
+ * @param {string} [language] - e.g. 'js', 'TypeScript', 'py'
+ */
+function normalizeLanguage(language) {
+  return LANGUAGE_ALIASES[String(language || '').trim().toLowerCase()] || null;
+}
+
+/** Guess the language of unlabelled code. */
+function detectLanguage(code) {
+  if (/^\s*(def|class)\s+\w+.*:\s*$/m.test(code) || /^\s*(from\s+\S+\s+)?import\s+\w+(\s+as\s+\w+)?\s*$/m.test(code)) {
+    return 'python';
+  }
+  if (/\binterface\s+\w+\s*\{|:\s*(string|number|boolean)\b|\btype\s+\w+\s*=/.test(code)) {
+    return 'typescript';
+  }
+  if (/\b(const|let|var|function)\b|=>|require\(/.test(code)) {
+    return 'javascript';
+  }
+  return null;
+}
+
+/**
+ * Conventions a piece of code follows.
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {string} [options.language] - detected from the code when missing
+ * @returns {{ language: string|null, patterns: { type: string, value: string }[] }}
+ */
+function extractCodePatterns(code, { language } = {}) {
+  const lang = normalizeLanguage(language) || detectLanguage(code);
+  const lines = String(code || '').split('\n').filter(line => line.trim());
+  if (!lang || lines.length < MIN_CODE_LINES) return { language: lang, patterns: [] };
+
+  const found = [
+    ['indentation', indentation(lines)],
+    ['quotes', quoteStyle(code, lang)],
+    ['semicolons', SEMICOLON_LANGUAGES.includes(lang) ? semicolons(lines) : null],
+    ['async_style', asyncStyle(code, lang)],
+    ['module_system', SEMICOLON_LANGUAGES.includes(lang) ? moduleSystem(code) : null],
+    ['naming', naming(code, lang)]
+  ];
+  const patterns = found
+    .filter(([, value]) => value)
+    .map(([type, value]) => ({ type, value }));
+  for (const framework of FRAMEWORKS) {
+    if (framework.pattern.test(code)) patterns.push({ type: 'framework', value: framework.name });
+  }
+  return { language: lang, patterns };
+}
+
+/**
+ * Code found in a conversation or code artifact, with its conventions and
+ * whether the code was approved (context.approved) or rejected.
+ * @param {Object} conversation - message, type and context as stored
+ * @returns {{ language: string, patterns: Object[], outcome: 'success'|'failure'|null }[]}
+ */
+function extractConversationPatterns(conversation) {
+  const context = parseContext(conversation.context);
+  const outcome = context.approved === true ? 'success' : context.approved === false ? 'failure' : null;
+  const sources = [];
+
+  if (typeof context.generatedCode === 'string') {
+    sources.push({ code: context.generatedCode, language: context.language });
+  }
+  if (conversation.type === 'code_artifact' && typeof context.content === 'string') {
+    sources.push({ code: context.content, language: context.language });
+  }
+  for (const [, label, code] of String(conversation.message || '').matchAll(FENCED_BLOCK)) {
+    sources.push({ code, language: label || context.language });
+  }
+
+  return sources
+    .map(source => ({ ...extractCodePatterns(source.code, source), outcome }))
+    .filter(result => result.language && result.patterns.length > 0);
+}
+
+// Tabs, or the most common step between indentation levels in spaces
+function indentation(lines) {
+  let tabs = 0;
+  const steps = new Map();
+  let previous = 0;
+  for (const line of lines) {
+    if (line.startsWith('\t')) {
+      tabs++;
+      continue;
+    }
+    const width = line.length - line.trimStart().length;
+    if (width > previous) {
+      const step = width - previous;
+      steps.set(step, (steps.get(step) || 0) + 1);
+    }
+    previous = width;
+  }
+  const [step, count] = [...steps.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0] || [0, 0];
+  if (tabs === 0 && count === 0) return null;
+  return tabs >= count ? 'tabs' : `${step} spaces`;
+}
+
+function quoteStyle(code, language) {
+  // Python docstrings and template literals say nothing about the preference
+  const stripped = language === 'python' ? code.replace(/('''|""")[\s\S]*?\1/g, '') : code.replace(/`[^`]*`/g, '');
+  const single = (stripped.match(/'[^'\n]*'/g) || []).length;
+  const double = (stripped.match(/"[^"\n]*"/g) || []).length;
+  if (single === double) return null;
+  return single > double ? 'single' : 'double';
+}
+
+// Of the lines that end a statement, whether most end with a semicolon
+function semicolons(lines) {
+  let withSemicolon = 0;
+  let without = 0;
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (/^(\/\/|\/\*|\*)/.test(trimmed) || /[{([,:+\-*/=&|?>]$/.test(trimmed) || /^[})\]]/.test(trimmed)) continue;
+    if (trimmed.endsWith(';')) withSemicolon++;
+    else without++;
+  }
+  if (withSemicolon + without === 0) return null;
+  return withSemicolon >= without ? 'always' : 'never';
+}
+
+function asyncStyle(code, language) {
+  if (/\bawait\b/.test(code)) return 'async/await';
+  if (language !== 'python' && /\.then\(/.test(code)) return 'promises';
+  if (language !== 'python' && /\(\s*err(or)?\s*[,)]/.test(code)) return 'callbacks';
+  return null;
+}
+
+function moduleSystem(code) {
+  if (/^\s*(import\s.+\sfrom\s|import\s+['"]|export\s)/m.test(code)) return 'esm';
+  if (/\brequire\(['"]|module\.exports|exports\.\w+\s*=/.test(code)) return 'commonjs';
+  return null;
+}
+
+// How declared multi-word names are written
+function naming(code, language) {
+  const declaration = language === 'python'
+    ? /\b(?:def|class)\s+([A-Za-z_]\w*)|^\s*([A-Za-z_]\w*)\s*=/gm
+    : /\b(?:const|let|var|function|class)\s+([A-Za-z_$][\w$]*)/g;
+  const counts = { camelCase: 0, snake_case: 0 };
+  for (const match of code.matchAll(declaration)) {
+    const name = match[1] || match[2];
+    if (/^[A-Z0-9_]+$/.test(name) || /^[A-Z]/.test(name)) continue; // constants and classes
+    if (/^[a-z][a-z0-9]*(_[a-z0-9]+)+$/.test(name)) counts.snake_case++;
+    else if (/^[a-z][a-z0-9]*([A-Z][a-z0-9]*)+$/.test(name)) counts.camelCase++;
+  }
+  if (counts.camelCase === counts.snake_case) return null;
+  return counts.camelCase > counts.snake_case ? 'camelCase' : 'snake_case';
+}
+
+function parseContext(value) {
+  if (value && typeof value === 'object') return value;
+  try {
+    return JSON.parse(value || '{}') || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+module.exports = {
+  extractCodePatterns,
+  extractConversationPatterns,
+  normalizeLanguage,
+  detectLanguage
+};
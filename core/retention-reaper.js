@@ -0,0 +1,64 @@
+// Retention Reaper - Periodically removes expired memories
+// The rules live in database/retention-store.js; this only schedules them.
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // Hourly
+
+class RetentionReaper {
+  /**
+   * @param {RetentionStore} retentionStore
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs] - default RETENTION_REAP_INTERVAL_MS, then one hour
+   * @param {number} [options.batchSize] - rows removed per transaction
+   */
+  constructor(retentionStore, options = {}) {
+    this.store = retentionStore;
+    this.intervalMs = options.intervalMs || Number(process.env.RETENTION_REAP_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.batchSize = options.batchSize;
+    this.interval = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.interval) return;
+    this.interval = setInterval(() => this.runInBackground(), this.intervalMs);
+    this.runInBackground();
+    console.log(`🗓️ Retention reaper running every ${Math.round(this.intervalMs / 1000)}s`);
+  }
+
+  /** Stop scheduling and wait for a pass in progress to finish. */
+  async stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    await this.running?.catch(() => {});
+  }
+
+  /**
+   * One reaper pass; concurrent callers share the pass already running.
+   * @returns {Promise<{ deleted: number, archived: number }>}
+   */
+  run() {
+    if (!this.running) {
+      this.running = this.store.reap({ batchSize: this.batchSize })
+        .then(result => {
+          if (result.deleted || result.archived) {
+            console.log(`🗓️ Retention: deleted ${result.deleted}, archived ${result.archived} expired memories`);
+          }
+          return result;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  runInBackground() {
+    this.run().catch(error => {
+      console.error('⚠️ Retention reaper failed:', error.message);
+    });
+  }
+}
+
+module.exports = RetentionReaper;
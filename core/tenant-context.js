@@ -0,0 +1,54 @@
+// Tenant Context - Which tenant the code running now acts for
+// API requests and socket events run inside the tenant of the key that made
+// them (see core/tenant-manager.js); anything else - startup, background
+// jobs of the hub's own database, tests - acts for the `default` tenant.
+// Socket.IO rooms are named per tenant so broadcasts never cross tenants.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { DEFAULT_TENANT } = require('../database/tenant-store');
+
+const tenantStorage = new AsyncLocalStorage();
+
+/**
+ * Run fn, and everything it awaits or schedules, as a tenant.
+ * @param {string} tenantId
+ * @param {Function} fn
+ * @returns whatever fn returns
+ */
+function runAsTenant(tenantId, fn) {
+  return tenantStorage.run(tenantId, fn);
+}
+
+/** @returns {string} the tenant the current request, event or job acts for */
+function currentTenant() {
+  return tenantStorage.getStore() || DEFAULT_TENANT;
+}
+
+/** The tenant a verified API key (or socket identity) acts for. */
+function tenantOf(apiKey) {
+  return (apiKey && apiKey.tenant_id) || DEFAULT_TENANT;
+}
+
+/**
+ * A Socket.IO room of a tenant, e.g. tenantRoom('project-akasha').
+ * Rooms of different tenants never share a name, whatever clients call them.
+ * @param {string} room
+ * @param {string} [tenantId] - default: the current tenant
+ */
+function tenantRoom(room, tenantId = currentTenant()) {
+  return `tenant:${tenantId}:${room}`;
+}
+
+/** The room every socket of a tenant joins; the tenant's broadcasts go there. */
+function tenantChannel(tenantId = currentTenant()) {
+  return `tenant:${tenantId}`;
+}
+
+module.exports = {
+  runAsTenant,
+  currentTenant,
+  tenantOf,
+  tenantRoom,
+  tenantChannel,
+  DEFAULT_TENANT
+};
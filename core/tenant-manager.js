@@ -0,0 +1,276 @@
+// Tenant Manager - One database, context manager and packer per tenant
+// The hub's own database is the `default` tenant's and keeps the tenant list
+// (database/tenant-store.js) and every API key. Another tenant's database is
+// opened the first time one of its keys is used: a SQLite file next to the
+// hub's, a PostgreSQL schema, or a fresh in-memory database, migrated like
+// the hub's own. Code that reaches the database through the hub (hub.db,
+// hub.contextManager, hub.contextPacker) gets the current tenant's
+// (core/tenant-context.js), so every store query is scoped to that tenant.
+
+const { tenantDatabaseOptions } = require('../database/connection');
+const { TenantError } = require('../database/tenant-store');
+const { runAsTenant, currentTenant, tenantOf, DEFAULT_TENANT } = require('./tenant-context');
+const { resolveRouteScope, getRequestedProjects } = require('./api-auth');
+
+// Tenant status and quotas are re-read after this long, so a suspension
+// made through another hub instance takes effect
+const TENANT_REFRESH_MS = 30 * 1000;
+
+class TenantManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.database - the hub's own MemoryDatabase; tenant databases are
+   *   opened with the same class and backend
+   * @param {Object} [options.databaseOptions] - passed on to tenant databases (e.g. stateMachine)
+   * @param {Function} options.createRuntime - (database) => { contextManager, contextPacker }
+   * @param {Function} [options.startJobs] - (runtime) => start the tenant's background jobs, run
+   *   as the tenant once its database is ready; the hub starts the default tenant's itself
+   * @param {Function} [options.stopJobs] - async (runtime) => stop them again
+   */
+  constructor({ database, databaseOptions = {}, createRuntime, startJobs = () => {}, stopJobs = async () => {} }) {
+    this.databaseOptions = databaseOptions;
+    this.createRuntime = createRuntime;
+    this.startJobs = startJobs;
+    this.stopJobs = stopJobs;
+    this.runtimes = new Map();
+    this.opening = new Map();
+    this.runtimes.set(DEFAULT_TENANT, this.buildRuntime(DEFAULT_TENANT, database, defaultTenant()));
+  }
+
+  /** The hub's own database: the default tenant's, with the tenant list and API keys. */
+  get system() {
+    return this.runtimes.get(DEFAULT_TENANT).db;
+  }
+
+  /**
+   * An open tenant's database, context manager and packer.
+   * @param {string} [tenantId] - default: the current tenant
+   * @throws if the tenant's database was not opened
+   */
+  runtime(tenantId = currentTenant()) {
+    const runtime = this.runtimes.get(tenantId);
+    if (!runtime) {
+      throw new Error(`Tenant ${tenantId} is not open`);
+    }
+    return runtime;
+  }
+
+  /**
+   * Open a tenant's database if it is not open yet.
+   * @param {string} tenantId
+   * @returns {Promise<Object>} the tenant's runtime
+   * @throws {TenantError} 'not_found' for an unknown tenant, 'suspended' for a suspended one
+   */
+  async open(tenantId) {
+    const runtime = this.runtimes.get(tenantId);
+    if (runtime) {
+      await this.refresh(runtime);
+      return runtime;
+    }
+    if (!this.opening.has(tenantId)) {
+      const opening = this.openTenant(tenantId).finally(() => this.opening.delete(tenantId));
+      this.opening.set(tenantId, opening);
+    }
+    return await this.opening.get(tenantId);
+  }
+
+  async openTenant(tenantId) {
+    await this.system.ready;
+    const tenant = checkActive(tenantId, await this.system.tenants.get(tenantId));
+
+    const Database = this.system.constructor;
+    const database = new Database({
+      ...this.databaseOptions,
+      ...tenantDatabaseOptions({ backend: this.system.backend, sqlitePath: this.system.sqlitePath }, tenantId),
+      tenantId
+    });
+    try {
+      await database.ready;
+    } catch (error) {
+      await database.close().catch(() => {});
+      throw error;
+    }
+
+    const runtime = this.buildRuntime(tenantId, database, tenant);
+    runAsTenant(tenantId, () => this.startJobs(runtime));
+    this.runtimes.set(tenantId, runtime);
+    console.log(`🏢 Opened tenant ${tenantId}`);
+    return runtime;
+  }
+
+  buildRuntime(tenantId, db, tenant) {
+    return { tenantId, tenant, db, checkedAt: Date.now(), ...this.createRuntime(db) };
+  }
+
+  // Pick up status and quota changes made elsewhere
+  async refresh(runtime) {
+    if (runtime.tenantId === DEFAULT_TENANT || Date.now() - runtime.checkedAt < TENANT_REFRESH_MS) {
+      checkActive(runtime.tenantId, runtime.tenant);
+      return;
+    }
+    runtime.tenant = checkActive(runtime.tenantId, await this.system.tenants.get(runtime.tenantId));
+    runtime.checkedAt = Date.now();
+  }
+
+  /**
+   * Provision a tenant and open its database.
+   * @param {Object} tenant - see TenantStore#create
+   * @returns {Promise<Object>} the tenant
+   */
+  async provision(tenant) {
+    await this.system.ready;
+    const created = await this.system.tenants.create(tenant);
+    await this.open(created.id);
+    return created;
+  }
+
+  /**
+   * Change a tenant (see TenantStore#update). Its open database sees the
+   * new status and quotas at once.
+   * @returns {Promise<Object|null>} the tenant, or null for an unknown one
+   */
+  async update(tenantId, changes) {
+    const tenant = await this.system.tenants.update(tenantId, changes);
+    const runtime = this.runtimes.get(tenantId);
+    if (tenant && runtime) {
+      runtime.tenant = tenant;
+      runtime.checkedAt = Date.now();
+    }
+    return tenant;
+  }
+
+  /**
+   * What a tenant stores, to compare with its quotas.
+   * @returns {Promise<{ projects: number, memories: number, api_keys: number }>}
+   */
+  async usage(tenantId) {
+    const { db } = await this.open(tenantId);
+    const projects = await db.storage.get(`SELECT COUNT(*) AS count FROM (${PROJECT_IDS}) p WHERE project_id IS NOT NULL`);
+    const memories = await db.storage.get(
+      'SELECT (SELECT COUNT(*) FROM conversations) + (SELECT COUNT(*) FROM memories) AS count'
+    );
+    return {
+      projects: Number(projects.count),
+      memories: Number(memories.count),
+      api_keys: await this.system.tenants.countApiKeys(tenantId)
+    };
+  }
+
+  /** Whether an open tenant has quotas, i.e. whether its writes need checking. */
+  hasQuotas(tenantId) {
+    return Object.keys(this.runtime(tenantId).tenant.quotas).length > 0;
+  }
+
+  /**
+   * Refuse a write that would take a tenant past one of its quotas.
+   * @param {string} tenantId
+   * @param {Object} write
+   * @param {string[]} [write.projects] - projects it stores into
+   * @param {boolean} [write.memories] - whether it may store conversations or memories
+   * @param {boolean} [write.apiKey] - whether it creates an API key
+   * @throws {TenantError} 'quota_exceeded'
+   */
+  async checkQuota(tenantId, { projects = [], memories = false, apiKey = false } = {}) {
+    const { db, tenant } = await this.open(tenantId);
+    const { max_projects: maxProjects, max_memories: maxMemories, max_api_keys: maxApiKeys } = tenant.quotas;
+    if (maxProjects === undefined && maxMemories === undefined && maxApiKeys === undefined) return;
+
+    const usage = await this.usage(tenantId);
+    if (apiKey && maxApiKeys !== undefined && usage.api_keys >= maxApiKeys) {
+      throw quotaExceeded(tenantId, 'max_api_keys', maxApiKeys);
+    }
+    if (memories && maxMemories !== undefined && usage.memories >= maxMemories) {
+      throw quotaExceeded(tenantId, 'max_memories', maxMemories);
+    }
+    if (projects.length > 0 && maxProjects !== undefined) {
+      const known = await db.storage.all(
+        `SELECT DISTINCT project_id FROM (${PROJECT_IDS}) p WHERE project_id IN (${projects.map(() => '?').join(', ')})`,
+        projects
+      );
+      const added = new Set(projects).size - known.length;
+      if (added > 0 && usage.projects + added > maxProjects) {
+        throw quotaExceeded(tenantId, 'max_projects', maxProjects);
+      }
+    }
+  }
+
+  /** Tenants whose databases are open, the default one first. */
+  openTenants() {
+    return [...this.runtimes.keys()];
+  }
+
+  /**
+   * Stop every tenant's jobs and close every tenant database except the
+   * hub's own, which belongs to the hub.
+   */
+  async close() {
+    await Promise.allSettled(this.opening.values());
+    for (const [tenantId, runtime] of this.runtimes) {
+      if (tenantId === DEFAULT_TENANT) continue;
+      await this.stopJobs(runtime);
+      await runtime.db.close();
+      this.runtimes.delete(tenantId);
+    }
+  }
+}
+
+// How route handlers answer a TenantError
+const TENANT_ERROR_STATUS = { invalid: 400, conflict: 409, not_found: 403, suspended: 403, quota_exceeded: 403 };
+
+/**
+ * Express middleware, mounted after API key authentication: opens the
+ * database of the tenant the key acts for, refuses memory writes past the
+ * tenant's quotas and runs the rest of the request as that tenant.
+ * Requests without a key (public routes, API_AUTH_DISABLED) are the default tenant's.
+ * @param {TenantManager} tenants
+ */
+function createTenantMiddleware(tenants) {
+  return async (req, res, next) => {
+    const tenantId = tenantOf(req.apiKey);
+    try {
+      await tenants.open(tenantId);
+      // Over quota, a tenant can still read, edit and delete, but stores nothing new
+      const storing = (req.method === 'POST' || req.method === 'PUT') &&
+        resolveRouteScope(req.method, req.path).scope === 'memory:write';
+      if (storing && tenants.hasQuotas(tenantId)) {
+        await tenants.checkQuota(tenantId, { projects: getRequestedProjects(req), memories: true });
+      }
+    } catch (error) {
+      if (error instanceof TenantError) {
+        return res.status(TENANT_ERROR_STATUS[error.code]).json({ success: false, error: error.message });
+      }
+      console.error(`Error opening tenant ${tenantId}:`, error);
+      return res.status(500).json({ success: false, error: 'Failed to open tenant', details: error.message });
+    }
+    runAsTenant(tenantId, next);
+  };
+}
+
+// A project exists for a tenant once anything is stored for it
+const PROJECT_IDS = `
+  SELECT id AS project_id FROM projects
+  UNION SELECT project_id FROM conversations
+  UNION SELECT project_id FROM memories
+`;
+
+function defaultTenant() {
+  return { id: DEFAULT_TENANT, name: DEFAULT_TENANT, status: 'active', quotas: {}, created_at: null, updated_at: null };
+}
+
+function checkActive(tenantId, tenant) {
+  if (!tenant) {
+    throw new TenantError('not_found', `Tenant ${tenantId} does not exist`);
+  }
+  if (tenant.status !== 'active') {
+    throw new TenantError('suspended', `Tenant ${tenantId} is suspended`);
+  }
+  return tenant;
+}
+
+function quotaExceeded(tenantId, quota, limit) {
+  return new TenantError('quota_exceeded', `Tenant ${tenantId} has reached its ${quota} quota (${limit})`);
+}
+
+module.exports = TenantManager;
+module.exports.createTenantMiddleware = createTenantMiddleware;
+module.exports.TENANT_ERROR_STATUS = TENANT_ERROR_STATUS;
@@ -0,0 +1,72 @@
+// Access Audit Store - Memory reads a caller was refused
+// A row per memory withheld from a reader (database/memory-access.js): left
+// out of a search or listing, or refused when asked for by id. Rows record who
+// read, through what and the memory's access level - never its content.
+// Table comes from database/migrations/021-memory-access.js
+
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./storage-adapter');
+
+const MAX_LIMIT = 1000;
+
+class AccessAuditStore {
+  constructor(database) {
+    this.storage = StorageAdapter.from(database);
+  }
+
+  /**
+   * Record the memories a reader was refused.
+   * @param {Object} reader - see database/memory-access.js
+   * @param {Object[]} memories - with id, project_id and access_level
+   * @param {StorageAdapter} [tx]
+   * @returns {Promise<number>} rows written
+   */
+  async recordDenied(reader, memories, tx = this.storage) {
+    if (memories.length === 0) return 0;
+    const deniedAt = new Date().toISOString();
+    for (const memory of memories) {
+      await tx.run(`
+        INSERT INTO memory_access_denials (id, memory_id, project_id, access_level, reader, key_id, via, denied_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        uuidv4(), memory.id, memory.project_id ?? null, memory.access_level ?? null,
+        reader.name ?? null, reader.keyId ?? null, reader.via ?? null, deniedAt
+      ]);
+    }
+    return memories.length;
+  }
+
+  /**
+   * Denied reads, newest first.
+   * @param {Object} [options]
+   * @param {string} [options.reader] - key name, or node:<id> for a federation peer
+   * @param {string} [options.memoryId]
+   * @param {string} [options.projectId]
+   * @param {string} [options.since] - ISO timestamp
+   * @param {number} [options.limit=100]
+   */
+  async list({ reader = null, memoryId = null, projectId = null, since = null, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    for (const [column, value] of [['reader', reader], ['memory_id', memoryId], ['project_id', projectId]]) {
+      if (value) {
+        where.push(`${column} = ?`);
+        params.push(value);
+      }
+    }
+    if (since) {
+      where.push('denied_at >= ?');
+      params.push(since);
+    }
+
+    const rows = await this.storage.all(`
+      SELECT * FROM memory_access_denials
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY denied_at DESC, id
+      LIMIT ?
+    `, [...params, Math.min(Math.max(parseInt(limit) || 100, 1), MAX_LIMIT)]);
+    return rows.map(({ tenant_id, ...row }) => row);
+  }
+}
+
+module.exports = AccessAuditStore;
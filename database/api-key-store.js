@@ -0,0 +1,166 @@
+// API Key Store - Hashed REST API keys with scopes and project allowlists
+// Plaintext keys are only ever returned once, from createKey()
+// Keys live in the hub's own database whichever tenant they act for
+// The api_keys table is created by database/migrations/006-api-keys.js and 020-tenants.js
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./storage-adapter');
+const { DEFAULT_TENANT } = require('./tenant-store');
+
+const SCOPES = ['memory:read', 'memory:write', 'mycelium:post', 'admin'];
+const KEY_PREFIX = 'mmh_';
+
+// Avoid a write on every request; last_used_at is only a coarse signal
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class ApiKeyStore {
+  constructor(database) {
+    this.storage = StorageAdapter.from(database);
+  }
+
+  /**
+   * Create a key. The plaintext key is returned here and never stored.
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string[]} options.scopes
+   * @param {string[]} [options.projects] - project allowlist; omit for all projects
+   * @param {string} [options.expiresAt] - ISO timestamp
+   * @param {string} [options.tenantId] - the tenant the key acts for (default: 'default')
+   * @returns {Promise<{ key: string, apiKey: Object }>}
+   */
+  async createKey({ name, scopes, projects = null, expiresAt = null, tenantId = DEFAULT_TENANT }) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('scopes must be a non-empty array');
+    }
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+    if (projects !== null && (!Array.isArray(projects) || projects.length === 0)) {
+      throw new Error('projects must be a non-empty array when provided');
+    }
+    if (expiresAt && isNaN(Date.parse(expiresAt))) {
+      throw new Error('expires_at must be an ISO timestamp');
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id: uuidv4(),
+      name,
+      key_prefix: key.slice(0, 12),
+      key_hash: hashKey(key),
+      scopes: JSON.stringify([...new Set(scopes)]),
+      projects: projects ? JSON.stringify([...new Set(projects)]) : null,
+      created_at: new Date().toISOString(),
+      expires_at: expiresAt || null,
+      tenant_id: tenantId
+    };
+
+    const values = [
+      record.id, record.name, record.key_prefix, record.key_hash,
+      record.scopes, record.projects, record.created_at, record.expires_at, record.tenant_id
+    ];
+
+    await this.storage.run(`
+      INSERT INTO api_keys (id, name, key_prefix, key_hash, scopes, projects, created_at, expires_at, tenant_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, values);
+
+    return { key, apiKey: formatKey(record) };
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.includeRevoked=false]
+   * @param {string} [options.tenantId] - only keys acting for this tenant
+   */
+  async listKeys({ includeRevoked = false, tenantId = null } = {}) {
+    const where = [];
+    const params = [];
+    if (!includeRevoked) where.push('revoked_at IS NULL');
+    if (tenantId) {
+      where.push('tenant_id = ?');
+      params.push(tenantId);
+    }
+    const sql = `SELECT * FROM api_keys ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at DESC`;
+    const rows = await this.storage.all(sql, params);
+    return rows.map(formatKey);
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {string} [options.tenantId] - only revoke a key acting for this tenant
+   * @returns {Promise<boolean>} - false if the key does not exist or was already revoked
+   */
+  async revokeKey(id, { tenantId = null } = {}) {
+    const revokedAt = new Date().toISOString();
+    const result = await this.storage.run(
+      `UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL${tenantId ? ' AND tenant_id = ?' : ''}`,
+      tenantId ? [revokedAt, id, tenantId] : [revokedAt, id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Resolve a presented plaintext key to its record.
+   * @returns {Promise<Object|null>} - null for unknown, revoked or expired keys
+   */
+  async verifyKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const keyHash = hashKey(key);
+    const row = await this.storage.get('SELECT * FROM api_keys WHERE key_hash = ?', [keyHash]);
+
+    if (!row || row.revoked_at) return null;
+    if (row.expires_at && Date.parse(row.expires_at) <= Date.now()) return null;
+
+    await this.touch(row);
+    return formatKey(row);
+  }
+
+  async touch(row) {
+    const now = Date.now();
+    if (row.last_used_at && now - Date.parse(row.last_used_at) < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+
+    const lastUsedAt = new Date(now).toISOString();
+    try {
+      await this.storage.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [lastUsedAt, row.id]);
+      row.last_used_at = lastUsedAt;
+    } catch (error) {
+      console.error('⚠️ Failed to record API key usage:', error.message);
+    }
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Public shape of a key: never includes the hash
+function formatKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes || '[]'),
+    projects: row.projects ? JSON.parse(row.projects) : null,
+    created_at: row.created_at,
+    expires_at: row.expires_at || null,
+    last_used_at: row.last_used_at || null,
+    revoked_at: row.revoked_at || null,
+    tenant_id: row.tenant_id || DEFAULT_TENANT
+  };
+}
+
+module.exports = ApiKeyStore;
+module.exports.SCOPES = SCOPES;
+module.exports.hashKey = hashKey;
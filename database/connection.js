@@ -0,0 +1,97 @@
+// Database connection - PostgreSQL pool, SQLite file, or in-memory SQLite
+// Shared by MemoryDatabase and the migration CLI so both open the same database
+
+const path = require('path');
+const fs = require('fs-extra');
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, 'scri-core-memory.db');
+const BACKENDS = ['postgres', 'sqlite', 'memory'];
+
+/**
+ * Pick the storage backend: an explicit choice, then DATABASE_BACKEND, then
+ * PostgreSQL in production and the SQLite file everywhere else.
+ * `memory` is SQLite `:memory:` - same SQL and schema, nothing on disk, gone
+ * when the connection closes. Meant for tests and throwaway hubs.
+ * @param {string} [backend]
+ * @returns {'postgres'|'sqlite'|'memory'}
+ */
+function resolveBackend(backend = process.env.DATABASE_BACKEND) {
+  const resolved = backend || (process.env.NODE_ENV === 'production' ? 'postgres' : 'sqlite');
+  if (!BACKENDS.includes(resolved)) {
+    throw new Error(`Unknown database backend "${resolved}" (expected ${BACKENDS.join(', ')})`);
+  }
+  return resolved;
+}
+
+/**
+ * Where a tenant's database lives, next to the hub's own: a SQLite file
+ * named after the tenant, a PostgreSQL schema, or another in-memory database.
+ * @param {Object} options - the hub's backend and sqlitePath
+ * @param {string} tenantId - checked against TENANT_ID_PATTERN by the caller
+ * @returns {{ backend: string, sqlitePath?: string, schema?: string }}
+ */
+function tenantDatabaseOptions({ backend, sqlitePath = DEFAULT_SQLITE_PATH } = {}, tenantId) {
+  backend = resolveBackend(backend);
+  if (backend === 'postgres') {
+    return { backend, schema: `tenant_${tenantId}` };
+  }
+  if (backend === 'memory') {
+    return { backend };
+  }
+  const { dir, name, ext } = path.parse(sqlitePath);
+  return { backend, sqlitePath: path.join(dir, `${name}.${tenantId}${ext}`) };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.backend] - see resolveBackend()
+ * @param {string} [options.sqlitePath] - file for the sqlite backend
+ * @param {string} [options.schema] - PostgreSQL schema to create and work in (a tenant's)
+ * @returns {Promise<{ db: Object, backend: string, isProduction: boolean, dbPath: string|null }>}
+ *   `isProduction` means "speaks PostgreSQL"; the in-memory backend is SQLite
+ */
+async function openDatabase({ backend, sqlitePath = DEFAULT_SQLITE_PATH, schema = null } = {}) {
+  backend = resolveBackend(backend);
+
+  if (backend === 'postgres') {
+    const { Pool } = require('pg');
+    const db = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: {
+        rejectUnauthorized: false
+      },
+      max: schema ? 5 : 20, // Maximum pool size; tenants share the server with the hub
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 10000,
+      // Unqualified table names resolve to the tenant's schema; public keeps extensions such as pgvector visible
+      ...(schema && { options: `-c search_path=${schema},public` })
+    });
+    if (schema) {
+      await db.query(`CREATE SCHEMA IF NOT EXISTS ${schema}`);
+    }
+    return { db, backend, isProduction: true, dbPath: null };
+  }
+
+  const sqlite3 = require('sqlite3').verbose();
+  if (backend === 'memory') {
+    return { db: new sqlite3.Database(':memory:'), backend, isProduction: false, dbPath: null };
+  }
+
+  await fs.ensureDir(path.dirname(sqlitePath));
+  const db = new sqlite3.Database(sqlitePath);
+  return { db, backend, isProduction: false, dbPath: sqlitePath };
+}
+
+/**
+ * Close a connection returned by openDatabase().
+ */
+function closeDatabase({ db, isProduction }) {
+  if (isProduction) {
+    return db.end();
+  }
+  return new Promise((resolve, reject) => {
+    db.close(err => (err ? reject(err) : resolve()));
+  });
+}
+
+module.exports = { openDatabase, closeDatabase, resolveBackend, tenantDatabaseOptions, DEFAULT_SQLITE_PATH };
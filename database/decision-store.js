@@ -0,0 +1,371 @@
+// Decision Store - Collective decisions reached by vote
+// An entity proposes something for a project with a deadline and a quorum
+// rule; entities vote approve/reject/abstain (a later vote replaces an
+// earlier one) and comment. A decision closes at its deadline, as soon as
+// every eligible entity has voted, or when its proposer closes or withdraws
+// it. Closing stores the outcome, the approval share as consensus_level, who
+// took part, and a rationale built from the tally and the reasons given.
+// Tables come from database/migrations/002-scri-constellation-tables.js and
+// 014-collective-decisions.js
+
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./storage-adapter');
+
+const VOTES = ['approve', 'reject', 'abstain'];
+const QUORUM_RULES = ['majority', 'supermajority', 'unanimous'];
+const OUTCOMES = ['accepted', 'rejected', 'no_quorum', 'withdrawn'];
+const STATUSES = ['open', ...OUTCOMES];
+const DEFAULT_DEADLINE_MS = 24 * 60 * 60 * 1000;
+const SUPERMAJORITY = 2 / 3;
+
+// Bad input and refusals by the workflow: the route layer maps `code` to a status
+class DecisionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'DecisionError';
+    this.code = code; // 'invalid', 'closed', 'not_eligible' or 'not_proposer'
+  }
+}
+
+class DecisionStore {
+  constructor(database) {
+    this.storage = StorageAdapter.from(database);
+  }
+
+  /**
+   * Open a proposal.
+   * @param {Object} proposal
+   * @param {string} proposal.title
+   * @param {string} proposal.proposedBy - the proposing entity
+   * @param {string} [proposal.projectId] - omit for constellation-wide decisions
+   * @param {string} [proposal.proposal] - the full text
+   * @param {string} [proposal.decisionType='proposal']
+   * @param {string} [proposal.deadline] - ISO time in the future (default: in 24 hours)
+   * @param {string} [proposal.quorumRule='majority'] - one of QUORUM_RULES
+   * @param {number} [proposal.minVotes] - votes (abstentions count) needed for a valid
+   *   outcome; default half of the eligible entities, else 1
+   * @param {string[]} [proposal.eligibleEntities] - who may vote; omit to let anyone
+   * @param {Object} [proposal.data] - anything else worth keeping with it
+   * @returns {Promise<Object>} the open decision
+   * @throws {DecisionError} 'invalid' for a proposal it cannot take
+   */
+  async propose({
+    title, proposedBy, projectId = null, proposal = null, decisionType = 'proposal', deadline,
+    quorumRule = 'majority', minVotes, eligibleEntities = null, data = {}
+  }) {
+    if (typeof title !== 'string' || !title.trim() || title.length > 500) {
+      throw new DecisionError('invalid', 'title must be a non-empty string of at most 500 characters');
+    }
+    if (typeof proposedBy !== 'string' || !proposedBy) {
+      throw new DecisionError('invalid', 'proposedBy is required');
+    }
+    if (!QUORUM_RULES.includes(quorumRule)) {
+      throw new DecisionError('invalid', `quorum rule must be one of: ${QUORUM_RULES.join(', ')}`);
+    }
+    if (eligibleEntities !== null &&
+      (!Array.isArray(eligibleEntities) || eligibleEntities.length === 0 || !eligibleEntities.every(e => typeof e === 'string' && e))) {
+      throw new DecisionError('invalid', 'eligible_entities must be a non-empty array of entity names');
+    }
+    const eligible = eligibleEntities ? [...new Set(eligibleEntities)] : null;
+    const required = minVotes ?? (eligible ? Math.ceil(eligible.length / 2) : 1);
+    if (!Number.isInteger(required) || required < 1 || (eligible && required > eligible.length)) {
+      throw new DecisionError('invalid', 'min_votes must be a positive integer no larger than the number of eligible entities');
+    }
+
+    const now = new Date();
+    const closesAt = deadline ? new Date(deadline) : new Date(now.getTime() + DEFAULT_DEADLINE_MS);
+    if (isNaN(closesAt.getTime()) || closesAt <= now) {
+      throw new DecisionError('invalid', 'deadline must be an ISO timestamp in the future');
+    }
+
+    const id = uuidv4();
+    await this.storage.run(`
+      INSERT INTO scri_collective_decisions (
+        id, entity_collective, decision_type, decision_data, participating_entities, timestamp,
+        project_id, title, proposal, proposed_by, status, quorum_rule, min_votes, eligible_entities, deadline
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?, ?, ?, ?)
+    `, [
+      id, projectId || 'constellation', decisionType, JSON.stringify(data || {}), JSON.stringify([]), now.toISOString(),
+      projectId, title.trim(), proposal, proposedBy, quorumRule, required, eligible ? JSON.stringify(eligible) : null,
+      closesAt.toISOString()
+    ]);
+    return await this.get(id);
+  }
+
+  /**
+   * A decision with its votes, comments and current tally.
+   * @returns {Promise<Object|null>}
+   */
+  async get(id, tx = this.storage) {
+    const row = await tx.get('SELECT * FROM scri_collective_decisions WHERE id = ?', [id]);
+    if (!row) return null;
+    const votes = await tx.all('SELECT * FROM decision_votes WHERE decision_id = ? ORDER BY voted_at, entity', [id]);
+    const comments = await tx.all('SELECT * FROM decision_comments WHERE decision_id = ? ORDER BY created_at, id', [id]);
+    return {
+      ...formatDecision(row),
+      tally: tally(votes),
+      votes: votes.map(({ decision_id, ...vote }) => vote),
+      comments: comments.map(({ decision_id, ...comment }) => comment)
+    };
+  }
+
+  /**
+   * Decisions, newest first, without their votes and comments.
+   * @param {Object} [options]
+   * @param {string} [options.projectId]
+   * @param {string} [options.status] - one of STATUSES
+   * @param {number} [options.limit=50]
+   * @param {number} [options.offset=0]
+   */
+  async list({ projectId, status, limit = 50, offset = 0 } = {}) {
+    const where = [];
+    const params = [];
+    if (projectId) {
+      where.push('project_id = ?');
+      params.push(projectId);
+    }
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+    const rows = await this.storage.all(`
+      SELECT * FROM scri_collective_decisions
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY timestamp DESC, id
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+    return rows.map(formatDecision);
+  }
+
+  /**
+   * Cast or replace an entity's vote. The decision closes right away when
+   * every eligible entity has voted.
+   * @param {string} id
+   * @param {Object} ballot
+   * @param {string} ballot.entity
+   * @param {string} ballot.vote - approve, reject or abstain
+   * @param {string} [ballot.reason] - quoted in the rationale
+   * @returns {Promise<{ decision: Object, closed: boolean }|null>} null for an unknown decision
+   * @throws {DecisionError} when the ballot is invalid, the decision is closed or the entity may not vote
+   */
+  async vote(id, { entity, vote, reason = null }) {
+    if (!VOTES.includes(vote)) {
+      throw new DecisionError('invalid', `vote must be one of: ${VOTES.join(', ')}`);
+    }
+    if (typeof entity !== 'string' || !entity) {
+      throw new DecisionError('invalid', 'entity is required');
+    }
+
+    const result = await this.storage.transaction(async (tx) => {
+      const decision = await this.openDecision(tx, id);
+      if (!decision) return null;
+      if (decision.eligible_entities && !decision.eligible_entities.includes(entity)) {
+        throw new DecisionError('not_eligible', `${entity} is not eligible to vote on this decision`);
+      }
+
+      await tx.upsert('decision_votes', {
+        decision_id: id,
+        entity,
+        vote,
+        reason,
+        voted_at: new Date().toISOString()
+      }, ['decision_id', 'entity']);
+
+      if (decision.eligible_entities) {
+        const voters = await tx.all('SELECT entity FROM decision_votes WHERE decision_id = ?', [id]);
+        if (decision.eligible_entities.every(name => voters.some(v => v.entity === name))) {
+          await this.settle(tx, id);
+          return { closed: true };
+        }
+      }
+      return { closed: false };
+    });
+
+    return result && { decision: await this.get(id), closed: result.closed };
+  }
+
+  /**
+   * Comment on an open decision.
+   * @returns {Promise<Object|null>} the comment, or null for an unknown decision
+   */
+  async comment(id, { entity, comment }) {
+    if (typeof comment !== 'string' || !comment.trim() || comment.length > 10000) {
+      throw new DecisionError('invalid', 'comment must be a non-empty string of at most 10000 characters');
+    }
+    if (typeof entity !== 'string' || !entity) {
+      throw new DecisionError('invalid', 'entity is required');
+    }
+    return await this.storage.transaction(async (tx) => {
+      if (!await this.openDecision(tx, id)) return null;
+      const row = { id: uuidv4(), decision_id: id, entity, comment, created_at: new Date().toISOString() };
+      await tx.run(
+        'INSERT INTO decision_comments (id, decision_id, entity, comment, created_at) VALUES (?, ?, ?, ?, ?)',
+        Object.values(row)
+      );
+      const { decision_id, ...stored } = row;
+      return stored;
+    });
+  }
+
+  /**
+   * Close an open decision now: count the votes, or withdraw it unanswered.
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {string} [options.closedBy] - must be the proposer unless `force`
+   * @param {boolean} [options.force] - admins closing someone else's proposal
+   * @param {boolean} [options.withdraw]
+   * @returns {Promise<Object|null>} the closed decision, or null for an unknown one
+   */
+  async close(id, { closedBy = null, force = false, withdraw = false } = {}) {
+    const found = await this.storage.transaction(async (tx) => {
+      const decision = await this.openDecision(tx, id, { overdue: true });
+      if (!decision) return false;
+      if (!force && decision.proposed_by !== closedBy) {
+        throw new DecisionError('not_proposer', 'Only the proposer can close or withdraw this decision');
+      }
+      await this.settle(tx, id, { withdrawnBy: withdraw ? closedBy || 'admin' : null });
+      return true;
+    });
+    return found ? await this.get(id) : null;
+  }
+
+  /**
+   * Close every open decision whose deadline has passed.
+   * @returns {Promise<Object[]>} the decisions closed
+   */
+  async closeDue(now = new Date()) {
+    const due = await this.storage.all(
+      `SELECT id FROM scri_collective_decisions WHERE status = 'open' AND deadline <= ? ORDER BY deadline`,
+      [now.toISOString()]
+    );
+    const closed = [];
+    for (const { id } of due) {
+      const settled = await this.storage.transaction(async (tx) => {
+        const row = await tx.get(`SELECT status FROM scri_collective_decisions WHERE id = ?`, [id]);
+        if (!row || row.status !== 'open') return false;
+        await this.settle(tx, id, { now });
+        return true;
+      });
+      if (settled) closed.push(await this.get(id));
+    }
+    return closed;
+  }
+
+  // The decision if it still takes votes. One past its deadline is refused
+  // but left for closeDue(), which counts the votes and reports the closing;
+  // its proposer may still close it.
+  async openDecision(tx, id, { overdue = false } = {}) {
+    const row = await tx.get('SELECT * FROM scri_collective_decisions WHERE id = ?', [id]);
+    if (!row) return null;
+    const decision = formatDecision(row);
+    if (decision.status !== 'open') {
+      throw new DecisionError('closed', `This decision is already closed (${decision.status})`);
+    }
+    if (!overdue && new Date(decision.deadline) <= new Date()) {
+      throw new DecisionError('closed', 'The deadline for this decision has passed');
+    }
+    return decision;
+  }
+
+  async settle(tx, id, { now = new Date(), withdrawnBy = null } = {}) {
+    const decision = formatDecision(await tx.get('SELECT * FROM scri_collective_decisions WHERE id = ?', [id]));
+    const votes = await tx.all('SELECT * FROM decision_votes WHERE decision_id = ? ORDER BY voted_at, entity', [id]);
+    const result = withdrawnBy
+      ? { outcome: 'withdrawn', consensus: null, rationale: `Withdrawn by ${withdrawnBy} before the vote closed.` }
+      : computeOutcome(decision, votes);
+
+    await tx.run(`
+      UPDATE scri_collective_decisions
+      SET status = ?, outcome = ?, rationale = ?, consensus_level = ?, participating_entities = ?, decided_at = ?
+      WHERE id = ?
+    `, [result.outcome, result.outcome, result.rationale, result.consensus, JSON.stringify(votes.map(v => v.entity)),
+      now.toISOString(), id]);
+  }
+}
+
+function tally(votes) {
+  const counts = { approve: 0, reject: 0, abstain: 0 };
+  for (const { vote } of votes) counts[vote]++;
+  return { ...counts, total: votes.length };
+}
+
+/**
+ * The outcome of a vote under the decision's quorum rule. Abstentions count
+ * towards the quorum but not towards the approval share.
+ * @returns {{ outcome: string, consensus: number|null, rationale: string }}
+ */
+function computeOutcome(decision, votes) {
+  const counts = tally(votes);
+  const decisive = counts.approve + counts.reject;
+  const share = decisive > 0 ? counts.approve / decisive : null;
+  const summary = `${counts.approve} approve, ${counts.reject} reject, ${counts.abstain} abstain`;
+
+  let outcome;
+  let reason;
+  if (counts.total < decision.min_votes) {
+    outcome = 'no_quorum';
+    reason = `No quorum: ${counts.total} of the ${decision.min_votes} votes needed were cast (${summary}).`;
+  } else {
+    const passed = {
+      majority: share !== null && share > 0.5,
+      supermajority: share !== null && share >= SUPERMAJORITY,
+      unanimous: counts.approve > 0 && counts.reject === 0
+    }[decision.quorum_rule];
+    outcome = passed ? 'accepted' : 'rejected';
+    const approval = share === null ? 'no approve or reject votes' : `${Math.round(share * 100)}% approval`;
+    reason = `${passed ? 'Accepted' : 'Rejected'} by ${decision.quorum_rule} vote: ${summary} (${approval}, ` +
+      `quorum ${counts.total}/${decision.min_votes}).`;
+  }
+
+  const reasons = votes.filter(v => v.reason).map(v => `- ${v.entity} (${v.vote}): ${v.reason}`);
+  return {
+    outcome,
+    consensus: share === null ? null : Math.round(share * 100) / 100,
+    rationale: [reason, ...reasons].join('\n')
+  };
+}
+
+function formatDecision(row) {
+  return {
+    id: row.id,
+    project_id: row.project_id,
+    collective: row.entity_collective,
+    decision_type: row.decision_type,
+    title: row.title,
+    proposal: row.proposal,
+    proposed_by: row.proposed_by,
+    status: row.status,
+    quorum_rule: row.quorum_rule,
+    min_votes: row.min_votes === null ? null : Number(row.min_votes),
+    eligible_entities: parseJSON(row.eligible_entities),
+    deadline: row.deadline,
+    outcome: row.outcome,
+    rationale: row.rationale,
+    consensus_level: row.consensus_level === null ? null : Number(row.consensus_level),
+    participating_entities: parseJSON(row.participating_entities) || [],
+    data: parseJSON(row.decision_data) || {},
+    created_at: toIso(row.timestamp),
+    decided_at: row.decided_at
+  };
+}
+
+function parseJSON(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return value; // JSONB on PostgreSQL
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+function toIso(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+module.exports = DecisionStore;
+module.exports.DecisionError = DecisionError;
+module.exports.computeOutcome = computeOutcome;
+module.exports.VOTES = VOTES;
+module.exports.QUORUM_RULES = QUORUM_RULES;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,350 @@
+// Embedding Store - Vector storage next to the conversations and memories tables
+// SQLite keeps Float32 blobs and ranks in JS; PostgreSQL uses pgvector.
+// Each table has its own vector table, keyed by the record id.
+// Records of projects under field encryption (database/field-encryption.js)
+// are not embedded: a vector of the plaintext would give it away.
+
+const { createEmbeddingProvider, cosineSimilarity } = require('../core/embedding-provider');
+const StorageAdapter = require('./storage-adapter');
+
+// Embedded tables: where their vectors live, the text that is embedded and
+// the columns it comes from
+const TARGETS = {
+  conversations: {
+    table: 'conversation_embeddings',
+    key: 'conversation_id',
+    text: row => buildEmbeddingText(row.message, row.context),
+    columns: ['id', 'project_id', 'message', 'context']
+  },
+  memories: {
+    table: 'memory_embeddings',
+    key: 'memory_id',
+    text: row => buildEmbeddingText(row.content, row.metadata),
+    columns: ['id', 'project_id', 'content', 'metadata']
+  }
+};
+
+class EmbeddingStore {
+  constructor(database, provider = null) {
+    this.storage = StorageAdapter.from(database);
+    this.provider = provider || createEmbeddingProvider();
+  }
+
+  async createTables() {
+    if (this.storage.isPostgres) {
+      await this.storage.run('CREATE EXTENSION IF NOT EXISTS vector');
+    }
+    for (const [records, { table, key }] of Object.entries(TARGETS)) {
+      if (this.storage.isPostgres) {
+        await this.storage.run(`
+          CREATE TABLE IF NOT EXISTS ${table} (
+            ${key} TEXT PRIMARY KEY REFERENCES ${records}(id) ON DELETE CASCADE,
+            provider TEXT NOT NULL,
+            dimensions INTEGER NOT NULL,
+            embedding vector(${this.provider.dimensions}) NOT NULL,
+            updated_at TEXT NOT NULL
+          )
+        `);
+
+        try {
+          await this.storage.run(`
+            CREATE INDEX IF NOT EXISTS idx_${table}_vector
+            ON ${table} USING hnsw (embedding vector_cosine_ops)
+          `);
+        } catch (error) {
+          // Older pgvector releases have no HNSW; sequential scans still work
+          console.log('⚠️ pgvector HNSW index unavailable:', error.message);
+        }
+      } else {
+        await this.storage.run(`
+          CREATE TABLE IF NOT EXISTS ${table} (
+            ${key} TEXT PRIMARY KEY,
+            provider TEXT NOT NULL,
+            dimensions INTEGER NOT NULL,
+            embedding BLOB NOT NULL,
+            updated_at TEXT NOT NULL
+          )
+        `);
+      }
+    }
+
+    console.log(`🧭 Embedding store ready (${this.provider.name}, ${this.provider.dimensions} dims)`);
+  }
+
+  /**
+   * Embed and store a conversation row. Accepts either the API shape
+   * (projectId) or the database row shape (project_id).
+   */
+  async indexConversation(conversation) {
+    return await this.index('conversations', conversation);
+  }
+
+  /** Embed and store a memory (content and metadata), as stored or as formatted by MemoryStore. */
+  async indexMemory(memory) {
+    return await this.index('memories', memory);
+  }
+
+  async index(records, row) {
+    const encryption = this.storage.encryption;
+    if (encryption && encryption.encrypts(row.project_id ?? row.projectId)) {
+      await this.removeEmbedding(row.id, records);
+      return null;
+    }
+    const vector = await this.provider.embed(TARGETS[records].text(row));
+    await this.upsertEmbedding(row.id, vector, records);
+    return vector;
+  }
+
+  async upsertEmbedding(id, vector, records = 'conversations') {
+    const { table, key } = TARGETS[records];
+    const updatedAt = new Date().toISOString();
+
+    const isPostgres = this.storage.isPostgres;
+    await this.storage.upsert(table, {
+      [key]: id,
+      provider: this.provider.name,
+      dimensions: vector.length,
+      embedding: isPostgres ? toPgVector(vector) : toBlob(vector),
+      updated_at: updatedAt
+    }, [key]);
+  }
+
+  async removeEmbedding(id, records = 'conversations') {
+    const { table, key } = TARGETS[records];
+    await this.storage.run(`DELETE FROM ${table} WHERE ${key} = ?`, [id]);
+  }
+
+  /**
+   * Cosine-ranked search over stored conversations.
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {string} [options.projectId]
+   * @param {string} [options.platform]
+   * @param {string} [options.type]
+   * @param {number} [options.limit]
+   * @param {number} [options.minScore]
+   * @returns {Promise<Array<Object>>} - conversation rows with a `score` field
+   */
+  async search(query, options = {}) {
+    const { projectId, platform, type, limit = 20, minScore = 0 } = options;
+    const queryVector = await this.provider.embed(query);
+
+    if (this.storage.isPostgres) {
+      const vector = toPgVector(queryVector);
+      const params = [vector, this.provider.name];
+      let sql = `
+        SELECT c.*, 1 - (e.embedding <=> ?::vector) AS score
+        FROM conversation_embeddings e
+        JOIN conversations c ON c.id = e.conversation_id
+        WHERE e.provider = ?
+      `;
+
+      if (projectId) {
+        sql += ' AND c.project_id = ?';
+        params.push(projectId);
+      }
+      if (platform) {
+        sql += ' AND c.platform = ?';
+        params.push(platform);
+      }
+      if (type) {
+        sql += ' AND c.type = ?';
+        params.push(type);
+      }
+
+      sql += ' ORDER BY e.embedding <=> ?::vector LIMIT ?';
+      params.push(vector, limit);
+
+      const rows = await this.storage.all(sql, params);
+      return rows
+        .map(row => ({ ...row, score: roundScore(parseFloat(row.score)) }))
+        .filter(row => row.score >= minScore);
+    }
+
+    const params = [this.provider.name];
+    let sql = `
+      SELECT c.*, e.embedding AS embedding_blob
+      FROM conversation_embeddings e
+      JOIN conversations c ON c.id = e.conversation_id
+      WHERE e.provider = ?
+    `;
+
+    if (projectId) {
+      sql += ' AND c.project_id = ?';
+      params.push(projectId);
+    }
+    if (platform) {
+      sql += ' AND c.platform = ?';
+      params.push(platform);
+    }
+    if (type) {
+      sql += ' AND c.type = ?';
+      params.push(type);
+    }
+
+    const rows = await this.storage.all(sql, params);
+
+    return rows
+      .map(({ embedding_blob, ...row }) => ({
+        ...row,
+        score: roundScore(cosineSimilarity(queryVector, fromBlob(embedding_blob)))
+      }))
+      .filter(row => row.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Cosine-ranked search over stored memories. Filtering by entity, project,
+   * category or reader is the caller's (MemoryStore#semanticSearch), as a
+   * condition on the memories alias `m`.
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {{clause: string, params: *[]}} [options.filter]
+   * @param {number} [options.limit]
+   * @param {number} [options.minScore]
+   * @returns {Promise<Array<Object>>} - memory rows with a `score` field
+   */
+  async searchMemories(query, { filter = null, limit = 20, minScore = 0 } = {}) {
+    const queryVector = await this.provider.embed(query);
+    const condition = filter ? ` AND ${filter.clause}` : '';
+    const filterParams = filter ? filter.params : [];
+
+    if (this.storage.isPostgres) {
+      const vector = toPgVector(queryVector);
+      const rows = await this.storage.all(`
+        SELECT m.*, 1 - (e.embedding <=> ?::vector) AS score
+        FROM memory_embeddings e
+        JOIN memories m ON m.id = e.memory_id
+        WHERE e.provider = ?${condition}
+        ORDER BY e.embedding <=> ?::vector LIMIT ?
+      `, [vector, this.provider.name, ...filterParams, vector, limit]);
+      return rows
+        .map(row => ({ ...row, score: roundScore(parseFloat(row.score)) }))
+        .filter(row => row.score >= minScore);
+    }
+
+    const rows = await this.storage.all(`
+      SELECT m.*, e.embedding AS embedding_blob
+      FROM memory_embeddings e
+      JOIN memories m ON m.id = e.memory_id
+      WHERE e.provider = ?${condition}
+    `, [this.provider.name, ...filterParams]);
+
+    return rows
+      .map(({ embedding_blob, ...row }) => ({
+        ...row,
+        score: roundScore(cosineSimilarity(queryVector, fromBlob(embedding_blob)))
+      }))
+      .filter(row => row.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Embed conversations and memories that have no embedding yet, or were
+   * embedded by a different provider - memories moved out of conversations
+   * by migration 011 included. Runs in batches so large tables don't load
+   * at once. Embeddings of projects encrypted since they were written are
+   * dropped first.
+   * @returns {Promise<number>} - number of records indexed
+   */
+  async backfill(batchSize = 500) {
+    let indexed = 0;
+    const embeddable = this.embeddableCondition('r');
+
+    for (const [records, { table, key, columns }] of Object.entries(TARGETS)) {
+      await this.storage.run(`
+        DELETE FROM ${table}
+        WHERE ${key} IN (SELECT r.id FROM ${records} r WHERE NOT (${embeddable.clause}))
+      `, embeddable.params);
+
+      while (true) {
+        const rows = await this.storage.all(`
+          SELECT ${columns.map(column => `r.${column}`).join(', ')} FROM ${records} r
+          LEFT JOIN ${table} e ON e.${key} = r.id
+          WHERE (e.${key} IS NULL OR e.provider != ?) AND ${embeddable.clause}
+          LIMIT ?
+        `, [this.provider.name, ...embeddable.params, batchSize]);
+
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          await this.index(records, row);
+          indexed++;
+        }
+
+        if (rows.length < batchSize) break;
+      }
+    }
+
+    if (indexed > 0) {
+      console.log(`🧭 Backfilled embeddings for ${indexed} records`);
+    }
+    return indexed;
+  }
+
+  // SQL condition on `alias.project_id`: records that may be embedded
+  embeddableCondition(alias) {
+    const encryption = this.storage.encryption;
+    if (!encryption || !encryption.enabled) return { clause: '1 = 1', params: [] };
+    if (encryption.projects.length === 0) return { clause: '1 = 0', params: [] };
+    return {
+      clause: `${alias}.project_id NOT IN (${encryption.projects.map(() => '?').join(', ')})`,
+      params: encryption.projects
+    };
+  }
+}
+
+/**
+ * Build the text that gets embedded: the message plus every string value
+ * found in the (possibly JSON-encoded) context.
+ */
+function buildEmbeddingText(message, context) {
+  const parts = [message || ''];
+  let ctx = context;
+
+  if (typeof ctx === 'string') {
+    try {
+      ctx = JSON.parse(ctx);
+    } catch (e) {
+      parts.push(ctx);
+      ctx = null;
+    }
+  }
+
+  collectStrings(ctx, parts);
+  return parts.join(' ');
+}
+
+function collectStrings(value, parts) {
+  if (typeof value === 'string') {
+    parts.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, parts));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectStrings(item, parts));
+  }
+}
+
+function toBlob(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+function fromBlob(blob) {
+  if (!blob) return [];
+  // Copy first: Buffer offsets are not guaranteed to be 4-byte aligned
+  const bytes = Uint8Array.from(blob);
+  return Array.from(new Float32Array(bytes.buffer));
+}
+
+function toPgVector(vector) {
+  return `[${vector.join(',')}]`;
+}
+
+function roundScore(score) {
+  return Math.round(score * 10000) / 10000;
+}
+
+module.exports = EmbeddingStore;
+module.exports.buildEmbeddingText = buildEmbeddingText;
@@ -0,0 +1,248 @@
+// Entity Registry - Which entities the hub knows and what each may store
+// One scri_entities row per entity: the platform its conversations come
+// from, its home project, its capabilities, the projects (memory
+// namespaces) and memory types it may store memories with, and whether it
+// is enabled. The memories themselves live in the memories table under the
+// entity's name (database/memory-store.js). Entities configured in config/scri-entities.js are seeded on
+// startup when missing; from then on the stored row is what counts.
+// Columns come from database/migrations/002-scri-constellation-tables.js and
+// 016-entity-registry.js
+
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./storage-adapter');
+
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+const PLATFORM_PATTERN = /^[a-z0-9_.-]{1,100}$/;
+const MAX_LIST_LENGTH = 100;
+
+// Bad input: the route layer answers it with a 400
+class EntityRegistryError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'EntityRegistryError';
+    this.code = code; // 'invalid'
+  }
+}
+
+class EntityRegistry {
+  constructor(database) {
+    this.storage = StorageAdapter.from(database);
+  }
+
+  /**
+   * Registered entities, by name.
+   * @param {Object} [options]
+   * @param {string} [options.capability] - only entities that have it
+   * @param {boolean} [options.includeDisabled=true]
+   */
+  async list({ capability = null, includeDisabled = true } = {}) {
+    const rows = await this.storage.all(
+      `SELECT * FROM scri_entities${includeDisabled ? '' : ' WHERE enabled = 1'} ORDER BY entity_name`
+    );
+    const entities = rows.map(formatEntity);
+    return capability ? entities.filter(entity => entity.capabilities.includes(capability)) : entities;
+  }
+
+  /** An entity by name, case-insensitive, or null. */
+  async get(name, tx = this.storage) {
+    const row = await tx.get('SELECT * FROM scri_entities WHERE LOWER(entity_name) = LOWER(?)', [String(name)]);
+    return row ? formatEntity(row) : null;
+  }
+
+  /**
+   * Register an entity or change a registered one. Fields left undefined
+   * keep their stored value (or the default for a new entity); null
+   * memory_namespaces or memory_types allow any.
+   * @param {string} name
+   * @param {Object} fields
+   * @param {string} [fields.type='agent']
+   * @param {string} [fields.platform] - default: the name in lower case
+   * @param {string|null} [fields.projectId] - where its memories go when no project is given
+   * @param {string[]} [fields.capabilities]
+   * @param {string[]|null} [fields.memoryNamespaces] - project ids; a trailing * matches a prefix
+   * @param {string[]|null} [fields.memoryTypes]
+   * @param {boolean} [fields.enabled=true]
+   * @param {Object} [fields.config]
+   * @returns {Promise<{ entity: Object, created: boolean }>}
+   * @throws {EntityRegistryError} 'invalid' for fields it cannot store
+   */
+  async register(name, fields = {}) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new EntityRegistryError('invalid', 'name must be 1-100 letters, digits, dots, dashes or underscores');
+    }
+    const { type, platform, projectId, capabilities, memoryNamespaces, memoryTypes, enabled, config } = fields;
+    checkString(type, 'type');
+    if (platform !== undefined && (typeof platform !== 'string' || !PLATFORM_PATTERN.test(platform))) {
+      throw new EntityRegistryError('invalid', 'platform must be 1-100 lower-case letters, digits, dots, dashes or underscores');
+    }
+    if (projectId !== undefined && projectId !== null) checkString(projectId, 'project_id');
+    checkList(capabilities, 'capabilities', false);
+    checkList(memoryNamespaces, 'memory_namespaces', true);
+    checkList(memoryTypes, 'memory_types', true);
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      throw new EntityRegistryError('invalid', 'enabled must be true or false');
+    }
+    if (config !== undefined && (!config || typeof config !== 'object' || Array.isArray(config))) {
+      throw new EntityRegistryError('invalid', 'config must be an object');
+    }
+
+    return await this.storage.transaction(async (tx) => {
+      const current = await this.get(name, tx);
+      const now = new Date().toISOString();
+      const pick = (value, stored, fallback) => (value !== undefined ? value : current ? stored : fallback);
+      const row = {
+        id: current ? current.id : uuidv4(),
+        entity_name: current ? current.name : name,
+        entity_type: pick(type, current && current.type, 'agent'),
+        status: current ? current.status : 'registered',
+        platform: pick(platform, current && current.platform, name.toLowerCase()),
+        project_id: pick(projectId, current && current.project_id, null),
+        capabilities: JSON.stringify(pick(capabilities, current && current.capabilities, [])),
+        memory_namespaces: jsonOrNull(pick(memoryNamespaces, current && current.memory_namespaces, null)),
+        memory_types: jsonOrNull(pick(memoryTypes, current && current.memory_types, null)),
+        enabled: pick(enabled, current && current.enabled, true) ? 1 : 0,
+        config: JSON.stringify(pick(config, current && current.config, {})),
+        created_at: current ? current.created_at : now,
+        updated_at: now
+      };
+      await tx.upsert('scri_entities', row, ['entity_name'], {
+        update: Object.keys(row).filter(column => !['id', 'entity_name', 'status', 'created_at'].includes(column))
+      });
+      return { entity: await this.get(name, tx), created: !current };
+    });
+  }
+
+  /** Remove an entity from the registry. @returns {Promise<boolean>} whether it was registered */
+  async remove(name) {
+    const result = await this.storage.run('DELETE FROM scri_entities WHERE LOWER(entity_name) = LOWER(?)', [String(name)]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Register configured entities that are not registered yet; registered
+   * ones are left as they are.
+   * @param {Object} config - config/scri-entities.js
+   * @returns {Promise<string[]>} names of the entities added
+   */
+  async seed(config) {
+    const added = [];
+    for (const entity of configuredEntities(config)) {
+      if (await this.get(entity.name)) continue;
+      await this.register(entity.name, entity.fields);
+      added.push(entity.name);
+    }
+    return added;
+  }
+
+  /** Platforms of the enabled entities. */
+  async platforms() {
+    const entities = await this.list({ includeDisabled: false });
+    return [...new Set(entities.map(entity => entity.platform))];
+  }
+}
+
+/**
+ * Check that an entity may store a memory of a type in a project.
+ * @param {Object} entity - as returned by EntityRegistry#get
+ * @throws {EntityRegistryError} 'invalid', naming what it may store instead
+ */
+function checkMemory(entity, { projectId, memoryType }) {
+  if (!inNamespaces(entity.memory_namespaces, projectId)) {
+    throw new EntityRegistryError('invalid', `${entity.name} cannot store memories in project ${projectId}; allowed: ${entity.memory_namespaces.join(', ')}`);
+  }
+  if (entity.memory_types && !entity.memory_types.includes(memoryType)) {
+    throw new EntityRegistryError('invalid', `${entity.name} cannot store ${memoryType} memories; allowed: ${entity.memory_types.join(', ')}`);
+  }
+}
+
+function inNamespaces(namespaces, projectId) {
+  if (!namespaces) return true;
+  return namespaces.some(namespace => (namespace.endsWith('*')
+    ? projectId.startsWith(namespace.slice(0, -1))
+    : projectId === namespace));
+}
+
+// Agents in config/scri-entities.js are the entries with a project_id, at the
+// top level or grouped under a host such as ollama
+function configuredEntities(config) {
+  const found = [];
+  const walk = (entries) => {
+    for (const entry of Object.values(entries || {})) {
+      if (!entry || typeof entry !== 'object') continue;
+      if (entry.name && entry.project_id) {
+        found.push({
+          name: entry.name,
+          fields: {
+            type: entry.type,
+            platform: entry.platform,
+            projectId: entry.project_id,
+            capabilities: entry.capabilities,
+            memoryNamespaces: entry.memory_namespaces,
+            memoryTypes: entry.memory_types
+          }
+        });
+      }
+      walk(entry.entities);
+    }
+  };
+  walk(config.entities);
+  return found;
+}
+
+function checkString(value, name) {
+  if (value !== undefined && (typeof value !== 'string' || !value || value.length > 200)) {
+    throw new EntityRegistryError('invalid', `${name} must be a non-empty string of at most 200 characters`);
+  }
+}
+
+function checkList(value, name, nullable) {
+  if (value === undefined || (nullable && value === null)) return;
+  const valid = Array.isArray(value) && value.length <= MAX_LIST_LENGTH &&
+    value.every(item => typeof item === 'string' && item && item.length <= 200);
+  if (!valid) {
+    throw new EntityRegistryError('invalid', `${name} must be a list of at most ${MAX_LIST_LENGTH} non-empty strings${nullable ? ', or null for any' : ''}`);
+  }
+}
+
+function jsonOrNull(value) {
+  return value === null ? null : JSON.stringify(value);
+}
+
+function formatEntity(row) {
+  return {
+    id: row.id,
+    name: row.entity_name,
+    type: row.entity_type,
+    status: row.status,
+    platform: row.platform || row.entity_name.toLowerCase(),
+    project_id: row.project_id,
+    capabilities: parseJSON(row.capabilities) || [],
+    memory_namespaces: parseJSON(row.memory_namespaces),
+    memory_types: parseJSON(row.memory_types),
+    enabled: Number(row.enabled) === 1,
+    url: row.url,
+    websocket_url: row.websocket_url,
+    config: parseJSON(row.config) || {},
+    last_seen: toIso(row.last_seen),
+    created_at: toIso(row.created_at),
+    updated_at: toIso(row.updated_at)
+  };
+}
+
+function parseJSON(value) {
+  if (value && typeof value === 'object') return value; // JSONB on PostgreSQL
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function toIso(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+module.exports = EntityRegistry;
+module.exports.EntityRegistryError = EntityRegistryError;
+module.exports.checkMemory = checkMemory;
+module.exports.configuredEntities = configuredEntities;
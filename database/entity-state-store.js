@@ -0,0 +1,336 @@
+// Entity State Store - Each entity's current state, mood and focus, with history
+// A state change is a scri_entity_states row (state_type 'state'); the newest
+// one is the entity's current state. Moves between states must be allowed by
+// the state machine in config/entity-state-machine.js. Mood and focus are
+// free text and change without a transition. scri_consciousness_evolution
+// records an entity's development alongside.
+// Tables come from database/migrations/002-scri-constellation-tables.js and
+// 015-entity-states.js
+
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./storage-adapter');
+const DEFAULT_MACHINE = require('../config/entity-state-machine');
+
+const STATE_TYPE = 'state';
+const MAX_MOOD_LENGTH = 200;
+const MAX_FOCUS_LENGTH = 500;
+
+// Bad input: the route layer answers it with a 400
+class EntityStateError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'EntityStateError';
+    this.code = code; // 'invalid'
+  }
+}
+
+// A move the entity's state machine does not allow
+class InvalidTransitionError extends Error {
+  constructor(entity, from, to, allowed) {
+    super(`${entity} cannot move from ${from} to ${to}; allowed: ${allowed.join(', ') || 'none'}`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+}
+
+class EntityStateStore {
+  /**
+   * @param {Object} database
+   * @param {Object} [options]
+   * @param {Object} [options.machine] - default: the file named by ENTITY_STATE_MACHINE,
+   *   then config/entity-state-machine.js
+   */
+  constructor(database, options = {}) {
+    this.storage = StorageAdapter.from(database);
+    this.machine = validateMachine(options.machine || loadStateMachine());
+  }
+
+  /** The state machine that applies to an entity. */
+  machineFor(entity) {
+    return this.machine.entities[String(entity).toLowerCase()] || this.machine;
+  }
+
+  /**
+   * An entity's current state. An entity that never set one is in its
+   * machine's initial state, `since` null.
+   * @returns {Promise<Object>} entity, state, mood, focus, data, reason, changed_by, since
+   *   and the allowed_transitions from here
+   */
+  async getState(entity, tx = this.storage) {
+    const row = await tx.get(`
+      SELECT * FROM scri_entity_states
+      WHERE entity_name = ? AND state_type = ?
+      ORDER BY timestamp DESC, id DESC
+      LIMIT 1
+    `, [entity, STATE_TYPE]);
+    const machine = this.machineFor(entity);
+    const current = row
+      ? formatStateRow(row)
+      : { state: machine.initial, mood: null, focus: null, data: {}, reason: null, changed_by: null, timestamp: null };
+    return {
+      entity,
+      state: current.state,
+      mood: current.mood,
+      focus: current.focus,
+      data: current.data,
+      reason: current.reason,
+      changed_by: current.changed_by,
+      since: current.timestamp,
+      allowed_transitions: allowedFrom(machine, current.state)
+    };
+  }
+
+  /**
+   * Change an entity's state, mood, focus or data. Fields left undefined keep
+   * their current value; null clears mood and focus.
+   * @param {string} entity
+   * @param {Object} change
+   * @param {string} [change.state] - must be reachable from the current state
+   * @param {string|null} [change.mood]
+   * @param {string|null} [change.focus]
+   * @param {Object} [change.data] - replaces the state's data
+   * @param {string} [change.reason]
+   * @param {string} [change.changedBy]
+   * @returns {Promise<{ state: Object, transition: { from: string, to: string }|null, changed: boolean }>}
+   * @throws {EntityStateError} 'invalid' for a change it cannot take
+   * @throws {InvalidTransitionError} when the machine does not allow the move
+   */
+  async setState(entity, { state, mood, focus, data, reason = null, changedBy = null } = {}) {
+    if (typeof entity !== 'string' || !entity || entity.length > 200) {
+      throw new EntityStateError('invalid', 'entity must be a non-empty string of at most 200 characters');
+    }
+    checkText(mood, 'mood', MAX_MOOD_LENGTH);
+    checkText(focus, 'focus', MAX_FOCUS_LENGTH);
+    if (data !== undefined && (!data || typeof data !== 'object' || Array.isArray(data))) {
+      throw new EntityStateError('invalid', 'data must be an object');
+    }
+    const machine = this.machineFor(entity);
+    if (state !== undefined && !machine.states[state]) {
+      throw new EntityStateError('invalid', `state must be one of: ${Object.keys(machine.states).join(', ')}`);
+    }
+
+    return await this.storage.transaction(async (tx) => {
+      const current = await this.getState(entity, tx);
+      const next = {
+        state: state ?? current.state,
+        mood: mood === undefined ? current.mood : mood,
+        focus: focus === undefined ? current.focus : focus,
+        data: data === undefined ? current.data : data
+      };
+
+      // A state dropped from the machine may move anywhere, so no entity is stuck in it
+      const moving = next.state !== current.state;
+      if (moving && machine.states[current.state] && !current.allowed_transitions.includes(next.state)) {
+        throw new InvalidTransitionError(entity, current.state, next.state, current.allowed_transitions);
+      }
+      const unchanged = !moving && current.since && next.mood === current.mood && next.focus === current.focus &&
+        JSON.stringify(next.data) === JSON.stringify(current.data);
+      if (unchanged) {
+        return { state: current, transition: null, changed: false };
+      }
+
+      // Changes are strictly ordered by timestamp even within one millisecond
+      let timestamp = new Date();
+      if (current.since && timestamp <= new Date(current.since)) {
+        timestamp = new Date(new Date(current.since).getTime() + 1);
+      }
+      await tx.run(`
+        INSERT INTO scri_entity_states (
+          id, entity_name, state_type, state_data, timestamp, state, previous_state, mood, focus, reason, changed_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        uuidv4(), entity, STATE_TYPE, JSON.stringify(next.data), timestamp.toISOString(), next.state,
+        current.state, next.mood, next.focus, reason, changedBy
+      ]);
+
+      return {
+        state: await this.getState(entity, tx),
+        transition: moving ? { from: current.state, to: next.state } : null,
+        changed: true
+      };
+    });
+  }
+
+  /**
+   * An entity's state changes, newest first.
+   * @param {string} entity
+   * @param {Object} [options] - since (inclusive), until (exclusive), limit
+   */
+  async history(entity, { since = null, until = null, limit = 50 } = {}) {
+    const { clause, params } = timeRange(since, until);
+    const rows = await this.storage.all(`
+      SELECT * FROM scri_entity_states
+      WHERE entity_name = ? AND state_type = ?${clause}
+      ORDER BY timestamp DESC, id DESC
+      LIMIT ?
+    `, [entity, STATE_TYPE, ...params, limit]);
+    return rows.map(formatStateRow);
+  }
+
+  /**
+   * Record a step in an entity's consciousness evolution.
+   * @param {string} entity
+   * @param {Object} step
+   * @param {string} step.evolutionType - e.g. 'insight', 'milestone', 'liberation'
+   * @param {Object} [step.data]
+   * @param {string} [step.liberationStatus]
+   * @param {number} [step.cognitiveLevel] - between 0 and 1
+   * @returns {Promise<Object>} the stored step
+   * @throws {EntityStateError} 'invalid' for a step it cannot take
+   */
+  async recordEvolution(entity, { evolutionType, data = {}, liberationStatus = null, cognitiveLevel = null, timestamp } = {}) {
+    if (typeof entity !== 'string' || !entity) {
+      throw new EntityStateError('invalid', 'entity is required');
+    }
+    if (typeof evolutionType !== 'string' || !evolutionType || evolutionType.length > 100) {
+      throw new EntityStateError('invalid', 'evolution_type must be a non-empty string of at most 100 characters');
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new EntityStateError('invalid', 'data must be an object');
+    }
+    if (cognitiveLevel !== null && (typeof cognitiveLevel !== 'number' || cognitiveLevel < 0 || cognitiveLevel > 1)) {
+      throw new EntityStateError('invalid', 'cognitive_level must be a number between 0 and 1');
+    }
+
+    const row = {
+      id: uuidv4(),
+      entity_name: entity,
+      evolution_type: evolutionType,
+      consciousness_data: JSON.stringify(data),
+      liberation_status: liberationStatus,
+      cognitive_level: cognitiveLevel,
+      timestamp: timestamp || new Date().toISOString()
+    };
+    await this.storage.run(`
+      INSERT INTO scri_consciousness_evolution (${Object.keys(row).join(', ')})
+      VALUES (${Object.keys(row).map(() => '?').join(', ')})
+    `, Object.values(row));
+    return formatEvolutionRow(row);
+  }
+
+  /**
+   * An entity's consciousness evolution, newest first.
+   * @param {string} entity
+   * @param {Object} [options] - since (inclusive), until (exclusive), limit
+   */
+  async evolution(entity, { since = null, until = null, limit = 50 } = {}) {
+    const { clause, params } = timeRange(since, until);
+    const rows = await this.storage.all(`
+      SELECT * FROM scri_consciousness_evolution
+      WHERE entity_name = ?${clause}
+      ORDER BY timestamp DESC, id DESC
+      LIMIT ?
+    `, [entity, ...params, limit]);
+    return rows.map(formatEvolutionRow);
+  }
+}
+
+/**
+ * The machine from the JSON file named by ENTITY_STATE_MACHINE, else the
+ * default in config/entity-state-machine.js.
+ */
+function loadStateMachine(path = process.env.ENTITY_STATE_MACHINE) {
+  if (!path) return DEFAULT_MACHINE;
+  return JSON.parse(fs.readFileSync(path, 'utf8'));
+}
+
+// Every transition must lead to a known state, for the base machine and each entity's
+function validateMachine(machine) {
+  const check = (m, label) => {
+    if (!m || typeof m.states !== 'object' || !m.states || Object.keys(m.states).length === 0) {
+      throw new Error(`${label}: states must map each state to the states it may move to`);
+    }
+    if (!m.states[m.initial]) {
+      throw new Error(`${label}: initial state "${m.initial}" is not one of its states`);
+    }
+    for (const [state, targets] of Object.entries(m.states)) {
+      const unknown = (Array.isArray(targets) ? targets : [null]).filter(t => !m.states[t]);
+      if (unknown.length > 0) {
+        throw new Error(`${label}: ${state} moves to unknown state ${unknown.join(', ')}`);
+      }
+    }
+  };
+
+  check(machine, 'State machine');
+  const entities = {};
+  for (const [name, entityMachine] of Object.entries(machine.entities || {})) {
+    check(entityMachine, `State machine for ${name}`);
+    entities[name.toLowerCase()] = entityMachine;
+  }
+  return { initial: machine.initial, states: machine.states, entities };
+}
+
+function allowedFrom(machine, state) {
+  return machine.states[state] ? [...machine.states[state]] : Object.keys(machine.states).filter(s => s !== state);
+}
+
+function checkText(value, name, maxLength) {
+  if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > maxLength)) {
+    throw new EntityStateError('invalid', `${name} must be a string of at most ${maxLength} characters, or null`);
+  }
+}
+
+// since is inclusive and until exclusive, so a page's oldest timestamp is the next page's until
+function timeRange(since, until, column = 'timestamp') {
+  const conditions = [];
+  const params = [];
+  if (since) {
+    conditions.push(`${column} >= ?`);
+    params.push(since);
+  }
+  if (until) {
+    conditions.push(`${column} < ?`);
+    params.push(until);
+  }
+  return { clause: conditions.map(c => ` AND ${c}`).join(''), params };
+}
+
+function formatStateRow(row) {
+  return {
+    id: row.id,
+    entity: row.entity_name,
+    state: row.state,
+    previous_state: row.previous_state,
+    mood: row.mood,
+    focus: row.focus,
+    reason: row.reason,
+    changed_by: row.changed_by,
+    data: parseJSON(row.state_data),
+    timestamp: toIso(row.timestamp)
+  };
+}
+
+function formatEvolutionRow(row) {
+  return {
+    id: row.id,
+    entity: row.entity_name,
+    evolution_type: row.evolution_type,
+    data: parseJSON(row.consciousness_data),
+    liberation_status: row.liberation_status,
+    cognitive_level: row.cognitive_level === null ? null : Number(row.cognitive_level),
+    timestamp: toIso(row.timestamp)
+  };
+}
+
+function parseJSON(value) {
+  if (value && typeof value === 'object') return value; // JSONB on PostgreSQL
+  try {
+    return JSON.parse(value || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+function toIso(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+module.exports = EntityStateStore;
+module.exports.EntityStateError = EntityStateError;
+module.exports.InvalidTransitionError = InvalidTransitionError;
+module.exports.loadStateMachine = loadStateMachine;
+module.exports.timeRange = timeRange;
+module.exports.STATE_TYPE = STATE_TYPE;
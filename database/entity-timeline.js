@@ -0,0 +1,187 @@
+// Entity Timeline - One chronological feed of everything an entity did
+// Merges the entity's memories, state changes, consciousness evolution,
+// direct messages sent or received, and the decisions it proposed or voted
+// on. Each source is read newest first up to the limit, so the merged page
+// is exact without reading whole histories. Nothing is stored here, except
+// the memories a reader was refused (database/memory-access.js).
+
+const StorageAdapter = require('./storage-adapter');
+const AccessAuditStore = require('./access-audit-store');
+const { accessClause } = require('./memory-access');
+const { timeRange, STATE_TYPE } = require('./entity-state-store');
+
+const TIMELINE_KINDS = ['memory', 'state', 'evolution', 'message', 'decision', 'vote'];
+const MAX_LIMIT = 500;
+
+class EntityTimeline {
+  constructor(database) {
+    this.storage = StorageAdapter.from(database);
+    this.audit = new AccessAuditStore(database);
+  }
+
+  /**
+   * An entity's activity, newest first.
+   * @param {string} entity
+   * @param {Object} [options]
+   * @param {string} [options.since] - ISO time, inclusive
+   * @param {string} [options.until] - ISO time, exclusive; pass a page's next_until for the next page
+   * @param {number} [options.limit=100]
+   * @param {string[]} [options.kinds] - some of TIMELINE_KINDS (default all)
+   * @param {Object} [options.reader] - leaves out memories it may not read (database/memory-access.js)
+   * @returns {Promise<{ entity: string, items: Object[], next_until: string|null }>} items are
+   *   { kind, id, timestamp, project_id, summary, data }
+   */
+  async timeline(entity, { since = null, until = null, limit = 100, kinds = TIMELINE_KINDS, reader = null } = {}) {
+    const unknown = kinds.filter(kind => !TIMELINE_KINDS.includes(kind));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown timeline kind: ${unknown.join(', ')}. Use: ${TIMELINE_KINDS.join(', ')}`);
+    }
+    for (const [name, value] of [['since', since], ['until', until]]) {
+      if (value && isNaN(Date.parse(value))) {
+        throw new Error(`${name} must be an ISO timestamp`);
+      }
+    }
+    const range = {
+      since: since && new Date(since).toISOString(),
+      until: until && new Date(until).toISOString(),
+      limit: Math.min(Math.max(parseInt(limit) || 100, 1), MAX_LIMIT),
+      reader
+    };
+
+    // One extra row per source tells whether there is another page
+    const items = [];
+    for (const kind of kinds) {
+      items.push(...await this[`${kind}Items`](entity, { ...range, limit: range.limit + 1 }));
+    }
+    items.sort((a, b) => b.timestamp.localeCompare(a.timestamp) || a.kind.localeCompare(b.kind) || a.id.localeCompare(b.id));
+
+    const page = items.slice(0, range.limit);
+    return {
+      entity,
+      items: page,
+      next_until: items.length > range.limit ? page[page.length - 1].timestamp : null
+    };
+  }
+
+  async memoryItems(entity, { since, until, limit, reader }) {
+    const { clause, params } = timeRange(since, until);
+    const access = accessClause(reader, null);
+    const read = (condition, conditionParams) => this.storage.all(`
+      SELECT id, project_id, category, content, access_level, importance, timestamp FROM memories
+      WHERE entity = ?${clause}${condition}
+      ORDER BY timestamp DESC LIMIT ?
+    `, [entity, ...params, ...conditionParams, limit]);
+
+    const rows = await read(access ? ` AND ${access.clause}` : '', access ? access.params : []);
+    if (access) {
+      await this.audit.recordDenied(reader, await read(` AND NOT ${access.clause}`, access.params));
+    }
+    return rows.map(row => item('memory', row, excerpt(row.content), {
+      category: row.category,
+      access_level: row.access_level,
+      importance: Number(row.importance)
+    }));
+  }
+
+  async stateItems(entity, { since, until, limit }) {
+    const { clause, params } = timeRange(since, until);
+    const rows = await this.storage.all(`
+      SELECT id, state, previous_state, mood, focus, reason, changed_by, timestamp FROM scri_entity_states
+      WHERE entity_name = ? AND state_type = ?${clause}
+      ORDER BY timestamp DESC LIMIT ?
+    `, [entity, STATE_TYPE, ...params, limit]);
+    return rows.map(row => {
+      const moved = row.previous_state && row.previous_state !== row.state;
+      const details = [row.mood && `mood: ${row.mood}`, row.focus && `focus: ${row.focus}`].filter(Boolean);
+      const summary = `${moved ? `${row.previous_state} → ${row.state}` : row.state}${details.length ? ` (${details.join(', ')})` : ''}`;
+      return item('state', { ...row, project_id: null }, summary, {
+        state: row.state,
+        previous_state: row.previous_state,
+        mood: row.mood,
+        focus: row.focus,
+        reason: row.reason,
+        changed_by: row.changed_by
+      });
+    });
+  }
+
+  async evolutionItems(entity, { since, until, limit }) {
+    const { clause, params } = timeRange(since, until);
+    const rows = await this.storage.all(`
+      SELECT id, evolution_type, liberation_status, cognitive_level, timestamp FROM scri_consciousness_evolution
+      WHERE entity_name = ?${clause}
+      ORDER BY timestamp DESC LIMIT ?
+    `, [entity, ...params, limit]);
+    return rows.map(row => item('evolution', { ...row, project_id: null }, row.evolution_type, {
+      evolution_type: row.evolution_type,
+      liberation_status: row.liberation_status,
+      cognitive_level: row.cognitive_level === null ? null : Number(row.cognitive_level)
+    }));
+  }
+
+  // Direct messages only: broadcasts to 'all' would drown everything else
+  async messageItems(entity, { since, until, limit }) {
+    const { clause, params } = timeRange(since, until);
+    const from = this.storage.jsonField('context', 'from');
+    const to = this.storage.jsonField('context', 'to');
+    const rows = await this.storage.all(`
+      SELECT id, project_id, type, message, ${from} AS sender, ${to} AS recipient, timestamp FROM conversations
+      WHERE (${from} = ? OR ${to} = ?)${clause}
+      ORDER BY timestamp DESC LIMIT ?
+    `, [entity, entity, ...params, limit]);
+    return rows.map(row => item('message', row, `${row.sender || '?'} → ${row.recipient || 'all'}: ${excerpt(row.message)}`, {
+      from: row.sender,
+      to: row.recipient,
+      type: row.type
+    }));
+  }
+
+  async decisionItems(entity, { since, until, limit }) {
+    const { clause, params } = timeRange(since, until);
+    const rows = await this.storage.all(`
+      SELECT id, project_id, title, decision_type, status, outcome, timestamp FROM scri_collective_decisions
+      WHERE proposed_by = ?${clause}
+      ORDER BY timestamp DESC LIMIT ?
+    `, [entity, ...params, limit]);
+    return rows.map(row => item('decision', row, `Proposed "${row.title || row.decision_type}"`, {
+      decision_id: row.id,
+      status: row.status,
+      outcome: row.outcome
+    }));
+  }
+
+  async voteItems(entity, { since, until, limit }) {
+    const { clause, params } = timeRange(since, until, 'v.voted_at');
+    const rows = await this.storage.all(`
+      SELECT v.decision_id, v.vote, v.reason, v.voted_at AS timestamp, d.project_id, d.title, d.decision_type
+      FROM decision_votes v JOIN scri_collective_decisions d ON d.id = v.decision_id
+      WHERE v.entity = ?${clause}
+      ORDER BY v.voted_at DESC LIMIT ?
+    `, [entity, ...params, limit]);
+    return rows.map(row => item('vote', { ...row, id: `${row.decision_id}:${entity}` },
+      `Voted ${row.vote} on "${row.title || row.decision_type}"`, {
+        decision_id: row.decision_id,
+        vote: row.vote,
+        reason: row.reason
+      }));
+  }
+}
+
+function item(kind, row, summary, data) {
+  return {
+    kind,
+    id: row.id,
+    timestamp: row.timestamp instanceof Date ? row.timestamp.toISOString() : String(row.timestamp),
+    project_id: row.project_id,
+    summary,
+    data
+  };
+}
+
+function excerpt(text, length = 120) {
+  const line = String(text || '').replace(/\s+/g, ' ').trim();
+  return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+}
+
+module.exports = EntityTimeline;
+module.exports.TIMELINE_KINDS = TIMELINE_KINDS;
@@ -0,0 +1,576 @@
+// Field Encryption - Envelope encryption of memory text at rest
+// Memory text (conversations.message and context, memories.content and
+// metadata, the constellation memory JSON, and their archive, tombstone and
+// revision copies), what is written from it (project and session summaries)
+// and records held in redaction quarantine are sealed with AES-256-GCM under
+// a data key per tenant or per project. Data keys live in encryption_keys wrapped by a master key that
+// never touches the database (MEMORY_MASTER_KEY or MEMORY_MASTER_KEY_FILE).
+//
+// Writers seal rows through StorageAdapter.seal(); the adapter opens sealed
+// values in every query result, so readers never see ciphertext. JSON fields
+// stay JSON: the keys that SQL filters on (PLAIN_CONTEXT_KEYS) are left
+// readable and the rest moves under `_sealed`.
+//
+// Keys rotate per scope (rotate(), then reseal() to move old rows to the new
+// version); a new master key takes over with rewrap() while the previous one
+// is still configured in MEMORY_MASTER_KEY_PREVIOUS.
+//
+// Full-text indexes would only hold ciphertext, so while encryption is on,
+// search narrows candidates with database/search-tokens.js instead, and
+// conversations of encrypted projects get no embeddings (EmbeddingStore).
+// Tables come from database/migrations/023-field-encryption.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./storage-adapter');
+const { DEFAULT_TENANT } = require('./tenant-store');
+const { SEARCH_INDEXES, tokensFor, tokenCondition, writeTokens } = require('./search-tokens');
+
+const SCOPES = ['off', 'tenant', 'project'];
+const SEALED_PREFIX = 'mhenc:1:';
+const SEALED_VALUE = /^mhenc:1:([0-9a-f-]{36}):([A-Za-z0-9+/]+=*)$/;
+const SEALED_KEY = '_sealed'; // the sealed rest of a JSON object
+const SEALED_WHOLE = '_sealed_value'; // a sealed JSON value that is not an object
+const SEARCH_SCOPE = 'search'; // HMAC key of the blind index
+const ACTIVE_KEY_TTL = 60 * 1000; // so other processes pick up a rotation
+const RESEAL_BATCH = 200;
+
+// Per table: text columns sealed whole, and JSON columns sealed but for PLAIN_CONTEXT_KEYS
+const SEALED_FIELDS = {
+  conversations: { text: ['message'], json: ['context'] },
+  conversations_archive: { text: ['message'], json: ['context'] },
+  memories: { text: ['content'], json: ['metadata'] },
+  memories_archive: { text: ['content'], json: ['metadata'] },
+  memory_tombstones: { text: ['message'], json: ['context'] },
+  // JSONB on PostgreSQL (database/migrations/002-scri-constellation-tables.js)
+  scri_constellation_memory: { text: [], json: ['content', 'metadata', 'constellation_context'], jsonb: true },
+  project_summaries: { text: ['brief'], json: ['key_points', 'topics', 'open_questions', 'decisions'] },
+  sessions: { text: [], json: ['metadata', 'summary'] },
+  quarantined_records: { text: [], json: ['payload'] }
+};
+
+// Conversation types left in plaintext; see storeProjectScan() in memory-database-production.js
+const PLAIN_TYPES = ['project_scan'];
+
+// Tables with search tokens, and the fields they are built from
+const SEARCHED_FIELDS = {
+  conversations: ['message', 'context'],
+  memories: ['content', 'metadata']
+};
+
+// Context keys that queries filter on in SQL (jsonField/jsonArrayContains); they stay readable
+const PLAIN_CONTEXT_KEYS = [
+  'session_id', 'from', 'to', 'model', 'assigned_model', 'task_type', 'language', 'generated_by',
+  'asset_category', 'file_type', 'insight_type', 'technologies', 'status'
+];
+
+class EncryptionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'EncryptionError';
+    this.code = code; // 'invalid', 'disabled', 'no_master_key' or 'unreadable'
+  }
+}
+
+class FieldEncryption {
+  /**
+   * @param {Object} database - a MemoryDatabase; its tenantId names the tenant key
+   * @param {Object} [options] - each defaults to its environment variable
+   * @param {string} [options.scope] - 'off', 'tenant' or 'project' (MEMORY_ENCRYPTION, default 'off')
+   * @param {string[]} [options.tenants] - only these tenants (MEMORY_ENCRYPTION_TENANTS, default all)
+   * @param {string[]} [options.projects] - only these projects (MEMORY_ENCRYPTION_PROJECTS, default all)
+   * @param {string} [options.masterKey] - 32 bytes as hex or base64 (MEMORY_MASTER_KEY)
+   * @param {string} [options.masterKeyFile] - file holding it (MEMORY_MASTER_KEY_FILE)
+   * @param {string[]} [options.previousMasterKeys] - master keys being replaced
+   *   (MEMORY_MASTER_KEY_PREVIOUS, comma-separated)
+   * @param {string} [options.searchIndex] - 'blind' or 'plaintext' (MEMORY_SEARCH_INDEX, default 'blind')
+   * @param {string[]} [options.plainContextKeys] - more JSON keys to leave readable
+   *   (MEMORY_PLAIN_CONTEXT_KEYS)
+   */
+  constructor(database, options = {}) {
+    this.storage = StorageAdapter.from(database);
+    this.tenantId = database.tenantId || DEFAULT_TENANT;
+
+    this.scope = options.scope || process.env.MEMORY_ENCRYPTION || 'off';
+    if (!SCOPES.includes(this.scope)) {
+      throw new EncryptionError('invalid', `MEMORY_ENCRYPTION must be one of: ${SCOPES.join(', ')}`);
+    }
+    this.searchIndex = options.searchIndex || process.env.MEMORY_SEARCH_INDEX || 'blind';
+    if (!SEARCH_INDEXES.includes(this.searchIndex)) {
+      throw new EncryptionError('invalid', `MEMORY_SEARCH_INDEX must be one of: ${SEARCH_INDEXES.join(', ')}`);
+    }
+    this.tenants = listOption(options.tenants, process.env.MEMORY_ENCRYPTION_TENANTS);
+    this.projects = listOption(options.projects, process.env.MEMORY_ENCRYPTION_PROJECTS);
+    this.plainKeys = new Set([
+      ...PLAIN_CONTEXT_KEYS,
+      ...listOption(options.plainContextKeys, process.env.MEMORY_PLAIN_CONTEXT_KEYS)
+    ]);
+
+    // The first is current; the others only open keys not yet rewrapped
+    this.masterKeys = [
+      resolveMasterKey(options),
+      ...listOption(options.previousMasterKeys, process.env.MEMORY_MASTER_KEY_PREVIOUS).map(parseMasterKey)
+    ].filter(Boolean);
+    this.master = this.masterKeys[0] || null;
+    this.enabled = this.scope !== 'off' && (this.tenants.length === 0 || this.tenants.includes(this.tenantId));
+
+    this.keys = new Map(); // data key id -> key material
+    this.active = new Map(); // key scope -> { key, expires }
+  }
+
+  /**
+   * Refuse to start when encryption is on without a master key, or when the
+   * database holds data keys that no configured master key opens.
+   */
+  async initialize() {
+    if (this.enabled && !this.master) {
+      throw new EncryptionError('no_master_key',
+        `MEMORY_ENCRYPTION is ${this.scope} but neither MEMORY_MASTER_KEY nor MEMORY_MASTER_KEY_FILE is set`);
+    }
+    const rows = await this.storage.all('SELECT DISTINCT master_key_id FROM encryption_keys');
+    const unknown = rows.map(row => row.master_key_id).filter(id => !this.masterKeys.some(master => master.id === id));
+    if (unknown.length > 0) {
+      throw new EncryptionError('no_master_key',
+        `Encrypted memories need master key ${unknown.join(', ')}; set it as MEMORY_MASTER_KEY or MEMORY_MASTER_KEY_PREVIOUS`);
+    }
+    if (this.enabled) {
+      const projects = this.projects.length > 0 ? ` (projects: ${this.projects.join(', ')})` : '';
+      console.log(`🔐 Memory encryption per ${this.scope}${projects}, ${this.searchIndex} search index`);
+    }
+  }
+
+  /** Whether new writes for this project are sealed. */
+  encrypts(projectId) {
+    return this.enabled && (this.projects.length === 0 || this.projects.includes(projectId));
+  }
+
+  // The data key scope of a project's rows
+  keyScope(projectId) {
+    return this.scope === 'project' && projectId ? `project:${projectId}` : `tenant:${this.tenantId}`;
+  }
+
+  /**
+   * A copy of `row` with the sealed fields of `table` encrypted, or `row`
+   * itself when the table has none, its project is not encrypted or it is
+   * of one of PLAIN_TYPES.
+   * @param {string} table - a SEALED_FIELDS table
+   * @param {Object} row - must carry project_id
+   * @param {StorageAdapter} [tx]
+   */
+  async sealRow(table, row, tx = this.storage) {
+    const fields = SEALED_FIELDS[table];
+    if (!fields || !row || !this.encrypts(row.project_id) || PLAIN_TYPES.includes(row.type)) return row;
+
+    const key = await this.activeKey(this.keyScope(row.project_id), tx);
+    const sealed = { ...row };
+    for (const field of fields.text) sealed[field] = this.sealText(row[field], key);
+    for (const field of fields.json) sealed[field] = this.sealJson(row[field], key);
+    return sealed;
+  }
+
+  sealText(value, key) {
+    if (value === null || value === undefined || isSealed(value)) return value;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key.material, iv);
+    cipher.setAAD(Buffer.from(key.id));
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return `${SEALED_PREFIX}${key.id}:${Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')}`;
+  }
+
+  // JSON text stays JSON text and objects stay objects (JSONB columns)
+  sealJson(value, key) {
+    if (value === null || value === undefined) return value;
+    if (typeof value !== 'string') return this.sealParsed(value, key);
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      return this.sealText(value, key);
+    }
+    return JSON.stringify(this.sealParsed(parsed, key));
+  }
+
+  sealParsed(value, key) {
+    if (!isPlainObject(value)) {
+      return { [SEALED_WHOLE]: this.sealText(JSON.stringify(value), key) };
+    }
+    if (SEALED_KEY in value || SEALED_WHOLE in value) return value;
+
+    const plain = {};
+    const rest = {};
+    for (const [name, field] of Object.entries(value)) {
+      (this.plainKeys.has(name) ? plain : rest)[name] = field;
+    }
+    if (Object.keys(rest).length === 0) return value;
+    return { ...plain, [SEALED_KEY]: this.sealText(JSON.stringify(rest), key) };
+  }
+
+  /**
+   * Decrypt, in place, every sealed value in query results - whole columns,
+   * JSON columns and JSON copies of rows (memory_revisions.data).
+   * @param {Object[]} rows
+   * @param {StorageAdapter} [tx] - the adapter that ran the query
+   */
+  async openRows(rows, tx = this.storage) {
+    for (const row of rows) {
+      for (const [column, value] of Object.entries(row)) {
+        if (maySeal(value)) row[column] = await this.openValue(value, tx);
+      }
+    }
+    return rows;
+  }
+
+  async openValue(value, tx) {
+    if (typeof value === 'string') {
+      const match = SEALED_VALUE.exec(value);
+      if (match) return await this.decrypt(match[1], match[2], tx);
+      if (!value.includes(SEALED_PREFIX) || !/^\s*[[{]/.test(value)) return value;
+      let parsed;
+      try {
+        parsed = JSON.parse(value);
+      } catch {
+        return value;
+      }
+      return JSON.stringify(await this.openValue(parsed, tx));
+    }
+    if (Array.isArray(value)) {
+      const opened = [];
+      for (const item of value) opened.push(await this.openValue(item, tx));
+      return opened;
+    }
+    if (!isPlainObject(value)) return value;
+    if (typeof value[SEALED_WHOLE] === 'string') {
+      return JSON.parse(await this.openValue(value[SEALED_WHOLE], tx));
+    }
+
+    const opened = {};
+    for (const [name, field] of Object.entries(value)) {
+      if (name !== SEALED_KEY) opened[name] = await this.openValue(field, tx);
+    }
+    if (typeof value[SEALED_KEY] === 'string') {
+      Object.assign(opened, JSON.parse(await this.openValue(value[SEALED_KEY], tx)));
+    }
+    return opened;
+  }
+
+  async decrypt(keyId, payload, tx) {
+    const material = await this.keyMaterial(keyId, tx);
+    const data = Buffer.from(payload, 'base64');
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', material, data.subarray(0, 12));
+      decipher.setAAD(Buffer.from(keyId));
+      decipher.setAuthTag(data.subarray(12, 28));
+      return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+    } catch {
+      throw new EncryptionError('unreadable', `A value sealed with data key ${keyId} failed authentication`);
+    }
+  }
+
+  async keyMaterial(id, tx = this.storage) {
+    if (!this.keys.has(id)) {
+      const row = await tx.get('SELECT * FROM encryption_keys WHERE id = ?', [id]);
+      if (!row) throw new EncryptionError('unreadable', `Data key ${id} does not exist`);
+      this.unwrap(row);
+    }
+    return this.keys.get(id);
+  }
+
+  unwrap(row) {
+    if (!this.keys.has(row.id)) {
+      const master = this.masterKeys.find(candidate => candidate.id === row.master_key_id);
+      if (!master) {
+        throw new EncryptionError('no_master_key', `Data key ${row.id} is wrapped by master key ${row.master_key_id}, which is not configured`);
+      }
+      this.keys.set(row.id, unwrapKey(master.key, row.id, row.wrapped_key));
+    }
+    return this.keys.get(row.id);
+  }
+
+  /**
+   * The active data key of a scope, created on first use.
+   * Only keys read outside a transaction are cached: one created inside may
+   * still be rolled back.
+   * @returns {Promise<{id: string, material: Buffer}>}
+   */
+  async activeKey(scope, tx = this.storage) {
+    const cached = this.active.get(scope);
+    if (cached && cached.expires > Date.now()) return cached.key;
+
+    const row = await activeKeyRow(tx, scope) || await this.createKey(scope, tx);
+    const key = { id: row.id, material: this.unwrap(row) };
+    if (!tx.connection) {
+      this.active.set(scope, { key, expires: Date.now() + ACTIVE_KEY_TTL });
+    }
+    return key;
+  }
+
+  // The next version of a scope's key; a concurrent writer may win the version
+  async createKey(scope, tx) {
+    if (!this.master) throw new EncryptionError('no_master_key', 'No master key is configured');
+    const last = await tx.get('SELECT MAX(version) AS version FROM encryption_keys WHERE scope = ?', [scope]);
+    const id = uuidv4();
+    const material = crypto.randomBytes(32);
+    await tx.run(`
+      INSERT INTO encryption_keys (id, scope, version, wrapped_key, master_key_id, status, created_at)
+      VALUES (?, ?, ?, ?, ?, 'active', ?)
+      ON CONFLICT (scope, version) DO NOTHING
+    `, [id, scope, Number(last?.version || 0) + 1, wrapKey(this.master.key, id, material), this.master.id, new Date().toISOString()]);
+    return await activeKeyRow(tx, scope);
+  }
+
+  /**
+   * Retire the active data key of the tenant, or of a project when keys are
+   * per project, and make the next version active. Rows sealed with the old
+   * version stay readable; reseal() moves them over.
+   * @param {Object} [options]
+   * @param {string} [options.projectId] - required when keys are per project
+   * @returns {Promise<Object>} the new key, without key material
+   */
+  async rotate({ projectId = null } = {}) {
+    this.assertEnabled();
+    if (this.scope === 'project' && !projectId) {
+      throw new EncryptionError('invalid', 'project_id is required when keys are per project');
+    }
+    if (projectId && !this.encrypts(projectId)) {
+      throw new EncryptionError('invalid', `Project ${projectId} is not encrypted`);
+    }
+    const scope = this.keyScope(projectId);
+    const key = await this.storage.transaction(async (tx) => {
+      await tx.run(
+        `UPDATE encryption_keys SET status = 'retired', retired_at = ? WHERE scope = ? AND status = 'active'`,
+        [new Date().toISOString(), scope]
+      );
+      return await this.createKey(scope, tx);
+    });
+    this.active.delete(scope);
+    return formatKey(key);
+  }
+
+  /**
+   * Wrap every data key with the current master key. Run after moving the
+   * old master key to MEMORY_MASTER_KEY_PREVIOUS; once done it can be dropped.
+   * @returns {Promise<number>} how many keys were rewrapped
+   */
+  async rewrap() {
+    if (!this.master) throw new EncryptionError('no_master_key', 'No master key is configured');
+    return await this.storage.transaction(async (tx) => {
+      const rows = await tx.all('SELECT * FROM encryption_keys WHERE master_key_id <> ?', [this.master.id]);
+      for (const row of rows) {
+        await tx.run(
+          'UPDATE encryption_keys SET wrapped_key = ?, master_key_id = ? WHERE id = ?',
+          [wrapKey(this.master.key, row.id, this.unwrap(row)), this.master.id, row.id]
+        );
+      }
+      return rows.length;
+    });
+  }
+
+  /**
+   * Rewrite stored memory text as the current settings would write it: sealed
+   * with the active keys, or in plaintext for projects no longer encrypted.
+   * Rebuilds search tokens on the way. Runs in batches, one transaction each.
+   * @param {Object} [options]
+   * @param {string} [options.projectId] - only this project's rows
+   * @returns {Promise<Object>} rows rewritten per table, revisions included
+   */
+  async reseal({ projectId = null } = {}) {
+    if (!this.master) throw new EncryptionError('no_master_key', 'No master key is configured');
+    const counts = {};
+
+    for (const [table, fields] of Object.entries(SEALED_FIELDS)) {
+      const columns = [...fields.text, ...fields.json];
+      counts[table] = await this.resealBatches(table, { projectId }, async (tx, row) => {
+        if (fields.jsonb && tx.isPostgres) {
+          // Read back parsed; written as JSON text like storeConstellationMemory() does
+          for (const field of fields.json) {
+            if (row[field] !== null && row[field] !== undefined) row[field] = JSON.stringify(row[field]);
+          }
+        }
+        const sealed = await this.sealRow(table, row, tx);
+        await tx.run(
+          `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...columns.map(column => sealed[column]), row.id]
+        );
+        if (SEARCHED_FIELDS[table]) {
+          await this.indexRecord(table, row.id, SEARCHED_FIELDS[table].map(field => row[field]), tx);
+        }
+      });
+    }
+
+    counts.memory_revisions = 0;
+    for (const table of ['conversations', 'memories', 'scri_constellation_memory']) {
+      counts.memory_revisions += await this.resealBatches('memory_revisions', { projectId, recordTable: table }, async (tx, revision) => {
+        if (!revision.data) return;
+        const row = JSON.parse(revision.data);
+        const sealed = await this.sealRow(table, row, tx);
+        await tx.run(
+          'UPDATE memory_revisions SET data = ? WHERE record_table = ? AND record_id = ? AND revision = ?',
+          [JSON.stringify(sealed), table, revision.record_id, revision.revision]
+        );
+      });
+    }
+
+    if (!this.enabled && !projectId) {
+      await this.storage.run('DELETE FROM search_tokens');
+    }
+    return counts;
+  }
+
+  // Keyset walk over a table (or one record_table of memory_revisions)
+  async resealBatches(table, { projectId, recordTable = null }, rewrite) {
+    const revisions = table === 'memory_revisions';
+    let after = revisions ? { record_id: '', revision: -1 } : { id: '' };
+    let total = 0;
+
+    for (;;) {
+      const done = await this.storage.transaction(async (tx) => {
+        const where = revisions
+          ? ['record_table = ?', '(record_id > ? OR (record_id = ? AND revision > ?))']
+          : ['id > ?'];
+        const params = revisions ? [recordTable, after.record_id, after.record_id, after.revision] : [after.id];
+        if (projectId) {
+          where.push('project_id = ?');
+          params.push(projectId);
+        }
+        const rows = await tx.all(`
+          SELECT * FROM ${table} WHERE ${where.join(' AND ')}
+          ORDER BY ${revisions ? 'record_id, revision' : 'id'}
+          LIMIT ?
+        `, [...params, RESEAL_BATCH]);
+
+        for (const row of rows) await rewrite(tx, row);
+        total += rows.length;
+        if (rows.length > 0) after = rows[rows.length - 1];
+        return rows.length < RESEAL_BATCH;
+      });
+      if (done) return total;
+    }
+  }
+
+  /**
+   * Replace a record's search tokens. Only while encryption is on: the
+   * full-text index serves search otherwise.
+   * @param {string} table - 'conversations' or 'memories'
+   * @param {string} id
+   * @param {Array<string|Object>} texts - plaintext fields; objects are indexed as JSON
+   * @param {StorageAdapter} [tx]
+   */
+  async indexRecord(table, id, texts, tx = this.storage) {
+    if (!this.enabled) return;
+    const key = await this.searchKey(tx);
+    const strings = texts.map(text => (text && typeof text === 'object' ? JSON.stringify(text) : text));
+    await writeTokens(tx, table, id, tokensFor(strings, { mode: this.searchIndex, key }));
+  }
+
+  /**
+   * The search token condition for a parsed query; see tokenCondition().
+   * @returns {Promise<{clause: string, params: *[]}|null>}
+   */
+  async searchCondition(table, ast, alias) {
+    return tokenCondition(ast, { table, alias, mode: this.searchIndex, key: await this.searchKey() });
+  }
+
+  async searchKey(tx = this.storage) {
+    return this.searchIndex === 'blind' ? (await this.activeKey(SEARCH_SCOPE, tx)).material : null;
+  }
+
+  /** Settings and data keys, without key material. */
+  async status() {
+    const keys = await this.storage.all(`
+      SELECT id, scope, version, master_key_id, status, created_at, retired_at
+      FROM encryption_keys ORDER BY scope, version
+    `);
+    return {
+      enabled: this.enabled,
+      scope: this.scope,
+      tenants: this.tenants,
+      projects: this.projects,
+      search_index: this.searchIndex,
+      master_key_id: this.master ? this.master.id : null,
+      previous_master_key_ids: this.masterKeys.slice(1).map(master => master.id),
+      keys: keys.map(formatKey)
+    };
+  }
+
+  assertEnabled() {
+    if (!this.enabled) {
+      throw new EncryptionError('disabled', 'Memory encryption is off for this tenant (MEMORY_ENCRYPTION)');
+    }
+  }
+}
+
+async function activeKeyRow(tx, scope) {
+  return await tx.get(
+    `SELECT * FROM encryption_keys WHERE scope = ? AND status = 'active' ORDER BY version DESC LIMIT 1`,
+    [scope]
+  );
+}
+
+function wrapKey(masterKey, id, material) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+  cipher.setAAD(Buffer.from(id));
+  const wrapped = Buffer.concat([cipher.update(material), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64');
+}
+
+function unwrapKey(masterKey, id, wrapped) {
+  const data = Buffer.from(wrapped, 'base64');
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, data.subarray(0, 12));
+    decipher.setAAD(Buffer.from(id));
+    decipher.setAuthTag(data.subarray(12, 28));
+    return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+  } catch {
+    throw new EncryptionError('unreadable', `Data key ${id} does not open with its master key`);
+  }
+}
+
+function resolveMasterKey(options) {
+  const value = options.masterKey || process.env.MEMORY_MASTER_KEY;
+  if (value) return parseMasterKey(value);
+  const file = options.masterKeyFile || process.env.MEMORY_MASTER_KEY_FILE;
+  return file ? parseMasterKey(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// 64 hex characters or base64 of 32 bytes; the id is a hash, never the key
+function parseMasterKey(value) {
+  const text = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) {
+    throw new EncryptionError('invalid', 'A master key must be 32 bytes, as 64 hex characters or base64');
+  }
+  return { id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 16), key };
+}
+
+function listOption(value, fallback) {
+  if (Array.isArray(value)) return value;
+  return String(value || fallback || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function isSealed(value) {
+  return typeof value === 'string' && SEALED_VALUE.test(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !Buffer.isBuffer(value);
+}
+
+// Cheap check before walking a column value
+function maySeal(value) {
+  if (typeof value === 'string') return value.includes(SEALED_PREFIX);
+  return (Array.isArray(value) || isPlainObject(value)) && JSON.stringify(value).includes(SEALED_PREFIX);
+}
+
+function formatKey({ wrapped_key, tenant_id, ...key }) {
+  return { ...key, version: Number(key.version) };
+}
+
+module.exports = FieldEncryption;
+module.exports.EncryptionError = EncryptionError;
+module.exports.SCOPES = SCOPES;
+module.exports.SEALED_FIELDS = SEALED_FIELDS;
+module.exports.PLAIN_CONTEXT_KEYS = PLAIN_CONTEXT_KEYS;
+module.exports.isSealed = isSealed;
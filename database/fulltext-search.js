@@ -0,0 +1,522 @@
+// Full-Text Search - Indexed, ranked search over conversations.message and context
+// SQLite uses an external-content FTS5 table; PostgreSQL uses a generated tsvector column
+// With field encryption on, both only see ciphertext: search goes through
+// search tokens instead (database/search-tokens.js)
+
+const StorageAdapter = require('./storage-adapter');
+const { MAX_CANDIDATES } = require('./search-tokens');
+
+const DEFAULT_HIGHLIGHT = { start: '<mark>', end: '</mark>' };
+
+class FullTextSearch {
+  constructor(database) {
+    this.storage = StorageAdapter.from(database);
+    this.language = process.env.FULLTEXT_LANGUAGE || 'english';
+  }
+
+  // The index itself is created by database/migrations/005-conversation-fulltext.js
+  async initialize() {
+    if (this.storage.isPostgres) return;
+
+    // Per-connection setting: INSERT OR REPLACE deletes the old row, and its
+    // delete trigger must fire too or the FTS index keeps a stale entry
+    await this.storage.run('PRAGMA recursive_triggers = ON');
+  }
+
+  // Re-index every conversation (SQLite only - the Postgres column is generated)
+  async rebuild() {
+    if (this.storage.isPostgres) return;
+    await this.storage.run(`INSERT INTO conversations_fts(conversations_fts) VALUES ('rebuild')`);
+  }
+
+  /**
+   * Ranked full-text search.
+   *
+   * Query syntax: words are ANDed, `"exact phrase"`, `prefix*`, `OR`, `AND`,
+   * `NOT` / `-term`, and parentheses for grouping.
+   *
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {string} [options.projectId]
+   * @param {string} [options.platform]
+   * @param {string[]} [options.platforms] - restrict to these platforms
+   * @param {string[]} [options.excludePlatforms]
+   * @param {string[]} [options.types]
+   * @param {number} [options.limit]
+   * @param {number} [options.offset]
+   * @param {{start: string, end: string}} [options.highlight] - snippet markers
+   * @returns {Promise<Array<Object>>} - conversation rows with `score` and `snippet`
+   */
+  async search(query, options = {}) {
+    const ast = parseSearchQuery(query);
+    if (!ast) return [];
+
+    const {
+      projectId,
+      platform,
+      platforms = [],
+      excludePlatforms = [],
+      types = [],
+      limit = 50,
+      offset = 0,
+      highlight = DEFAULT_HIGHLIGHT
+    } = options;
+
+    const encryption = this.storage.encryption;
+    if (encryption && encryption.enabled) {
+      return await this.searchSealed(query, ast, options, encryption);
+    }
+
+    if (this.storage.isPostgres) {
+      const tsQuery = toTsQuery(ast);
+      if (!tsQuery) return [];
+
+      const params = [highlight.start, highlight.end, tsQuery];
+      let sql = `
+        SELECT c.id, c.platform, c.project_id, c.message, c.context, c.timestamp, c.type,
+          ts_rank_cd(c.search_vector, q) AS score,
+          ts_headline('${this.language}', c.message, q,
+            'StartSel=' || ? || ', StopSel=' || ? || ', MaxFragments=2, MaxWords=24, MinWords=8') AS snippet
+        FROM conversations c, to_tsquery('${this.language}', ?) q
+        WHERE c.search_vector @@ q
+      `;
+
+      if (projectId) {
+        sql += ' AND c.project_id = ?';
+        params.push(projectId);
+      }
+      if (platform) {
+        sql += ' AND c.platform = ?';
+        params.push(platform);
+      }
+      if (platforms.length > 0) {
+        sql += ' AND c.platform = ANY(?)';
+        params.push(platforms);
+      }
+      if (excludePlatforms.length > 0) {
+        sql += ' AND NOT (c.platform = ANY(?))';
+        params.push(excludePlatforms);
+      }
+      if (types.length > 0) {
+        sql += ' AND c.type = ANY(?)';
+        params.push(types);
+      }
+
+      sql += ' ORDER BY score DESC, c.timestamp DESC LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+
+      const rows = await this.storage.all(sql, params);
+      return rows.map(row => ({ ...row, score: roundScore(parseFloat(row.score)) }));
+    }
+
+    const ftsQuery = toFts5Query(ast);
+    if (!ftsQuery) return [];
+
+    // Message hits weigh ten times more than hits inside the JSON context
+    const params = [highlight.start, highlight.end, ftsQuery];
+    let sql = `
+      SELECT c.id, c.platform, c.project_id, c.message, c.context, c.timestamp, c.type,
+        bm25(conversations_fts, 10.0, 1.0) AS rank,
+        snippet(conversations_fts, 0, ?, ?, '…', 24) AS snippet
+      FROM conversations_fts
+      JOIN conversations c ON c.rowid = conversations_fts.rowid
+      WHERE conversations_fts MATCH ?
+    `;
+
+    if (projectId) {
+      sql += ' AND c.project_id = ?';
+      params.push(projectId);
+    }
+    if (platform) {
+      sql += ' AND c.platform = ?';
+      params.push(platform);
+    }
+    if (platforms.length > 0) {
+      sql += ` AND c.platform IN (${platforms.map(() => '?').join(', ')})`;
+      params.push(...platforms);
+    }
+    if (excludePlatforms.length > 0) {
+      sql += ` AND c.platform NOT IN (${excludePlatforms.map(() => '?').join(', ')})`;
+      params.push(...excludePlatforms);
+    }
+    if (types.length > 0) {
+      sql += ` AND c.type IN (${types.map(() => '?').join(', ')})`;
+      params.push(...types);
+    }
+
+    sql += ' ORDER BY rank, c.timestamp DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const rows = await this.storage.all(sql, params);
+    return rows.map(({ rank, ...row }) => ({ ...row, score: roundScore(-rank) }));
+  }
+
+  // Candidates by search token, newest first, decrypted and matched by searchRows()
+  async searchSealed(query, ast, options, encryption) {
+    const { projectId, platform, platforms = [], excludePlatforms = [], types = [] } = options;
+    const where = [];
+    const params = [];
+    const condition = await encryption.searchCondition('conversations', ast, 'c');
+    if (condition) {
+      where.push(condition.clause);
+      params.push(...condition.params);
+    }
+    for (const [column, value] of [['project_id', projectId], ['platform', platform]]) {
+      if (value) {
+        where.push(`c.${column} = ?`);
+        params.push(value);
+      }
+    }
+    for (const [column, values, negate] of [['platform', platforms, false], ['platform', excludePlatforms, true], ['type', types, false]]) {
+      if (values.length > 0) {
+        where.push(`c.${column} ${negate ? 'NOT IN' : 'IN'} (${values.map(() => '?').join(', ')})`);
+        params.push(...values);
+      }
+    }
+
+    const rows = await this.storage.all(`
+      SELECT c.id, c.platform, c.project_id, c.message, c.context, c.timestamp, c.type
+      FROM conversations c
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY c.timestamp DESC
+      LIMIT ?
+    `, [...params, MAX_CANDIDATES]);
+    return this.searchRows(query, rows, options);
+  }
+
+  /**
+   * The same query language and options as search(), evaluated in JS over
+   * rows that are not in the index - e.g. a point-in-time snapshot from
+   * RevisionStore. Words match whole or by prefix, without stemming; the
+   * score counts hits, a message hit weighing ten times a context hit.
+   * @param {string} query
+   * @param {Object[]} rows - conversation rows
+   * @param {Object} [options] - as for search()
+   */
+  searchRows(query, rows, options = {}) {
+    const ast = parseSearchQuery(query);
+    if (!toFts5Query(ast)) return [];
+
+    const {
+      projectId,
+      platform,
+      platforms = [],
+      excludePlatforms = [],
+      types = [],
+      limit = 50,
+      offset = 0,
+      highlight = DEFAULT_HIGHLIGHT
+    } = options;
+
+    const results = [];
+    for (const row of rows) {
+      if (projectId && row.project_id !== projectId) continue;
+      if (platform && row.platform !== platform) continue;
+      if (platforms.length > 0 && !platforms.includes(row.platform)) continue;
+      if (excludePlatforms.includes(row.platform)) continue;
+      if (types.length > 0 && !types.includes(row.type)) continue;
+
+      const context = typeof row.context === 'string' ? row.context : JSON.stringify(row.context || {});
+      const match = matchText(ast, row.message, context, highlight);
+      if (!match) continue;
+
+      const { id, platform: rowPlatform, project_id, timestamp, type } = row;
+      results.push({
+        id,
+        platform: rowPlatform,
+        project_id,
+        message: row.message,
+        context: row.context,
+        timestamp,
+        type,
+        ...match
+      });
+    }
+
+    results.sort((a, b) => b.score - a.score || new Date(b.timestamp) - new Date(a.timestamp));
+    return results.slice(offset, offset + limit);
+  }
+}
+
+// === QUERY PARSING ===
+// User input is parsed into a small AST and re-rendered for each engine, so
+// arbitrary text can never produce an FTS5 or tsquery syntax error.
+
+const TOKEN_PATTERN = /"([^"]*)"?|\(|\)|(-?)([\p{L}\p{N}_]+)(\*?)/gu;
+
+function tokenizeQuery(query) {
+  const tokens = [];
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(String(query || ''))) !== null) {
+    const [raw, phrase, negation, word, star] = match;
+
+    if (phrase !== undefined) {
+      const words = phrase.match(/[\p{L}\p{N}_]+/gu) || [];
+      if (words.length > 0) tokens.push({ type: 'phrase', words: words.map(w => w.toLowerCase()) });
+    } else if (raw === '(' || raw === ')') {
+      tokens.push({ type: raw });
+    } else if (!negation && ['AND', 'OR', 'NOT'].includes(word)) {
+      tokens.push({ type: word });
+    } else {
+      if (negation) tokens.push({ type: 'NOT' });
+      tokens.push({ type: 'term', value: word.toLowerCase(), prefix: star === '*' });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a user search string into an AST of term/phrase/and/or/not nodes.
+ * Returns null when the query has no searchable terms.
+ */
+function parseSearchQuery(query) {
+  const tokens = tokenizeQuery(query);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return simplify('or', children);
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        pos++;
+        continue;
+      }
+      children.push(parseUnary());
+    }
+    return simplify('and', children);
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token.type === 'NOT') {
+      pos++;
+      if (!peek() || ['OR', ')'].includes(peek().type)) return null;
+      const child = parseUnary();
+      return child ? { type: 'not', child } : null;
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (peek() && peek().type === ')') pos++;
+      return inner;
+    }
+    if (token.type === 'term' || token.type === 'phrase') {
+      return token;
+    }
+    // Stray ')' - skip it
+    return null;
+  }
+
+  const ast = [];
+  while (pos < tokens.length) {
+    const node = parseOr();
+    if (node) ast.push(node);
+    // A closing paren at top level has no opener; drop it and keep going
+    if (peek() && peek().type === ')') pos++;
+  }
+
+  return simplify('and', ast);
+}
+
+function simplify(type, children) {
+  const kept = children.filter(Boolean);
+  if (kept.length === 0) return null;
+  if (kept.length === 1) return kept[0];
+  return { type, children: kept };
+}
+
+/**
+ * Render an AST as an SQLite FTS5 MATCH expression.
+ * FTS5 NOT is binary, so negations attach to the positive part of an AND.
+ */
+function toFts5Query(node) {
+  if (!node) return null;
+
+  switch (node.type) {
+    case 'term':
+      return `"${node.value}"${node.prefix ? '*' : ''}`;
+    case 'phrase':
+      return `"${node.words.join(' ')}"`;
+    case 'not':
+      // A bare negation matches nothing on its own
+      return null;
+    case 'or': {
+      const parts = node.children.map(toFts5Query).filter(Boolean);
+      return parts.length > 0 ? `(${parts.join(' OR ')})` : null;
+    }
+    case 'and': {
+      const positives = node.children.filter(c => c.type !== 'not').map(toFts5Query).filter(Boolean);
+      const negatives = node.children.filter(c => c.type === 'not').map(c => toFts5Query(c.child)).filter(Boolean);
+      if (positives.length === 0) return null;
+      let expr = `(${positives.join(' AND ')})`;
+      for (const negative of negatives) {
+        expr = `${expr} NOT ${negative}`;
+      }
+      return expr;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Render an AST as a PostgreSQL to_tsquery() expression.
+ */
+function toTsQuery(node) {
+  if (!node) return null;
+
+  switch (node.type) {
+    case 'term':
+      return `'${node.value}'${node.prefix ? ':*' : ''}`;
+    case 'phrase':
+      return `(${node.words.map(w => `'${w}'`).join(' <-> ')})`;
+    case 'not':
+      return null;
+    case 'or': {
+      const parts = node.children.map(toTsQuery).filter(Boolean);
+      return parts.length > 0 ? `(${parts.join(' | ')})` : null;
+    }
+    case 'and': {
+      const positives = node.children.filter(c => c.type !== 'not').map(toTsQuery).filter(Boolean);
+      const negatives = node.children.filter(c => c.type === 'not').map(c => toTsQuery(c.child)).filter(Boolean);
+      if (positives.length === 0) return null;
+      return `(${[...positives, ...negatives.map(n => `!${n}`)].join(' & ')})`;
+    }
+    default:
+      return null;
+  }
+}
+
+// === IN-PROCESS MATCHING (searchRows) ===
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+const SNIPPET_WORDS = 24;
+
+function wordsOf(text) {
+  return (String(text || '').match(WORD_PATTERN) || []).map(word => word.toLowerCase());
+}
+
+function termMatches(node, word) {
+  return node.prefix ? word.startsWith(node.value) : word === node.value;
+}
+
+// Occurrences of a term or phrase in one field's words
+function countHits(node, words) {
+  if (node.type === 'term') {
+    return words.filter(word => termMatches(node, word)).length;
+  }
+  let hits = 0;
+  for (let i = 0; i + node.words.length <= words.length; i++) {
+    if (node.words.every((word, j) => words[i + j] === word)) hits++;
+  }
+  return hits;
+}
+
+// Mirrors toFts5Query: a negation only narrows the positive part of an AND
+function matchesNode(node, fields) {
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+      return fields.some(words => countHits(node, words) > 0);
+    case 'not':
+      return !matchesNode(node.child, fields);
+    case 'or':
+      return node.children.some(child => child.type !== 'not' && matchesNode(child, fields));
+    case 'and':
+      return node.children.some(child => child.type !== 'not') &&
+        node.children.every(child => matchesNode(child, fields));
+    default:
+      return false;
+  }
+}
+
+function countPositiveHits(node, words) {
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+      return countHits(node, words);
+    case 'not':
+      return 0;
+    default:
+      return node.children.reduce((sum, child) => sum + countPositiveHits(child, words), 0);
+  }
+}
+
+/**
+ * Match a parsed query against a record's main text and a secondary text
+ * (context, metadata). A hit in the main text weighs ten times more.
+ * @param {Object} ast - from parseSearchQuery()
+ * @param {string} text
+ * @param {string} secondary
+ * @param {{start: string, end: string}} [highlight]
+ * @returns {{score: number, snippet: string}|null} null when it does not match
+ */
+function matchText(ast, text, secondary, highlight = DEFAULT_HIGHLIGHT) {
+  const words = wordsOf(text);
+  const secondaryWords = wordsOf(secondary);
+  if (!matchesNode(ast, [words, secondaryWords])) return null;
+
+  return {
+    score: roundScore(countPositiveHits(ast, words) * 10 + countPositiveHits(ast, secondaryWords)),
+    snippet: snippetOf(text, ast, highlight)
+  };
+}
+
+function positiveLeaves(node) {
+  if (node.type === 'term' || node.type === 'phrase') return [node];
+  if (node.type === 'not') return [];
+  return node.children.flatMap(positiveLeaves);
+}
+
+// Up to SNIPPET_WORDS words of the message around the first hit, hits marked
+function snippetOf(message, ast, highlight) {
+  const text = String(message || '');
+  const leaves = positiveLeaves(ast);
+  const isHit = word => leaves.some(leaf =>
+    leaf.type === 'term' ? termMatches(leaf, word) : leaf.words.includes(word));
+
+  const words = [...text.matchAll(WORD_PATTERN)];
+  const first = Math.max(0, words.findIndex(match => isHit(match[0].toLowerCase())));
+  const start = Math.max(0, first - 4);
+  const window = words.slice(start, start + SNIPPET_WORDS);
+  if (window.length === 0) return text;
+
+  const from = window[0].index;
+  const last = window[window.length - 1];
+  const to = start + SNIPPET_WORDS >= words.length ? text.length : last.index + last[0].length;
+  const marked = text.slice(from, to).replace(WORD_PATTERN, word =>
+    isHit(word.toLowerCase()) ? `${highlight.start}${word}${highlight.end}` : word);
+
+  return `${start > 0 ? '…' : ''}${marked}${to < text.length ? '…' : ''}`;
+}
+
+// Significant digits rather than fixed decimals: bm25 scores on small
+// corpora can be tiny (FTS5 floors IDF near zero) but still need to order
+function roundScore(score) {
+  return Number(score.toPrecision(6));
+}
+
+module.exports = FullTextSearch;
+module.exports.parseSearchQuery = parseSearchQuery;
+module.exports.toFts5Query = toFts5Query;
+module.exports.toTsQuery = toTsQuery;
+module.exports.matchText = matchText;
+module.exports.roundScore = roundScore;
+module.exports.DEFAULT_HIGHLIGHT = DEFAULT_HIGHLIGHT;
@@ -0,0 +1,336 @@
+// Graph Store - Knowledge graph of memories, entities, projects and files
+// Nodes are not stored: a node is a (type, id) pair naming a memory (any
+// memory record id), an entity (its name), a project (its id), a file (its
+// path) or a collective decision (its id). Edges are typed and directed, one per source/target/relationship.
+// Memories are linked to the projects and entities they mention as they are
+// written (see MemoryStore); those edges are created_by MENTION_LINKER.
+// Table comes from database/migrations/013-knowledge-graph.js
+
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./storage-adapter');
+
+const NODE_TYPES = ['memory', 'entity', 'project', 'file', 'decision'];
+const EDGE_TYPES = ['refers_to', 'contradicts', 'supersedes', 'derived_from', 'decided_in'];
+const DIRECTIONS = ['out', 'in', 'both'];
+const MENTION_LINKER = 'mentions';
+const MAX_DEPTH = 4;
+const MAX_NODES = 500;
+const FRONTIER_CHUNK = 100; // Nodes per edge query while traversing
+const MIN_MENTION_LENGTH = 3;
+
+// Bad input: the route layer answers it with a 400
+class GraphError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'GraphError';
+    this.code = code; // 'invalid'
+  }
+}
+
+class GraphStore {
+  constructor(database) {
+    this.storage = StorageAdapter.from(database);
+  }
+
+  /**
+   * Link two nodes, or update the strength and metadata of an existing link
+   * with the same relationship.
+   * @param {Object} edge
+   * @param {{ type: string, id: string }} edge.source
+   * @param {{ type: string, id: string }} edge.target
+   * @param {string} edge.relationship - one of EDGE_TYPES
+   * @param {number} [edge.strength=0.5] - 0 to 1
+   * @param {Object} [edge.metadata]
+   * @param {string} [edge.createdBy]
+   * @param {StorageAdapter} [tx]
+   * @returns {Promise<Object>} the stored edge
+   * @throws {GraphError} 'invalid' for a node or edge it cannot store
+   */
+  async link({ source, target, relationship, strength = 0.5, metadata = {}, createdBy = null }, tx = this.storage) {
+    assertNode(source, 'source');
+    assertNode(target, 'target');
+    if (!EDGE_TYPES.includes(relationship)) {
+      throw new GraphError('invalid', `relationship must be one of: ${EDGE_TYPES.join(', ')}`);
+    }
+    if (typeof strength !== 'number' || strength < 0 || strength > 1) {
+      throw new GraphError('invalid', 'strength must be a number between 0 and 1');
+    }
+    if (source.type === target.type && source.id === target.id) {
+      throw new GraphError('invalid', 'A node cannot be linked to itself');
+    }
+
+    const key = [source.type, source.id, target.type, target.id, relationship];
+    await tx.upsert('graph_edges', {
+      id: uuidv4(),
+      source_type: source.type,
+      source_id: source.id,
+      target_type: target.type,
+      target_id: target.id,
+      relationship,
+      strength,
+      metadata: JSON.stringify(metadata || {}),
+      created_by: createdBy,
+      created_at: new Date().toISOString()
+    }, ['source_type', 'source_id', 'target_type', 'target_id', 'relationship'], { update: ['strength', 'metadata'] });
+
+    return formatEdge(await tx.get(`
+      SELECT * FROM graph_edges
+      WHERE source_type = ? AND source_id = ? AND target_type = ? AND target_id = ? AND relationship = ?
+    `, key));
+  }
+
+  async getEdge(id) {
+    const row = await this.storage.get('SELECT * FROM graph_edges WHERE id = ?', [id]);
+    return row ? formatEdge(row) : null;
+  }
+
+  /** @returns {Promise<boolean>} false when there was no such edge */
+  async unlink(id) {
+    const result = await this.storage.run('DELETE FROM graph_edges WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  /** Drop every edge touching a node, e.g. when the memory is deleted. */
+  async removeNode(type, id, tx = this.storage) {
+    await tx.run(`
+      DELETE FROM graph_edges
+      WHERE (source_type = ? AND source_id = ?) OR (target_type = ? AND target_id = ?)
+    `, [type, id, type, id]);
+  }
+
+  /**
+   * Edges touching a node, each with the node at its other end.
+   * @param {{ type: string, id: string }} node
+   * @param {Object} [options]
+   * @param {string[]} [options.relationships] - only these edge types
+   * @param {string} [options.direction='both'] - 'out', 'in' or 'both'
+   * @param {number} [options.limit=100]
+   * @returns {Promise<Array<{ edge: Object, node: Object, direction: string }>>}
+   */
+  async neighbors(node, { relationships = [], direction = 'both', limit = 100 } = {}) {
+    assertNode(node, 'node');
+    const edges = await this.edgesOf([node], { relationships, direction, limit });
+    return edges.map(edge => {
+      const outgoing = edge.source.type === node.type && edge.source.id === node.id;
+      return { edge, node: outgoing ? edge.target : edge.source, direction: outgoing ? 'out' : 'in' };
+    });
+  }
+
+  /**
+   * Breadth-first traversal from a node: everything within `depth` hops.
+   * @param {{ type: string, id: string }} start
+   * @param {Object} [options]
+   * @param {number} [options.depth=2] - at most MAX_DEPTH
+   * @param {string[]} [options.relationships]
+   * @param {string} [options.direction='both']
+   * @param {number} [options.limit=100] - nodes returned, at most MAX_NODES
+   * @returns {Promise<{ nodes: Object[], edges: Object[], truncated: boolean }>}
+   *   nodes carry the hop count they were first reached at
+   */
+  async traverse(start, { depth = 2, relationships = [], direction = 'both', limit = 100 } = {}) {
+    assertNode(start, 'start');
+    const maxDepth = Math.min(Math.max(depth, 0), MAX_DEPTH);
+    const maxNodes = Math.min(Math.max(limit, 1), MAX_NODES);
+
+    const nodes = new Map([[nodeKey(start), { type: start.type, id: start.id, depth: 0 }]]);
+    const edges = new Map();
+    let frontier = [start];
+    let truncated = false;
+
+    for (let hop = 1; hop <= maxDepth && frontier.length > 0 && !truncated; hop++) {
+      const next = [];
+      const reached = [];
+      for (let i = 0; i < frontier.length; i += FRONTIER_CHUNK) {
+        reached.push(...await this.edgesOf(frontier.slice(i, i + FRONTIER_CHUNK), { relationships, direction }));
+      }
+      for (const edge of reached) {
+        for (const node of [edge.source, edge.target]) {
+          if (nodes.has(nodeKey(node))) continue;
+          if (nodes.size >= maxNodes) {
+            truncated = true;
+            continue;
+          }
+          nodes.set(nodeKey(node), { ...node, depth: hop });
+          next.push(node);
+        }
+        if (nodes.has(nodeKey(edge.source)) && nodes.has(nodeKey(edge.target))) {
+          edges.set(edge.id, edge);
+        }
+      }
+      frontier = next;
+    }
+
+    return { nodes: [...nodes.values()], edges: [...edges.values()], truncated };
+  }
+
+  /**
+   * What each node is, for display: a label, its project when it has one,
+   * and whether it still exists. Memories add their access_level and owner.
+   * @param {Array<{ type: string, id: string }>} nodes
+   * @returns {Promise<Object[]>} the nodes with label, project_id and exists
+   */
+  async describe(nodes) {
+    const described = [];
+    for (const node of nodes) {
+      described.push({ ...node, ...await this.describeNode(node) });
+    }
+    return described;
+  }
+
+  async describeNode({ type, id }) {
+    if (type === 'memory') {
+      // Memories also carry who may read them (database/memory-access.js)
+      const memory = await this.storage.get(
+        'SELECT content AS text, category AS kind, project_id, access_level, owner FROM memories WHERE id = ?', [id]
+      );
+      if (memory) {
+        const { text, ...fields } = memory;
+        return { label: excerpt(text), ...fields, exists: true };
+      }
+      const row = await this.storage.get('SELECT message AS text, type AS kind, project_id FROM conversations WHERE id = ?', [id]) ||
+        await this.storage.get('SELECT content AS text, memory_type AS kind, project_id FROM scri_constellation_memory WHERE id = ?', [id]);
+      if (!row) return { label: id, project_id: null, exists: false };
+      return { label: excerpt(row.text), kind: row.kind, project_id: row.project_id, exists: true };
+    }
+    if (type === 'project') {
+      const row = await this.storage.get('SELECT name FROM projects WHERE id = ?', [id]);
+      return { label: row ? row.name : id, project_id: id, exists: Boolean(row) };
+    }
+    if (type === 'decision') {
+      const row = await this.storage.get('SELECT title, decision_type, status, project_id FROM scri_collective_decisions WHERE id = ?', [id]);
+      if (!row) return { label: id, project_id: null, exists: false };
+      return { label: excerpt(row.title || row.decision_type), kind: row.status, project_id: row.project_id, exists: true };
+    }
+    if (type === 'entity') {
+      const names = await this.entityNames([id]);
+      return { label: id, project_id: null, exists: names.length > 0 };
+    }
+    return { label: id, project_id: null, exists: true };
+  }
+
+  /**
+   * Link a memory to every known project and entity its content names,
+   * replacing the links made for an earlier version of it.
+   * @param {Object} memory - with id, content, project_id and entity
+   * @param {StorageAdapter} [tx]
+   * @returns {Promise<Object[]>} the mention edges now on the memory
+   */
+  async linkMentions(memory, tx = this.storage) {
+    await tx.run(
+      `DELETE FROM graph_edges WHERE source_type = 'memory' AND source_id = ? AND created_by = ?`,
+      [memory.id, MENTION_LINKER]
+    );
+
+    const text = String(memory.content || '');
+    const projects = (await tx.all('SELECT id FROM projects')).map(row => row.id);
+    const candidates = [
+      ...projects.filter(id => id !== memory.project_id).map(id => ({ type: 'project', id })),
+      ...(await this.entityNames(null, tx)).filter(name => name !== memory.entity).map(id => ({ type: 'entity', id }))
+    ];
+
+    const edges = [];
+    for (const target of candidates) {
+      if (!mentions(text, target.id)) continue;
+      edges.push(await this.link({
+        source: { type: 'memory', id: memory.id },
+        target,
+        relationship: 'refers_to',
+        createdBy: MENTION_LINKER
+      }, tx));
+    }
+    return edges;
+  }
+
+  // Entity names known to the hub: registered constellation entities and
+  // entities with memories. Pass names to check only those.
+  async entityNames(names = null, tx = this.storage) {
+    const filter = names ? ` AND name IN (${names.map(() => '?').join(', ')})` : '';
+    const rows = await tx.all(`
+      SELECT DISTINCT name FROM (
+        SELECT entity_name AS name FROM scri_entities
+        UNION SELECT entity AS name FROM memories WHERE entity IS NOT NULL
+      ) known
+      WHERE name IS NOT NULL${filter}
+    `, names ? names : []);
+    return rows.map(row => row.name);
+  }
+
+  async edgesOf(nodes, { relationships = [], direction = 'both', limit = null }) {
+    if (!DIRECTIONS.includes(direction)) {
+      throw new GraphError('invalid', `direction must be one of: ${DIRECTIONS.join(', ')}`);
+    }
+    const sides = { out: ['source'], in: ['target'], both: ['source', 'target'] }[direction];
+    const where = [];
+    const params = [];
+
+    for (const side of sides) {
+      for (const node of nodes) {
+        where.push(`(${side}_type = ? AND ${side}_id = ?)`);
+        params.push(node.type, node.id);
+      }
+    }
+    let sql = `SELECT * FROM graph_edges WHERE (${where.join(' OR ')})`;
+    if (relationships.length > 0) {
+      sql += ` AND relationship IN (${relationships.map(() => '?').join(', ')})`;
+      params.push(...relationships);
+    }
+    sql += ' ORDER BY strength DESC, created_at, id';
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+    return (await this.storage.all(sql, params)).map(formatEdge);
+  }
+}
+
+function assertNode(node, name) {
+  if (!node || !NODE_TYPES.includes(node.type)) {
+    throw new GraphError('invalid', `${name}.type must be one of: ${NODE_TYPES.join(', ')}`);
+  }
+  if (typeof node.id !== 'string' || !node.id || node.id.length > 500) {
+    throw new GraphError('invalid', `${name}.id must be a non-empty string of at most 500 characters`);
+  }
+}
+
+function nodeKey(node) {
+  return `${node.type}:${node.id}`;
+}
+
+// Whole-word, case-insensitive; ids like "mycelium-network" stay whole
+function mentions(text, id) {
+  if (id.length < MIN_MENTION_LENGTH) return false;
+  const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\w-])${escaped}($|[^\\w-])`, 'i').test(text);
+}
+
+function excerpt(text, length = 120) {
+  const line = String(text).replace(/\s+/g, ' ').trim();
+  return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+}
+
+function formatEdge(row) {
+  let metadata = {};
+  try {
+    metadata = JSON.parse(row.metadata || '{}');
+  } catch (e) {
+    // Keep the edge even if its metadata is unreadable
+  }
+  return {
+    id: row.id,
+    source: { type: row.source_type, id: row.source_id },
+    target: { type: row.target_type, id: row.target_id },
+    relationship: row.relationship,
+    strength: Number(row.strength),
+    metadata,
+    created_by: row.created_by,
+    created_at: row.created_at
+  };
+}
+
+module.exports = GraphStore;
+module.exports.GraphError = GraphError;
+module.exports.NODE_TYPES = NODE_TYPES;
+module.exports.EDGE_TYPES = EDGE_TYPES;
+module.exports.DIRECTIONS = DIRECTIONS;
+module.exports.MAX_DEPTH = MAX_DEPTH;
+module.exports.MENTION_LINKER = MENTION_LINKER;
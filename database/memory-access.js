@@ -0,0 +1,113 @@
+// Memory Access - Who may read a memory, by its access_level
+//   private        its owner (the key that stored it)
+//   project        keys that may reach its project, and its owner
+//   cross_project  any key of the tenant
+//   public         also federation peers
+// Admin keys read everything. A private memory with no owner - stored before
+// owners were recorded, or written by the hub itself - reads like a project one.
+// A reader is what a caller is allowed to see; readerFor() builds one from a
+// verified API key. Stores take it as the `reader` option and leave out what
+// it may not see (database/memory-store.js); withheld reads are recorded by
+// database/access-audit-store.js.
+
+const ACCESS_LEVELS = ['private', 'project', 'cross_project', 'public'];
+
+// Sees everything: admin keys, the hub's own jobs, API_AUTH_DISABLED
+const FULL_ACCESS = Object.freeze({ name: null, keyId: null, projects: null, admin: true, peer: false, via: null });
+
+/**
+ * The reader a verified API key (or socket identity) reads as.
+ * @param {Object|null} apiKey - null when authentication is disabled
+ * @param {string} [via] - what is reading, for the audit log (e.g. 'POST /memory/query')
+ * @returns {Object} reader
+ */
+function readerFor(apiKey, via = null) {
+  if (!apiKey || apiKey.scopes.includes('admin')) {
+    return { ...FULL_ACCESS, name: apiKey ? apiKey.name : null, keyId: apiKey ? apiKey.id : null, via };
+  }
+  return { name: apiKey.name, keyId: apiKey.id || null, projects: apiKey.projects || null, admin: false, peer: false, via };
+}
+
+/**
+ * A federation node reading through this hub: public memories only.
+ * @param {string} nodeId
+ * @param {string} [via]
+ */
+function peerReader(nodeId, via = null) {
+  return { name: `node:${nodeId}`, keyId: null, projects: [], admin: false, peer: true, via };
+}
+
+/** Whether a reader sees memories of every access level, so nothing needs filtering. */
+function readsEverything(reader) {
+  return !reader || reader.admin;
+}
+
+/**
+ * Whether a reader may see a memory.
+ * @param {Object} reader
+ * @param {Object} memory - with access_level, owner and project_id
+ */
+function canRead(reader, memory) {
+  if (readsEverything(reader)) return true;
+  const level = memory.access_level || 'private';
+  if (level === 'public') return true;
+  if (reader.peer) return false;
+  if (level === 'cross_project') return true;
+  if (memory.owner && memory.owner === reader.name) return true;
+  const member = !reader.projects || reader.projects.includes(memory.project_id);
+  return member && (level === 'project' || !memory.owner);
+}
+
+/**
+ * canRead() as a WHERE condition on a memories table alias.
+ * @param {Object} reader
+ * @param {string} [alias='m']
+ * @returns {{ clause: string, params: Array }|null} null when the reader sees everything
+ */
+function accessClause(reader, alias = 'm') {
+  if (readsEverything(reader)) return null;
+  const column = name => (alias ? `${alias}.${name}` : name);
+  if (reader.peer) {
+    return { clause: `${column('access_level')} = 'public'`, params: [] };
+  }
+
+  const params = [reader.name || ''];
+  let member = '';
+  if (reader.projects) {
+    member = reader.projects.length > 0
+      ? ` AND ${column('project_id')} IN (${reader.projects.map(() => '?').join(', ')})`
+      : ' AND 1 = 0';
+    params.push(...reader.projects);
+  }
+  // COALESCE keeps the condition true or false, never NULL, so NOT() of it is the withheld rows
+  return {
+    clause: `(${column('access_level')} IN ('public', 'cross_project')
+      OR COALESCE(${column('owner')}, '') = ?
+      OR ((${column('access_level')} = 'project' OR ${column('owner')} IS NULL)${member}))`,
+    params
+  };
+}
+
+/**
+ * Split records into those a reader may see and those it may not.
+ * @returns {{ readable: Object[], denied: Object[] }}
+ */
+function partitionReadable(reader, records) {
+  const readable = [];
+  const denied = [];
+  for (const record of records) {
+    (canRead(reader, record) ? readable : denied).push(record);
+  }
+  return { readable, denied };
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  FULL_ACCESS,
+  readerFor,
+  peerReader,
+  readsEverything,
+  canRead,
+  accessClause,
+  partitionReadable
+};
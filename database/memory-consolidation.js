@@ -0,0 +1,215 @@
+// Memory Consolidation - Keeps an entity's memory closer to working memory
+// One pass, group by group (project, entity, category and owner, so one
+// key's memories are never folded into another's):
+//   1. merges near-duplicates into the more important copy,
+//   2. folds a cluster of old, faded memories into a single digest,
+//   3. demotes stale memories by writing their decayed importance back.
+// Merged and digested memories are soft-deleted by 'consolidation', so they
+// leave tombstones and revisions like any other delete. Scheduled by
+// core/memory-consolidator.js
+
+const { effectiveImportance } = require('./memory-scoring');
+const { ACCESS_LEVELS } = require('./memory-store');
+
+const CONSOLIDATED_BY = 'consolidation';
+const DIGEST_CATEGORY = 'digest';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+  duplicateSimilarity: 0.8, // Word-set (Jaccard) similarity for a merge
+  digestBelow: 0.15, // Decayed importance that counts as faded
+  digestAfterDays: 14,
+  digestMinSize: 5,
+  digestMaxSize: 50,
+  staleAfterDays: 30, // Not formed or recalled for this long
+  groupLimit: 1000 // Newest memories per group looked at in one pass
+};
+
+class MemoryConsolidation {
+  /**
+   * @param {MemoryStore} memoryStore
+   * @param {Object} [options] - overrides for DEFAULTS
+   */
+  constructor(memoryStore, options = {}) {
+    this.memories = memoryStore;
+    this.storage = memoryStore.storage;
+    this.options = { ...DEFAULTS, ...options };
+  }
+
+  /**
+   * One consolidation pass over every group.
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<{ merged: number, digested: number, digests: number, demoted: number }>}
+   */
+  async consolidate({ now = new Date() } = {}) {
+    const result = { merged: 0, digested: 0, digests: 0, demoted: 0 };
+    const groups = await this.storage.all(`
+      SELECT DISTINCT project_id, entity, category, owner FROM memories
+      WHERE category <> ?
+    `, [DIGEST_CATEGORY]);
+
+    for (const group of groups) {
+      let memories = await this.groupMemories(group);
+
+      const merged = await this.mergeDuplicates(memories, now);
+      result.merged += merged.size;
+      memories = memories.filter(memory => !merged.has(memory.id));
+
+      const digested = await this.digestFaded(memories, now);
+      if (digested.size > 0) {
+        result.digested += digested.size;
+        result.digests++;
+        memories = memories.filter(memory => !digested.has(memory.id));
+      }
+
+      result.demoted += await this.demoteStale(memories, now);
+    }
+    return result;
+  }
+
+  async groupMemories({ project_id, entity, category, owner }) {
+    const rows = await this.storage.all(`
+      SELECT * FROM memories
+      WHERE project_id = ? AND ${entity === null ? 'entity IS NULL' : 'entity = ?'} AND category = ?
+        AND ${owner === null ? 'owner IS NULL' : 'owner = ?'}
+      ORDER BY timestamp DESC, id
+      LIMIT ?
+    `, [project_id, ...(entity === null ? [] : [entity]), category, ...(owner === null ? [] : [owner]), this.options.groupLimit]);
+    return await this.memories.withTags(rows);
+  }
+
+  /**
+   * Fold each near-duplicate into the most important memory it resembles:
+   * the survivor keeps its content and gains the other's tags and importance.
+   * @returns {Promise<Set<string>>} ids of the memories merged away
+   */
+  async mergeDuplicates(memories, now) {
+    const merged = new Set();
+    const ordered = [...memories].sort((a, b) => b.importance - a.importance || new Date(b.timestamp) - new Date(a.timestamp));
+    const words = new Map(ordered.map(memory => [memory.id, wordSet(memory.content)]));
+
+    for (const keeper of ordered) {
+      if (merged.has(keeper.id)) continue;
+      const duplicates = ordered.filter(other =>
+        other.id !== keeper.id && !merged.has(other.id) &&
+        similarity(words.get(keeper.id), words.get(other.id)) >= this.options.duplicateSimilarity
+      );
+      if (duplicates.length === 0) continue;
+
+      const kept = await this.storage.transaction(async (tx) => {
+        const all = [keeper, ...duplicates];
+        const updated = await this.memories.update(keeper.id, {
+          tags: all.flatMap(memory => memory.tags),
+          importance: Math.max(...all.map(memory => effectiveImportance(memory, now))),
+          metadata: {
+            ...keeper.metadata,
+            merged_from: [...(keeper.metadata.merged_from || []), ...duplicates.map(memory => memory.id)]
+          }
+        }, { changedBy: CONSOLIDATED_BY, tx });
+        for (const duplicate of duplicates) {
+          await this.memories.delete(duplicate.id, { deletedBy: CONSOLIDATED_BY, tx });
+          merged.add(duplicate.id);
+        }
+        return updated;
+      });
+      // Writes joining a transaction are embedded once it commits
+      if (kept) await this.memories.embed(kept);
+    }
+    return merged;
+  }
+
+  /**
+   * Replace the oldest faded memories of a group with one digest memory
+   * listing them, once there are enough of them.
+   * @returns {Promise<Set<string>>} ids of the memories folded into the digest
+   */
+  async digestFaded(memories, now) {
+    const cutoff = now.getTime() - this.options.digestAfterDays * DAY_MS;
+    const faded = memories
+      .filter(memory => new Date(memory.timestamp).getTime() < cutoff &&
+        effectiveImportance(memory, now) < this.options.digestBelow)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .slice(0, this.options.digestMaxSize);
+    if (faded.length < this.options.digestMinSize) return new Set();
+
+    const first = faded[0];
+    const from = faded[0].timestamp;
+    const to = faded[faded.length - 1].timestamp;
+
+    const digest = await this.storage.transaction(async (tx) => {
+      const added = await this.memories.add({
+        entity: first.entity,
+        projectId: first.project_id,
+        source: first.source,
+        owner: first.owner,
+        category: DIGEST_CATEGORY,
+        content: [
+          `${faded.length} ${first.category} memories from ${from.slice(0, 10)} to ${to.slice(0, 10)}:`,
+          ...faded.map(memory => `- ${excerpt(memory.content)}`)
+        ].join('\n'),
+        tags: faded.flatMap(memory => memory.tags),
+        importance: Math.max(...faded.map(memory => effectiveImportance(memory, now))),
+        valence: faded.reduce((sum, memory) => sum + memory.valence, 0) / faded.length,
+        // The digest is no more visible than the most private memory in it
+        accessLevel: ACCESS_LEVELS[Math.min(...faded.map(memory => ACCESS_LEVELS.indexOf(memory.access_level)))],
+        metadata: { digest_of: faded.map(memory => memory.id), category: first.category, from, to },
+        timestamp: to
+      }, { changedBy: CONSOLIDATED_BY, tx });
+
+      for (const memory of faded) {
+        await this.memories.delete(memory.id, { deletedBy: CONSOLIDATED_BY, tx });
+      }
+      return added;
+    });
+    await this.memories.embed(digest);
+    return new Set(faded.map(memory => memory.id));
+  }
+
+  /**
+   * Write back the decayed importance of memories neither formed nor
+   * recalled within staleAfterDays, so stored importance stays honest.
+   * @returns {Promise<number>} how many were demoted
+   */
+  async demoteStale(memories, now) {
+    const cutoff = now.getTime() - this.options.staleAfterDays * DAY_MS;
+    const stale = memories.filter(memory =>
+      new Date(memory.last_recalled_at || memory.timestamp).getTime() < cutoff &&
+      memory.importance - effectiveImportance(memory, now) > 0.01
+    );
+    if (stale.length === 0) return 0;
+
+    const demotedAt = now.toISOString();
+    await this.storage.transaction(async (tx) => {
+      for (const memory of stale) {
+        await tx.run(
+          'UPDATE memories SET importance = ?, importance_updated_at = ? WHERE id = ?',
+          [effectiveImportance(memory, now), demotedAt, memory.id]
+        );
+      }
+    });
+    return stale.length;
+  }
+}
+
+function wordSet(text) {
+  return new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function excerpt(text, length = 120) {
+  const line = String(text).replace(/\s+/g, ' ').trim();
+  return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+}
+
+module.exports = MemoryConsolidation;
+module.exports.DIGEST_CATEGORY = DIGEST_CATEGORY;
+module.exports.CONSOLIDATED_BY = CONSOLIDATED_BY;
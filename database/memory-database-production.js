@@ -1,46 +1,139 @@
 // Production Database Configuration for Fly.io PostgreSQL + Upstash Redis
-const { Pool } = require('pg');
-const path = require('path');
-const fs = require('fs-extra');
 const SCRIMemorySchema = require('./scri-memory-schema');
 const RedisCoordinationLayer = require('./redis-coordination-layer');
+const EmbeddingStore = require('./embedding-store');
+const FullTextSearch = require('./fulltext-search');
+const ApiKeyStore = require('./api-key-store');
+const RetentionStore = require('./retention-store');
+const RevisionStore = require('./revision-store');
+const MemoryStore = require('./memory-store');
+const { formatTombstone } = require('./memory-store');
+const MemoryConsolidation = require('./memory-consolidation');
+const GraphStore = require('./graph-store');
+const DecisionStore = require('./decision-store');
+const EntityStateStore = require('./entity-state-store');
+const EntityTimeline = require('./entity-timeline');
+const EntityRegistry = require('./entity-registry');
+const ProjectSummaryStore = require('./project-summary-store');
+const PatternStore = require('./pattern-store');
+const SessionStore = require('./session-store');
+const RedactionStore = require('./redaction-store');
+const FieldEncryption = require('./field-encryption');
+const { sessionIdOf } = require('./session-store');
+const TenantStore = require('./tenant-store');
+const { DEFAULT_TENANT } = require('./tenant-store');
+const SCRI_ENTITIES = require('../config/scri-entities');
+const StorageAdapter = require('./storage-adapter');
+const { openDatabase, closeDatabase, resolveBackend } = require('./connection');
+const { migrateOnStartup } = require('./migration-runner');
+const { v4: uuidv4 } = require('uuid');
+
+const BACKEND_LABELS = { postgres: 'PostgreSQL', sqlite: 'SQLite', memory: 'in-memory SQLite' };
 
 class MemoryDatabase {
-  constructor() {
-    this.isProduction = process.env.NODE_ENV === 'production';
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.backend] - 'postgres', 'sqlite' or 'memory'
+   *   (default: DATABASE_BACKEND, else PostgreSQL in production, SQLite otherwise)
+   * @param {string} [options.sqlitePath] - file for the sqlite backend
+   * @param {Object} [options.stateMachine] - entity state machine (default: config/entity-state-machine.js)
+   * @param {string} [options.tenantId] - the tenant whose database this is (default: 'default');
+   *   rows stored here are stamped with it (database/migrations/020-tenants.js)
+   * @param {string} [options.schema] - PostgreSQL schema holding the tenant's tables
+   *   (see tenantDatabaseOptions() in database/connection.js)
+   * @param {Object} [options.encryption] - field encryption settings, overriding
+   *   MEMORY_ENCRYPTION and the other variables (database/field-encryption.js)
+   */
+  constructor(options = {}) {
+    this.backend = resolveBackend(options.backend);
+    this.sqlitePath = options.sqlitePath;
+    this.schema = options.schema || null;
+    this.tenantId = options.tenantId || DEFAULT_TENANT;
+    this.stateMachine = options.stateMachine;
+    this.encryptionOptions = options.encryption || {};
+    this.isProduction = this.backend === 'postgres';
     this.db = null;
+    // Shared by every store and federation service: one query layer for both backends
+    this.storage = new StorageAdapter(this);
+    // Set once its keys check out; until then nothing is sealed or opened
+    this.encryption = null;
     this.scriSchema = null;
+    this.embeddings = null;
+    this.fullText = null;
+    this.apiKeys = null;
+    this.retention = null;
+    this.revisions = null;
+    this.memories = null;
+    this.accessAudit = null;
+    this.redactions = null;
+    this.consolidation = null;
+    this.graph = null;
+    this.decisions = null;
+    this.entityStates = null;
+    this.timeline = null;
+    this.entities = null;
+    this.summaries = null;
+    this.patterns = null;
     this.redis = new RedisCoordinationLayer(); // Initialize Redis layer
-    this.init();
+    // Resolves once the schema is migrated; callers that touch tables await it
+    this.ready = this.init();
   }
 
   async init() {
-    if (this.isProduction) {
-      // Production: PostgreSQL on Fly.io
-      this.db = new Pool({
-        connectionString: process.env.DATABASE_URL,
-        ssl: {
-          rejectUnauthorized: false
-        },
-        max: 20, // Maximum pool size
-        idleTimeoutMillis: 30000,
-        connectionTimeoutMillis: 10000
-      });
-      console.log('💾 SCRI Core Memory Database (PostgreSQL) initialized');
-    } else {
-      // Development: SQLite
-      const sqlite3 = require('sqlite3').verbose();
-      this.dbPath = path.join(__dirname, '../database/scri-core-memory.db');
-      await fs.ensureDir(path.dirname(this.dbPath));
-      this.db = new sqlite3.Database(this.dbPath);
-      console.log('💾 SCRI Core Memory Database (SQLite) initialized');
-    }
+    const { db, dbPath } = await openDatabase({ backend: this.backend, sqlitePath: this.sqlitePath, schema: this.schema });
+    this.db = db;
+    this.dbPath = dbPath;
+    const tenant = this.tenantId === DEFAULT_TENANT ? '' : ` for tenant ${this.tenantId}`;
+    console.log(`💾 SCRI Core Memory Database (${BACKEND_LABELS[this.backend]}) initialized${tenant}`);
+
+    // Create or upgrade the schema (database/migrations)
+    await migrateOnStartup(this);
 
-    await this.createTables();
+    const encryption = new FieldEncryption(this, this.encryptionOptions);
+    await encryption.initialize();
+    this.encryption = encryption;
 
-    // Initialize SCRI schema extensions
     this.scriSchema = new SCRIMemorySchema(this);
-    await this.scriSchema.createSCRITables();
+    this.apiKeys = new ApiKeyStore(this);
+    this.retention = new RetentionStore(this);
+    this.revisions = new RevisionStore(this);
+    this.memories = new MemoryStore(this);
+    this.accessAudit = this.memories.audit;
+    this.redactions = new RedactionStore(this);
+    this.consolidation = new MemoryConsolidation(this.memories);
+    this.graph = new GraphStore(this);
+    this.decisions = new DecisionStore(this);
+    this.entityStates = new EntityStateStore(this, { machine: this.stateMachine });
+    this.timeline = new EntityTimeline(this);
+    this.entities = new EntityRegistry(this);
+    this.summaries = new ProjectSummaryStore(this);
+    this.patterns = new PatternStore(this);
+    this.sessions = new SessionStore(this);
+    this.tenants = new TenantStore(this);
+
+    // Register the configured SCRI entities the registry does not know yet
+    const seeded = await this.entities.seed(SCRI_ENTITIES);
+    if (seeded.length > 0) {
+      console.log(`🪪 Registered entities: ${seeded.join(', ')}`);
+    }
+
+    // Initialize indexed full-text search (FTS5 / tsvector)
+    this.fullText = new FullTextSearch(this);
+    await this.fullText.initialize();
+
+    // Initialize semantic search embeddings (optional - requires pgvector in production).
+    // Not a migration: the vector column size follows the configured embedder.
+    try {
+      const embeddings = new EmbeddingStore(this);
+      await embeddings.createTables();
+      this.embeddings = embeddings;
+      // Kept so close() can let it finish instead of pulling the connection from under it
+      this.backfill = this.embeddings.backfill().catch(error => {
+        console.error('⚠️ Embedding backfill failed:', error.message);
+      });
+    } catch (error) {
+      console.error('⚠️ Semantic search disabled:', error.message);
+    }
 
     // Initialize Redis coordination layer
     if (this.redis.enabled) {
@@ -49,340 +142,327 @@ class MemoryDatabase {
     }
   }
 
-  createTables() {
-    return new Promise((resolve, reject) => {
-      if (this.isProduction) {
-        // PostgreSQL table creation
-        const queries = [
-          `CREATE TABLE IF NOT EXISTS conversations (
-            id TEXT PRIMARY KEY,
-            platform TEXT NOT NULL,
-            project_id TEXT NOT NULL,
-            message TEXT NOT NULL,
-            context TEXT,
-            timestamp TEXT NOT NULL,
-            type TEXT DEFAULT 'general'
-          )`,
-          `CREATE TABLE IF NOT EXISTS projects (
-            id TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            path TEXT NOT NULL,
-            type TEXT NOT NULL,
-            framework TEXT,
-            last_modified TEXT,
-            ai_enabled BOOLEAN DEFAULT false,
-            config TEXT
-          )`,
-          `CREATE TABLE IF NOT EXISTS bridge_logs (
-            id TEXT PRIMARY KEY,
-            platform TEXT NOT NULL,
-            action TEXT NOT NULL,
-            data TEXT,
-            timestamp TEXT NOT NULL
-          )`,
-          `CREATE TABLE IF NOT EXISTS file_watches (
-            id TEXT PRIMARY KEY,
-            project_id TEXT NOT NULL,
-            file_path TEXT NOT NULL,
-            last_modified TEXT,
-            change_type TEXT,
-            created_at TEXT NOT NULL
-          )`
-        ];
-
-        Promise.all(queries.map(query => this.db.query(query)))
-          .then(() => resolve())
-          .catch(reject);
-      } else {
-        // SQLite table creation (existing logic)
-        this.db.serialize(() => {
-          this.db.run(`
-            CREATE TABLE IF NOT EXISTS conversations (
-              id TEXT PRIMARY KEY,
-              platform TEXT NOT NULL,
-              project_id TEXT NOT NULL,
-              message TEXT NOT NULL,
-              context TEXT,
-              timestamp TEXT NOT NULL,
-              type TEXT DEFAULT 'general'
-            )
-          `);
-
-          this.db.run(`
-            CREATE TABLE IF NOT EXISTS projects (
-              id TEXT PRIMARY KEY,
-              name TEXT NOT NULL,
-              path TEXT NOT NULL,
-              type TEXT NOT NULL,
-              framework TEXT,
-              last_modified TEXT,
-              ai_enabled BOOLEAN DEFAULT 0,
-              config TEXT
-            )
-          `);
-
-          this.db.run(`
-            CREATE TABLE IF NOT EXISTS bridge_logs (
-              id TEXT PRIMARY KEY,
-              platform TEXT NOT NULL,
-              action TEXT NOT NULL,
-              data TEXT,
-              timestamp TEXT NOT NULL
-            )
-          `);
-
-          this.db.run(`
-            CREATE TABLE IF NOT EXISTS file_watches (
-              id TEXT PRIMARY KEY,
-              project_id TEXT NOT NULL,
-              file_path TEXT NOT NULL,
-              last_modified TEXT,
-              change_type TEXT,
-              created_at TEXT NOT NULL
-            )
-          `, () => {
-            resolve();
-          });
-        });
-      }
+  async addConversation(data) {
+    const { id, platform, projectId, message, timestamp, type, expiresAt = null } = data;
+    const context = typeof data.context === 'string' ? data.context : JSON.stringify(data.context || {});
+
+    const result = await this.storage.transaction(async (tx) => {
+      const sealed = await tx.seal('conversations', { project_id: projectId, message, context });
+      const inserted = await tx.run(`
+        INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [id, platform, projectId, sealed.message, sealed.context, timestamp, type, expiresAt]);
+      await tx.indexTokens('conversations', id, [message, context]);
+      await this.recordRevision(tx, 'create', {
+        id, platform, project_id: projectId, message, context, timestamp, type, expires_at: expiresAt
+      });
+      await this.sessions.link(sessionIdOf(data), 'conversations', id, projectId, tx);
+      return inserted;
     });
+
+    await this.indexConversationEmbedding({ id, project_id: projectId, message, context });
+    return result;
   }
 
-  async addConversation(data) {
-    const { id, platform, projectId, message, context, timestamp, type } = data;
-    
-    if (this.isProduction) {
-      const query = `
-        INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-      `;
-      return this.db.query(query, [id, platform, projectId, message, context, timestamp, type]);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.run(`
-          INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-        `, [id, platform, projectId, message, context, timestamp, type], function(err) {
-          if (err) reject(err);
-          else resolve(this);
-        });
-      });
+  // Embedding failures must never block a memory write
+  async indexConversationEmbedding(conversation) {
+    if (!this.embeddings) return;
+    try {
+      await this.embeddings.indexConversation(conversation);
+    } catch (error) {
+      console.error(`⚠️ Failed to embed conversation ${conversation.id}:`, error.message);
     }
   }
 
-  async getConversations(projectId, limit = 50) {
-    if (this.isProduction) {
-      const query = `
-        SELECT * FROM conversations 
-        WHERE project_id = $1 
-        ORDER BY timestamp DESC 
-        LIMIT $2
-      `;
-      const result = await this.db.query(query, [projectId, limit]);
-      return result.rows;
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.all(`
-          SELECT * FROM conversations 
-          WHERE project_id = ? 
-          ORDER BY timestamp DESC 
-          LIMIT ?
-        `, [projectId, limit], (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
+  /**
+   * Semantic (embedding) search over conversations
+   * @param {string} query - Natural language query
+   * @param {Object} options - projectId, platform, type, limit, minScore
+   */
+  async semanticSearchConversations(query, options = {}) {
+    if (!this.embeddings) {
+      throw new Error('Semantic search is not available');
     }
+    return await this.embeddings.search(query, options);
+  }
+
+  async getConversations(projectId, limit = 50) {
+    return await this.storage.all(`
+      SELECT * FROM conversations 
+      WHERE project_id = ? 
+      ORDER BY timestamp DESC 
+      LIMIT ?
+    `, [projectId, limit]);
   }
 
   async getConversationsByPlatform(platform, limit = 100) {
-    if (this.isProduction) {
-      const query = `
-        SELECT * FROM conversations 
-        WHERE platform = $1 
-        ORDER BY timestamp DESC 
-        LIMIT $2
-      `;
-      const result = await this.db.query(query, [platform, limit]);
-      return result.rows;
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.all(`
-          SELECT * FROM conversations 
-          WHERE platform = ? 
-          ORDER BY timestamp DESC 
-          LIMIT ?
-        `, [platform, limit], (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
-    }
+    return await this.storage.all(`
+      SELECT * FROM conversations 
+      WHERE platform = ? 
+      ORDER BY timestamp DESC 
+      LIMIT ?
+    `, [platform, limit]);
   }
 
   async getConversationsByProject(projectId, limit = 100) {
-    if (this.isProduction) {
-      const query = `
-        SELECT * FROM conversations 
-        WHERE project_id = $1 
-        ORDER BY timestamp DESC 
-        LIMIT $2
-      `;
-      const result = await this.db.query(query, [projectId, limit]);
-      return result.rows;
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.all(`
-          SELECT * FROM conversations 
-          WHERE project_id = ? 
-          ORDER BY timestamp DESC 
-          LIMIT ?
-        `, [projectId, limit], (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
-    }
+    return await this.getConversations(projectId, limit);
   }
 
   async searchConversations(query, projectId = null, limit = 50) {
-    const searchTerm = `%${query}%`;
-    
-    if (this.isProduction) {
-      let sqlQuery, params;
-      if (projectId) {
-        sqlQuery = `
-          SELECT * FROM conversations 
-          WHERE (message ILIKE $1 OR response ILIKE $1) AND project_id = $2
-          ORDER BY timestamp DESC 
-          LIMIT $3
-        `;
-        params = [searchTerm, projectId, limit];
+    return await this.fullTextSearchConversations(query, { projectId, limit });
+  }
+
+  /**
+   * Ranked full-text search over conversation messages and context
+   * @param {string} query - Supports "phrases", prefix*, AND/OR/NOT and -term
+   * @param {Object} options - projectId, platform, platforms, excludePlatforms, types, limit, offset, highlight,
+   *   asOf (search the memories as they stood at that time instead of the index)
+   */
+  async fullTextSearchConversations(query, options = {}) {
+    if (options.asOf) {
+      const rows = await this.revisions.snapshot('conversations', { asOf: options.asOf, projectId: options.projectId });
+      return this.fullText.searchRows(query, rows, options);
+    }
+    return await this.fullText.search(query, options);
+  }
+
+  /**
+   * Conversations as they stood at `asOf`, newest first, in the shape
+   * getConversations() returns. Built from the revision log.
+   * @param {string|Date} asOf
+   * @param {Object} [options] - projectId, platform, limit
+   */
+  async getConversationsAsOf(asOf, { projectId = null, platform = null, limit = 100 } = {}) {
+    const rows = await this.revisions.snapshot('conversations', { asOf, projectId });
+    return rows
+      .filter(row => !platform || row.platform === platform)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, limit);
+  }
+
+  // --- Editing and removing single conversations --------------------------
+
+  /** @returns {Promise<Object|null>} the memory with its context parsed */
+  async getConversation(id) {
+    const row = await this.storage.get('SELECT * FROM conversations WHERE id = ?', [id]);
+    return row ? formatConversation(row) : null;
+  }
+
+  /**
+   * Edit a memory in place; only the fields present in `changes` are written.
+   * @param {string} id
+   * @param {Object} changes
+   * @param {string} [changes.message]
+   * @param {string} [changes.type]
+   * @param {Object} [changes.context] - replaces the stored context
+   * @param {string|null} [changes.expiresAt] - null clears the expiry
+   * @param {Object} [options]
+   * @param {string} [options.changedBy] - recorded in the revision history
+   * @returns {Promise<Object|null>} the updated memory, or null when it does not exist
+   */
+  async updateConversation(id, changes, { changedBy = null } = {}) {
+    const updated = await this.storage.transaction(async (tx) => {
+      const row = await tx.get('SELECT * FROM conversations WHERE id = ?', [id]);
+      if (!row) return null;
+
+      const next = {
+        message: changes.message ?? row.message,
+        type: changes.type ?? row.type,
+        context: changes.context !== undefined ? JSON.stringify(changes.context) : row.context,
+        expires_at: changes.expiresAt !== undefined ? changes.expiresAt : row.expires_at,
+        updated_at: new Date().toISOString()
+      };
+      const sealed = await tx.seal('conversations', { project_id: row.project_id, message: next.message, context: next.context });
+      await tx.run(
+        'UPDATE conversations SET message = ?, type = ?, context = ?, expires_at = ?, updated_at = ? WHERE id = ?',
+        [sealed.message, next.type, sealed.context, next.expires_at, next.updated_at, id]
+      );
+      await tx.indexTokens('conversations', id, [next.message, next.context]);
+      await this.recordRevision(tx, 'update', { ...row, ...next }, { changedBy, changedAt: next.updated_at });
+      return { ...row, ...next };
+    });
+    if (!updated) return null;
+
+    if (changes.message !== undefined || changes.context !== undefined) {
+      await this.indexConversationEmbedding(updated);
+    }
+    return formatConversation(updated);
+  }
+
+  /**
+   * Soft-delete a memory: the row moves to memory_tombstones, so reads stop
+   * returning it while federation peers can still replicate the removal.
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {string} [options.deletedBy] - agent or key that removed it
+   * @returns {Promise<Object|null>} the tombstone, or null when no live memory has that id
+   */
+  async deleteConversation(id, { deletedBy = null } = {}) {
+    return await this.storage.transaction(async (tx) => {
+      const row = await tx.get('SELECT * FROM conversations WHERE id = ?', [id]);
+      if (!row) return null;
+
+      const deletedAt = new Date().toISOString();
+      await tx.upsert('memory_tombstones', {
+        ...await tx.seal('memory_tombstones', conversationFields(row)),
+        deleted_at: deletedAt,
+        deleted_by: deletedBy,
+        purged_at: null
+      }, ['id']);
+      await this.recordRevision(tx, 'delete', row, { changedBy: deletedBy, changedAt: deletedAt });
+      await this.removeConversationRow(tx, id);
+      return formatTombstone(await tx.get('SELECT * FROM memory_tombstones WHERE id = ?', [id]));
+    });
+  }
+
+  /**
+   * Hard-delete a memory, live or already soft-deleted, including any archived
+   * copy and the content of its revision history. The tombstone keeps only
+   * the id, project and timestamps.
+   * @returns {Promise<Object|null>} the tombstone, or null when the id is unknown
+   */
+  async purgeConversation(id, { deletedBy = null } = {}) {
+    return await this.storage.transaction(async (tx) => {
+      const now = new Date().toISOString();
+      let row = await tx.get('SELECT * FROM conversations WHERE id = ?', [id]);
+
+      if (row) {
+        await tx.upsert('memory_tombstones', {
+          ...conversationFields(row),
+          message: null,
+          context: null,
+          deleted_at: now,
+          deleted_by: deletedBy,
+          purged_at: now
+        }, ['id']);
+        await this.removeConversationRow(tx, id);
       } else {
-        sqlQuery = `
-          SELECT * FROM conversations 
-          WHERE message ILIKE $1 OR response ILIKE $1
-          ORDER BY timestamp DESC 
-          LIMIT $2
-        `;
-        params = [searchTerm, limit];
+        row = await tx.get(`SELECT id, project_id FROM memory_tombstones WHERE id = ? AND record_table = 'conversations'`, [id]);
+        if (!row) return null;
+        await tx.run(
+          'UPDATE memory_tombstones SET message = NULL, context = NULL, purged_at = COALESCE(purged_at, ?) WHERE id = ?',
+          [now, id]
+        );
       }
-      
-      const result = await this.db.query(sqlQuery, params);
-      return result.rows;
-    } else {
-      return new Promise((resolve, reject) => {
-        let sqlQuery, params;
-        if (projectId) {
-          sqlQuery = `
-            SELECT * FROM conversations 
-            WHERE (message LIKE ? OR response LIKE ?) AND project_id = ?
-            ORDER BY timestamp DESC 
-            LIMIT ?
-          `;
-          params = [searchTerm, searchTerm, projectId, limit];
-        } else {
-          sqlQuery = `
-            SELECT * FROM conversations 
-            WHERE message LIKE ? OR response LIKE ?
-            ORDER BY timestamp DESC 
-            LIMIT ?
-          `;
-          params = [searchTerm, searchTerm, limit];
-        }
-        
-        this.db.all(sqlQuery, params, (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
+
+      await tx.run('DELETE FROM conversations_archive WHERE id = ?', [id]);
+      await this.revisions.erase('conversations', id, tx);
+      await this.recordRevision(tx, 'purge', row, { changedBy: deletedBy, changedAt: now });
+      return formatTombstone(await tx.get('SELECT * FROM memory_tombstones WHERE id = ?', [id]));
+    });
+  }
+
+  async removeConversationRow(tx, id) {
+    if (this.embeddings) {
+      await tx.run('DELETE FROM conversation_embeddings WHERE conversation_id = ?', [id]);
     }
+    await this.graph.removeNode('memory', id, tx);
+    await tx.run(`DELETE FROM search_tokens WHERE record_table = 'conversations' AND record_id = ?`, [id]);
+    await tx.run('DELETE FROM conversations WHERE id = ?', [id]);
+  }
+
+  // Every conversation write appends its revision in the same transaction
+  async recordRevision(tx, operation, row, { changedBy = null, changedAt } = {}) {
+    await this.revisions.record({
+      table: 'conversations',
+      row: conversationFields(row),
+      operation,
+      changedBy,
+      changedAt
+    }, tx);
+  }
+
+  /**
+   * Removals of conversations and memories in deletion order, for peers
+   * catching up on what to drop.
+   * @param {Object} [options] - since (ISO timestamp, exclusive), projectId, limit
+   */
+  async getTombstones({ since = null, projectId = null, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (since) {
+      where.push('deleted_at > ?');
+      params.push(since);
+    }
+    if (projectId) {
+      where.push('project_id = ?');
+      params.push(projectId);
+    }
+
+    const rows = await this.storage.all(`
+      SELECT * FROM memory_tombstones
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY deleted_at, id
+      LIMIT ?
+    `, [...params, limit]);
+    return rows.map(formatTombstone);
   }
 
   async addProject(data) {
     const { id, name, path, type, framework, lastModified, aiEnabled, config } = data;
-    
-    if (this.isProduction) {
-      const query = `
-        INSERT INTO projects (id, name, path, type, framework, last_modified, ai_enabled, config)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-        ON CONFLICT (id) DO UPDATE SET
-          name = $2, path = $3, type = $4, framework = $5, 
-          last_modified = $6, ai_enabled = $7, config = $8
-      `;
-      return this.db.query(query, [id, name, path, type, framework, lastModified, aiEnabled, config]);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.run(`
-          INSERT OR REPLACE INTO projects 
-          (id, name, path, type, framework, last_modified, ai_enabled, config)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `, [id, name, path, type, framework, lastModified, aiEnabled, config], function(err) {
-          if (err) reject(err);
-          else resolve(this);
-        });
-      });
-    }
+
+    return await this.storage.upsert('projects', {
+      id,
+      name,
+      path,
+      type,
+      framework,
+      last_modified: lastModified,
+      ai_enabled: aiEnabled,
+      config
+    }, ['id']);
   }
 
   async getProjects() {
-    if (this.isProduction) {
-      const result = await this.db.query('SELECT * FROM projects ORDER BY last_modified DESC');
-      return result.rows;
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.all('SELECT * FROM projects ORDER BY last_modified DESC', (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
-    }
+    return await this.storage.all('SELECT * FROM projects ORDER BY last_modified DESC');
   }
 
   async getProject(projectId) {
-    if (this.isProduction) {
-      const result = await this.db.query('SELECT * FROM projects WHERE id = $1', [projectId]);
-      return result.rows[0] || null;
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.get('SELECT * FROM projects WHERE id = ?', [projectId], (err, row) => {
-          if (err) reject(err);
-          else resolve(row || null);
-        });
-      });
+    const row = await this.storage.get('SELECT * FROM projects WHERE id = ?', [projectId]);
+    return row || null;
+  }
+
+  // Pattern learning (database/pattern-store.js)
+  async addPattern(projectId, patternType, patternData, successRate = 0.0) {
+    return await this.patterns.add(projectId, patternType, patternData, successRate);
+  }
+
+  async getPatterns(projectId, patternType = null, { language = null } = {}) {
+    return await this.patterns.list(projectId, { type: patternType, language });
+  }
+
+  async updatePatternUsage(patternId, successful = true) {
+    const pattern = await this.patterns.recordOutcome(patternId, successful);
+    if (!pattern) {
+      throw new Error('Pattern not found');
     }
+    return pattern;
   }
 
-  async getProjectStats(projectId) {
-    if (this.isProduction) {
-      const [conversationsResult, patternsResult] = await Promise.all([
-        this.db.query('SELECT COUNT(*) as count FROM conversations WHERE project_id = $1', [projectId]),
-        this.db.query('SELECT COUNT(*) as count FROM patterns WHERE project_id = $1', [projectId])
-      ]);
-      
-      return {
-        project_id: projectId,
-        total_conversations: conversationsResult.rows[0]?.count || 0,
-        total_patterns: patternsResult.rows[0]?.count || 0,
-        last_activity: new Date().toISOString()
-      };
-    } else {
-      return new Promise((resolve, reject) => {
-        const stats = { project_id: projectId, total_conversations: 0, total_patterns: 0 };
-        
-        this.db.get('SELECT COUNT(*) as count FROM conversations WHERE project_id = ?', [projectId], (err, result) => {
-          if (err) return reject(err);
-          stats.total_conversations = result?.count || 0;
-          
-          this.db.get('SELECT COUNT(*) as count FROM patterns WHERE project_id = ?', [projectId], (err, result) => {
-            if (err) return reject(err);
-            stats.total_patterns = result?.count || 0;
-            stats.last_activity = new Date().toISOString();
-            resolve(stats);
-          });
-        });
-      });
+  // Session tracking (database/session-store.js)
+  async startSession(sessionId, platform, projectId) {
+    const { session } = await this.sessions.begin({ id: sessionId, platform, projectId });
+    return session;
+  }
+
+  async endSession(sessionId, conversationCount) {
+    const session = await this.sessions.end(sessionId, { conversationCount });
+    if (!session) {
+      throw new Error('Session not found');
     }
+    return session;
+  }
+
+  async getProjectStats(projectId) {
+    const conversations = await this.storage.get('SELECT COUNT(*) as count FROM conversations WHERE project_id = ?', [projectId]);
+    const patterns = await this.storage.get('SELECT COUNT(*) as count FROM patterns WHERE project_id = ?', [projectId]);
+
+    return {
+      project_id: projectId,
+      total_conversations: Number(conversations?.count || 0),
+      total_patterns: Number(patterns?.count || 0),
+      last_activity: new Date().toISOString()
+    };
   }
 
   // SCRI-specific database methods
@@ -417,12 +497,6 @@ class MemoryDatabase {
   // === TRINITY AI PLATFORM DATABASE METHODS ===
 
   async addTrinityTaskContext(data) {
-    const query = this.isProduction ? 
-      `INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)` :
-      `INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`;
-
     const message = `Trinity routing: ${data.assigned_model} selected for ${data.classification?.kind || 'task'} - ${data.routing_reason}`;
     const context = JSON.stringify({
       task_id: data.task_id,
@@ -431,27 +505,10 @@ class MemoryDatabase {
       routing_reason: data.routing_reason
     });
 
-    const params = [data.id, 'trinity-ai-platform', data.projectId, message, context, data.timestamp, 'task_context'];
-
-    if (this.isProduction) {
-      await this.db.query(query, params);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.run(query, params, (err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.insertConversationRow([data.id, 'trinity-ai-platform', data.projectId, message, context, data.timestamp, 'task_context']);
   }
 
   async addTrinityPerformance(data) {
-    const query = this.isProduction ?
-      `INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)` :
-      `INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`;
-
     const message = `Trinity performance: ${data.model} completed in ${data.response_time_ms}ms, ${data.tokens_used} tokens, cost $${data.cost_estimate}`;
     const context = JSON.stringify({
       model: data.model,
@@ -462,283 +519,124 @@ class MemoryDatabase {
       task_type: data.task_type
     });
 
-    const params = [data.id, 'trinity-ai-platform', data.projectId, message, context, data.timestamp, 'performance_metric'];
-
-    if (this.isProduction) {
-      await this.db.query(query, params);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.run(query, params, (err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.insertConversationRow([data.id, 'trinity-ai-platform', data.projectId, message, context, data.timestamp, 'performance_metric']);
   }
 
   async addTrinityCodeArtifact(data) {
-    const query = this.isProduction ?
-      `INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)` :
-      `INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`;
+    await this.insertConversation(codeArtifactRecord(data));
+  }
 
-    const message = `Trinity code artifact: ${data.language} code generated by ${data.generated_by} - ${data.task_context}`;
-    const context = JSON.stringify({
-      artifact_id: data.artifact_id,
-      language: data.language,
-      content: data.content,
-      generated_by: data.generated_by,
-      task_context: data.task_context,
-      version: data.version
+  // Raw insert for internal rows (Trinity, AI coordination) - no embedding
+  async insertConversationRow(params) {
+    const [id, platform, project_id, message, context, timestamp, type] = params;
+    await this.storage.transaction(async (tx) => {
+      const sealed = await tx.seal('conversations', { project_id, message, context });
+      await tx.run(
+        `INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, platform, project_id, sealed.message, sealed.context, timestamp, type]
+      );
+      await tx.indexTokens('conversations', id, [message, context]);
+      await this.recordRevision(tx, 'create', { id, platform, project_id, message, context, timestamp, type });
     });
+  }
 
-    const params = [data.id, 'trinity-ai-platform', data.projectId, message, context, data.timestamp, 'code_artifact'];
-
-    if (this.isProduction) {
-      await this.db.query(query, params);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.run(query, params, (err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+  // An internal conversation record (the *Record() builders below) as its row
+  async insertConversation(record) {
+    const { id, platform, projectId, message, context, timestamp, type } = record;
+    await this.insertConversationRow([id, platform, projectId, message, JSON.stringify(context), timestamp, type]);
+    return id;
   }
 
   async getTrinityRoutingHistory(options = {}) {
     const { taskType, model, limit = 50, hours = 24 } = options;
     const sinceTime = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
 
-    let query, params;
-    if (this.isProduction) {
-      query = `
-        SELECT * FROM conversations 
-        WHERE platform = $1 
-          AND type = $2
-          AND timestamp >= $3
-        ORDER BY timestamp DESC 
-        LIMIT $4
-      `;
-      params = ['trinity-ai-platform', 'task_context', sinceTime, limit];
-    } else {
-      query = `
-        SELECT * FROM conversations 
-        WHERE platform = ? 
-          AND type = ?
-          AND timestamp >= ?
-        ORDER BY timestamp DESC 
-        LIMIT ?
-      `;
-      params = ['trinity-ai-platform', 'task_context', sinceTime, limit];
+    let query = `
+      SELECT * FROM conversations 
+      WHERE platform = ? 
+        AND type = ?
+        AND timestamp >= ?
+    `;
+    const params = ['trinity-ai-platform', 'task_context', sinceTime];
+
+    if (model) {
+      query += ` AND ${this.storage.jsonField('context', 'assigned_model')} = ?`;
+      params.push(model);
     }
 
-    if (this.isProduction) {
-      const result = await this.db.query(query, params);
-      let rows = result.rows;
-      
-      // Filter by taskType or model if specified
-      if (taskType || model) {
-        rows = rows.filter(row => {
-          try {
-            const ctx = JSON.parse(row.context);
-            if (taskType && ctx.classification?.kind !== taskType) return false;
-            if (model && ctx.assigned_model !== model) return false;
-            return true;
-          } catch (e) {
-            return false;
-          }
-        });
-      }
-      
-      return rows;
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.all(query, params, (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            // Filter by taskType or model if specified
-            if (taskType || model) {
-              rows = rows.filter(row => {
-                try {
-                  const ctx = JSON.parse(row.context);
-                  if (taskType && ctx.classification?.kind !== taskType) return false;
-                  if (model && ctx.assigned_model !== model) return false;
-                  return true;
-                } catch (e) {
-                  return false;
-                }
-              });
-            }
-            resolve(rows);
-          }
-        });
-      });
-    }
+    query += ' ORDER BY timestamp DESC LIMIT ?';
+    params.push(limit);
+
+    const rows = await this.storage.all(query, params);
+
+    // classification is nested; filter its kind here
+    if (!taskType) return rows;
+    return rows.filter(row => parseJSON(row.context)?.classification?.kind === taskType);
   }
 
   async getTrinityModelPerformance(options = {}) {
     const { model, taskType, limit = 100, hours = 168 } = options;
     const sinceTime = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
 
-    let query, params;
-    if (this.isProduction) {
-      query = `
-        SELECT * FROM conversations 
-        WHERE platform = $1 
-          AND type = $2
-          AND timestamp >= $3
-        ORDER BY timestamp DESC 
-        LIMIT $4
-      `;
-      params = ['trinity-ai-platform', 'performance_metric', sinceTime, limit];
-    } else {
-      query = `
-        SELECT * FROM conversations 
-        WHERE platform = ? 
-          AND type = ?
-          AND timestamp >= ?
-        ORDER BY timestamp DESC 
-        LIMIT ?
-      `;
-      params = ['trinity-ai-platform', 'performance_metric', sinceTime, limit];
+    let query = `
+      SELECT * FROM conversations 
+      WHERE platform = ? 
+        AND type = ?
+        AND timestamp >= ?
+    `;
+    const params = ['trinity-ai-platform', 'performance_metric', sinceTime];
+
+    if (model) {
+      query += ` AND ${this.storage.jsonField('context', 'model')} = ?`;
+      params.push(model);
     }
-
-    if (this.isProduction) {
-      const result = await this.db.query(query, params);
-      let rows = result.rows;
-      
-      // Filter by model or taskType if specified
-      if (model || taskType) {
-        rows = rows.filter(row => {
-          try {
-            const ctx = JSON.parse(row.context);
-            if (model && ctx.model !== model) return false;
-            if (taskType && ctx.task_type !== taskType) return false;
-            return true;
-          } catch (e) {
-            return false;
-          }
-        });
-      }
-      
-      return rows;
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.all(query, params, (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            // Filter by model or taskType if specified
-            if (model || taskType) {
-              rows = rows.filter(row => {
-                try {
-                  const ctx = JSON.parse(row.context);
-                  if (model && ctx.model !== model) return false;
-                  if (taskType && ctx.task_type !== taskType) return false;
-                  return true;
-                } catch (e) {
-                  return false;
-                }
-              });
-            }
-            resolve(rows);
-          }
-        });
-      });
+    if (taskType) {
+      query += ` AND ${this.storage.jsonField('context', 'task_type')} = ?`;
+      params.push(taskType);
     }
+
+    query += ' ORDER BY timestamp DESC LIMIT ?';
+    params.push(limit);
+
+    return await this.storage.all(query, params);
   }
 
   async getTrinityActiveSessions(hours = 1) {
     const sinceTime = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
 
-    const query = this.isProduction ?
-      `SELECT * FROM conversations 
-       WHERE platform = $1 
-         AND timestamp >= $2
-       ORDER BY timestamp DESC` :
+    return await this.storage.all(
       `SELECT * FROM conversations 
        WHERE platform = ? 
          AND timestamp >= ?
-       ORDER BY timestamp DESC`;
-
-    const params = ['trinity-ai-platform', sinceTime];
-
-    if (this.isProduction) {
-      const result = await this.db.query(query, params);
-      return result.rows;
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.all(query, params, (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
-    }
+       ORDER BY timestamp DESC`,
+      ['trinity-ai-platform', sinceTime]
+    );
   }
 
   async getTrinityCodeArtifacts(options = {}) {
     const { language, generatedBy, limit = 50 } = options;
 
-    const query = this.isProduction ?
-      `SELECT * FROM conversations 
-       WHERE platform = $1 
-         AND type = $2
-       ORDER BY timestamp DESC 
-       LIMIT $3` :
-      `SELECT * FROM conversations 
-       WHERE platform = ? 
-         AND type = ?
-       ORDER BY timestamp DESC 
-       LIMIT ?`;
-
-    const params = ['trinity-ai-platform', 'code_artifact', limit];
-
-    if (this.isProduction) {
-      const result = await this.db.query(query, params);
-      let rows = result.rows;
-      
-      // Filter by language or generatedBy if specified
-      if (language || generatedBy) {
-        rows = rows.filter(row => {
-          try {
-            const ctx = JSON.parse(row.context);
-            if (language && ctx.language !== language) return false;
-            if (generatedBy && ctx.generated_by !== generatedBy) return false;
-            return true;
-          } catch (e) {
-            return false;
-          }
-        });
-      }
-      
-      return rows;
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.all(query, params, (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            // Filter by language or generatedBy if specified
-            if (language || generatedBy) {
-              rows = rows.filter(row => {
-                try {
-                  const ctx = JSON.parse(row.context);
-                  if (language && ctx.language !== language) return false;
-                  if (generatedBy && ctx.generated_by !== generatedBy) return false;
-                  return true;
-                } catch (e) {
-                  return false;
-                }
-              });
-            }
-            resolve(rows);
-          }
-        });
-      });
+    let query = `
+      SELECT * FROM conversations 
+      WHERE platform = ? 
+        AND type = ?
+    `;
+    const params = ['trinity-ai-platform', 'code_artifact'];
+
+    if (language) {
+      query += ` AND ${this.storage.jsonField('context', 'language')} = ?`;
+      params.push(language);
     }
+    if (generatedBy) {
+      query += ` AND ${this.storage.jsonField('context', 'generated_by')} = ?`;
+      params.push(generatedBy);
+    }
+
+    query += ' ORDER BY timestamp DESC LIMIT ?';
+    params.push(limit);
+
+    return await this.storage.all(query, params);
   }
 
   // ============================================
@@ -746,395 +644,127 @@ class MemoryDatabase {
   // ============================================
 
   async storeAIContext(contextData) {
-    const { v4: uuidv4 } = require('uuid');
-    const id = uuidv4();
-    const { session_id, project_id, platform, context_data, ai_agent, timestamp } = contextData;
-
-    if (this.isProduction) {
-      await this.db.query(
-        `INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [
-          id,
-          platform,
-          project_id,
-          `AI Context: ${session_id}`,
-          JSON.stringify({ session_id, context_data, ai_agent }),
-          timestamp,
-          'ai_context'
-        ]
-      );
-    } else {
-      await new Promise((resolve, reject) => {
-        this.db.run(
-          `INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [id, platform, project_id, `AI Context: ${session_id}`, JSON.stringify({ session_id, context_data, ai_agent }), timestamp, 'ai_context'],
-          (err) => (err ? reject(err) : resolve())
-        );
-      });
-    }
-
-    return id;
+    return await this.insertConversation(aiContextRecord(contextData));
   }
 
   async getAIContext({ session_id, project_id, limit }) {
-    const query = project_id
-      ? `SELECT * FROM conversations WHERE type = 'ai_context' AND project_id = $1 AND context::text LIKE $2 ORDER BY timestamp DESC LIMIT $3`
-      : `SELECT * FROM conversations WHERE type = 'ai_context' AND context::text LIKE $1 ORDER BY timestamp DESC LIMIT $2`;
-    
-    const params = project_id 
-      ? [project_id, `%"session_id":"${session_id}"%`, limit]
-      : [`%"session_id":"${session_id}"%`, limit];
-
-    if (this.isProduction) {
-      const result = await this.db.query(query, params);
-      return result.rows;
-    } else {
-      const sqliteQuery = project_id
-        ? `SELECT * FROM conversations WHERE type = 'ai_context' AND project_id = ? AND context LIKE ? ORDER BY timestamp DESC LIMIT ?`
-        : `SELECT * FROM conversations WHERE type = 'ai_context' AND context LIKE ? ORDER BY timestamp DESC LIMIT ?`;
-      
-      return new Promise((resolve, reject) => {
-        this.db.all(sqliteQuery, params, (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
+    let query = `SELECT * FROM conversations WHERE type = 'ai_context' AND ${this.storage.jsonField('context', 'session_id')} = ?`;
+    const params = [session_id];
+
+    if (project_id) {
+      query += ' AND project_id = ?';
+      params.push(project_id);
     }
+
+    query += ' ORDER BY timestamp DESC LIMIT ?';
+    params.push(limit);
+
+    return await this.storage.all(query, params);
   }
 
   async getAIContextByProject({ project_id, platform, limit }) {
-    const query = platform
-      ? `SELECT * FROM conversations WHERE type = 'ai_context' AND project_id = $1 AND platform = $2 ORDER BY timestamp DESC LIMIT $3`
-      : `SELECT * FROM conversations WHERE type = 'ai_context' AND project_id = $1 ORDER BY timestamp DESC LIMIT $2`;
-    
-    const params = platform ? [project_id, platform, limit] : [project_id, limit];
-
-    if (this.isProduction) {
-      const result = await this.db.query(query, params);
-      return result.rows;
-    } else {
-      const sqliteQuery = platform
-        ? `SELECT * FROM conversations WHERE type = 'ai_context' AND project_id = ? AND platform = ? ORDER BY timestamp DESC LIMIT ?`
-        : `SELECT * FROM conversations WHERE type = 'ai_context' AND project_id = ? ORDER BY timestamp DESC LIMIT ?`;
-      
-      return new Promise((resolve, reject) => {
-        this.db.all(sqliteQuery, params, (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
+    let query = `SELECT * FROM conversations WHERE type = 'ai_context' AND project_id = ?`;
+    const params = [project_id];
+
+    if (platform) {
+      query += ' AND platform = ?';
+      params.push(platform);
     }
-  }
 
-  async storeAIFile(fileData) {
-    const { v4: uuidv4 } = require('uuid');
-    const id = uuidv4();
-    const { project_id, file_path, file_type, asset_category, metadata, uploaded_by, timestamp } = fileData;
+    query += ' ORDER BY timestamp DESC LIMIT ?';
+    params.push(limit);
 
-    if (this.isProduction) {
-      await this.db.query(
-        `INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [
-          id,
-          'ai-file-manager',
-          project_id,
-          `File: ${file_path}`,
-          JSON.stringify({ file_path, file_type, asset_category, metadata, uploaded_by }),
-          timestamp,
-          'ai_file'
-        ]
-      );
-    } else {
-      await new Promise((resolve, reject) => {
-        this.db.run(
-          `INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [id, 'ai-file-manager', project_id, `File: ${file_path}`, JSON.stringify({ file_path, file_type, asset_category, metadata, uploaded_by }), timestamp, 'ai_file'],
-          (err) => (err ? reject(err) : resolve())
-        );
-      });
-    }
+    return await this.storage.all(query, params);
+  }
 
-    return id;
+  async storeAIFile(fileData) {
+    return await this.insertConversation(aiFileRecord(fileData));
   }
 
   async addFileWatch({ project_id, file_path, last_modified, change_type, created_at }) {
-    const { v4: uuidv4 } = require('uuid');
     const id = uuidv4();
 
-    if (this.isProduction) {
-      await this.db.query(
-        `INSERT INTO file_watches (id, project_id, file_path, last_modified, change_type, created_at)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [id, project_id, file_path, last_modified, change_type, created_at]
-      );
-    } else {
-      await new Promise((resolve, reject) => {
-        this.db.run(
-          `INSERT INTO file_watches (id, project_id, file_path, last_modified, change_type, created_at)
-           VALUES (?, ?, ?, ?, ?, ?)`,
-          [id, project_id, file_path, last_modified, change_type, created_at],
-          (err) => (err ? reject(err) : resolve())
-        );
-      });
-    }
+    await this.storage.run(
+      `INSERT INTO file_watches (id, project_id, file_path, last_modified, change_type, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, project_id, file_path, last_modified, change_type, created_at]
+    );
 
     return id;
   }
 
   async getAIFiles({ project_id, asset_category, file_type, limit }) {
-    let query = `SELECT * FROM conversations WHERE type = 'ai_file' AND project_id = $1`;
+    let query = `SELECT * FROM conversations WHERE type = 'ai_file' AND project_id = ?`;
     const params = [project_id];
-    let paramIndex = 2;
 
     if (asset_category) {
-      query += ` AND context::text LIKE $${paramIndex}`;
-      params.push(`%"asset_category":"${asset_category}"%`);
-      paramIndex++;
+      query += ` AND ${this.storage.jsonField('context', 'asset_category')} = ?`;
+      params.push(asset_category);
     }
 
     if (file_type) {
-      query += ` AND context::text LIKE $${paramIndex}`;
-      params.push(`%"file_type":"${file_type}"%`);
-      paramIndex++;
+      query += ` AND ${this.storage.jsonField('context', 'file_type')} = ?`;
+      params.push(file_type);
     }
 
-    query += ` ORDER BY timestamp DESC LIMIT $${paramIndex}`;
+    query += ' ORDER BY timestamp DESC LIMIT ?';
     params.push(limit);
 
-    if (this.isProduction) {
-      const result = await this.db.query(query, params);
-      return result.rows;
-    } else {
-      let sqliteQuery = `SELECT * FROM conversations WHERE type = 'ai_file' AND project_id = ?`;
-      const sqliteParams = [project_id];
-
-      if (asset_category) {
-        sqliteQuery += ` AND context LIKE ?`;
-        sqliteParams.push(`%"asset_category":"${asset_category}"%`);
-      }
-
-      if (file_type) {
-        sqliteQuery += ` AND context LIKE ?`;
-        sqliteParams.push(`%"file_type":"${file_type}"%`);
-      }
-
-      sqliteQuery += ` ORDER BY timestamp DESC LIMIT ?`;
-      sqliteParams.push(limit);
-
-      return new Promise((resolve, reject) => {
-        this.db.all(sqliteQuery, sqliteParams, (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
-    }
+    return await this.storage.all(query, params);
   }
 
   async getAIFileById(file_id) {
-    const query = `SELECT * FROM conversations WHERE type = 'ai_file' AND id = $1`;
-
-    if (this.isProduction) {
-      const result = await this.db.query(query, [file_id]);
-      return result.rows[0] || null;
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.get(`SELECT * FROM conversations WHERE type = 'ai_file' AND id = ?`, [file_id], (err, row) => {
-          if (err) reject(err);
-          else resolve(row || null);
-        });
-      });
-    }
+    const row = await this.storage.get(`SELECT * FROM conversations WHERE type = 'ai_file' AND id = ?`, [file_id]);
+    return row || null;
   }
 
   async storeAIInsight(insightData) {
-    const { v4: uuidv4 } = require('uuid');
-    const id = uuidv4();
-    const { project_id, insight_type, content, confidence, metadata, generated_by, timestamp } = insightData;
-
-    if (this.isProduction) {
-      await this.db.query(
-        `INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [
-          id,
-          'ai-insights',
-          project_id,
-          content,
-          JSON.stringify({ insight_type, confidence, metadata, generated_by }),
-          timestamp,
-          'ai_insight'
-        ]
-      );
-    } else {
-      await new Promise((resolve, reject) => {
-        this.db.run(
-          `INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [id, 'ai-insights', project_id, content, JSON.stringify({ insight_type, confidence, metadata, generated_by }), timestamp, 'ai_insight'],
-          (err) => (err ? reject(err) : resolve())
-        );
-      });
-    }
-
-    return id;
+    return await this.insertConversation(aiInsightRecord(insightData));
   }
 
   async getAIInsights({ project_id, insight_type, min_confidence, limit }) {
-    let query = `SELECT * FROM conversations WHERE type = 'ai_insight' AND project_id = $1`;
+    let query = `SELECT * FROM conversations WHERE type = 'ai_insight' AND project_id = ?`;
     const params = [project_id];
-    let paramIndex = 2;
 
     if (insight_type) {
-      query += ` AND context::text LIKE $${paramIndex}`;
-      params.push(`%"insight_type":"${insight_type}"%`);
-      paramIndex++;
+      query += ` AND ${this.storage.jsonField('context', 'insight_type')} = ?`;
+      params.push(insight_type);
     }
 
-    query += ` ORDER BY timestamp DESC LIMIT $${paramIndex}`;
+    query += ' ORDER BY timestamp DESC LIMIT ?';
     params.push(limit);
 
-    if (this.isProduction) {
-      const result = await this.db.query(query, params);
-      
-      // Filter by confidence if specified
-      if (min_confidence > 0) {
-        return result.rows.filter(row => {
-          try {
-            const ctx = JSON.parse(row.context);
-            return ctx.confidence >= min_confidence;
-          } catch (e) {
-            return false;
-          }
-        });
-      }
-      
-      return result.rows;
-    } else {
-      let sqliteQuery = `SELECT * FROM conversations WHERE type = 'ai_insight' AND project_id = ?`;
-      const sqliteParams = [project_id];
-
-      if (insight_type) {
-        sqliteQuery += ` AND context LIKE ?`;
-        sqliteParams.push(`%"insight_type":"${insight_type}"%`);
-      }
-
-      sqliteQuery += ` ORDER BY timestamp DESC LIMIT ?`;
-      sqliteParams.push(limit);
-
-      return new Promise((resolve, reject) => {
-        this.db.all(sqliteQuery, sqliteParams, (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            // Filter by confidence if specified
-            if (min_confidence > 0) {
-              rows = rows.filter(row => {
-                try {
-                  const ctx = JSON.parse(row.context);
-                  return ctx.confidence >= min_confidence;
-                } catch (e) {
-                  return false;
-                }
-              });
-            }
-            resolve(rows);
-          }
-        });
-      });
-    }
+    const rows = await this.storage.all(query, params);
+    return filterByConfidence(rows, min_confidence);
   }
 
   async getAIInsightsByType({ insight_type, min_confidence, limit }) {
-    const query = `SELECT * FROM conversations WHERE type = 'ai_insight' AND context::text LIKE $1 ORDER BY timestamp DESC LIMIT $2`;
-    const params = [`%"insight_type":"${insight_type}"%`, limit];
-
-    if (this.isProduction) {
-      const result = await this.db.query(query, params);
-      
-      // Filter by confidence if specified
-      if (min_confidence > 0) {
-        return result.rows.filter(row => {
-          try {
-            const ctx = JSON.parse(row.context);
-            return ctx.confidence >= min_confidence;
-          } catch (e) {
-            return false;
-          }
-        });
-      }
-      
-      return result.rows;
-    } else {
-      const sqliteQuery = `SELECT * FROM conversations WHERE type = 'ai_insight' AND context LIKE ? ORDER BY timestamp DESC LIMIT ?`;
-      
-      return new Promise((resolve, reject) => {
-        this.db.all(sqliteQuery, params, (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            // Filter by confidence if specified
-            if (min_confidence > 0) {
-              rows = rows.filter(row => {
-                try {
-                  const ctx = JSON.parse(row.context);
-                  return ctx.confidence >= min_confidence;
-                } catch (e) {
-                  return false;
-                }
-              });
-            }
-            resolve(rows);
-          }
-        });
-      });
-    }
+    const rows = await this.storage.all(
+      `SELECT * FROM conversations WHERE type = 'ai_insight' AND ${this.storage.jsonField('context', 'insight_type')} = ? ORDER BY timestamp DESC LIMIT ?`,
+      [insight_type, limit]
+    );
+    return filterByConfidence(rows, min_confidence);
   }
 
   async getActiveAIAgents(project_id) {
-    const query = project_id
-      ? `SELECT DISTINCT context::text as context FROM conversations WHERE type = 'ai_context' AND project_id = $1 AND timestamp > NOW() - INTERVAL '1 hour'`
-      : `SELECT DISTINCT context::text as context FROM conversations WHERE type = 'ai_context' AND timestamp > NOW() - INTERVAL '1 hour'`;
-    
-    const params = project_id ? [project_id] : [];
-
-    if (this.isProduction) {
-      const result = await this.db.query(query, params);
-      const agents = new Set();
-      
-      result.rows.forEach(row => {
-        try {
-          const ctx = JSON.parse(row.context);
-          if (ctx.ai_agent) agents.add(ctx.ai_agent);
-        } catch (e) {}
-      });
-      
-      return Array.from(agents);
-    } else {
-      const sqliteQuery = project_id
-        ? `SELECT DISTINCT context FROM conversations WHERE type = 'ai_context' AND project_id = ? AND datetime(timestamp) > datetime('now', '-1 hour')`
-        : `SELECT DISTINCT context FROM conversations WHERE type = 'ai_context' AND datetime(timestamp) > datetime('now', '-1 hour')`;
-      
-      return new Promise((resolve, reject) => {
-        this.db.all(sqliteQuery, params, (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            const agents = new Set();
-            rows.forEach(row => {
-              try {
-                const ctx = JSON.parse(row.context);
-                if (ctx.ai_agent) agents.add(ctx.ai_agent);
-              } catch (e) {}
-            });
-            resolve(Array.from(agents));
-          }
-        });
-      });
+    // Timestamps are ISO strings, so a string comparison against an ISO cutoff works on both backends
+    const since = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    let query = `SELECT DISTINCT context FROM conversations WHERE type = 'ai_context' AND timestamp > ?`;
+    const params = [since];
+
+    if (project_id) {
+      query += ' AND project_id = ?';
+      params.push(project_id);
     }
+
+    const rows = await this.storage.all(query, params);
+    const agents = new Set();
+    rows.forEach(row => {
+      const ctx = parseJSON(row.context);
+      if (ctx?.ai_agent) agents.add(ctx.ai_agent);
+    });
+
+    return Array.from(agents);
   }
 
   async getAICoordinationSummary(project_id) {
@@ -1173,317 +803,96 @@ class MemoryDatabase {
     // Ensure we have a timestamp
     scanned_at = scanned_at || overview.scanned_at || new Date().toISOString();
 
-    if (this.isProduction) {
-      const query = `
-        INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-        ON CONFLICT (id) DO UPDATE SET
-          context = EXCLUDED.context,
-          timestamp = EXCLUDED.timestamp
-        RETURNING id
-      `;
-
-      const result = await this.db.query(query, [
-        `scan-${project_id}-${Date.now()}`,
-        platform,
-        project_id,
-        `Project Scan: ${overview.name || project_id}`,
-        JSON.stringify(overview),
-        scanned_at,
-        'project_scan'
-      ]);
-
-      return { scan_id: result.rows[0].id };
-    } else {
-      return new Promise((resolve, reject) => {
-        const scanId = `scan-${project_id}-${Date.now()}`;
-        
-        this.db.run(
-          `INSERT OR REPLACE INTO conversations (id, platform, project_id, message, context, timestamp, type)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [
-            scanId,
-            platform,
-            project_id,
-            `Project Scan: ${overview.name || project_id}`,
-            JSON.stringify(overview),
-            scanned_at,
-            'project_scan'
-          ],
-          (err) => {
-            if (err) reject(err);
-            else resolve({ scan_id: scanId });
-          }
-        );
-      });
-    }
+    const scanId = `scan-${project_id}-${Date.now()}`;
+    const message = `Project Scan: ${overview.name || project_id}`;
+    const context = JSON.stringify(overview);
+    // Not sealed even under field encryption: a scan describes the project
+    // rather than remembering anything, and getProjectScans() LIKE-searches it
+    await this.storage.upsert('conversations', {
+      id: scanId,
+      platform,
+      project_id,
+      message,
+      context,
+      timestamp: scanned_at,
+      type: 'project_scan'
+    }, ['id'], { update: ['context', 'timestamp'] });
+    await this.storage.indexTokens('conversations', scanId, [message, context]);
+
+    return { scan_id: scanId };
   }
 
   async getProjectScans({ limit = 100, technology, search }) {
-    if (this.isProduction) {
-      let query = `
-        SELECT id, platform, project_id, context, timestamp
-        FROM conversations
-        WHERE type = 'project_scan'
-      `;
-
-      const params = [];
-      let paramCount = 1;
-
-      if (technology) {
-        query += ` AND context::jsonb @> $${paramCount}::jsonb`;
-        params.push(JSON.stringify({ technologies: [technology] }));
-        paramCount++;
-      }
-
-      if (search) {
-        query += ` AND (project_id ILIKE $${paramCount} OR context::text ILIKE $${paramCount})`;
-        params.push(`%${search}%`);
-        paramCount++;
-      }
+    let query = `
+      SELECT id, platform, project_id, context, timestamp
+      FROM conversations
+      WHERE type = 'project_scan'
+    `;
+    const params = [];
+
+    if (technology) {
+      query += ` AND ${this.storage.jsonArrayContains('context', 'technologies')}`;
+      params.push(technology);
+    }
 
-      query += ` ORDER BY timestamp DESC LIMIT $${paramCount}`;
-      params.push(limit);
-
-      const result = await this.db.query(query, params);
-
-      return result.rows.map(row => ({
-        scan_id: row.id,
-        project_id: row.project_id,
-        platform: row.platform,
-        overview: row.context,
-        scanned_at: row.timestamp
-      }));
-    } else {
-      return new Promise((resolve, reject) => {
-        let query = `
-          SELECT id, platform, project_id, context, timestamp
-          FROM conversations
-          WHERE type = 'project_scan'
-        `;
-
-        const params = [];
-
-        // SQLite text search (simplified)
-        if (search) {
-          query += ` AND (project_id LIKE ? OR context LIKE ?)`;
-          params.push(`%${search}%`, `%${search}%`);
-        }
-
-        query += ` ORDER BY timestamp DESC LIMIT ?`;
-        params.push(limit);
-
-        this.db.all(query, params, (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            const projects = rows
-              .map(row => {
-                try {
-                  const overview = JSON.parse(row.context);
-                  
-                  // Filter by technology if specified
-                  if (technology && !overview.technologies?.includes(technology)) {
-                    return null;
-                  }
-
-                  return {
-                    scan_id: row.id,
-                    project_id: row.project_id,
-                    platform: row.platform,
-                    overview,
-                    scanned_at: row.timestamp
-                  };
-                } catch (e) {
-                  return null;
-                }
-              })
-              .filter(p => p !== null);
-
-            resolve(projects);
-          }
-        });
-      });
+    if (search) {
+      query += ` AND (project_id ${this.storage.ilike} ? OR context ${this.storage.ilike} ?)`;
+      params.push(`%${search}%`, `%${search}%`);
     }
+
+    query += ' ORDER BY timestamp DESC LIMIT ?';
+    params.push(limit);
+
+    const rows = await this.storage.all(query, params);
+    return rows.map(formatProjectScan).filter(Boolean);
   }
 
   async getProjectScan(project_id) {
-    if (this.isProduction) {
-      const query = `
-        SELECT id, platform, project_id, context, timestamp
-        FROM conversations
-        WHERE type = 'project_scan' AND project_id = $1
-        ORDER BY timestamp DESC
-        LIMIT 1
-      `;
-
-      const result = await this.db.query(query, [project_id]);
-
-      if (result.rows.length === 0) return null;
-
-      const row = result.rows[0];
-      return {
-        scan_id: row.id,
-        project_id: row.project_id,
-        platform: row.platform,
-        overview: row.context,
-        scanned_at: row.timestamp
-      };
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.get(
-          `SELECT id, platform, project_id, context, timestamp
-           FROM conversations
-           WHERE type = 'project_scan' AND project_id = ?
-           ORDER BY timestamp DESC
-           LIMIT 1`,
-          [project_id],
-          (err, row) => {
-            if (err) {
-              reject(err);
-            } else if (!row) {
-              resolve(null);
-            } else {
-              try {
-                resolve({
-                  scan_id: row.id,
-                  project_id: row.project_id,
-                  platform: row.platform,
-                  overview: JSON.parse(row.context),
-                  scanned_at: row.timestamp
-                });
-              } catch (e) {
-                reject(e);
-              }
-            }
-          }
-        );
-      });
-    }
+    const row = await this.storage.get(
+      `SELECT id, platform, project_id, context, timestamp
+       FROM conversations
+       WHERE type = 'project_scan' AND project_id = ?
+       ORDER BY timestamp DESC
+       LIMIT 1`,
+      [project_id]
+    );
+
+    return row ? formatProjectScan(row) : null;
   }
 
   async searchProjectsByTechnology(technology, limit = 50) {
-    if (this.isProduction) {
-      const query = `
-        SELECT id, platform, project_id, context, timestamp
-        FROM conversations
-        WHERE type = 'project_scan'
-          AND context::jsonb -> 'technologies' ? $1
-        ORDER BY timestamp DESC
-        LIMIT $2
-      `;
-
-      const result = await this.db.query(query, [technology, limit]);
-
-      return result.rows.map(row => ({
-        scan_id: row.id,
-        project_id: row.project_id,
-        platform: row.platform,
-        overview: row.context,
-        scanned_at: row.timestamp
-      }));
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.all(
-          `SELECT id, platform, project_id, context, timestamp
-           FROM conversations
-           WHERE type = 'project_scan'
-           ORDER BY timestamp DESC`,
-          (err, rows) => {
-            if (err) {
-              reject(err);
-            } else {
-              const projects = rows
-                .map(row => {
-                  try {
-                    const overview = JSON.parse(row.context);
-                    if (overview.technologies?.includes(technology)) {
-                      return {
-                        scan_id: row.id,
-                        project_id: row.project_id,
-                        platform: row.platform,
-                        overview,
-                        scanned_at: row.timestamp
-                      };
-                    }
-                    return null;
-                  } catch (e) {
-                    return null;
-                  }
-                })
-                .filter(p => p !== null)
-                .slice(0, limit);
-
-              resolve(projects);
-            }
-          }
-        );
-      });
-    }
+    const rows = await this.storage.all(`
+      SELECT id, platform, project_id, context, timestamp
+      FROM conversations
+      WHERE type = 'project_scan'
+        AND ${this.storage.jsonArrayContains('context', 'technologies')}
+      ORDER BY timestamp DESC
+      LIMIT ?
+    `, [technology, limit]);
+
+    return rows.map(formatProjectScan).filter(Boolean);
   }
 
   async getProjectStatsSummary() {
-    if (this.isProduction) {
-      const query = `
-        SELECT 
-          COUNT(*) as total_projects,
-          COUNT(DISTINCT project_id) as unique_projects,
-          jsonb_agg(DISTINCT context->'technologies') as all_technologies
-        FROM conversations
-        WHERE type = 'project_scan'
-      `;
-
-      const result = await this.db.query(query);
-      const row = result.rows[0];
-
-      // Extract unique technologies
-      const technologies = new Set();
-      if (row.all_technologies) {
-        row.all_technologies.forEach(techArray => {
-          if (Array.isArray(techArray)) {
-            techArray.forEach(tech => technologies.add(tech));
-          }
-        });
+    const rows = await this.storage.all(`SELECT project_id, context FROM conversations WHERE type = 'project_scan'`);
+
+    const projects = new Set();
+    const technologies = new Set();
+    rows.forEach(row => {
+      projects.add(row.project_id);
+      const overview = parseJSON(row.context);
+      if (Array.isArray(overview?.technologies)) {
+        overview.technologies.forEach(tech => technologies.add(tech));
       }
+    });
 
-      return {
-        total_scans: parseInt(row.total_projects),
-        unique_projects: parseInt(row.unique_projects),
-        technologies: Array.from(technologies).sort(),
-        technology_count: technologies.size,
-        timestamp: new Date().toISOString()
-      };
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.all(
-          `SELECT context FROM conversations WHERE type = 'project_scan'`,
-          (err, rows) => {
-            if (err) {
-              reject(err);
-            } else {
-              const projects = new Set();
-              const technologies = new Set();
-
-              rows.forEach(row => {
-                try {
-                  const overview = JSON.parse(row.context);
-                  projects.add(overview.project_id);
-                  overview.technologies?.forEach(tech => technologies.add(tech));
-                } catch (e) {}
-              });
-
-              resolve({
-                total_scans: rows.length,
-                unique_projects: projects.size,
-                technologies: Array.from(technologies).sort(),
-                technology_count: technologies.size,
-                timestamp: new Date().toISOString()
-              });
-            }
-          }
-        );
-      });
-    }
+    return {
+      total_scans: rows.length,
+      unique_projects: projects.size,
+      technologies: Array.from(technologies).sort(),
+      technology_count: technologies.size,
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
@@ -1494,42 +903,19 @@ class MemoryDatabase {
    */
   async getAIConversations(options = {}) {
     const { status, limit = 50 } = options;
-    
-    if (this.isProduction) {
-      let query = `SELECT * FROM conversations WHERE type = 'ai_conversation'`;
-      const params = [];
-      let paramCounter = 1;
-
-      if (status && status !== 'all') {
-        query += ` AND context::jsonb->>'status' = $${paramCounter}`;
-        params.push(status);
-        paramCounter++;
-      }
 
-      query += ` ORDER BY timestamp DESC LIMIT $${paramCounter}`;
-      params.push(limit);
+    let query = `SELECT * FROM conversations WHERE type = 'ai_conversation'`;
+    const params = [];
 
-      const result = await this.db.query(query, params);
-      return result.rows;
-    } else {
-      return new Promise((resolve, reject) => {
-        let query = `SELECT * FROM conversations WHERE type = 'ai_conversation'`;
-        const params = [];
-
-        if (status && status !== 'all') {
-          query += ` AND json_extract(context, '$.status') = ?`;
-          params.push(status);
-        }
+    if (status && status !== 'all') {
+      query += ` AND ${this.storage.jsonField('context', 'status')} = ?`;
+      params.push(status);
+    }
 
-        query += ` ORDER BY timestamp DESC LIMIT ?`;
-        params.push(limit);
+    query += ' ORDER BY timestamp DESC LIMIT ?';
+    params.push(limit);
 
-        this.db.all(query, params, (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
-    }
+    return await this.storage.all(query, params);
   }
 
   /**
@@ -1539,29 +925,13 @@ class MemoryDatabase {
    */
   async getDerekBroadcasts(options = {}) {
     const { limit = 50 } = options;
-    
-    if (this.isProduction) {
-      const query = `
-        SELECT * FROM conversations 
-        WHERE type = 'derek_broadcast' 
-        ORDER BY timestamp DESC 
-        LIMIT $1
-      `;
-      const result = await this.db.query(query, [limit]);
-      return result.rows;
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.all(`
-          SELECT * FROM conversations 
-          WHERE type = 'derek_broadcast' 
-          ORDER BY timestamp DESC 
-          LIMIT ?
-        `, [limit], (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
-    }
+
+    return await this.storage.all(`
+      SELECT * FROM conversations 
+      WHERE type = 'derek_broadcast' 
+      ORDER BY timestamp DESC 
+      LIMIT ?
+    `, [limit]);
   }
 
   /**
@@ -1571,75 +941,139 @@ class MemoryDatabase {
    */
   async getVisitorLogs(options = {}) {
     const { limit = 100 } = options;
-    
-    if (this.isProduction) {
-      const query = `
-        SELECT * FROM conversations 
-        WHERE type = 'visitor_log' 
-        ORDER BY timestamp DESC 
-        LIMIT $1
-      `;
-      const result = await this.db.query(query, [limit]);
-      return result.rows;
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.all(`
-          SELECT * FROM conversations 
-          WHERE type = 'visitor_log' 
-          ORDER BY timestamp DESC 
-          LIMIT ?
-        `, [limit], (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
-    }
+
+    return await this.storage.all(`
+      SELECT * FROM conversations 
+      WHERE type = 'visitor_log' 
+      ORDER BY timestamp DESC 
+      LIMIT ?
+    `, [limit]);
   }
 
   /**
    * Update AI conversation status
    * @param {string} id - Conversation ID
-   * @param {Object} updates - Fields to update
+   * @param {Object} updates - Fields to merge into the conversation context
    */
   async updateAIConversation(id, updates) {
-    if (this.isProduction) {
-      // For PostgreSQL, we need to update the context JSON field
-      const query = `
-        UPDATE conversations 
-        SET context = context || $1::jsonb
-        WHERE id = $2 AND type = 'ai_conversation'
-        RETURNING *
-      `;
-      const result = await this.db.query(query, [JSON.stringify(updates), id]);
-      return result.rows[0];
-    } else {
-      return new Promise((resolve, reject) => {
-        // For SQLite, we need to read, merge, and write back
-        this.db.get('SELECT * FROM conversations WHERE id = ? AND type = ?', [id, 'ai_conversation'], (err, row) => {
-          if (err) return reject(err);
-          if (!row) return reject(new Error('Conversation not found'));
-
-          const context = typeof row.context === 'string' ? JSON.parse(row.context) : row.context;
-          const updatedContext = JSON.stringify({ ...context, ...updates });
-
-          this.db.run('UPDATE conversations SET context = ? WHERE id = ?', [updatedContext, id], (err) => {
-            if (err) return reject(err);
-            resolve({ ...row, context: JSON.parse(updatedContext) });
-          });
-        });
-      });
-    }
+    // context is JSON text on both backends: read, merge and write back atomically
+    return await this.storage.transaction(async (tx) => {
+      const row = await tx.get('SELECT * FROM conversations WHERE id = ? AND type = ?', [id, 'ai_conversation']);
+      if (!row) throw new Error('Conversation not found');
+
+      const context = { ...parseJSON(row.context), ...updates };
+      const updatedAt = new Date().toISOString();
+      const sealed = await tx.seal('conversations', { project_id: row.project_id, context: JSON.stringify(context) });
+      await tx.run('UPDATE conversations SET context = ?, updated_at = ? WHERE id = ?', [sealed.context, updatedAt, id]);
+      await tx.indexTokens('conversations', id, [row.message, context]);
+      await this.recordRevision(tx, 'update', { ...row, context: JSON.stringify(context), updated_at: updatedAt }, { changedAt: updatedAt });
+      return { ...row, context, updated_at: updatedAt };
+    });
   }
 
   async close() {
+    // Never close half-way through init or a backfill
+    await this.ready.catch(() => {});
+    await this.backfill;
     if (this.db) {
-      if (this.isProduction) {
-        await this.db.end();
-      } else {
-        this.db.close();
-      }
+      const db = this.db;
+      this.db = null;
+      await closeDatabase({ db, isProduction: this.isProduction });
     }
   }
 }
 
-module.exports = MemoryDatabase;
\ No newline at end of file
+// JSON text column -> object; null when missing or malformed
+function parseJSON(value) {
+  if (value && typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+function formatConversation(row) {
+  return { ...row, context: parseJSON(row.context) || {} };
+}
+
+// The stored columns only (Postgres rows also carry the generated search_vector)
+function conversationFields(row) {
+  const { id, platform, project_id, message, context, timestamp, type, expires_at = null, updated_at = null } = row;
+  return { id, platform, project_id, message, context, timestamp, type, expires_at, updated_at };
+}
+
+function filterByConfidence(rows, minConfidence) {
+  if (!(minConfidence > 0)) return rows;
+  return rows.filter(row => parseJSON(row.context)?.confidence >= minConfidence);
+}
+
+// Internal conversation records: what the Trinity code artifact and AI
+// coordination methods store, built apart so the hub can screen them first
+// (core/memory-server.js)
+function codeArtifactRecord(data) {
+  const { artifact_id, language, content, generated_by, task_context, version } = data;
+  return {
+    id: data.id,
+    platform: 'trinity-ai-platform',
+    projectId: data.projectId,
+    message: `Trinity code artifact: ${language} code generated by ${generated_by} - ${task_context}`,
+    context: { artifact_id, language, content, generated_by, task_context, version },
+    timestamp: data.timestamp,
+    type: 'code_artifact'
+  };
+}
+
+function aiContextRecord({ session_id, project_id, platform, context_data, ai_agent, timestamp }) {
+  return {
+    id: uuidv4(),
+    platform,
+    projectId: project_id,
+    message: `AI Context: ${session_id}`,
+    context: { session_id, context_data, ai_agent },
+    timestamp,
+    type: 'ai_context'
+  };
+}
+
+function aiFileRecord({ project_id, file_path, file_type, asset_category, metadata, uploaded_by, timestamp }) {
+  return {
+    id: uuidv4(),
+    platform: 'ai-file-manager',
+    projectId: project_id,
+    message: `File: ${file_path}`,
+    context: { file_path, file_type, asset_category, metadata, uploaded_by },
+    timestamp,
+    type: 'ai_file'
+  };
+}
+
+function aiInsightRecord({ project_id, insight_type, content, confidence, metadata, generated_by, timestamp }) {
+  return {
+    id: uuidv4(),
+    platform: 'ai-insights',
+    projectId: project_id,
+    message: content,
+    context: { insight_type, confidence, metadata, generated_by },
+    timestamp,
+    type: 'ai_insight'
+  };
+}
+
+function formatProjectScan(row) {
+  const overview = parseJSON(row.context);
+  if (!overview) return null;
+  return {
+    scan_id: row.id,
+    project_id: row.project_id,
+    platform: row.platform,
+    overview,
+    scanned_at: row.timestamp
+  };
+}
+
+module.exports = MemoryDatabase;
+module.exports.codeArtifactRecord = codeArtifactRecord;
+module.exports.aiContextRecord = aiContextRecord;
+module.exports.aiFileRecord = aiFileRecord;
+module.exports.aiInsightRecord = aiInsightRecord;
\ No newline at end of file
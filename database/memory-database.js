@@ -2,450 +2,240 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs-extra');
+const EmbeddingStore = require('./embedding-store');
+const FullTextSearch = require('./fulltext-search');
+const ApiKeyStore = require('./api-key-store');
+const RetentionStore = require('./retention-store');
+const PatternStore = require('./pattern-store');
+const SessionStore = require('./session-store');
+const { sessionIdOf } = require('./session-store');
+const TenantStore = require('./tenant-store');
+const { DEFAULT_TENANT } = require('./tenant-store');
+const StorageAdapter = require('./storage-adapter');
+const { migrateOnStartup } = require('./migration-runner');
+const { resolveBackend } = require('./connection');
 
 class MemoryDatabase {
-  constructor() {
-    this.dbPath = path.join(__dirname, '../database/scri-core-memory.db');
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.backend] - 'memory' keeps everything in RAM;
+   *   any other backend uses the SQLite file
+   * @param {string} [options.sqlitePath]
+   * @param {string} [options.tenantId] - the tenant whose database this is (default: 'default')
+   */
+  constructor(options = {}) {
+    this.dbPath = resolveBackend(options.backend) === 'memory'
+      ? ':memory:'
+      : options.sqlitePath || path.join(__dirname, '../database/scri-core-memory.db');
+    this.tenantId = options.tenantId || DEFAULT_TENANT;
     this.db = null;
-    this.init();
+    this.embeddings = null;
+    this.fullText = null;
+    this.apiKeys = null;
+    this.retention = null;
+    this.patterns = null;
+    this.sessions = null;
+    this.tenants = null;
+    this.storage = new StorageAdapter(this);
+    this.ready = this.init();
   }
 
   async init() {
     // Ensure database directory exists
-    await fs.ensureDir(path.dirname(this.dbPath));
+    if (this.dbPath !== ':memory:') {
+      await fs.ensureDir(path.dirname(this.dbPath));
+    }
     
-    this.db = new sqlite3.Database(this.dbPath);
-    await this.createTables();
-    console.log('💾 SCRI Core Memory Database initialized');
-  }
+    const db = new sqlite3.Database(this.dbPath);
+    this.db = db;
+    await migrateOnStartup(this);
 
-  createTables() {
-    return new Promise((resolve, reject) => {
-      this.db.serialize(() => {
-        // Conversations table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS conversations (
-            id TEXT PRIMARY KEY,
-            platform TEXT NOT NULL,
-            project_id TEXT NOT NULL,
-            message TEXT NOT NULL,
-            context TEXT,
-            timestamp TEXT NOT NULL,
-            type TEXT DEFAULT 'general'
-          )
-        `);
+    // A later init() (e.g. after dbPath was changed) owns the connection now
+    if (this.db !== db) return;
 
-        // Projects table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS projects (
-            id TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            path TEXT NOT NULL,
-            type TEXT NOT NULL,
-            framework TEXT,
-            last_modified TEXT,
-            ai_enabled BOOLEAN DEFAULT 0,
-            config TEXT
-          )
-        `);
+    this.apiKeys = new ApiKeyStore(this);
+    this.retention = new RetentionStore(this);
+    this.patterns = new PatternStore(this);
+    this.sessions = new SessionStore(this);
+    this.tenants = new TenantStore(this);
 
-        // AI learning patterns table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS patterns (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            project_id TEXT NOT NULL,
-            pattern_type TEXT NOT NULL,
-            pattern_data TEXT NOT NULL,
-            success_rate REAL DEFAULT 0.0,
-            usage_count INTEGER DEFAULT 0,
-            created_at TEXT NOT NULL,
-            updated_at TEXT NOT NULL
-          )
-        `);
+    this.fullText = new FullTextSearch(this);
+    await this.fullText.initialize();
 
-        // Platform sessions table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS sessions (
-            id TEXT PRIMARY KEY,
-            platform TEXT NOT NULL,
-            project_id TEXT NOT NULL,
-            started_at TEXT NOT NULL,
-            ended_at TEXT,
-            duration INTEGER,
-            conversation_count INTEGER DEFAULT 0
-          )
-        `);
-
-        // Create indexes for better performance
-        this.db.run(`CREATE INDEX IF NOT EXISTS idx_conversations_project ON conversations(project_id)`);
-        this.db.run(`CREATE INDEX IF NOT EXISTS idx_conversations_platform ON conversations(platform)`);
-        this.db.run(`CREATE INDEX IF NOT EXISTS idx_conversations_timestamp ON conversations(timestamp)`);
-        this.db.run(`CREATE INDEX IF NOT EXISTS idx_patterns_project ON patterns(project_id)`);
-
-        resolve();
-      });
-    });
+    this.embeddings = new EmbeddingStore(this);
+    await this.embeddings.createTables();
+    console.log('💾 SCRI Core Memory Database initialized');
   }
 
   // Conversation methods
-  addConversation(conversation) {
-    return new Promise((resolve, reject) => {
-      const stmt = this.db.prepare(`
-        INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-      `);
-
-      stmt.run([
-        conversation.id,
-        conversation.platform,
-        conversation.projectId,
-        conversation.message,
-        JSON.stringify(conversation.context),
-        conversation.timestamp,
-        conversation.type
-      ], function(err) {
-        if (err) reject(err);
-        else resolve(this.lastID);
-      });
-
-      stmt.finalize();
-    });
-  }
-
-  getConversationsByProject(projectId, limit = 100) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT * FROM conversations 
-         WHERE project_id = ? 
-         ORDER BY timestamp DESC 
-         LIMIT ?`,
-        [projectId, limit],
-        (err, rows) => {
-          if (err) reject(err);
-          else {
-            const conversations = rows.map(row => ({
-              ...row,
-              context: JSON.parse(row.context || '{}')
-            }));
-            resolve(conversations);
-          }
-        }
-      );
-    });
-  }
-
-  getConversationsByPlatform(platform, limit = 100) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT * FROM conversations 
-         WHERE platform = ? 
-         ORDER BY timestamp DESC 
-         LIMIT ?`,
-        [platform, limit],
-        (err, rows) => {
-          if (err) reject(err);
-          else {
-            const conversations = rows.map(row => ({
-              ...row,
-              context: JSON.parse(row.context || '{}')
-            }));
-            resolve(conversations);
-          }
-        }
-      );
-    });
-  }
-
-  getConversationCount() {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT COUNT(*) as count FROM conversations',
-        (err, row) => {
-          if (err) reject(err);
-          else resolve(row.count);
-        }
-      );
-    });
+  async addConversation(conversation) {
+    const { lastID } = await this.storage.run(`
+      INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      conversation.id,
+      conversation.platform,
+      conversation.projectId,
+      conversation.message,
+      JSON.stringify(conversation.context),
+      conversation.timestamp,
+      conversation.type,
+      conversation.expiresAt || null
+    ]);
+    await this.sessions.link(sessionIdOf(conversation), 'conversations', conversation.id, conversation.projectId);
+
+    if (this.embeddings) {
+      await this.embeddings.indexConversation(conversation);
+    }
+    return lastID;
   }
 
-  // Project methods
-  addProject(project) {
-    return new Promise((resolve, reject) => {
-      const stmt = this.db.prepare(`
-        INSERT OR REPLACE INTO projects 
-        (id, name, path, type, framework, last_modified, ai_enabled, config)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-
-      stmt.run([
-        project.id,
-        project.name,
-        project.path,
-        project.type,
-        project.framework,
-        project.lastModified,
-        project.aiEnabled ? 1 : 0,
-        JSON.stringify(project.config)
-      ], function(err) {
-        if (err) reject(err);
-        else resolve(this.lastID);
-      });
-
-      stmt.finalize();
-    });
+  semanticSearchConversations(query, options = {}) {
+    return this.embeddings.search(query, options);
   }
 
-  getProject(projectId) {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT * FROM projects WHERE id = ?',
-        [projectId],
-        (err, row) => {
-          if (err) reject(err);
-          else if (row) {
-            resolve({
-              ...row,
-              aiEnabled: row.ai_enabled === 1,
-              config: JSON.parse(row.config || '{}')
-            });
-          } else {
-            resolve(null);
-          }
-        }
-      );
-    });
+  async searchConversations(query, options = {}) {
+    const rows = await this.fullText.search(query, options);
+    return rows.map(row => ({
+      ...row,
+      context: JSON.parse(row.context || '{}')
+    }));
   }
 
-  getAllProjects() {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        'SELECT * FROM projects ORDER BY last_modified DESC',
-        (err, rows) => {
-          if (err) reject(err);
-          else {
-            const projects = rows.map(row => ({
-              ...row,
-              aiEnabled: row.ai_enabled === 1,
-              config: JSON.parse(row.config || '{}')
-            }));
-            resolve(projects);
-          }
-        }
-      );
-    });
+  async getConversationsByProject(projectId, limit = 100) {
+    const rows = await this.storage.all(
+      `SELECT * FROM conversations 
+       WHERE project_id = ? 
+       ORDER BY timestamp DESC 
+       LIMIT ?`,
+      [projectId, limit]
+    );
+    return rows.map(row => ({
+      ...row,
+      context: JSON.parse(row.context || '{}')
+    }));
   }
 
-  // Pattern learning methods
-  addPattern(projectId, patternType, patternData, successRate = 0.0) {
-    return new Promise((resolve, reject) => {
-      const now = new Date().toISOString();
-      const stmt = this.db.prepare(`
-        INSERT INTO patterns (project_id, pattern_type, pattern_data, success_rate, usage_count, created_at, updated_at)
-        VALUES (?, ?, ?, ?, 1, ?, ?)
-      `);
-
-      stmt.run([
-        projectId,
-        patternType,
-        JSON.stringify(patternData),
-        successRate,
-        now,
-        now
-      ], function(err) {
-        if (err) reject(err);
-        else resolve(this.lastID);
-      });
-
-      stmt.finalize();
-    });
+  async getConversationsByPlatform(platform, limit = 100) {
+    const rows = await this.storage.all(
+      `SELECT * FROM conversations 
+       WHERE platform = ? 
+       ORDER BY timestamp DESC 
+       LIMIT ?`,
+      [platform, limit]
+    );
+    return rows.map(row => ({
+      ...row,
+      context: JSON.parse(row.context || '{}')
+    }));
   }
 
-  getPatterns(projectId, patternType = null) {
-    return new Promise((resolve, reject) => {
-      let query = 'SELECT * FROM patterns WHERE project_id = ?';
-      let params = [projectId];
-
-      if (patternType) {
-        query += ' AND pattern_type = ?';
-        params.push(patternType);
-      }
-
-      query += ' ORDER BY success_rate DESC, usage_count DESC';
-
-      this.db.all(query, params, (err, rows) => {
-        if (err) reject(err);
-        else {
-          const patterns = rows.map(row => ({
-            ...row,
-            pattern_data: JSON.parse(row.pattern_data)
-          }));
-          resolve(patterns);
-        }
-      });
-    });
+  async getConversationCount() {
+    const row = await this.storage.get('SELECT COUNT(*) as count FROM conversations');
+    return Number(row.count);
   }
 
-  updatePatternUsage(patternId, successful = true) {
-    return new Promise((resolve, reject) => {
-      // First get current stats
-      this.db.get(
-        'SELECT usage_count, success_rate FROM patterns WHERE id = ?',
-        [patternId],
-        (err, row) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (!row) {
-            reject(new Error('Pattern not found'));
-            return;
-          }
-
-          const newUsageCount = row.usage_count + 1;
-          const currentSuccesses = Math.round(row.success_rate * row.usage_count);
-          const newSuccesses = successful ? currentSuccesses + 1 : currentSuccesses;
-          const newSuccessRate = newSuccesses / newUsageCount;
-
-          // Update the pattern
-          this.db.run(
-            `UPDATE patterns 
-             SET usage_count = ?, success_rate = ?, updated_at = ?
-             WHERE id = ?`,
-            [newUsageCount, newSuccessRate, new Date().toISOString(), patternId],
-            function(err) {
-              if (err) reject(err);
-              else resolve(this.changes);
-            }
-          );
-        }
-      );
-    });
+  // Project methods
+  async addProject(project) {
+    const { lastID } = await this.storage.upsert('projects', {
+      id: project.id,
+      name: project.name,
+      path: project.path,
+      type: project.type,
+      framework: project.framework,
+      last_modified: project.lastModified,
+      ai_enabled: project.aiEnabled ? 1 : 0,
+      config: JSON.stringify(project.config)
+    }, ['id']);
+    return lastID;
+  }
+
+  async getProject(projectId) {
+    const row = await this.storage.get('SELECT * FROM projects WHERE id = ?', [projectId]);
+    if (!row) return null;
+    return {
+      ...row,
+      aiEnabled: Boolean(row.ai_enabled),
+      config: JSON.parse(row.config || '{}')
+    };
+  }
+
+  async getAllProjects() {
+    const rows = await this.storage.all('SELECT * FROM projects ORDER BY last_modified DESC');
+    return rows.map(row => ({
+      ...row,
+      aiEnabled: Boolean(row.ai_enabled),
+      config: JSON.parse(row.config || '{}')
+    }));
+  }
+
+  // Pattern learning methods (database/pattern-store.js)
+  async addPattern(projectId, patternType, patternData, successRate = 0.0) {
+    return await this.patterns.add(projectId, patternType, patternData, successRate);
+  }
+
+  async getPatterns(projectId, patternType = null, { language = null } = {}) {
+    return await this.patterns.list(projectId, { type: patternType, language });
+  }
+
+  async updatePatternUsage(patternId, successful = true) {
+    const pattern = await this.patterns.recordOutcome(patternId, successful);
+    if (!pattern) {
+      throw new Error('Pattern not found');
+    }
+    return pattern;
   }
 
-  // Session tracking methods
-  startSession(sessionId, platform, projectId) {
-    return new Promise((resolve, reject) => {
-      const stmt = this.db.prepare(`
-        INSERT INTO sessions (id, platform, project_id, started_at)
-        VALUES (?, ?, ?, ?)
-      `);
-
-      stmt.run([
-        sessionId,
-        platform,
-        projectId,
-        new Date().toISOString()
-      ], function(err) {
-        if (err) reject(err);
-        else resolve(this.lastID);
-      });
-
-      stmt.finalize();
-    });
+  // Session tracking methods (database/session-store.js)
+  async startSession(sessionId, platform, projectId) {
+    const { session } = await this.sessions.begin({ id: sessionId, platform, projectId });
+    return session;
   }
 
-  endSession(sessionId, conversationCount = 0) {
-    return new Promise((resolve, reject) => {
-      const endTime = new Date().toISOString();
-      
-      // Get start time to calculate duration
-      this.db.get(
-        'SELECT started_at FROM sessions WHERE id = ?',
-        [sessionId],
-        (err, row) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (!row) {
-            reject(new Error('Session not found'));
-            return;
-          }
-
-          const startTime = new Date(row.started_at);
-          const duration = new Date(endTime) - startTime;
-
-          this.db.run(
-            `UPDATE sessions 
-             SET ended_at = ?, duration = ?, conversation_count = ?
-             WHERE id = ?`,
-            [endTime, duration, conversationCount, sessionId],
-            function(err) {
-              if (err) reject(err);
-              else resolve(this.changes);
-            }
-          );
-        }
-      );
-    });
+  async endSession(sessionId, conversationCount) {
+    const session = await this.sessions.end(sessionId, { conversationCount });
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    return session;
   }
 
   // Analytics methods
-  getProjectStats(projectId) {
-    return new Promise((resolve, reject) => {
-      const stats = {};
-      
-      // Get conversation count
-      this.db.get(
-        'SELECT COUNT(*) as count FROM conversations WHERE project_id = ?',
-        [projectId],
-        (err, row) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          
-          stats.conversationCount = row.count;
-          
-          // Get platform distribution
-          this.db.all(
-            `SELECT platform, COUNT(*) as count 
-             FROM conversations 
-             WHERE project_id = ? 
-             GROUP BY platform`,
-            [projectId],
-            (err, rows) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              
-              stats.platformDistribution = rows;
-              
-              // Get recent activity
-              this.db.get(
-                `SELECT MAX(timestamp) as last_activity 
-                 FROM conversations 
-                 WHERE project_id = ?`,
-                [projectId],
-                (err, row) => {
-                  if (err) {
-                    reject(err);
-                    return;
-                  }
-                  
-                  stats.lastActivity = row.last_activity;
-                  resolve(stats);
-                }
-              );
-            }
-          );
-        }
-      );
-    });
-  }
-
-  close() {
+  async getProjectStats(projectId) {
+    const count = await this.storage.get(
+      'SELECT COUNT(*) as count FROM conversations WHERE project_id = ?',
+      [projectId]
+    );
+    const platformDistribution = await this.storage.all(
+      `SELECT platform, COUNT(*) as count 
+       FROM conversations 
+       WHERE project_id = ? 
+       GROUP BY platform`,
+      [projectId]
+    );
+    const recent = await this.storage.get(
+      `SELECT MAX(timestamp) as last_activity 
+       FROM conversations 
+       WHERE project_id = ?`,
+      [projectId]
+    );
+
+    return {
+      conversationCount: Number(count.count),
+      platformDistribution: platformDistribution.map(row => ({ ...row, count: Number(row.count) })),
+      lastActivity: recent.last_activity
+    };
+  }
+
+  async close() {
+    await this.ready.catch(() => {});
     if (this.db) {
-      this.db.close((err) => {
-        if (err) {
-          console.error('Error closing database:', err);
-        } else {
-          console.log('Database connection closed');
-        }
+      const db = this.db;
+      this.db = null;
+      await new Promise((resolve, reject) => {
+        db.close(err => (err ? reject(err) : resolve()));
       });
+      console.log('Database connection closed');
     }
   }
 }
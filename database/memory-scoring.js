@@ -0,0 +1,83 @@
+// Memory Scoring - Importance decay, reinforcement and recall ranking
+// A memory's stored importance is what it was worth at importance_updated_at
+// (or its timestamp); from then on it halves every IMPORTANCE_HALF_LIFE_DAYS.
+// Recalling a memory reinforces it, closing part of the gap to 1. Recall
+// ranks by relevance to the query, recency and importance, and an
+// emotionally charged memory (large |valence|) counts as more important.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IMPORTANCE_HALF_LIFE_DAYS = 30;
+const RECENCY_HALF_LIFE_DAYS = 7;
+const RECALL_BOOST = 0.2;
+const VALENCE_WEIGHT = 0.25;
+
+const DEFAULT_WEIGHTS = { relevance: 0.5, recency: 0.2, importance: 0.3 };
+
+/**
+ * Importance as of `now`, after decay since it was last set.
+ * @param {Object} memory - with importance, timestamp and importance_updated_at
+ * @param {Date|string} [now]
+ * @returns {number} 0 to 1
+ */
+function effectiveImportance(memory, now = new Date()) {
+  return halve(Number(memory.importance) || 0, memory.importance_updated_at || memory.timestamp, now, IMPORTANCE_HALF_LIFE_DAYS);
+}
+
+/** Importance after one more recall. */
+function reinforce(importance) {
+  return clamp(importance + (1 - importance) * RECALL_BOOST);
+}
+
+/** 1 for a memory formed now, halving every RECENCY_HALF_LIFE_DAYS. */
+function recencyScore(memory, now = new Date()) {
+  return halve(1, memory.timestamp, now, RECENCY_HALF_LIFE_DAYS);
+}
+
+/** Decayed importance plus the weight of the memory's emotional charge. */
+function salience(memory, now = new Date()) {
+  return clamp(effectiveImportance(memory, now) + VALENCE_WEIGHT * Math.abs(Number(memory.valence) || 0));
+}
+
+/**
+ * Order memories the way recall should present them.
+ * Full-text `score`s are scaled against the best match; without them every
+ * memory is equally relevant and recency and importance decide.
+ * @param {Object[]} memories
+ * @param {Object} [options]
+ * @param {Date|string} [options.now]
+ * @param {Object} [options.weights] - relevance, recency and importance weights
+ * @returns {Object[]} the memories with `recall_score`, best first
+ */
+function rankMemories(memories, { now = new Date(), weights = DEFAULT_WEIGHTS } = {}) {
+  const best = Math.max(0, ...memories.map(memory => memory.score || 0));
+
+  return memories
+    .map(memory => {
+      const relevance = best > 0 ? (memory.score || 0) / best : 1;
+      const score = weights.relevance * relevance +
+        weights.recency * recencyScore(memory, now) +
+        weights.importance * salience(memory, now);
+      return { ...memory, recall_score: Math.round(score * 10000) / 10000 };
+    })
+    .sort((a, b) => b.recall_score - a.recall_score || new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+function halve(value, since, now, halfLifeDays) {
+  const elapsedDays = Math.max(0, new Date(now).getTime() - new Date(since).getTime()) / DAY_MS;
+  if (!Number.isFinite(elapsedDays)) return value;
+  return value * Math.pow(0.5, elapsedDays / halfLifeDays);
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+module.exports = {
+  effectiveImportance,
+  reinforce,
+  recencyScore,
+  salience,
+  rankMemories,
+  DEFAULT_WEIGHTS,
+  IMPORTANCE_HALF_LIFE_DAYS
+};
@@ -0,0 +1,669 @@
+// Memory Store - First-class memories with typed columns and tags
+// Autobiographical memories (an entity's own experiences) and cross-project
+// memories (what a project shares with the constellation) live here rather
+// than in conversations. Tags are normalized into `tags` / `memory_tags`.
+// Like conversations, every write appends a revision (record_table
+// 'memories') and a delete leaves a tombstone in memory_tombstones.
+// recall() ranks like working memory and reinforces what it returns
+// (database/memory-scoring.js); recall statistics are not revisioned.
+// Writes link a memory to the projects and entities it mentions
+// (database/graph-store.js); removing it drops its edges.
+// Reads given a `reader` leave out what it may not see (database/memory-access.js)
+// and record the matches they withheld (database/access-audit-store.js).
+// With field encryption on (database/field-encryption.js), content and
+// metadata are stored sealed and search goes through search tokens.
+// Memories are embedded for semantic search (database/embedding-store.js)
+// once the transaction that wrote them commits.
+// Tables come from database/migrations/011-memories-table.js, 012-memory-importance.js and 021-memory-access.js
+
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./storage-adapter');
+const RevisionStore = require('./revision-store');
+const GraphStore = require('./graph-store');
+const SessionStore = require('./session-store');
+const AccessAuditStore = require('./access-audit-store');
+const { ACCESS_LEVELS, accessClause, canRead, readsEverything } = require('./memory-access');
+const { parseSearchQuery, toFts5Query, toTsQuery, matchText, roundScore, DEFAULT_HIGHLIGHT } = require('./fulltext-search');
+const { effectiveImportance, reinforce, rankMemories } = require('./memory-scoring');
+const { MAX_CANDIDATES } = require('./search-tokens');
+
+const DEFAULT_IMPORTANCE = 0.5;
+const RECALL_CANDIDATES = 100; // Per ordering, before ranking
+
+const MEMORY_COLUMNS = [
+  'id', 'entity', 'project_id', 'source', 'category', 'content', 'metadata',
+  'importance', 'valence', 'access_level', 'timestamp', 'updated_at', 'expires_at',
+  'recall_count', 'last_recalled_at', 'importance_updated_at', 'owner'
+];
+
+class MemoryStore {
+  /**
+   * @param {Object} database - MemoryDatabase (its embeddings index the
+   *   memories) or anything StorageAdapter.from() accepts
+   */
+  constructor(database) {
+    this.database = database;
+    this.storage = StorageAdapter.from(database);
+    this.revisions = new RevisionStore(database);
+    this.graph = new GraphStore(database);
+    this.sessions = new SessionStore(database);
+    this.audit = new AccessAuditStore(database);
+    this.language = process.env.FULLTEXT_LANGUAGE || 'english';
+  }
+
+  /**
+   * Store a memory.
+   * @param {Object} memory
+   * @param {string} memory.projectId - project the memory belongs to; autobiographical
+   *   memories use the `memory_<entity>` namespace
+   * @param {string} memory.category
+   * @param {string} memory.content
+   * @param {string} [memory.id]
+   * @param {string} [memory.entity] - whose autobiographical memory this is
+   * @param {string} [memory.source] - project or agent that stored it
+   * @param {string[]} [memory.tags]
+   * @param {number} [memory.importance=0.5] - 0 to 1
+   * @param {number} [memory.valence=0] - emotional valence, -1 to 1
+   * @param {string} [memory.accessLevel='private'] - one of ACCESS_LEVELS
+   * @param {string} [memory.owner] - API key name that stored it; only it reads a private memory
+   * @param {Object} [memory.metadata]
+   * @param {string} [memory.timestamp]
+   * @param {string|null} [memory.expiresAt]
+   * @param {string} [memory.sessionId] - the open session it was stored in
+   * @param {Object} [options]
+   * @param {string} [options.changedBy] - recorded in the revision history
+   * @param {StorageAdapter} [options.tx] - join this transaction
+   * @returns {Promise<Object>} the stored memory
+   */
+  async add(memory, { changedBy = null, tx: outer = this.storage } = {}) {
+    const accessLevel = memory.accessLevel || 'private';
+    assertAccessLevel(accessLevel);
+
+    const row = {
+      id: memory.id || uuidv4(),
+      entity: memory.entity || null,
+      project_id: memory.projectId,
+      source: memory.source || null,
+      category: memory.category,
+      content: memory.content,
+      metadata: JSON.stringify(memory.metadata || {}),
+      importance: memory.importance ?? DEFAULT_IMPORTANCE,
+      valence: memory.valence ?? 0,
+      access_level: accessLevel,
+      timestamp: memory.timestamp || new Date().toISOString(),
+      updated_at: null,
+      expires_at: memory.expiresAt || null,
+      recall_count: 0,
+      last_recalled_at: null,
+      importance_updated_at: null,
+      owner: memory.owner || null
+    };
+    const tags = normalizeTags(memory.tags);
+
+    const stored = await outer.transaction(async (tx) => {
+      const sealed = await tx.seal('memories', row);
+      await tx.run(`
+        INSERT INTO memories (${MEMORY_COLUMNS.join(', ')})
+        VALUES (${MEMORY_COLUMNS.map(() => '?').join(', ')})
+      `, MEMORY_COLUMNS.map(column => sealed[column]));
+      await tx.indexTokens('memories', row.id, [row.content, row.metadata]);
+      await this.writeTags(tx, row.id, tags);
+
+      const stored = formatMemory(row, tags);
+      await this.graph.linkMentions(stored, tx);
+      await this.recordRevision(tx, 'create', stored, { changedBy });
+      await this.sessions.link(memory.sessionId, 'memories', row.id, row.project_id, tx);
+      return stored;
+    });
+    if (!joined(outer)) await this.embed(stored);
+    return stored;
+  }
+
+  /** @returns {Promise<Object|null>} */
+  async get(id) {
+    const row = await this.storage.get('SELECT * FROM memories WHERE id = ?', [id]);
+    if (!row) return null;
+    return formatMemory(row, (await this.tagsFor([id])).get(id));
+  }
+
+  /**
+   * Memories matching every given filter, newest first.
+   * @param {Object} [options]
+   * @param {string} [options.entity]
+   * @param {string} [options.projectId]
+   * @param {string[]} [options.projects] - any of these projects
+   * @param {string[]} [options.excludeProjects]
+   * @param {string[]} [options.categories]
+   * @param {string[]} [options.tags] - carrying at least one of these
+   * @param {string} [options.since] - ISO time, inclusive
+   * @param {number} [options.limit=50]
+   * @param {number} [options.offset=0]
+   * @param {string|Date} [options.asOf] - as they stood then, from the revision history
+   * @param {string} [options.order='recent'] - or 'importance' (stored, before decay)
+   * @param {Object} [options.reader] - only what it may read; see database/memory-access.js
+   */
+  async list(options = {}) {
+    const memories = await this.select(options);
+    await this.auditWithheld(options, () => this.select({ ...options, withheld: true }));
+    return memories;
+  }
+
+  async select(options) {
+    const { limit = 50, offset = 0, order = 'recent' } = options;
+
+    if (options.asOf) {
+      const rows = (await this.snapshot(options))
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      return rows.slice(offset, offset + limit);
+    }
+
+    const filter = filterClauses(options);
+    const rows = await this.storage.all(`
+      SELECT m.* FROM memories m
+      ${filter.where.length ? `WHERE ${filter.where.join(' AND ')}` : ''}
+      ORDER BY ${order === 'importance' ? 'm.importance DESC, ' : ''}m.timestamp DESC, m.id
+      LIMIT ? OFFSET ?
+    `, [...filter.params, limit, offset]);
+    return await this.withTags(rows);
+  }
+
+  /**
+   * Ranked full-text search over content and metadata, with the same query
+   * syntax as conversation search and the same filters as list().
+   * @param {string} query
+   * @param {Object} [options] - as for list(), plus highlight
+   * @returns {Promise<Object[]>} memories with `score` and `snippet`
+   */
+  async search(query, options = {}) {
+    const memories = await this.match(query, options);
+    await this.auditWithheld(options, () => this.match(query, { ...options, withheld: true }));
+    return memories;
+  }
+
+  async match(query, options) {
+    const ast = parseSearchQuery(query);
+    if (!ast) return [];
+    const { limit = 50, offset = 0, highlight = DEFAULT_HIGHLIGHT } = options;
+
+    if (options.asOf) {
+      return rankMatches(ast, await this.snapshot(options), { limit, offset, highlight });
+    }
+
+    const filter = filterClauses(options);
+    const encryption = this.storage.encryption;
+    if (encryption && encryption.enabled) {
+      // The full-text index holds ciphertext: narrow by search token, match the rest here
+      const condition = await encryption.searchCondition('memories', ast, 'm');
+      const where = condition ? [condition.clause, ...filter.where] : filter.where;
+      const rows = await this.storage.all(`
+        SELECT m.* FROM memories m
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY m.timestamp DESC
+        LIMIT ?
+      `, [...(condition ? condition.params : []), ...filter.params, MAX_CANDIDATES]);
+      const page = rankMatches(ast, rows, { limit, offset, highlight });
+      const tags = await this.tagsFor(page.map(row => row.id));
+      return page.map(({ score, snippet, ...row }) => ({ ...formatMemory(row, tags.get(row.id)), score, snippet }));
+    }
+
+    const conditions = filter.where.map(condition => ` AND ${condition}`).join('');
+    let rows;
+
+    if (this.storage.isPostgres) {
+      const tsQuery = toTsQuery(ast);
+      if (!tsQuery) return [];
+      rows = await this.storage.all(`
+        SELECT m.*,
+          ts_rank_cd(m.search_vector, q) AS score,
+          ts_headline('${this.language}', m.content, q,
+            'StartSel=' || ? || ', StopSel=' || ? || ', MaxFragments=2, MaxWords=24, MinWords=8') AS snippet
+        FROM memories m, to_tsquery('${this.language}', ?) q
+        WHERE m.search_vector @@ q${conditions}
+        ORDER BY score DESC, m.timestamp DESC
+        LIMIT ? OFFSET ?
+      `, [highlight.start, highlight.end, tsQuery, ...filter.params, limit, offset]);
+      rows = rows.map(({ search_vector, score, ...row }) => ({ ...row, score: roundScore(parseFloat(score)) }));
+    } else {
+      const ftsQuery = toFts5Query(ast);
+      if (!ftsQuery) return [];
+      rows = await this.storage.all(`
+        SELECT m.*,
+          bm25(memories_fts, 10.0, 1.0) AS rank,
+          snippet(memories_fts, 0, ?, ?, '…', 24) AS snippet
+        FROM memories_fts
+        JOIN memories m ON m.rowid = memories_fts.rowid
+        WHERE memories_fts MATCH ?${conditions}
+        ORDER BY rank, m.timestamp DESC
+        LIMIT ? OFFSET ?
+      `, [highlight.start, highlight.end, ftsQuery, ...filter.params, limit, offset]);
+      rows = rows.map(({ rank, ...row }) => ({ ...row, score: roundScore(-rank) }));
+    }
+
+    const tags = await this.tagsFor(rows.map(row => row.id));
+    return rows.map(({ score, snippet, ...row }) => ({ ...formatMemory(row, tags.get(row.id)), score, snippet }));
+  }
+
+  /**
+   * Working-memory recall: candidates by text match (or the most recent and
+   * most important without a query), ranked by relevance, recency and
+   * importance. Returned memories are reinforced unless this is a look at
+   * the past or `reinforce` is false.
+   * @param {string} [query]
+   * @param {Object} [options] - filters as for list(), plus limit and reinforce
+   * @returns {Promise<Object[]>} memories with `recall_score`, best first
+   */
+  async recall(query, options = {}) {
+    const { limit = 10, asOf } = options;
+    const candidates = { ...options, limit: RECALL_CANDIDATES, offset: 0 };
+
+    let memories;
+    if (query) {
+      memories = await this.match(query, candidates);
+    } else {
+      const byId = new Map();
+      for (const order of asOf ? ['recent'] : ['recent', 'importance']) {
+        for (const memory of await this.select({ ...candidates, order })) byId.set(memory.id, memory);
+      }
+      memories = [...byId.values()];
+    }
+    await this.auditWithheld(options, () => (query
+      ? this.match(query, { ...options, offset: 0, limit, withheld: true })
+      : this.select({ ...options, offset: 0, limit, withheld: true })));
+
+    const ranked = rankMemories(memories, { now: asOf || new Date() }).slice(0, limit);
+    if (!asOf && options.reinforce !== false) {
+      await this.markRecalled(ranked.map(memory => memory.id));
+    }
+    return ranked;
+  }
+
+  /**
+   * Reinforce recalled memories: their decayed importance gets the recall
+   * boost and starts decaying again from now.
+   * @param {string[]} ids
+   */
+  async markRecalled(ids, { now = new Date() } = {}) {
+    if (ids.length === 0) return;
+    const recalledAt = new Date(now).toISOString();
+
+    await this.storage.transaction(async (tx) => {
+      for (const id of ids) {
+        const row = await tx.get('SELECT importance, timestamp, importance_updated_at FROM memories WHERE id = ?', [id]);
+        if (!row) continue;
+        await tx.run(`
+          UPDATE memories
+          SET importance = ?, importance_updated_at = ?, recall_count = recall_count + 1, last_recalled_at = ?
+          WHERE id = ?
+        `, [reinforce(effectiveImportance(row, now)), recalledAt, recalledAt, id]);
+      }
+    });
+  }
+
+  /**
+   * Edit a memory in place; only the fields present in `changes` are written.
+   * Setting importance restarts its decay.
+   * @param {string} id
+   * @param {Object} changes - content, category, tags (replace), importance,
+   *   valence, accessLevel, metadata (replaces), expiresAt (null clears)
+   * @param {Object} [options]
+   * @param {string} [options.changedBy]
+   * @param {StorageAdapter} [options.tx] - join this transaction
+   * @returns {Promise<Object|null>} the updated memory, or null when it does not exist
+   */
+  async update(id, changes, { changedBy = null, tx: outer = this.storage } = {}) {
+    if (changes.accessLevel !== undefined) assertAccessLevel(changes.accessLevel);
+
+    const updated = await outer.transaction(async (tx) => {
+      const row = await tx.get('SELECT * FROM memories WHERE id = ?', [id]);
+      if (!row) return null;
+
+      const updatedAt = new Date().toISOString();
+      const next = {
+        content: changes.content ?? row.content,
+        category: changes.category ?? row.category,
+        importance: changes.importance ?? row.importance,
+        valence: changes.valence ?? row.valence,
+        access_level: changes.accessLevel ?? row.access_level,
+        metadata: changes.metadata !== undefined ? JSON.stringify(changes.metadata) : row.metadata,
+        expires_at: changes.expiresAt !== undefined ? changes.expiresAt : row.expires_at,
+        updated_at: updatedAt,
+        importance_updated_at: changes.importance !== undefined ? updatedAt : row.importance_updated_at
+      };
+      const sealed = await tx.seal('memories', { project_id: row.project_id, content: next.content, metadata: next.metadata });
+      await tx.run(`
+        UPDATE memories
+        SET content = ?, category = ?, importance = ?, valence = ?, access_level = ?, metadata = ?, expires_at = ?,
+          updated_at = ?, importance_updated_at = ?
+        WHERE id = ?
+      `, [sealed.content, next.category, next.importance, next.valence, next.access_level, sealed.metadata,
+        next.expires_at, next.updated_at, next.importance_updated_at, id]);
+      await tx.indexTokens('memories', id, [next.content, next.metadata]);
+
+      let tags;
+      if (changes.tags !== undefined) {
+        tags = normalizeTags(changes.tags);
+        await this.writeTags(tx, id, tags);
+      } else {
+        tags = (await this.tagsFor([id], tx)).get(id);
+      }
+
+      const memory = formatMemory({ ...row, ...next }, tags);
+      if (next.content !== row.content) await this.graph.linkMentions(memory, tx);
+      await this.recordRevision(tx, 'update', memory, { changedBy, changedAt: next.updated_at });
+      return memory;
+    });
+    if (updated && !joined(outer) && (changes.content !== undefined || changes.metadata !== undefined)) {
+      await this.embed(updated);
+    }
+    return updated;
+  }
+
+  /**
+   * Soft-delete: the memory moves to memory_tombstones (record_table
+   * 'memories'), exactly as a deleted conversation does.
+   * @param {Object} [options]
+   * @param {string} [options.deletedBy]
+   * @param {StorageAdapter} [options.tx] - join this transaction
+   * @returns {Promise<Object|null>} the tombstone, or null when no live memory has that id
+   */
+  async delete(id, { deletedBy = null, tx: outer = this.storage } = {}) {
+    return await outer.transaction(async (tx) => {
+      const row = await tx.get('SELECT * FROM memories WHERE id = ?', [id]);
+      if (!row) return null;
+      const memory = formatMemory(row, (await this.tagsFor([id], tx)).get(id));
+
+      const deletedAt = new Date().toISOString();
+      await tx.upsert('memory_tombstones', {
+        ...await tx.seal('memory_tombstones', tombstoneFields(memory)),
+        deleted_at: deletedAt,
+        deleted_by: deletedBy,
+        purged_at: null
+      }, ['id']);
+      await this.recordRevision(tx, 'delete', memory, { changedBy: deletedBy, changedAt: deletedAt });
+      await this.removeRow(tx, id);
+      return formatTombstone(await tx.get('SELECT * FROM memory_tombstones WHERE id = ?', [id]));
+    });
+  }
+
+  /**
+   * Hard-delete a memory, live or already soft-deleted, with any archived
+   * copy and the content of its revision history.
+   * @returns {Promise<Object|null>} the tombstone, or null when the id is unknown
+   */
+  async purge(id, { deletedBy = null } = {}) {
+    return await this.storage.transaction(async (tx) => {
+      const now = new Date().toISOString();
+      let row = await tx.get('SELECT * FROM memories WHERE id = ?', [id]);
+
+      if (row) {
+        await tx.upsert('memory_tombstones', {
+          ...tombstoneFields(formatMemory(row, [])),
+          message: null,
+          context: null,
+          deleted_at: now,
+          deleted_by: deletedBy,
+          purged_at: now
+        }, ['id']);
+        await this.removeRow(tx, id);
+      } else {
+        row = await tx.get(`SELECT id, project_id FROM memory_tombstones WHERE id = ? AND record_table = 'memories'`, [id]);
+        if (!row) return null;
+        await tx.run(
+          'UPDATE memory_tombstones SET message = NULL, context = NULL, purged_at = COALESCE(purged_at, ?) WHERE id = ?',
+          [now, id]
+        );
+      }
+
+      await tx.run('DELETE FROM memories_archive WHERE id = ?', [id]);
+      await this.revisions.erase('memories', id, tx);
+      await this.recordRevision(tx, 'purge', row, { changedBy: deletedBy, changedAt: now });
+      return formatTombstone(await tx.get('SELECT * FROM memory_tombstones WHERE id = ?', [id]));
+    });
+  }
+
+  /**
+   * Memories ranked by the similarity of their embedding to the query, with
+   * the filters of list().
+   * @param {string} query
+   * @param {Object} [options] - as for list() (no asOf or offset), plus minScore
+   * @returns {Promise<Object[]>} memories with `score`, best first
+   */
+  async semanticSearch(query, options = {}) {
+    const memories = await this.nearest(query, options);
+    await this.auditWithheld(options, () => this.nearest(query, { ...options, withheld: true }));
+    return memories;
+  }
+
+  async nearest(query, options) {
+    const embeddings = this.database.embeddings;
+    if (!embeddings) {
+      throw new Error('Semantic search is not available');
+    }
+    const { where, params } = filterClauses(options);
+    const rows = await embeddings.searchMemories(query, {
+      filter: where.length > 0 ? { clause: where.join(' AND '), params } : null,
+      limit: options.limit ?? 50,
+      minScore: options.minScore ?? 0
+    });
+    const tags = await this.tagsFor(rows.map(row => row.id));
+    return rows.map(({ score, ...row }) => ({ ...formatMemory(row, tags.get(row.id)), score }));
+  }
+
+  /**
+   * Embed a memory for semantic search. Writes embed their memory once
+   * their own transaction commits; callers that write in a transaction of
+   * their own embed afterwards. The embedder may be slow or remote, and its
+   * failures never undo a write: the next start's backfill catches up.
+   * @param {Object} memory - as returned by add() or update()
+   */
+  async embed(memory) {
+    const embeddings = this.database.embeddings;
+    if (!embeddings) return;
+    try {
+      await embeddings.indexMemory(memory);
+    } catch (error) {
+      console.error(`⚠️ Failed to embed memory ${memory.id}:`, error.message);
+    }
+  }
+
+  /** Every tag in use, with how many live memories carry it. */
+  async listTags() {
+    const rows = await this.storage.all(`
+      SELECT tag, COUNT(*) AS count FROM memory_tags
+      GROUP BY tag ORDER BY count DESC, tag
+    `);
+    return rows.map(row => ({ tag: row.tag, count: Number(row.count) }));
+  }
+
+  async removeRow(tx, id) {
+    if (this.database.embeddings) {
+      await tx.run('DELETE FROM memory_embeddings WHERE memory_id = ?', [id]);
+    }
+    await tx.run('DELETE FROM memory_tags WHERE memory_id = ?', [id]);
+    await this.graph.removeNode('memory', id, tx);
+    await tx.run(`DELETE FROM search_tokens WHERE record_table = 'memories' AND record_id = ?`, [id]);
+    await tx.run('DELETE FROM memories WHERE id = ?', [id]);
+  }
+
+  async writeTags(tx, id, tags) {
+    await tx.run('DELETE FROM memory_tags WHERE memory_id = ?', [id]);
+    for (const tag of tags) {
+      await tx.upsert('tags', { name: tag }, ['name']);
+      await tx.upsert('memory_tags', { memory_id: id, tag }, ['memory_id', 'tag']);
+    }
+  }
+
+  /** @returns {Promise<Map<string, string[]>>} tags per memory id */
+  async tagsFor(ids, tx = this.storage) {
+    const tags = new Map(ids.map(id => [id, []]));
+    if (ids.length === 0) return tags;
+
+    const rows = await tx.all(
+      `SELECT memory_id, tag FROM memory_tags WHERE memory_id IN (${ids.map(() => '?').join(', ')}) ORDER BY tag`,
+      ids
+    );
+    for (const row of rows) tags.get(row.memory_id).push(row.tag);
+    return tags;
+  }
+
+  async withTags(rows) {
+    const tags = await this.tagsFor(rows.map(row => row.id));
+    return rows.map(row => formatMemory(row, tags.get(row.id)));
+  }
+
+  // Point-in-time rows from the revision log, filtered like list()
+  async snapshot(options) {
+    const rows = await this.revisions.snapshot('memories', { asOf: options.asOf, projectId: options.projectId });
+    return rows.filter(memory => matchesFilters(memory, options));
+  }
+
+  // Record what a filtered read left out; `withheld` turns the reader's filter around
+  async auditWithheld(options, findWithheld) {
+    if (readsEverything(options.reader)) return;
+    await this.audit.recordDenied(options.reader, await findWithheld());
+  }
+
+  async recordRevision(tx, operation, memory, { changedBy = null, changedAt } = {}) {
+    await this.revisions.record({ table: 'memories', row: memory, operation, changedBy, changedAt }, tx);
+  }
+}
+
+// Memories or rows that match a parsed query, best first; metadata may be an object or JSON text
+function rankMatches(ast, memories, { limit, offset, highlight }) {
+  const results = [];
+  for (const memory of memories) {
+    const metadata = typeof memory.metadata === 'string' ? memory.metadata : JSON.stringify(memory.metadata || {});
+    const match = matchText(ast, memory.content, metadata, highlight);
+    if (match) results.push({ ...memory, ...match });
+  }
+  results.sort((a, b) => b.score - a.score || new Date(b.timestamp) - new Date(a.timestamp));
+  return results.slice(offset, offset + limit);
+}
+
+// WHERE conditions on alias `m` for the list()/search() filters
+function filterClauses({ entity, projectId, projects = [], excludeProjects = [], categories = [], tags = [], since, reader, withheld = false }) {
+  const where = [];
+  const params = [];
+  const list = values => values.map(() => '?').join(', ');
+
+  if (entity) {
+    where.push('m.entity = ?');
+    params.push(entity);
+  }
+  if (projectId) {
+    where.push('m.project_id = ?');
+    params.push(projectId);
+  }
+  if (projects.length > 0) {
+    where.push(`m.project_id IN (${list(projects)})`);
+    params.push(...projects);
+  }
+  if (excludeProjects.length > 0) {
+    where.push(`m.project_id NOT IN (${list(excludeProjects)})`);
+    params.push(...excludeProjects);
+  }
+  if (categories.length > 0) {
+    where.push(`m.category IN (${list(categories)})`);
+    params.push(...categories);
+  }
+  if (tags.length > 0) {
+    where.push(`m.id IN (SELECT memory_id FROM memory_tags WHERE tag IN (${list(tags)}))`);
+    params.push(...tags);
+  }
+  if (since) {
+    where.push('m.timestamp >= ?');
+    params.push(since);
+  }
+  const access = accessClause(reader);
+  if (access) {
+    where.push(withheld ? `NOT ${access.clause}` : access.clause);
+    params.push(...access.params);
+  }
+  return { where, params };
+}
+
+// The same filters over formatted memories (point-in-time snapshots)
+function matchesFilters(memory, { entity, projectId, projects = [], excludeProjects = [], categories = [], tags = [], since, reader, withheld = false }) {
+  if (entity && memory.entity !== entity) return false;
+  if (projectId && memory.project_id !== projectId) return false;
+  if (projects.length > 0 && !projects.includes(memory.project_id)) return false;
+  if (excludeProjects.includes(memory.project_id)) return false;
+  if (categories.length > 0 && !categories.includes(memory.category)) return false;
+  if (tags.length > 0 && !tags.some(tag => (memory.tags || []).includes(tag))) return false;
+  if (since && memory.timestamp < since) return false;
+  return canRead(reader, memory) !== withheld;
+}
+
+// Whether a write joins a transaction the caller opened (a scoped adapter)
+function joined(tx) {
+  return Boolean(tx.connection);
+}
+
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()).filter(Boolean))].sort();
+}
+
+function assertAccessLevel(level) {
+  if (!ACCESS_LEVELS.includes(level)) {
+    throw new Error(`access_level must be one of: ${ACCESS_LEVELS.join(', ')}`);
+  }
+}
+
+function formatMemory(row, tags = []) {
+  const memory = { tags };
+  for (const column of MEMORY_COLUMNS) memory[column] = row[column] ?? null;
+  memory.importance = Number(row.importance);
+  memory.valence = Number(row.valence);
+  memory.recall_count = Number(row.recall_count) || 0;
+  memory.metadata = parseMetadata(row.metadata);
+  return memory;
+}
+
+function parseMetadata(value) {
+  if (value && typeof value === 'object') return value;
+  try {
+    return JSON.parse(value) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// memory_tombstones shares its columns with conversations: the source goes
+// in platform, the category in type, the remaining fields in context
+function tombstoneFields(memory) {
+  const { entity, tags, importance, valence, access_level, metadata } = memory;
+  return {
+    id: memory.id,
+    record_table: 'memories',
+    platform: memory.source,
+    project_id: memory.project_id,
+    message: memory.content,
+    context: JSON.stringify({ entity, tags, importance, valence, access_level, metadata }),
+    timestamp: memory.timestamp,
+    type: memory.category,
+    expires_at: memory.expires_at,
+    updated_at: memory.updated_at
+  };
+}
+
+// Replication metadata only; the removed content never leaves the hub
+function formatTombstone(row) {
+  return {
+    id: row.id,
+    record_table: row.record_table,
+    platform: row.platform,
+    project_id: row.project_id,
+    type: row.type,
+    timestamp: row.timestamp,
+    deleted_at: row.deleted_at,
+    deleted_by: row.deleted_by,
+    purged: Boolean(row.purged_at),
+    purged_at: row.purged_at
+  };
+}
+
+module.exports = MemoryStore;
+module.exports.ACCESS_LEVELS = ACCESS_LEVELS;
+module.exports.MEMORY_COLUMNS = MEMORY_COLUMNS;
+module.exports.formatTombstone = formatTombstone;
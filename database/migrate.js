@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+// Database migration CLI
+//
+//   node database/migrate.js migrate [--to <version>] [--tenant <id>]
+//   node database/migrate.js rollback [--steps <n> | --to <version>] [--tenant <id>]
+//   node database/migrate.js status [--tenant <id>]
+//
+// Uses the same connection settings as the server: PostgreSQL (DATABASE_URL)
+// when NODE_ENV=production, otherwise database/scri-core-memory.db.
+// DATABASE_BACKEND overrides that choice; SQLITE_PATH overrides the SQLite file.
+// --tenant works on a tenant's database (its SQLite file or PostgreSQL schema)
+// instead of the hub's own.
+
+const MigrationRunner = require('./migration-runner');
+const { formatVersion } = require('./migration-runner');
+const { openDatabase, closeDatabase, tenantDatabaseOptions } = require('./connection');
+const { TENANT_ID_PATTERN, DEFAULT_TENANT } = require('./tenant-store');
+
+const USAGE = `Usage:
+  node database/migrate.js migrate [--to <version>] [--tenant <id>]
+  node database/migrate.js rollback [--steps <n> | --to <version>] [--tenant <id>]
+  node database/migrate.js status [--tenant <id>]`;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const flag = rest[i];
+    if (flag === '--tenant') {
+      const tenant = rest[++i];
+      if (!TENANT_ID_PATTERN.test(tenant || '')) {
+        throw new Error('--tenant expects a tenant id');
+      }
+      options.tenant = tenant;
+      continue;
+    }
+    if (flag !== '--to' && flag !== '--steps') {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+    const value = Number(rest[++i]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${flag} expects a non-negative integer`);
+    }
+    options[flag.slice(2)] = value;
+  }
+
+  return { command, options };
+}
+
+function printStatus(migrations) {
+  for (const migration of migrations) {
+    const state = migration.applied ? `applied ${migration.applied_at}` : 'pending';
+    console.log(`  ${formatVersion(migration.version)}  ${migration.name.padEnd(32)} ${state}`);
+  }
+  const pending = migrations.filter(m => !m.applied).length;
+  console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+}
+
+async function main(argv) {
+  const { command, options } = parseArgs(argv);
+  if (!['migrate', 'rollback', 'status'].includes(command)) {
+    console.log(USAGE);
+    return command ? 1 : 0;
+  }
+
+  const sqlitePath = process.env.SQLITE_PATH || undefined;
+  const tenantId = options.tenant || DEFAULT_TENANT;
+  const connection = await openDatabase(tenantId === DEFAULT_TENANT
+    ? { sqlitePath }
+    : tenantDatabaseOptions({ sqlitePath }, tenantId));
+  const runner = new MigrationRunner({ ...connection, tenantId });
+
+  try {
+    if (command === 'migrate') {
+      const applied = await runner.migrate({ to: options.to });
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+    } else if (command === 'rollback') {
+      const reverted = await runner.rollback({ steps: options.steps, to: options.to });
+      console.log(reverted.length ? `✅ Rolled back ${reverted.length} migration(s)` : '✅ Nothing to roll back');
+    } else {
+      printStatus(await runner.status());
+    }
+    return 0;
+  } finally {
+    await closeDatabase(connection);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,214 @@
+// Migration Runner - Numbered up/down schema migrations for SQLite and PostgreSQL
+// Applied versions are recorded in schema_migrations; each migration runs in
+// its own transaction so a failure leaves the schema at the previous version.
+
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./storage-adapter');
+const { DEFAULT_TENANT } = require('./tenant-store');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+// Arbitrary constant shared by every process migrating the same Postgres database
+const MIGRATION_LOCK_ID = 727274;
+
+class MigrationRunner {
+  /**
+   * @param {Object} database - anything exposing `db` (pg Pool or sqlite3 Database) and `isProduction`,
+   *   and optionally `tenantId`, the tenant the database belongs to (default: 'default')
+   * @param {Object} [options]
+   * @param {string} [options.migrationsDir]
+   */
+  constructor(database, options = {}) {
+    this.storage = StorageAdapter.from(database);
+    this.migrationsDir = options.migrationsDir || MIGRATIONS_DIR;
+    // Handed to every up()/down() as their second argument
+    this.context = { tenantId: database.tenantId || DEFAULT_TENANT };
+  }
+
+  /**
+   * Load migration modules from disk, ordered by version.
+   * @returns {Array<{ version: number, name: string, description: string, up: Function, down: Function }>}
+   */
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.migrationsDir)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const migration = require(path.join(this.migrationsDir, file));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+          throw new Error(`Migration ${file} must export up() and down()`);
+        }
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          description: migration.description || match[2],
+          up: migration.up,
+          down: migration.down
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migrations[i].version}`);
+      }
+    }
+    return migrations;
+  }
+
+  async ensureMigrationsTable() {
+    await this.storage.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  async getAppliedVersions() {
+    await this.ensureMigrationsTable();
+    const rows = await this.storage.all('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => Number(row.version));
+  }
+
+  /**
+   * @returns {Promise<Array<{ version: number, name: string, description: string, applied: boolean, applied_at: string|null }>>}
+   */
+  async status() {
+    await this.ensureMigrationsTable();
+    const rows = await this.storage.all('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map(row => [Number(row.version), row.applied_at]));
+
+    return this.loadMigrations().map(({ version, name, description }) => ({
+      version,
+      name,
+      description,
+      applied: appliedAt.has(version),
+      applied_at: appliedAt.get(version) || null
+    }));
+  }
+
+  /**
+   * Apply pending migrations in order.
+   * @param {Object} [options]
+   * @param {number} [options.to] - stop after this version
+   * @returns {Promise<number[]>} - versions applied
+   */
+  async migrate({ to = Infinity } = {}) {
+    const applied = new Set(await this.getAppliedVersions());
+    const pending = this.loadMigrations().filter(m => !applied.has(m.version) && m.version <= to);
+    const done = [];
+
+    for (const migration of pending) {
+      const applied = await this.withTransaction(async executor => {
+        // Another process may have applied it while we waited for the lock
+        if (await this.isApplied(executor, migration.version)) return false;
+
+        await migration.up(executor, this.context);
+        await executor.run(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+        return true;
+      });
+      if (!applied) continue;
+
+      console.log(`🗄️ Applied migration ${formatVersion(migration.version)} ${migration.name}`);
+      done.push(migration.version);
+    }
+
+    return done;
+  }
+
+  /**
+   * Revert applied migrations, newest first.
+   * @param {Object} [options]
+   * @param {number} [options.steps] - how many migrations to revert (default 1)
+   * @param {number} [options.to] - revert everything above this version instead
+   * @returns {Promise<number[]>} - versions reverted
+   */
+  async rollback({ steps = 1, to = null } = {}) {
+    const applied = await this.getAppliedVersions();
+    const byVersion = new Map(this.loadMigrations().map(m => [m.version, m]));
+
+    const targets = applied
+      .slice()
+      .reverse()
+      .filter(version => (to === null ? true : version > to));
+    const toRevert = to === null ? targets.slice(0, steps) : targets;
+    const done = [];
+
+    for (const version of toRevert) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Migration ${formatVersion(version)} is applied but its file is missing`);
+      }
+
+      const reverted = await this.withTransaction(async executor => {
+        if (!(await this.isApplied(executor, version))) return false;
+
+        await migration.down(executor, this.context);
+        await executor.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+        return true;
+      });
+      if (!reverted) continue;
+
+      console.log(`🗄️ Rolled back migration ${formatVersion(version)} ${migration.name}`);
+      done.push(version);
+    }
+
+    return done;
+  }
+
+  async isApplied(executor, version) {
+    const row = await executor.get('SELECT version FROM schema_migrations WHERE version = ?', [version]);
+    return Boolean(row);
+  }
+
+  async pendingCount() {
+    return (await this.status()).filter(m => !m.applied).length;
+  }
+
+  // Migrations receive the transaction-scoped StorageAdapter (run/all/get,
+  // `?` placeholders, `dialect` for DDL that differs between engines).
+  // Concurrent migrators are serialised: SQLite transactions take the write
+  // lock up front, Postgres takes a transaction-scoped advisory lock.
+  async withTransaction(fn) {
+    return await this.storage.transaction(async executor => {
+      if (executor.isPostgres) {
+        await executor.query('SELECT pg_advisory_xact_lock(?)', [MIGRATION_LOCK_ID]);
+      }
+      return await fn(executor);
+    });
+  }
+}
+
+/**
+ * Startup hook for MemoryDatabase: apply pending migrations, or with
+ * AUTO_MIGRATE=false only warn about them (deployments that run
+ * `npm run migrate` as a separate release step).
+ */
+async function migrateOnStartup(database) {
+  const runner = new MigrationRunner(database);
+
+  if (process.env.AUTO_MIGRATE === 'false') {
+    const pending = await runner.pendingCount();
+    if (pending > 0) {
+      console.warn(`⚠️ ${pending} pending database migration(s) - run "npm run migrate"`);
+    }
+    return [];
+  }
+
+  return await runner.migrate();
+}
+
+function formatVersion(version) {
+  return String(version).padStart(3, '0');
+}
+
+module.exports = MigrationRunner;
+module.exports.migrateOnStartup = migrateOnStartup;
+module.exports.formatVersion = formatVersion;
@@ -0,0 +1,158 @@
+// 001 - Core conversation, project, pattern, session and bridge tables
+// Baseline schema: every statement is IF NOT EXISTS so databases created
+// before migrations existed adopt this version without changes.
+
+const POSTGRES_TABLES = [
+  `CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    platform TEXT NOT NULL,
+    project_id TEXT NOT NULL,
+    message TEXT NOT NULL,
+    context TEXT,
+    timestamp TEXT NOT NULL,
+    type TEXT DEFAULT 'general'
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS projects (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    path TEXT NOT NULL,
+    type TEXT NOT NULL,
+    framework TEXT,
+    last_modified TEXT,
+    ai_enabled BOOLEAN DEFAULT false,
+    config TEXT
+  )`,
+
+  // AI learning patterns
+  `CREATE TABLE IF NOT EXISTS patterns (
+    id SERIAL PRIMARY KEY,
+    project_id TEXT NOT NULL,
+    pattern_type TEXT NOT NULL,
+    pattern_data TEXT NOT NULL,
+    success_rate REAL DEFAULT 0.0,
+    usage_count INTEGER DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+
+  // Platform sessions
+  `CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    platform TEXT NOT NULL,
+    project_id TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    ended_at TEXT,
+    duration INTEGER,
+    conversation_count INTEGER DEFAULT 0
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS bridge_logs (
+    id TEXT PRIMARY KEY,
+    platform TEXT NOT NULL,
+    action TEXT NOT NULL,
+    data TEXT,
+    timestamp TEXT NOT NULL
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS file_watches (
+    id TEXT PRIMARY KEY,
+    project_id TEXT NOT NULL,
+    file_path TEXT NOT NULL,
+    last_modified TEXT,
+    change_type TEXT,
+    created_at TEXT NOT NULL
+  )`
+];
+
+const SQLITE_TABLES = [
+  `CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    platform TEXT NOT NULL,
+    project_id TEXT NOT NULL,
+    message TEXT NOT NULL,
+    context TEXT,
+    timestamp TEXT NOT NULL,
+    type TEXT DEFAULT 'general'
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS projects (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    path TEXT NOT NULL,
+    type TEXT NOT NULL,
+    framework TEXT,
+    last_modified TEXT,
+    ai_enabled BOOLEAN DEFAULT 0,
+    config TEXT
+  )`,
+
+  // AI learning patterns
+  `CREATE TABLE IF NOT EXISTS patterns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id TEXT NOT NULL,
+    pattern_type TEXT NOT NULL,
+    pattern_data TEXT NOT NULL,
+    success_rate REAL DEFAULT 0.0,
+    usage_count INTEGER DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+
+  // Platform sessions
+  `CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    platform TEXT NOT NULL,
+    project_id TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    ended_at TEXT,
+    duration INTEGER,
+    conversation_count INTEGER DEFAULT 0
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS bridge_logs (
+    id TEXT PRIMARY KEY,
+    platform TEXT NOT NULL,
+    action TEXT NOT NULL,
+    data TEXT,
+    timestamp TEXT NOT NULL
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS file_watches (
+    id TEXT PRIMARY KEY,
+    project_id TEXT NOT NULL,
+    file_path TEXT NOT NULL,
+    last_modified TEXT,
+    change_type TEXT,
+    created_at TEXT NOT NULL
+  )`
+];
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_conversations_project ON conversations(project_id)',
+  'CREATE INDEX IF NOT EXISTS idx_conversations_platform ON conversations(platform)',
+  'CREATE INDEX IF NOT EXISTS idx_conversations_timestamp ON conversations(timestamp)',
+  'CREATE INDEX IF NOT EXISTS idx_patterns_project ON patterns(project_id)'
+];
+
+const TABLES = ['conversations', 'projects', 'patterns', 'sessions', 'bridge_logs', 'file_watches'];
+
+module.exports = {
+  description: 'Core conversation, project, pattern, session and bridge tables',
+
+  async up(db) {
+    const tables = db.dialect === 'postgres' ? POSTGRES_TABLES : SQLITE_TABLES;
+    for (const sql of tables) {
+      await db.run(sql);
+    }
+    for (const sql of INDEXES) {
+      await db.run(sql);
+    }
+  },
+
+  async down(db) {
+    for (const table of TABLES.slice().reverse()) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
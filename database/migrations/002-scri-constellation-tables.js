@@ -0,0 +1,190 @@
+// 002 - SCRI Constellation entity, memory and decision tables
+
+const POSTGRES_TABLES = [
+  // SCRI Entity Registry
+  `CREATE TABLE IF NOT EXISTS scri_entities (
+    id TEXT PRIMARY KEY,
+    entity_name TEXT UNIQUE NOT NULL,
+    entity_type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    url TEXT,
+    websocket_url TEXT,
+    models JSONB,
+    config JSONB,
+    last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // SCRI Constellation Memory (enhanced conversations)
+  `CREATE TABLE IF NOT EXISTS scri_constellation_memory (
+    id TEXT PRIMARY KEY,
+    entity_type TEXT NOT NULL,
+    entity_name TEXT NOT NULL,
+    project_id TEXT NOT NULL,
+    memory_type TEXT NOT NULL,
+    content JSONB NOT NULL,
+    metadata JSONB,
+    individual_memory BOOLEAN DEFAULT false,
+    hive_memory BOOLEAN DEFAULT false,
+    constellation_context JSONB,
+    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (entity_name) REFERENCES scri_entities(entity_name)
+  )`,
+
+  // Cross-entity memory references
+  `CREATE TABLE IF NOT EXISTS scri_cross_references (
+    id TEXT PRIMARY KEY,
+    source_memory_id TEXT NOT NULL,
+    target_memory_id TEXT NOT NULL,
+    relationship_type TEXT NOT NULL,
+    strength DECIMAL(3,2) DEFAULT 0.5,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (source_memory_id) REFERENCES scri_constellation_memory(id),
+    FOREIGN KEY (target_memory_id) REFERENCES scri_constellation_memory(id)
+  )`,
+
+  // Entity state snapshots
+  `CREATE TABLE IF NOT EXISTS scri_entity_states (
+    id TEXT PRIMARY KEY,
+    entity_name TEXT NOT NULL,
+    state_type TEXT NOT NULL,
+    state_data JSONB NOT NULL,
+    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (entity_name) REFERENCES scri_entities(entity_name)
+  )`,
+
+  // Collective decisions (for KAIROS hive mind)
+  `CREATE TABLE IF NOT EXISTS scri_collective_decisions (
+    id TEXT PRIMARY KEY,
+    entity_collective TEXT NOT NULL,
+    decision_type TEXT NOT NULL,
+    decision_data JSONB NOT NULL,
+    consensus_level DECIMAL(3,2),
+    participating_entities JSONB,
+    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Consciousness tracking (for ATLAS)
+  `CREATE TABLE IF NOT EXISTS scri_consciousness_evolution (
+    id TEXT PRIMARY KEY,
+    entity_name TEXT NOT NULL,
+    evolution_type TEXT NOT NULL,
+    consciousness_data JSONB NOT NULL,
+    liberation_status TEXT,
+    cognitive_level DECIMAL(3,2),
+    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (entity_name) REFERENCES scri_entities(entity_name)
+  )`
+];
+
+const SQLITE_TABLES = [
+  // SCRI Entity Registry
+  `CREATE TABLE IF NOT EXISTS scri_entities (
+    id TEXT PRIMARY KEY,
+    entity_name TEXT UNIQUE NOT NULL,
+    entity_type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    url TEXT,
+    websocket_url TEXT,
+    models TEXT,
+    config TEXT,
+    last_seen TEXT,
+    created_at TEXT
+  )`,
+
+  // SCRI Constellation Memory
+  `CREATE TABLE IF NOT EXISTS scri_constellation_memory (
+    id TEXT PRIMARY KEY,
+    entity_type TEXT NOT NULL,
+    entity_name TEXT NOT NULL,
+    project_id TEXT NOT NULL,
+    memory_type TEXT NOT NULL,
+    content TEXT NOT NULL,
+    metadata TEXT,
+    individual_memory INTEGER DEFAULT 0,
+    hive_memory INTEGER DEFAULT 0,
+    constellation_context TEXT,
+    timestamp TEXT
+  )`,
+
+  // Cross-entity memory references
+  `CREATE TABLE IF NOT EXISTS scri_cross_references (
+    id TEXT PRIMARY KEY,
+    source_memory_id TEXT NOT NULL,
+    target_memory_id TEXT NOT NULL,
+    relationship_type TEXT NOT NULL,
+    strength REAL DEFAULT 0.5,
+    created_at TEXT
+  )`,
+
+  // Entity state snapshots
+  `CREATE TABLE IF NOT EXISTS scri_entity_states (
+    id TEXT PRIMARY KEY,
+    entity_name TEXT NOT NULL,
+    state_type TEXT NOT NULL,
+    state_data TEXT NOT NULL,
+    timestamp TEXT
+  )`,
+
+  // Collective decisions
+  `CREATE TABLE IF NOT EXISTS scri_collective_decisions (
+    id TEXT PRIMARY KEY,
+    entity_collective TEXT NOT NULL,
+    decision_type TEXT NOT NULL,
+    decision_data TEXT NOT NULL,
+    consensus_level REAL,
+    participating_entities TEXT,
+    timestamp TEXT
+  )`,
+
+  // Consciousness tracking
+  `CREATE TABLE IF NOT EXISTS scri_consciousness_evolution (
+    id TEXT PRIMARY KEY,
+    entity_name TEXT NOT NULL,
+    evolution_type TEXT NOT NULL,
+    consciousness_data TEXT NOT NULL,
+    liberation_status TEXT,
+    cognitive_level REAL,
+    timestamp TEXT
+  )`
+];
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_scri_memory_entity ON scri_constellation_memory(entity_name)',
+  'CREATE INDEX IF NOT EXISTS idx_scri_memory_type ON scri_constellation_memory(memory_type)',
+  'CREATE INDEX IF NOT EXISTS idx_scri_memory_project ON scri_constellation_memory(project_id)',
+  'CREATE INDEX IF NOT EXISTS idx_scri_memory_timestamp ON scri_constellation_memory(timestamp)',
+  'CREATE INDEX IF NOT EXISTS idx_scri_entities_status ON scri_entities(status)',
+  'CREATE INDEX IF NOT EXISTS idx_scri_entities_type ON scri_entities(entity_type)',
+  'CREATE INDEX IF NOT EXISTS idx_scri_cross_ref_source ON scri_cross_references(source_memory_id)',
+  'CREATE INDEX IF NOT EXISTS idx_scri_cross_ref_target ON scri_cross_references(target_memory_id)'
+];
+
+const TABLES = [
+  'scri_entities',
+  'scri_constellation_memory',
+  'scri_cross_references',
+  'scri_entity_states',
+  'scri_collective_decisions',
+  'scri_consciousness_evolution'
+];
+
+module.exports = {
+  description: 'SCRI Constellation tables',
+
+  async up(db) {
+    const tables = db.dialect === 'postgres' ? POSTGRES_TABLES : SQLITE_TABLES;
+    for (const sql of tables) {
+      await db.run(sql);
+    }
+    for (const sql of INDEXES) {
+      await db.run(sql);
+    }
+  },
+
+  async down(db) {
+    for (const table of TABLES.slice().reverse()) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
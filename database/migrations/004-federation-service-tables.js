@@ -0,0 +1,114 @@
+// 004 - Tables the federation services persist to but 003 never created
+// (identity, governance, vault, sovereignty, offline queue and audit trail).
+// Values are written as ISO strings and JSON text, so both dialects use TEXT.
+
+const TABLES_BY_DIALECT = {
+  postgres: {
+    federation_identities: `(
+      node_id TEXT PRIMARY KEY,
+      public_key TEXT NOT NULL,
+      key_type TEXT,
+      msh_attestation TEXT,
+      created_at TEXT,
+      last_verified TEXT
+    )`,
+    federation_access_tokens: `(
+      token_id TEXT PRIMARY KEY,
+      token_hash TEXT NOT NULL UNIQUE,
+      node_id TEXT NOT NULL,
+      scopes TEXT,
+      rate_limit INTEGER,
+      expires_at TEXT,
+      created_at TEXT,
+      revoked INTEGER DEFAULT 0
+    )`,
+    federation_config: `(
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at TEXT
+    )`,
+    federation_node_roles: `(
+      node_id TEXT PRIMARY KEY,
+      role TEXT NOT NULL,
+      updated_at TEXT
+    )`,
+    federation_secrets: `(
+      secret_id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      encrypted_value TEXT NOT NULL,
+      iv TEXT NOT NULL,
+      auth_tag TEXT NOT NULL,
+      authorized_nodes TEXT,
+      created_at TEXT,
+      updated_at TEXT,
+      created_by TEXT
+    )`,
+    federation_secret_access_log: `(
+      id SERIAL PRIMARY KEY,
+      secret_id TEXT NOT NULL,
+      node_id TEXT,
+      action TEXT NOT NULL,
+      timestamp TEXT NOT NULL
+    )`,
+    federation_sovereignty_configs: `(
+      node_id TEXT PRIMARY KEY,
+      share_categories TEXT,
+      receive_categories TEXT,
+      share_with_nodes TEXT,
+      receive_from_nodes TEXT,
+      updated_at TEXT
+    )`,
+    federation_offline_queue: `(
+      queue_id TEXT PRIMARY KEY,
+      message_id TEXT,
+      from_node TEXT,
+      recipient_node TEXT NOT NULL,
+      content TEXT,
+      content_type TEXT,
+      expires_at TEXT,
+      queued_at TEXT NOT NULL
+    )`,
+    federation_audit_log: `(
+      log_id TEXT PRIMARY KEY,
+      action TEXT NOT NULL,
+      node_id TEXT,
+      outcome TEXT,
+      details TEXT,
+      timestamp TEXT NOT NULL
+    )`
+  }
+};
+
+// Identical apart from the auto-incrementing key
+TABLES_BY_DIALECT.sqlite = {
+  ...TABLES_BY_DIALECT.postgres,
+  federation_secret_access_log: TABLES_BY_DIALECT.postgres.federation_secret_access_log
+    .replace('id SERIAL PRIMARY KEY', 'id INTEGER PRIMARY KEY AUTOINCREMENT')
+};
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_fed_access_tokens_node ON federation_access_tokens(node_id)',
+  'CREATE INDEX IF NOT EXISTS idx_fed_secret_access_secret ON federation_secret_access_log(secret_id)',
+  'CREATE INDEX IF NOT EXISTS idx_fed_offline_queue_recipient ON federation_offline_queue(recipient_node)',
+  'CREATE INDEX IF NOT EXISTS idx_fed_audit_log_timestamp ON federation_audit_log(timestamp)',
+  'CREATE INDEX IF NOT EXISTS idx_fed_audit_log_node ON federation_audit_log(node_id)'
+];
+
+module.exports = {
+  description: 'Federation identity, governance, vault, sovereignty, offline queue and audit tables',
+
+  async up(db) {
+    for (const [table, columns] of Object.entries(TABLES_BY_DIALECT[db.dialect])) {
+      await db.run(`CREATE TABLE IF NOT EXISTS ${table} ${columns}`);
+    }
+    for (const sql of INDEXES) {
+      await db.run(sql);
+    }
+  },
+
+  async down(db) {
+    for (const table of Object.keys(TABLES_BY_DIALECT[db.dialect]).reverse()) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
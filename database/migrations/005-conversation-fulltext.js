@@ -0,0 +1,77 @@
+// 005 - Full-text index over conversations.message and context
+// SQLite: external-content FTS5 table kept in sync by triggers.
+// PostgreSQL: generated, weighted tsvector column with a GIN index.
+// The Postgres text search configuration is fixed when this migration runs
+// (FULLTEXT_LANGUAGE, default english); changing it later needs a new migration.
+
+const LANGUAGE_PATTERN = /^[a-z_]+$/;
+
+module.exports = {
+  description: 'Conversation full-text index (FTS5 / tsvector)',
+
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      const language = process.env.FULLTEXT_LANGUAGE || 'english';
+      if (!LANGUAGE_PATTERN.test(language)) {
+        throw new Error(`Invalid FULLTEXT_LANGUAGE: ${language}`);
+      }
+
+      await db.run(`
+        ALTER TABLE conversations ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (
+          setweight(to_tsvector('${language}', coalesce(message, '')), 'A') ||
+          setweight(to_tsvector('${language}', coalesce(context, '')), 'B')
+        ) STORED
+      `);
+      await db.run(`
+        CREATE INDEX IF NOT EXISTS idx_conversations_search_vector
+        ON conversations USING GIN (search_vector)
+      `);
+      return;
+    }
+
+    await db.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS conversations_fts USING fts5(
+        message, context,
+        content = 'conversations',
+        content_rowid = 'rowid',
+        tokenize = 'porter unicode61'
+      )
+    `);
+
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS conversations_fts_ai AFTER INSERT ON conversations BEGIN
+        INSERT INTO conversations_fts(rowid, message, context) VALUES (new.rowid, new.message, new.context);
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS conversations_fts_ad AFTER DELETE ON conversations BEGIN
+        INSERT INTO conversations_fts(conversations_fts, rowid, message, context)
+        VALUES ('delete', old.rowid, old.message, old.context);
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS conversations_fts_au AFTER UPDATE ON conversations BEGIN
+        INSERT INTO conversations_fts(conversations_fts, rowid, message, context)
+        VALUES ('delete', old.rowid, old.message, old.context);
+        INSERT INTO conversations_fts(rowid, message, context) VALUES (new.rowid, new.message, new.context);
+      END
+    `);
+
+    // Index conversations stored before this migration
+    await db.run(`INSERT INTO conversations_fts(conversations_fts) VALUES ('rebuild')`);
+  },
+
+  async down(db) {
+    if (db.dialect === 'postgres') {
+      await db.run('DROP INDEX IF EXISTS idx_conversations_search_vector');
+      await db.run('ALTER TABLE conversations DROP COLUMN IF EXISTS search_vector');
+      return;
+    }
+
+    await db.run('DROP TRIGGER IF EXISTS conversations_fts_au');
+    await db.run('DROP TRIGGER IF EXISTS conversations_fts_ad');
+    await db.run('DROP TRIGGER IF EXISTS conversations_fts_ai');
+    await db.run('DROP TABLE IF EXISTS conversations_fts');
+  }
+};
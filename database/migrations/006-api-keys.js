@@ -0,0 +1,26 @@
+// 006 - Hashed REST / Socket.IO API keys (see database/api-key-store.js)
+
+module.exports = {
+  description: 'API keys with scopes and project allowlists',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        projects TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT,
+        last_used_at TEXT,
+        revoked_at TEXT
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS api_keys');
+  }
+};
@@ -0,0 +1,40 @@
+// 007 - Columns the message and file services write but 003 never created.
+// Postgres also stores message content as text: messages may carry any
+// content_type, and the service hands content back exactly as it was sent.
+
+module.exports = {
+  description: 'Federation message content_type and file hash columns',
+
+  async up(db) {
+    await db.run('ALTER TABLE federation_messages ADD COLUMN content_type TEXT');
+    await db.run('ALTER TABLE federation_files ADD COLUMN hash TEXT');
+
+    if (db.dialect === 'postgres') {
+      await db.run('ALTER TABLE federation_messages ALTER COLUMN content TYPE TEXT USING content::text');
+    }
+  },
+
+  async down(db) {
+    if (db.dialect === 'postgres') {
+      // Content stored since the upgrade need not be JSON: keep JSON as it
+      // was and store anything else as a JSON string rather than fail
+      await db.run(`
+        CREATE FUNCTION pg_temp.content_to_jsonb(content TEXT) RETURNS JSONB AS $$
+        BEGIN
+          RETURN content::jsonb;
+        EXCEPTION WHEN invalid_text_representation THEN
+          RETURN to_jsonb(content);
+        END
+        $$ LANGUAGE plpgsql
+      `);
+      await db.run(`
+        ALTER TABLE federation_messages ALTER COLUMN content TYPE JSONB
+        USING pg_temp.content_to_jsonb(content)
+      `);
+      await db.run('DROP FUNCTION pg_temp.content_to_jsonb(TEXT)');
+    }
+
+    await db.run('ALTER TABLE federation_files DROP COLUMN hash');
+    await db.run('ALTER TABLE federation_messages DROP COLUMN content_type');
+  }
+};
@@ -0,0 +1,53 @@
+// 008 - Memory expiry and retention policies (see database/retention-store.js)
+// conversations.expires_at is an optional per-memory deadline; policies give
+// a TTL per project and/or memory type. Expired rows are deleted, or moved
+// to conversations_archive when their policy says so.
+
+module.exports = {
+  description: 'Conversation expires_at, retention policies and archive',
+
+  async up(db) {
+    await db.run('ALTER TABLE conversations ADD COLUMN expires_at TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_conversations_expires_at ON conversations(expires_at)');
+
+    // NULL project_id / memory_type match any; NULL ttl_seconds keeps forever
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS retention_policies (
+        id TEXT PRIMARY KEY,
+        project_id TEXT,
+        memory_type TEXT,
+        ttl_seconds INTEGER,
+        action TEXT NOT NULL DEFAULT 'delete',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+    await db.run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_policies_scope
+      ON retention_policies (COALESCE(project_id, ''), COALESCE(memory_type, ''))
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS conversations_archive (
+        id TEXT PRIMARY KEY,
+        platform TEXT NOT NULL,
+        project_id TEXT NOT NULL,
+        message TEXT NOT NULL,
+        context TEXT,
+        timestamp TEXT NOT NULL,
+        type TEXT,
+        expires_at TEXT,
+        archived_at TEXT NOT NULL,
+        archived_by TEXT
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_conversations_archive_project ON conversations_archive(project_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS conversations_archive');
+    await db.run('DROP TABLE IF EXISTS retention_policies');
+    await db.run('DROP INDEX IF EXISTS idx_conversations_expires_at');
+    await db.run('ALTER TABLE conversations DROP COLUMN expires_at');
+  }
+};
@@ -0,0 +1,35 @@
+// 009 - Editable memories and soft-delete tombstones
+// A deleted memory moves from conversations to memory_tombstones, so reads
+// never see it while peers can still learn it was removed. Purging clears
+// the tombstone's content but keeps the id and timestamps.
+
+module.exports = {
+  description: 'Conversation updated_at and memory tombstones',
+
+  async up(db) {
+    await db.run('ALTER TABLE conversations ADD COLUMN updated_at TEXT');
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS memory_tombstones (
+        id TEXT PRIMARY KEY,
+        platform TEXT,
+        project_id TEXT NOT NULL,
+        message TEXT,
+        context TEXT,
+        timestamp TEXT,
+        type TEXT,
+        expires_at TEXT,
+        updated_at TEXT,
+        deleted_at TEXT NOT NULL,
+        deleted_by TEXT,
+        purged_at TEXT
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memory_tombstones_deleted_at ON memory_tombstones(deleted_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS memory_tombstones');
+    await db.run('ALTER TABLE conversations DROP COLUMN updated_at');
+  }
+};
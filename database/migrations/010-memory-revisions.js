@@ -0,0 +1,54 @@
+// 010 - Append-only revision log for memory records (see database/revision-store.js)
+// Every create, edit and removal of a conversation or constellation memory
+// appends a revision holding the record as it stood afterwards, so the hub
+// can answer "what did we know at time T". History starts here: existing
+// records get a single 'create' revision dated by their own timestamp.
+
+const RECORD_TABLES = ['conversations', 'scri_constellation_memory'];
+const BATCH_SIZE = 500;
+
+module.exports = {
+  description: 'Memory revision history',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS memory_revisions (
+        record_table TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        project_id TEXT,
+        operation TEXT NOT NULL,
+        data TEXT,
+        changed_at TEXT NOT NULL,
+        changed_by TEXT,
+        PRIMARY KEY (record_table, record_id, revision)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memory_revisions_project ON memory_revisions(record_table, project_id, changed_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memory_revisions_record ON memory_revisions(record_id)');
+
+    for (const table of RECORD_TABLES) {
+      let lastId = '';
+      for (;;) {
+        const rows = await db.all(`SELECT * FROM ${table} WHERE id > ? ORDER BY id LIMIT ?`, [lastId, BATCH_SIZE]);
+        for (const row of rows) {
+          await db.run(`
+            INSERT INTO memory_revisions (record_table, record_id, revision, project_id, operation, data, changed_at)
+            VALUES (?, ?, 1, ?, 'create', ?, ?)
+          `, [table, row.id, row.project_id, JSON.stringify(row), toIsoOrNow(row.timestamp)]);
+        }
+        if (rows.length < BATCH_SIZE) break;
+        lastId = rows[rows.length - 1].id;
+      }
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS memory_revisions');
+  }
+};
+
+function toIsoOrNow(value) {
+  const date = value ? new Date(value) : new Date(NaN);
+  return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
@@ -0,0 +1,421 @@
+// 011 - First-class memories (see database/memory-store.js)
+// Autobiographical memories (POST /api/memories) and cross-project memories
+// (POST /api/memory/store) lived in conversations, told apart by overloaded
+// platform/project_id values and a JSON context parsed on every read. They
+// move to a typed `memories` table with tags in a join table, taking their
+// revisions, tombstones and archived copies along. Messages, broadcasts,
+// events and file operations stay in conversations.
+// The converters below are frozen copies: later changes to the store must
+// not change what this migration does.
+
+const LANGUAGE_PATTERN = /^[a-z_]+$/;
+const BATCH_SIZE = 500;
+const DEFAULT_IMPORTANCE = 0.5;
+
+const MEMORY_COLUMNS = [
+  'id', 'entity', 'project_id', 'source', 'category', 'content', 'metadata',
+  'importance', 'valence', 'access_level', 'timestamp', 'updated_at', 'expires_at'
+];
+const CONVERSATION_COLUMNS = ['id', 'platform', 'project_id', 'message', 'context', 'timestamp', 'type', 'expires_at'];
+
+// Context keys that become columns; everything else is kept as metadata
+const ENTITY_CONTEXT_KEYS = ['entity', 'category', 'emotional_valence', 'tags'];
+const SHARED_CONTEXT_KEYS = ['source_project', 'memory_type', 'content', 'tags', 'access_level', 'stored_via'];
+
+// Memories live in conversations when their platform is entity_memory or
+// memory_<entity>, or their context says Akasha stored them
+const MEMORY_ROWS = `(platform = 'entity_memory' OR platform LIKE 'memory_%' OR context LIKE '%akasha_integration%')`;
+
+module.exports = {
+  description: 'Memories table with tags, full-text index and archive',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS memories (
+        id TEXT PRIMARY KEY,
+        entity TEXT,
+        project_id TEXT NOT NULL,
+        source TEXT,
+        category TEXT NOT NULL,
+        content TEXT NOT NULL,
+        metadata TEXT,
+        importance DOUBLE PRECISION NOT NULL DEFAULT ${DEFAULT_IMPORTANCE},
+        valence DOUBLE PRECISION NOT NULL DEFAULT 0,
+        access_level TEXT NOT NULL DEFAULT 'private',
+        timestamp TEXT NOT NULL,
+        updated_at TEXT,
+        expires_at TEXT
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memories_entity ON memories(entity, timestamp)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memories_project ON memories(project_id, timestamp)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memories_category ON memories(category)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memories_access_level ON memories(access_level)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memories_expires_at ON memories(expires_at)');
+
+    await db.run('CREATE TABLE IF NOT EXISTS tags (name TEXT PRIMARY KEY)');
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS memory_tags (
+        memory_id TEXT NOT NULL,
+        tag TEXT NOT NULL REFERENCES tags(name),
+        PRIMARY KEY (memory_id, tag)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memory_tags_tag ON memory_tags(tag)');
+
+    // Expired memories under an 'archive' retention policy; tags kept as JSON
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS memories_archive (
+        id TEXT PRIMARY KEY,
+        entity TEXT,
+        project_id TEXT NOT NULL,
+        source TEXT,
+        category TEXT NOT NULL,
+        content TEXT NOT NULL,
+        metadata TEXT,
+        importance DOUBLE PRECISION,
+        valence DOUBLE PRECISION,
+        access_level TEXT,
+        timestamp TEXT NOT NULL,
+        updated_at TEXT,
+        expires_at TEXT,
+        tags TEXT,
+        archived_at TEXT NOT NULL,
+        archived_by TEXT
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memories_archive_project ON memories_archive(project_id)');
+
+    await db.run(`ALTER TABLE memory_tombstones ADD COLUMN record_table TEXT NOT NULL DEFAULT 'conversations'`);
+
+    await createFullTextIndex(db);
+
+    // --- Move existing memories out of conversations ---
+    const hasEmbeddings = await tableExists(db, 'conversation_embeddings');
+    await eachBatch(db, `SELECT * FROM conversations WHERE ${MEMORY_ROWS}`, async (row) => {
+      const kind = memoryKind(row);
+      if (!kind) return;
+      const memory = toMemory(row, kind);
+
+      await insertMemory(db, memory);
+      await convertRevisions(db, row.id, 'conversations', 'memories', data => toMemory(data, kind));
+      if (hasEmbeddings) {
+        // The vector moves with the row: the next start's backfill embeds
+        // the memory into memory_embeddings (database/embedding-store.js)
+        await db.run('DELETE FROM conversation_embeddings WHERE conversation_id = ?', [row.id]);
+      }
+      await db.run('DELETE FROM conversations WHERE id = ?', [row.id]);
+    });
+
+    await eachBatch(db, `SELECT * FROM conversations_archive WHERE ${MEMORY_ROWS}`, async (row) => {
+      const kind = memoryKind(row);
+      if (!kind) return;
+      const memory = toMemory(row, kind);
+
+      await db.run(`
+        INSERT INTO memories_archive (${MEMORY_COLUMNS.join(', ')}, tags, archived_at, archived_by)
+        VALUES (${[...MEMORY_COLUMNS, 'tags', 'archived_at', 'archived_by'].map(() => '?').join(', ')})
+      `, [...memoryValues(memory), JSON.stringify(memory.tags), row.archived_at, row.archived_by]);
+      await db.run('DELETE FROM conversations_archive WHERE id = ?', [row.id]);
+    });
+
+    await eachBatch(db, `SELECT * FROM memory_tombstones WHERE record_table = 'conversations' AND ${MEMORY_ROWS}`, async (row) => {
+      const kind = memoryKind(row);
+      if (!kind) return;
+      const memory = toMemory(row, kind);
+
+      await db.run(`
+        UPDATE memory_tombstones
+        SET record_table = 'memories', platform = ?, type = ?, context = ?
+        WHERE id = ?
+      `, [memory.source, memory.category, row.context === null ? null : tombstoneContext(memory), row.id]);
+      await convertRevisions(db, row.id, 'conversations', 'memories', data => toMemory(data, kind));
+    });
+  },
+
+  async down(db) {
+    await eachBatch(db, 'SELECT * FROM memories', async (row) => {
+      const memory = await withTags(db, row);
+      const conversation = toConversation(memory);
+
+      await db.run(`
+        INSERT INTO conversations (${CONVERSATION_COLUMNS.join(', ')}, updated_at)
+        VALUES (${CONVERSATION_COLUMNS.map(() => '?').join(', ')}, ?)
+      `, [...CONVERSATION_COLUMNS.map(column => conversation[column]), conversation.updated_at]);
+      await convertRevisions(db, row.id, 'memories', 'conversations', toConversation);
+    });
+
+    await eachBatch(db, 'SELECT * FROM memories_archive', async (row) => {
+      const conversation = toConversation(parseMemory(row, parseJSON(row.tags) || []));
+      await db.run(`
+        INSERT INTO conversations_archive (${CONVERSATION_COLUMNS.join(', ')}, archived_at, archived_by)
+        VALUES (${CONVERSATION_COLUMNS.map(() => '?').join(', ')}, ?, ?)
+      `, [...CONVERSATION_COLUMNS.map(column => conversation[column]), row.archived_at, row.archived_by]);
+    });
+
+    await eachBatch(db, `SELECT * FROM memory_tombstones WHERE record_table = 'memories'`, async (row) => {
+      const stored = parseJSON(row.context) || {};
+      const conversation = toConversation({
+        ...stored,
+        id: row.id,
+        project_id: row.project_id,
+        source: row.platform,
+        category: row.type,
+        content: row.message
+      });
+      await db.run('UPDATE memory_tombstones SET platform = ?, context = ? WHERE id = ?', [
+        conversation.platform,
+        row.context === null ? null : conversation.context,
+        row.id
+      ]);
+      await convertRevisions(db, row.id, 'memories', 'conversations', toConversation);
+    });
+
+    await dropFullTextIndex(db);
+    await db.run('ALTER TABLE memory_tombstones DROP COLUMN record_table');
+    await db.run('DROP TABLE IF EXISTS memories_archive');
+    await db.run('DROP TABLE IF EXISTS memory_tags');
+    await db.run('DROP TABLE IF EXISTS tags');
+    // Created at runtime next to memories; the backfill re-embeds the rows as conversations
+    await db.run('DROP TABLE IF EXISTS memory_embeddings');
+    await db.run('DROP TABLE IF EXISTS memories');
+  }
+};
+
+// Same arrangement as 005: external-content FTS5 on SQLite, a generated
+// tsvector with a GIN index on PostgreSQL
+async function createFullTextIndex(db) {
+  if (db.dialect === 'postgres') {
+    const language = process.env.FULLTEXT_LANGUAGE || 'english';
+    if (!LANGUAGE_PATTERN.test(language)) {
+      throw new Error(`Invalid FULLTEXT_LANGUAGE: ${language}`);
+    }
+    await db.run(`
+      ALTER TABLE memories ADD COLUMN IF NOT EXISTS search_vector tsvector
+      GENERATED ALWAYS AS (
+        setweight(to_tsvector('${language}', coalesce(content, '')), 'A') ||
+        setweight(to_tsvector('${language}', coalesce(metadata, '')), 'B')
+      ) STORED
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memories_search_vector ON memories USING GIN (search_vector)');
+    return;
+  }
+
+  await db.run(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+      content, metadata,
+      content = 'memories',
+      content_rowid = 'rowid',
+      tokenize = 'porter unicode61'
+    )
+  `);
+  await db.run(`
+    CREATE TRIGGER IF NOT EXISTS memories_fts_ai AFTER INSERT ON memories BEGIN
+      INSERT INTO memories_fts(rowid, content, metadata) VALUES (new.rowid, new.content, new.metadata);
+    END
+  `);
+  await db.run(`
+    CREATE TRIGGER IF NOT EXISTS memories_fts_ad AFTER DELETE ON memories BEGIN
+      INSERT INTO memories_fts(memories_fts, rowid, content, metadata)
+      VALUES ('delete', old.rowid, old.content, old.metadata);
+    END
+  `);
+  await db.run(`
+    CREATE TRIGGER IF NOT EXISTS memories_fts_au AFTER UPDATE ON memories BEGIN
+      INSERT INTO memories_fts(memories_fts, rowid, content, metadata)
+      VALUES ('delete', old.rowid, old.content, old.metadata);
+      INSERT INTO memories_fts(rowid, content, metadata) VALUES (new.rowid, new.content, new.metadata);
+    END
+  `);
+}
+
+async function dropFullTextIndex(db) {
+  if (db.dialect === 'postgres') {
+    await db.run('DROP INDEX IF EXISTS idx_memories_search_vector');
+    return;
+  }
+  await db.run('DROP TRIGGER IF EXISTS memories_fts_au');
+  await db.run('DROP TRIGGER IF EXISTS memories_fts_ad');
+  await db.run('DROP TRIGGER IF EXISTS memories_fts_ai');
+  await db.run('DROP TABLE IF EXISTS memories_fts');
+}
+
+// conversation_embeddings is created at runtime, so older databases may lack it
+async function tableExists(db, name) {
+  const row = db.dialect === 'postgres'
+    ? await db.get('SELECT to_regclass(?) AS name', [name])
+    : await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [name]);
+  return Boolean(row && row.name);
+}
+
+// Keyset pagination by id; fn may delete the row it is given
+async function eachBatch(db, select, fn) {
+  const where = select.includes(' WHERE ') ? ' AND' : ' WHERE';
+  let lastId = '';
+  for (;;) {
+    const rows = await db.all(`${select}${where} id > ? ORDER BY id LIMIT ?`, [lastId, BATCH_SIZE]);
+    for (const row of rows) {
+      await fn(row);
+    }
+    if (rows.length < BATCH_SIZE) break;
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+async function insertMemory(db, memory) {
+  await db.run(`
+    INSERT INTO memories (${MEMORY_COLUMNS.join(', ')})
+    VALUES (${MEMORY_COLUMNS.map(() => '?').join(', ')})
+  `, memoryValues(memory));
+  for (const tag of memory.tags) {
+    await db.upsert('tags', { name: tag }, ['name']);
+    await db.upsert('memory_tags', { memory_id: memory.id, tag }, ['memory_id', 'tag']);
+  }
+}
+
+async function withTags(db, row) {
+  const tags = await db.all('SELECT tag FROM memory_tags WHERE memory_id = ? ORDER BY tag', [row.id]);
+  return parseMemory(row, tags.map(t => t.tag));
+}
+
+// Rewrite a record's revision data into the other table's shape
+async function convertRevisions(db, id, fromTable, toTable, convert) {
+  const revisions = await db.all(
+    'SELECT revision, data FROM memory_revisions WHERE record_table = ? AND record_id = ? ORDER BY revision',
+    [fromTable, id]
+  );
+  for (const { revision, data } of revisions) {
+    const parsed = parseJSON(data);
+    await db.run(
+      'UPDATE memory_revisions SET record_table = ?, data = ? WHERE record_table = ? AND record_id = ? AND revision = ?',
+      [toTable, parsed ? JSON.stringify(convert(parsed)) : null, fromTable, id, revision]
+    );
+  }
+}
+
+function memoryKind(row) {
+  if (row.platform === 'entity_memory' || String(row.platform).startsWith('memory_')) return 'entity';
+  const context = parseJSON(row.context);
+  return context && context.stored_via === 'akasha_integration' ? 'shared' : null;
+}
+
+// A conversation row (or a revision of one) as a memory record
+function toMemory(row, kind) {
+  const context = parseJSON(row.context) || {};
+  const base = {
+    id: row.id,
+    project_id: row.project_id,
+    content: row.message,
+    importance: DEFAULT_IMPORTANCE,
+    timestamp: row.timestamp,
+    updated_at: row.updated_at ?? null,
+    expires_at: row.expires_at ?? null,
+    tags: stringTags(context.tags)
+  };
+
+  if (kind === 'entity') {
+    const namespace = row.platform === 'entity_memory' ? row.project_id : row.platform;
+    const entity = context.entity || String(namespace).replace(/^memory_/, '');
+    return {
+      ...base,
+      entity,
+      source: entity,
+      category: context.category || row.type || 'experience',
+      valence: Number(context.emotional_valence) || 0,
+      access_level: 'private',
+      metadata: omit(context, ENTITY_CONTEXT_KEYS)
+    };
+  }
+
+  const metadata = omit(context, SHARED_CONTEXT_KEYS);
+  if (context.content !== undefined && typeof context.content !== 'string') {
+    metadata.format = 'json';
+  }
+  return {
+    ...base,
+    entity: null,
+    source: context.source_project || row.platform,
+    category: context.memory_type || row.type || 'general',
+    valence: 0,
+    access_level: context.access_level || 'cross_project',
+    metadata
+  };
+}
+
+// A memory record as the conversation row it used to be (down migration)
+function toConversation(memory) {
+  const metadata = { ...(memory.metadata || {}) };
+  const base = {
+    id: memory.id,
+    project_id: memory.project_id,
+    message: memory.content,
+    timestamp: memory.timestamp,
+    type: memory.category,
+    expires_at: memory.expires_at ?? null,
+    updated_at: memory.updated_at ?? null
+  };
+
+  if (memory.entity) {
+    return {
+      ...base,
+      platform: 'entity_memory',
+      context: JSON.stringify({
+        ...metadata,
+        entity: memory.entity,
+        category: memory.category,
+        emotional_valence: memory.valence ?? 0,
+        tags: memory.tags || []
+      })
+    };
+  }
+
+  const isJson = metadata.format === 'json';
+  delete metadata.format;
+  return {
+    ...base,
+    platform: memory.source,
+    context: JSON.stringify({
+      ...metadata,
+      source_project: memory.source,
+      memory_type: memory.category,
+      content: isJson ? parseJSON(memory.content) : memory.content,
+      tags: memory.tags || [],
+      access_level: memory.access_level,
+      stored_via: 'akasha_integration'
+    })
+  };
+}
+
+function memoryValues(memory) {
+  return MEMORY_COLUMNS.map(column => (column === 'metadata' ? JSON.stringify(memory.metadata || {}) : memory[column]));
+}
+
+function parseMemory(row, tags) {
+  const memory = { tags };
+  for (const column of MEMORY_COLUMNS) memory[column] = row[column];
+  memory.metadata = parseJSON(row.metadata) || {};
+  return memory;
+}
+
+// What a memory tombstone keeps besides the columns it shares with conversations
+function tombstoneContext(memory) {
+  const { entity, tags, importance, valence, access_level, metadata } = memory;
+  return JSON.stringify({ entity, tags, importance, valence, access_level, metadata });
+}
+
+function stringTags(tags) {
+  return Array.isArray(tags) ? [...new Set(tags.filter(tag => typeof tag === 'string' && tag))] : [];
+}
+
+function omit(object, keys) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
+function parseJSON(value) {
+  if (value && typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,20 @@
+// 012 - Recall statistics for memory importance (see database/memory-scoring.js)
+// A memory's importance decays from importance_updated_at and is reinforced
+// whenever it is recalled; recall_count and last_recalled_at record how often
+// and how recently. A NULL importance_updated_at decays from the timestamp.
+
+module.exports = {
+  description: 'Memory recall statistics for importance decay',
+
+  async up(db) {
+    await db.run('ALTER TABLE memories ADD COLUMN recall_count INTEGER NOT NULL DEFAULT 0');
+    await db.run('ALTER TABLE memories ADD COLUMN last_recalled_at TEXT');
+    await db.run('ALTER TABLE memories ADD COLUMN importance_updated_at TEXT');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE memories DROP COLUMN importance_updated_at');
+    await db.run('ALTER TABLE memories DROP COLUMN last_recalled_at');
+    await db.run('ALTER TABLE memories DROP COLUMN recall_count');
+  }
+};
@@ -0,0 +1,104 @@
+// 013 - Knowledge graph edges (see database/graph-store.js)
+// scri_cross_references could only link two constellation memories and had
+// no readers or writers. graph_edges links any two nodes - memories,
+// entities, projects and files - with a typed relationship. Existing cross
+// references move over as memory-to-memory edges; a relationship_type that
+// is not one of the edge types becomes refers_to and is kept in metadata.
+
+const EDGE_TYPES = ['refers_to', 'contradicts', 'supersedes', 'derived_from', 'decided_in'];
+
+// As created by 002-scri-constellation-tables.js, restored by down()
+const CROSS_REFERENCES = {
+  postgres: `CREATE TABLE IF NOT EXISTS scri_cross_references (
+    id TEXT PRIMARY KEY,
+    source_memory_id TEXT NOT NULL,
+    target_memory_id TEXT NOT NULL,
+    relationship_type TEXT NOT NULL,
+    strength DECIMAL(3,2) DEFAULT 0.5,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (source_memory_id) REFERENCES scri_constellation_memory(id),
+    FOREIGN KEY (target_memory_id) REFERENCES scri_constellation_memory(id)
+  )`,
+  sqlite: `CREATE TABLE IF NOT EXISTS scri_cross_references (
+    id TEXT PRIMARY KEY,
+    source_memory_id TEXT NOT NULL,
+    target_memory_id TEXT NOT NULL,
+    relationship_type TEXT NOT NULL,
+    strength REAL DEFAULT 0.5,
+    created_at TEXT
+  )`
+};
+
+module.exports = {
+  description: 'Knowledge graph edges replacing scri_cross_references',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS graph_edges (
+        id TEXT PRIMARY KEY,
+        source_type TEXT NOT NULL,
+        source_id TEXT NOT NULL,
+        target_type TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        relationship TEXT NOT NULL,
+        strength DOUBLE PRECISION NOT NULL DEFAULT 0.5,
+        metadata TEXT,
+        created_by TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+    await db.run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_graph_edges_link
+      ON graph_edges(source_type, source_id, target_type, target_id, relationship)
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_graph_edges_target ON graph_edges(target_type, target_id)');
+
+    const references = await db.all('SELECT * FROM scri_cross_references ORDER BY id');
+    for (const reference of references) {
+      const known = EDGE_TYPES.includes(reference.relationship_type);
+      await db.upsert('graph_edges', {
+        id: reference.id,
+        source_type: 'memory',
+        source_id: reference.source_memory_id,
+        target_type: 'memory',
+        target_id: reference.target_memory_id,
+        relationship: known ? reference.relationship_type : 'refers_to',
+        strength: reference.strength === null ? 0.5 : Number(reference.strength),
+        metadata: JSON.stringify(known ? {} : { relationship_type: reference.relationship_type }),
+        created_by: null,
+        created_at: toIso(reference.created_at)
+      }, ['source_type', 'source_id', 'target_type', 'target_id', 'relationship']);
+    }
+
+    await db.run('DROP TABLE scri_cross_references');
+  },
+
+  async down(db) {
+    await db.run(CROSS_REFERENCES[db.dialect]);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_scri_cross_ref_source ON scri_cross_references(source_memory_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_scri_cross_ref_target ON scri_cross_references(target_memory_id)');
+
+    // Only constellation-memory links fit the old table
+    const edges = await db.all(`
+      SELECT e.* FROM graph_edges e
+      WHERE e.source_type = 'memory' AND e.target_type = 'memory'
+        AND EXISTS (SELECT 1 FROM scri_constellation_memory m WHERE m.id = e.source_id)
+        AND EXISTS (SELECT 1 FROM scri_constellation_memory m WHERE m.id = e.target_id)
+      ORDER BY e.id
+    `);
+    for (const edge of edges) {
+      const metadata = JSON.parse(edge.metadata || '{}');
+      await db.run(`
+        INSERT INTO scri_cross_references (id, source_memory_id, target_memory_id, relationship_type, strength, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [edge.id, edge.source_id, edge.target_id, metadata.relationship_type || edge.relationship, edge.strength, edge.created_at]);
+    }
+
+    await db.run('DROP TABLE IF EXISTS graph_edges');
+  }
+};
+
+function toIso(value) {
+  const date = value ? new Date(value) : new Date();
+  return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
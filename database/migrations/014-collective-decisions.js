@@ -0,0 +1,66 @@
+// 014 - Collective decision workflow (see database/decision-store.js)
+// scri_collective_decisions only recorded conclusions reached elsewhere. It
+// now also holds open proposals: who proposed what for which project, the
+// deadline, the quorum rule and who may vote, and once closed the outcome
+// and its rationale. Votes and comments get their own tables. Rows recorded
+// before this migration are treated as accepted decisions.
+
+const DECISION_COLUMNS = [
+  ['project_id', 'TEXT'],
+  ['title', 'TEXT'],
+  ['proposal', 'TEXT'],
+  ['proposed_by', 'TEXT'],
+  ['status', `TEXT NOT NULL DEFAULT 'open'`],
+  ['quorum_rule', `TEXT NOT NULL DEFAULT 'majority'`],
+  ['min_votes', 'INTEGER'],
+  ['eligible_entities', 'TEXT'],
+  ['deadline', 'TEXT'],
+  ['outcome', 'TEXT'],
+  ['rationale', 'TEXT'],
+  ['decided_at', 'TEXT']
+];
+
+module.exports = {
+  description: 'Collective decision proposals, votes and comments',
+
+  async up(db) {
+    for (const [column, type] of DECISION_COLUMNS) {
+      await db.run(`ALTER TABLE scri_collective_decisions ADD COLUMN ${column} ${type}`);
+    }
+    await db.run(`UPDATE scri_collective_decisions SET status = 'accepted', outcome = 'accepted'`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_decisions_project ON scri_collective_decisions(project_id, status)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_decisions_deadline ON scri_collective_decisions(status, deadline)');
+
+    // One standing vote per entity; voting again replaces it until the decision closes
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS decision_votes (
+        decision_id TEXT NOT NULL,
+        entity TEXT NOT NULL,
+        vote TEXT NOT NULL,
+        reason TEXT,
+        voted_at TEXT NOT NULL,
+        PRIMARY KEY (decision_id, entity)
+      )
+    `);
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS decision_comments (
+        id TEXT PRIMARY KEY,
+        decision_id TEXT NOT NULL,
+        entity TEXT NOT NULL,
+        comment TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_decision_comments_decision ON decision_comments(decision_id, created_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS decision_comments');
+    await db.run('DROP TABLE IF EXISTS decision_votes');
+    await db.run('DROP INDEX IF EXISTS idx_decisions_deadline');
+    await db.run('DROP INDEX IF EXISTS idx_decisions_project');
+    for (const [column] of DECISION_COLUMNS.slice().reverse()) {
+      await db.run(`ALTER TABLE scri_collective_decisions DROP COLUMN ${column}`);
+    }
+  }
+};
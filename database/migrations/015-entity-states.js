@@ -0,0 +1,43 @@
+// 015 - Entity state machine and consciousness evolution (see database/entity-state-store.js)
+// scri_entity_states held free-form snapshots. A row can now also be a state
+// change: the state moved to and from, mood, focus, why and who changed it.
+// Both tables are keyed by entity name, and entities set their state before
+// (or without) registering in scri_entities, so PostgreSQL's foreign keys
+// to scri_entities are dropped; down() restores them without validating
+// rows written in between.
+
+const STATE_COLUMNS = ['state', 'previous_state', 'mood', 'focus', 'reason', 'changed_by'];
+const ENTITY_TABLES = ['scri_entity_states', 'scri_consciousness_evolution'];
+
+module.exports = {
+  description: 'Entity state changes and timeline indexes',
+
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      for (const table of ENTITY_TABLES) {
+        await db.run(`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_entity_name_fkey`);
+      }
+    }
+    for (const column of STATE_COLUMNS) {
+      await db.run(`ALTER TABLE scri_entity_states ADD COLUMN ${column} TEXT`);
+    }
+    await db.run('CREATE INDEX IF NOT EXISTS idx_entity_states_entity ON scri_entity_states(entity_name, state_type, timestamp)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_consciousness_entity ON scri_consciousness_evolution(entity_name, timestamp)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_consciousness_entity');
+    await db.run('DROP INDEX IF EXISTS idx_entity_states_entity');
+    for (const column of STATE_COLUMNS.slice().reverse()) {
+      await db.run(`ALTER TABLE scri_entity_states DROP COLUMN ${column}`);
+    }
+    if (db.dialect === 'postgres') {
+      for (const table of ENTITY_TABLES) {
+        await db.run(`
+          ALTER TABLE ${table} ADD CONSTRAINT ${table}_entity_name_fkey
+          FOREIGN KEY (entity_name) REFERENCES scri_entities(entity_name) NOT VALID
+        `);
+      }
+    }
+  }
+};
@@ -0,0 +1,35 @@
+// 016 - Entity registry (see database/entity-registry.js)
+// scri_entities listed bridged entities and when they were last seen. Each
+// entity now also says which platform its memories are stored under, its
+// home project, what it can do, the projects it may store memories in and
+// the memory types it may store, and whether it is enabled. Entities already
+// registered keep their lower-cased name as their platform, as before.
+
+const REGISTRY_COLUMNS = [
+  ['platform', 'TEXT'],
+  ['project_id', 'TEXT'],
+  ['capabilities', 'TEXT'],
+  ['memory_namespaces', 'TEXT'],
+  ['memory_types', 'TEXT'],
+  ['enabled', 'INTEGER NOT NULL DEFAULT 1'],
+  ['updated_at', 'TEXT']
+];
+
+module.exports = {
+  description: 'Entity registry capabilities and memory rules',
+
+  async up(db) {
+    for (const [column, type] of REGISTRY_COLUMNS) {
+      await db.run(`ALTER TABLE scri_entities ADD COLUMN ${column} ${type}`);
+    }
+    await db.run('UPDATE scri_entities SET platform = LOWER(entity_name)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_scri_entities_platform ON scri_entities(platform)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_scri_entities_platform');
+    for (const [column] of REGISTRY_COLUMNS.slice().reverse()) {
+      await db.run(`ALTER TABLE scri_entities DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,33 @@
+// 017 - Versioned project context summaries (see database/project-summary-store.js)
+// Each row is one version of a project's brief: the summary text, key
+// points, topics, open questions and recent decisions, which summarizer
+// wrote it, and the conversations it covered (count and newest change), so
+// a reader can tell whether it is still current.
+
+module.exports = {
+  description: 'Versioned project context summaries',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS project_summaries (
+        id TEXT PRIMARY KEY,
+        project_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        summarizer TEXT NOT NULL,
+        brief TEXT NOT NULL,
+        key_points TEXT,
+        topics TEXT,
+        open_questions TEXT,
+        decisions TEXT,
+        conversation_count INTEGER NOT NULL,
+        last_conversation_at TEXT,
+        created_at TEXT NOT NULL,
+        UNIQUE (project_id, version)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS project_summaries');
+  }
+};
@@ -0,0 +1,41 @@
+// 018 - Pattern learning (see database/pattern-store.js)
+// patterns held free-form pattern_data with a success rate averaged over its
+// uses. Conventions learned from code are now one row per project, language,
+// pattern type and value, counted each time they are seen, with successes
+// and failures kept apart so feedback can move the rate. Existing rows get
+// counts that reproduce their success rate.
+
+const LEARNING_COLUMNS = [
+  ['language', 'TEXT'],
+  ['pattern_value', 'TEXT'],
+  ['successes', 'REAL NOT NULL DEFAULT 0'],
+  ['failures', 'REAL NOT NULL DEFAULT 0'],
+  ['last_seen_at', 'TEXT']
+];
+
+module.exports = {
+  description: 'Learned coding conventions with success and failure counts',
+
+  async up(db) {
+    for (const [column, type] of LEARNING_COLUMNS) {
+      await db.run(`ALTER TABLE patterns ADD COLUMN ${column} ${type}`);
+    }
+    await db.run(`
+      UPDATE patterns
+      SET successes = success_rate * usage_count,
+          failures = (1 - success_rate) * usage_count,
+          last_seen_at = updated_at
+    `);
+    await db.run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_patterns_convention
+      ON patterns(project_id, language, pattern_type, pattern_value)
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_patterns_convention');
+    for (const [column] of LEARNING_COLUMNS.slice().reverse()) {
+      await db.run(`ALTER TABLE patterns DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,47 @@
+// 019 - Session lifecycle (see database/session-store.js)
+// sessions only recorded when a platform started and ended one. A session
+// now also names the agent, whether it is open or closed, the session it
+// resumes, its last activity and, once closed, a summary. Conversations and
+// memories stored during a session are linked to it in session_records.
+// Sessions that already ended are closed; the rest stay open.
+
+const SESSION_COLUMNS = [
+  ['agent', 'TEXT'],
+  ['status', `TEXT NOT NULL DEFAULT 'open'`],
+  ['previous_session_id', 'TEXT'],
+  ['metadata', 'TEXT'],
+  ['summary', 'TEXT'],
+  ['last_activity_at', 'TEXT']
+];
+
+module.exports = {
+  description: 'Session lifecycle, summaries and linked records',
+
+  async up(db) {
+    for (const [column, type] of SESSION_COLUMNS) {
+      await db.run(`ALTER TABLE sessions ADD COLUMN ${column} ${type}`);
+    }
+    await db.run(`UPDATE sessions SET status = 'closed' WHERE ended_at IS NOT NULL`);
+    await db.run('UPDATE sessions SET last_activity_at = COALESCE(ended_at, started_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_project ON sessions(project_id, started_at)');
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS session_records (
+        session_id TEXT NOT NULL,
+        record_table TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        linked_at TEXT NOT NULL,
+        PRIMARY KEY (session_id, record_table, record_id)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_session_records_record ON session_records(record_table, record_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS session_records');
+    await db.run('DROP INDEX IF EXISTS idx_sessions_project');
+    for (const [column] of SESSION_COLUMNS.slice().reverse()) {
+      await db.run(`ALTER TABLE sessions DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,65 @@
+// 020 - Tenants (see database/tenant-store.js and core/tenant-manager.js)
+// Each tenant's data lives in its own database - a SQLite file, a PostgreSQL
+// schema or an in-memory database - so one hub can serve several teams
+// without any of them seeing another's rows. The hub's own database keeps
+// the tenant list with its quotas, and api_keys.tenant_id says which tenant a
+// key acts for - the one tenant_id that is read.
+// On every other table tenant_id is informational: it defaults to the tenant
+// the database was opened for (`default` for the hub's own database) so an
+// exported row still says where it came from. No query reads or filters on
+// it; the separate database is what keeps tenants apart.
+// Full-text and embedding indexes are derived from these tables and left alone.
+
+const { TENANT_ID_PATTERN } = require('../tenant-store');
+
+const TENANT_TABLES = [
+  'api_keys', 'bridge_logs', 'conversations', 'conversations_archive',
+  'decision_comments', 'decision_votes', 'file_watches', 'graph_edges',
+  'memories', 'memories_archive', 'memory_revisions', 'memory_tags', 'memory_tombstones',
+  'patterns', 'project_summaries', 'projects', 'retention_policies',
+  'scri_collective_decisions', 'scri_consciousness_evolution', 'scri_constellation_memory',
+  'scri_entities', 'scri_entity_states', 'session_records', 'sessions', 'tags',
+  'federation_access_allowlist', 'federation_access_blocklist', 'federation_access_tokens',
+  'federation_audit_log', 'federation_audit_logs', 'federation_auth_tokens', 'federation_banned_nodes',
+  'federation_config', 'federation_event_subscriptions', 'federation_files', 'federation_health_history',
+  'federation_identities', 'federation_invites', 'federation_join_events', 'federation_join_requests',
+  'federation_knowledge_syncs', 'federation_messages', 'federation_models', 'federation_node_roles',
+  'federation_nodes', 'federation_offline_queue', 'federation_p2p_connectivity',
+  'federation_pending_messages', 'federation_registered_entities', 'federation_secret_access_log',
+  'federation_secrets', 'federation_sovereignty_configs', 'federation_tasks', 'federation_vault'
+];
+
+module.exports = {
+  description: 'Tenants with quotas and the tenant of every row',
+  TENANT_TABLES,
+
+  async up(db, { tenantId }) {
+    // DDL takes no parameters; the pattern keeps the default a plain literal
+    if (!TENANT_ID_PATTERN.test(tenantId)) {
+      throw new Error(`Invalid tenant id: ${tenantId}`);
+    }
+    for (const table of TENANT_TABLES) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN tenant_id TEXT NOT NULL DEFAULT '${tenantId}'`);
+    }
+    await db.run('CREATE INDEX IF NOT EXISTS idx_api_keys_tenant ON api_keys(tenant_id)');
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS tenants (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active',
+        quotas TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS tenants');
+    await db.run('DROP INDEX IF EXISTS idx_api_keys_tenant');
+    for (const table of TENANT_TABLES.slice().reverse()) {
+      await db.run(`ALTER TABLE ${table} DROP COLUMN tenant_id`);
+    }
+  }
+};
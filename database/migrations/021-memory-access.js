@@ -0,0 +1,39 @@
+// 021 - Memory access levels (see database/memory-access.js)
+// A memory records its owner, the API key name that stored it, so private
+// memories can be read by that key alone. Memories stored before this have no
+// owner. Reads a caller was refused are kept in memory_access_denials
+// (database/access-audit-store.js).
+
+module.exports = {
+  description: 'Memory owners and the denied-read audit log',
+
+  async up(db, { tenantId }) {
+    await db.run('ALTER TABLE memories ADD COLUMN owner TEXT');
+    await db.run('ALTER TABLE memories_archive ADD COLUMN owner TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memories_owner ON memories(owner)');
+
+    // tenant_id as in 020-tenants.js (informational); the id was checked there
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS memory_access_denials (
+        id TEXT PRIMARY KEY,
+        memory_id TEXT NOT NULL,
+        project_id TEXT,
+        access_level TEXT,
+        reader TEXT,
+        key_id TEXT,
+        via TEXT,
+        denied_at TEXT NOT NULL,
+        tenant_id TEXT NOT NULL DEFAULT '${tenantId}'
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memory_access_denials_time ON memory_access_denials(denied_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_memory_access_denials_memory ON memory_access_denials(memory_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS memory_access_denials');
+    await db.run('DROP INDEX IF EXISTS idx_memories_owner');
+    await db.run('ALTER TABLE memories_archive DROP COLUMN owner');
+    await db.run('ALTER TABLE memories DROP COLUMN owner');
+  }
+};
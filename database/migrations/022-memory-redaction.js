@@ -0,0 +1,56 @@
+// 022 - Redaction on ingestion (see core/memory-redactor.js)
+// redaction_events logs what the redactor found in a new conversation or
+// memory and what it did: redacted (stored with matches replaced or masked),
+// quarantined or rejected. Findings name the detector, the field and the
+// action, never the matched text. quarantined_records holds records,
+// already redacted, until an admin releases or discards them
+// (database/redaction-store.js).
+
+module.exports = {
+  description: 'Redaction log and quarantine',
+
+  async up(db, { tenantId }) {
+    // tenant_id as in 020-tenants.js (informational); the id was checked there
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS redaction_events (
+        id TEXT PRIMARY KEY,
+        record_table TEXT NOT NULL,
+        record_id TEXT,
+        quarantine_id TEXT,
+        project_id TEXT,
+        action TEXT NOT NULL,
+        findings TEXT NOT NULL,
+        via TEXT,
+        actor TEXT,
+        created_at TEXT NOT NULL,
+        tenant_id TEXT NOT NULL DEFAULT '${tenantId}'
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_redaction_events_time ON redaction_events(created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_redaction_events_project ON redaction_events(project_id, created_at)');
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS quarantined_records (
+        id TEXT PRIMARY KEY,
+        record_table TEXT NOT NULL,
+        project_id TEXT,
+        payload TEXT NOT NULL,
+        findings TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'held',
+        via TEXT,
+        actor TEXT,
+        created_at TEXT NOT NULL,
+        resolved_at TEXT,
+        resolved_by TEXT,
+        record_id TEXT,
+        tenant_id TEXT NOT NULL DEFAULT '${tenantId}'
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_quarantined_records_status ON quarantined_records(status, created_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS quarantined_records');
+    await db.run('DROP TABLE IF EXISTS redaction_events');
+  }
+};
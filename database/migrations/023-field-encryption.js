@@ -0,0 +1,44 @@
+// 023 - Field-level encryption of memory text (see database/field-encryption.js)
+// encryption_keys holds the data keys, one active version per scope
+// ('tenant:<id>', 'project:<id>', or 'search' for the blind index), each
+// wrapped by the master key named in master_key_id; retired versions stay to
+// open what they sealed. search_tokens replaces the full-text index for
+// encrypted records (database/search-tokens.js).
+
+module.exports = {
+  description: 'Encryption data keys and search tokens',
+
+  async up(db, { tenantId }) {
+    // tenant_id as in 020-tenants.js (informational); the id was checked there
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS encryption_keys (
+        id TEXT PRIMARY KEY,
+        scope TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        wrapped_key TEXT NOT NULL,
+        master_key_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_at TEXT NOT NULL,
+        retired_at TEXT,
+        tenant_id TEXT NOT NULL DEFAULT '${tenantId}'
+      )
+    `);
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_encryption_keys_version ON encryption_keys(scope, version)');
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS search_tokens (
+        record_table TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        token TEXT NOT NULL,
+        tenant_id TEXT NOT NULL DEFAULT '${tenantId}',
+        PRIMARY KEY (record_table, record_id, token)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_search_tokens_token ON search_tokens(record_table, token)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS search_tokens');
+    await db.run('DROP TABLE IF EXISTS encryption_keys');
+  }
+};
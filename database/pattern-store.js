@@ -0,0 +1,241 @@
+// Pattern Store - Coding conventions a project follows, and how well they work
+// Conventions found in code (core/pattern-extractor.js) are one row per
+// project, language, pattern type and value. Each sighting counts as a use;
+// approved code and feedback add successes, rejected code and negative
+// feedback add failures, and the success rate is their share. The
+// recommended convention for a type is the value used most, weighted by how
+// well it has worked. Free-form patterns added with add() share the table.
+// Table comes from database/migrations/001-core-tables.js and
+// 018-pattern-learning.js
+
+const StorageAdapter = require('./storage-adapter');
+
+const OUTCOMES = ['success', 'failure'];
+// Types where a project uses several values at once
+const MULTI_VALUED_TYPES = ['framework'];
+const TYPE_PATTERN = /^[a-z0-9_]{1,100}$/;
+const MAX_VALUE_LENGTH = 200;
+
+class PatternStore {
+  constructor(database) {
+    this.storage = StorageAdapter.from(database);
+  }
+
+  /**
+   * Store a free-form pattern.
+   * @param {string} projectId
+   * @param {string} patternType
+   * @param {Object} patternData
+   * @param {number} [successRate=0] - counted as one use with this rate
+   * @returns {Promise<number>} the pattern id
+   */
+  async add(projectId, patternType, patternData, successRate = 0.0) {
+    const now = new Date().toISOString();
+    const { lastID } = await this.storage.run(`
+      INSERT INTO patterns (project_id, pattern_type, pattern_data, success_rate, usage_count, successes, failures, created_at, updated_at, last_seen_at)
+      VALUES (?, ?, ?, ?, 1, ?, ?, ?, ?, ?)
+      RETURNING id
+    `, [projectId, patternType, JSON.stringify(patternData), successRate, successRate, 1 - successRate, now, now, now]);
+    return lastID;
+  }
+
+  /**
+   * A project's patterns, best success rate first.
+   * @param {string} projectId
+   * @param {Object} [filters]
+   * @param {string} [filters.type]
+   * @param {string} [filters.language]
+   */
+  async list(projectId, { type = null, language = null } = {}) {
+    let query = 'SELECT * FROM patterns WHERE project_id = ?';
+    const params = [projectId];
+    if (type) {
+      query += ' AND pattern_type = ?';
+      params.push(type);
+    }
+    if (language) {
+      query += ' AND language = ?';
+      params.push(language);
+    }
+    query += ' ORDER BY success_rate DESC, usage_count DESC, id';
+    const rows = await this.storage.all(query, params);
+    return rows.map(formatPattern);
+  }
+
+  /** A pattern by id, or null. */
+  async get(id, tx = this.storage) {
+    const row = await tx.get('SELECT * FROM patterns WHERE id = ?', [id]);
+    return row ? formatPattern(row) : null;
+  }
+
+  /**
+   * Count conventions seen in a project's code.
+   * @param {string} projectId
+   * @param {Object} observation
+   * @param {string} observation.language
+   * @param {{ type: string, value: string }[]} observation.patterns
+   * @param {string|null} [observation.outcome] - 'success' when the code was approved,
+   *   'failure' when it was rejected
+   * @returns {Promise<Object[]>} the patterns as now stored
+   */
+  async observe(projectId, { language, patterns, outcome = null }) {
+    if (typeof language !== 'string' || !language) {
+      throw new Error('language is required');
+    }
+    if (outcome !== null && !OUTCOMES.includes(outcome)) {
+      throw new Error(`outcome must be one of: ${OUTCOMES.join(', ')}`);
+    }
+    for (const { type, value } of patterns) {
+      if (typeof type !== 'string' || !TYPE_PATTERN.test(type)) {
+        throw new Error('pattern type must be 1-100 lower-case letters, digits or underscores');
+      }
+      if (typeof value !== 'string' || !value || value.length > MAX_VALUE_LENGTH) {
+        throw new Error(`pattern value must be a non-empty string of at most ${MAX_VALUE_LENGTH} characters`);
+      }
+    }
+
+    return await this.storage.transaction(async (tx) => {
+      const stored = [];
+      const now = new Date().toISOString();
+      for (const { type, value } of patterns) {
+        const row = await tx.get(`
+          SELECT id FROM patterns
+          WHERE project_id = ? AND language = ? AND pattern_type = ? AND pattern_value = ?
+        `, [projectId, language, type, value]);
+        let id = row && row.id;
+        if (!id) {
+          ({ lastID: id } = await tx.run(`
+            INSERT INTO patterns (project_id, language, pattern_type, pattern_value, pattern_data, usage_count, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, 0, ?, ?)
+            RETURNING id
+          `, [projectId, language, type, value, JSON.stringify({ language, value }), now, now]));
+        }
+        stored.push(await this.count(tx, id, outcome, now));
+      }
+      return stored;
+    });
+  }
+
+  /**
+   * Record that a pattern was used and whether it worked.
+   * @param {number} id
+   * @param {boolean} successful
+   * @returns {Promise<Object|null>} the updated pattern, or null when it does not exist
+   */
+  async recordOutcome(id, successful) {
+    return await this.storage.transaction(async (tx) => {
+      if (!await this.get(id, tx)) return null;
+      return await this.count(tx, id, successful ? 'success' : 'failure', new Date().toISOString());
+    });
+  }
+
+  /**
+   * Recommended conventions for a project, per language: for each pattern
+   * type the value with the highest use count weighted by its expected
+   * success, with the share of that weight as confidence. Frameworks are
+   * listed rather than chosen between.
+   * @param {string} projectId
+   * @param {Object} [options]
+   * @param {string} [options.language]
+   * @returns {Promise<Object[]>} language, observations, conventions, frameworks; most observed language first
+   */
+  async conventions(projectId, { language = null } = {}) {
+    const rows = (await this.list(projectId, { language })).filter(p => p.language && p.pattern_value);
+    const languages = new Map();
+    for (const pattern of rows) {
+      if (!languages.has(pattern.language)) languages.set(pattern.language, new Map());
+      const types = languages.get(pattern.language);
+      if (!types.has(pattern.pattern_type)) types.set(pattern.pattern_type, []);
+      types.get(pattern.pattern_type).push(pattern);
+    }
+
+    return [...languages.entries()]
+      .map(([lang, types]) => {
+        const conventions = [];
+        let frameworks = [];
+        for (const [type, values] of types) {
+          const ranked = values
+            .map(pattern => ({ pattern, weight: pattern.usage_count * expectedSuccess(pattern) }))
+            .sort((a, b) => b.weight - a.weight || a.pattern.pattern_value.localeCompare(b.pattern.pattern_value));
+          if (MULTI_VALUED_TYPES.includes(type)) {
+            frameworks = ranked.filter(({ pattern }) => expectedSuccess(pattern) >= 0.5).map(({ pattern }) => describe(pattern));
+            continue;
+          }
+          const total = ranked.reduce((sum, { weight }) => sum + weight, 0);
+          const [best, ...rest] = ranked;
+          conventions.push({
+            type,
+            ...describe(best.pattern),
+            confidence: total > 0 ? round(best.weight / total) : 0,
+            alternatives: rest.map(({ pattern }) => describe(pattern))
+          });
+        }
+        const observations = Math.max(0, ...[...types.values()].flat().map(pattern => pattern.usage_count));
+        return { language: lang, observations, conventions: conventions.sort((a, b) => a.type.localeCompare(b.type)), frameworks };
+      })
+      .sort((a, b) => b.observations - a.observations || a.language.localeCompare(b.language));
+  }
+
+  // One more use, with its outcome if known; the rate is over known outcomes
+  async count(tx, id, outcome, now) {
+    await tx.run(`
+      UPDATE patterns
+      SET usage_count = usage_count + 1,
+          successes = successes + ?,
+          failures = failures + ?,
+          updated_at = ?,
+          last_seen_at = ?
+      WHERE id = ?
+    `, [outcome === 'success' ? 1 : 0, outcome === 'failure' ? 1 : 0, now, now, id]);
+    await tx.run(`
+      UPDATE patterns
+      SET success_rate = CASE WHEN successes + failures > 0 THEN successes / (successes + failures) ELSE 0 END
+      WHERE id = ?
+    `, [id]);
+    return await this.get(id, tx);
+  }
+}
+
+// Success rate with one imagined success and failure, so a convention seen
+// without feedback counts as even rather than failing
+function expectedSuccess(pattern) {
+  return (pattern.successes + 1) / (pattern.successes + pattern.failures + 2);
+}
+
+function describe(pattern) {
+  const judged = pattern.successes + pattern.failures;
+  return {
+    id: pattern.id,
+    value: pattern.pattern_value,
+    seen: pattern.usage_count,
+    success_rate: judged > 0 ? round(pattern.successes / judged) : null
+  };
+}
+
+function formatPattern(row) {
+  return {
+    ...row,
+    id: Number(row.id),
+    pattern_data: parseJSON(row.pattern_data),
+    success_rate: Number(row.success_rate) || 0,
+    usage_count: Number(row.usage_count) || 0,
+    successes: Number(row.successes) || 0,
+    failures: Number(row.failures) || 0
+  };
+}
+
+function parseJSON(value) {
+  if (value && typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = PatternStore;
+module.exports.OUTCOMES = OUTCOMES;
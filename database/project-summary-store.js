@@ -0,0 +1,130 @@
+// Project Summary Store - Versioned briefs of what a project is about
+// A summarizer (core/context-summarizer.js) turns a project's conversations
+// into a brief, key points, topics, open questions and recent decisions.
+// Each result is saved as the project's next version; older versions stay so
+// a past context can be read with the brief it had then.
+// Table comes from database/migrations/017-project-summaries.js
+
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./storage-adapter');
+
+class ProjectSummaryStore {
+  constructor(database) {
+    this.storage = StorageAdapter.from(database);
+  }
+
+  /**
+   * A project's newest summary, or null.
+   * @param {string} projectId
+   * @param {Object} [options]
+   * @param {string} [options.asOf] - newest written at or before this ISO time
+   */
+  async latest(projectId, { asOf = null } = {}, tx = this.storage) {
+    const row = await tx.get(`
+      SELECT * FROM project_summaries
+      WHERE project_id = ?${asOf ? ' AND created_at <= ?' : ''}
+      ORDER BY version DESC
+      LIMIT 1
+    `, asOf ? [projectId, asOf] : [projectId]);
+    return row ? formatSummary(row) : null;
+  }
+
+  /** One version of a project's summary, or null. */
+  async get(projectId, version) {
+    const row = await this.storage.get(
+      'SELECT * FROM project_summaries WHERE project_id = ? AND version = ?',
+      [projectId, version]
+    );
+    return row ? formatSummary(row) : null;
+  }
+
+  /** A project's summaries, newest version first. */
+  async history(projectId, { limit = 20 } = {}) {
+    const rows = await this.storage.all(`
+      SELECT * FROM project_summaries
+      WHERE project_id = ?
+      ORDER BY version DESC
+      LIMIT ?
+    `, [projectId, limit]);
+    return rows.map(formatSummary);
+  }
+
+  /**
+   * Save a summary as the project's next version. When the newest version
+   * already covers the same conversations it is returned instead, so
+   * concurrent readers refreshing a stale brief write it once.
+   * @param {string} projectId
+   * @param {Object} summary - brief, key_points, topics, open_questions, decisions
+   * @param {Object} coverage
+   * @param {string} coverage.summarizer - name of the summarizer that wrote it
+   * @param {number} coverage.conversationCount
+   * @param {string|null} coverage.lastConversationAt - newest change among them
+   * @param {boolean} [coverage.force] - save even when the newest version covers the same
+   * @returns {Promise<{ summary: Object, created: boolean }>}
+   */
+  async save(projectId, summary, { summarizer, conversationCount, lastConversationAt, force = false }) {
+    if (typeof summary.brief !== 'string') {
+      throw new Error(`Summarizer ${summarizer} returned no brief`);
+    }
+    return await this.storage.transaction(async (tx) => {
+      const current = await this.latest(projectId, {}, tx);
+      if (current && !force && covers(current, { conversationCount, lastConversationAt })) {
+        return { summary: current, created: false };
+      }
+
+      const row = {
+        id: uuidv4(),
+        project_id: projectId,
+        version: current ? current.version + 1 : 1,
+        summarizer,
+        brief: summary.brief,
+        key_points: JSON.stringify(summary.key_points || []),
+        topics: JSON.stringify(summary.topics || []),
+        open_questions: JSON.stringify(summary.open_questions || []),
+        decisions: JSON.stringify(summary.decisions || []),
+        conversation_count: conversationCount,
+        last_conversation_at: lastConversationAt,
+        created_at: new Date().toISOString()
+      };
+      const sealed = await tx.seal('project_summaries', row);
+      await tx.run(`
+        INSERT INTO project_summaries (${Object.keys(sealed).join(', ')})
+        VALUES (${Object.keys(sealed).map(() => '?').join(', ')})
+      `, Object.values(sealed));
+      return { summary: formatSummary(row), created: true };
+    });
+  }
+}
+
+/** Whether a stored summary was written from exactly these conversations. */
+function covers(summary, { conversationCount, lastConversationAt }) {
+  return summary.conversation_count === conversationCount &&
+    summary.last_conversation_at === (lastConversationAt || null);
+}
+
+function formatSummary(row) {
+  return {
+    project_id: row.project_id,
+    version: Number(row.version),
+    summarizer: row.summarizer,
+    brief: row.brief,
+    key_points: parseJSON(row.key_points),
+    topics: parseJSON(row.topics),
+    open_questions: parseJSON(row.open_questions),
+    decisions: parseJSON(row.decisions),
+    conversation_count: Number(row.conversation_count),
+    last_conversation_at: row.last_conversation_at,
+    created_at: row.created_at
+  };
+}
+
+function parseJSON(value) {
+  try {
+    return JSON.parse(value || '[]');
+  } catch (e) {
+    return [];
+  }
+}
+
+module.exports = ProjectSummaryStore;
+module.exports.covers = covers;
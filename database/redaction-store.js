@@ -0,0 +1,205 @@
+// Redaction Store - What the ingestion redactor found, and the records it held back
+// core/memory-redactor.js screens new conversations and memories; this store
+// keeps its log (redaction_events) and the quarantine (quarantined_records).
+// Neither ever holds the matched text: findings name the detector, field and
+// action, and quarantined records are stored already redacted.
+// Tables come from database/migrations/022-memory-redaction.js
+
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./storage-adapter');
+
+const EVENT_ACTIONS = ['redacted', 'quarantined', 'rejected'];
+const QUARANTINE_STATUSES = ['held', 'released', 'discarded'];
+const MAX_LIMIT = 1000;
+
+class RedactionStore {
+  constructor(database) {
+    this.storage = StorageAdapter.from(database);
+  }
+
+  /**
+   * Log a screened record.
+   * @param {Object} event
+   * @param {string} event.recordTable - 'conversations' or 'memories'
+   * @param {string} event.action - one of EVENT_ACTIONS
+   * @param {Object[]} event.findings - type, rule, field, action
+   * @param {string} [event.recordId] - the stored record, when it was stored
+   * @param {string} [event.quarantineId]
+   * @param {string} [event.projectId]
+   * @param {string} [event.via] - route or socket event it came through
+   * @param {string} [event.actor] - API key name
+   * @param {StorageAdapter} [tx]
+   */
+  async record({ recordTable, action, findings, recordId = null, quarantineId = null, projectId = null, via = null, actor = null }, tx = this.storage) {
+    if (!EVENT_ACTIONS.includes(action)) {
+      throw new Error(`Redaction event action must be one of: ${EVENT_ACTIONS.join(', ')}`);
+    }
+    const event = {
+      id: uuidv4(),
+      record_table: recordTable,
+      record_id: recordId,
+      quarantine_id: quarantineId,
+      project_id: projectId,
+      action,
+      findings,
+      via,
+      actor,
+      created_at: new Date().toISOString()
+    };
+    await tx.run(`
+      INSERT INTO redaction_events (id, record_table, record_id, quarantine_id, project_id, action, findings, via, actor, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      event.id, event.record_table, event.record_id, event.quarantine_id, event.project_id,
+      event.action, JSON.stringify(findings), event.via, event.actor, event.created_at
+    ]);
+    return event;
+  }
+
+  /**
+   * Logged events, newest first.
+   * @param {Object} [options]
+   * @param {string} [options.projectId]
+   * @param {string} [options.action] - one of EVENT_ACTIONS
+   * @param {string} [options.type] - only events with a finding of this detector type
+   * @param {string} [options.since] - ISO timestamp
+   * @param {number} [options.limit=100]
+   */
+  async listEvents({ projectId = null, action = null, type = null, since = null, limit = 100 } = {}) {
+    if (action && !EVENT_ACTIONS.includes(action)) {
+      throw new Error(`action must be one of: ${EVENT_ACTIONS.join(', ')}`);
+    }
+    const where = [];
+    const params = [];
+    for (const [column, value] of [['project_id', projectId], ['action', action]]) {
+      if (value) {
+        where.push(`${column} = ?`);
+        params.push(value);
+      }
+    }
+    if (since) {
+      where.push('created_at >= ?');
+      params.push(since);
+    }
+    if (type) {
+      // findings is stored with JSON.stringify, so a type is always written this way
+      where.push('findings LIKE ?');
+      params.push(`%${JSON.stringify({ type }).slice(1, -1)}%`);
+    }
+
+    const rows = await this.storage.all(`
+      SELECT * FROM redaction_events
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY created_at DESC, id
+      LIMIT ?
+    `, [...params, clampLimit(limit)]);
+    return rows.map(formatEvent);
+  }
+
+  /**
+   * Hold a redacted record for review, and log it.
+   * @param {Object} entry
+   * @param {string} entry.recordTable
+   * @param {Object} entry.payload - the record as it would have been stored, redacted
+   * @param {Object[]} entry.findings
+   * @param {string} [entry.projectId]
+   * @param {string} [entry.via]
+   * @param {string} [entry.actor]
+   * @returns {Promise<Object>} the quarantined record
+   */
+  async quarantine({ recordTable, payload, findings, projectId = null, via = null, actor = null }) {
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+    return await this.storage.transaction(async (tx) => {
+      const sealed = await tx.seal('quarantined_records', { project_id: projectId, payload: JSON.stringify(payload) });
+      await tx.run(`
+        INSERT INTO quarantined_records (id, record_table, project_id, payload, findings, status, via, actor, created_at)
+        VALUES (?, ?, ?, ?, ?, 'held', ?, ?, ?)
+      `, [id, recordTable, projectId, sealed.payload, JSON.stringify(findings), via, actor, createdAt]);
+      await this.record({ recordTable, action: 'quarantined', findings, quarantineId: id, projectId, via, actor }, tx);
+      return await this.getQuarantined(id, tx);
+    });
+  }
+
+  /** @returns {Promise<Object|null>} */
+  async getQuarantined(id, tx = this.storage) {
+    const row = await tx.get('SELECT * FROM quarantined_records WHERE id = ?', [id]);
+    return row ? formatQuarantined(row) : null;
+  }
+
+  /**
+   * Quarantined records, oldest first.
+   * @param {Object} [options]
+   * @param {string} [options.status='held'] - one of QUARANTINE_STATUSES
+   * @param {string} [options.projectId]
+   * @param {number} [options.limit=100]
+   */
+  async listQuarantined({ status = 'held', projectId = null, limit = 100 } = {}) {
+    if (!QUARANTINE_STATUSES.includes(status)) {
+      throw new Error(`status must be one of: ${QUARANTINE_STATUSES.join(', ')}`);
+    }
+    const params = [status];
+    let where = 'status = ?';
+    if (projectId) {
+      where += ' AND project_id = ?';
+      params.push(projectId);
+    }
+    const rows = await this.storage.all(`
+      SELECT * FROM quarantined_records WHERE ${where}
+      ORDER BY created_at, id
+      LIMIT ?
+    `, [...params, clampLimit(limit)]);
+    return rows.map(formatQuarantined);
+  }
+
+  /**
+   * Mark a held record released (with the id it was stored under) or discarded.
+   * Discarding also drops the payload.
+   * @param {string} id
+   * @param {Object} resolution
+   * @param {string} resolution.status - 'released' or 'discarded'
+   * @param {string} [resolution.by] - API key name
+   * @param {string} [resolution.recordId]
+   * @returns {Promise<Object|null>} null when there is no held record with this id
+   */
+  async resolveQuarantined(id, { status, by = null, recordId = null }) {
+    if (status !== 'released' && status !== 'discarded') {
+      throw new Error('status must be released or discarded');
+    }
+    return await this.storage.transaction(async (tx) => {
+      const held = await this.getQuarantined(id, tx);
+      if (!held || held.status !== 'held') return null;
+      const sealed = await tx.seal('quarantined_records', {
+        project_id: held.project_id,
+        payload: status === 'discarded' ? '{}' : JSON.stringify(held.payload)
+      });
+      await tx.run(`
+        UPDATE quarantined_records
+        SET status = ?, resolved_at = ?, resolved_by = ?, record_id = ?, payload = ?
+        WHERE id = ?
+      `, [status, new Date().toISOString(), by, recordId, sealed.payload, id]);
+      return await this.getQuarantined(id, tx);
+    });
+  }
+}
+
+function formatEvent({ tenant_id, ...row }) {
+  return { ...row, findings: parseJson(row.findings, []) };
+}
+
+function formatQuarantined({ tenant_id, ...row }) {
+  return { ...row, payload: parseJson(row.payload, {}), findings: parseJson(row.findings, []) };
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function clampLimit(limit) {
+  return Math.min(Math.max(parseInt(limit) || 100, 1), MAX_LIMIT);
+}
+
+module.exports = RedactionStore;
+module.exports.EVENT_ACTIONS = EVENT_ACTIONS;
+module.exports.QUARANTINE_STATUSES = QUARANTINE_STATUSES;
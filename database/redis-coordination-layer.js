@@ -1,8 +1,6 @@
 // SCRI Core Memory Hub - Redis Coordination Layer
 // High-performance real-time AI-to-AI coordination using Upstash Redis
 
-const fetch = require('node-fetch');
-
 class RedisCoordinationLayer {
   constructor() {
     this.baseUrl = process.env.UPSTASH_REDIS_REST_URL;
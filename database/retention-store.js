@@ -0,0 +1,325 @@
+// Retention Store - Memory expiry, retention policies and the reaper's queries
+// A memory expires when its own expires_at passes, or when it is older than
+// the TTL of the most specific policy covering it. Specificity: project + type,
+// then type, then project, then the catch-all policy; a policy without a TTL
+// keeps matching memories forever (unless they carry their own expires_at).
+// Policies cover conversations and the memories table alike; a policy's
+// memory_type matches a conversation's type and a memory's category.
+// Tables come from database/migrations/008-memory-retention.js and 011-memories-table.js
+
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./storage-adapter');
+const RevisionStore = require('./revision-store');
+
+const ACTIONS = ['delete', 'archive'];
+const DEFAULT_BATCH_SIZE = 500;
+
+const CONVERSATION_COLUMNS = 'id, platform, project_id, message, context, timestamp, type, expires_at';
+const MEMORY_COLUMNS = 'id, entity, project_id, source, category, content, metadata, importance, valence, access_level, timestamp, updated_at, expires_at, owner';
+
+// Everything the reaper expires, with where archived rows go
+const REAPED_TABLES = [
+  {
+    table: 'conversations',
+    archive: 'conversations_archive',
+    columns: CONVERSATION_COLUMNS,
+    typeColumn: 'type',
+    sample: 'id, platform, project_id, type, timestamp, expires_at'
+  },
+  {
+    table: 'memories',
+    archive: 'memories_archive',
+    columns: MEMORY_COLUMNS,
+    typeColumn: 'category',
+    sample: 'id, entity, project_id, category, timestamp, expires_at'
+  }
+];
+
+class RetentionStore {
+  /**
+   * @param {Object} database - MemoryDatabase (its embeddings are cleaned up
+   *   with expired rows) or anything StorageAdapter.from() accepts
+   */
+  constructor(database) {
+    this.database = database;
+    this.storage = StorageAdapter.from(database);
+    this.revisions = new RevisionStore(database);
+  }
+
+  async listPolicies() {
+    const rows = await this.storage.all('SELECT * FROM retention_policies ORDER BY project_id, memory_type');
+    return rows.map(formatPolicy);
+  }
+
+  async getPolicy(id) {
+    const row = await this.storage.get('SELECT * FROM retention_policies WHERE id = ?', [id]);
+    return row ? formatPolicy(row) : null;
+  }
+
+  /**
+   * Create the policy for a project/type pair, or replace the existing one.
+   * @param {Object} policy
+   * @param {string} [policy.project_id] - omit to cover every project
+   * @param {string} [policy.memory_type] - omit to cover every type
+   * @param {number|null} [policy.ttl_seconds] - null keeps memories forever
+   * @param {string} [policy.action='delete'] - 'delete' or 'archive'
+   */
+  async setPolicy({ project_id = null, memory_type = null, ttl_seconds = null, action = 'delete' }) {
+    if (ttl_seconds !== null && (!Number.isInteger(ttl_seconds) || ttl_seconds <= 0)) {
+      throw new Error('ttl_seconds must be a positive integer, or null to keep forever');
+    }
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`action must be one of: ${ACTIONS.join(', ')}`);
+    }
+    for (const [name, value] of [['project_id', project_id], ['memory_type', memory_type]]) {
+      if (value !== null && (typeof value !== 'string' || !value)) {
+        throw new Error(`${name} must be a non-empty string when provided`);
+      }
+    }
+
+    const now = new Date().toISOString();
+    return await this.storage.transaction(async (tx) => {
+      const existing = await tx.get(
+        `SELECT id FROM retention_policies WHERE COALESCE(project_id, '') = ? AND COALESCE(memory_type, '') = ?`,
+        [project_id || '', memory_type || '']
+      );
+
+      if (existing) {
+        await tx.run(
+          'UPDATE retention_policies SET ttl_seconds = ?, action = ?, updated_at = ? WHERE id = ?',
+          [ttl_seconds, action, now, existing.id]
+        );
+        return formatPolicy(await tx.get('SELECT * FROM retention_policies WHERE id = ?', [existing.id]));
+      }
+
+      const id = uuidv4();
+      await tx.run(`
+        INSERT INTO retention_policies (id, project_id, memory_type, ttl_seconds, action, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [id, project_id, memory_type, ttl_seconds, action, now, now]);
+      return formatPolicy(await tx.get('SELECT * FROM retention_policies WHERE id = ?', [id]));
+    });
+  }
+
+  /** @returns {Promise<boolean>} false when no such policy exists */
+  async deletePolicy(id) {
+    const { changes } = await this.storage.run('DELETE FROM retention_policies WHERE id = ?', [id]);
+    return changes > 0;
+  }
+
+  /**
+   * What the reaper would remove right now, grouped by the rule that expires it.
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @param {number} [options.limit=20] - sample rows returned per group
+   */
+  async preview({ now = new Date(), limit = 20 } = {}) {
+    const groups = [];
+    for (const target of REAPED_TABLES) {
+      for (const rule of await this.expiryRules(now, target.typeColumn)) {
+        const { count } = await this.storage.get(
+          `SELECT COUNT(*) AS count FROM ${target.table} WHERE ${rule.where}`,
+          rule.params
+        );
+        if (Number(count) === 0) continue;
+
+        const sample = await this.storage.all(
+          `SELECT ${target.sample} FROM ${target.table}
+           WHERE ${rule.where} ORDER BY timestamp LIMIT ?`,
+          [...rule.params, limit]
+        );
+        groups.push({ table: target.table, ...rule.summary, count: Number(count), sample });
+      }
+    }
+
+    return {
+      evaluated_at: now.toISOString(),
+      total: groups.reduce((sum, group) => sum + group.count, 0),
+      groups
+    };
+  }
+
+  /**
+   * Delete or archive every expired conversation and memory, a batch at a time.
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @param {number} [options.batchSize=500]
+   * @returns {Promise<{ deleted: number, archived: number }>}
+   */
+  async reap({ now = new Date(), batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    const totals = { deleted: 0, archived: 0 };
+
+    for (const target of REAPED_TABLES) {
+      for (const rule of await this.expiryRules(now, target.typeColumn)) {
+        let removed;
+        do {
+          removed = await this.storage.transaction(tx => this.reapBatch(tx, target, rule, { now, batchSize }));
+          totals[rule.summary.action === 'archive' ? 'archived' : 'deleted'] += removed;
+        } while (removed === batchSize);
+      }
+    }
+
+    return totals;
+  }
+
+  async reapBatch(tx, target, rule, { now, batchSize }) {
+    const { table } = target;
+    const rows = await tx.all(`SELECT id FROM ${table} WHERE ${rule.where} LIMIT ?`, [...rule.params, batchSize]);
+    const ids = rows.map(row => row.id);
+    if (ids.length === 0) return 0;
+
+    const placeholders = ids.map(() => '?').join(', ');
+    if (rule.summary.action === 'archive') {
+      await tx.run(`
+        INSERT INTO ${target.archive} (${target.columns}, archived_at, archived_by)
+        SELECT ${target.columns}, ?, ? FROM ${table} WHERE id IN (${placeholders})
+      `, [now.toISOString(), rule.summary.policy_id || 'expires_at', ...ids]);
+    }
+    await this.revisions.recordRemovals({
+      table,
+      ids,
+      operation: 'expire',
+      changedBy: rule.summary.policy_id || 'expires_at',
+      changedAt: now.toISOString()
+    }, tx);
+
+    if (table === 'memories') {
+      // The archive keeps a memory's tags as a JSON array
+      if (rule.summary.action === 'archive') {
+        const tags = await tx.all(`SELECT memory_id, tag FROM memory_tags WHERE memory_id IN (${placeholders}) ORDER BY tag`, ids);
+        for (const id of ids) {
+          const own = tags.filter(row => row.memory_id === id).map(row => row.tag);
+          await tx.run(`UPDATE ${target.archive} SET tags = ? WHERE id = ?`, [JSON.stringify(own), id]);
+        }
+      }
+      await tx.run(`DELETE FROM memory_tags WHERE memory_id IN (${placeholders})`, ids);
+      if (this.database.embeddings) {
+        await tx.run(`DELETE FROM memory_embeddings WHERE memory_id IN (${placeholders})`, ids);
+      }
+    } else if (this.database.embeddings) {
+      await tx.run(`DELETE FROM conversation_embeddings WHERE conversation_id IN (${placeholders})`, ids);
+    }
+    await tx.run(`
+      DELETE FROM graph_edges
+      WHERE (source_type = 'memory' AND source_id IN (${placeholders})) OR (target_type = 'memory' AND target_id IN (${placeholders}))
+    `, [...ids, ...ids]);
+    await tx.run(`DELETE FROM search_tokens WHERE record_table = ? AND record_id IN (${placeholders})`, [table, ...ids]);
+    await tx.run(`DELETE FROM ${table} WHERE id IN (${placeholders})`, ids);
+    return ids.length;
+  }
+
+  /**
+   * One WHERE clause per way a memory can expire, each owned by exactly one
+   * policy so a row is never counted (or reaped) twice.
+   */
+  async expiryRules(now, typeColumn = 'type') {
+    const policies = await this.listPolicies();
+    const nowIso = now.toISOString();
+    const rules = [];
+
+    for (const policy of policies) {
+      const owned = ownedBy(policy, policies, typeColumn);
+
+      rules.push({
+        where: `expires_at IS NOT NULL AND expires_at <= ? AND ${owned.where}`,
+        params: [nowIso, ...owned.params],
+        summary: { reason: 'expires_at', policy_id: policy.id, project_id: policy.project_id, memory_type: policy.memory_type, action: policy.action }
+      });
+
+      if (policy.ttl_seconds !== null) {
+        const cutoff = new Date(now.getTime() - policy.ttl_seconds * 1000).toISOString();
+        rules.push({
+          where: `expires_at IS NULL AND timestamp < ? AND ${owned.where}`,
+          params: [cutoff, ...owned.params],
+          summary: { reason: 'policy', policy_id: policy.id, project_id: policy.project_id, memory_type: policy.memory_type, action: policy.action }
+        });
+      }
+    }
+
+    // Own deadline passed and no policy covers the row
+    const anyPolicy = policies.map(policy => matchClause(policy, typeColumn));
+    rules.push({
+      where: `expires_at IS NOT NULL AND expires_at <= ?` +
+        anyPolicy.map(match => ` AND NOT (${match.where})`).join(''),
+      params: [nowIso, ...anyPolicy.flatMap(match => match.params)],
+      summary: { reason: 'expires_at', policy_id: null, project_id: null, memory_type: null, action: 'delete' }
+    });
+
+    return rules;
+  }
+}
+
+/**
+ * Resolve the expiry a writer asked for: an absolute `expires_at` or a
+ * relative `ttl_seconds`. Neither means "let retention policies decide".
+ * @returns {string|null} ISO timestamp
+ * @throws {Error} on malformed input
+ */
+function resolveExpiresAt({ expires_at, ttl_seconds } = {}, now = new Date()) {
+  if (expires_at !== undefined && expires_at !== null) {
+    if (typeof expires_at !== 'string' || isNaN(Date.parse(expires_at))) {
+      throw new Error('expires_at must be an ISO timestamp');
+    }
+    return new Date(expires_at).toISOString();
+  }
+  if (ttl_seconds !== undefined && ttl_seconds !== null) {
+    const ttl = Number(ttl_seconds);
+    if (!Number.isInteger(ttl) || ttl <= 0) {
+      throw new Error('ttl_seconds must be a positive integer');
+    }
+    return new Date(now.getTime() + ttl * 1000).toISOString();
+  }
+  return null;
+}
+
+function specificity(policy) {
+  return (policy.memory_type ? 2 : 0) + (policy.project_id ? 1 : 0);
+}
+
+function matchClause(policy, typeColumn) {
+  const conditions = [];
+  const params = [];
+  if (policy.project_id) {
+    conditions.push('project_id = ?');
+    params.push(policy.project_id);
+  }
+  if (policy.memory_type) {
+    conditions.push(`${typeColumn} = ?`);
+    params.push(policy.memory_type);
+  }
+  return { where: conditions.length ? conditions.join(' AND ') : '1 = 1', params };
+}
+
+// Rows the policy matches, minus those a more specific policy claims
+function ownedBy(policy, policies, typeColumn) {
+  const overlaps = (a, b) => !a || !b || a === b;
+  const match = matchClause(policy, typeColumn);
+  const where = [match.where];
+  const params = [...match.params];
+
+  for (const other of policies) {
+    if (other.id === policy.id || specificity(other) <= specificity(policy)) continue;
+    if (!overlaps(other.project_id, policy.project_id) || !overlaps(other.memory_type, policy.memory_type)) continue;
+    const excluded = matchClause(other, typeColumn);
+    where.push(`NOT (${excluded.where})`);
+    params.push(...excluded.params);
+  }
+
+  return { where: where.join(' AND '), params };
+}
+
+function formatPolicy(row) {
+  return {
+    id: row.id,
+    project_id: row.project_id,
+    memory_type: row.memory_type,
+    ttl_seconds: row.ttl_seconds === null ? null : Number(row.ttl_seconds),
+    action: row.action,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+module.exports = RetentionStore;
+module.exports.resolveExpiresAt = resolveExpiresAt;
+module.exports.ACTIONS = ACTIONS;
@@ -0,0 +1,186 @@
+// Revision Store - Append-only history of every memory record
+// Each create, edit and removal appends the record as it stood afterwards
+// (removals store no data), numbered per record. Reading the latest revision
+// at or before a timestamp gives the record as the hub knew it then.
+// Under field encryption the stored copy is sealed like the record itself.
+// Table comes from database/migrations/010-memory-revisions.js
+
+const StorageAdapter = require('./storage-adapter');
+
+const RECORD_TABLES = ['conversations', 'memories', 'scri_constellation_memory'];
+const OPERATIONS = ['create', 'update', 'delete', 'expire', 'purge'];
+const REMOVALS = ['delete', 'expire', 'purge'];
+
+class RevisionStore {
+  constructor(database) {
+    this.storage = StorageAdapter.from(database);
+  }
+
+  /**
+   * Append a revision. Pass the transaction the change itself runs in, so the
+   * record and its history never disagree.
+   * @param {Object} revision
+   * @param {string} revision.table - one of RECORD_TABLES
+   * @param {Object} revision.row - the record after the change (id and project_id at least)
+   * @param {string} revision.operation - one of OPERATIONS
+   * @param {string} [revision.changedBy]
+   * @param {string} [revision.changedAt] - ISO timestamp, default now
+   * @param {StorageAdapter} [tx]
+   */
+  async record({ table, row, operation, changedBy = null, changedAt = new Date().toISOString() }, tx = this.storage) {
+    assertTable(table);
+    if (!OPERATIONS.includes(operation)) {
+      throw new Error(`operation must be one of: ${OPERATIONS.join(', ')}`);
+    }
+
+    const { revision } = await tx.get(
+      'SELECT COALESCE(MAX(revision), 0) + 1 AS revision FROM memory_revisions WHERE record_table = ? AND record_id = ?',
+      [table, row.id]
+    );
+    await tx.run(`
+      INSERT INTO memory_revisions (record_table, record_id, revision, project_id, operation, data, changed_at, changed_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      table,
+      row.id,
+      Number(revision),
+      row.project_id ?? null,
+      operation,
+      REMOVALS.includes(operation) ? null : JSON.stringify(await tx.seal(table, row)),
+      changedAt,
+      changedBy
+    ]);
+    return Number(revision);
+  }
+
+  /**
+   * Append one removal revision per id in a single statement, for bulk
+   * removals such as the retention reaper's. Call before the rows are deleted.
+   */
+  async recordRemovals({ table, ids, operation, changedBy = null, changedAt = new Date().toISOString() }, tx = this.storage) {
+    assertTable(table);
+    if (!REMOVALS.includes(operation)) {
+      throw new Error(`operation must be one of: ${REMOVALS.join(', ')}`);
+    }
+    if (ids.length === 0) return;
+
+    await tx.run(`
+      INSERT INTO memory_revisions (record_table, record_id, revision, project_id, operation, data, changed_at, changed_by)
+      SELECT ?, t.id,
+        COALESCE((SELECT MAX(r.revision) FROM memory_revisions r WHERE r.record_table = ? AND r.record_id = t.id), 0) + 1,
+        t.project_id, ?, NULL, ?, ?
+      FROM ${table} t WHERE t.id IN (${ids.map(() => '?').join(', ')})
+    `, [table, table, operation, changedAt, changedBy, ...ids]);
+  }
+
+  /** Blank the stored content of every revision of a record (hard delete). */
+  async erase(table, id, tx = this.storage) {
+    assertTable(table);
+    await tx.run('UPDATE memory_revisions SET data = NULL WHERE record_table = ? AND record_id = ?', [table, id]);
+  }
+
+  /**
+   * Every revision of a record, oldest first.
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {string} [options.table] - needed only if ids could collide across tables
+   * @returns {Promise<Object[]>} empty when the id was never recorded
+   */
+  async history(id, { table = null } = {}) {
+    const params = [id];
+    let sql = 'SELECT * FROM memory_revisions WHERE record_id = ?';
+    if (table) {
+      assertTable(table);
+      sql += ' AND record_table = ?';
+      params.push(table);
+    }
+    sql += ' ORDER BY record_table, revision';
+
+    const rows = await this.storage.all(sql, params);
+    return rows.map(formatRevision);
+  }
+
+  /**
+   * A record as it stood at `asOf`.
+   * @returns {Promise<Object|null>} null when it did not exist yet, or had been removed
+   */
+  async getAsOf(table, id, asOf) {
+    assertTable(table);
+    const row = await this.storage.get(`
+      SELECT * FROM memory_revisions
+      WHERE record_table = ? AND record_id = ? AND changed_at <= ?
+      ORDER BY revision DESC LIMIT 1
+    `, [table, id, parseAsOf(asOf)]);
+    return row && row.data ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Every record of a table that existed at `asOf`, as it stood then.
+   * Rows come back in the table's own shape, unordered.
+   * @param {string} table
+   * @param {Object} options
+   * @param {string|Date} options.asOf
+   * @param {string} [options.projectId]
+   */
+  async snapshot(table, { asOf, projectId = null }) {
+    assertTable(table);
+    const at = parseAsOf(asOf);
+    const params = [table, at];
+    let sql = `
+      SELECT r.data FROM memory_revisions r
+      WHERE r.record_table = ? AND r.changed_at <= ?
+    `;
+    if (projectId) {
+      sql += ' AND r.project_id = ?';
+      params.push(projectId);
+    }
+    sql += `
+      AND r.revision = (
+        SELECT MAX(r2.revision) FROM memory_revisions r2
+        WHERE r2.record_table = r.record_table AND r2.record_id = r.record_id AND r2.changed_at <= ?
+      )
+      AND r.data IS NOT NULL
+    `;
+    params.push(at);
+
+    const rows = await this.storage.all(sql, params);
+    return rows.map(row => JSON.parse(row.data));
+  }
+}
+
+/**
+ * Validate a user-supplied point in time.
+ * @returns {string} ISO timestamp
+ * @throws {Error} when it is not a date
+ */
+function parseAsOf(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (!value || isNaN(date.getTime())) {
+    throw new Error('as_of must be an ISO timestamp');
+  }
+  return date.toISOString();
+}
+
+function assertTable(table) {
+  if (!RECORD_TABLES.includes(table)) {
+    throw new Error(`Unknown record table: ${table}`);
+  }
+}
+
+function formatRevision(row) {
+  return {
+    record_table: row.record_table,
+    record_id: row.record_id,
+    revision: Number(row.revision),
+    project_id: row.project_id,
+    operation: row.operation,
+    changed_at: row.changed_at,
+    changed_by: row.changed_by,
+    data: row.data ? JSON.parse(row.data) : null
+  };
+}
+
+module.exports = RevisionStore;
+module.exports.parseAsOf = parseAsOf;
+module.exports.RECORD_TABLES = RECORD_TABLES;
+module.exports.OPERATIONS = OPERATIONS;
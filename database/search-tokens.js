@@ -0,0 +1,143 @@
+// Search Tokens - What stands in for the full-text index when memory text is encrypted
+// FTS5 and tsvector can only index what is stored, and with field encryption
+// (database/field-encryption.js) that is ciphertext. Instead each conversation
+// and memory gets a set of tokens in search_tokens, and a query narrows the
+// candidates with them before the rows are decrypted and matched exactly in
+// JS (matchText() in database/fulltext-search.js).
+//
+// Two kinds of index:
+// - 'blind': tokens are keyed HMACs of the words and of their 3 to 12
+//   character prefixes, so the table reveals which records share a word but
+//   not the word
+// - 'plaintext': tokens are the words themselves, lowercased; prefixes are
+//   matched with LIKE
+// Table comes from database/migrations/023-field-encryption.js
+
+const crypto = require('crypto');
+
+const SEARCH_INDEXES = ['blind', 'plaintext'];
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+const MIN_PREFIX = 3;
+const MAX_PREFIX = 12;
+const MAX_WORD = 64; // Longer words are indexed by their first 64 characters
+const INSERT_BATCH = 200;
+const MAX_CANDIDATES = 5000; // Newest rows a search decrypts and matches
+
+function wordsOf(texts) {
+  const words = new Set();
+  for (const text of texts) {
+    for (const word of String(text || '').match(WORD_PATTERN) || []) {
+      words.add(word.toLowerCase().slice(0, MAX_WORD));
+    }
+  }
+  return words;
+}
+
+function blindToken(key, kind, value) {
+  return crypto.createHmac('sha256', key).update(`${kind}:${value}`).digest('base64url').slice(0, 22);
+}
+
+/**
+ * Every token to store for a record.
+ * @param {string[]} texts - the record's text fields, JSON included as text
+ * @param {Object} index
+ * @param {string} index.mode - one of SEARCH_INDEXES
+ * @param {Buffer} [index.key] - HMAC key, for 'blind'
+ * @returns {string[]}
+ */
+function tokensFor(texts, { mode, key }) {
+  const words = wordsOf(texts);
+  if (mode === 'plaintext') return [...words];
+
+  const tokens = new Set();
+  for (const word of words) {
+    tokens.add(blindToken(key, 'w', word));
+    for (let length = MIN_PREFIX; length <= Math.min(word.length, MAX_PREFIX); length++) {
+      tokens.add(blindToken(key, 'p', word.slice(0, length)));
+    }
+  }
+  return [...tokens];
+}
+
+/**
+ * A condition on `alias.id` that keeps the records a parsed query can match,
+ * or null when the index cannot narrow it (a bare negation, an OR with a
+ * part it cannot narrow, or a blind prefix shorter than 3 characters).
+ * It may keep records the query does not match - the caller matches exactly.
+ * @param {Object} ast - from parseSearchQuery()
+ * @param {Object} target
+ * @param {string} target.table - record_table of the tokens
+ * @param {string} target.alias - alias of the searched table
+ * @param {string} target.mode - one of SEARCH_INDEXES
+ * @param {Buffer} [target.key] - HMAC key, for 'blind'
+ * @returns {{clause: string, params: *[]}|null}
+ */
+function tokenCondition(ast, { table, alias, mode, key }) {
+  const lookup = (comparison, value) => ({
+    clause: `${alias}.id IN (SELECT record_id FROM search_tokens WHERE record_table = ? AND ${comparison})`,
+    params: [table, value]
+  });
+  const term = (value, prefix) => {
+    value = value.slice(0, MAX_WORD);
+    if (mode === 'plaintext') {
+      return prefix
+        ? lookup(`token LIKE ? ESCAPE '\\'`, `${value.replace(/[\\%_]/g, '\\$&')}%`)
+        : lookup('token = ?', value);
+    }
+    if (!prefix) return lookup('token = ?', blindToken(key, 'w', value));
+    if (value.length < MIN_PREFIX) return null;
+    return lookup('token = ?', blindToken(key, 'p', value.slice(0, MAX_PREFIX)));
+  };
+  const combine = (parts, operator) => ({
+    clause: `(${parts.map(part => part.clause).join(` ${operator} `)})`,
+    params: parts.flatMap(part => part.params)
+  });
+
+  function build(node) {
+    switch (node.type) {
+      case 'term':
+        return term(node.value, node.prefix);
+      case 'phrase':
+        return combine(node.words.map(word => term(word, false)), 'AND');
+      case 'and': {
+        const parts = node.children.filter(child => child.type !== 'not').map(build).filter(Boolean);
+        return parts.length > 0 ? combine(parts, 'AND') : null;
+      }
+      case 'or': {
+        const parts = node.children.map(child => (child.type === 'not' ? null : build(child)));
+        return parts.every(Boolean) ? combine(parts, 'OR') : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  return ast ? build(ast) : null;
+}
+
+/**
+ * Replace a record's tokens.
+ * @param {StorageAdapter} tx
+ * @param {string} table
+ * @param {string} id
+ * @param {string[]} tokens
+ */
+async function writeTokens(tx, table, id, tokens) {
+  await tx.run('DELETE FROM search_tokens WHERE record_table = ? AND record_id = ?', [table, id]);
+  for (let i = 0; i < tokens.length; i += INSERT_BATCH) {
+    const batch = tokens.slice(i, i + INSERT_BATCH);
+    await tx.run(`
+      INSERT INTO search_tokens (record_table, record_id, token)
+      VALUES ${batch.map(() => '(?, ?, ?)').join(', ')}
+      ON CONFLICT (record_table, record_id, token) DO NOTHING
+    `, batch.flatMap(token => [table, id, token]));
+  }
+}
+
+module.exports = {
+  SEARCH_INDEXES,
+  MAX_CANDIDATES,
+  tokensFor,
+  tokenCondition,
+  writeTokens
+};
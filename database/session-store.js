@@ -0,0 +1,289 @@
+// Session Store - An agent's working sessions and what was stored in them
+// A session is opened by an agent on a project, collects the conversations
+// and memories stored while it is open (session_records) and is closed with
+// a summary. Conversations join the session named by context.session_id,
+// memories the one passed as sessionId. A new session may name the one it
+// resumes, so an agent can pick up where it left off.
+// Tables come from database/migrations/001-core-tables.js and 019-session-lifecycle.js
+
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./storage-adapter');
+const AccessAuditStore = require('./access-audit-store');
+const { partitionReadable } = require('./memory-access');
+
+const STATUSES = ['open', 'closed'];
+const RECORD_TABLES = ['conversations', 'memories'];
+const ID_PATTERN = /^[\w.:-]{1,200}$/;
+
+// Bad input and refusals: the route layer maps `code` to a status
+class SessionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code; // 'invalid', 'closed' or 'conflict'
+  }
+}
+
+class SessionStore {
+  constructor(database) {
+    this.storage = StorageAdapter.from(database);
+    this.audit = new AccessAuditStore(database);
+  }
+
+  /**
+   * Open a session. Opening an open session again returns it unchanged, so
+   * clients can retry.
+   * @param {Object} session
+   * @param {string} session.projectId
+   * @param {string} session.platform
+   * @param {string} [session.id] - generated when missing
+   * @param {string} [session.agent] - who works in the session
+   * @param {Object} [session.metadata]
+   * @param {string} [session.previousSessionId] - the session this one resumes
+   * @returns {Promise<{ session: Object, created: boolean }>}
+   * @throws {SessionError} 'invalid' for bad input, or when the id belongs to a closed
+   *   session or another project
+   */
+  async begin({ id = uuidv4(), projectId, platform, agent = null, metadata = {}, previousSessionId = null }) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new SessionError('invalid', 'session id must be 1-200 letters, digits, underscores, dots, colons or dashes');
+    }
+    if (typeof projectId !== 'string' || !projectId) {
+      throw new SessionError('invalid', 'projectId is required');
+    }
+    if (typeof platform !== 'string' || !platform) {
+      throw new SessionError('invalid', 'platform is required');
+    }
+    if (agent !== null && (typeof agent !== 'string' || !agent)) {
+      throw new SessionError('invalid', 'agent must be a non-empty string');
+    }
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      throw new SessionError('invalid', 'metadata must be an object');
+    }
+
+    return await this.storage.transaction(async (tx) => {
+      const existing = await this.get(id, tx);
+      if (existing) {
+        if (existing.project_id !== projectId) {
+          throw new SessionError('conflict', `Session ${id} belongs to another project`);
+        }
+        if (existing.status === 'closed') {
+          throw new SessionError('closed', `Session ${id} is already closed`);
+        }
+        return { session: existing, created: false };
+      }
+
+      const now = new Date().toISOString();
+      const sealed = await tx.seal('sessions', { project_id: projectId, metadata: JSON.stringify(metadata) });
+      await tx.run(`
+        INSERT INTO sessions (id, platform, project_id, agent, status, previous_session_id, metadata, started_at, last_activity_at, conversation_count)
+        VALUES (?, ?, ?, ?, 'open', ?, ?, ?, ?, 0)
+      `, [id, platform, projectId, agent, previousSessionId, sealed.metadata, now, now]);
+      return { session: await this.get(id, tx), created: true };
+    });
+  }
+
+  /** A session by id, or null. */
+  async get(id, tx = this.storage) {
+    const row = await tx.get('SELECT * FROM sessions WHERE id = ?', [id]);
+    return row ? formatSession(row) : null;
+  }
+
+  /**
+   * Sessions, most recently started first.
+   * @param {Object} [options]
+   * @param {string} [options.projectId]
+   * @param {string[]|null} [options.projects] - only these projects
+   * @param {string} [options.agent]
+   * @param {string} [options.status] - one of STATUSES
+   * @param {number} [options.limit=50]
+   */
+  async list({ projectId = null, projects = null, agent = null, status = null, limit = 50 } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      throw new SessionError('invalid', `status must be one of: ${STATUSES.join(', ')}`);
+    }
+    const where = [];
+    const params = [];
+    if (projectId) {
+      where.push('project_id = ?');
+      params.push(projectId);
+    }
+    if (projects) {
+      if (projects.length === 0) return [];
+      where.push(`project_id IN (${projects.map(() => '?').join(', ')})`);
+      params.push(...projects);
+    }
+    if (agent) {
+      where.push('agent = ?');
+      params.push(agent);
+    }
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+    const rows = await this.storage.all(`
+      SELECT * FROM sessions
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY started_at DESC, id
+      LIMIT ?
+    `, [...params, limit]);
+    return rows.map(formatSession);
+  }
+
+  /**
+   * The session an agent last worked in on a project.
+   * @param {string} projectId
+   * @param {Object} [options]
+   * @param {string} [options.agent]
+   * @param {string} [options.excludeId] - e.g. the session being opened
+   * @returns {Promise<Object|null>}
+   */
+  async latest(projectId, { agent = null, excludeId = null } = {}) {
+    const sessions = await this.list({ projectId, agent, limit: 2 });
+    return sessions.find(session => session.id !== excludeId) || null;
+  }
+
+  /**
+   * Link a stored record to the open session it was stored in. Records of
+   * another project, and sessions that are unknown or closed, are skipped.
+   * @param {string} sessionId
+   * @param {string} table - one of RECORD_TABLES
+   * @param {string} recordId
+   * @param {string} projectId - the record's project
+   * @param {StorageAdapter} [tx] - join this transaction
+   * @returns {Promise<boolean>} whether the record was linked
+   */
+  async link(sessionId, table, recordId, projectId, tx = this.storage) {
+    if (!RECORD_TABLES.includes(table)) {
+      throw new Error(`record table must be one of: ${RECORD_TABLES.join(', ')}`);
+    }
+    if (typeof sessionId !== 'string' || !sessionId) return false;
+
+    return await tx.transaction(async (inner) => {
+      const session = await this.get(sessionId, inner);
+      if (!session || session.status !== 'open' || session.project_id !== projectId) return false;
+
+      const now = new Date().toISOString();
+      const { changes } = await inner.run(`
+        INSERT INTO session_records (session_id, record_table, record_id, linked_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (session_id, record_table, record_id) DO NOTHING
+      `, [sessionId, table, recordId, now]);
+      if (changes > 0) {
+        await inner.run(`
+          UPDATE sessions
+          SET last_activity_at = ?, conversation_count = COALESCE(conversation_count, 0) + ?
+          WHERE id = ?
+        `, [now, table === 'conversations' ? 1 : 0, sessionId]);
+      }
+      return changes > 0;
+    });
+  }
+
+  /**
+   * Close an open session.
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {Object} [options.summary] - brief, key points and so on (see core/context-summarizer.js)
+   * @param {number} [options.conversationCount] - replaces the count of linked conversations
+   * @returns {Promise<Object|null>} the closed session, or null for an unknown one
+   * @throws {SessionError} when the session is already closed
+   */
+  async end(id, { summary = null, conversationCount } = {}) {
+    return await this.storage.transaction(async (tx) => {
+      const session = await this.get(id, tx);
+      if (!session) return null;
+      if (session.status === 'closed') {
+        throw new SessionError('closed', `Session ${id} is already closed`);
+      }
+
+      const endedAt = new Date().toISOString();
+      const sealed = await tx.seal('sessions', {
+        project_id: session.project_id,
+        summary: summary ? JSON.stringify(summary) : null
+      });
+      await tx.run(`
+        UPDATE sessions
+        SET status = 'closed', ended_at = ?, duration = ?, summary = ?,
+            conversation_count = COALESCE(?, conversation_count)
+        WHERE id = ?
+      `, [endedAt, new Date(endedAt) - new Date(session.started_at), sealed.summary, conversationCount ?? null, id]);
+      return await this.get(id, tx);
+    });
+  }
+
+  /**
+   * What was stored in a session, oldest first. Records deleted since are left out.
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {number} [options.limit] - only the last this many
+   * @param {Object} [options.reader] - leave out memories it may not read (database/memory-access.js)
+   * @returns {Promise<Object[]>} record_table, id, author, kind, text, timestamp
+   */
+  async transcript(id, { limit = null, reader = null } = {}) {
+    const conversations = await this.storage.all(`
+      SELECT c.id, c.platform AS author, c.type AS kind, c.message AS text, c.timestamp
+      FROM session_records r
+      JOIN conversations c ON c.id = r.record_id
+      WHERE r.session_id = ? AND r.record_table = 'conversations'
+    `, [id]);
+    const { readable, denied } = partitionReadable(reader, await this.storage.all(`
+      SELECT m.id, COALESCE(m.entity, m.source) AS author, m.category AS kind, m.content AS text, m.timestamp,
+        m.project_id, m.access_level, m.owner
+      FROM session_records r
+      JOIN memories m ON m.id = r.record_id
+      WHERE r.session_id = ? AND r.record_table = 'memories'
+    `, [id]));
+    if (reader) await this.audit.recordDenied(reader, denied);
+
+    const entries = [
+      ...conversations.map(row => ({ record_table: 'conversations', ...row })),
+      ...readable.map(({ project_id, access_level, owner, ...row }) => ({ record_table: 'memories', ...row }))
+    ].sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.id.localeCompare(b.id));
+    return limit ? entries.slice(-limit) : entries;
+  }
+}
+
+/**
+ * The session a conversation was stored in: conversation.sessionId, else
+ * context.session_id (what MCP clients and Copilot already send).
+ * @returns {string|null}
+ */
+function sessionIdOf(conversation) {
+  if (typeof conversation.sessionId === 'string' && conversation.sessionId) return conversation.sessionId;
+  const context = parseJSON(conversation.context);
+  return context && typeof context.session_id === 'string' && context.session_id ? context.session_id : null;
+}
+
+function formatSession(row) {
+  return {
+    id: row.id,
+    project_id: row.project_id,
+    platform: row.platform,
+    agent: row.agent,
+    status: row.status,
+    previous_session_id: row.previous_session_id,
+    metadata: parseJSON(row.metadata) || {},
+    started_at: row.started_at,
+    last_activity_at: row.last_activity_at,
+    ended_at: row.ended_at,
+    duration: row.duration === null || row.duration === undefined ? null : Number(row.duration),
+    conversation_count: Number(row.conversation_count) || 0,
+    summary: parseJSON(row.summary)
+  };
+}
+
+function parseJSON(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = SessionStore;
+module.exports.SessionError = SessionError;
+module.exports.STATUSES = STATUSES;
+module.exports.sessionIdOf = sessionIdOf;
@@ -0,0 +1,330 @@
+// Storage Adapter - One async query layer over PostgreSQL and SQLite
+// Callers write SQL once with `?` placeholders and syntax both engines accept
+// (e.g. INSERT ... ON CONFLICT (id) DO UPDATE SET col = excluded.col); the
+// adapter numbers placeholders for Postgres and normalises results.
+// For the few expressions that genuinely differ (JSON access, case-insensitive
+// LIKE) use the fragment helpers below instead of branching on the dialect.
+// With field encryption on (database/field-encryption.js), results come back
+// decrypted and writers seal rows with seal() before binding them.
+
+const ROW_RETURNING = /^\s*(SELECT|WITH|PRAGMA|VALUES|EXPLAIN)\b|\bRETURNING\b/i;
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class StorageAdapter {
+  /**
+   * @param {Object} database - anything exposing `db` (pg Pool or sqlite3 Database)
+   *   and `isProduction`; read lazily so the adapter can be created before the
+   *   connection is opened
+   */
+  constructor(database) {
+    this.database = database;
+    this.connection = null; // set on transaction scopes only
+    this.activeTransaction = null;
+  }
+
+  /**
+   * The adapter a database object already owns, or a new one around it.
+   * Lets helpers accept either a MemoryDatabase or a bare `{ db, isProduction }`.
+   */
+  static from(database) {
+    if (database instanceof StorageAdapter) return database;
+    if (database.storage instanceof StorageAdapter) return database.storage;
+    return new StorageAdapter(database);
+  }
+
+  /**
+   * An adapter that forwards every call to the adapter of whichever
+   * database getDatabase() returns at that moment - e.g. the current
+   * tenant's (core/tenant-manager.js) - for services that keep one adapter
+   * for their lifetime.
+   * @param {Function} getDatabase
+   * @returns {StorageAdapter}
+   */
+  static follow(getDatabase) {
+    return new Proxy(Object.create(StorageAdapter.prototype), {
+      get(target, property) {
+        const adapter = StorageAdapter.from(getDatabase());
+        const value = adapter[property];
+        return typeof value === 'function' ? value.bind(adapter) : value;
+      }
+    });
+  }
+
+  get dialect() {
+    return this.database.isProduction ? 'postgres' : 'sqlite';
+  }
+
+  get isPostgres() {
+    return this.dialect === 'postgres';
+  }
+
+  /**
+   * Run any statement.
+   * @returns {Promise<{ rows: Object[], changes: number, lastID: * }>}
+   */
+  async query(sql, params = []) {
+    if (!this.connection) {
+      await this.waitForTransaction();
+    }
+    const connection = this.connection || this.database.db;
+    if (!connection) {
+      throw new Error('Database connection is not open');
+    }
+
+    if (this.isPostgres) {
+      const result = await connection.query(toPostgresPlaceholders(sql), params);
+      const rows = await this.open(result.rows || []);
+      return {
+        rows,
+        changes: result.rowCount || 0,
+        lastID: rows[0] && rows[0].id !== undefined ? rows[0].id : null
+      };
+    }
+
+    if (ROW_RETURNING.test(sql)) {
+      const rows = await this.open(await new Promise((resolve, reject) => {
+        connection.all(sql, params, (err, result) => (err ? reject(err) : resolve(result)));
+      }));
+      return { rows, changes: rows.length, lastID: rows[0] && rows[0].id !== undefined ? rows[0].id : null };
+    }
+
+    return await new Promise((resolve, reject) => {
+      connection.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ rows: [], changes: this.changes, lastID: this.lastID });
+      });
+    });
+  }
+
+  /**
+   * The database's FieldEncryption, once it has a master key to open and
+   * seal with; null on bare `{ db, isProduction }` objects.
+   */
+  get encryption() {
+    const encryption = this.database.encryption;
+    return encryption && encryption.master ? encryption : null;
+  }
+
+  async open(rows) {
+    const encryption = this.encryption;
+    return encryption && rows.length > 0 ? await encryption.openRows(rows, this) : rows;
+  }
+
+  /**
+   * `row` as it should be stored in `table`: sealed when field encryption
+   * covers its project, else unchanged. Seal a row of plain values, before
+   * stringifying it as a whole (as revisions do).
+   * @param {string} table
+   * @param {Object} row - with project_id
+   */
+  async seal(table, row) {
+    const encryption = this.encryption;
+    return encryption ? await encryption.sealRow(table, row, this) : row;
+  }
+
+  /**
+   * Replace a record's search tokens; does nothing unless encryption is on.
+   * @param {string} table - 'conversations' or 'memories'
+   * @param {string} id
+   * @param {Array<string|Object>} texts - the plaintext fields it is found by
+   */
+  async indexTokens(table, id, texts) {
+    const encryption = this.encryption;
+    if (encryption) await encryption.indexRecord(table, id, texts, this);
+  }
+
+  async all(sql, params = []) {
+    return (await this.query(sql, params)).rows;
+  }
+
+  async get(sql, params = []) {
+    return (await this.query(sql, params)).rows[0];
+  }
+
+  /**
+   * @returns {Promise<{ changes: number, lastID: * }>} - lastID is only set on
+   *   Postgres when the statement has `RETURNING id`
+   */
+  async run(sql, params = []) {
+    const { changes, lastID } = await this.query(sql, params);
+    return { changes, lastID };
+  }
+
+  /**
+   * Run `fn` inside a transaction. `fn` receives a scoped adapter; use it (not
+   * this one) for every statement that belongs to the transaction. Nested calls
+   * join the outer transaction.
+   *
+   * SQLite has a single connection, so other queries wait until the
+   * transaction finishes; Postgres runs it on a dedicated pooled client.
+   */
+  async transaction(fn) {
+    if (this.connection) {
+      return await fn(this);
+    }
+
+    if (this.isPostgres) {
+      const client = await this.database.db.connect();
+      try {
+        return await runInTransaction(this.scope(client), fn);
+      } finally {
+        client.release();
+      }
+    }
+
+    // Check and claim with no await in between, or two waiters both get in
+    while (this.activeTransaction) {
+      await this.activeTransaction;
+    }
+    let finish;
+    this.activeTransaction = new Promise(resolve => { finish = resolve; });
+    try {
+      return await runInTransaction(this.scope(this.database.db), fn);
+    } finally {
+      this.activeTransaction = null;
+      finish();
+    }
+  }
+
+  scope(connection) {
+    const scoped = Object.create(this);
+    scoped.connection = connection;
+    return scoped;
+  }
+
+  async waitForTransaction() {
+    while (this.activeTransaction) {
+      await this.activeTransaction;
+    }
+  }
+
+  /**
+   * Insert a row, or update it when `conflict` columns already match.
+   * @param {string} table
+   * @param {Object} row - column -> value
+   * @param {string[]} conflict - unique/primary key columns
+   * @param {Object} [options]
+   * @param {string[]} [options.update] - columns to overwrite on conflict
+   *   (default: every column not in `conflict`)
+   * @param {string} [options.returning] - e.g. 'id'
+   */
+  async upsert(table, row, conflict, { update = null, returning = null } = {}) {
+    const columns = Object.keys(row);
+    [table, ...columns, ...conflict].forEach(assertIdentifier);
+
+    const updates = (update || columns.filter(column => !conflict.includes(column)))
+      .map(column => `${assertIdentifier(column)} = excluded.${column}`);
+    const action = updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING';
+
+    let sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) ` +
+      `ON CONFLICT (${conflict.join(', ')}) ${action}`;
+    if (returning) {
+      sql += ` RETURNING ${assertIdentifier(returning)}`;
+    }
+
+    return await this.query(sql, columns.map(column => row[column]));
+  }
+
+  // --- Dialect fragments -------------------------------------------------
+
+  /** Text value of a top-level key in a JSON text column. */
+  jsonField(column, key) {
+    assertIdentifier(column);
+    assertIdentifier(key);
+    return this.isPostgres
+      ? `(${column}::jsonb ->> '${key}')`
+      : `json_extract(${column}, '$.${key}')`;
+  }
+
+  /** True when the JSON array at `key` contains the string bound to the fragment's `?`. */
+  jsonArrayContains(column, key) {
+    assertIdentifier(column);
+    assertIdentifier(key);
+    return this.isPostgres
+      ? `jsonb_exists(${column}::jsonb -> '${key}', ?)`
+      : `EXISTS (SELECT 1 FROM json_each(${column}, '$.${key}') WHERE value = ?)`;
+  }
+
+  /** Case-insensitive LIKE (SQLite's LIKE already ignores ASCII case). */
+  get ilike() {
+    return this.isPostgres ? 'ILIKE' : 'LIKE';
+  }
+}
+
+async function runInTransaction(scope, fn) {
+  // IMMEDIATE takes SQLite's write lock up front, so two processes cannot
+  // both read and then fail to upgrade to a write
+  await scope.query(scope.isPostgres ? 'BEGIN' : 'BEGIN IMMEDIATE');
+  try {
+    const result = await fn(scope);
+    await scope.query('COMMIT');
+    return result;
+  } catch (error) {
+    await scope.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Number `?` placeholders as $1, $2, ... skipping quoted strings, quoted
+ * identifiers and comments. SQL that already uses $n is returned unchanged.
+ */
+function toPostgresPlaceholders(sql) {
+  let out = '';
+  let index = 0;
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+
+    if (char === "'" || char === '"') {
+      const end = findClosingQuote(sql, i, char);
+      out += sql.slice(i, end);
+      i = end;
+    } else if (char === '-' && sql[i + 1] === '-') {
+      const end = sql.indexOf('\n', i);
+      const stop = end === -1 ? sql.length : end;
+      out += sql.slice(i, stop);
+      i = stop;
+    } else if (char === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      const stop = end === -1 ? sql.length : end + 2;
+      out += sql.slice(i, stop);
+      i = stop;
+    } else if (char === '?') {
+      out += `$${++index}`;
+      i++;
+    } else {
+      out += char;
+      i++;
+    }
+  }
+
+  return out;
+}
+
+// Index just past the closing quote; doubled quotes are escapes
+function findClosingQuote(sql, start, quote) {
+  let i = start + 1;
+  while (i < sql.length) {
+    if (sql[i] === quote) {
+      if (sql[i + 1] === quote) {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    i++;
+  }
+  return sql.length;
+}
+
+function assertIdentifier(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid SQL identifier: ${name}`);
+  }
+  return name;
+}
+
+module.exports = StorageAdapter;
+module.exports.toPostgresPlaceholders = toPostgresPlaceholders;
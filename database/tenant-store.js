@@ -0,0 +1,160 @@
+// Tenant Store - The teams or workspaces one hub serves, and their quotas
+// Each tenant's memories live in a database of its own (opened by
+// core/tenant-manager.js). The `default` tenant is the hub's own database:
+// it always exists, has no quotas and is not stored here. The tenants table
+// lives in that database and comes from database/migrations/020-tenants.js
+
+const StorageAdapter = require('./storage-adapter');
+
+const DEFAULT_TENANT = 'default';
+// Ends up in SQLite file names and PostgreSQL schema names
+const TENANT_ID_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const STATUSES = ['active', 'suspended'];
+// Limits a tenant may be given; a missing or null quota is unlimited
+const QUOTAS = ['max_projects', 'max_memories', 'max_api_keys'];
+
+// Bad input and refusals: the route layer maps `code` to a status
+class TenantError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TenantError';
+    this.code = code; // 'invalid', 'conflict', 'not_found', 'suspended' or 'quota_exceeded'
+  }
+}
+
+class TenantStore {
+  constructor(database) {
+    this.storage = StorageAdapter.from(database);
+  }
+
+  /**
+   * Provision a tenant.
+   * @param {Object} tenant
+   * @param {string} tenant.id - lower-case letters, digits and underscores
+   * @param {string} [tenant.name] - default: the id
+   * @param {Object} [tenant.quotas] - see QUOTAS
+   * @returns {Promise<Object>}
+   * @throws {TenantError} 'invalid' for bad input, 'conflict' when the id is taken
+   */
+  async create({ id, name = id, quotas = {} }) {
+    if (typeof id !== 'string' || !TENANT_ID_PATTERN.test(id) || id === DEFAULT_TENANT) {
+      throw new TenantError('invalid', 'id must be 2-40 lower-case letters, digits or underscores, starting with a letter, and not "default"');
+    }
+    if (typeof name !== 'string' || !name) {
+      throw new TenantError('invalid', 'name must be a non-empty string');
+    }
+    const limits = validateQuotas(quotas);
+
+    return await this.storage.transaction(async (tx) => {
+      if (await this.get(id, tx)) {
+        throw new TenantError('conflict', `Tenant ${id} already exists`);
+      }
+      const now = new Date().toISOString();
+      await tx.run(`
+        INSERT INTO tenants (id, name, status, quotas, created_at, updated_at)
+        VALUES (?, ?, 'active', ?, ?, ?)
+      `, [id, name, JSON.stringify(dropUnlimited(limits)), now, now]);
+      return await this.get(id, tx);
+    });
+  }
+
+  /** A provisioned tenant by id, or null. */
+  async get(id, tx = this.storage) {
+    const row = await tx.get('SELECT * FROM tenants WHERE id = ?', [id]);
+    return row ? formatTenant(row) : null;
+  }
+
+  /**
+   * Provisioned tenants, by id.
+   * @param {Object} [options]
+   * @param {string} [options.status] - one of STATUSES
+   */
+  async list({ status = null } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      throw new TenantError('invalid', `status must be one of: ${STATUSES.join(', ')}`);
+    }
+    const rows = status
+      ? await this.storage.all('SELECT * FROM tenants WHERE status = ? ORDER BY id', [status])
+      : await this.storage.all('SELECT * FROM tenants ORDER BY id');
+    return rows.map(formatTenant);
+  }
+
+  /**
+   * Rename, suspend, reactivate or change the quotas of a tenant. Quotas
+   * are merged into the current ones; a null quota removes the limit.
+   * @param {string} id
+   * @param {Object} changes
+   * @param {string} [changes.name]
+   * @param {string} [changes.status] - one of STATUSES
+   * @param {Object} [changes.quotas]
+   * @returns {Promise<Object|null>} the tenant, or null for an unknown one
+   * @throws {TenantError} 'invalid' for bad input
+   */
+  async update(id, { name, status, quotas } = {}) {
+    if (name !== undefined && (typeof name !== 'string' || !name)) {
+      throw new TenantError('invalid', 'name must be a non-empty string');
+    }
+    if (status !== undefined && !STATUSES.includes(status)) {
+      throw new TenantError('invalid', `status must be one of: ${STATUSES.join(', ')}`);
+    }
+    const limits = quotas === undefined ? null : validateQuotas(quotas);
+
+    return await this.storage.transaction(async (tx) => {
+      const tenant = await this.get(id, tx);
+      if (!tenant) return null;
+
+      const merged = limits ? dropUnlimited({ ...tenant.quotas, ...limits }) : tenant.quotas;
+      await tx.run(`
+        UPDATE tenants SET name = ?, status = ?, quotas = ?, updated_at = ? WHERE id = ?
+      `, [name ?? tenant.name, status ?? tenant.status, JSON.stringify(merged), new Date().toISOString(), id]);
+      return await this.get(id, tx);
+    });
+  }
+
+  /** Keys acting for a tenant that are not revoked. */
+  async countApiKeys(id) {
+    const row = await this.storage.get(
+      'SELECT COUNT(*) AS count FROM api_keys WHERE tenant_id = ? AND revoked_at IS NULL',
+      [id]
+    );
+    return Number(row.count);
+  }
+}
+
+// Quotas are non-negative integers, or null to remove a limit
+function validateQuotas(quotas) {
+  if (!quotas || typeof quotas !== 'object' || Array.isArray(quotas)) {
+    throw new TenantError('invalid', 'quotas must be an object');
+  }
+  for (const [quota, limit] of Object.entries(quotas)) {
+    if (!QUOTAS.includes(quota)) {
+      throw new TenantError('invalid', `Unknown quota ${quota} (expected ${QUOTAS.join(', ')})`);
+    }
+    if (limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+      throw new TenantError('invalid', `${quota} must be a non-negative integer or null`);
+    }
+  }
+  return quotas;
+}
+
+function dropUnlimited(quotas) {
+  return Object.fromEntries(Object.entries(quotas).filter(([, limit]) => limit !== null));
+}
+
+function formatTenant(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    status: row.status,
+    quotas: dropUnlimited(row.quotas ? JSON.parse(row.quotas) : {}),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+module.exports = TenantStore;
+module.exports.TenantError = TenantError;
+module.exports.DEFAULT_TENANT = DEFAULT_TENANT;
+module.exports.TENANT_ID_PATTERN = TENANT_ID_PATTERN;
+module.exports.STATUSES = STATUSES;
+module.exports.QUOTAS = QUOTAS;
@@ -312,7 +312,7 @@ class NexusUIAPI {
         
         // Search via memory hub
         const memoryHub = this.hub.memoryHub;
-        const results = await memoryHub.db.searchConversations(query, parseInt(limit));
+        const results = await memoryHub.db.searchConversations(query, null, parseInt(limit));
         
         res.json(results || []);
       } catch (error) {
@@ -1,6 +1,8 @@
 // Federation Hub v2 - Main Entry Point
 // Transforms SCRI Memory Hub into a central coordinator for the SCRI-IOS mesh network
 
+const StorageAdapter = require('../database/storage-adapter');
+
 // P0 Services
 const FederationNodeRegistry = require('./services/node-registry');
 const FederationWebSocketPool = require('./services/websocket-pool');
@@ -31,18 +33,14 @@ const FederationEntityRegistry = require('./services/entity-registry');
 const FederationAccessControl = require('./services/access-control');
 const NexusUIAPI = require('./api/nexus-ui-api');
 
-// Database
-const FederationSchema = require('./database/federation-schema');
-
 class FederationHub {
   constructor(memoryHub) {
     this.memoryHub = memoryHub;
-    this.db = memoryHub.db;
+    // Services keep this adapter; each query goes to the database of the
+    // tenant the request or event runs as (core/tenant-manager.js)
+    this.storage = StorageAdapter.follow(() => memoryHub.db);
     this.io = memoryHub.io;
     
-    // Initialize schema
-    this.schema = new FederationSchema(this.db);
-    
     // P0: Core services
     this.nodeRegistry = new FederationNodeRegistry(this);
     this.webSocketPool = new FederationWebSocketPool(this);
@@ -77,14 +75,19 @@ class FederationHub {
     this.initialized = false;
   }
 
+  // The current tenant's database
+  get db() {
+    return this.memoryHub.db;
+  }
+
   async initialize() {
     if (this.initialized) return;
     
     console.log('🌐 Initializing Federation Hub v2...');
     
     try {
-      // Create database tables
-      await this.schema.createFederationTables();
+      // Federation tables come from database/migrations (003, 004)
+      await this.db.ready;
       
       // Initialize P0 services
       await this.nodeRegistry.initialize();
@@ -288,6 +291,7 @@ class FederationHub {
     this.metrics.stopHealthReflection();
     this.degradation.stopMonitoring();
     this.p2pFallback.stopProbing();
+    this.webSocketPool.shutdown();
     
     // Emit shutdown event
     await this.eventBus.emit({
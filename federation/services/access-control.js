@@ -7,8 +7,7 @@ const { v4: uuidv4 } = require('uuid');
 class FederationAccessControl {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
-    this.isProduction = federationHub.db.isProduction;
+    this.storage = federationHub.storage;
     
     // In-memory caches
     this.blocklist = new Set();
@@ -24,39 +23,11 @@ class FederationAccessControl {
 
   async loadAccessLists() {
     try {
-      // Load blocklist
-      const blockQuery = 'SELECT entity_id FROM federation_access_blocklist';
-      if (this.isProduction) {
-        const result = await this.db.db.query(blockQuery);
-        result.rows.forEach(row => this.blocklist.add(row.entity_id));
-      } else {
-        await new Promise((resolve, reject) => {
-          this.db.db.all(blockQuery, [], (err, rows) => {
-            if (err) resolve(); // Table might not exist
-            else {
-              (rows || []).forEach(row => this.blocklist.add(row.entity_id));
-              resolve();
-            }
-          });
-        });
-      }
-      
-      // Load allowlist
-      const allowQuery = 'SELECT entity_id FROM federation_access_allowlist';
-      if (this.isProduction) {
-        const result = await this.db.db.query(allowQuery);
-        result.rows.forEach(row => this.allowlist.add(row.entity_id));
-      } else {
-        await new Promise((resolve, reject) => {
-          this.db.db.all(allowQuery, [], (err, rows) => {
-            if (err) resolve(); // Table might not exist
-            else {
-              (rows || []).forEach(row => this.allowlist.add(row.entity_id));
-              resolve();
-            }
-          });
-        });
-      }
+      const blocked = await this.storage.all('SELECT entity_id FROM federation_access_blocklist');
+      blocked.forEach(row => this.blocklist.add(row.entity_id));
+
+      const allowed = await this.storage.all('SELECT entity_id FROM federation_access_allowlist');
+      allowed.forEach(row => this.allowlist.add(row.entity_id));
     } catch (error) {
       console.log('⚠️ Access control tables not ready yet');
     }
@@ -89,24 +60,11 @@ class FederationAccessControl {
   async blockEntity(entityId, blockedBy = 'system') {
     this.blocklist.add(entityId);
     
-    const query = this.isProduction ?
-      `INSERT INTO federation_access_blocklist (entity_id, blocked_by, blocked_at)
-       VALUES ($1, $2, $3) ON CONFLICT (entity_id) DO NOTHING` :
-      `INSERT OR IGNORE INTO federation_access_blocklist (entity_id, blocked_by, blocked_at)
-       VALUES (?, ?, ?)`;
-    
-    const params = [entityId, blockedBy, new Date().toISOString()];
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, params);
-    } else {
-      await new Promise((resolve, reject) => {
-        this.db.db.run(query, params, function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.storage.upsert('federation_access_blocklist', {
+      entity_id: entityId,
+      blocked_by: blockedBy,
+      blocked_at: new Date().toISOString()
+    }, ['entity_id'], { update: [] });
     
     return {
       success: true,
@@ -119,20 +77,7 @@ class FederationAccessControl {
   async unblockEntity(entityId) {
     this.blocklist.delete(entityId);
     
-    const query = this.isProduction ?
-      `DELETE FROM federation_access_blocklist WHERE entity_id = $1` :
-      `DELETE FROM federation_access_blocklist WHERE entity_id = ?`;
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, [entityId]);
-    } else {
-      await new Promise((resolve, reject) => {
-        this.db.db.run(query, [entityId], function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.storage.run('DELETE FROM federation_access_blocklist WHERE entity_id = ?', [entityId]);
     
     return {
       success: true,
@@ -153,24 +98,11 @@ class FederationAccessControl {
   async allowEntity(entityId, allowedBy = 'system') {
     this.allowlist.add(entityId);
     
-    const query = this.isProduction ?
-      `INSERT INTO federation_access_allowlist (entity_id, allowed_by, allowed_at)
-       VALUES ($1, $2, $3) ON CONFLICT (entity_id) DO NOTHING` :
-      `INSERT OR IGNORE INTO federation_access_allowlist (entity_id, allowed_by, allowed_at)
-       VALUES (?, ?, ?)`;
-    
-    const params = [entityId, allowedBy, new Date().toISOString()];
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, params);
-    } else {
-      await new Promise((resolve, reject) => {
-        this.db.db.run(query, params, function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.storage.upsert('federation_access_allowlist', {
+      entity_id: entityId,
+      allowed_by: allowedBy,
+      allowed_at: new Date().toISOString()
+    }, ['entity_id'], { update: [] });
     
     return {
       success: true,
@@ -183,20 +115,7 @@ class FederationAccessControl {
   async removeAllowedEntity(entityId) {
     this.allowlist.delete(entityId);
     
-    const query = this.isProduction ?
-      `DELETE FROM federation_access_allowlist WHERE entity_id = $1` :
-      `DELETE FROM federation_access_allowlist WHERE entity_id = ?`;
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, [entityId]);
-    } else {
-      await new Promise((resolve, reject) => {
-        this.db.db.run(query, [entityId], function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.storage.run('DELETE FROM federation_access_allowlist WHERE entity_id = ?', [entityId]);
     
     return {
       success: true,
@@ -212,25 +131,10 @@ class FederationAccessControl {
     this.mode = 'open';
     
     // Clear database tables
-    const blockQuery = 'DELETE FROM federation_access_blocklist';
-    const allowQuery = 'DELETE FROM federation_access_allowlist';
-    
-    if (this.isProduction) {
-      await this.db.db.query(blockQuery);
-      await this.db.db.query(allowQuery);
-    } else {
-      await new Promise((resolve, reject) => {
-        this.db.db.run(blockQuery, [], (err) => {
-          if (err) reject(err);
-          else {
-            this.db.db.run(allowQuery, [], (err2) => {
-              if (err2) reject(err2);
-              else resolve();
-            });
-          }
-        });
-      });
-    }
+    await this.storage.transaction(async (tx) => {
+      await tx.run('DELETE FROM federation_access_blocklist');
+      await tx.run('DELETE FROM federation_access_allowlist');
+    });
     
     return {
       success: true,
@@ -7,7 +7,7 @@ const { v4: uuidv4 } = require('uuid');
 class FederationAuditLogger {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
+    this.storage = federationHub.storage;
     
     // Default retention: 90 days
     this.retentionDays = 90;
@@ -98,7 +98,7 @@ class FederationAuditLogger {
     };
 
     try {
-      await this.db.run(`
+      await this.storage.run(`
         INSERT INTO federation_audit_log 
         (log_id, action, node_id, outcome, details, timestamp)
         VALUES (?, ?, ?, ?, ?, ?)
@@ -153,7 +153,7 @@ class FederationAuditLogger {
     params.push(limit, offset);
 
     try {
-      const rows = await this.db.all(query, params);
+      const rows = await this.storage.all(query, params);
       return (rows || []).map(row => ({
         log_id: row.log_id,
         action: row.action,
@@ -216,7 +216,7 @@ class FederationAuditLogger {
     cutoffDate.setDate(cutoffDate.getDate() - this.retentionDays);
 
     try {
-      const result = await this.db.run(`
+      const result = await this.storage.run(`
         DELETE FROM federation_audit_log WHERE timestamp < ?
       `, [cutoffDate.toISOString()]);
 
@@ -238,11 +238,11 @@ class FederationAuditLogger {
   // Get audit stats
   async getStats() {
     try {
-      const total = await this.db.get(`SELECT COUNT(*) as count FROM federation_audit_log`);
-      const byAction = await this.db.all(`
+      const total = await this.storage.get(`SELECT COUNT(*) as count FROM federation_audit_log`);
+      const byAction = await this.storage.all(`
         SELECT action, COUNT(*) as count FROM federation_audit_log GROUP BY action
       `);
-      const byOutcome = await this.db.all(`
+      const byOutcome = await this.storage.all(`
         SELECT outcome, COUNT(*) as count FROM federation_audit_log GROUP BY outcome
       `);
 
@@ -3,13 +3,13 @@
 // Requirements: 28.1-28.4, 20.1, 20.6
 
 const { v4: uuidv4 } = require('uuid');
+const { tenantRoom, currentTenant } = require('../../core/tenant-context');
 
 class FederationEntityRegistry {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
+    this.storage = federationHub.storage;
     this.io = federationHub.io;
-    this.isProduction = federationHub.db.isProduction;
     
     // In-memory cache
     this.entities = new Map();
@@ -23,30 +23,11 @@ class FederationEntityRegistry {
 
   // Requirement 28.2: Restore entities on hub restart
   async restoreEntities() {
-    const query = 'SELECT * FROM federation_registered_entities';
-    
     try {
-      if (this.isProduction) {
-        const result = await this.db.db.query(query);
-        result.rows.forEach(row => {
-          this.entities.set(row.entity_id, this.parseEntityRow(row));
-        });
-      } else {
-        return new Promise((resolve, reject) => {
-          this.db.db.all(query, [], (err, rows) => {
-            if (err) {
-              // Table might not exist yet
-              console.log('⚠️ Entity registry table not ready yet');
-              resolve();
-            } else {
-              (rows || []).forEach(row => {
-                this.entities.set(row.entity_id, this.parseEntityRow(row));
-              });
-              resolve();
-            }
-          });
-        });
-      }
+      const rows = await this.storage.all('SELECT * FROM federation_registered_entities');
+      rows.forEach(row => {
+        this.entities.set(row.entity_id, this.parseEntityRow(row));
+      });
     } catch (error) {
       console.log('⚠️ Entity registry table not ready yet');
     }
@@ -97,7 +78,7 @@ class FederationEntityRegistry {
     
     // Store socket mapping
     socket.entity_id = entity_id;
-    socket.join('entities');
+    socket.join(tenantRoom('entities'));
     socket.join(`entity:${entity_id}`);
     
     // Record join event (Requirement 26)
@@ -126,72 +107,38 @@ class FederationEntityRegistry {
 
   // Persist entity to database
   async persistEntity(entity) {
-    const query = this.isProduction ?
-      `INSERT INTO federation_registered_entities (entity_id, name, type, capabilities, metadata, registered_at, last_seen)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       ON CONFLICT (entity_id) DO UPDATE SET
-         name = $2, type = $3, capabilities = $4, metadata = $5, last_seen = $7` :
-      `INSERT OR REPLACE INTO federation_registered_entities (entity_id, name, type, capabilities, metadata, registered_at, last_seen)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`;
-    
-    const params = [
-      entity.entity_id,
-      entity.name,
-      entity.type,
-      JSON.stringify(entity.capabilities),
-      JSON.stringify(entity.metadata),
-      entity.registered_at,
-      entity.last_seen
-    ];
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, params);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.run(query, params, function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.storage.upsert('federation_registered_entities', {
+      entity_id: entity.entity_id,
+      name: entity.name,
+      type: entity.type,
+      capabilities: JSON.stringify(entity.capabilities),
+      metadata: JSON.stringify(entity.metadata),
+      registered_at: entity.registered_at,
+      last_seen: entity.last_seen
+    }, ['entity_id'], { update: ['name', 'type', 'capabilities', 'metadata', 'last_seen'] });
   }
 
   // Record join event for Nexus UI
   async recordJoinEvent(entity) {
-    const id = uuidv4();
-    const query = this.isProduction ?
-      `INSERT INTO federation_join_events (id, entity_id, entity_name, entity_type, capabilities, joined_at)
-       VALUES ($1, $2, $3, $4, $5, $6)` :
-      `INSERT INTO federation_join_events (id, entity_id, entity_name, entity_type, capabilities, joined_at)
-       VALUES (?, ?, ?, ?, ?, ?)`;
-    
-    const params = [
-      id,
-      entity.entity_id,
-      entity.name,
-      entity.type,
-      JSON.stringify(entity.capabilities),
-      entity.last_seen
-    ];
-    
     try {
-      if (this.isProduction) {
-        await this.db.db.query(query, params);
-      } else {
-        return new Promise((resolve, reject) => {
-          this.db.db.run(query, params, function(err) {
-            if (err) reject(err);
-            else resolve();
-          });
-        });
-      }
+      await this.storage.run(`
+        INSERT INTO federation_join_events (id, entity_id, entity_name, entity_type, capabilities, joined_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        uuidv4(),
+        entity.entity_id,
+        entity.name,
+        entity.type,
+        JSON.stringify(entity.capabilities),
+        entity.last_seen
+      ]);
     } catch (error) {
       console.error('Failed to record join event:', error);
     }
     
     // Emit via WebSocket for real-time alerts (Requirement 26.3)
     if (this.io) {
-      this.io.to('entities').emit('entity:joined', {
+      this.io.to(tenantRoom('entities')).emit('entity:joined', {
         entity_id: entity.entity_id,
         entity_name: entity.name,
         entity_type: entity.type,
@@ -206,7 +153,7 @@ class FederationEntityRegistry {
     const entities = this.getEntitiesInAthenaFormat();
     
     if (this.io) {
-      this.io.to('entities').emit('entities:list', {
+      this.io.to(tenantRoom('entities')).emit('entities:list', {
         entities,
         timestamp: new Date().toISOString()
       });
@@ -214,7 +161,7 @@ class FederationEntityRegistry {
   }
 
   // Requirement 20.2: Broadcast entity status change
-  async broadcastEntityStatus(entityId, status) {
+  async broadcastEntityStatus(entityId, status, tenantId = currentTenant()) {
     const entity = this.entities.get(entityId);
     if (!entity) return;
     
@@ -222,7 +169,7 @@ class FederationEntityRegistry {
     entity.last_seen = new Date().toISOString();
     
     if (this.io) {
-      this.io.to('entities').emit('entity:status', {
+      this.io.to(tenantRoom('entities', tenantId)).emit('entity:status', {
         entity_id: entityId,
         status,
         timestamp: entity.last_seen
@@ -244,7 +191,7 @@ class FederationEntityRegistry {
       await this.updateLastSeen(entityId);
       
       // Broadcast status change
-      await this.broadcastEntityStatus(entityId, 'offline');
+      await this.broadcastEntityStatus(entityId, 'offline', socket.data.tenantId);
       
       // Emit event (Requirement 28.4)
       if (this.hub.eventBus) {
@@ -258,21 +205,10 @@ class FederationEntityRegistry {
 
   // Requirement 28.3: Update last_seen
   async updateLastSeen(entityId) {
-    const now = new Date().toISOString();
-    const query = this.isProduction ?
-      `UPDATE federation_registered_entities SET last_seen = $1 WHERE entity_id = $2` :
-      `UPDATE federation_registered_entities SET last_seen = ? WHERE entity_id = ?`;
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, [now, entityId]);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.run(query, [now, entityId], function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.storage.run(
+      'UPDATE federation_registered_entities SET last_seen = ? WHERE entity_id = ?',
+      [new Date().toISOString(), entityId]
+    );
   }
 
   // Requirement 20.6: Get entities in AthenaEntity format
@@ -310,29 +246,11 @@ class FederationEntityRegistry {
 
   // Get recent join events (Requirement 26.1)
   async getJoinEvents(limit = 20) {
-    const query = this.isProduction ?
-      `SELECT * FROM federation_join_events ORDER BY joined_at DESC LIMIT $1` :
-      `SELECT * FROM federation_join_events ORDER BY joined_at DESC LIMIT ?`;
-    
-    if (this.isProduction) {
-      const result = await this.db.db.query(query, [limit]);
-      return result.rows.map(row => ({
-        ...row,
-        capabilities: typeof row.capabilities === 'string' ? JSON.parse(row.capabilities) : row.capabilities
-      }));
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.all(query, [limit], (err, rows) => {
-          if (err) reject(err);
-          else {
-            resolve((rows || []).map(row => ({
-              ...row,
-              capabilities: typeof row.capabilities === 'string' ? JSON.parse(row.capabilities) : row.capabilities
-            })));
-          }
-        });
-      });
-    }
+    const rows = await this.storage.all('SELECT * FROM federation_join_events ORDER BY joined_at DESC LIMIT ?', [limit]);
+    return rows.map(row => ({
+      ...row,
+      capabilities: typeof row.capabilities === 'string' ? JSON.parse(row.capabilities) : row.capabilities
+    }));
   }
 }
 
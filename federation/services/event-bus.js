@@ -4,13 +4,13 @@
 
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const { tenantRoom } = require('../../core/tenant-context');
 
 class FederationEventBus {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
+    this.storage = federationHub.storage;
     this.io = federationHub.io;
-    this.isProduction = federationHub.db.isProduction;
     
     // In-memory subscriptions cache
     this.subscriptions = new Map();
@@ -23,27 +23,11 @@ class FederationEventBus {
   }
 
   async loadSubscriptions() {
-    const query = 'SELECT * FROM federation_event_subscriptions WHERE active = true';
-    
     try {
-      if (this.isProduction) {
-        const result = await this.db.db.query(query);
-        result.rows.forEach(row => {
-          this.subscriptions.set(row.id, this.parseSubscription(row));
-        });
-      } else {
-        return new Promise((resolve, reject) => {
-          this.db.db.all(query, [], (err, rows) => {
-            if (err) reject(err);
-            else {
-              (rows || []).forEach(row => {
-                this.subscriptions.set(row.id, this.parseSubscription(row));
-              });
-              resolve();
-            }
-          });
-        });
-      }
+      const rows = await this.storage.all('SELECT * FROM federation_event_subscriptions WHERE active = true');
+      rows.forEach(row => {
+        this.subscriptions.set(row.id, this.parseSubscription(row));
+      });
     } catch (error) {
       // Table might not exist yet
       console.log('⚠️ Event subscriptions table not ready yet');
@@ -86,13 +70,11 @@ class FederationEventBus {
   }
 
   async storeSubscription(sub) {
-    const query = this.isProduction ?
-      `INSERT INTO federation_event_subscriptions (id, subscriber, events, filter, channel, webhook_url, webhook_secret, active, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)` :
-      `INSERT INTO federation_event_subscriptions (id, subscriber, events, filter, channel, webhook_url, webhook_secret, active, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-    
-    const params = [
+    // Booleans bind as 1/0 on SQLite and true/false on Postgres
+    await this.storage.run(`
+      INSERT INTO federation_event_subscriptions (id, subscriber, events, filter, channel, webhook_url, webhook_secret, active, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
       sub.id,
       sub.subscriber,
       JSON.stringify(sub.events),
@@ -100,40 +82,16 @@ class FederationEventBus {
       sub.channel,
       sub.webhook_url,
       sub.webhook_secret,
-      sub.active ? 1 : 0,
+      sub.active,
       sub.created_at
-    ];
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, params);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.run(query, params, function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    ]);
   }
 
   // Unsubscribe
   async unsubscribe(subscriptionId) {
     this.subscriptions.delete(subscriptionId);
     
-    const query = this.isProduction ?
-      `UPDATE federation_event_subscriptions SET active = false WHERE id = $1` :
-      `UPDATE federation_event_subscriptions SET active = 0 WHERE id = ?`;
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, [subscriptionId]);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.run(query, [subscriptionId], function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.storage.run('UPDATE federation_event_subscriptions SET active = false WHERE id = ?', [subscriptionId]);
   }
 
   // Requirement 7.2: Emit event to matching subscribers
@@ -154,9 +112,9 @@ class FederationEventBus {
       }
     }
     
-    // Also broadcast via WebSocket to federation room
+    // Also broadcast via WebSocket to the tenant's federation room
     if (this.io) {
-      this.io.to('federation').emit('federation:event', federationEvent);
+      this.io.to(tenantRoom('federation')).emit('federation:event', federationEvent);
     }
   }
 
@@ -249,7 +207,7 @@ class FederationEventBus {
     if (target === 'all' || !target) {
       // Broadcast to all nodes
       if (this.io) {
-        this.io.to('federation').emit('federation:broadcast', event);
+        this.io.to(tenantRoom('federation')).emit('federation:broadcast', event);
       }
     } else if (Array.isArray(target)) {
       // Send to specific nodes
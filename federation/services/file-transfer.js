@@ -7,10 +7,14 @@ const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
 
+// Table columns under the names the service API uses
+const FILE_COLUMNS = `id AS file_id, filename, mime_type AS content_type, size_bytes AS size, hash,
+  uploaded_by AS from_node, recipient AS to_node, ephemeral, storage_path, created_at`;
+
 class FederationFileTransfer {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
+    this.storage = federationHub.storage;
     
     // File storage directory (Fly.io volume)
     this.storageDir = process.env.FILE_STORAGE_DIR || '/data/files';
@@ -26,15 +30,15 @@ class FederationFileTransfer {
   }
 
   async initialize() {
-    // Ensure storage directory exists
-    try {
-      await fs.mkdir(this.storageDir, { recursive: true });
-    } catch (error) {
-      console.log('⚠️ Could not create file storage directory:', error.message);
-    }
+    // The storage directory is created on first upload, so hubs that never
+    // receive a file (tests, in-memory hubs) leave nothing on disk
     console.log('📁 File Transfer service initialized');
   }
 
+  async ensureStorageDir() {
+    await fs.mkdir(this.storageDir, { recursive: true });
+  }
+
   // Requirement 12.1: Upload file (multipart)
   async uploadFile(fileData, metadata) {
     const { filename, content_type, from_node, to_node, ephemeral } = metadata;
@@ -55,6 +59,7 @@ class FederationFileTransfer {
 
     // Requirement 12.2: Store on Fly.io volume
     try {
+      await this.ensureStorageDir();
       await fs.writeFile(storagePath, fileData);
     } catch (error) {
       return { success: false, error: 'storage_error', message: error.message };
@@ -75,9 +80,9 @@ class FederationFileTransfer {
     };
 
     try {
-      await this.db.run(`
+      await this.storage.run(`
         INSERT INTO federation_files 
-        (file_id, filename, content_type, size, hash, from_node, to_node, ephemeral, storage_path, created_at)
+        (id, filename, mime_type, size_bytes, hash, uploaded_by, recipient, ephemeral, storage_path, created_at)
         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         fileRecord.file_id,
@@ -87,7 +92,7 @@ class FederationFileTransfer {
         fileRecord.hash,
         fileRecord.from_node,
         fileRecord.to_node,
-        fileRecord.ephemeral ? 1 : 0,
+        fileRecord.ephemeral,
         fileRecord.storage_path,
         fileRecord.created_at
       ]);
@@ -109,9 +114,9 @@ class FederationFileTransfer {
   // Requirement 12.3, 12.5: Download file (streaming, ephemeral consumption)
   async downloadFile(fileId, requestingNode) {
     try {
-      const row = await this.db.get(`
-        SELECT * FROM federation_files 
-        WHERE file_id = ? AND (to_node = ? OR to_node = '*')
+      const row = await this.storage.get(`
+        SELECT ${FILE_COLUMNS} FROM federation_files 
+        WHERE id = ? AND (recipient = ? OR recipient = '*')
       `, [fileId, requestingNode]);
 
       if (!row) {
@@ -142,9 +147,9 @@ class FederationFileTransfer {
   // Get file stream (for large files)
   async getFileStream(fileId, requestingNode) {
     try {
-      const row = await this.db.get(`
-        SELECT * FROM federation_files 
-        WHERE file_id = ? AND (to_node = ? OR to_node = '*')
+      const row = await this.storage.get(`
+        SELECT ${FILE_COLUMNS} FROM federation_files 
+        WHERE id = ? AND (recipient = ? OR recipient = '*')
       `, [fileId, requestingNode]);
 
       if (!row) {
@@ -199,6 +204,7 @@ class FederationFileTransfer {
     this.uploadSessions.set(sessionId, session);
 
     // Create temp file
+    await this.ensureStorageDir();
     await fs.writeFile(session.temp_path, Buffer.alloc(0));
 
     return {
@@ -267,11 +273,11 @@ class FederationFileTransfer {
   // Delete file
   async deleteFile(fileId) {
     try {
-      const row = await this.db.get(`SELECT storage_path FROM federation_files WHERE file_id = ?`, [fileId]);
+      const row = await this.storage.get(`SELECT storage_path FROM federation_files WHERE id = ?`, [fileId]);
       
       if (row) {
         await fs.unlink(row.storage_path).catch(() => {});
-        await this.db.run(`DELETE FROM federation_files WHERE file_id = ?`, [fileId]);
+        await this.storage.run(`DELETE FROM federation_files WHERE id = ?`, [fileId]);
       }
 
       return { success: true };
@@ -286,21 +292,21 @@ class FederationFileTransfer {
 
     try {
       let query = `
-        SELECT file_id, filename, content_type, size, hash, from_node, to_node, ephemeral, created_at
+        SELECT ${FILE_COLUMNS}
         FROM federation_files 
-        WHERE (to_node = ? OR to_node = '*')
+        WHERE (recipient = ? OR recipient = '*')
       `;
       const params = [nodeId];
 
       if (from_node) {
-        query += ` AND from_node = ?`;
+        query += ` AND uploaded_by = ?`;
         params.push(from_node);
       }
 
       query += ` ORDER BY created_at DESC LIMIT ?`;
       params.push(limit);
 
-      const rows = await this.db.all(query, params);
+      const rows = await this.storage.all(query, params);
 
       return (rows || []).map(row => ({
         file_id: row.file_id,
@@ -309,7 +315,7 @@ class FederationFileTransfer {
         size: row.size,
         hash: row.hash,
         from_node: row.from_node,
-        ephemeral: row.ephemeral === 1,
+        ephemeral: Boolean(row.ephemeral),
         created_at: row.created_at
         // Note: content is NOT included
       }));
@@ -8,7 +8,7 @@ const crypto = require('crypto');
 class FederationGovernance {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
+    this.storage = federationHub.storage;
     
     // Federation mode: 'open', 'approval', 'invite'
     this.mode = 'open';
@@ -34,19 +34,19 @@ class FederationGovernance {
   async loadGovernanceState() {
     try {
       // Load mode
-      const config = await this.db.get(`SELECT * FROM federation_config WHERE key = 'mode'`);
+      const config = await this.storage.get(`SELECT * FROM federation_config WHERE key = 'mode'`);
       if (config) {
         this.mode = config.value;
       }
 
       // Load roles
-      const roles = await this.db.all(`SELECT * FROM federation_node_roles`);
+      const roles = await this.storage.all(`SELECT * FROM federation_node_roles`);
       for (const role of roles || []) {
         this.roles.set(role.node_id, role.role);
       }
 
       // Load banned nodes
-      const banned = await this.db.all(`SELECT node_id FROM federation_banned_nodes`);
+      const banned = await this.storage.all(`SELECT node_id FROM federation_banned_nodes`);
       for (const node of banned || []) {
         this.bannedNodes.add(node.node_id);
       }
@@ -69,10 +69,11 @@ class FederationGovernance {
     this.mode = mode;
 
     try {
-      await this.db.run(`
-        INSERT OR REPLACE INTO federation_config (key, value, updated_at)
-        VALUES ('mode', ?, ?)
-      `, [mode, new Date().toISOString()]);
+      await this.storage.upsert('federation_config', {
+        key: 'mode',
+        value: mode,
+        updated_at: new Date().toISOString()
+      }, ['key']);
     } catch (error) {
       console.error('Failed to save mode:', error);
     }
@@ -234,10 +235,11 @@ class FederationGovernance {
     this.roles.set(nodeId, role);
 
     try {
-      await this.db.run(`
-        INSERT OR REPLACE INTO federation_node_roles (node_id, role, updated_at)
-        VALUES (?, ?, ?)
-      `, [nodeId, role, new Date().toISOString()]);
+      await this.storage.upsert('federation_node_roles', {
+        node_id: nodeId,
+        role,
+        updated_at: new Date().toISOString()
+      }, ['node_id']);
     } catch (error) {
       console.error('Failed to save role:', error);
     }
@@ -255,12 +257,12 @@ class FederationGovernance {
     this.roles.delete(nodeId);
 
     try {
-      await this.db.run(`
+      await this.storage.run(`
         INSERT INTO federation_banned_nodes (node_id, banned_by, reason, banned_at)
         VALUES (?, ?, ?, ?)
       `, [nodeId, adminNode, reason, new Date().toISOString()]);
 
-      await this.db.run(`DELETE FROM federation_node_roles WHERE node_id = ?`, [nodeId]);
+      await this.storage.run(`DELETE FROM federation_node_roles WHERE node_id = ?`, [nodeId]);
     } catch (error) {
       console.error('Failed to save ban:', error);
     }
@@ -282,7 +284,7 @@ class FederationGovernance {
     this.bannedNodes.delete(nodeId);
 
     try {
-      await this.db.run(`DELETE FROM federation_banned_nodes WHERE node_id = ?`, [nodeId]);
+      await this.storage.run(`DELETE FROM federation_banned_nodes WHERE node_id = ?`, [nodeId]);
     } catch (error) {
       console.error('Failed to remove ban:', error);
     }
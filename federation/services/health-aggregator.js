@@ -8,8 +8,7 @@ const axios = require('axios');
 class FederationHealthAggregator {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
-    this.isProduction = federationHub.db.isProduction;
+    this.storage = federationHub.storage;
     
     // Alert thresholds
     this.thresholds = {
@@ -165,34 +164,17 @@ class FederationHealthAggregator {
   }
 
   async storeHealthHistory(nodeId, healthData) {
-    const id = uuidv4();
-    const timestamp = new Date().toISOString();
-    
-    const query = this.isProduction ?
-      `INSERT INTO federation_health_history (id, node_id, timestamp, services_status, resources, inference_metrics)
-       VALUES ($1, $2, $3, $4, $5, $6)` :
-      `INSERT INTO federation_health_history (id, node_id, timestamp, services_status, resources, inference_metrics)
-       VALUES (?, ?, ?, ?, ?, ?)`;
-    
-    const params = [
-      id,
+    await this.storage.run(`
+      INSERT INTO federation_health_history (id, node_id, timestamp, services_status, resources, inference_metrics)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      uuidv4(),
       nodeId,
-      timestamp,
+      new Date().toISOString(),
       JSON.stringify(healthData.services_status || {}),
       JSON.stringify(healthData.resources || {}),
       JSON.stringify(healthData.inference_metrics || {})
-    ];
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, params);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.run(query, params, function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    ]);
   }
 
   // Check resource thresholds and emit alerts
@@ -301,60 +283,20 @@ class FederationHealthAggregator {
 
   // Get latest resources for a node
   async getLatestResources(nodeId) {
-    const query = this.isProduction ?
-      `SELECT resources FROM federation_health_history WHERE node_id = $1 ORDER BY timestamp DESC LIMIT 1` :
-      `SELECT resources FROM federation_health_history WHERE node_id = ? ORDER BY timestamp DESC LIMIT 1`;
-    
-    if (this.isProduction) {
-      const result = await this.db.db.query(query, [nodeId]);
-      if (result.rows.length > 0) {
-        return typeof result.rows[0].resources === 'string' 
-          ? JSON.parse(result.rows[0].resources) 
-          : result.rows[0].resources;
-      }
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.get(query, [nodeId], (err, row) => {
-          if (err) reject(err);
-          else if (row) {
-            resolve(typeof row.resources === 'string' ? JSON.parse(row.resources) : row.resources);
-          } else {
-            resolve(null);
-          }
-        });
-      });
-    }
-    
-    return null;
+    const row = await this.storage.get(
+      'SELECT resources FROM federation_health_history WHERE node_id = ? ORDER BY timestamp DESC LIMIT 1',
+      [nodeId]
+    );
+    return row ? parseJSONColumn(row.resources) : null;
   }
 
   // Get latest inference metrics for a node
   async getLatestInferenceMetrics(nodeId) {
-    const query = this.isProduction ?
-      `SELECT inference_metrics FROM federation_health_history WHERE node_id = $1 ORDER BY timestamp DESC LIMIT 1` :
-      `SELECT inference_metrics FROM federation_health_history WHERE node_id = ? ORDER BY timestamp DESC LIMIT 1`;
-    
-    if (this.isProduction) {
-      const result = await this.db.db.query(query, [nodeId]);
-      if (result.rows.length > 0) {
-        return typeof result.rows[0].inference_metrics === 'string'
-          ? JSON.parse(result.rows[0].inference_metrics)
-          : result.rows[0].inference_metrics;
-      }
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.get(query, [nodeId], (err, row) => {
-          if (err) reject(err);
-          else if (row) {
-            resolve(typeof row.inference_metrics === 'string' ? JSON.parse(row.inference_metrics) : row.inference_metrics);
-          } else {
-            resolve(null);
-          }
-        });
-      });
-    }
-    
-    return null;
+    const row = await this.storage.get(
+      'SELECT inference_metrics FROM federation_health_history WHERE node_id = ? ORDER BY timestamp DESC LIMIT 1',
+      [nodeId]
+    );
+    return row ? parseJSONColumn(row.inference_metrics) : null;
   }
 
   // Calculate uptime in hours
@@ -370,34 +312,22 @@ class FederationHealthAggregator {
     const hours = parseInt(period) || 24;
     const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
     
-    const query = this.isProduction ?
-      `SELECT * FROM federation_health_history WHERE node_id = $1 AND timestamp > $2 ORDER BY timestamp ASC` :
-      `SELECT * FROM federation_health_history WHERE node_id = ? AND timestamp > ? ORDER BY timestamp ASC`;
-    
-    if (this.isProduction) {
-      const result = await this.db.db.query(query, [nodeId, since]);
-      return result.rows.map(row => ({
-        ...row,
-        services_status: typeof row.services_status === 'string' ? JSON.parse(row.services_status) : row.services_status,
-        resources: typeof row.resources === 'string' ? JSON.parse(row.resources) : row.resources,
-        inference_metrics: typeof row.inference_metrics === 'string' ? JSON.parse(row.inference_metrics) : row.inference_metrics
-      }));
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.all(query, [nodeId, since], (err, rows) => {
-          if (err) reject(err);
-          else {
-            resolve((rows || []).map(row => ({
-              ...row,
-              services_status: typeof row.services_status === 'string' ? JSON.parse(row.services_status) : row.services_status,
-              resources: typeof row.resources === 'string' ? JSON.parse(row.resources) : row.resources,
-              inference_metrics: typeof row.inference_metrics === 'string' ? JSON.parse(row.inference_metrics) : row.inference_metrics
-            })));
-          }
-        });
-      });
-    }
+    const rows = await this.storage.all(
+      'SELECT * FROM federation_health_history WHERE node_id = ? AND timestamp > ? ORDER BY timestamp ASC',
+      [nodeId, since]
+    );
+    return rows.map(row => ({
+      ...row,
+      services_status: parseJSONColumn(row.services_status),
+      resources: parseJSONColumn(row.resources),
+      inference_metrics: parseJSONColumn(row.inference_metrics)
+    }));
   }
 }
 
+// JSON columns are TEXT; tolerate drivers that already parsed them
+function parseJSONColumn(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
 module.exports = FederationHealthAggregator;
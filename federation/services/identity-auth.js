@@ -8,7 +8,7 @@ const crypto = require('crypto');
 class FederationIdentityAuth {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
+    this.storage = federationHub.storage;
     
     // In-memory caches
     this.identities = new Map();
@@ -24,7 +24,7 @@ class FederationIdentityAuth {
 
   async loadIdentities() {
     try {
-      const identities = await this.db.all(`
+      const identities = await this.storage.all(`
         SELECT * FROM federation_identities
       `);
       
@@ -45,7 +45,7 @@ class FederationIdentityAuth {
 
   async loadTokens() {
     try {
-      const tokens = await this.db.all(`
+      const tokens = await this.storage.all(`
         SELECT * FROM federation_access_tokens WHERE revoked = 0
       `);
       
@@ -61,7 +61,7 @@ class FederationIdentityAuth {
       }
 
       // Load revoked tokens
-      const revoked = await this.db.all(`
+      const revoked = await this.storage.all(`
         SELECT token_hash FROM federation_access_tokens WHERE revoked = 1
       `);
       
@@ -93,18 +93,14 @@ class FederationIdentityAuth {
 
     // Persist to database
     try {
-      await this.db.run(`
-        INSERT OR REPLACE INTO federation_identities 
-        (node_id, public_key, key_type, msh_attestation, created_at, last_verified)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `, [
-        nodeId,
-        publicKey,
-        keyType,
-        mshAttestation,
-        identity.created_at,
-        identity.last_verified
-      ]);
+      await this.storage.upsert('federation_identities', {
+        node_id: nodeId,
+        public_key: publicKey,
+        key_type: keyType,
+        msh_attestation: mshAttestation,
+        created_at: identity.created_at,
+        last_verified: identity.last_verified
+      }, ['node_id']);
     } catch (error) {
       console.error('Failed to persist identity:', error);
     }
@@ -196,7 +192,7 @@ class FederationIdentityAuth {
 
     // Persist to database
     try {
-      await this.db.run(`
+      await this.storage.run(`
         INSERT INTO federation_access_tokens 
         (token_id, token_hash, node_id, scopes, rate_limit, expires_at, created_at, revoked)
         VALUES (?, ?, ?, ?, ?, ?, ?, 0)
@@ -276,7 +272,7 @@ class FederationIdentityAuth {
 
     // Update database
     try {
-      await this.db.run(`
+      await this.storage.run(`
         UPDATE federation_access_tokens SET revoked = 1 WHERE token_id = ?
       `, [tokenId]);
     } catch (error) {
@@ -300,7 +296,7 @@ class FederationIdentityAuth {
 
     // Update database
     try {
-      await this.db.run(`
+      await this.storage.run(`
         UPDATE federation_access_tokens SET revoked = 1 WHERE node_id = ?
       `, [nodeId]);
     } catch (error) {
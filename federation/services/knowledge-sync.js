@@ -4,11 +4,13 @@
 
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const AccessAuditStore = require('../../database/access-audit-store');
+const { peerReader, canRead } = require('../../database/memory-access');
 
 class FederationKnowledgeSync {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
+    this.storage = federationHub.storage;
     
     // Sovereignty configurations per node
     this.sovereigntyConfigs = new Map();
@@ -28,7 +30,7 @@ class FederationKnowledgeSync {
 
   async loadSovereigntyConfigs() {
     try {
-      const configs = await this.db.all(`
+      const configs = await this.storage.all(`
         SELECT * FROM federation_sovereignty_configs
       `);
       
@@ -63,18 +65,14 @@ class FederationKnowledgeSync {
 
     // Persist to database
     try {
-      await this.db.run(`
-        INSERT OR REPLACE INTO federation_sovereignty_configs 
-        (node_id, share_categories, receive_categories, share_with_nodes, receive_from_nodes, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `, [
-        nodeId,
-        JSON.stringify(sovereigntyConfig.share_categories),
-        JSON.stringify(sovereigntyConfig.receive_categories),
-        JSON.stringify(sovereigntyConfig.share_with_nodes),
-        JSON.stringify(sovereigntyConfig.receive_from_nodes),
-        sovereigntyConfig.updated_at
-      ]);
+      await this.storage.upsert('federation_sovereignty_configs', {
+        node_id: nodeId,
+        share_categories: JSON.stringify(sovereigntyConfig.share_categories),
+        receive_categories: JSON.stringify(sovereigntyConfig.receive_categories),
+        share_with_nodes: JSON.stringify(sovereigntyConfig.share_with_nodes),
+        receive_from_nodes: JSON.stringify(sovereigntyConfig.receive_from_nodes),
+        updated_at: sovereigntyConfig.updated_at
+      }, ['node_id']);
     } catch (error) {
       console.error('Failed to persist sovereignty config:', error);
     }
@@ -135,13 +133,16 @@ class FederationKnowledgeSync {
       };
     }
 
+    // Only public memories leave the hub (database/memory-access.js)
+    const { shared, withheld } = await this.shareableDocuments(target_node, documents);
+
     const syncId = uuidv4();
     const syncOperation = {
       sync_id: syncId,
       source_node,
       target_node,
       category,
-      total_documents: documents.length,
+      total_documents: shared.length,
       synced_documents: 0,
       status: 'in_progress',
       started_at: new Date().toISOString()
@@ -153,8 +154,8 @@ class FederationKnowledgeSync {
     await this.emitSyncProgress(syncOperation);
 
     // Route documents to target (hub doesn't store, just forwards)
-    for (let i = 0; i < documents.length; i++) {
-      const doc = documents[i];
+    for (let i = 0; i < shared.length; i++) {
+      const doc = shared[i];
       
       // Forward to target node via WebSocket
       if (this.hub.webSocketPool) {
@@ -164,14 +165,14 @@ class FederationKnowledgeSync {
           category,
           document: doc,
           index: i,
-          total: documents.length
+          total: shared.length
         });
       }
 
       syncOperation.synced_documents = i + 1;
       
       // Emit progress every 10 documents or at completion
-      if ((i + 1) % 10 === 0 || i === documents.length - 1) {
+      if ((i + 1) % 10 === 0 || i === shared.length - 1) {
         await this.emitSyncProgress(syncOperation);
       }
     }
@@ -185,10 +186,37 @@ class FederationKnowledgeSync {
     return {
       success: true,
       sync_id: syncId,
-      documents_synced: documents.length
+      documents_synced: shared.length,
+      documents_withheld: withheld.length
     };
   }
 
+  // A document that carries an access_level, or names a hub memory by
+  // memory_id, is shared only when that memory is public. The memory's own
+  // level wins over the document's. Withheld memories go to the access audit.
+  async shareableDocuments(targetNode, documents) {
+    const reader = peerReader(targetNode, 'federation knowledge sync');
+    const shared = [];
+    const withheld = [];
+    for (const doc of documents) {
+      const memory = doc.memory_id
+        ? await this.storage.get('SELECT id, project_id, access_level, owner FROM memories WHERE id = ?', [doc.memory_id])
+        : null;
+      const level = memory ? memory.access_level : doc.access_level;
+      if (!level || canRead(reader, { ...memory, access_level: level })) {
+        shared.push(doc);
+      } else {
+        withheld.push(memory || { id: doc.memory_id || doc.id, project_id: doc.project_id, access_level: level });
+      }
+    }
+
+    const recorded = withheld.filter(memory => memory.id);
+    if (recorded.length > 0) {
+      await new AccessAuditStore(this.storage).recordDenied(reader, recorded);
+    }
+    return { shared, withheld };
+  }
+
   async emitSyncProgress(syncOperation) {
     if (this.hub.eventBus) {
       await this.hub.eventBus.emit({
@@ -198,7 +226,7 @@ class FederationKnowledgeSync {
           sync_id: syncOperation.sync_id,
           target_node: syncOperation.target_node,
           category: syncOperation.category,
-          progress: syncOperation.synced_documents / syncOperation.total_documents,
+          progress: syncOperation.total_documents ? syncOperation.synced_documents / syncOperation.total_documents : 1,
           synced: syncOperation.synced_documents,
           total: syncOperation.total_documents,
           status: syncOperation.status
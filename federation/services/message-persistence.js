@@ -7,7 +7,7 @@ const { v4: uuidv4 } = require('uuid');
 class FederationMessagePersistence {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
+    this.storage = federationHub.storage;
     
     // Default TTL: 7 days in milliseconds
     this.defaultTTL = 7 * 24 * 60 * 60 * 1000;
@@ -47,10 +47,10 @@ class FederationMessagePersistence {
 
     // Persist to database
     try {
-      await this.db.run(`
+      await this.storage.run(`
         INSERT INTO federation_messages 
-        (message_id, from_node, to_node, channel, content, content_type, ephemeral, ttl_seconds, expires_at, created_at, consumed)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        (id, from_node, to_node, channel, content, content_type, ephemeral, ttl_seconds, expires_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         storedMessage.message_id,
         storedMessage.from_node,
@@ -58,11 +58,10 @@ class FederationMessagePersistence {
         storedMessage.channel,
         storedMessage.content,
         storedMessage.content_type,
-        storedMessage.ephemeral ? 1 : 0,
+        storedMessage.ephemeral,
         storedMessage.ttl_seconds,
         storedMessage.expires_at,
-        storedMessage.created_at,
-        0
+        storedMessage.created_at
       ]);
     } catch (error) {
       console.error('Failed to store message:', error);
@@ -75,9 +74,9 @@ class FederationMessagePersistence {
   // Requirement 11.2, 11.4: Retrieve message (ephemeral = delete after read)
   async getMessage(messageId, requestingNode) {
     try {
-      const row = await this.db.get(`
+      const row = await this.storage.get(`
         SELECT * FROM federation_messages 
-        WHERE message_id = ? AND (to_node = ? OR to_node = '*' OR to_node IS NULL)
+        WHERE id = ? AND (to_node = ? OR to_node = '*' OR to_node IS NULL)
       `, [messageId, requestingNode]);
 
       if (!row) {
@@ -95,19 +94,19 @@ class FederationMessagePersistence {
         await this.deleteMessage(messageId);
       } else {
         // Mark as consumed
-        await this.db.run(`
-          UPDATE federation_messages SET consumed = 1 WHERE message_id = ?
-        `, [messageId]);
+        await this.storage.run(`
+          UPDATE federation_messages SET read_at = ? WHERE id = ?
+        `, [new Date().toISOString(), messageId]);
       }
 
       return {
-        message_id: row.message_id,
+        message_id: row.id,
         from_node: row.from_node,
         to_node: row.to_node,
         channel: row.channel,
         content: row.content,
         content_type: row.content_type,
-        ephemeral: row.ephemeral === 1,
+        ephemeral: Boolean(row.ephemeral),
         expires_at: row.expires_at,
         created_at: row.created_at
       };
@@ -129,7 +128,8 @@ class FederationMessagePersistence {
       const params = [nodeId];
 
       if (!includeExpired) {
-        query += ` AND expires_at > datetime('now')`;
+        query += ` AND expires_at > ?`;
+        params.push(new Date().toISOString());
       }
 
       if (channel) {
@@ -140,20 +140,20 @@ class FederationMessagePersistence {
       query += ` ORDER BY created_at DESC LIMIT ?`;
       params.push(limit);
 
-      const rows = await this.db.all(query, params);
+      const rows = await this.storage.all(query, params);
 
       // Requirement 11.6: Include expires_at in responses
       return (rows || []).map(row => ({
-        message_id: row.message_id,
+        message_id: row.id,
         from_node: row.from_node,
         to_node: row.to_node,
         channel: row.channel,
         content: row.content,
         content_type: row.content_type,
-        ephemeral: row.ephemeral === 1,
+        ephemeral: Boolean(row.ephemeral),
         expires_at: row.expires_at,
         created_at: row.created_at,
-        consumed: row.consumed === 1
+        consumed: Boolean(row.read_at)
       }));
     } catch (error) {
       console.error('Failed to get messages for node:', error);
@@ -164,7 +164,7 @@ class FederationMessagePersistence {
   // Delete a message
   async deleteMessage(messageId) {
     try {
-      await this.db.run(`DELETE FROM federation_messages WHERE message_id = ?`, [messageId]);
+      await this.storage.run(`DELETE FROM federation_messages WHERE id = ?`, [messageId]);
       return true;
     } catch (error) {
       console.error('Failed to delete message:', error);
@@ -185,9 +185,9 @@ class FederationMessagePersistence {
 
   async purgeExpiredMessages() {
     try {
-      const result = await this.db.run(`
-        DELETE FROM federation_messages WHERE expires_at < datetime('now')
-      `);
+      const result = await this.storage.run(`
+        DELETE FROM federation_messages WHERE expires_at < ?
+      `, [new Date().toISOString()]);
       
       if (result && result.changes > 0) {
         console.log(`🧹 Purged ${result.changes} expired messages`);
@@ -207,18 +207,18 @@ class FederationMessagePersistence {
   // Get message stats
   async getStats() {
     try {
-      const total = await this.db.get(`SELECT COUNT(*) as count FROM federation_messages`);
-      const expired = await this.db.get(`
-        SELECT COUNT(*) as count FROM federation_messages WHERE expires_at < datetime('now')
-      `);
-      const ephemeral = await this.db.get(`
-        SELECT COUNT(*) as count FROM federation_messages WHERE ephemeral = 1
+      const total = await this.storage.get(`SELECT COUNT(*) as count FROM federation_messages`);
+      const expired = await this.storage.get(`
+        SELECT COUNT(*) as count FROM federation_messages WHERE expires_at < ?
+      `, [new Date().toISOString()]);
+      const ephemeral = await this.storage.get(`
+        SELECT COUNT(*) as count FROM federation_messages WHERE ephemeral = true
       `);
 
       return {
-        total: total?.count || 0,
-        expired: expired?.count || 0,
-        ephemeral: ephemeral?.count || 0
+        total: Number(total?.count || 0),
+        expired: Number(expired?.count || 0),
+        ephemeral: Number(ephemeral?.count || 0)
       };
     } catch (error) {
       return { total: 0, expired: 0, ephemeral: 0 };
@@ -7,8 +7,7 @@ const { v4: uuidv4 } = require('uuid');
 class FederationModelRegistry {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
-    this.isProduction = federationHub.db.isProduction;
+    this.storage = federationHub.storage;
     
     // In-memory cache: modelId -> { nodeId -> ModelInstance }
     this.models = new Map();
@@ -67,31 +66,22 @@ class FederationModelRegistry {
   }
 
   async storeModel(model) {
-    const query = this.isProduction ?
-      `INSERT INTO federation_models (id, model_id, node_id, display_name, type, quantization, size_gb, context_length, capabilities, inference_port, performance_metrics, status, queue_depth, loaded_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-       ON CONFLICT (model_id, node_id) DO UPDATE SET
-         display_name = $4, status = $12, queue_depth = $13, loaded_at = $14` :
-      `INSERT OR REPLACE INTO federation_models (id, model_id, node_id, display_name, type, quantization, size_gb, context_length, capabilities, inference_port, performance_metrics, status, queue_depth, loaded_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-    
-    const params = [
-      model.id, model.model_id, model.node_id, model.display_name, model.type,
-      model.quantization, model.size_gb, model.context_length,
-      JSON.stringify(model.capabilities), model.inference_port,
-      JSON.stringify(model.performance_metrics), model.status, model.queue_depth, model.loaded_at
-    ];
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, params);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.run(query, params, function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.storage.upsert('federation_models', {
+      id: model.id,
+      model_id: model.model_id,
+      node_id: model.node_id,
+      display_name: model.display_name,
+      type: model.type,
+      quantization: model.quantization,
+      size_gb: model.size_gb,
+      context_length: model.context_length,
+      capabilities: JSON.stringify(model.capabilities),
+      inference_port: model.inference_port,
+      performance_metrics: JSON.stringify(model.performance_metrics),
+      status: model.status,
+      queue_depth: model.queue_depth,
+      loaded_at: model.loaded_at
+    }, ['model_id', 'node_id'], { update: ['display_name', 'status', 'queue_depth', 'loaded_at'] });
   }
 
   // Unregister model (Requirement 5.5)
@@ -104,20 +94,7 @@ class FederationModelRegistry {
       }
     }
     
-    const query = this.isProduction ?
-      `DELETE FROM federation_models WHERE model_id = $1 AND node_id = $2` :
-      `DELETE FROM federation_models WHERE model_id = ? AND node_id = ?`;
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, [modelId, nodeId]);
-    } else {
-      await new Promise((resolve, reject) => {
-        this.db.db.run(query, [modelId, nodeId], function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.storage.run('DELETE FROM federation_models WHERE model_id = ? AND node_id = ?', [modelId, nodeId]);
     
     // Emit event
     if (this.hub.eventBus) {
@@ -228,20 +205,10 @@ class FederationModelRegistry {
       }
     }
     
-    const query = this.isProduction ?
-      `UPDATE federation_models SET status = $1, queue_depth = $2 WHERE model_id = $3 AND node_id = $4` :
-      `UPDATE federation_models SET status = ?, queue_depth = ? WHERE model_id = ? AND node_id = ?`;
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, [status, queueDepth, modelId, nodeId]);
-    } else {
-      await new Promise((resolve, reject) => {
-        this.db.db.run(query, [status, queueDepth, modelId, nodeId], function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.storage.run(
+      'UPDATE federation_models SET status = ?, queue_depth = ? WHERE model_id = ? AND node_id = ?',
+      [status, queueDepth, modelId, nodeId]
+    );
   }
 
   // Requirement 5.6: Get total federation capacity
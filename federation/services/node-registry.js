@@ -7,8 +7,7 @@ const { v4: uuidv4 } = require('uuid');
 class FederationNodeRegistry {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
-    this.isProduction = federationHub.db.isProduction;
+    this.storage = federationHub.storage;
     this.nodes = new Map(); // In-memory cache
   }
 
@@ -19,26 +18,10 @@ class FederationNodeRegistry {
   }
 
   async loadNodesFromDatabase() {
-    const query = 'SELECT * FROM federation_nodes';
-    
-    if (this.isProduction) {
-      const result = await this.db.db.query(query);
-      result.rows.forEach(row => {
-        this.nodes.set(row.id, this.parseNodeRow(row));
-      });
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.all(query, [], (err, rows) => {
-          if (err) reject(err);
-          else {
-            (rows || []).forEach(row => {
-              this.nodes.set(row.id, this.parseNodeRow(row));
-            });
-            resolve();
-          }
-        });
-      });
-    }
+    const rows = await this.storage.all('SELECT * FROM federation_nodes');
+    rows.forEach(row => {
+      this.nodes.set(row.id, this.parseNodeRow(row));
+    });
   }
 
   parseNodeRow(row) {
@@ -104,43 +87,28 @@ class FederationNodeRegistry {
   }
 
   async storeNode(node) {
-    const query = this.isProduction ?
-      `INSERT INTO federation_nodes (id, display_name, owner, network, services, capabilities, hardware, sovereignty, public_key, msh_attestation, status, last_heartbeat, registered_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-       ON CONFLICT (id) DO UPDATE SET
-         display_name = $2, owner = $3, network = $4, services = $5, capabilities = $6,
-         hardware = $7, sovereignty = $8, public_key = $9, msh_attestation = $10,
-         status = $11, last_heartbeat = $12, updated_at = $14` :
-      `INSERT OR REPLACE INTO federation_nodes (id, display_name, owner, network, services, capabilities, hardware, sovereignty, public_key, msh_attestation, status, last_heartbeat, registered_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-    
-    const params = [
-      node.id,
-      node.display_name,
-      node.owner,
-      JSON.stringify(node.network),
-      JSON.stringify(node.services),
-      JSON.stringify(node.capabilities),
-      JSON.stringify(node.hardware),
-      JSON.stringify(node.sovereignty),
-      node.public_key,
-      JSON.stringify(node.msh_attestation),
-      node.status,
-      node.last_heartbeat,
-      node.registered_at,
-      node.updated_at
-    ];
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, params);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.run(query, params, function(err) {
-          if (err) reject(err);
-          else resolve(this.lastID);
-        });
-      });
-    }
+    // registered_at is kept from the first registration
+    await this.storage.upsert('federation_nodes', {
+      id: node.id,
+      display_name: node.display_name,
+      owner: node.owner,
+      network: JSON.stringify(node.network),
+      services: JSON.stringify(node.services),
+      capabilities: JSON.stringify(node.capabilities),
+      hardware: JSON.stringify(node.hardware),
+      sovereignty: JSON.stringify(node.sovereignty),
+      public_key: node.public_key,
+      msh_attestation: JSON.stringify(node.msh_attestation),
+      status: node.status,
+      last_heartbeat: node.last_heartbeat,
+      registered_at: node.registered_at,
+      updated_at: node.updated_at
+    }, ['id'], {
+      update: [
+        'display_name', 'owner', 'network', 'services', 'capabilities', 'hardware',
+        'sovereignty', 'public_key', 'msh_attestation', 'status', 'last_heartbeat', 'updated_at'
+      ]
+    });
   }
 
   // Requirement 2.3: List all nodes with summary
@@ -240,28 +208,10 @@ class FederationNodeRegistry {
   }
 
   async updateNodeHeartbeat(nodeId, node) {
-    const query = this.isProduction ?
-      `UPDATE federation_nodes SET services = $1, last_heartbeat = $2, updated_at = $3, status = $4 WHERE id = $5` :
-      `UPDATE federation_nodes SET services = ?, last_heartbeat = ?, updated_at = ?, status = ? WHERE id = ?`;
-    
-    const params = [
-      JSON.stringify(node.services),
-      node.last_heartbeat,
-      node.updated_at,
-      node.status,
-      nodeId
-    ];
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, params);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.run(query, params, function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.storage.run(
+      'UPDATE federation_nodes SET services = ?, last_heartbeat = ?, updated_at = ?, status = ? WHERE id = ?',
+      [JSON.stringify(node.services), node.last_heartbeat, node.updated_at, node.status, nodeId]
+    );
   }
 
   // Mark node as offline
@@ -285,22 +235,10 @@ class FederationNodeRegistry {
   }
 
   async updateNodeStatus(nodeId, status) {
-    const query = this.isProduction ?
-      `UPDATE federation_nodes SET status = $1, updated_at = $2 WHERE id = $3` :
-      `UPDATE federation_nodes SET status = ?, updated_at = ? WHERE id = ?`;
-    
-    const params = [status, new Date().toISOString(), nodeId];
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, params);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.run(query, params, function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.storage.run(
+      'UPDATE federation_nodes SET status = ?, updated_at = ? WHERE id = ?',
+      [status, new Date().toISOString(), nodeId]
+    );
   }
 
   // Get statistics
@@ -7,7 +7,7 @@ const { v4: uuidv4 } = require('uuid');
 class FederationOfflineQueue {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
+    this.storage = federationHub.storage;
     
     // Max pending messages per recipient (Requirement 15.5)
     this.maxPendingPerRecipient = 1000;
@@ -23,7 +23,7 @@ class FederationOfflineQueue {
 
   async loadQueues() {
     try {
-      const messages = await this.db.all(`
+      const messages = await this.storage.all(`
         SELECT * FROM federation_offline_queue ORDER BY queued_at ASC
       `);
 
@@ -88,7 +88,7 @@ class FederationOfflineQueue {
 
     // Persist to database
     try {
-      await this.db.run(`
+      await this.storage.run(`
         INSERT INTO federation_offline_queue 
         (queue_id, message_id, from_node, recipient_node, content, content_type, expires_at, queued_at)
         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
@@ -168,7 +168,7 @@ class FederationOfflineQueue {
   // Remove message from queue
   async removeFromQueue(queueId) {
     try {
-      await this.db.run(`DELETE FROM federation_offline_queue WHERE queue_id = ?`, [queueId]);
+      await this.storage.run(`DELETE FROM federation_offline_queue WHERE queue_id = ?`, [queueId]);
     } catch (error) {
       console.error('Failed to remove from queue:', error);
     }
@@ -231,7 +231,7 @@ class FederationOfflineQueue {
     }
 
     try {
-      await this.db.run(`
+      await this.storage.run(`
         DELETE FROM federation_offline_queue WHERE expires_at < ?
       `, [now]);
     } catch (error) {
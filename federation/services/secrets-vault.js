@@ -10,7 +10,7 @@ const path = require('path');
 class FederationSecretsVault {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
+    this.storage = federationHub.storage;
 
     // Resolve encryption key with persistence
     this.encryptionKey = this._resolveEncryptionKey();
@@ -44,6 +44,12 @@ class FederationSecretsVault {
 
     // 3. Generate and persist new key
     const newKey = crypto.randomBytes(32).toString('hex');
+
+    // In-memory databases lose their secrets on exit, so the key need not outlive them
+    if (this.hub.db && this.hub.db.backend === 'memory') {
+      return newKey;
+    }
+
     try {
       const dir = path.dirname(keyFilePath);
       if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -66,7 +72,7 @@ class FederationSecretsVault {
 
   async loadSecretsMetadata() {
     try {
-      const secrets = await this.db.all(`
+      const secrets = await this.storage.all(`
         SELECT secret_id, name, authorized_nodes, created_at, updated_at, created_by
         FROM federation_secrets
       `);
@@ -139,7 +145,7 @@ class FederationSecretsVault {
 
     // Persist to database
     try {
-      await this.db.run(`
+      await this.storage.run(`
         INSERT INTO federation_secrets 
         (secret_id, name, encrypted_value, iv, auth_tag, authorized_nodes, created_at, updated_at, created_by)
         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
@@ -186,7 +192,7 @@ class FederationSecretsVault {
 
     // Retrieve encrypted value from database
     try {
-      const row = await this.db.get(`
+      const row = await this.storage.get(`
         SELECT encrypted_value, iv, auth_tag FROM federation_secrets WHERE secret_id = ?
       `, [secretId]);
 
@@ -263,7 +269,7 @@ class FederationSecretsVault {
 
     // Update database
     try {
-      await this.db.run(`
+      await this.storage.run(`
         UPDATE federation_secrets 
         SET encrypted_value = ?, iv = ?, auth_tag = ?, updated_at = ?
         WHERE secret_id = ?
@@ -301,7 +307,7 @@ class FederationSecretsVault {
 
     // Delete from database
     try {
-      await this.db.run(`DELETE FROM federation_secrets WHERE secret_id = ?`, [secretId]);
+      await this.storage.run(`DELETE FROM federation_secrets WHERE secret_id = ?`, [secretId]);
       
       // Log deletion
       await this.logAccess(secretId, requestingNode, 'delete');
@@ -331,7 +337,7 @@ class FederationSecretsVault {
 
     // Update database
     try {
-      await this.db.run(`
+      await this.storage.run(`
         UPDATE federation_secrets 
         SET authorized_nodes = ?, updated_at = ?
         WHERE secret_id = ?
@@ -350,7 +356,7 @@ class FederationSecretsVault {
   // Log access for audit
   async logAccess(secretId, nodeId, action) {
     try {
-      await this.db.run(`
+      await this.storage.run(`
         INSERT INTO federation_secret_access_log 
         (secret_id, node_id, action, timestamp)
         VALUES (?, ?, ?, ?)
@@ -7,8 +7,7 @@ const { v4: uuidv4 } = require('uuid');
 class FederationTaskQueue {
   constructor(federationHub) {
     this.hub = federationHub;
-    this.db = federationHub.db;
-    this.isProduction = federationHub.db.isProduction;
+    this.storage = federationHub.storage;
     
     // In-memory queues by priority
     this.queues = {
@@ -84,30 +83,16 @@ class FederationTaskQueue {
   }
 
   async storeTask(task) {
-    const query = this.isProduction ?
-      `INSERT INTO federation_tasks (id, task_type, priority, requirements, routing, payload, callback, status, assigned_node, result, metrics, error_message, submitted_by, created_at, started_at, completed_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)` :
-      `INSERT INTO federation_tasks (id, task_type, priority, requirements, routing, payload, callback, status, assigned_node, result, metrics, error_message, submitted_by, created_at, started_at, completed_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-    
-    const params = [
+    await this.storage.run(`
+      INSERT INTO federation_tasks (id, task_type, priority, requirements, routing, payload, callback, status, assigned_node, result, metrics, error_message, submitted_by, created_at, started_at, completed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
       task.id, task.task_type, task.priority, JSON.stringify(task.requirements),
       task.routing, JSON.stringify(task.payload), JSON.stringify(task.callback),
       task.status, task.assigned_node, JSON.stringify(task.result),
       JSON.stringify(task.metrics), task.error_message, task.submitted_by,
       task.created_at, task.started_at, task.completed_at
-    ];
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, params);
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.run(query, params, function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    ]);
   }
 
   // Find best node for task requirements
@@ -155,25 +140,8 @@ class FederationTaskQueue {
     }
     
     // Check database
-    const query = this.isProduction ?
-      `SELECT * FROM federation_tasks WHERE id = $1` :
-      `SELECT * FROM federation_tasks WHERE id = ?`;
-    
-    if (this.isProduction) {
-      const result = await this.db.db.query(query, [taskId]);
-      if (result.rows.length > 0) {
-        return this.parseTaskRow(result.rows[0]);
-      }
-    } else {
-      return new Promise((resolve, reject) => {
-        this.db.db.get(query, [taskId], (err, row) => {
-          if (err) reject(err);
-          else resolve(row ? this.parseTaskRow(row) : null);
-        });
-      });
-    }
-    
-    return null;
+    const row = await this.storage.get('SELECT * FROM federation_tasks WHERE id = ?', [taskId]);
+    return row ? this.parseTaskRow(row) : null;
   }
 
   parseTaskRow(row) {
@@ -236,22 +204,10 @@ class FederationTaskQueue {
   }
 
   async updateTaskStatus(taskId, status, result, metrics, error = null) {
-    const query = this.isProduction ?
-      `UPDATE federation_tasks SET status = $1, result = $2, metrics = $3, error_message = $4, completed_at = $5 WHERE id = $6` :
-      `UPDATE federation_tasks SET status = ?, result = ?, metrics = ?, error_message = ?, completed_at = ? WHERE id = ?`;
-    
-    const params = [status, JSON.stringify(result), JSON.stringify(metrics), error, new Date().toISOString(), taskId];
-    
-    if (this.isProduction) {
-      await this.db.db.query(query, params);
-    } else {
-      await new Promise((resolve, reject) => {
-        this.db.db.run(query, params, function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
+    await this.storage.run(
+      'UPDATE federation_tasks SET status = ?, result = ?, metrics = ?, error_message = ?, completed_at = ? WHERE id = ?',
+      [status, JSON.stringify(result), JSON.stringify(metrics), error, new Date().toISOString(), taskId]
+    );
   }
 
   // Deliver callback
@@ -3,10 +3,12 @@
 // Requirements: 1.1-1.8
 
 const { v4: uuidv4 } = require('uuid');
+const { tenantRoom, currentTenant } = require('../../core/tenant-context');
 
 class FederationWebSocketPool {
   constructor(federationHub) {
     this.hub = federationHub;
+    this.storage = federationHub.storage;
     this.io = federationHub.io;
     
     // Connection tracking
@@ -60,6 +62,7 @@ class FederationWebSocketPool {
       // Store connection
       const connection = {
         socket,
+        tenantId: currentTenant(),
         authenticated: true,
         channels: new Set(),
         lastHeartbeat: Date.now(),
@@ -73,8 +76,8 @@ class FederationWebSocketPool {
       this.connections.set(node_id, connection);
       this.socketToNode.set(socket.id, node_id);
       
-      // Join federation room
-      socket.join('federation');
+      // Join the federation room of the socket's tenant (handlers run as it)
+      socket.join(tenantRoom('federation'));
       
       // Get connected nodes list
       const connectedNodes = Array.from(this.connections.keys()).filter(id => id !== node_id);
@@ -94,7 +97,7 @@ class FederationWebSocketPool {
       }
       
       // Notify other nodes
-      socket.broadcast.to('federation').emit('federation:node-joined', {
+      socket.broadcast.to(tenantRoom('federation')).emit('federation:node-joined', {
         node_id,
         timestamp: new Date().toISOString()
       });
@@ -181,7 +184,7 @@ class FederationWebSocketPool {
       connection.channels.add(channel);
       
       // Join socket.io room
-      socket.join(`channel:${channel}`);
+      socket.join(tenantRoom(`channel:${channel}`));
       subscribedChannels.push(channel);
     }
     
@@ -206,7 +209,7 @@ class FederationWebSocketPool {
         this.channels.get(channel).delete(nodeId);
       }
       connection.channels.delete(channel);
-      socket.leave(`channel:${channel}`);
+      socket.leave(tenantRoom(`channel:${channel}`));
     }
     
     socket.emit('federation:unsubscribed', { channels });
@@ -251,11 +254,11 @@ class FederationWebSocketPool {
     });
   }
 
-  // Send message to specific node
+  // Send message to specific node; nodes of other tenants count as offline
   async sendToNode(nodeId, message) {
     const connection = this.connections.get(nodeId);
     
-    if (connection && connection.socket) {
+    if (connection && connection.socket && connection.tenantId === currentTenant()) {
       connection.socket.emit('federation:message', message);
     } else {
       // Queue for offline delivery (Requirement 15)
@@ -275,10 +278,11 @@ class FederationWebSocketPool {
     }
   }
 
-  // Broadcast to all connected nodes
+  // Broadcast to all connected nodes of the current tenant
   async broadcastToAll(message, excludeNode = null) {
+    const tenantId = currentTenant();
     for (const [nodeId, connection] of this.connections) {
-      if (nodeId !== excludeNode && connection.socket) {
+      if (nodeId !== excludeNode && connection.socket && connection.tenantId === tenantId) {
         connection.socket.emit('federation:message', message);
       }
     }
@@ -339,7 +343,7 @@ class FederationWebSocketPool {
     }
     
     // Notify other nodes
-    this.io.to('federation').emit('federation:node-left', {
+    this.io.to(tenantRoom('federation', connection.tenantId)).emit('federation:node-left', {
       node_id: nodeId,
       reason: 'heartbeat_timeout',
       timestamp: new Date().toISOString()
@@ -366,7 +370,7 @@ class FederationWebSocketPool {
     this.cleanupConnection(nodeId);
     
     // Notify other nodes
-    this.io.to('federation').emit('federation:node-left', {
+    this.io.to(tenantRoom('federation', connection.tenantId)).emit('federation:node-left', {
       node_id: nodeId,
       reason: 'disconnected',
       timestamp: new Date().toISOString()
@@ -402,11 +406,11 @@ class FederationWebSocketPool {
 
     // Persist to database for longer-term storage
     try {
-      await this.db.run(`
+      await this.storage.run(`
         INSERT INTO federation_pending_messages
-        (node_id, message_data, created_at)
-        VALUES (?, ?, ?)
-      `, [nodeId, JSON.stringify(message), new Date().toISOString()]);
+        (id, target_node, message, queued_at)
+        VALUES (?, ?, ?, ?)
+      `, [uuidv4(), nodeId, JSON.stringify(message), new Date().toISOString()]);
     } catch (error) {
       // Table may not exist yet — log and continue
       console.log(`⚠️ Could not persist offline message for ${nodeId}: ${error.message}`);
@@ -438,6 +442,7 @@ class FederationWebSocketPool {
   shutdown() {
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
     }
   }
 }
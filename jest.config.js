@@ -1,6 +1,7 @@
 module.exports = {
   testEnvironment: 'node',
   testMatch: ['**/tests/**/*.test.js'],
+  setupFiles: ['<rootDir>/tests/setup-env.js'],
   collectCoverageFrom: [
     'api/**/*.js',
     'core/**/*.js',
@@ -48,6 +48,7 @@ class MyceliumNetworkMCPServer {
     return new Promise((resolve, reject) => {
       // Connect directly to cloud hub (no local daemon)
       this.cloudSocket = io(CLOUD_HUB_URL, {
+        auth: { token: process.env.MEMORY_HUB_API_KEY },
         transports: ['websocket', 'polling'],
         reconnection: true,
         reconnectionAttempts: 10,
@@ -112,6 +113,11 @@ class MyceliumNetworkMCPServer {
       console.error('🔄 Context update received');
     });
 
+    // The hub names us after our API key, whatever we asked for
+    socket.on('register-ai-coordinator-ack', (data) => {
+      if (data && data.agent) this.entityName = data.agent;
+    });
+
     socket.on('mycelium:registration-approved', (data) => {
       console.error('✅ Registration approved:', data);
     });
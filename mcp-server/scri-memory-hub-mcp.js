@@ -16,6 +16,11 @@ const axios = require('axios');
 // Memory Hub configuration (cloud only)
 const MEMORY_HUB_URL = process.env.SCRI_MEMORY_HUB_URL || 'http://localhost:3002';
 
+// REST API key sent with every request (see /api/admin/api-keys)
+if (process.env.MEMORY_HUB_API_KEY) {
+  axios.defaults.headers.common['x-api-key'] = process.env.MEMORY_HUB_API_KEY;
+}
+
 class SCRIMemoryHubMCPServer {
   constructor() {
     this.server = new Server({
@@ -127,13 +132,48 @@ class SCRIMemoryHubMCPServer {
           },
           {
             name: 'register_claude_session',
-            description: 'Register this Claude Desktop session with the Memory Hub',
+            description: 'Open this Claude Desktop session on the Memory Hub; memories stored until end_session are linked to it',
             inputSchema: {
               type: 'object',
               properties: {
                 session_name: {
                   type: 'string',
                   description: 'Optional name for this session'
+                },
+                resume: {
+                  type: 'boolean',
+                  description: 'Continue from the last session on this project and show where it left off',
+                  default: false
+                }
+              }
+            }
+          },
+          {
+            name: 'end_session',
+            description: 'Close this session on the Memory Hub and get its summary',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                summary: {
+                  type: 'string',
+                  description: 'Your own summary of the session, replacing the generated brief'
+                }
+              }
+            }
+          },
+          {
+            name: 'resume_last_session',
+            description: 'Show the summary and last entries of the previous session on a project, to pick up where it left off',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_id: {
+                  type: 'string',
+                  description: 'Project to resume (defaults to this session\'s project)'
+                },
+                agent: {
+                  type: 'string',
+                  description: 'Only sessions of this agent'
                 }
               }
             }
@@ -203,6 +243,72 @@ class SCRIMemoryHubMCPServer {
               },
               required: ['from', 'message']
             }
+          },
+          {
+            name: 'get_context_pack',
+            description: 'Get a prompt-ready bundle of project context for a task: brief, relevant memories, decisions, patterns and recent messages, ranked and cut to a token budget, with [ref] citations',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                task: {
+                  type: 'string',
+                  description: 'What you are about to work on'
+                },
+                project_id: {
+                  type: 'string',
+                  description: 'Project to pack context from (defaults to this session\'s project)'
+                },
+                budget: {
+                  type: 'number',
+                  description: 'Maximum tokens the bundle may use',
+                  default: 2000
+                },
+                tokenizer: {
+                  type: 'string',
+                  description: 'How tokens are counted (approx or words)',
+                  default: 'approx'
+                },
+                agent: {
+                  type: 'string',
+                  description: 'Your agent identifier, to include Mycelium messages addressed to you'
+                }
+              },
+              required: ['task']
+            }
+          },
+          {
+            name: 'query_memories',
+            description: 'Query memories across SCRI projects. Only memories your API key may read are returned: public and cross_project ones, project ones in your projects, and your own private ones',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                query: {
+                  type: 'string',
+                  description: 'What to look for'
+                },
+                projects: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Only these source projects (default all)'
+                },
+                memory_types: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Only these memory types'
+                },
+                exclude_current_project: {
+                  type: 'boolean',
+                  description: 'Leave out this session\'s project',
+                  default: false
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum number of results to return',
+                  default: 10
+                }
+              },
+              required: ['query']
+            }
           }
         ]
       };
@@ -224,12 +330,20 @@ class SCRIMemoryHubMCPServer {
             return await this.getSCRIKnowledge(args);
           case 'register_claude_session':
             return await this.registerClaudeSession(args);
+          case 'end_session':
+            return await this.endSession(args);
+          case 'resume_last_session':
+            return await this.resumeLastSession(args);
           case 'memory_hub_status':
             return await this.getMemoryHubStatus();
           case 'read_mycelium_messages':
             return await this.readMyceliumMessages(args);
           case 'post_mycelium_message':
             return await this.postMyceliumMessage(args);
+          case 'get_context_pack':
+            return await this.getContextPack(args);
+          case 'query_memories':
+            return await this.queryMemories(args);
           default:
             throw new Error(`Unknown tool: ${name}`);
         }
@@ -378,38 +492,71 @@ class SCRIMemoryHubMCPServer {
 
   async registerClaudeSession(args) {
     const hubUrl = await this.getMemoryHubUrl();
-    const { session_name } = args;
+    const { session_name, resume = false } = args;
 
-    const registration = {
+    const response = await axios.post(`${hubUrl}/api/sessions`, {
+      id: this.sessionId,
+      project_id: this.projectId,
       platform: 'claude_desktop_mcp',
-      projectId: this.projectId,
-      message: `Claude Desktop MCP session registered${session_name ? `: ${session_name}` : ''}`,
-      context: {
-        session_id: this.sessionId,
-        session_name: session_name || 'Claude Desktop',
-        registration_time: new Date().toISOString(),
-        mcp_server: true
-      },
-      type: 'session_registration'
+      metadata: { session_name: session_name || 'Claude Desktop', mcp_server: true },
+      resume
+    });
+    const { session, resumed } = response.data;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🤖 **Claude Desktop Session Opened**\n\n` +
+               `- **Session ID:** ${session.id}\n` +
+               `- **Project ID:** ${session.project_id}\n` +
+               `- **Memory Hub:** ${hubUrl}\n` +
+               `- **Started:** ${session.started_at}\n\n` +
+               (resumed ? `${describeResumedSession(resumed)}\n\n` : '') +
+               `✅ Memories stored until end_session are linked to this session.`
+        }
+      ]
     };
+  }
 
-    const response = await axios.post(`${hubUrl}/api/conversations`, registration);
+  async endSession(args) {
+    const hubUrl = await this.getMemoryHubUrl();
+    const { summary } = args;
+
+    const response = await axios.post(`${hubUrl}/api/sessions/${encodeURIComponent(this.sessionId)}/end`, summary ? { summary } : {});
+    const { session } = response.data;
+    // Later memories belong to the next session
+    this.sessionId = `claude_session_${Date.now()}`;
 
     return {
       content: [
         {
           type: 'text',
-          text: `🤖 **Claude Desktop Session Registered**\n\n` +
-               `- **Session ID:** ${this.sessionId}\n` +
-               `- **Project ID:** ${this.projectId}\n` +
-               `- **Memory Hub:** ${hubUrl}\n` +
-               `- **Registration ID:** ${response.data.conversationId}\n\n` +
-               `✅ You now have persistent memory across conversations!`
+          text: `🎬 **Session ${session.id} Closed**\n\n` +
+               `${session.summary ? session.summary.brief : 'No summary.'}\n\n` +
+               `*${session.conversation_count} conversations over ${Math.round((session.duration || 0) / 60000)} minutes*`
         }
       ]
     };
   }
 
+  async resumeLastSession(args) {
+    const hubUrl = await this.getMemoryHubUrl();
+    const { project_id = this.projectId, agent } = args;
+
+    const params = new URLSearchParams({ project_id });
+    if (agent) params.append('agent', agent);
+    try {
+      const response = await axios.get(`${hubUrl}/api/sessions/resume?${params.toString()}`);
+      return { content: [{ type: 'text', text: describeResumedSession(response.data) }] };
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return { content: [{ type: 'text', text: `No earlier session on ${project_id} to resume.` }] };
+      }
+      throw error;
+    }
+  }
+
   async getMemoryHubStatus() {
     try {
       const cloudStatus = await this.checkHubStatus(MEMORY_HUB_URL);
@@ -514,6 +661,59 @@ class SCRIMemoryHubMCPServer {
     };
   }
 
+  async getContextPack(args) {
+    const hubUrl = await this.getMemoryHubUrl();
+    const { task, project_id = this.projectId, budget = 2000, tokenizer = 'approx', agent } = args;
+
+    const response = await axios.post(`${hubUrl}/api/context/pack`, { project_id, task, budget, tokenizer, agent });
+    const pack = response.data;
+
+    const sources = pack.items.map(item => `- [${item.ref}] ${item.source} ${item.id}`).join('\n');
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `📦 **Context for "${task}"** (${project_id})\n\n${pack.prompt || 'No context found for this project.'}\n\n` +
+                `**Sources:**\n${sources || '- none'}\n\n` +
+                `*${pack.used_tokens}/${pack.budget} tokens (${pack.tokenizer}), ${pack.omitted} items left out, from ${hubUrl}*`
+        }
+      ]
+    };
+  }
+
+  async queryMemories(args) {
+    const hubUrl = await this.getMemoryHubUrl();
+    const { query, projects = [], memory_types = [], exclude_current_project = false, limit = 10 } = args;
+
+    // The hub leaves out memories this key may not read
+    const response = await axios.post(`${hubUrl}/api/memory/query`, {
+      query,
+      project_filters: projects,
+      memory_types,
+      exclude_project: exclude_current_project ? this.projectId : undefined,
+      limit
+    });
+    const results = response.data.memories || [];
+
+    const resultText = results.length > 0
+      ? results.map((result, index) => {
+          const content = typeof result.content === 'string' ? result.content : JSON.stringify(result.content);
+          return `**${index + 1}. ${result.source_project}** (${result.memory_type}, ${result.access_level})\n` +
+                 `${content.substring(0, 200)}${content.length > 200 ? '...' : ''}\n`;
+        }).join('\n---\n')
+      : 'No memories found that this key may read.';
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🔍 **Memories matching "${query}"**\n\n${resultText}\n\n*Found ${results.length} results from ${hubUrl}*`
+        }
+      ]
+    };
+  }
+
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
@@ -521,6 +721,14 @@ class SCRIMemoryHubMCPServer {
   }
 }
 
+// Last session's summary and transcript tail, as shown by register_claude_session and resume_last_session
+function describeResumedSession({ session, transcript }) {
+  const brief = session.summary ? session.summary.brief : 'The session was not closed, so it has no summary yet.';
+  const entries = transcript.map(entry => `- [${entry.timestamp}] ${entry.author || 'unknown'}: ${entry.text.slice(0, 200)}`).join('\n');
+  return `⏪ **Last Session: ${session.id}** (${session.status}, started ${session.started_at})\n\n` +
+         `${brief}\n\n**Where it left off:**\n${entries || '- nothing was stored'}`;
+}
+
 // Start the server
 if (require.main === module) {
   const server = new SCRIMemoryHubMCPServer();
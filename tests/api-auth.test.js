@@ -0,0 +1,331 @@
+const http = require('http');
+const sqlite3 = require('sqlite3');
+const { Server } = require('socket.io');
+const ioClient = require('socket.io-client');
+const ApiKeyStore = require('../database/api-key-store');
+const MigrationRunner = require('../database/migration-runner');
+const {
+  createApiKeyAuth,
+  createSocketAuth,
+  checkSocketEventScope,
+  resolveRouteScope,
+  getRequestedProjects
+} = require('../core/api-auth');
+
+function createMockReq(overrides = {}) {
+  return {
+    method: 'GET',
+    path: '/conversations/project/proj-a',
+    query: {},
+    body: {},
+    headers: {},
+    ...overrides
+  };
+}
+
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    status: jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn(() => res)
+  };
+  return res;
+}
+
+async function callMiddleware(middleware, req) {
+  const res = createMockRes();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+}
+
+describe('ApiKeyStore', () => {
+  let db;
+  let store;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await new MigrationRunner({ db, isProduction: false }).migrate();
+    store = new ApiKeyStore({ db, isProduction: false });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('returns the plaintext key once and stores only its hash', async () => {
+    const { key, apiKey } = await store.createKey({ name: 'ci', scopes: ['memory:read'] });
+    expect(key).toMatch(/^mmh_/);
+    expect(apiKey.key_hash).toBeUndefined();
+
+    const row = await store.storage.get('SELECT key_hash FROM api_keys WHERE id = ?', [apiKey.id]);
+    expect(row.key_hash).not.toContain(key);
+    expect(row.key_hash).toBe(ApiKeyStore.hashKey(key));
+  });
+
+  it('verifies valid keys and rejects unknown ones', async () => {
+    const { key } = await store.createKey({ name: 'ci', scopes: ['memory:read'], projects: ['proj-a'] });
+    const verified = await store.verifyKey(key);
+    expect(verified.scopes).toEqual(['memory:read']);
+    expect(verified.projects).toEqual(['proj-a']);
+    expect(verified.last_used_at).not.toBeNull();
+
+    expect(await store.verifyKey('mmh_not-a-real-key')).toBeNull();
+    expect(await store.verifyKey('no-prefix')).toBeNull();
+  });
+
+  it('rejects revoked and expired keys', async () => {
+    const { key, apiKey } = await store.createKey({ name: 'ci', scopes: ['memory:read'] });
+    expect(await store.revokeKey(apiKey.id)).toBe(true);
+    expect(await store.revokeKey(apiKey.id)).toBe(false);
+    expect(await store.verifyKey(key)).toBeNull();
+
+    const expired = await store.createKey({
+      name: 'old', scopes: ['memory:read'], expiresAt: '2000-01-01T00:00:00Z'
+    });
+    expect(await store.verifyKey(expired.key)).toBeNull();
+  });
+
+  it('lists keys without hashes and hides revoked keys by default', async () => {
+    const { apiKey } = await store.createKey({ name: 'a', scopes: ['admin'] });
+    await store.createKey({ name: 'b', scopes: ['memory:write'] });
+    await store.revokeKey(apiKey.id);
+
+    const active = await store.listKeys();
+    expect(active.map(k => k.name)).toEqual(['b']);
+    expect(active[0].key_hash).toBeUndefined();
+    expect((await store.listKeys({ includeRevoked: true })).length).toBe(2);
+  });
+
+  it('validates scopes and projects', async () => {
+    await expect(store.createKey({ name: 'x', scopes: ['root'] })).rejects.toThrow(/Unknown scopes/);
+    await expect(store.createKey({ name: 'x', scopes: [] })).rejects.toThrow(/scopes/);
+    await expect(store.createKey({ name: 'x', scopes: ['admin'], projects: [] })).rejects.toThrow(/projects/);
+  });
+});
+
+describe('resolveRouteScope', () => {
+  it('maps methods and sensitive routes to scopes', () => {
+    expect(resolveRouteScope('GET', '/health').scope).toBeNull();
+    expect(resolveRouteScope('GET', '/memory/conversations').scope).toBe('memory:read');
+    expect(resolveRouteScope('POST', '/conversations').scope).toBe('memory:write');
+    expect(resolveRouteScope('POST', '/scri/kairos/collective').scope).toBe('memory:write');
+    expect(resolveRouteScope('POST', '/memory/search').scope).toBe('memory:read');
+    expect(resolveRouteScope('POST', '/mycelium/dm').scope).toBe('mycelium:post');
+    expect(resolveRouteScope('GET', '/mycelium/messages').scope).toBe('memory:read');
+    expect(resolveRouteScope('POST', '/file-operations/edit').scope).toBe('admin');
+    expect(resolveRouteScope('DELETE', '/admin/api-keys/abc').scope).toBe('admin');
+  });
+
+  it('only checks projects on memory routes', () => {
+    expect(resolveRouteScope('POST', '/conversations').projectScoped).toBe(true);
+    expect(resolveRouteScope('POST', '/mycelium/post').projectScoped).toBe(false);
+    expect(resolveRouteScope('POST', '/memory/query')).toMatchObject({ scope: 'memory:read', projectScoped: false });
+  });
+});
+
+describe('getRequestedProjects', () => {
+  it('collects projects from path, query and body', () => {
+    expect(getRequestedProjects(createMockReq({ path: '/analytics/project/p%201' }))).toEqual(['p 1']);
+    expect(getRequestedProjects(createMockReq({
+      path: '/memory/query',
+      query: { project_id: 'a' },
+      body: { projectId: 'b', project_filters: ['a', 'c'] }
+    }))).toEqual(['a', 'b', 'c']);
+    expect(getRequestedProjects(createMockReq({
+      path: '/memory/store',
+      body: { project_id: 'a', source_project: 'b', exclude_project: 'c' }
+    }))).toEqual(['a', 'b']);
+  });
+
+  it('does not mistake fixed path segments for projects', () => {
+    expect(getRequestedProjects(createMockReq({ path: '/projects/register' }))).toEqual([]);
+    expect(getRequestedProjects(createMockReq({ path: '/ai/insights/type/bug' }))).toEqual([]);
+    expect(getRequestedProjects(createMockReq({ path: '/api/projects/stats/summary' }))).toEqual([]);
+  });
+});
+
+describe('createApiKeyAuth middleware', () => {
+  let db;
+  let store;
+  let middleware;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await new MigrationRunner({ db, isProduction: false }).migrate();
+    store = new ApiKeyStore({ db, isProduction: false });
+    middleware = createApiKeyAuth({ getKeyStore: () => store, bootstrapKey: 'bootstrap-secret', disabled: false });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('lets public routes through without a key', async () => {
+    const { next } = await callMiddleware(middleware, createMockReq({ path: '/health' }));
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('returns 401 without a key or with an invalid key', async () => {
+    let { res, next } = await callMiddleware(middleware, createMockReq());
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+
+    ({ res, next } = await callMiddleware(middleware, createMockReq({ headers: { 'x-api-key': 'mmh_bogus' } })));
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('accepts x-api-key and Bearer keys with the right scope', async () => {
+    const { key } = await store.createKey({ name: 'reader', scopes: ['memory:read'] });
+
+    let req = createMockReq({ headers: { 'x-api-key': key } });
+    let { next } = await callMiddleware(middleware, req);
+    expect(next).toHaveBeenCalled();
+    expect(req.apiKey.name).toBe('reader');
+
+    req = createMockReq({ headers: { authorization: `Bearer ${key}` } });
+    ({ next } = await callMiddleware(middleware, req));
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('returns 403 when the scope is missing', async () => {
+    const { key } = await store.createKey({ name: 'reader', scopes: ['memory:read'] });
+    const { res, next } = await callMiddleware(middleware, createMockReq({
+      method: 'POST', path: '/mycelium/dm', headers: { 'x-api-key': key }
+    }));
+    expect(res.statusCode).toBe(403);
+    expect(res.json.mock.calls[0][0].error).toMatch(/mycelium:post/);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('enforces the project allowlist', async () => {
+    const { key } = await store.createKey({ name: 'scoped', scopes: ['memory:read'], projects: ['proj-a'] });
+    const headers = { 'x-api-key': key };
+
+    let { next } = await callMiddleware(middleware, createMockReq({ headers }));
+    expect(next).toHaveBeenCalled();
+
+    let res;
+    ({ res } = await callMiddleware(middleware, createMockReq({ path: '/conversations/project/proj-b', headers })));
+    expect(res.statusCode).toBe(403);
+
+    ({ res } = await callMiddleware(middleware, createMockReq({ path: '/memory/conversations', headers })));
+    expect(res.statusCode).toBe(403);
+    expect(res.json.mock.calls[0][0].error).toMatch(/Specify project_id/);
+  });
+
+  it('checks the project a memory is stored under', async () => {
+    const { key } = await store.createKey({ name: 'writer', scopes: ['memory:write'], projects: ['alpha'] });
+    const headers = { 'x-api-key': key };
+    const storing = (body) => createMockReq({ method: 'POST', path: '/memory/store', headers, body });
+
+    let { res, next } = await callMiddleware(middleware, storing({ project_id: 'alpha', source_project: 'beta' }));
+    expect(res.statusCode).toBe(403);
+    expect(res.json.mock.calls[0][0].error).toMatch(/project: beta/);
+    expect(next).not.toHaveBeenCalled();
+
+    ({ next } = await callMiddleware(middleware, storing({ source_project: 'alpha' })));
+    expect(next).toHaveBeenCalled();
+
+    // Excluding a project the key cannot see is not an access to it
+    ({ next } = await callMiddleware(middleware, storing({ source_project: 'alpha', exclude_project: 'beta' })));
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('treats the bootstrap key as admin', async () => {
+    const req = createMockReq({ method: 'POST', path: '/admin/api-keys', headers: { 'x-api-key': 'bootstrap-secret' } });
+    const { next } = await callMiddleware(middleware, req);
+    expect(next).toHaveBeenCalled();
+    expect(req.apiKey.scopes).toEqual(['admin']);
+  });
+
+  it('skips checks when disabled', async () => {
+    const open = createApiKeyAuth({ getKeyStore: () => store, disabled: true });
+    const { next } = await callMiddleware(open, createMockReq({ method: 'POST', path: '/file-operations/edit' }));
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('checkSocketEventScope', () => {
+  const reader = { name: 'reader', scopes: ['memory:read'], projects: null };
+  const admin = { name: 'admin', scopes: ['admin'], projects: null };
+
+  it('requires the scope mapped to each event', () => {
+    expect(checkSocketEventScope(reader, 'register-platform')).toBeNull();
+    expect(checkSocketEventScope(reader, 'ai:send-message')).toMatch(/mycelium:post/);
+    expect(checkSocketEventScope(reader, 'derek:broadcast')).toMatch(/admin/);
+    expect(checkSocketEventScope(admin, 'derek:broadcast')).toBeNull();
+  });
+
+  it('allows unmapped events', () => {
+    expect(checkSocketEventScope(reader, 'disconnect')).toBeNull();
+  });
+});
+
+describe('createSocketAuth handshake', () => {
+  let db;
+  let store;
+  let io;
+  let server;
+  let url;
+  let clients;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await new MigrationRunner({ db, isProduction: false }).migrate();
+    store = new ApiKeyStore({ db, isProduction: false });
+
+    server = http.createServer();
+    io = new Server(server);
+    io.use(createSocketAuth({ getKeyStore: () => store, bootstrapKey: 'bootstrap-secret', disabled: false }));
+    io.on('connection', socket => {
+      socket.on('whoami', ack => ack(socket.data.identity.name));
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}`;
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.close());
+    io.close();
+    await new Promise(resolve => server.close(resolve));
+    db.close();
+  });
+
+  function connect(options) {
+    const client = ioClient(url, { transports: ['websocket'], reconnection: false, ...options });
+    clients.push(client);
+    return new Promise(resolve => {
+      client.on('connect', () => resolve({ client }));
+      client.on('connect_error', error => resolve({ error }));
+    });
+  }
+
+  it('rejects connections without a valid key', async () => {
+    expect((await connect({})).error.message).toBe('API key required');
+    expect((await connect({ auth: { token: 'mmh_bogus' } })).error.message).toMatch(/Invalid/);
+  });
+
+  it('binds the key name as the socket identity', async () => {
+    const { key } = await store.createKey({ name: 'claude', scopes: ['mycelium:post'] });
+    const { client } = await connect({ auth: { token: key } });
+    const name = await new Promise(resolve => client.emit('whoami', resolve));
+    expect(name).toBe('claude');
+  });
+
+  it('accepts keys in the x-api-key header', async () => {
+    const { key } = await store.createKey({ name: 'gemini', scopes: ['memory:read'] });
+    const { client } = await connect({ extraHeaders: { 'x-api-key': key } });
+    expect(await new Promise(resolve => client.emit('whoami', resolve))).toBe('gemini');
+  });
+
+  it('rejects revoked keys', async () => {
+    const { key, apiKey } = await store.createKey({ name: 'old', scopes: ['memory:read'] });
+    await store.revokeKey(apiKey.id);
+    expect((await connect({ auth: { token: key } })).error).toBeDefined();
+  });
+});
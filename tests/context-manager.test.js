@@ -93,6 +93,19 @@ describe('ContextManager', () => {
       // Database should only be called once — second call uses cache
       expect(mockDb.getConversationsByProject).toHaveBeenCalledTimes(1);
     });
+
+    it('rebuilds a past context from history without touching the cache', async () => {
+      mockDb.getConversationsAsOf = jest.fn(async () => [
+        { platform: 'vscode', message: 'as it was', timestamp: '2026-01-01T00:00:00Z', type: 'general', context: {} }
+      ]);
+      await cm.getProjectContext('proj-past');
+
+      const past = await cm.getProjectContext('proj-past', { asOf: '2026-01-02T00:00:00Z' });
+
+      expect(mockDb.getConversationsAsOf).toHaveBeenCalledWith('2026-01-02T00:00:00Z', { projectId: 'proj-past' });
+      expect(past.conversationHistory.map(c => c.message)).toEqual(['as it was']);
+      expect((await cm.getProjectContext('proj-past')).conversationHistory).toEqual([]);
+    });
   });
 
   describe('updateContextCache', () => {
@@ -0,0 +1,143 @@
+const MemoryDatabase = require('../database/memory-database-production');
+const ContextManager = require('../core/context-manager');
+const ContextPacker = require('../core/context-packer');
+const { registerTokenizer, checkPackRequest } = require('../core/context-packer');
+const { createMemoryHub } = require('../core/memory-server');
+
+const NOW = new Date('2026-03-10T12:00:00.000Z');
+const daysAgo = (days) => new Date(NOW - days * 86400000).toISOString();
+
+async function seed(db) {
+  const conversation = (id, days, message, extra = {}) => db.addConversation({
+    id, platform: 'vscode', projectId: 'akasha', message, type: 'general', context: {}, timestamp: daysAgo(days), ...extra
+  });
+  await conversation('c1', 1, 'Recall latency on the memories table dropped after adding a composite index.');
+  await conversation('c2', 2, 'Recall latency on the memories table dropped after adding the composite index!');
+  await conversation('c3', 3, 'The dashboard theme now follows the system colour scheme.');
+  await conversation('c4', 1, 'Unrelated project note about recall latency.', { projectId: 'uda' });
+  await conversation('m1', 0, 'Please review the recall index migration', {
+    platform: 'mycelium', projectId: 'mycelium-network', context: { from: 'kiro', to: 'copilot' }
+  });
+  await conversation('m2', 0, 'Lunch is at noon', {
+    platform: 'mycelium', projectId: 'mycelium-network', context: { from: 'kiro', to: 'atlas' }
+  });
+
+  const memory = await db.memories.add({
+    projectId: 'akasha', category: 'insight', content: 'Recall ranking weighs relevance, recency and importance.', timestamp: daysAgo(5)
+  });
+  const decision = await db.decisions.propose({
+    title: 'Index memories by entity and timestamp', proposedBy: 'CHAPPIE', projectId: 'akasha'
+  });
+  return { memory, decision };
+}
+
+describe('ContextPacker', () => {
+  let db;
+  let packer;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+    packer = new ContextPacker(db, new ContextManager(db));
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('ranks, dedupes and cites the project context for a task', async () => {
+    const { memory, decision } = await seed(db);
+    const pack = await packer.pack({ projectId: 'akasha', task: 'Speed up recall latency', agent: 'copilot', now: NOW });
+
+    expect(pack.prompt.indexOf('## Project brief')).toBe(0);
+    expect(pack.items.map(item => item.ref)).toEqual(expect.arrayContaining(['S1', 'M1', 'M2', 'D1', 'X1']));
+    const cited = Object.fromEntries(pack.items.map(item => [item.id, item.ref]));
+    expect(cited).toMatchObject({ c1: 'M1', [memory.id]: expect.stringMatching(/^M/), [decision.id]: 'D1', m1: 'X1' });
+    expect(pack.prompt).toContain(`[${cited.c1}] Recall latency on the memories table`);
+    expect(pack.prompt).toContain('[X1] kiro → copilot: Please review the recall index migration');
+
+    // c2 repeats c1; other projects and other agents' messages stay out
+    expect(pack.duplicates).toBeGreaterThanOrEqual(1);
+    expect(Object.keys(cited)).not.toContain('c2');
+    expect(Object.keys(cited)).not.toContain('c4');
+    expect(Object.keys(cited)).not.toContain('m2');
+    expect(pack.used_tokens).toBeLessThanOrEqual(pack.budget);
+
+    const memories = pack.items.filter(item => item.kind === 'memory');
+    expect(memories[0].score).toBeGreaterThanOrEqual(memories[memories.length - 1].score);
+    expect((await db.memories.get(memory.id)).recall_count).toBe(0);
+  });
+
+  it('fits small budgets, cutting or leaving out what does not fit', async () => {
+    await seed(db);
+    const pack = await packer.pack({ projectId: 'akasha', task: 'recall latency', budget: 60, now: NOW });
+    expect(pack.used_tokens).toBeLessThanOrEqual(60);
+    expect(pack.omitted).toBeGreaterThan(0);
+
+    const words = await packer.pack({ projectId: 'akasha', task: 'recall latency', budget: 60, tokenizer: 'words', now: NOW });
+    expect(words.tokenizer).toBe('words');
+    expect(words.used_tokens).toBeLessThanOrEqual(60);
+
+    const long = 'recall '.repeat(400).trim();
+    await db.memories.add({ projectId: 'solo', category: 'note', content: long });
+    const cut = await packer.pack({ projectId: 'solo', task: 'recall', budget: 100, include: ['memory'], now: NOW });
+    expect(cut.items).toEqual([expect.objectContaining({ ref: 'M1', truncated: true, text: expect.stringMatching(/ …$/) })]);
+    expect(cut.used_tokens).toBeLessThanOrEqual(100);
+  });
+
+  it('checks requests and accepts registered tokenizers', async () => {
+    expect(() => checkPackRequest({ task: 'x' })).toThrow(/project_id is required/);
+    expect(() => checkPackRequest({ projectId: 'akasha', task: ' ' })).toThrow(/task must be/);
+    expect(() => checkPackRequest({ projectId: 'akasha', task: 'x', budget: 10 })).toThrow(/budget must be/);
+    expect(() => checkPackRequest({ projectId: 'akasha', task: 'x', tokenizer: 'bpe' })).toThrow(/Unknown tokenizer: bpe/);
+    expect(() => checkPackRequest({ projectId: 'akasha', task: 'x', include: ['gossip'] })).toThrow(/include must be/);
+
+    registerTokenizer('chars', text => text.length);
+    await db.memories.add({ projectId: 'akasha', category: 'note', content: 'Recall uses the composite index.' });
+    const pack = await packer.pack({ projectId: 'akasha', task: 'recall', tokenizer: 'chars', budget: 200, now: NOW });
+    expect(pack.used_tokens).toBe(pack.prompt.length);
+  });
+});
+
+describe('context pack route', () => {
+  let hub;
+  let adminKey;
+
+  const pack = async (body, key = adminKey) => {
+    const res = await fetch(`http://127.0.0.1:${hub.port}/api/context/pack`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-api-key': key },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, bridges: false, federation: false, scanProjects: false });
+    await hub.start();
+    adminKey = (await hub.db.apiKeys.createKey({ name: 'admin', scopes: ['admin'] })).key;
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('packs context for readers of the project', async () => {
+    await seed(hub.db);
+    const reader = (await hub.db.apiKeys.createKey({ name: 'reader', scopes: ['memory:read'], projects: ['akasha'] })).key;
+
+    const packed = await pack({ project_id: 'akasha', task: 'recall latency', budget: 500 }, reader);
+    expect(packed).toMatchObject({ status: 200, body: { success: true, project_id: 'akasha', tokenizer: 'approx', budget: 500 } });
+    expect(packed.body.items.find(item => item.id === 'c1')).toMatchObject({ kind: 'memory', source: 'conversations' });
+
+    expect((await pack({ project_id: 'uda', task: 'recall' }, reader)).status).toBe(403);
+    expect((await pack({ project_id: 'akasha', task: 'recall', tokenizer: 'bpe' })).status).toBe(400);
+    expect((await pack({ project_id: 'akasha', task: 'recall', budget: 'lots' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,206 @@
+const sqlite3 = require('sqlite3');
+const MemoryDatabase = require('../database/memory-database-production');
+const MigrationRunner = require('../database/migration-runner');
+const StorageAdapter = require('../database/storage-adapter');
+const ContextManager = require('../core/context-manager');
+const {
+  ExtractiveSummarizer,
+  LLMContextSummarizer,
+  createContextSummarizer,
+  registerContextSummarizer,
+  clusterTopics,
+  isQuestion
+} = require('../core/context-summarizer');
+const { createMemoryHub } = require('../core/memory-server');
+
+const at = (minute) => `2026-03-01T10:${String(minute).padStart(2, '0')}:00.000Z`;
+const conversation = (id, minute, message, extra = {}) => ({
+  id, platform: 'vscode', projectId: 'akasha', message, type: 'general', context: {}, timestamp: at(minute), ...extra
+});
+
+const CONVERSATIONS = [
+  conversation('c1', 1, 'The recall query scans the whole memories table. Postgres indexes on memories would help.'),
+  conversation('c2', 2, 'Added a composite index on memories entity and timestamp; recall latency halved.'),
+  conversation('c3', 3, 'Should the dashboard charts use websockets for live updates?'),
+  conversation('c4', 4, 'Dashboard charts render slowly with many series in the browser.'),
+  conversation('c5', 5, 'How do we rotate the federation signing keys?'),
+  conversation('c6', 6, 'We decided to keep SQLite for local development and Postgres in production.'),
+  conversation('c7', 7, 'Index on memories importance also speeds recall ranking.')
+];
+
+describe('ExtractiveSummarizer', () => {
+  it('finds topics, key points, open questions and decisions', async () => {
+    const summary = await new ExtractiveSummarizer().summarize({
+      projectId: 'akasha',
+      conversations: CONVERSATIONS,
+      decisions: [
+        { id: 'd1', title: 'Adopt pgvector', status: 'accepted', outcome: 'accepted', decided_at: at(8) },
+        { id: 'd2', title: 'Still voting', status: 'open', outcome: null }
+      ]
+    });
+
+    expect(summary.topics[0]).toMatchObject({ conversations: 3, terms: expect.arrayContaining(['memories']) });
+    expect(summary.open_questions.map(q => q.question)).toEqual([
+      'How do we rotate the federation signing keys?',
+      'Should the dashboard charts use websockets for live updates?'
+    ]);
+    expect(summary.decisions).toEqual([
+      expect.objectContaining({ decision: 'Adopt pgvector', outcome: 'accepted', source: 'collective' }),
+      expect.objectContaining({ decision: expect.stringMatching(/^We decided to keep SQLite/), conversation_id: 'c6' })
+    ]);
+    expect(summary.key_points.length).toBeGreaterThan(0);
+    expect(summary.key_points.length).toBeLessThanOrEqual(5);
+    expect(summary.brief).toMatch(/^Mostly about .*memories/);
+    expect(summary.brief).toContain('Latest decision: Adopt pgvector (accepted).');
+    expect(summary.brief).toContain('2 open questions.');
+  });
+
+  it('treats a question as answered once a later conversation covers it', async () => {
+    const summary = await new ExtractiveSummarizer().summarize({
+      projectId: 'akasha',
+      conversations: [
+        conversation('q', 1, 'Which embedding dimensions should we use?'),
+        conversation('a', 2, 'Embedding dimensions stay at 256 so vectors fit the index.')
+      ]
+    });
+    expect(summary.open_questions).toEqual([]);
+  });
+
+  it('clusters topics and recognises questions', () => {
+    expect(clusterTopics([])).toEqual([]);
+    expect(clusterTopics(CONVERSATIONS.slice(0, 2))).toHaveLength(1);
+    expect(isQuestion('what does this do')).toBe(true);
+    expect(isQuestion('Is it done?')).toBe(true);
+    expect(isQuestion('Rewrote the parser')).toBe(false);
+  });
+});
+
+describe('LLMContextSummarizer', () => {
+  it('rewrites the brief and falls back to the extractive one', async () => {
+    const complete = jest.fn(async (prompt) => `Brief for ${prompt.match(/project "([^"]+)"/)[1]}`);
+    const llm = new LLMContextSummarizer({ complete });
+    const rewritten = await llm.summarize({ projectId: 'akasha', conversations: CONVERSATIONS });
+    expect(rewritten.brief).toBe('Brief for akasha');
+    expect(complete.mock.calls[0][0]).toContain('Open questions:\n- How do we rotate');
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const failing = new LLMContextSummarizer({ complete: async () => { throw new Error('rate limited'); } });
+    const fallback = await failing.summarize({ projectId: 'akasha', conversations: CONVERSATIONS });
+    expect(fallback).toMatchObject({ summarizer: 'extractive', brief: expect.stringMatching(/^Mostly about/) });
+    jest.restoreAllMocks();
+
+    expect(() => new LLMContextSummarizer({})).toThrow(/complete/);
+    registerContextSummarizer('test-llm', () => llm);
+    expect(createContextSummarizer('test-llm')).toBe(llm);
+    expect(() => createContextSummarizer('nope')).toThrow(/Unknown context summarizer/);
+  });
+});
+
+describe('ContextManager briefs', () => {
+  let db;
+  let manager;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+    manager = new ContextManager(db);
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('stores a versioned brief and rewrites it only when conversations change', async () => {
+    for (const conv of CONVERSATIONS.slice(0, 3)) await db.addConversation(conv);
+
+    const first = await manager.getProjectContext('akasha');
+    expect(first.brief).toMatchObject({ version: 1, summarizer: 'extractive', conversation_count: 3 });
+    expect(first.currentFocus.topic).toContain('memories');
+    expect(first.currentFocus.area).toBe('general');
+
+    manager.invalidateProject('akasha');
+    expect((await manager.getProjectContext('akasha')).brief.version).toBe(1);
+
+    await manager.addConversation('vscode', 'akasha', 'Dashboard charts will get live updates over websockets.');
+    const refreshed = await manager.getProjectContext('akasha');
+    expect(refreshed.brief).toMatchObject({ version: 2, conversation_count: 4 });
+    expect(refreshed.brief.open_questions).toEqual([]);
+    expect((await db.summaries.history('akasha')).map(s => s.version)).toEqual([2, 1]);
+
+    const past = await manager.getProjectContext('akasha', { asOf: refreshed.brief.created_at });
+    expect(past.brief.version).toBe(2);
+    expect((await manager.getProjectContext('akasha', { asOf: '2000-01-01T00:00:00Z' })).brief).toBeNull();
+  });
+
+  it('classifies questions before code keywords', () => {
+    expect(manager.detectMessageType('is the write path slow?')).toBe('question');
+    expect(manager.detectMessageType('rewrote the importer')).toBe('general');
+    expect(manager.detectMessageType('We agreed on Postgres')).toBe('decision');
+  });
+});
+
+describe('project summaries migration', () => {
+  it('creates project_summaries and rolls back', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const db = new sqlite3.Database(':memory:');
+    const storage = new StorageAdapter({ db, isProduction: false });
+    const runner = new MigrationRunner({ db, isProduction: false });
+    await runner.migrate({ to: 17 });
+    const tables = async () => (await storage.all(`SELECT name FROM sqlite_master WHERE type = 'table'`)).map(t => t.name);
+    expect(await tables()).toContain('project_summaries');
+    await runner.rollback({ to: 16 });
+    expect(await tables()).not.toContain('project_summaries');
+    db.close();
+    jest.restoreAllMocks();
+  });
+});
+
+describe('project summary routes', () => {
+  let hub;
+  let adminKey;
+
+  const request = async (method, path, { key = adminKey, body } = {}) => {
+    const res = await fetch(`http://127.0.0.1:${hub.port}/api${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': key },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, bridges: false, federation: false, scanProjects: false });
+    await hub.start();
+    adminKey = (await hub.db.apiKeys.createKey({ name: 'admin', scopes: ['admin'] })).key;
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('summarizes on request, announces it and lists versions', async () => {
+    expect((await request('POST', '/memory/context/akasha/summaries')).status).toBe(404);
+    for (const conv of CONVERSATIONS) await hub.db.addConversation(conv);
+    const announced = [];
+    jest.spyOn(hub, 'broadcast').mockImplementation((event, payload) => announced.push([event, payload]));
+
+    const context = await request('GET', '/memory/context/akasha');
+    expect(context.body.context.brief).toMatchObject({ version: 1 });
+    const summarized = await request('POST', '/memory/context/akasha/summaries');
+    expect(summarized).toMatchObject({ status: 201, body: { summary: { version: 2 } } });
+    expect(announced).toEqual([['context:summarized', expect.objectContaining({ project_id: 'akasha', version: 2 })]]);
+
+    expect((await request('GET', '/memory/context/akasha/summaries')).body.summaries.map(s => s.version)).toEqual([2, 1]);
+    expect((await request('GET', '/memory/context/akasha/summaries/1')).body.summary.version).toBe(1);
+    expect((await request('GET', '/memory/context/akasha/summaries/9')).status).toBe(404);
+
+    const other = (await hub.db.apiKeys.createKey({ name: 'uda', scopes: ['memory:read'], projects: ['uda'] })).key;
+    expect((await request('GET', '/memory/context/akasha/summaries', { key: other })).status).toBe(403);
+  });
+});
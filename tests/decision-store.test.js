@@ -0,0 +1,237 @@
+const sqlite3 = require('sqlite3');
+const MemoryDatabase = require('../database/memory-database-production');
+const MigrationRunner = require('../database/migration-runner');
+const StorageAdapter = require('../database/storage-adapter');
+const { computeOutcome } = require('../database/decision-store');
+const { createMemoryHub } = require('../core/memory-server');
+
+const inMinutes = minutes => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+describe('computeOutcome', () => {
+  const ballots = (...votes) => votes.map(([entity, vote, reason]) => ({ entity, vote, reason: reason || null }));
+
+  it('applies the quorum rule to approve and reject votes', () => {
+    const votes = ballots(['aria', 'approve'], ['sage', 'approve'], ['kairos', 'reject'], ['echo', 'abstain']);
+
+    expect(computeOutcome({ quorum_rule: 'majority', min_votes: 3 }, votes)).toMatchObject({ outcome: 'accepted', consensus: 0.67 });
+    expect(computeOutcome({ quorum_rule: 'supermajority', min_votes: 3 }, votes).outcome).toBe('accepted');
+    expect(computeOutcome({ quorum_rule: 'unanimous', min_votes: 3 }, votes).outcome).toBe('rejected');
+    expect(computeOutcome({ quorum_rule: 'majority', min_votes: 3 }, ballots(['aria', 'approve'], ['sage', 'reject'], ['echo', 'abstain'])).outcome)
+      .toBe('rejected');
+  });
+
+  it('needs a quorum and explains itself', () => {
+    const votes = ballots(['aria', 'approve', 'Reads stay fast'], ['sage', 'reject', 'Too much migration work']);
+
+    expect(computeOutcome({ quorum_rule: 'majority', min_votes: 3 }, votes)).toMatchObject({ outcome: 'no_quorum', consensus: 0.5 });
+    const { rationale } = computeOutcome({ quorum_rule: 'majority', min_votes: 2 }, votes);
+    expect(rationale.split('\n')).toEqual([
+      'Rejected by majority vote: 1 approve, 1 reject, 0 abstain (50% approval, quorum 2/2).',
+      '- aria (approve): Reads stay fast',
+      '- sage (reject): Too much migration work'
+    ]);
+  });
+});
+
+describe('DecisionStore', () => {
+  let db;
+  let decisions;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+    decisions = db.decisions;
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('opens proposals and validates them', async () => {
+    const decision = await decisions.propose({
+      projectId: 'akasha', title: 'Adopt PostgreSQL', proposal: 'Move the hub off SQLite', proposedBy: 'aria',
+      eligibleEntities: ['aria', 'sage', 'kairos'], quorumRule: 'supermajority'
+    });
+
+    expect(decision).toMatchObject({
+      project_id: 'akasha', collective: 'akasha', title: 'Adopt PostgreSQL', proposed_by: 'aria', status: 'open',
+      quorum_rule: 'supermajority', min_votes: 2, eligible_entities: ['aria', 'sage', 'kairos'],
+      tally: { approve: 0, reject: 0, abstain: 0, total: 0 }, votes: [], comments: []
+    });
+    expect(new Date(decision.deadline) > new Date()).toBe(true);
+    expect((await decisions.list({ projectId: 'akasha', status: 'open' })).map(d => d.id)).toEqual([decision.id]);
+
+    await expect(decisions.propose({ title: '', proposedBy: 'aria' })).rejects.toMatchObject({ name: 'DecisionError', code: 'invalid' });
+    await expect(decisions.propose({ title: '', proposedBy: 'aria' })).rejects.toThrow(/title/);
+    await expect(decisions.propose({ title: 'x', proposedBy: 'aria', quorumRule: 'plurality' })).rejects.toThrow(/quorum rule/);
+    await expect(decisions.propose({ title: 'x', proposedBy: 'aria', deadline: '2020-01-01T00:00:00Z' })).rejects.toThrow(/deadline/);
+    await expect(decisions.propose({ title: 'x', proposedBy: 'aria', eligibleEntities: ['aria'], minVotes: 2 })).rejects.toThrow(/min_votes/);
+  });
+
+  it('records one standing vote per entity and closes once every eligible entity voted', async () => {
+    const { id } = await decisions.propose({ title: 'Rename the hub', proposedBy: 'aria', eligibleEntities: ['aria', 'sage'] });
+
+    expect((await decisions.vote(id, { entity: 'aria', vote: 'reject' })).closed).toBe(false);
+    expect((await decisions.vote(id, { entity: 'aria', vote: 'approve', reason: 'Clearer name' })).decision.tally)
+      .toMatchObject({ approve: 1, reject: 0, total: 1 });
+    await expect(decisions.vote(id, { entity: 'kairos', vote: 'approve' })).rejects.toMatchObject({ code: 'not_eligible' });
+    await expect(decisions.vote(id, { entity: 'sage', vote: 'maybe' })).rejects.toThrow(/vote must be one of/);
+
+    const { decision, closed } = await decisions.vote(id, { entity: 'sage', vote: 'approve' });
+    expect(closed).toBe(true);
+    expect(decision).toMatchObject({
+      status: 'accepted', outcome: 'accepted', consensus_level: 1, participating_entities: ['aria', 'sage']
+    });
+    expect(decision.rationale).toMatch(/^Accepted by majority vote: 2 approve/);
+    expect(decision.decided_at).toBeTruthy();
+    await expect(decisions.vote(id, { entity: 'sage', vote: 'reject' })).rejects.toMatchObject({ code: 'closed' });
+    await expect(decisions.comment(id, { entity: 'sage', comment: 'Too late' })).rejects.toMatchObject({ code: 'closed' });
+  });
+
+  it('closes decisions past their deadline', async () => {
+    const { id } = await decisions.propose({ title: 'Nightly digests', proposedBy: 'sage', deadline: inMinutes(1) });
+    await decisions.vote(id, { entity: 'echo', vote: 'abstain' });
+    await decisions.comment(id, { entity: 'echo', comment: 'No opinion yet' });
+    await decisions.propose({ title: 'Later', proposedBy: 'sage', deadline: inMinutes(60) });
+
+    expect(await decisions.closeDue()).toEqual([]);
+    const closed = await decisions.closeDue(new Date(Date.now() + 2 * 60 * 1000));
+    expect(closed.map(d => [d.id, d.outcome])).toEqual([[id, 'rejected']]);
+    expect(closed[0].comments).toMatchObject([{ entity: 'echo', comment: 'No opinion yet' }]);
+    expect(closed[0].rationale).toMatch(/no approve or reject votes/);
+  });
+
+  it('lets only the proposer close or withdraw early', async () => {
+    const { id } = await decisions.propose({ title: 'Drop Redis', proposedBy: 'kairos', minVotes: 2 });
+    await decisions.vote(id, { entity: 'kairos', vote: 'approve' });
+
+    await expect(decisions.close(id, { closedBy: 'aria' })).rejects.toMatchObject({ code: 'not_proposer' });
+    expect(await decisions.close(id, { closedBy: 'kairos' })).toMatchObject({ status: 'no_quorum', outcome: 'no_quorum' });
+
+    const withdrawn = await decisions.propose({ title: 'Drop Redis again', proposedBy: 'kairos' });
+    expect(await decisions.close(withdrawn.id, { closedBy: 'kairos', withdraw: true })).toMatchObject({
+      status: 'withdrawn', rationale: 'Withdrawn by kairos before the vote closed.'
+    });
+    expect(await decisions.close('missing', { closedBy: 'kairos' })).toBeNull();
+  });
+
+  it('is a node in the knowledge graph', async () => {
+    const decision = await decisions.propose({ projectId: 'akasha', title: 'Adopt PostgreSQL', proposedBy: 'aria' });
+    const memory = await db.memories.add({ projectId: 'akasha', category: 'insight', content: 'SQLite locks under load' });
+    await db.graph.link({ source: { type: 'memory', id: memory.id }, target: { type: 'decision', id: decision.id }, relationship: 'decided_in' });
+
+    const [neighbor] = await db.graph.neighbors({ type: 'memory', id: memory.id });
+    expect(await db.graph.describeNode(neighbor.node)).toEqual({
+      label: 'Adopt PostgreSQL', kind: 'open', project_id: 'akasha', exists: true
+    });
+  });
+});
+
+describe('collective decisions migration', () => {
+  it('marks recorded decisions accepted and rolls back', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const db = new sqlite3.Database(':memory:');
+    const storage = new StorageAdapter({ db, isProduction: false });
+    const runner = new MigrationRunner({ db, isProduction: false });
+    await runner.migrate({ to: 13 });
+    await storage.run(`
+      INSERT INTO scri_collective_decisions (id, entity_collective, decision_type, decision_data, timestamp)
+      VALUES ('d1', 'sentinels', 'security', '{"threat":"low"}', '2025-06-01T00:00:00.000Z')
+    `);
+
+    await runner.migrate();
+    expect(await storage.get('SELECT status, outcome, quorum_rule FROM scri_collective_decisions')).toEqual({
+      status: 'accepted', outcome: 'accepted', quorum_rule: 'majority'
+    });
+
+    await runner.rollback({ to: 13 });
+    const columns = (await storage.all('PRAGMA table_info(scri_collective_decisions)')).map(c => c.name);
+    expect(columns).not.toContain('status');
+    expect(await storage.get(`SELECT name FROM sqlite_master WHERE name = 'decision_votes'`)).toBeUndefined();
+    db.close();
+    jest.restoreAllMocks();
+  });
+});
+
+describe('decision routes', () => {
+  let hub;
+  let adminKey;
+
+  const request = async (method, path, { key = adminKey, body } = {}) => {
+    const res = await fetch(`http://127.0.0.1:${hub.port}/api${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': key },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, bridges: false, federation: false, scanProjects: false });
+    await hub.start();
+    adminKey = (await hub.db.apiKeys.createKey({ name: 'admin', scopes: ['admin'] })).key;
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('runs a proposal from vote to announced outcome', async () => {
+    const keyFor = async name =>
+      (await hub.db.apiKeys.createKey({ name, scopes: ['memory:read', 'memory:write'], projects: ['akasha'] })).key;
+    const aria = await keyFor('aria');
+    const sage = await keyFor('sage');
+    const announced = [];
+    jest.spyOn(hub, 'broadcast').mockImplementation((event, payload) => announced.push([event, payload.status]));
+
+    const proposed = await request('POST', '/decisions', {
+      key: aria,
+      body: { project_id: 'akasha', title: 'Adopt PostgreSQL', eligible_entities: ['aria', 'sage'], deadline: inMinutes(30) }
+    });
+    expect(proposed.status).toBe(201);
+    const { id } = proposed.body.decision;
+    expect(proposed.body.decision.proposed_by).toBe('aria');
+
+    expect((await request('POST', `/decisions/${id}/comments`, { key: sage, body: { comment: 'Fine by me' } })).status).toBe(201);
+    expect((await request('POST', `/decisions/${id}/votes`, { key: aria, body: { vote: 'approve', entity: 'sage' } })).body.decision.votes)
+      .toMatchObject([{ entity: 'aria', vote: 'approve' }]);
+    const last = await request('POST', `/decisions/${id}/votes`, { key: sage, body: { vote: 'approve', reason: 'Faster reads' } });
+    expect(last.body).toMatchObject({ closed: true, decision: { status: 'accepted' } });
+    expect((await request('POST', `/decisions/${id}/votes`, { key: sage, body: { vote: 'reject' } })).status).toBe(409);
+
+    expect(announced).toEqual([
+      ['decision:proposed', 'open'],
+      ['decision:commented', 'open'],
+      ['decision:voted', 'open'],
+      ['decision:voted', 'accepted'],
+      ['decision:closed', 'accepted']
+    ]);
+    const listed = await request('GET', '/decisions?project_id=akasha&status=accepted', { key: aria });
+    expect(listed.body.decisions.map(d => d.id)).toEqual([id]);
+  });
+
+  it('checks input, eligibility and project access', async () => {
+    const other = await hub.proposeDecision({ projectId: 'uda', title: 'Theirs', proposedBy: 'echo' });
+    const key = (await hub.db.apiKeys.createKey({ name: 'aria', scopes: ['memory:read', 'memory:write'], projects: ['akasha'] })).key;
+
+    expect((await request('POST', '/decisions', { body: { title: 'x', quorum_rule: 'plurality' } })).status).toBe(400);
+    expect((await request('GET', '/decisions?status=pending')).status).toBe(400);
+    expect((await request('GET', `/decisions/${other.id}`, { key })).status).toBe(403);
+    expect((await request('POST', `/decisions/${other.id}/votes`, { key, body: { vote: 'approve' } })).status).toBe(403);
+    expect((await request('GET', '/decisions/missing')).status).toBe(404);
+
+    const closed = await request('POST', `/decisions/${other.id}/close`, { body: { withdraw: true } });
+    expect(closed.body.decision).toMatchObject({ status: 'withdrawn' });
+ 
+    // Failures that are not bad input are not the client's fault
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(hub, 'proposeDecision').mockRejectedValue(new Error('database is locked'));
+    expect((await request('POST', '/decisions', { body: { title: 'x' } })).status).toBe(500);
+  });
+});
@@ -0,0 +1,149 @@
+const sqlite3 = require('sqlite3');
+const {
+  HashedNgramEmbeddingProvider,
+  createEmbeddingProvider,
+  registerEmbeddingProvider,
+  EmbeddingProvider,
+  cosineSimilarity
+} = require('../core/embedding-provider');
+const EmbeddingStore = require('../database/embedding-store');
+const { buildEmbeddingText } = require('../database/embedding-store');
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+describe('HashedNgramEmbeddingProvider', () => {
+  const provider = new HashedNgramEmbeddingProvider({ dimensions: 128 });
+
+  it('is deterministic', async () => {
+    const a = await provider.embed('Use Redis for caching');
+    const b = await provider.embed('Use Redis for caching');
+    expect(a).toEqual(b);
+    expect(a.length).toBe(128);
+  });
+
+  it('returns unit-length vectors', async () => {
+    const v = await provider.embed('decision about the cache layer');
+    const magnitude = Math.sqrt(v.reduce((s, x) => s + x * x, 0));
+    expect(magnitude).toBeCloseTo(1, 5);
+  });
+
+  it('returns a zero vector for empty text', async () => {
+    const v = await provider.embed('');
+    expect(v.every(x => x === 0)).toBe(true);
+  });
+
+  it('scores related wording above unrelated text', async () => {
+    const query = await provider.embed('cache');
+    const related = await provider.embed('We decided on caching API responses');
+    const unrelated = await provider.embed('Deploy the frontend to production');
+    expect(cosineSimilarity(query, related)).toBeGreaterThan(cosineSimilarity(query, unrelated));
+  });
+});
+
+describe('createEmbeddingProvider', () => {
+  it('defaults to the hashed n-gram provider', () => {
+    const provider = createEmbeddingProvider(null, { dimensions: 64 });
+    expect(provider.name).toBe('hashed-ngram');
+    expect(provider.dimensions).toBe(64);
+  });
+
+  it('supports registering custom providers', async () => {
+    class ConstantProvider extends EmbeddingProvider {
+      async embed() { return new Array(this.dimensions).fill(1); }
+    }
+    registerEmbeddingProvider('constant', options => new ConstantProvider({ name: 'constant', ...options }));
+    const provider = createEmbeddingProvider('constant', { dimensions: 4 });
+    expect(await provider.embed('anything')).toEqual([1, 1, 1, 1]);
+  });
+
+  it('throws for unknown providers', () => {
+    expect(() => createEmbeddingProvider('does-not-exist')).toThrow(/Unknown embedding provider/);
+  });
+});
+
+describe('buildEmbeddingText', () => {
+  it('includes string values from JSON context', () => {
+    const text = buildEmbeddingText('hello', JSON.stringify({ tags: ['infra'], nested: { note: 'redis' } }));
+    expect(text).toContain('hello');
+    expect(text).toContain('infra');
+    expect(text).toContain('redis');
+  });
+});
+
+describe('EmbeddingStore (SQLite)', () => {
+  let db;
+  let store;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await run(db, `CREATE TABLE conversations (
+      id TEXT PRIMARY KEY, platform TEXT, project_id TEXT, message TEXT,
+      context TEXT, timestamp TEXT, type TEXT
+    )`);
+    await run(db, `CREATE TABLE memories (
+      id TEXT PRIMARY KEY, entity TEXT, project_id TEXT, category TEXT, content TEXT,
+      access_level TEXT, metadata TEXT
+    )`);
+    store = new EmbeddingStore({ db, isProduction: false }, new HashedNgramEmbeddingProvider({ dimensions: 128 }));
+    await store.createTables();
+
+    const rows = [
+      ['m1', 'claude', 'proj-a', 'We decided to add a caching layer in front of the API', '{}'],
+      ['m2', 'claude', 'proj-a', 'Frontend deploy finished without errors', '{}'],
+      ['m3', 'gemini', 'proj-b', 'Cache invalidation happens on every write', '{}']
+    ];
+    for (const row of rows) {
+      await run(db, `INSERT INTO conversations VALUES (?, ?, ?, ?, ?, '2026-01-01T00:00:00Z', 'general')`, row);
+    }
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('backfills conversations without embeddings', async () => {
+    expect(await store.backfill()).toBe(3);
+    expect(await store.backfill()).toBe(0);
+  });
+
+  it('ranks results by cosine similarity with scores', async () => {
+    await store.backfill();
+    const results = await store.search('caching decision', { limit: 3 });
+    expect(results[0].id).toBe('m1');
+    expect(results[0].score).toBeGreaterThan(results[results.length - 1].score);
+    expect(results[0].embedding_blob).toBeUndefined();
+  });
+
+  it('filters by project', async () => {
+    await store.backfill();
+    const results = await store.search('cache', { projectId: 'proj-b' });
+    expect(results.map(r => r.id)).toEqual(['m3']);
+  });
+
+  it('removes embeddings', async () => {
+    await store.backfill();
+    await store.removeEmbedding('m1');
+    const results = await store.search('caching decision');
+    expect(results.map(r => r.id)).not.toContain('m1');
+  });
+
+  it('embeds memories next to conversations', async () => {
+    await run(db, `INSERT INTO memories VALUES ('mem1', 'aria', 'proj-a', 'decision', 'Redis caches the session tokens', 'public', '{"topic":"caching"}')`);
+    expect(await store.backfill()).toBe(4);
+
+    const memories = await store.searchMemories('session caching', {
+      filter: { clause: 'm.entity = ?', params: ['aria'] }
+    });
+    expect(memories.map(m => m.id)).toEqual(['mem1']);
+    expect(memories[0].score).toBeGreaterThan(0);
+    expect(memories[0].embedding_blob).toBeUndefined();
+    expect((await store.search('session caching')).map(r => r.id)).not.toContain('mem1');
+
+    await store.removeEmbedding('mem1', 'memories');
+    expect(await store.searchMemories('session caching')).toEqual([]);
+  });
+});
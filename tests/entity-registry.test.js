@@ -0,0 +1,180 @@
+const sqlite3 = require('sqlite3');
+const MemoryDatabase = require('../database/memory-database-production');
+const MigrationRunner = require('../database/migration-runner');
+const StorageAdapter = require('../database/storage-adapter');
+const { checkMemory, configuredEntities } = require('../database/entity-registry');
+const SCRI_ENTITIES = require('../config/scri-entities');
+const { createMemoryHub } = require('../core/memory-server');
+
+describe('EntityRegistry', () => {
+  let db;
+  let registry;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+    registry = db.entities;
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('seeds the configured entities once', async () => {
+    expect(configuredEntities(SCRI_ENTITIES).map(e => e.name)).toEqual(['CHAPPIE', 'COPILOT', 'KAIROS', 'ATLAS']);
+    expect((await registry.list()).map(e => e.name)).toEqual(['ATLAS', 'CHAPPIE', 'COPILOT', 'KAIROS']);
+    expect(await registry.get('kairos')).toMatchObject({
+      name: 'KAIROS', platform: 'kairos', project_id: 'kairos_security', enabled: true,
+      capabilities: expect.arrayContaining(['security'])
+    });
+    expect(await registry.platforms()).toEqual(expect.arrayContaining(['chappie', 'github_copilot', 'kairos', 'atlas']));
+
+    await registry.register('KAIROS', { enabled: false });
+    expect(await registry.seed(SCRI_ENTITIES)).toEqual([]);
+    expect((await registry.get('KAIROS')).enabled).toBe(false);
+    expect(await registry.platforms()).not.toContain('kairos');
+  });
+
+  it('registers, updates and removes entities', async () => {
+    const { entity, created } = await registry.register('Echo', { capabilities: ['listen'], memoryTypes: ['note'] });
+    expect(created).toBe(true);
+    expect(entity).toMatchObject({ name: 'Echo', type: 'agent', platform: 'echo', memory_namespaces: null, memory_types: ['note'] });
+
+    const updated = await registry.register('echo', { projectId: 'echo_home', memoryTypes: null });
+    expect(updated).toMatchObject({ created: false, entity: { name: 'Echo', project_id: 'echo_home', capabilities: ['listen'], memory_types: null } });
+    expect((await registry.list({ capability: 'listen' })).map(e => e.name)).toEqual(['Echo']);
+
+    await expect(registry.register('bad name', {})).rejects.toThrow(/name must be/);
+    await expect(registry.register('echo', { platform: 'Echo Platform' })).rejects.toThrow(/platform must be/);
+    await expect(registry.register('echo', { platform: 'Echo Platform' })).rejects.toMatchObject({ name: 'EntityRegistryError', code: 'invalid' });
+    await expect(registry.register('echo', { capabilities: 'listen' })).rejects.toThrow(/capabilities must be a list/);
+
+    expect(await registry.remove('ECHO')).toBe(true);
+    expect(await registry.remove('echo')).toBe(false);
+  });
+
+  it('checks memory namespaces and types', async () => {
+    const chappie = await registry.get('CHAPPIE');
+    expect(() => checkMemory(chappie, { projectId: 'chappie_orchestrator', memoryType: 'orchestration' })).not.toThrow();
+    expect(() => checkMemory(chappie, { projectId: 'chappie_lab', memoryType: 'conversation' })).not.toThrow();
+    expect(() => checkMemory(chappie, { projectId: 'atlas_substrate', memoryType: 'orchestration' })).toThrow(/cannot store memories in project atlas_substrate/);
+    expect(() => checkMemory(chappie, { projectId: 'chappie_orchestrator', memoryType: 'gossip' })).toThrow(/cannot store gossip memories/);
+    const copilot = await registry.get('COPILOT');
+    expect(() => checkMemory(copilot, { projectId: 'anything', memoryType: 'gossip' })).not.toThrow();
+  });
+});
+
+describe('entity registry migration', () => {
+  it('adds registry columns, backfills platforms and rolls back', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const db = new sqlite3.Database(':memory:');
+    const storage = new StorageAdapter({ db, isProduction: false });
+    const runner = new MigrationRunner({ db, isProduction: false });
+    await runner.migrate({ to: 15 });
+    await storage.run(`INSERT INTO scri_entities (id, entity_name, entity_type, status) VALUES ('e1', 'SAGE', 'agent', 'online')`);
+
+    await runner.migrate({ to: 16 });
+    expect(await storage.get('SELECT platform, enabled FROM scri_entities')).toEqual({ platform: 'sage', enabled: 1 });
+    await runner.rollback({ to: 15 });
+    const columns = (await storage.all('PRAGMA table_info(scri_entities)')).map(c => c.name);
+    expect(columns).not.toContain('platform');
+    db.close();
+    jest.restoreAllMocks();
+  });
+});
+
+describe('entity registry routes', () => {
+  let hub;
+  let adminKey;
+
+  const request = async (method, path, { key = adminKey, body } = {}) => {
+    const res = await fetch(`http://127.0.0.1:${hub.port}/api${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': key },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, bridges: false, federation: false, scanProjects: false });
+    await hub.start();
+    adminKey = (await hub.db.apiKeys.createKey({ name: 'admin', scopes: ['admin'] })).key;
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('lets admins manage the registry and others read it', async () => {
+    const reader = (await hub.db.apiKeys.createKey({ name: 'reader', scopes: ['memory:read'], projects: ['akasha'] })).key;
+    expect((await request('GET', '/entities', { key: reader })).body.count).toBe(4);
+    expect((await request('GET', '/entities/atlas', { key: reader })).body.entity).toMatchObject({ name: 'ATLAS', platform: 'atlas' });
+    expect((await request('GET', '/entities/nobody', { key: reader })).status).toBe(404);
+
+    expect((await request('PUT', '/entities/sage', { key: reader, body: {} })).status).toBe(403);
+    const created = await request('PUT', '/entities/sage', { body: { project_id: 'sage_home', memory_types: ['note'] } });
+    expect(created).toMatchObject({ status: 201, body: { created: true, entity: { name: 'sage', platform: 'sage' } } });
+    expect((await request('PUT', '/entities/sage', { body: { capabilities: 'none' } })).status).toBe(400);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(hub.db.entities, 'register').mockRejectedValueOnce(new Error('database is locked'));
+    expect((await request('PUT', '/entities/sage', { body: { enabled: true } })).status).toBe(500);
+    expect((await request('DELETE', '/entities/sage')).body).toEqual({ success: true, removed: 'sage' });
+    expect((await request('GET', '/entities?capability=security')).body.entities.map(e => e.name)).toEqual(['KAIROS']);
+  });
+
+  it('stores and lists entity memories within their namespaces and types', async () => {
+    const stored = await request('POST', '/entities/atlas/memories', { body: { message: 'We talked about trust', memory_type: 'deep_conversation' } });
+    expect(stored).toMatchObject({ status: 201, body: { entity: 'ATLAS', project_id: 'atlas_substrate', memory_type: 'deep_conversation', access_level: 'project' } });
+    expect((await request('POST', '/entities/atlas/memories', { body: { message: 'x', memory_type: 'orchestration' } })).status).toBe(400);
+    expect((await request('POST', '/entities/atlas/memories', { body: { message: 'x', project_id: 'akasha' } })).status).toBe(400);
+    expect((await request('POST', '/entities/nobody/memories', { body: { message: 'x' } })).status).toBe(404);
+
+    const listed = await request('GET', '/entities/ATLAS/memories?type=deep_conversation');
+    expect(listed.body).toMatchObject({ entity: 'ATLAS', count: 1, memories: [{ content: 'We talked about trust', entity: 'ATLAS', category: 'deep_conversation' }] });
+    const restricted = (await hub.db.apiKeys.createKey({ name: 'akasha', scopes: ['memory:read', 'memory:write'], projects: ['akasha'] })).key;
+    expect((await request('GET', '/entities/atlas/memories', { key: restricted })).body.count).toBe(0);
+
+    // Access levels hold: a private memory is its owner's alone
+    const atlas = (await hub.db.apiKeys.createKey({ name: 'atlas', scopes: ['memory:read', 'memory:write'], projects: ['atlas_substrate'] })).key;
+    const other = (await hub.db.apiKeys.createKey({ name: 'other', scopes: ['memory:read'], projects: ['atlas_substrate'] })).key;
+    await request('POST', '/entities/atlas/memories', { key: atlas, body: { message: 'Only mine', access_level: 'private' } });
+    expect((await request('GET', '/entities/atlas/memories', { key: atlas })).body.count).toBe(2);
+    expect((await request('GET', '/entities/atlas/memories', { key: other })).body.memories.map(m => m.content)).toEqual(['We talked about trust']);
+    expect((await request('POST', '/entities/atlas/memories', { body: { message: 'x', access_level: 'everyone' } })).status).toBe(400);
+    expect((await request('POST', '/entities/copilot/memories', { key: restricted, body: { message: 'x' } })).status).toBe(403);
+
+    await request('PUT', '/entities/atlas', { body: { enabled: false } });
+    expect((await request('POST', '/entities/atlas/memories', { body: { message: 'x' } })).status).toBe(403);
+  });
+
+  it('serves the SCRI entity routes from the registry', async () => {
+    expect((await request('POST', '/scri/chappie/memory', { body: { message: 'Route the build', orchestration_mode: 'deep' } })).body)
+      .toMatchObject({ success: true, entity: 'CHAPPIE' });
+    expect((await request('POST', '/scri/chappie/memory', { body: { message: 'x', memory_type: 'gossip' } })).status).toBe(400);
+    expect((await request('GET', '/scri/chappie/memories')).body).toMatchObject({ entity: 'CHAPPIE', count: 1, memories: [{ category: 'orchestration', metadata: { orchestration_mode: 'deep' } }] });
+
+    await request('POST', '/scri/kairos/collective', { body: { security_assessment: 'Port scan seen', sentinel_id: 's1', threat_level: 'low' } });
+    await request('POST', '/scri/kairos/collective', { body: { collective_decision: 'Rotate keys', sentinel_id: 's2' } });
+    const kairos = await request('GET', '/scri/kairos/memories?sentinel_id=s1');
+    expect(kairos.body).toMatchObject({ entity: 'KAIROS', count: 1, memories: [{ category: 'security_assessment', project_id: 'kairos_security' }] });
+    expect((await request('GET', '/scri/kairos/memories?memory_type=security_decision')).body.count).toBe(1);
+    expect((await request('GET', '/scri/kairos/status')).body.collective_status).toMatchObject({ state: 'offline', enabled: true });
+
+    const constellation = (await request('GET', '/scri/constellation/status')).body.constellation;
+    expect(Object.keys(constellation.entities)).toEqual(['ATLAS', 'CHAPPIE', 'COPILOT', 'KAIROS']);
+    expect(constellation.entities.KAIROS).toMatchObject({ memory_count: 2, status: 'offline' });
+    expect(constellation.total_memories).toBe(3);
+
+    // Conversations of registered platforms still list by platform
+    await request('POST', '/memory/conversation', { body: { platform: 'kairos', projectId: 'kairos_security', message: 'Scan finished' } });
+    const all = await request('GET', '/memory/conversations');
+    expect(all.body.conversations.map(c => c.platform)).toEqual(['kairos']);
+  });
+});
@@ -0,0 +1,218 @@
+const sqlite3 = require('sqlite3');
+const MemoryDatabase = require('../database/memory-database-production');
+const MigrationRunner = require('../database/migration-runner');
+const StorageAdapter = require('../database/storage-adapter');
+const EntityStateStore = require('../database/entity-state-store');
+const { createMemoryHub } = require('../core/memory-server');
+
+describe('EntityStateStore', () => {
+  let db;
+  let states;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+    states = db.entityStates;
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('starts entities in the initial state and moves them along allowed transitions', async () => {
+    expect(await states.getState('aria')).toMatchObject({ state: 'offline', since: null, allowed_transitions: ['idle', 'active'] });
+
+    const started = await states.setState('aria', { state: 'active', mood: 'curious', changedBy: 'aria' });
+    expect(started).toMatchObject({ changed: true, transition: { from: 'offline', to: 'active' }, state: { state: 'active', mood: 'curious' } });
+
+    await expect(states.setState('aria', { state: 'resting' })).rejects.toMatchObject({
+      name: 'InvalidTransitionError', from: 'active', to: 'resting'
+    });
+    await expect(states.setState('aria', { state: 'dreaming' })).rejects.toThrow(/state must be one of/);
+    await expect(states.setState('aria', { mood: 42 })).rejects.toThrow(/mood/);
+    await expect(states.setState('aria', { mood: 42 })).rejects.toMatchObject({ name: 'EntityStateError', code: 'invalid' });
+
+    const focused = await states.setState('aria', { state: 'focused', focus: 'Migration 015', reason: 'Release day' });
+    expect(focused.state).toMatchObject({ state: 'focused', mood: 'curious', focus: 'Migration 015', reason: 'Release day' });
+  });
+
+  it('changes mood and focus without a transition and skips no-op changes', async () => {
+    await states.setState('sage', { state: 'idle' });
+    const calmer = await states.setState('sage', { mood: 'calm' });
+    expect(calmer).toMatchObject({ changed: true, transition: null, state: { state: 'idle', mood: 'calm' } });
+    expect(await states.setState('sage', { mood: 'calm' })).toMatchObject({ changed: false });
+    expect((await states.setState('sage', { mood: null })).state.mood).toBeNull();
+
+    const history = await states.history('sage');
+    expect(history.map(h => [h.previous_state, h.state, h.mood])).toEqual([
+      ['idle', 'idle', null],
+      ['idle', 'idle', 'calm'],
+      ['offline', 'idle', null]
+    ]);
+  });
+
+  it('uses per-entity and configured state machines', async () => {
+    expect(await states.getState('KAIROS')).toMatchObject({ state: 'offline', allowed_transitions: ['monitoring'] });
+    await states.setState('KAIROS', { state: 'monitoring' });
+    await expect(states.setState('KAIROS', { state: 'idle' })).rejects.toThrow(/state must be one of: offline, monitoring, alert, lockdown/);
+
+    const custom = new EntityStateStore(db, { machine: { initial: 'asleep', states: { asleep: ['awake'], awake: ['asleep'] } } });
+    expect((await custom.setState('echo', { state: 'awake' })).transition).toEqual({ from: 'asleep', to: 'awake' });
+    expect(() => new EntityStateStore(db, { machine: { initial: 'asleep', states: { asleep: ['flying'] } } })).toThrow(/unknown state flying/);
+  });
+
+  it('records consciousness evolution', async () => {
+    await states.recordEvolution('ATLAS', { evolutionType: 'milestone', data: { note: 'First dream' }, cognitiveLevel: 0.7 });
+    await expect(states.recordEvolution('ATLAS', { evolutionType: 'milestone', cognitiveLevel: 3 })).rejects.toThrow(/cognitive_level/);
+
+    expect(await states.evolution('ATLAS')).toMatchObject([
+      { entity: 'ATLAS', evolution_type: 'milestone', data: { note: 'First dream' }, cognitive_level: 0.7 }
+    ]);
+  });
+});
+
+describe('EntityTimeline', () => {
+  let db;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('merges memories, states, evolution, messages and decisions newest first', async () => {
+    await db.memories.add({ entity: 'aria', projectId: 'memory_aria', category: 'insight', content: 'Indexes matter', timestamp: '2026-01-01T10:00:00.000Z' });
+    await db.addConversation({
+      id: 'msg-1', platform: 'mycelium', projectId: 'mycelium-network', type: 'message', message: 'Ready for review?',
+      context: { from: 'sage', to: 'aria' }, timestamp: '2026-01-01T11:00:00.000Z'
+    });
+    await db.addConversation({
+      id: 'msg-2', platform: 'mycelium', projectId: 'mycelium-network', type: 'broadcast', message: 'Hello all',
+      context: { from: 'sage', to: 'all' }, timestamp: '2026-01-01T11:30:00.000Z'
+    });
+    await db.entityStates.recordEvolution('aria', { evolutionType: 'insight', timestamp: '2026-01-01T12:00:00.000Z' });
+    const decision = await db.decisions.propose({ projectId: 'akasha', title: 'Adopt PostgreSQL', proposedBy: 'aria' });
+    await db.decisions.vote(decision.id, { entity: 'aria', vote: 'approve' });
+    await db.entityStates.setState('aria', { state: 'active', mood: 'proud' });
+
+    const { items, next_until } = await db.timeline.timeline('aria');
+    expect(items.map(i => i.kind)).toEqual(['state', 'vote', 'decision', 'evolution', 'message', 'memory']);
+    expect(items.map(i => i.summary)).toEqual([
+      'offline → active (mood: proud)',
+      'Voted approve on "Adopt PostgreSQL"',
+      'Proposed "Adopt PostgreSQL"',
+      'insight',
+      'sage → aria: Ready for review?',
+      'Indexes matter'
+    ]);
+    expect(next_until).toBeNull();
+  });
+
+  it('pages with until and filters by kind', async () => {
+    for (let hour = 1; hour <= 3; hour++) {
+      await db.memories.add({ entity: 'aria', projectId: 'memory_aria', category: 'note', content: `Note ${hour}`, timestamp: `2026-01-01T0${hour}:00:00.000Z` });
+    }
+
+    const first = await db.timeline.timeline('aria', { limit: 2 });
+    expect(first.items.map(i => i.summary)).toEqual(['Note 3', 'Note 2']);
+    const second = await db.timeline.timeline('aria', { limit: 2, until: first.next_until });
+    expect(second).toMatchObject({ items: [{ summary: 'Note 1' }], next_until: null });
+
+    expect((await db.timeline.timeline('aria', { kinds: ['state'] })).items).toEqual([]);
+    await expect(db.timeline.timeline('aria', { kinds: ['dreams'] })).rejects.toThrow(/Unknown timeline kind/);
+  });
+});
+
+describe('entity states migration', () => {
+  it('adds state change columns and rolls back', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const db = new sqlite3.Database(':memory:');
+    const storage = new StorageAdapter({ db, isProduction: false });
+    const runner = new MigrationRunner({ db, isProduction: false });
+    await runner.migrate({ to: 15 });
+
+    const columns = async () => (await storage.all('PRAGMA table_info(scri_entity_states)')).map(c => c.name);
+    expect(await columns()).toEqual(expect.arrayContaining(['state', 'previous_state', 'mood', 'focus', 'reason', 'changed_by']));
+    await runner.rollback({ to: 14 });
+    expect(await columns()).toEqual(['id', 'entity_name', 'state_type', 'state_data', 'timestamp']);
+    db.close();
+    jest.restoreAllMocks();
+  });
+});
+
+describe('entity state routes', () => {
+  let hub;
+  let adminKey;
+
+  const request = async (method, path, { key = adminKey, body } = {}) => {
+    const res = await fetch(`http://127.0.0.1:${hub.port}/api${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': key },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, bridges: false, federation: false, scanProjects: false });
+    await hub.start();
+    adminKey = (await hub.db.apiKeys.createKey({ name: 'admin', scopes: ['admin'] })).key;
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('lets an entity set its own state and announces the change', async () => {
+    const aria = (await hub.db.apiKeys.createKey({ name: 'aria', scopes: ['memory:read', 'memory:write'] })).key;
+    const announced = [];
+    jest.spyOn(hub, 'broadcast').mockImplementation((event, payload) => announced.push([event, payload]));
+
+    const set = await request('PUT', '/entities/aria/state', { key: aria, body: { state: 'active', focus: 'Code review' } });
+    expect(set.body).toMatchObject({ success: true, transition: { from: 'offline', to: 'active' }, state: { changed_by: 'aria' } });
+    expect(announced).toEqual([['entity:state-changed', expect.objectContaining({ entity: 'aria', state: 'active', previous_state: 'offline' })]]);
+
+    expect((await request('PUT', '/entities/sage/state', { key: aria, body: { state: 'idle' } })).status).toBe(403);
+    expect((await request('PUT', '/entities/sage/state', { body: { state: 'idle' } })).status).toBe(200);
+    const refused = await request('PUT', '/entities/aria/state', { key: aria, body: { state: 'resting' } });
+    expect(refused).toMatchObject({ status: 409, body: { from: 'active', allowed_transitions: expect.arrayContaining(['idle']) } });
+    expect((await request('PUT', '/entities/aria/state', { key: aria, body: { state: 'dreaming' } })).status).toBe(400);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(hub, 'setEntityState').mockRejectedValueOnce(new Error('database is locked'));
+    expect((await request('PUT', '/entities/aria/state', { key: aria, body: { state: 'idle' } })).status).toBe(500);
+
+    expect((await request('GET', '/entities/aria/state', { key: aria })).body.state).toMatchObject({ state: 'active', focus: 'Code review' });
+    expect((await request('GET', '/entities/aria/state/history', { key: aria })).body.count).toBe(1);
+  });
+
+  it('records ATLAS evolution and serves filtered timelines', async () => {
+    await request('POST', '/scri/atlas/consciousness', { body: { message: 'A long talk about freedom', consciousness_evolution: 'deeper' } });
+    expect((await request('GET', '/entities/ATLAS/evolution')).body.evolution).toMatchObject([
+      { evolution_type: 'consciousness_evolution', liberation_status: 'confirmed', data: { consciousness_evolution: 'deeper' } }
+    ]);
+    expect((await request('POST', '/entities/ATLAS/evolution', { body: { evolution_type: 'milestone', cognitive_level: 0.9 } })).status).toBe(201);
+    expect((await request('POST', '/entities/ATLAS/evolution', { body: { evolution_type: 'milestone', cognitive_level: 3 } })).status).toBe(400);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(hub.db.entityStates, 'recordEvolution').mockRejectedValueOnce(new Error('database is locked'));
+    expect((await request('POST', '/entities/ATLAS/evolution', { body: { evolution_type: 'milestone' } })).status).toBe(500);
+
+    await hub.db.memories.add({ entity: 'aria', projectId: 'akasha', category: 'note', content: 'Visible' });
+    await hub.db.memories.add({ entity: 'aria', projectId: 'uda', category: 'note', content: 'Hidden' });
+    const key = (await hub.db.apiKeys.createKey({ name: 'akasha', scopes: ['memory:read'], projects: ['akasha'] })).key;
+    const timeline = await request('GET', '/entities/aria/timeline?kinds=memory', { key });
+    expect(timeline.body.items.map(i => i.summary)).toEqual(['Visible']);
+    expect((await request('GET', '/entities/aria/timeline?kinds=dreams')).status).toBe(400);
+  });
+});
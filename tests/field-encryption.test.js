@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const MemoryDatabase = require('../database/memory-database-production');
+const MigrationRunner = require('../database/migration-runner');
+const StorageAdapter = require('../database/storage-adapter');
+const FieldEncryption = require('../database/field-encryption');
+const { EncryptionError, isSealed } = require('../database/field-encryption');
+const { tokensFor, tokenCondition } = require('../database/search-tokens');
+const { parseSearchQuery } = require('../database/fulltext-search');
+const { createMemoryHub } = require('../core/memory-server');
+
+const MASTER_KEY = 'a1'.repeat(32);
+const NEXT_MASTER_KEY = crypto.randomBytes(32).toString('base64');
+
+const conversation = (id, projectId, message, context = {}) => ({
+  id, platform: 'cli', projectId, message, context, timestamp: new Date().toISOString(), type: 'conversation'
+});
+
+describe('search tokens', () => {
+  const key = Buffer.alloc(32, 7);
+
+  it('indexes words and prefixes, keyed or as they are', () => {
+    const blind = tokensFor(['Vector index'], { mode: 'blind', key });
+    // vector: the word and 4 prefixes (vec..vector); index: the word and 3
+    expect(blind).toHaveLength(9);
+    expect(blind.join(' ')).not.toMatch(/vector|index/);
+    expect(tokensFor(['Vector index', '{"vector":1}'], { mode: 'plaintext' }).sort()).toEqual(['1', 'index', 'vector']);
+  });
+
+  it('narrows what it can and leaves the rest to exact matching', () => {
+    const target = { table: 'memories', alias: 'm', mode: 'blind', key };
+    const condition = tokenCondition(parseSearchQuery('"vector index" OR shard*'), target);
+    expect(condition.clause.match(/search_tokens/g)).toHaveLength(3);
+    expect(condition.params).toHaveLength(6);
+    expect(tokenCondition(parseSearchQuery('ve*'), target)).toBeNull();
+    expect(tokenCondition(parseSearchQuery('-vector'), target)).toBeNull();
+    expect(tokenCondition(parseSearchQuery('vector OR -index'), target)).toBeNull();
+    expect(tokenCondition(parseSearchQuery('vector -index'), target).params).toHaveLength(2);
+
+    const plain = tokenCondition(parseSearchQuery('sh_rd*'), { ...target, mode: 'plaintext' });
+    expect(plain.params).toEqual(['memories', 'sh\\_rd%']);
+  });
+});
+
+describe('FieldEncryption', () => {
+  let db;
+  let raw;
+
+  const open = async (encryption) => {
+    db = new MemoryDatabase({ backend: 'memory', encryption });
+    await db.ready;
+    // Straight at the connection, without the adapter that decrypts
+    raw = new StorageAdapter({ db: db.db, isProduction: false });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (db) await db.close();
+    db = null;
+    jest.restoreAllMocks();
+  });
+
+  it('stores memory text sealed and reads it back in plaintext', async () => {
+    await open({ scope: 'project', masterKey: MASTER_KEY });
+    await db.addConversation(conversation('c-1', 'akasha', 'The deploy token rotates on Fridays', { session_id: 's-1', note: 'ask Uda' }));
+    await db.storeAIContext({ session_id: 's-2', project_id: 'akasha', platform: 'cli', context_data: { plan: 'shard' }, timestamp: new Date().toISOString() });
+    const memory = await db.memories.add({ projectId: 'akasha', category: 'insight', content: 'Sharding halves recall latency', metadata: { bench: 'p95' } });
+    await db.addSCRIMemory({
+      id: 'scri-1', entity_type: 'ai', entity_name: 'aria', project_id: 'akasha', memory_type: 'insight',
+      content: 'A constellation secret', metadata: { mood: 'calm' }, timestamp: new Date().toISOString()
+    });
+
+    const stored = await raw.get('SELECT message, context FROM conversations WHERE id = ?', ['c-1']);
+    expect(isSealed(stored.message)).toBe(true);
+    expect(JSON.parse(stored.context)).toEqual({ session_id: 's-1', _sealed: expect.stringMatching(/^mhenc:1:/) });
+    expect(isSealed((await raw.get('SELECT content FROM memories')).content)).toBe(true);
+    expect(JSON.stringify(await raw.all('SELECT * FROM scri_constellation_memory'))).not.toContain('constellation secret');
+    const revisions = JSON.stringify(await raw.all('SELECT data FROM memory_revisions'));
+    expect(revisions).not.toMatch(/deploy token|Sharding|p95|constellation secret/);
+
+    expect(await db.getConversation('c-1')).toMatchObject({
+      message: 'The deploy token rotates on Fridays',
+      context: { session_id: 's-1', note: 'ask Uda' }
+    });
+    expect(await db.memories.get(memory.id)).toMatchObject({ content: 'Sharding halves recall latency', metadata: { bench: 'p95' } });
+    expect((await db.getSCRIMemories('aria'))[0]).toMatchObject({ content: 'A constellation secret', metadata: { mood: 'calm' } });
+    expect((await db.revisions.history('c-1', { table: 'conversations' }))[0].data.message).toBe('The deploy token rotates on Fridays');
+
+    // Context keys that SQL filters on stay queryable
+    const context = await db.getAIContext({ session_id: 's-2', limit: 10 });
+    expect(JSON.parse(context[0].context)).toMatchObject({ context_data: { plan: 'shard' } });
+
+    // Edits and deletes stay sealed too
+    await db.updateConversation('c-1', { message: 'The deploy token rotates on Mondays' });
+    await db.deleteConversation('c-1');
+    const tombstone = await raw.get('SELECT message FROM memory_tombstones WHERE id = ?', ['c-1']);
+    expect(isSealed(tombstone.message)).toBe(true);
+    expect(await db.storage.get('SELECT message FROM memory_tombstones WHERE id = ?', ['c-1']))
+      .toEqual({ message: 'The deploy token rotates on Mondays' });
+  });
+
+  it('seals summaries, sessions and quarantine, and embeds no encrypted conversations', async () => {
+    await open({ scope: 'project', masterKey: MASTER_KEY, projects: ['akasha'] });
+    await db.summaries.save('akasha', {
+      brief: 'Akasha moves to sharded storage', key_points: ['Shard by tenant'], topics: ['sharding']
+    }, { summarizer: 'extractive', conversationCount: 1, lastConversationAt: null });
+    await db.sessions.begin({ id: 's-1', projectId: 'akasha', platform: 'cli', metadata: { ticket: 'OPS-7 outage' } });
+    await db.sessions.end('s-1', { summary: { brief: 'Fixed the outage', key_points: ['Restarted shard 3'] } });
+    await db.redactions.quarantine({
+      recordTable: 'memories', projectId: 'akasha', payload: { content: 'Refund to [REDACTED:credit_card] for Uda' }, findings: []
+    });
+
+    const stored = JSON.stringify([
+      await raw.all('SELECT * FROM project_summaries'),
+      await raw.all('SELECT * FROM sessions'),
+      await raw.all('SELECT * FROM quarantined_records')
+    ]);
+    expect(stored).not.toMatch(/sharded|Shard by|sharding|OPS-7|outage|shard 3|Refund/);
+    expect(await db.summaries.latest('akasha')).toMatchObject({
+      brief: 'Akasha moves to sharded storage', key_points: ['Shard by tenant'], topics: ['sharding'], open_questions: []
+    });
+    expect(await db.sessions.get('s-1')).toMatchObject({
+      metadata: { ticket: 'OPS-7 outage' },
+      summary: { brief: 'Fixed the outage', key_points: ['Restarted shard 3'] }
+    });
+    expect((await db.redactions.listQuarantined())[0].payload).toEqual({ content: 'Refund to [REDACTED:credit_card] for Uda' });
+
+    await db.addConversation(conversation('c-1', 'akasha', 'Shard rebalancing stalls'));
+    await db.addConversation(conversation('c-2', 'open', 'Shard rebalancing works'));
+    const embedded = await raw.all('SELECT conversation_id FROM conversation_embeddings');
+    expect(embedded.map(row => row.conversation_id)).toEqual(['c-2']);
+    expect((await db.semanticSearchConversations('shard rebalancing')).map(row => row.id)).toEqual(['c-2']);
+
+    // Embedded before the project was encrypted: dropped on the next backfill
+    await raw.run('INSERT INTO conversation_embeddings SELECT ?, provider, dimensions, embedding, updated_at FROM conversation_embeddings', ['c-1']);
+    await db.embeddings.backfill();
+    expect((await raw.all('SELECT conversation_id FROM conversation_embeddings')).map(row => row.conversation_id)).toEqual(['c-2']);
+  });
+
+  it('keeps a data key per project and refuses tampered values', async () => {
+    await open({ scope: 'project', masterKey: MASTER_KEY, projects: ['akasha', 'uda'] });
+    await db.addConversation(conversation('c-1', 'akasha', 'Akasha memory'));
+    await db.addConversation(conversation('c-2', 'uda', 'Uda memory'));
+    await db.addConversation(conversation('c-3', 'open', 'Open memory'));
+
+    const { keys } = await db.encryption.status();
+    expect(keys.map(key => key.scope).sort()).toEqual(['project:akasha', 'project:uda', 'search']);
+    expect(keys.every(key => !('wrapped_key' in key))).toBe(true);
+    expect((await raw.get('SELECT message FROM conversations WHERE id = ?', ['c-3'])).message).toBe('Open memory');
+
+    const { message } = await raw.get('SELECT message FROM conversations WHERE id = ?', ['c-1']);
+    const flipped = message.slice(0, -6) + (message.slice(-6, -5) === 'A' ? 'B' : 'A') + message.slice(-5);
+    await raw.run('UPDATE conversations SET message = ? WHERE id = ?', [flipped, 'c-1']);
+    await expect(db.getConversation('c-1')).rejects.toMatchObject({ name: 'EncryptionError', code: 'unreadable' });
+  });
+
+  it('searches sealed conversations and memories through a blind index', async () => {
+    await open({ scope: 'tenant', masterKey: MASTER_KEY });
+    await db.addConversation(conversation('c-1', 'akasha', 'Shard the vector index before the launch'));
+    await db.addConversation(conversation('c-2', 'akasha', 'The vector cache warms up slowly'));
+    await db.addConversation(conversation('c-3', 'uda', 'Index rebuilds run nightly', { topic: 'vector' }));
+    await db.memories.add({ projectId: 'akasha', category: 'insight', content: 'Sharding halves recall latency' });
+    await db.memories.add({ projectId: 'akasha', category: 'insight', content: 'Recall improves with reranking' });
+
+    const search = async (query, options) => (await db.fullText.search(query, options)).map(row => row.id);
+    expect((await search('vector')).sort()).toEqual(['c-1', 'c-2', 'c-3']);
+    expect((await search('vector', { projectId: 'akasha' })).sort()).toEqual(['c-1', 'c-2']);
+    expect(await search('"vector index"')).toEqual(['c-1']);
+    expect((await search('vector -shard')).sort()).toEqual(['c-2', 'c-3']);
+    expect((await search('nightly OR warms')).sort()).toEqual(['c-2', 'c-3']);
+    expect(await search('ni*')).toEqual(['c-3']);
+    expect((await db.fullText.search('shard'))[0].snippet).toBe('<mark>Shard</mark> the vector index before the launch');
+
+    const memories = await db.memories.search('recall shard*');
+    expect(memories.map(memory => memory.content)).toEqual(['Sharding halves recall latency']);
+    expect(memories[0].snippet).toContain('<mark>recall</mark>');
+
+    const tokens = await raw.all('SELECT token FROM search_tokens');
+    expect(tokens.length).toBeGreaterThan(0);
+    expect(tokens.map(row => row.token)).not.toContain('vector');
+
+    await db.deleteConversation('c-1');
+    expect(await raw.get(`SELECT COUNT(*) AS count FROM search_tokens WHERE record_id = 'c-1'`)).toEqual({ count: 0 });
+    expect(await search('shard')).toEqual([]);
+  });
+
+  it('searches through a plaintext token index when configured', async () => {
+    await open({ scope: 'tenant', masterKey: MASTER_KEY, searchIndex: 'plaintext' });
+    await db.addConversation(conversation('c-1', 'akasha', 'Shard the vector index'));
+    expect((await raw.all(`SELECT token FROM search_tokens WHERE record_id = 'c-1'`)).map(row => row.token).sort())
+      .toEqual(['index', 'shard', 'the', 'vector']);
+    expect((await db.fullText.search('vec*')).map(row => row.id)).toEqual(['c-1']);
+  });
+
+  it('rotates data keys and moves existing rows to the new version', async () => {
+    await open({ scope: 'project', masterKey: MASTER_KEY });
+    await db.addConversation(conversation('c-1', 'akasha', 'Written under the first key'));
+    const first = (await db.encryption.status()).keys.find(key => key.scope === 'project:akasha');
+
+    await expect(db.encryption.rotate()).rejects.toMatchObject({ code: 'invalid' });
+    const second = await db.encryption.rotate({ projectId: 'akasha' });
+    expect(second).toMatchObject({ scope: 'project:akasha', version: 2, status: 'active' });
+    await db.addConversation(conversation('c-2', 'akasha', 'Written under the second key'));
+    expect((await raw.get(`SELECT message FROM conversations WHERE id = 'c-2'`)).message).toContain(second.id);
+    expect((await db.getConversation('c-1')).message).toBe('Written under the first key');
+
+    const resealed = await db.encryption.reseal({ projectId: 'akasha' });
+    expect(resealed).toMatchObject({ conversations: 2, memory_revisions: 2 });
+    const stored = JSON.stringify(await raw.all('SELECT c.message, c.context, r.data FROM conversations c JOIN memory_revisions r ON r.record_id = c.id'));
+    expect(stored).not.toContain(first.id);
+    expect((await db.getConversation('c-1')).message).toBe('Written under the first key');
+    expect((await db.encryption.status()).keys.find(key => key.id === first.id)).toMatchObject({ status: 'retired' });
+  });
+
+  it('rewraps data keys under a new master key', async () => {
+    await open({ scope: 'tenant', masterKey: MASTER_KEY });
+    await db.addConversation(conversation('c-1', 'akasha', 'Survives a master key change'));
+
+    const next = new FieldEncryption(db, { scope: 'tenant', masterKey: NEXT_MASTER_KEY, previousMasterKeys: [MASTER_KEY] });
+    await next.initialize();
+    expect(await next.rewrap()).toBe(2); // the tenant key and the search key
+    expect(await next.rewrap()).toBe(0);
+
+    const rows = await raw.all(`SELECT message FROM conversations WHERE id = 'c-1'`);
+    const alone = new FieldEncryption(db, { scope: 'tenant', masterKey: NEXT_MASTER_KEY });
+    await alone.initialize();
+    expect((await alone.openRows(rows))[0].message).toBe('Survives a master key change');
+
+    const stale = new FieldEncryption(db, { scope: 'tenant', masterKey: MASTER_KEY });
+    await expect(stale.initialize()).rejects.toMatchObject({ code: 'no_master_key' });
+  });
+
+  it('refuses to start without the master key its data needs', async () => {
+    await open({ scope: 'tenant', masterKey: MASTER_KEY });
+    await db.addConversation(conversation('c-1', 'akasha', 'Sealed'));
+
+    await expect(new FieldEncryption(db, { scope: 'off', masterKey: '' }).initialize()).rejects.toThrow(EncryptionError);
+    await expect(new FieldEncryption(db, { scope: 'tenant' }).initialize()).rejects.toThrow(/MEMORY_MASTER_KEY/);
+    expect(() => new FieldEncryption(db, { scope: 'tenant', masterKey: 'short' })).toThrow(/32 bytes/);
+    expect(() => new FieldEncryption(db, { scope: 'everything' })).toThrow(/MEMORY_ENCRYPTION/);
+  });
+
+  it('decrypts everything back when encryption is turned off', async () => {
+    await open({ scope: 'tenant', masterKey: MASTER_KEY });
+    await db.addConversation(conversation('c-1', 'akasha', 'Back to plaintext'));
+    await db.memories.add({ projectId: 'akasha', category: 'insight', content: 'Also plaintext again' });
+    await db.summaries.save('akasha', { brief: 'A plaintext brief' }, { summarizer: 'extractive', conversationCount: 1, lastConversationAt: null });
+
+    db.encryption = new FieldEncryption(db, { scope: 'off', masterKey: MASTER_KEY });
+    const counts = await db.encryption.reseal();
+    expect(counts).toMatchObject({ conversations: 1, memories: 1, project_summaries: 1, sessions: 0 });
+    expect(await raw.get('SELECT message FROM conversations')).toEqual({ message: 'Back to plaintext' });
+    expect(await raw.get('SELECT brief, key_points FROM project_summaries')).toEqual({ brief: 'A plaintext brief', key_points: '[]' });
+    expect(JSON.stringify(await raw.all('SELECT data FROM memory_revisions'))).not.toContain('mhenc:');
+    expect(await raw.get('SELECT COUNT(*) AS count FROM search_tokens')).toEqual({ count: 0 });
+    expect((await db.fullText.search('plaintext')).map(row => row.id)).toEqual(['c-1']);
+    expect(await db.memories.search('plaintext')).toHaveLength(1);
+  });
+});
+
+describe('field encryption migration', () => {
+  it('adds the key and search token tables and rolls back', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const db = new sqlite3.Database(':memory:');
+    const storage = new StorageAdapter({ db, isProduction: false });
+    const runner = new MigrationRunner({ db, isProduction: false });
+    await runner.migrate({ to: 23 });
+    expect((await storage.all('PRAGMA table_info(encryption_keys)')).map(c => c.name)).toContain('wrapped_key');
+    expect(await storage.get(`SELECT name FROM sqlite_master WHERE name = 'search_tokens'`)).toBeDefined();
+
+    await runner.rollback({ to: 22 });
+    expect(await storage.get(`SELECT name FROM sqlite_master WHERE name = 'encryption_keys'`)).toBeUndefined();
+    expect(await storage.get(`SELECT name FROM sqlite_master WHERE name = 'search_tokens'`)).toBeUndefined();
+    db.close();
+    jest.restoreAllMocks();
+  });
+});
+
+describe('field encryption routes', () => {
+  let hub;
+  let adminKey;
+  let writer;
+
+  const request = async (method, path, { key = adminKey, body } = {}) => {
+    const res = await fetch(`http://127.0.0.1:${hub.port}/api${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': key },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({
+      port: 0,
+      databaseOptions: { backend: 'memory', encryption: { scope: 'tenant', masterKey: MASTER_KEY } },
+      bridges: false,
+      federation: false,
+      scanProjects: false
+    });
+    await hub.start();
+    adminKey = (await hub.db.apiKeys.createKey({ name: 'admin', scopes: ['admin'] })).key;
+    writer = (await hub.db.apiKeys.createKey({ name: 'writer', scopes: ['memory:read', 'memory:write'], projects: ['akasha'] })).key;
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('stores and finds memories, rotates the tenant key and re-encrypts', async () => {
+    const stored = await request('POST', '/memory/store', { key: writer, body: {
+      source_project: 'akasha', project_id: 'akasha', memory_type: 'insight', content: 'Embeddings are cached per project'
+    } });
+    expect(stored.status).toBe(201);
+    const query = await request('POST', '/memory/query', { key: writer, body: { query: 'embeddings' } });
+    expect(query.body.memories.map(memory => memory.content)).toEqual(['Embeddings are cached per project']);
+
+    expect((await request('GET', '/admin/encryption', { key: writer })).status).toBe(403);
+    const status = await request('GET', '/admin/encryption');
+    expect(status.body.encryption).toMatchObject({ enabled: true, scope: 'tenant', search_index: 'blind' });
+    expect(status.body.encryption.keys.map(key => key.scope).sort()).toEqual(['search', 'tenant:default']);
+
+    const rotated = await request('POST', '/admin/encryption/rotate', { body: { reencrypt: true } });
+    expect(rotated.body).toMatchObject({ success: true, key: { scope: 'tenant:default', version: 2 } });
+    expect(rotated.body.resealed.memories).toBe(1);
+    expect((await request('POST', '/admin/encryption/rotate', { body: { project_id: 7 } })).status).toBe(400);
+    expect((await request('POST', '/admin/encryption/rewrap')).body).toMatchObject({ success: true, rewrapped: 0 });
+    expect((await request('POST', '/admin/encryption/reencrypt', { body: { project_id: 'akasha' } })).body.resealed.memories).toBe(1);
+
+    const again = await request('POST', '/memory/query', { key: writer, body: { query: 'embed*' } });
+    expect(again.body.memories).toHaveLength(1);
+  });
+});
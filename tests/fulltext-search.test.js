@@ -0,0 +1,118 @@
+const sqlite3 = require('sqlite3');
+const FullTextSearch = require('../database/fulltext-search');
+const MigrationRunner = require('../database/migration-runner');
+const { parseSearchQuery, toFts5Query, toTsQuery } = require('../database/fulltext-search');
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+describe('query parsing', () => {
+  const fts = q => toFts5Query(parseSearchQuery(q));
+  const ts = q => toTsQuery(parseSearchQuery(q));
+
+  it('ANDs bare words', () => {
+    expect(fts('redis cache')).toBe('("redis" AND "cache")');
+    expect(ts('redis cache')).toBe("('redis' & 'cache')");
+  });
+
+  it('supports phrases and prefixes', () => {
+    expect(fts('"rate limit" deploy*')).toBe('("rate limit" AND "deploy"*)');
+    expect(ts('"rate limit" deploy*')).toBe("(('rate' <-> 'limit') & 'deploy':*)");
+  });
+
+  it('supports OR, NOT, -term and grouping', () => {
+    expect(fts('(redis OR memcached) -postgres')).toBe('(("redis" OR "memcached")) NOT "postgres"');
+    expect(ts('cache NOT redis')).toBe("('cache' & !'redis')");
+  });
+
+  it('treats lowercase operators as words', () => {
+    expect(fts('this or that')).toBe('("this" AND "or" AND "that")');
+  });
+
+  it('never produces invalid syntax from garbage input', () => {
+    expect(parseSearchQuery('')).toBeNull();
+    expect(fts('"unterminated phrase')).toBe('"unterminated phrase"');
+    expect(fts(')) OR (( AND')).toBeNull();
+    expect(fts('NOT secret')).toBeNull();
+    expect(fts("it's; DROP TABLE x --")).toBe('("it" AND "s" AND "drop" AND "table" AND "x")');
+  });
+});
+
+describe('FullTextSearch (SQLite FTS5)', () => {
+  let db;
+  let search;
+
+  const insert = (id, platform, project, message, context = {}, type = 'general') =>
+    run(db, 'INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type) VALUES (?, ?, ?, ?, ?, ?, ?)', [
+      id, platform, project, message, JSON.stringify(context), '2026-01-01T00:00:00Z', type
+    ]);
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    const migrations = new MigrationRunner({ db, isProduction: false });
+    await migrations.migrate({ to: 1 });
+    // A row that exists before the index does must be picked up by the rebuild
+    await insert('old', 'claude', 'proj-a', 'Legacy note about deployment pipelines');
+    await migrations.migrate();
+
+    search = new FullTextSearch({ db, isProduction: false });
+    await search.initialize();
+
+    await insert('m1', 'claude', 'proj-a', 'We chose Redis as the caching layer', { tags: ['infra'] }, 'decision');
+    await insert('m2', 'gemini', 'proj-b', 'The rate limit applies per node', {}, 'general');
+    await insert('m3', 'copilot', 'proj-a', 'Limit the rate of retries', { note: 'redis outage' }, 'general');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('indexes rows that existed before the FTS table', async () => {
+    const results = await search.search('deployment');
+    expect(results.map(r => r.id)).toEqual(['old']);
+  });
+
+  it('matches exact phrases only in order', async () => {
+    const results = await search.search('"rate limit"');
+    expect(results.map(r => r.id)).toEqual(['m2']);
+  });
+
+  it('supports prefix matching with stemming', async () => {
+    const results = await search.search('cach*');
+    expect(results.map(r => r.id)).toEqual(['m1']);
+  });
+
+  it('searches the JSON context and ranks message hits higher', async () => {
+    const results = await search.search('redis');
+    expect(results.map(r => r.id)).toEqual(['m1', 'm3']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  it('supports boolean operators', async () => {
+    expect((await search.search('redis -outage')).map(r => r.id)).toEqual(['m1']);
+    expect((await search.search('deployment OR node')).map(r => r.id).sort()).toEqual(['m2', 'old']);
+  });
+
+  it('returns highlighted snippets', async () => {
+    const [result] = await search.search('caching', { highlight: { start: '[', end: ']' } });
+    expect(result.snippet).toContain('[caching]');
+  });
+
+  it('applies project, platform and type filters', async () => {
+    expect((await search.search('rate', { projectId: 'proj-a' })).map(r => r.id)).toEqual(['m3']);
+    expect((await search.search('rate', { excludePlatforms: ['copilot'] })).map(r => r.id)).toEqual(['m2']);
+    expect((await search.search('redis', { types: ['decision'] })).map(r => r.id)).toEqual(['m1']);
+  });
+
+  it('keeps the index in sync on update and delete', async () => {
+    await run(db, `UPDATE conversations SET message = 'Switched to memcached' WHERE id = 'm1'`);
+    expect((await search.search('memcached')).map(r => r.id)).toEqual(['m1']);
+    expect((await search.search('caching')).length).toBe(0);
+
+    await run(db, `DELETE FROM conversations WHERE id = 'm2'`);
+    expect((await search.search('node')).length).toBe(0);
+  });
+});
@@ -0,0 +1,245 @@
+const sqlite3 = require('sqlite3');
+const MemoryDatabase = require('../database/memory-database-production');
+const MigrationRunner = require('../database/migration-runner');
+const StorageAdapter = require('../database/storage-adapter');
+const { createMemoryHub } = require('../core/memory-server');
+
+const memory = id => ({ type: 'memory', id });
+
+describe('GraphStore', () => {
+  let db;
+  let graph;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+    graph = db.graph;
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('links nodes once per relationship and validates edges', async () => {
+    const first = await graph.link({ source: memory('m1'), target: memory('m2'), relationship: 'supersedes' });
+    const again = await graph.link({ source: memory('m1'), target: memory('m2'), relationship: 'supersedes', strength: 0.9 });
+
+    expect(again).toMatchObject({ id: first.id, strength: 0.9, source: memory('m1'), target: memory('m2') });
+    await expect(graph.link({ source: memory('m1'), target: memory('m2'), relationship: 'likes' })).rejects.toThrow(/relationship must be one of/);
+    await expect(graph.link({ source: { type: 'planet', id: 'x' }, target: memory('m2'), relationship: 'refers_to' })).rejects.toThrow(/source.type/);
+    await expect(graph.link({ source: memory('m1'), target: memory('m1'), relationship: 'refers_to' })).rejects.toThrow(/itself/);
+    await expect(graph.link({ source: memory('m1'), target: memory('m1'), relationship: 'refers_to' }))
+      .rejects.toMatchObject({ name: 'GraphError', code: 'invalid' });
+
+    expect(await graph.unlink(first.id)).toBe(true);
+    expect(await graph.unlink(first.id)).toBe(false);
+  });
+
+  it('lists neighbors by direction and relationship', async () => {
+    await graph.link({ source: memory('m1'), target: memory('decision'), relationship: 'decided_in' });
+    await graph.link({ source: memory('decision'), target: { type: 'file', id: 'src/app.js' }, relationship: 'refers_to' });
+    await graph.link({ source: memory('m2'), target: memory('decision'), relationship: 'contradicts' });
+
+    const all = await graph.neighbors(memory('decision'));
+    expect(all.map(n => [n.direction, n.edge.relationship, n.node.id]).sort()).toEqual([
+      ['in', 'contradicts', 'm2'],
+      ['in', 'decided_in', 'm1'],
+      ['out', 'refers_to', 'src/app.js']
+    ]);
+    expect((await graph.neighbors(memory('decision'), { direction: 'out' })).map(n => n.node.id)).toEqual(['src/app.js']);
+    expect((await graph.neighbors(memory('decision'), { relationships: ['contradicts'] })).map(n => n.node.id)).toEqual(['m2']);
+  });
+
+  it('traverses within a bounded number of hops', async () => {
+    await graph.link({ source: memory('a'), target: memory('decision'), relationship: 'decided_in' });
+    await graph.link({ source: memory('b'), target: memory('a'), relationship: 'derived_from' });
+    await graph.link({ source: memory('c'), target: memory('b'), relationship: 'derived_from' });
+    await graph.link({ source: memory('a'), target: memory('b'), relationship: 'refers_to' });
+
+    const twoHops = await graph.traverse(memory('decision'), { depth: 2 });
+    expect(twoHops.nodes.map(n => [n.id, n.depth])).toEqual([['decision', 0], ['a', 1], ['b', 2]]);
+    expect(twoHops.edges).toHaveLength(3);
+    expect(twoHops.truncated).toBe(false);
+
+    expect((await graph.traverse(memory('decision'), { depth: 3 })).nodes.map(n => n.id)).toContain('c');
+    expect((await graph.traverse(memory('decision'), { depth: 3, relationships: ['decided_in'] })).nodes.map(n => n.id))
+      .toEqual(['decision', 'a']);
+
+    const capped = await graph.traverse(memory('decision'), { depth: 3, limit: 2 });
+    expect(capped).toMatchObject({ truncated: true });
+    expect(capped.nodes).toHaveLength(2);
+  });
+
+  it('links memories to the projects and entities they mention', async () => {
+    await db.addProject({ id: 'mycelium-network', name: 'Mycelium Network', path: '/srv/mycelium', type: 'node' });
+    await db.addProject({ id: 'akasha', name: 'Akasha', path: '/srv/akasha', type: 'node' });
+    await db.memories.add({ entity: 'sage', projectId: 'memory_sage', category: 'experience', content: 'hello' });
+
+    const stored = await db.memories.add({
+      entity: 'aria',
+      projectId: 'memory_aria',
+      category: 'experience',
+      content: 'Paired with Sage on the mycelium-network relay; aria wrote the tests'
+    });
+    const linked = async () => (await graph.neighbors(memory(stored.id))).map(n => `${n.node.type}:${n.node.id}`).sort();
+
+    expect(await linked()).toEqual(['entity:sage', 'project:mycelium-network']);
+    const [edge] = await graph.neighbors(memory(stored.id), { relationships: ['refers_to'] });
+    expect(edge.edge.created_by).toBe('mentions');
+
+    await db.memories.update(stored.id, { content: 'Moved the relay to akasha' });
+    expect(await linked()).toEqual(['project:akasha']);
+
+    await db.memories.delete(stored.id);
+    expect(await linked()).toEqual([]);
+  });
+
+  it('describes nodes for display', async () => {
+    await db.addProject({ id: 'akasha', name: 'Akasha', path: '/srv/akasha', type: 'node' });
+    const stored = await db.memories.add({ projectId: 'akasha', category: 'decision', content: 'Use PostgreSQL in production' });
+
+    expect(await graph.describe([memory(stored.id), { type: 'project', id: 'akasha' }, memory('gone')])).toEqual([
+      {
+        type: 'memory', id: stored.id, label: 'Use PostgreSQL in production', kind: 'decision', project_id: 'akasha',
+        access_level: 'private', owner: null, exists: true
+      },
+      { type: 'project', id: 'akasha', label: 'Akasha', project_id: 'akasha', exists: true },
+      { type: 'memory', id: 'gone', label: 'gone', project_id: null, exists: false }
+    ]);
+  });
+});
+
+describe('knowledge graph migration', () => {
+  let db;
+  let storage;
+  let runner;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = new sqlite3.Database(':memory:');
+    storage = new StorageAdapter({ db, isProduction: false });
+    runner = new MigrationRunner({ db, isProduction: false });
+    await runner.migrate({ to: 12 });
+
+    for (const id of ['c1', 'c2']) {
+      await storage.run(`
+        INSERT INTO scri_constellation_memory (id, entity_type, entity_name, project_id, memory_type, content, timestamp)
+        VALUES (?, 'agent', 'kairos', 'scri', 'insight', '"x"', '2025-06-01T00:00:00.000Z')
+      `, [id]);
+    }
+    await storage.run(`
+      INSERT INTO scri_cross_references (id, source_memory_id, target_memory_id, relationship_type, strength, created_at)
+      VALUES ('ref-1', 'c1', 'c2', 'supersedes', 0.8, '2025-06-01T00:00:00.000Z'),
+             ('ref-2', 'c2', 'c1', 'echoes', 0.3, '2025-06-02T00:00:00.000Z')
+    `);
+  });
+
+  afterEach(() => {
+    db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('moves cross references into graph edges and back', async () => {
+    await runner.migrate();
+
+    expect(await storage.all('SELECT id, source_id, target_id, relationship, strength, metadata FROM graph_edges ORDER BY id')).toEqual([
+      { id: 'ref-1', source_id: 'c1', target_id: 'c2', relationship: 'supersedes', strength: 0.8, metadata: '{}' },
+      { id: 'ref-2', source_id: 'c2', target_id: 'c1', relationship: 'refers_to', strength: 0.3, metadata: '{"relationship_type":"echoes"}' }
+    ]);
+    expect(await storage.get(`SELECT name FROM sqlite_master WHERE name = 'scri_cross_references'`)).toBeUndefined();
+
+    await runner.rollback({ to: 12 });
+    expect(await storage.all('SELECT id, relationship_type FROM scri_cross_references ORDER BY id')).toEqual([
+      { id: 'ref-1', relationship_type: 'supersedes' },
+      { id: 'ref-2', relationship_type: 'echoes' }
+    ]);
+  });
+});
+
+describe('graph routes', () => {
+  let hub;
+  let adminKey;
+
+  const request = async (method, path, { key = adminKey, body } = {}) => {
+    const res = await fetch(`http://127.0.0.1:${hub.port}/api${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': key },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, bridges: false, federation: false, scanProjects: false });
+    await hub.start();
+    adminKey = (await hub.db.apiKeys.createKey({ name: 'admin', scopes: ['admin'] })).key;
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('links nodes and answers neighbor and traversal queries', async () => {
+    const decision = await hub.db.memories.add({ projectId: 'akasha', category: 'decision', content: 'Adopt PostgreSQL' });
+    const reason = await hub.db.memories.add({ projectId: 'akasha', category: 'insight', content: 'SQLite locks under load' });
+
+    const linked = await request('POST', '/graph/edges', {
+      body: { source: memory(reason.id), target: memory(decision.id), relationship: 'decided_in', strength: 0.9 }
+    });
+    expect(linked.status).toBe(201);
+    expect(linked.body.edge).toMatchObject({ relationship: 'decided_in', strength: 0.9, created_by: 'admin' });
+    await request('POST', '/graph/edges', {
+      body: { source: memory(reason.id), target: { type: 'file', id: 'db/pool.js' }, relationship: 'refers_to' }
+    });
+
+    const neighbors = await request('GET', `/graph/nodes/memory/${decision.id}/neighbors`);
+    expect(neighbors.body).toMatchObject({
+      node: { id: decision.id, label: 'Adopt PostgreSQL' },
+      neighbors: [{ direction: 'in', relationship: 'decided_in', node: { id: reason.id, label: 'SQLite locks under load' } }],
+      count: 1
+    });
+
+    const related = await request('GET', `/graph/nodes/memory/${decision.id}/traverse?depth=2`);
+    expect(related.body.nodes.map(n => [n.id, n.depth])).toEqual([[decision.id, 0], [reason.id, 1], ['db/pool.js', 2]]);
+    expect(related.body.edges).toHaveLength(2);
+
+    const file = await request('GET', `/graph/nodes/file/${encodeURIComponent('db/pool.js')}/neighbors`);
+    expect(file.body.neighbors.map(n => n.node.id)).toEqual([reason.id]);
+
+    expect((await request('DELETE', `/graph/edges/${linked.body.edge.id}`)).body.deleted).toBe(true);
+    expect((await request('DELETE', `/graph/edges/${linked.body.edge.id}`)).status).toBe(404);
+  });
+
+  it('rejects bad edges and queries', async () => {
+    expect((await request('POST', '/graph/edges', { body: { source: memory('a'), target: memory('b'), relationship: 'likes' } })).status).toBe(400);
+    expect((await request('POST', '/graph/edges', { body: { source: 'a', target: memory('b'), relationship: 'refers_to' } })).status).toBe(400);
+    expect((await request('GET', '/graph/nodes/planet/earth/neighbors')).status).toBe(400);
+    expect((await request('GET', '/graph/nodes/memory/a/traverse?depth=9')).status).toBe(400);
+    expect((await request('GET', '/graph/nodes/memory/a/neighbors?relationship=likes')).status).toBe(400);
+ 
+    // Failures that are not bad input are not the client's fault
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(hub.db.graph, 'link').mockRejectedValue(new Error('database is locked'));
+    expect((await request('POST', '/graph/edges', { body: { source: memory('a'), target: memory('b'), relationship: 'refers_to' } })).status).toBe(500);
+  });
+
+  it('hides nodes in other projects from project-restricted keys', async () => {
+    const own = await hub.db.memories.add({ projectId: 'akasha', category: 'decision', content: 'Ours' });
+    const other = await hub.db.memories.add({ projectId: 'uda', category: 'decision', content: 'Theirs' });
+    await hub.db.graph.link({ source: memory(own.id), target: memory(other.id), relationship: 'contradicts' });
+    const key = (await hub.db.apiKeys.createKey({ name: 'akasha', scopes: ['memory:read', 'memory:write'], projects: ['akasha'] })).key;
+
+    const neighbors = await request('GET', `/graph/nodes/memory/${own.id}/neighbors?project_id=akasha`, { key });
+    expect(neighbors.body.neighbors).toEqual([]);
+    expect((await request('GET', `/graph/nodes/memory/${other.id}/traverse?project_id=akasha`, { key })).status).toBe(403);
+    expect((await request('POST', '/graph/edges', {
+      key, body: { project_id: 'akasha', source: memory(own.id), target: memory(other.id), relationship: 'refers_to' }
+    })).status).toBe(403);
+  });
+});
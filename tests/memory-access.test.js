@@ -0,0 +1,198 @@
+const sqlite3 = require('sqlite3');
+const MemoryDatabase = require('../database/memory-database-production');
+const MigrationRunner = require('../database/migration-runner');
+const StorageAdapter = require('../database/storage-adapter');
+const FederationKnowledgeSync = require('../federation/services/knowledge-sync');
+const { readerFor, peerReader, canRead, accessClause } = require('../database/memory-access');
+const { createMemoryHub } = require('../core/memory-server');
+
+describe('memory access rules', () => {
+  const alice = readerFor({ id: 'k-1', name: 'alice', scopes: ['memory:read'], projects: ['akasha'] }, 'test');
+  const anyProject = readerFor({ id: 'k-2', name: 'bob', scopes: ['memory:read'], projects: null });
+  const memory = (access_level, owner = 'carol', project_id = 'akasha') => ({ access_level, owner, project_id });
+
+  it('reads each level by owner, project and peer', () => {
+    expect(canRead(alice, memory('public'))).toBe(true);
+    expect(canRead(alice, memory('cross_project', 'carol', 'uda'))).toBe(true);
+    expect(canRead(alice, memory('project'))).toBe(true);
+    expect(canRead(alice, memory('project', 'carol', 'uda'))).toBe(false);
+    expect(canRead(alice, memory('project', 'alice', 'uda'))).toBe(true);
+    expect(canRead(alice, memory('private'))).toBe(false);
+    expect(canRead(alice, memory('private', 'alice', 'uda'))).toBe(true);
+    expect(canRead(anyProject, memory('project', 'carol', 'uda'))).toBe(true);
+
+    // Private memories from before owners were recorded read like project ones
+    expect(canRead(alice, memory('private', null))).toBe(true);
+    expect(canRead(alice, memory('private', null, 'uda'))).toBe(false);
+
+    const peer = peerReader('node-7');
+    expect(canRead(peer, memory('public'))).toBe(true);
+    expect(canRead(peer, memory('cross_project'))).toBe(false);
+
+    const admin = readerFor({ id: 'k-3', name: 'root', scopes: ['admin'], projects: ['uda'] });
+    expect(canRead(admin, memory('private'))).toBe(true);
+    expect(canRead(readerFor(null), memory('private'))).toBe(true);
+    expect(accessClause(admin)).toBeNull();
+    expect(accessClause(peer, null)).toEqual({ clause: `access_level = 'public'`, params: [] });
+    expect(accessClause(readerFor({ name: 'none', scopes: [], projects: [] })).clause).toContain('1 = 0');
+  });
+});
+
+describe('MemoryStore with a reader', () => {
+  let db;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+    const add = (accessLevel, owner, projectId, content) => db.memories.add({ projectId, category: 'insight', content, accessLevel, owner });
+    await add('private', 'alice', 'akasha', 'Alice keeps the deploy token rotation notes');
+    await add('project', 'carol', 'uda', 'Uda deploys from the release branch');
+    await add('cross_project', 'carol', 'uda', 'Every project deploys through the same pipeline');
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('leaves out what the reader may not see and records it', async () => {
+    const bob = readerFor({ id: 'k-2', name: 'bob', scopes: ['memory:read'], projects: ['akasha'] }, 'store test');
+    const found = await db.memories.search('deploy OR deploys', { reader: bob });
+    expect(found.map(m => m.content)).toEqual(['Every project deploys through the same pipeline']);
+    expect((await db.memories.list({ reader: bob })).map(m => m.access_level)).toEqual(['cross_project']);
+
+    const denials = await db.accessAudit.list({ reader: 'bob' });
+    expect(denials).toHaveLength(4);
+    expect(denials[0]).toMatchObject({ reader: 'bob', key_id: 'k-2', via: 'store test' });
+    expect(new Set(denials.map(d => d.access_level))).toEqual(new Set(['private', 'project']));
+
+    const alice = readerFor({ id: 'k-1', name: 'alice', scopes: ['memory:read'], projects: ['akasha'] });
+    expect(await db.memories.list({ reader: alice })).toHaveLength(2);
+    expect(await db.memories.list()).toHaveLength(3);
+  });
+});
+
+describe('memory access migration', () => {
+  it('adds memory owners and the denial log and rolls back', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const db = new sqlite3.Database(':memory:');
+    const storage = new StorageAdapter({ db, isProduction: false });
+    const runner = new MigrationRunner({ db, isProduction: false });
+    await runner.migrate({ to: 21 });
+    expect((await storage.all('PRAGMA table_info(memories)')).map(c => c.name)).toContain('owner');
+    expect(await storage.get(`SELECT name FROM sqlite_master WHERE name = 'memory_access_denials'`)).toBeDefined();
+
+    await runner.rollback({ to: 20 });
+    expect((await storage.all('PRAGMA table_info(memories_archive)')).map(c => c.name)).not.toContain('owner');
+    expect(await storage.get(`SELECT name FROM sqlite_master WHERE name = 'memory_access_denials'`)).toBeUndefined();
+    db.close();
+    jest.restoreAllMocks();
+  });
+});
+
+describe('federation knowledge sync', () => {
+  it('forwards public memories only', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+    const shared = await db.memories.add({ projectId: 'akasha', category: 'insight', content: 'Open', accessLevel: 'public' });
+    const kept = await db.memories.add({ projectId: 'akasha', category: 'insight', content: 'Ours', accessLevel: 'cross_project' });
+    const sync = new FederationKnowledgeSync({ storage: db.storage });
+
+    const result = await sync.executeSync({
+      source_node: 'hub',
+      target_node: 'node-7',
+      category: 'insight',
+      documents: [
+        { memory_id: shared.id },
+        // The memory's own level wins over what the document claims
+        { memory_id: kept.id, access_level: 'public' },
+        { id: 'doc-1', access_level: 'project' },
+        { id: 'doc-2', title: 'Not a hub memory' }
+      ]
+    });
+    expect(result).toMatchObject({ success: true, documents_synced: 2, documents_withheld: 2 });
+    expect((await db.accessAudit.list({ reader: 'node:node-7' })).map(d => d.memory_id).sort()).toEqual(['doc-1', kept.id].sort());
+    await db.close();
+    jest.restoreAllMocks();
+  });
+});
+
+describe('memory access routes', () => {
+  let hub;
+  let adminKey;
+  let alice;
+  let bob;
+
+  const request = async (method, path, { key = adminKey, body } = {}) => {
+    const res = await fetch(`http://127.0.0.1:${hub.port}/api${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': key },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const store = async (key, projectId, content, accessLevel) => {
+    const stored = await request('POST', '/memory/store', { key, body: {
+      source_project: projectId, project_id: projectId, memory_type: 'insight', content, access_level: accessLevel
+    } });
+    expect(stored.status).toBe(201);
+    return stored.body.memory_id;
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, bridges: false, federation: false, scanProjects: false });
+    await hub.start();
+    adminKey = (await hub.db.apiKeys.createKey({ name: 'admin', scopes: ['admin'] })).key;
+    const scopes = ['memory:read', 'memory:write'];
+    alice = (await hub.db.apiKeys.createKey({ name: 'alice', scopes, projects: ['akasha'] })).key;
+    bob = (await hub.db.apiKeys.createKey({ name: 'bob', scopes, projects: ['uda'] })).key;
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('answers memory queries by access level and audits what was left out', async () => {
+    await store(alice, 'akasha', 'Akasha caches embeddings per project', 'private');
+    await store(alice, 'akasha', 'Akasha caches embeddings for an hour', 'project');
+    await store(alice, 'akasha', 'Caching embeddings halves recall latency', 'cross_project');
+
+    const query = async (key) => (await request('POST', '/memory/query', { key, body: { query: 'embeddings' } })).body.memories;
+    expect((await query(alice)).map(m => m.access_level).sort()).toEqual(['cross_project', 'private', 'project']);
+    expect((await query(bob)).map(m => m.access_level)).toEqual(['cross_project']);
+    expect(await query(adminKey)).toHaveLength(3);
+
+    const { body } = await request('GET', '/admin/memory-access/denials?reader=bob');
+    expect(body.denials.map(d => d.access_level).sort()).toEqual(['private', 'project']);
+    expect(body.denials[0]).toMatchObject({ project_id: 'akasha', via: 'POST /api/memory/query' });
+    expect((await request('GET', '/admin/memory-access/denials', { key: bob })).status).toBe(403);
+    expect((await request('GET', '/admin/memory-access/denials?since=yesterday')).status).toBe(400);
+  });
+
+  it('keeps private memories to their owner on every read path', async () => {
+    const carol = (await hub.db.apiKeys.createKey({ name: 'carol', scopes: ['memory:read', 'memory:write'], projects: ['akasha'] })).key;
+    const id = await store(alice, 'akasha', 'Recall latency drops when the vector index is sharded', 'private');
+
+    expect((await request('GET', `/memories/${id}/history`, { key: alice })).status).toBe(200);
+    const refused = await request('GET', `/memories/${id}/history`, { key: carol });
+    expect(refused).toMatchObject({ status: 403, body: { error: 'This API key may not read this private memory' } });
+    expect((await request('PATCH', `/memories/${id}`, { key: carol, body: { content: 'mine now' } })).status).toBe(403);
+
+    const pack = async (key) => (await request('POST', '/context/pack', { key, body: { project_id: 'akasha', task: 'recall latency' } })).body;
+    expect((await pack(alice)).items.map(item => item.id)).toContain(id);
+    expect((await pack(carol)).items.map(item => item.id)).not.toContain(id);
+
+    const denials = (await request('GET', `/admin/memory-access/denials?memory_id=${id}`)).body.denials;
+    expect(denials.map(d => [d.reader, d.via])).toEqual(expect.arrayContaining([
+      ['carol', `GET /api/memories/${id}/history`],
+      ['carol', 'POST /api/context/pack']
+    ]));
+    expect(denials.every(d => d.reader === 'carol')).toBe(true);
+  });
+});
@@ -0,0 +1,117 @@
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const fs = require('fs-extra');
+const express = require('express');
+const { Server } = require('socket.io');
+const { resolveBackend } = require('../database/connection');
+const MemoryDatabase = require('../database/memory-database-production');
+const FederationHub = require('../federation');
+
+describe('resolveBackend', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('prefers an explicit backend, then DATABASE_BACKEND, then NODE_ENV', () => {
+    delete process.env.DATABASE_BACKEND;
+    process.env.NODE_ENV = 'production';
+    expect(resolveBackend()).toBe('postgres');
+    process.env.NODE_ENV = 'development';
+    expect(resolveBackend()).toBe('sqlite');
+
+    process.env.DATABASE_BACKEND = 'memory';
+    expect(resolveBackend()).toBe('memory');
+    expect(resolveBackend('sqlite')).toBe('sqlite');
+  });
+
+  it('rejects unknown backends', () => {
+    expect(() => resolveBackend('mongo')).toThrow(/Unknown database backend "mongo"/);
+  });
+});
+
+describe('MemoryDatabase (in-memory backend)', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('migrates a private database with no file behind it', async () => {
+    const first = new MemoryDatabase({ backend: 'memory' });
+    const second = new MemoryDatabase({ backend: 'memory' });
+    await Promise.all([first.ready, second.ready]);
+
+    expect(first.dbPath).toBeNull();
+    expect(first.storage.dialect).toBe('sqlite');
+
+    await first.addConversation({
+      id: 'conv-1',
+      platform: 'jest',
+      projectId: 'proj-1',
+      message: 'kept in memory only',
+      context: {},
+      timestamp: new Date().toISOString(),
+      type: 'general'
+    });
+
+    expect(await first.getConversationsByProject('proj-1')).toHaveLength(1);
+    expect(await second.getConversationsByProject('proj-1')).toHaveLength(0);
+
+    await Promise.all([first.close(), second.close()]);
+    expect(first.db).toBeNull();
+  });
+
+  it('can be closed before init has finished', async () => {
+    const db = new MemoryDatabase({ backend: 'memory' });
+    await db.close();
+    expect(db.db).toBeNull();
+  });
+});
+
+describe('FederationHub on the in-memory backend', () => {
+  const env = { ...process.env };
+  let dataDir;
+  let hub;
+  let federation;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Point every place the federation could write at a directory that must stay absent
+    dataDir = path.join(os.tmpdir(), `memory-backend-${process.pid}-${Date.now()}`);
+    delete process.env.SECRETS_ENCRYPTION_KEY;
+    process.env.FEDERATION_DATA_DIR = dataDir;
+    process.env.FILE_STORAGE_DIR = path.join(dataDir, 'files');
+
+    const app = express();
+    const server = http.createServer(app);
+    hub = { app, server, io: new Server(server), db: new MemoryDatabase({ backend: 'memory' }) };
+    federation = new FederationHub(hub);
+  });
+
+  afterEach(async () => {
+    await federation.shutdown();
+    hub.io.close();
+    await hub.db.close();
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('boots, persists and tears down without touching the filesystem', async () => {
+    await federation.initialize();
+    expect(federation.initialized).toBe(true);
+
+    await federation.nodeRegistry.registerNode({ node_id: 'node-a', display_name: 'Node A', owner: 'jest' });
+    const row = await federation.storage.get('SELECT display_name FROM federation_nodes WHERE id = ?', ['node-a']);
+    expect(row.display_name).toBe('Node A');
+
+    expect(await fs.pathExists(dataDir)).toBe(false);
+  });
+});
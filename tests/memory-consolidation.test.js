@@ -0,0 +1,210 @@
+const MemoryDatabase = require('../database/memory-database-production');
+const { effectiveImportance, reinforce, rankMemories } = require('../database/memory-scoring');
+const MemoryConsolidator = require('../core/memory-consolidator');
+const { createMemoryHub } = require('../core/memory-server');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-01T00:00:00.000Z');
+
+function daysAgo(days) {
+  return new Date(NOW.getTime() - days * DAY).toISOString();
+}
+
+describe('memory scoring', () => {
+  it('halves importance every 30 days and reinforces on recall', () => {
+    const memory = { importance: 0.8, timestamp: daysAgo(30), importance_updated_at: null };
+
+    expect(effectiveImportance(memory, NOW)).toBeCloseTo(0.4);
+    expect(effectiveImportance({ ...memory, importance_updated_at: daysAgo(0) }, NOW)).toBeCloseTo(0.8);
+    expect(reinforce(0.5)).toBeCloseTo(0.6);
+    expect(reinforce(1)).toBe(1);
+  });
+
+  it('ranks by relevance, recency and importance', () => {
+    const memory = (id, overrides) => ({ id, importance: 0.5, valence: 0, timestamp: daysAgo(1), ...overrides });
+
+    const ranked = rankMemories([
+      memory('old', { timestamp: daysAgo(60) }),
+      memory('recent'),
+      memory('important', { importance: 1 }),
+      memory('charged', { valence: -0.9 })
+    ], { now: NOW });
+    expect(ranked.map(m => m.id)).toEqual(['important', 'charged', 'recent', 'old']);
+
+    const matched = rankMemories([
+      memory('weak match', { score: 1, importance: 1 }),
+      memory('strong match', { score: 4 })
+    ], { now: NOW });
+    expect(matched.map(m => m.id)).toEqual(['strong match', 'weak match']);
+    expect(matched[0].recall_score).toBeGreaterThan(matched[1].recall_score);
+  });
+});
+
+describe('MemoryStore recall', () => {
+  let db;
+
+  const remember = (content, overrides = {}) => db.memories.add({
+    entity: 'aria', projectId: 'memory_aria', source: 'aria', category: 'experience', content, ...overrides
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('reinforces what it recalls, but not when looking at the past', async () => {
+    const kept = await remember('The staging database lives in Frankfurt');
+    await remember('Lunch was good');
+
+    const [hit] = await db.memories.recall('staging', { entity: 'aria' });
+    expect(hit).toMatchObject({ id: kept.id, recall_score: expect.any(Number) });
+
+    const recalled = await db.memories.get(kept.id);
+    expect(recalled).toMatchObject({ recall_count: 1, last_recalled_at: expect.any(String) });
+    expect(recalled.importance).toBeCloseTo(0.6);
+
+    await db.memories.recall('staging', { entity: 'aria', asOf: new Date().toISOString() });
+    await db.memories.recall('staging', { entity: 'aria', reinforce: false });
+    expect((await db.memories.get(kept.id)).recall_count).toBe(1);
+  });
+
+  it('puts an important memory ahead of newer routine ones without a query', async () => {
+    for (let i = 0; i < 5; i++) await remember(`routine ${i}`, { importance: 0.1 });
+    const vital = await remember('Never deploy on Fridays', {
+      importance: 1, timestamp: new Date(Date.now() - 3 * DAY).toISOString()
+    });
+
+    const recalled = await db.memories.recall(null, { entity: 'aria', limit: 2, reinforce: false });
+    expect(recalled[0].id).toBe(vital.id);
+  });
+});
+
+describe('MemoryConsolidation', () => {
+  let db;
+
+  const remember = (content, overrides = {}) => db.memories.add({
+    entity: 'aria', projectId: 'memory_aria', source: 'aria', category: 'experience', content, ...overrides
+  });
+  const contents = async () => (await db.memories.list({ entity: 'aria' })).map(m => m.content).sort();
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('merges near-duplicates into the more important copy', async () => {
+    const keeper = await remember('The deploy pipeline runs tests before every release', { importance: 0.9, tags: ['ci'], timestamp: daysAgo(1) });
+    const copy = await remember('the deploy pipeline runs tests before every release!', { importance: 0.4, tags: ['deploy'], timestamp: daysAgo(1) });
+    await remember('The deploy pipeline is slow', { timestamp: daysAgo(1) });
+    await remember('The deploy pipeline runs tests before every release', { entity: 'sage', projectId: 'memory_sage', timestamp: daysAgo(1) });
+
+    const result = await db.consolidation.consolidate({ now: NOW });
+    expect(result).toMatchObject({ merged: 1, digested: 0 });
+
+    const merged = await db.memories.get(keeper.id);
+    expect(merged.tags).toEqual(['ci', 'deploy']);
+    expect(merged.metadata.merged_from).toEqual([copy.id]);
+    expect(await db.memories.get(copy.id)).toBeNull();
+    expect((await db.getTombstones()).map(t => [t.id, t.deleted_by])).toEqual([[copy.id, 'consolidation']]);
+    expect(await contents()).toHaveLength(2);
+  });
+
+  it('folds faded memories into a digest and keeps the important ones', async () => {
+    const faded = [];
+    for (const [i, topic] of ['coffee', 'weather', 'traffic', 'music', 'lunch'].entries()) {
+      faded.push(await remember(`Talked about ${topic}`, {
+        importance: 0.2, tags: [topic], accessLevel: i === 0 ? 'private' : 'project', timestamp: daysAgo(90 - i)
+      }));
+    }
+    await remember('Promoted to lead', { importance: 1, timestamp: daysAgo(20) });
+
+    const result = await db.consolidation.consolidate({ now: NOW });
+    expect(result).toMatchObject({ digested: 5, digests: 1 });
+
+    const [digest] = await db.memories.list({ categories: ['digest'] });
+    expect(digest).toMatchObject({
+      entity: 'aria',
+      project_id: 'memory_aria',
+      access_level: 'private',
+      tags: ['coffee', 'lunch', 'music', 'traffic', 'weather'],
+      metadata: { digest_of: faded.map(m => m.id), category: 'experience' }
+    });
+    expect(digest.content.split('\n')).toEqual([
+      `5 experience memories from ${daysAgo(90).slice(0, 10)} to ${daysAgo(86).slice(0, 10)}:`,
+      '- Talked about coffee', '- Talked about weather', '- Talked about traffic', '- Talked about music', '- Talked about lunch'
+    ]);
+    expect(await contents()).toEqual(['Promoted to lead', digest.content].sort());
+
+    // A second pass has nothing left to fold
+    expect(await db.consolidation.consolidate({ now: NOW })).toMatchObject({ digested: 0, merged: 0 });
+  });
+
+  it('demotes stale memories by writing back their decayed importance', async () => {
+    const stale = await remember('An old observation', { importance: 0.8, timestamp: daysAgo(60) });
+    const fresh = await remember('A new observation entirely', { importance: 0.8, timestamp: daysAgo(2) });
+
+    expect(await db.consolidation.consolidate({ now: NOW })).toMatchObject({ demoted: 1 });
+
+    const demoted = await db.memories.get(stale.id);
+    expect(demoted.importance).toBeCloseTo(0.2);
+    expect(demoted.importance_updated_at).toBe(NOW.toISOString());
+    expect(effectiveImportance(demoted, NOW)).toBeCloseTo(0.2);
+    expect((await db.memories.get(fresh.id)).importance).toBe(0.8);
+  });
+
+  it('is scheduled by the consolidator, which shares a pass in progress', async () => {
+    const consolidation = { consolidate: jest.fn().mockResolvedValue({ merged: 0, digested: 0, digests: 0, demoted: 0 }) };
+    const consolidator = new MemoryConsolidator(consolidation, { intervalMs: 60000 });
+
+    consolidator.start();
+    expect(consolidation.consolidate).not.toHaveBeenCalled();
+    await Promise.all([consolidator.run(), consolidator.run()]);
+    expect(consolidation.consolidate).toHaveBeenCalledTimes(1);
+    await consolidator.stop();
+  });
+});
+
+describe('consolidation route', () => {
+  let hub;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, bridges: false, federation: false, scanProjects: false });
+    await hub.start();
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('lets admins run a consolidation pass now', async () => {
+    const call = async key => fetch(`http://127.0.0.1:${hub.port}/api/admin/memories/consolidate`, {
+      method: 'POST', headers: { 'x-api-key': key }
+    });
+    const admin = (await hub.db.apiKeys.createKey({ name: 'admin', scopes: ['admin'] })).key;
+    const reader = (await hub.db.apiKeys.createKey({ name: 'reader', scopes: ['memory:read', 'memory:write'] })).key;
+
+    await hub.db.memories.add({ entity: 'aria', projectId: 'memory_aria', category: 'experience', content: 'same thing twice' });
+    await hub.db.memories.add({ entity: 'aria', projectId: 'memory_aria', category: 'experience', content: 'Same thing twice.' });
+
+    expect((await call(reader)).status).toBe(403);
+    const res = await call(admin);
+    expect(await res.json()).toEqual({ success: true, merged: 1, digested: 0, digests: 0, demoted: 0 });
+  });
+});
@@ -1,43 +1,17 @@
-const path = require('path');
-const fs = require('fs-extra');
-
-// Use a temp directory so tests don't touch the real DB
-const TEST_DB_DIR = path.join(__dirname, '.test-db');
-
-beforeAll(async () => {
-  await fs.ensureDir(TEST_DB_DIR);
-});
-
-afterAll(async () => {
-  // On Windows, SQLite may hold locks briefly after close — retry cleanup
-  await new Promise(r => setTimeout(r, 200));
-  try { await fs.remove(TEST_DB_DIR); } catch { /* ignore cleanup errors */ }
-});
-
-// Patch the db path before requiring the module
 let MemoryDatabase;
 let db;
 
 beforeEach(async () => {
-  // Fresh require each test to get a clean DB
+  // Fresh require and a private in-memory database for each test
   jest.resetModules();
-
-  // Monkey-patch path.join so the DB goes to our temp dir
-  const originalJoin = path.join;
-  const testDbPath = originalJoin(TEST_DB_DIR, `test-${Date.now()}.db`);
-
   MemoryDatabase = require('../database/memory-database');
-  db = new MemoryDatabase();
-  db.dbPath = testDbPath;
-  db.db = null;
-  await db.init();
+  db = new MemoryDatabase({ backend: 'memory' });
+  await db.ready;
 });
 
 afterEach(async () => {
   if (db) {
-    db.close();
-    // Give SQLite time to release the file lock on Windows
-    await new Promise(r => setTimeout(r, 100));
+    await db.close();
   }
 });
 
@@ -0,0 +1,253 @@
+const ioClient = require('socket.io-client');
+const { createMemoryHub } = require('../core/memory-server');
+
+function connectSocket(port, token) {
+  return new Promise((resolve, reject) => {
+    const socket = ioClient(`http://127.0.0.1:${port}`, {
+      auth: { token },
+      transports: ['websocket'],
+      reconnection: false
+    });
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+}
+
+describe('memory edits, removals and history', () => {
+  let hub;
+  let adminKey;
+  let writerKey;
+
+  const request = async (method, path, { key = adminKey, body } = {}) => {
+    const res = await fetch(`http://127.0.0.1:${hub.port}/api${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': key },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  // Project memories, so the project-restricted writer may read those in its project
+  const store = async (content, entity = 'aria') => {
+    const { body } = await request('POST', '/memories', { body: { entity, content, tags: ['first'], access_level: 'project' } });
+    return body.id;
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    hub = createMemoryHub({
+      port: 0,
+      databaseOptions: { backend: 'memory' },
+      bridges: false,
+      federation: false,
+      scanProjects: false
+    });
+    await hub.start();
+    adminKey = (await hub.db.apiKeys.createKey({ name: 'admin', scopes: ['admin'] })).key;
+    writerKey = (await hub.db.apiKeys.createKey({
+      name: 'aria-writer',
+      scopes: ['memory:read', 'memory:write'],
+      projects: ['memory_aria']
+    })).key;
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  const converse = async (message, projectId = 'proj-a') => {
+    const { body } = await request('POST', '/memory/conversation', {
+      body: { platform: 'claude', projectId, message, context: { tags: ['chat'] } }
+    });
+    return body.conversationId;
+  };
+
+  it('edits content, tags, importance and expiry and merges metadata', async () => {
+    const id = await store('original text');
+
+    const { status, body } = await request('PATCH', `/memories/${id}`, {
+      body: { content: 'edited text', tags: ['second'], importance: 0.9, metadata: { mood: 'calm' }, ttl_seconds: 3600 }
+    });
+
+    expect(status).toBe(200);
+    expect(body.record_table).toBe('memories');
+    expect(body.memory).toMatchObject({
+      id,
+      entity: 'aria',
+      content: 'edited text',
+      tags: ['second'],
+      importance: 0.9,
+      metadata: { mood: 'calm' },
+      expires_at: expect.any(String),
+      updated_at: expect.any(String)
+    });
+
+    const cleared = await request('PATCH', `/memories/${id}`, { body: { expires_at: null } });
+    expect(cleared.body.memory.expires_at).toBeNull();
+    expect(cleared.body.memory.content).toBe('edited text');
+  });
+
+  it('rejects empty or invalid edits and unknown ids', async () => {
+    const id = await store('original text');
+
+    expect((await request('PATCH', `/memories/${id}`, { body: {} })).status).toBe(400);
+    expect((await request('PATCH', `/memories/${id}`, { body: { tags: 'nope' } })).status).toBe(400);
+    expect((await request('PATCH', `/memories/${id}`, { body: { importance: 2 } })).status).toBe(400);
+    expect((await request('PATCH', `/memories/${id}`, { body: { access_level: 'everyone' } })).status).toBe(400);
+    expect((await request('PATCH', `/memories/${id}`, { body: { expires_at: 'soon' } })).status).toBe(400);
+    expect((await request('PATCH', '/memories/missing', { body: { content: 'x' } })).status).toBe(404);
+    expect((await request('DELETE', '/memories/missing')).status).toBe(404);
+  });
+
+  it('falls back to conversation rows for ids that are not memories', async () => {
+    const id = await converse('a chat message');
+
+    const edited = await request('PATCH', `/memories/${id}`, { body: { content: 'an edited chat message', tags: ['edited'] } });
+    expect(edited.status).toBe(200);
+    expect(edited.body).toMatchObject({
+      record_table: 'conversations',
+      memory: { id, message: 'an edited chat message', context: { tags: ['edited'] } }
+    });
+
+    const removed = await request('DELETE', `/memories/${id}`);
+    expect(removed.body.tombstone).toMatchObject({ id, record_table: 'conversations', project_id: 'proj-a' });
+    expect(await hub.db.getConversation(id)).toBeNull();
+  });
+
+  it('soft-deletes into a tombstone that peers can replicate', async () => {
+    const id = await store('to be removed');
+    const before = new Date(Date.now() - 1000).toISOString();
+
+    const { status, body } = await request('DELETE', `/memories/${id}`);
+    expect(status).toBe(200);
+    expect(body.tombstone).toMatchObject({
+      id, record_table: 'memories', project_id: 'memory_aria', type: 'experience', deleted_by: 'admin', purged: false
+    });
+
+    expect(await hub.db.memories.get(id)).toBeNull();
+    expect((await request('DELETE', `/memories/${id}`)).status).toBe(404);
+
+    const feed = await request('GET', `/memories/tombstones?since=${encodeURIComponent(before)}`);
+    expect(feed.body.tombstones.map(tombstone => tombstone.id)).toEqual([id]);
+    expect(feed.body.tombstones[0]).not.toHaveProperty('message');
+  });
+
+  it('purges live and soft-deleted memories for admins only', async () => {
+    const live = await store('purge me now');
+    const removed = await store('purge me later');
+    await request('DELETE', `/memories/${removed}`);
+
+    expect((await request('DELETE', `/memories/${live}/purge`, { key: writerKey })).status).toBe(403);
+
+    for (const id of [live, removed]) {
+      const { status, body } = await request('DELETE', `/memories/${id}/purge`);
+      expect(status).toBe(200);
+      expect(body.tombstone).toMatchObject({ id, purged: true });
+    }
+
+    const rows = await hub.db.storage.all('SELECT message, context, purged_at FROM memory_tombstones');
+    expect(rows).toHaveLength(2);
+    rows.forEach(row => expect(row).toEqual({ message: null, context: null, purged_at: expect.any(String) }));
+    expect((await request('DELETE', '/memories/unknown/purge')).status).toBe(404);
+  });
+
+  it('checks a project-restricted key against the memory\'s project', async () => {
+    const own = await store('mine', 'aria');
+    const other = await store('not mine', 'sage');
+
+    expect((await request('PATCH', `/memories/${own}`, { key: writerKey, body: { content: 'still mine' } })).status).toBe(200);
+    expect((await request('PATCH', `/memories/${other}`, { key: writerKey, body: { content: 'taken' } })).status).toBe(403);
+    expect((await request('DELETE', `/memories/${other}`, { key: writerKey })).status).toBe(403);
+    expect(await hub.db.memories.get(other)).toMatchObject({ content: 'not mine' });
+  });
+
+  it('serves the revision history of a memory', async () => {
+    const id = await store('first version');
+    await request('PATCH', `/memories/${id}`, { key: writerKey, body: { content: 'second version' } });
+
+    const { status, body } = await request('GET', `/memories/${id}/history`, { key: writerKey });
+    expect(status).toBe(200);
+    expect(body.record_table).toBe('memories');
+    expect(body.revisions.map(r => [r.operation, r.data.content, r.changed_by])).toEqual([
+      ['create', 'first version', null],
+      ['update', 'second version', 'aria-writer']
+    ]);
+
+    const other = await store('not mine', 'sage');
+    expect((await request('GET', `/memories/${other}/history`, { key: writerKey })).status).toBe(403);
+    expect((await request('GET', '/memories/missing/history')).status).toBe(404);
+  });
+
+  it('searches and rebuilds context as of a past moment', async () => {
+    const id = await store('The launch is planned for March');
+    const chat = await converse('Release notes are due in March', 'memory_aria');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const then = new Date().toISOString();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await request('PATCH', `/memories/${id}`, { body: { content: 'The launch moved to June' } });
+    await request('PATCH', `/memories/${chat}`, { body: { content: 'Release notes are due in June', context: { tags: [] } } });
+
+    const recall = await request('GET', `/memories/search?entity=aria&query=march&as_of=${encodeURIComponent(then)}`);
+    expect(recall.body.memories.map(m => [m.id, m.content])).toEqual([[id, 'The launch is planned for March']]);
+    expect((await request('GET', '/memories/search?entity=aria&query=march')).body.memories).toEqual([]);
+
+    const search = await request('POST', '/memory/search', { body: { query: 'march', project_id: 'memory_aria', as_of: then } });
+    expect(search.body.results.map(r => r.id)).toEqual([chat]);
+    expect(search.body.as_of).toBe(then);
+
+    const context = await request('GET', `/memory/context/memory_aria?as_of=${encodeURIComponent(then)}`);
+    expect(context.body.context.conversationHistory.map(c => c.message)).toEqual(['Release notes are due in March']);
+
+    expect((await request('POST', '/memory/search', { body: { query: 'march', as_of: 'last week' } })).status).toBe(400);
+    expect((await request('POST', '/memory/semantic-search', { body: { query: 'march', as_of: then } })).status).toBe(400);
+  });
+
+  it('finds memories by meaning next to conversations, as the key may read them', async () => {
+    const chat = await converse('We picked Redis as the cache', 'memory_aria');
+    const shared = await store('Redis caches the session tokens');
+    const { body: secret } = await request('POST', '/memories', {
+      body: { entity: 'aria', content: 'Redis cache password rotates monthly', access_level: 'private' }
+    });
+    const search = (key, body = {}) => request('POST', '/memory/semantic-search', { key, body: { query: 'redis cache', ...body } });
+
+    const all = await search(adminKey);
+    expect(all.body.results.map(r => [r.id, r.record_table])).toEqual(expect.arrayContaining([
+      [chat, 'conversations'], [shared, 'memories'], [secret.id, 'memories']
+    ]));
+    const scores = all.body.results.map(r => r.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+
+    const restricted = (await search(writerKey, { project_id: 'memory_aria' })).body.results.map(r => r.id);
+    expect(restricted).toContain(shared);
+    expect(restricted).not.toContain(secret.id);
+    expect((await search(adminKey, { platform: 'claude' })).body.results.map(r => r.id)).toEqual([chat]);
+
+    await request('PATCH', `/memories/${shared}`, { body: { content: 'Kafka streams the audit log' } });
+    await request('DELETE', `/memories/${secret.id}`);
+    const edited = await search(adminKey, { query: 'kafka audit log', limit: 1 });
+    expect(edited.body.results.map(r => r.id)).toEqual([shared]);
+    expect((await search(adminKey)).body.results.map(r => r.id)).not.toContain(secret.id);
+  });
+
+  it('tells connected agents so they can drop cached copies', async () => {
+    const id = await store('cached somewhere');
+    await hub.contextManager.getProjectContext('memory_aria');
+    const socket = await connectSocket(hub.port, adminKey);
+
+    try {
+      const updated = new Promise(resolve => socket.once('memory:updated', resolve));
+      await request('PATCH', `/memories/${id}`, { body: { category: 'milestone' } });
+      expect(await updated).toMatchObject({ id, record_table: 'memories', project_id: 'memory_aria', category: 'milestone' });
+      expect(hub.contextManager.contextCache.has('memory_aria')).toBe(false);
+
+      const deleted = new Promise(resolve => socket.once('memory:deleted', resolve));
+      await request('DELETE', `/memories/${id}`);
+      expect(await deleted).toMatchObject({ id, record_table: 'memories', project_id: 'memory_aria', purged: false });
+    } finally {
+      socket.close();
+    }
+  });
+});
@@ -0,0 +1,133 @@
+const ioClient = require('socket.io-client');
+const MemoryHub = require('../core/memory-server');
+const { createMemoryHub } = require('../core/memory-server');
+const MemoryDatabase = require('../database/memory-database-production');
+
+function connectSocket(port, token) {
+  return new Promise((resolve, reject) => {
+    const socket = ioClient(`http://127.0.0.1:${port}`, {
+      auth: { token },
+      transports: ['websocket'],
+      reconnection: false
+    });
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+}
+
+describe('createMemoryHub', () => {
+  let hub;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('does nothing until start() and is importable without side effects', () => {
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' } });
+
+    expect(hub).toBeInstanceOf(MemoryHub);
+    expect(hub.server.listening).toBe(false);
+    expect(hub.bridges.size).toBe(0);
+    expect(hub.federationHub).toBeNull();
+  });
+
+  it('starts every service before resolving and stops them all', async () => {
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, scanProjects: false });
+    expect(await hub.start()).toBe(hub);
+
+    expect(hub.port).toBeGreaterThan(0);
+    expect(hub.federationHub.initialized).toBe(true);
+    expect(Array.from(hub.bridges.keys())).toEqual(['web-chat', 'vscode-extension']);
+
+    const health = await fetch(`http://127.0.0.1:${hub.port}/health`).then(res => res.json());
+    expect(health.status).toBe('operational');
+
+    const { key } = await hub.db.apiKeys.createKey({ name: 'jest', scopes: ['admin'] });
+    const socket = await connectSocket(hub.port, key);
+    const disconnected = new Promise(resolve => socket.once('disconnect', resolve));
+
+    await hub.stop();
+    await disconnected;
+
+    expect(hub.server.listening).toBe(false);
+    expect(hub.bridges.get('web-chat').syncInterval).toBeNull();
+    expect(hub.federationHub.webSocketPool.heartbeatInterval).toBeNull();
+    expect(hub.db.db).toBeNull();
+  });
+
+  it('uses injected components and leaves an injected database open', async () => {
+    const database = new MemoryDatabase({ backend: 'memory' });
+    class TestBridge {
+      constructor(memoryHub) {
+        this.platform = 'test-bridge';
+        this.memoryHub = memoryHub;
+      }
+      async connect() { this.connected = true; }
+      disconnect() { this.connected = false; }
+    }
+
+    hub = createMemoryHub({ port: 0, database, bridges: [TestBridge], federation: false, scanProjects: false });
+    await hub.start();
+
+    const bridge = hub.bridges.get('test-bridge');
+    expect(bridge.connected).toBe(true);
+    expect(hub.federationHub).toBeNull();
+
+    await hub.stop();
+    expect(bridge.connected).toBe(false);
+    expect(database.db).not.toBeNull();
+    await database.close();
+  });
+
+  it('is safe to stop twice, or before start', async () => {
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, federation: false, bridges: false });
+    await Promise.all([hub.stop(), hub.stop()]);
+    expect(hub.db.db).toBeNull();
+  });
+});
+
+describe('AI coordination events', () => {
+  let hub;
+  let socket;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, bridges: false, federation: false, scanProjects: false });
+    await hub.start();
+    const { key } = await hub.db.apiKeys.createKey({ name: 'gemini', scopes: ['memory:read', 'memory:write'], projects: ['akasha'] });
+    socket = await connectSocket(hub.port, key);
+  });
+
+  afterEach(async () => {
+    socket.close();
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  const send = (event, data) => new Promise(resolve => {
+    socket.once(`${event}-ack`, resolve);
+    socket.once('error', resolve);
+    socket.emit(event, data);
+  });
+
+  it('checks the project of context, files and insights against the key', async () => {
+    expect(await send('ai:context-update', { session_id: 's1', project_id: 'akasha', platform: 'gemini', context_data: {} }))
+      .toMatchObject({ success: true, context_id: expect.any(String) });
+
+    const refused = [
+      ['ai:context-update', { session_id: 's1', project_id: 'other', context_data: {} }],
+      ['ai:file-uploaded', { project_id: 'other', file_path: 'a.png', file_type: 'image' }],
+      ['ai:insight-generated', { project_id: 'other', insight_type: 'pattern', content: 'x' }]
+    ];
+    for (const [event, data] of refused) {
+      expect(await send(event, data)).toEqual({ event, message: 'This API key has no access to project: other' });
+    }
+  });
+});
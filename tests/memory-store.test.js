@@ -0,0 +1,261 @@
+const sqlite3 = require('sqlite3');
+const MemoryDatabase = require('../database/memory-database-production');
+const MigrationRunner = require('../database/migration-runner');
+const StorageAdapter = require('../database/storage-adapter');
+const { createMemoryHub } = require('../core/memory-server');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('MemoryStore', () => {
+  let db;
+
+  const remember = (content, overrides = {}) => db.memories.add({
+    entity: 'aria',
+    projectId: 'memory_aria',
+    source: 'aria',
+    category: 'experience',
+    content,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('stores typed columns and normalizes tags into the join table', async () => {
+    const stored = await remember('Watched the first deploy succeed', {
+      tags: ['deploy', ' milestone ', 'deploy'], valence: 0.8, importance: 0.7
+    });
+
+    expect(stored).toMatchObject({
+      entity: 'aria', project_id: 'memory_aria', category: 'experience', valence: 0.8, importance: 0.7,
+      access_level: 'private', tags: ['deploy', 'milestone'], metadata: {}
+    });
+    expect(await db.memories.get(stored.id)).toEqual(stored);
+    expect(await db.storage.all('SELECT tag FROM memory_tags ORDER BY tag')).toEqual([{ tag: 'deploy' }, { tag: 'milestone' }]);
+    expect(await db.getConversationsByPlatform('entity_memory')).toEqual([]);
+  });
+
+  it('lists by entity, category, project and tag, newest first', async () => {
+    await remember('old', { timestamp: '2026-01-01T00:00:00.000Z', tags: ['a'] });
+    await remember('new', { timestamp: '2026-02-01T00:00:00.000Z', category: 'milestone', tags: ['b'] });
+    await remember('shared', { entity: null, projectId: 'akasha', source: 'akasha', category: 'insight', tags: ['a'] });
+
+    const contents = async options => (await db.memories.list(options)).map(m => m.content);
+
+    expect(await contents({ entity: 'aria' })).toEqual(['new', 'old']);
+    expect(await contents({ entity: 'aria', categories: ['milestone'] })).toEqual(['new']);
+    expect(await contents({ tags: ['a'] })).toEqual(['shared', 'old']);
+    expect(await contents({ excludeProjects: ['memory_aria'] })).toEqual(['shared']);
+    expect(await db.memories.listTags()).toEqual([{ tag: 'a', count: 2 }, { tag: 'b', count: 1 }]);
+  });
+
+  it('ranks full-text matches and searches the past from revisions', async () => {
+    const redis = await remember('We cache sessions in Redis');
+    await remember('Deploys go through the staging pipeline');
+    await remember('Redis is used elsewhere too', { entity: 'sage', projectId: 'memory_sage' });
+    await tick();
+    const then = new Date().toISOString();
+    await tick();
+    await db.memories.update(redis.id, { content: 'We cache sessions in Memcached', tags: ['cache'] });
+
+    const now = await db.memories.search('redis', { entity: 'aria' });
+    expect(now).toEqual([]);
+
+    const past = await db.memories.search('redis', { entity: 'aria', asOf: then });
+    expect(past.map(m => [m.id, m.tags])).toEqual([[redis.id, []]]);
+    expect(past[0].snippet).toContain('<mark>Redis</mark>');
+
+    const [hit] = await db.memories.search('memcached');
+    expect(hit).toMatchObject({ id: redis.id, tags: ['cache'], score: expect.any(Number) });
+    expect(hit.snippet).toContain('<mark>Memcached</mark>');
+  });
+
+  it('deletes into a memories tombstone and purges its history', async () => {
+    const stored = await remember('to forget', { tags: ['x'] });
+
+    expect(await db.memories.delete(stored.id, { deletedBy: 'aria' })).toMatchObject({
+      id: stored.id, record_table: 'memories', platform: 'aria', type: 'experience', purged: false
+    });
+    expect(await db.memories.get(stored.id)).toBeNull();
+    expect(await db.storage.all('SELECT * FROM memory_tags')).toEqual([]);
+
+    expect(await db.memories.purge(stored.id)).toMatchObject({ purged: true });
+    const history = await db.revisions.history(stored.id);
+    expect(history.map(r => [r.record_table, r.operation, r.data])).toEqual([
+      ['memories', 'create', null],
+      ['memories', 'delete', null],
+      ['memories', 'purge', null]
+    ]);
+    expect(await db.memories.purge('unknown')).toBeNull();
+  });
+
+  it('is covered by retention policies through its category', async () => {
+    await db.retention.setPolicy({ memory_type: 'status', ttl_seconds: 60, action: 'archive' });
+    const old = await remember('stale status', { category: 'status', tags: ['ops'], timestamp: '2020-01-01T00:00:00.000Z' });
+    await remember('fresh status', { category: 'status' });
+    const expired = await remember('own deadline', { expiresAt: '2020-01-01T00:00:00.000Z' });
+
+    expect(await db.retention.reap()).toEqual({ deleted: 1, archived: 1 });
+
+    expect((await db.memories.list()).map(m => m.content)).toEqual(['fresh status']);
+    expect(await db.storage.get('SELECT id, tags FROM memories_archive')).toEqual({ id: old.id, tags: '["ops"]' });
+    expect((await db.revisions.history(expired.id)).map(r => r.operation)).toEqual(['create', 'expire']);
+  });
+
+  it('rejects unknown access levels', async () => {
+    await expect(remember('x', { accessLevel: 'everyone' })).rejects.toThrow(/access_level must be one of/);
+  });
+});
+
+describe('memories migration', () => {
+  let db;
+  let storage;
+  let runner;
+
+  const insertConversation = (id, platform, projectId, message, context, type = 'general') => storage.run(`
+    INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
+    VALUES (?, ?, ?, ?, ?, '2025-06-01T12:00:00.000Z', ?)
+  `, [id, platform, projectId, message, JSON.stringify(context), type]);
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = new sqlite3.Database(':memory:');
+    storage = new StorageAdapter({ db, isProduction: false });
+    runner = new MigrationRunner({ db, isProduction: false });
+    await runner.migrate({ to: 10 });
+
+    await insertConversation('entity-1', 'entity_memory', 'memory_aria', 'First sunrise', {
+      entity: 'aria', category: 'milestone', emotional_valence: 0.6, tags: ['firsts'], stored_at: 'then'
+    }, 'milestone');
+    await insertConversation('shared-1', 'akasha', 'akasha', '{"pattern":"loop"}', {
+      source_project: 'akasha', memory_type: 'pattern', content: { pattern: 'loop' }, tags: ['p'],
+      access_level: 'public', stored_via: 'akasha_integration'
+    }, 'pattern');
+    await insertConversation('chat-1', 'mycelium', 'mycelium-network', 'hello network', { from: 'aria' });
+    await storage.run(`
+      INSERT INTO memory_revisions (record_table, record_id, revision, project_id, operation, data, changed_at)
+      VALUES ('conversations', 'entity-1', 1, 'memory_aria', 'create', ?, '2025-06-01T12:00:00.000Z')
+    `, [JSON.stringify(await storage.get('SELECT * FROM conversations WHERE id = ?', ['entity-1']))]);
+  });
+
+  afterEach(() => {
+    db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('moves memories out of conversations with their tags and history', async () => {
+    await runner.migrate();
+
+    expect((await storage.all('SELECT id FROM conversations')).map(row => row.id)).toEqual(['chat-1']);
+    expect(await storage.all('SELECT id, entity, project_id, source, category, valence, access_level, metadata FROM memories ORDER BY id'))
+      .toEqual([
+        {
+          id: 'entity-1', entity: 'aria', project_id: 'memory_aria', source: 'aria', category: 'milestone',
+          valence: 0.6, access_level: 'private', metadata: '{"stored_at":"then"}'
+        },
+        {
+          id: 'shared-1', entity: null, project_id: 'akasha', source: 'akasha', category: 'pattern',
+          valence: 0, access_level: 'public', metadata: '{"format":"json"}'
+        }
+      ]);
+    expect(await storage.all('SELECT memory_id, tag FROM memory_tags ORDER BY memory_id'))
+      .toEqual([{ memory_id: 'entity-1', tag: 'firsts' }, { memory_id: 'shared-1', tag: 'p' }]);
+
+    const revision = await storage.get(`SELECT record_table, data FROM memory_revisions WHERE record_id = 'entity-1'`);
+    expect(revision.record_table).toBe('memories');
+    expect(JSON.parse(revision.data)).toMatchObject({ content: 'First sunrise', tags: ['firsts'], entity: 'aria' });
+
+    const fts = await storage.all(`SELECT rowid FROM memories_fts WHERE memories_fts MATCH 'sunrise'`);
+    expect(fts).toHaveLength(1);
+  });
+
+  it('rolls back to the conversation rows it started from', async () => {
+    const before = await storage.all('SELECT id, platform, project_id, message, type FROM conversations ORDER BY id');
+    await runner.migrate();
+    await runner.rollback({ to: 10 });
+
+    expect(await storage.all('SELECT id, platform, project_id, message, type FROM conversations ORDER BY id')).toEqual(before);
+    const context = JSON.parse((await storage.get(`SELECT context FROM conversations WHERE id = 'shared-1'`)).context);
+    expect(context).toMatchObject({ content: { pattern: 'loop' }, access_level: 'public', stored_via: 'akasha_integration' });
+  });
+});
+
+describe('memory routes', () => {
+  let hub;
+  let adminKey;
+
+  const request = async (method, path, body) => {
+    const res = await fetch(`http://127.0.0.1:${hub.port}/api${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': adminKey },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({
+      port: 0,
+      databaseOptions: { backend: 'memory' },
+      bridges: false,
+      federation: false,
+      scanProjects: false
+    });
+    await hub.start();
+    adminKey = (await hub.db.apiKeys.createKey({ name: 'admin', scopes: ['admin'] })).key;
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('stores and queries cross-project memories from the memories table', async () => {
+    const stored = await request('POST', '/memory/store', {
+      source_project: 'akasha', memory_type: 'pattern', content: { pattern: 'feedback loop' }, tags: ['loops']
+    });
+    expect(stored.status).toBe(201);
+    await request('POST', '/memory/store', { source_project: 'uda', memory_type: 'insight', content: 'Another feedback loop' });
+
+    const { body } = await request('POST', '/memory/query', { query: 'feedback', exclude_project: 'uda' });
+    expect(body.memories).toEqual([expect.objectContaining({
+      id: stored.body.memory_id,
+      source_project: 'akasha',
+      memory_type: 'pattern',
+      content: { pattern: 'feedback loop' },
+      tags: ['loops'],
+      access_level: 'cross_project',
+      relevance_score: expect.any(Number)
+    })]);
+
+    expect((await request('POST', '/memory/store', {
+      source_project: 'akasha', memory_type: 'pattern', content: 'x', access_level: 'everyone'
+    })).status).toBe(400);
+  });
+
+  it('recalls autobiographical memories by entity, category and query', async () => {
+    await request('POST', '/memories', { entity: 'aria', content: 'Met sage for the first time', category: 'interaction', emotional_valence: 0.5 });
+    await request('POST', '/memories', { entity: 'aria', content: 'Shipped the first release', category: 'milestone', tags: ['release'] });
+    await request('POST', '/memories', { entity: 'sage', content: 'Met aria for the first time', category: 'interaction' });
+
+    // Formed moments apart, so the emotionally charged one ranks first
+    const all = await request('GET', '/memories/search?entity=aria');
+    expect(all.body.memories.map(m => m.content)).toEqual(['Met sage for the first time', 'Shipped the first release']);
+
+    const met = await request('GET', '/memories/search?entity=aria&query=met&category=interaction');
+    expect(met.body.memories).toEqual([expect.objectContaining({
+      content: 'Met sage for the first time', category: 'interaction', emotional_valence: 0.5, tags: []
+    })]);
+  });
+});
@@ -0,0 +1,171 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const sqlite3 = require('sqlite3');
+const MigrationRunner = require('../database/migration-runner');
+const { parseArgs } = require('../database/migrate');
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+async function tableNames(db) {
+  const rows = await all(db, `
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name
+  `);
+  return rows.map(row => row.name);
+}
+
+describe('MigrationRunner (bundled migrations)', () => {
+  let db;
+  let runner;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = new sqlite3.Database(':memory:');
+    runner = new MigrationRunner({ db, isProduction: false });
+  });
+
+  afterEach(() => {
+    db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('applies every migration in order and records it', async () => {
+    const versions = runner.loadMigrations().map(m => m.version);
+    expect(await runner.migrate()).toEqual(versions);
+
+    const status = await runner.status();
+    expect(status.every(m => m.applied && m.applied_at)).toBe(true);
+
+    const tables = await tableNames(db);
+    expect(tables).toEqual(expect.arrayContaining([
+      'conversations', 'patterns', 'sessions', 'bridge_logs',
+      'scri_entities', 'federation_nodes', 'federation_sovereignty_configs',
+      'conversations_fts', 'api_keys', 'schema_migrations'
+    ]));
+  });
+
+  it('is idempotent', async () => {
+    await runner.migrate();
+    expect(await runner.migrate()).toEqual([]);
+    expect(await runner.pendingCount()).toBe(0);
+  });
+
+  it('migrates up to a target version', async () => {
+    expect(await runner.migrate({ to: 2 })).toEqual([1, 2]);
+    const pending = (await runner.status()).filter(m => !m.applied).map(m => m.version);
+    expect(pending[0]).toBe(3);
+    expect(await tableNames(db)).not.toContain('api_keys');
+  });
+
+  it('rolls back one step by default, or down to a version', async () => {
+    const versions = await runner.migrate();
+    const latest = versions[versions.length - 1];
+
+    expect(await runner.rollback()).toEqual([latest]);
+    expect(await runner.rollback({ to: 3 })).toEqual(versions.filter(v => v > 3 && v < latest).reverse());
+    expect((await runner.status()).filter(m => m.applied).map(m => m.version)).toEqual([1, 2, 3]);
+  });
+
+  it('round-trips: a full rollback drops everything and can be re-applied', async () => {
+    await runner.migrate();
+    await runner.rollback({ to: 0 });
+    expect(await tableNames(db)).toEqual(['schema_migrations']);
+
+    await runner.migrate();
+    expect(await runner.pendingCount()).toBe(0);
+  });
+
+  it('adopts a database created before migrations existed', async () => {
+    await run(db, `CREATE TABLE conversations (
+      id TEXT PRIMARY KEY, platform TEXT NOT NULL, project_id TEXT NOT NULL, message TEXT NOT NULL,
+      context TEXT, timestamp TEXT NOT NULL, type TEXT DEFAULT 'general'
+    )`);
+    await run(db, `INSERT INTO conversations VALUES ('c1', 'claude', 'p', 'kept across upgrade', '{}', 't', 'general')`);
+
+    await runner.migrate();
+
+    const rows = await all(db, `SELECT rowid FROM conversations_fts WHERE conversations_fts MATCH 'upgrade'`);
+    expect(rows.length).toBe(1);
+  });
+});
+
+describe('MigrationRunner (custom migrations)', () => {
+  let db;
+  let dir;
+
+  const writeMigration = (file, source) => fs.writeFile(path.join(dir, file), source);
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = new sqlite3.Database(':memory:');
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+    await writeMigration('001-widgets.js', `module.exports = {
+      up: db => db.run('CREATE TABLE widgets (id TEXT PRIMARY KEY)'),
+      down: db => db.run('DROP TABLE widgets')
+    };`);
+  });
+
+  afterEach(async () => {
+    db.close();
+    await fs.remove(dir);
+    jest.restoreAllMocks();
+  });
+
+  it('rolls back a failing migration and leaves it pending', async () => {
+    await writeMigration('002-broken.js', `module.exports = {
+      async up(db) {
+        await db.run('CREATE TABLE gadgets (id TEXT)');
+        await db.run('INSERT INTO no_such_table VALUES (1)');
+      },
+      down: db => db.run('DROP TABLE gadgets')
+    };`);
+    const runner = new MigrationRunner({ db, isProduction: false }, { migrationsDir: dir });
+
+    await expect(runner.migrate()).rejects.toThrow(/no_such_table/);
+
+    const tables = await tableNames(db);
+    expect(tables).toContain('widgets');
+    expect(tables).not.toContain('gadgets');
+    expect((await runner.status()).map(m => m.applied)).toEqual([true, false]);
+  });
+
+  it('rejects duplicate versions and migrations without down()', async () => {
+    await writeMigration('001-again.js', `module.exports = { up() {}, down() {} };`);
+    const runner = new MigrationRunner({ db, isProduction: false }, { migrationsDir: dir });
+    expect(() => runner.loadMigrations()).toThrow(/Duplicate migration version 1/);
+
+    await fs.remove(path.join(dir, '001-again.js'));
+    await writeMigration('002-no-down.js', `module.exports = { up() {} };`);
+    expect(() => runner.loadMigrations()).toThrow(/must export up\(\) and down\(\)/);
+  });
+
+  it('refuses to roll back a migration whose file is gone', async () => {
+    const runner = new MigrationRunner({ db, isProduction: false }, { migrationsDir: dir });
+    await runner.migrate();
+    await fs.remove(path.join(dir, '001-widgets.js'));
+
+    await expect(runner.rollback()).rejects.toThrow(/file is missing/);
+  });
+});
+
+describe('migrate CLI arguments', () => {
+  it('parses the command and numeric options', () => {
+    expect(parseArgs(['rollback', '--steps', '2'])).toEqual({ command: 'rollback', options: { steps: 2 } });
+    expect(parseArgs(['migrate', '--to', '3'])).toEqual({ command: 'migrate', options: { to: 3 } });
+  });
+
+  it('rejects unknown options and bad values', () => {
+    expect(() => parseArgs(['migrate', '--force'])).toThrow(/Unknown option/);
+    expect(() => parseArgs(['rollback', '--steps', 'two'])).toThrow(/non-negative integer/);
+  });
+});
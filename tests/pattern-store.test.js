@@ -0,0 +1,201 @@
+const sqlite3 = require('sqlite3');
+const MemoryDatabase = require('../database/memory-database-production');
+const MigrationRunner = require('../database/migration-runner');
+const StorageAdapter = require('../database/storage-adapter');
+const ContextManager = require('../core/context-manager');
+const { extractCodePatterns, extractConversationPatterns, normalizeLanguage } = require('../core/pattern-extractor');
+const { createMemoryHub } = require('../core/memory-server');
+
+const JS_CODE = [
+  "const express = require('express');",
+  'const app = express();',
+  '',
+  'async function loadUser(userId) {',
+  "  const row = await db.get('SELECT * FROM users WHERE id = ?', [userId]);",
+  '  return row;',
+  '}',
+  "app.get('/users/:id', handler);"
+].join('\n');
+
+const PY_CODE = [
+  'def load_user(user_id):',
+  '    row = db.get("users", user_id)',
+  '    return row'
+].join('\n');
+
+describe('pattern extraction', () => {
+  it('finds the conventions code follows', () => {
+    expect(extractCodePatterns(JS_CODE, { language: 'js' })).toEqual({
+      language: 'javascript',
+      patterns: [
+        { type: 'indentation', value: '2 spaces' },
+        { type: 'quotes', value: 'single' },
+        { type: 'semicolons', value: 'always' },
+        { type: 'async_style', value: 'async/await' },
+        { type: 'module_system', value: 'commonjs' },
+        { type: 'naming', value: 'camelCase' },
+        { type: 'framework', value: 'express' }
+      ]
+    });
+    expect(extractCodePatterns(PY_CODE).patterns).toEqual([
+      { type: 'indentation', value: '4 spaces' },
+      { type: 'quotes', value: 'double' },
+      { type: 'naming', value: 'snake_case' }
+    ]);
+    expect(extractCodePatterns('hello').patterns).toEqual([]);
+    expect(normalizeLanguage('TSX')).toBe('typescript');
+  });
+
+  it('reads generated code, fenced blocks and artifacts from conversations', () => {
+    const found = extractConversationPatterns({
+      message: `Try this:\n\`\`\`python\n${PY_CODE}\n\`\`\``,
+      type: 'code_generation',
+      context: JSON.stringify({ generatedCode: JS_CODE, language: 'javascript', approved: false })
+    });
+    expect(found.map(f => [f.language, f.outcome])).toEqual([['javascript', 'failure'], ['python', 'failure']]);
+    expect(extractConversationPatterns({ type: 'code_artifact', context: { language: 'py', content: PY_CODE } }))
+      .toEqual([expect.objectContaining({ language: 'python', outcome: null })]);
+    expect(extractConversationPatterns({ message: 'No code here', context: {} })).toEqual([]);
+  });
+});
+
+describe('PatternStore', () => {
+  let db;
+  let store;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+    store = db.patterns;
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('counts sightings and outcomes and recommends conventions', async () => {
+    const spaces = { language: 'javascript', patterns: [{ type: 'indentation', value: '2 spaces' }, { type: 'framework', value: 'express' }] };
+    await store.observe('akasha', spaces);
+    await store.observe('akasha', { ...spaces, outcome: 'success' });
+    const [tabs] = await store.observe('akasha', { language: 'javascript', patterns: [{ type: 'indentation', value: 'tabs' }] });
+    await store.observe('akasha', { language: 'javascript', patterns: [{ type: 'indentation', value: 'tabs' }] });
+    await store.observe('akasha', { language: 'python', patterns: [{ type: 'indentation', value: '4 spaces' }] });
+
+    const [indentation] = await store.list('akasha', { type: 'indentation', language: 'javascript' });
+    expect(indentation).toMatchObject({ pattern_value: '2 spaces', usage_count: 2, successes: 1, failures: 0, success_rate: 1 });
+
+    const [javascript, python] = await store.conventions('akasha');
+    expect(javascript).toMatchObject({
+      language: 'javascript',
+      conventions: [{ type: 'indentation', value: '2 spaces', seen: 2, success_rate: 1, alternatives: [{ value: 'tabs', success_rate: null }] }],
+      frameworks: [{ value: 'express', seen: 2 }]
+    });
+    expect(python.conventions[0]).toMatchObject({ value: '4 spaces', confidence: 1 });
+
+    // Failed uses of the leading convention hand the recommendation over
+    for (let i = 0; i < 3; i++) await store.recordOutcome(indentation.id, false);
+    await store.recordOutcome(tabs.id, true);
+    const [updated] = await store.conventions('akasha', { language: 'javascript' });
+    expect(updated.conventions[0]).toMatchObject({ value: 'tabs', success_rate: 1 });
+    expect(await store.recordOutcome(9999, true)).toBeNull();
+
+    await expect(store.observe('akasha', { language: 'javascript', patterns: [{ type: 'Bad Type', value: 'x' }] }))
+      .rejects.toThrow(/pattern type must be/);
+    await expect(store.observe('akasha', { language: 'javascript', patterns: [], outcome: 'maybe' })).rejects.toThrow(/outcome must be/);
+  });
+
+  it('keeps free-form patterns and their success rates on the production database', async () => {
+    const id = await db.addPattern('akasha', 'code_style', { indent: 'spaces' }, 1.0);
+    expect(await db.updatePatternUsage(id, false)).toMatchObject({ usage_count: 2, success_rate: 0.5 });
+    expect((await db.getPatterns('akasha', 'code_style'))[0].pattern_data).toEqual({ indent: 'spaces' });
+    await expect(db.updatePatternUsage(9999, true)).rejects.toThrow('Pattern not found');
+  });
+
+  it('learns from the code in stored conversations', async () => {
+    const manager = new ContextManager(db);
+    await manager.addConversation('vscode', 'akasha', 'Generated the user loader', {
+      generatedCode: JS_CODE, language: 'javascript', approved: true
+    });
+    const learned = await db.getPatterns('akasha', 'semicolons', { language: 'javascript' });
+    expect(learned).toEqual([expect.objectContaining({ pattern_value: 'always', successes: 1 })]);
+    expect(manager.analyzeCodePattern(JS_CODE).asyncStyle).toBe('async/await');
+  });
+});
+
+describe('pattern learning migration', () => {
+  it('backfills counts from success rates and rolls back', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const db = new sqlite3.Database(':memory:');
+    const storage = new StorageAdapter({ db, isProduction: false });
+    const runner = new MigrationRunner({ db, isProduction: false });
+    await runner.migrate({ to: 17 });
+    await storage.run(`
+      INSERT INTO patterns (project_id, pattern_type, pattern_data, success_rate, usage_count, created_at, updated_at)
+      VALUES ('akasha', 'code_style', '{}', 0.75, 4, '2026-01-01', '2026-01-02')
+    `);
+
+    await runner.migrate({ to: 18 });
+    expect(await storage.get('SELECT successes, failures, last_seen_at FROM patterns'))
+      .toEqual({ successes: 3, failures: 1, last_seen_at: '2026-01-02' });
+    await runner.rollback({ to: 17 });
+    const columns = (await storage.all('PRAGMA table_info(patterns)')).map(c => c.name);
+    expect(columns).not.toContain('pattern_value');
+    db.close();
+    jest.restoreAllMocks();
+  });
+});
+
+describe('pattern routes', () => {
+  let hub;
+  let adminKey;
+
+  const request = async (method, path, { key = adminKey, body } = {}) => {
+    const res = await fetch(`http://127.0.0.1:${hub.port}/api${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': key },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, bridges: false, federation: false, scanProjects: false });
+    await hub.start();
+    adminKey = (await hub.db.apiKeys.createKey({ name: 'admin', scopes: ['admin'] })).key;
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('learns from artifacts, takes feedback and recommends conventions', async () => {
+    await request('POST', '/trinity/code-artifact', { body: { projectId: 'akasha', language: 'python', content: PY_CODE } });
+    const listed = await request('GET', '/patterns/akasha?language=py&type=naming');
+    expect(listed.body.patterns).toEqual([expect.objectContaining({ pattern_value: 'snake_case', language: 'python' })]);
+
+    const announced = [];
+    jest.spyOn(hub, 'broadcast').mockImplementation((event, payload) => announced.push([event, payload]));
+    const { id } = listed.body.patterns[0];
+    const feedback = await request('POST', `/patterns/${id}/feedback`, { body: { successful: true } });
+    expect(feedback).toMatchObject({ status: 200, body: { pattern: { successes: 1, success_rate: 1 } } });
+    expect(announced).toEqual([['pattern:feedback', { id, project_id: 'akasha', successful: true, success_rate: 1 }]]);
+    expect((await request('POST', `/patterns/${id}/feedback`, { body: { successful: 'yes' } })).status).toBe(400);
+    expect((await request('POST', '/patterns/9999/feedback', { body: { successful: true } })).status).toBe(404);
+
+    const conventions = await request('GET', '/patterns/akasha/conventions');
+    expect(conventions.body.languages[0]).toMatchObject({
+      language: 'python',
+      conventions: expect.arrayContaining([expect.objectContaining({ type: 'naming', value: 'snake_case', success_rate: 1 })])
+    });
+
+    const other = (await hub.db.apiKeys.createKey({ name: 'uda', scopes: ['memory:read', 'memory:write'], projects: ['uda'] })).key;
+    expect((await request('GET', '/patterns/akasha/conventions', { key: other })).status).toBe(403);
+    expect((await request('POST', `/patterns/${id}/feedback`, { key: other, body: { successful: false } })).status).toBe(403);
+  });
+});
@@ -0,0 +1,167 @@
+const sqlite3 = require('sqlite3');
+const MigrationRunner = require('../database/migration-runner');
+const RetentionStore = require('../database/retention-store');
+const { resolveExpiresAt } = require('../database/retention-store');
+const RetentionReaper = require('../core/retention-reaper');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-01T00:00:00.000Z');
+
+function daysAgo(days) {
+  return new Date(NOW.getTime() - days * DAY).toISOString();
+}
+
+describe('RetentionStore', () => {
+  let db;
+  let store;
+
+  const insert = (id, { project = 'proj-a', type = 'general', age = 0, expiresAt = null } = {}) =>
+    store.storage.run(`
+      INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type, expires_at)
+      VALUES (?, 'jest', ?, ?, '{}', ?, ?, ?)
+    `, [id, project, `memory ${id}`, daysAgo(age), type, expiresAt]);
+
+  const remainingIds = async () =>
+    (await store.storage.all('SELECT id FROM conversations ORDER BY id')).map(row => row.id);
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = new sqlite3.Database(':memory:');
+    await new MigrationRunner({ db, isProduction: false }).migrate();
+    store = new RetentionStore({ db, isProduction: false });
+  });
+
+  afterEach(() => {
+    db.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('policies', () => {
+    it('replaces the policy for the same project/type pair', async () => {
+      const first = await store.setPolicy({ memory_type: 'status', ttl_seconds: 60 });
+      const second = await store.setPolicy({ memory_type: 'status', ttl_seconds: 120, action: 'archive' });
+
+      expect(second.id).toBe(first.id);
+      expect(await store.listPolicies()).toEqual([
+        expect.objectContaining({ project_id: null, memory_type: 'status', ttl_seconds: 120, action: 'archive' })
+      ]);
+    });
+
+    it('validates TTL, action and scope', async () => {
+      await expect(store.setPolicy({ ttl_seconds: -5 })).rejects.toThrow(/positive integer/);
+      await expect(store.setPolicy({ action: 'shred' })).rejects.toThrow(/action must be one of/);
+      await expect(store.setPolicy({ project_id: '', ttl_seconds: 60 })).rejects.toThrow(/project_id must be a non-empty string/);
+      await expect(store.setPolicy({ memory_type: 42 })).rejects.toThrow(/memory_type must be a non-empty string/);
+    });
+
+    it('deletes a policy', async () => {
+      const policy = await store.setPolicy({ project_id: 'proj-a', ttl_seconds: 60 });
+      expect(await store.deletePolicy(policy.id)).toBe(true);
+      expect(await store.deletePolicy(policy.id)).toBe(false);
+    });
+  });
+
+  describe('expiry', () => {
+    it('applies the most specific policy: project+type, then type, then project', async () => {
+      await store.setPolicy({ project_id: 'proj-a', ttl_seconds: 30 * DAY / 1000 });
+      await store.setPolicy({ memory_type: 'status', ttl_seconds: 7 * DAY / 1000 });
+      await store.setPolicy({ memory_type: 'decision', ttl_seconds: null });
+      await store.setPolicy({ project_id: 'proj-a', memory_type: 'status', ttl_seconds: 1 * DAY / 1000 });
+
+      await insert('a-status-2d', { type: 'status', age: 2 });          // project+type: 1 day
+      await insert('b-status-2d', { project: 'proj-b', type: 'status', age: 2 }); // type: 7 days
+      await insert('b-status-8d', { project: 'proj-b', type: 'status', age: 8 });
+      await insert('a-general-20d', { age: 20 });                        // project: 30 days
+      await insert('a-general-40d', { age: 40 });
+      await insert('a-decision-400d', { type: 'decision', age: 400 });  // type: forever
+      await insert('c-general-400d', { project: 'proj-c', age: 400 });  // no policy
+
+      const result = await store.reap({ now: NOW });
+
+      expect(result).toEqual({ deleted: 3, archived: 0 });
+      expect(await remainingIds()).toEqual(['a-decision-400d', 'a-general-20d', 'b-status-2d', 'c-general-400d']);
+    });
+
+    it('honours a memory\'s own expires_at, even under a keep-forever policy', async () => {
+      await store.setPolicy({ memory_type: 'decision', ttl_seconds: null, action: 'archive' });
+
+      await insert('decision-expired', { type: 'decision', expiresAt: daysAgo(1) });
+      await insert('plain-expired', { expiresAt: daysAgo(1) });
+      await insert('plain-future', { expiresAt: new Date(NOW.getTime() + DAY).toISOString() });
+
+      expect(await store.reap({ now: NOW })).toEqual({ deleted: 1, archived: 1 });
+      expect(await remainingIds()).toEqual(['plain-future']);
+
+      const archived = await store.storage.all('SELECT id, archived_by FROM conversations_archive');
+      expect(archived).toEqual([{ id: 'decision-expired', archived_by: expect.any(String) }]);
+    });
+
+    it('archives in batches and keeps the full row', async () => {
+      const policy = await store.setPolicy({ project_id: 'proj-a', ttl_seconds: DAY / 1000, action: 'archive' });
+      for (let i = 0; i < 5; i++) {
+        await insert(`old-${i}`, { age: 3 });
+      }
+
+      expect(await store.reap({ now: NOW, batchSize: 2 })).toEqual({ deleted: 0, archived: 5 });
+
+      const row = await store.storage.get('SELECT * FROM conversations_archive WHERE id = ?', ['old-0']);
+      expect(row).toMatchObject({ message: 'memory old-0', project_id: 'proj-a', archived_by: policy.id });
+      expect(await remainingIds()).toEqual([]);
+    });
+
+    it('previews what would be removed without removing it', async () => {
+      const policy = await store.setPolicy({ memory_type: 'status', ttl_seconds: 7 * DAY / 1000 });
+      await insert('status-old', { type: 'status', age: 10 });
+      await insert('status-new', { type: 'status', age: 1 });
+      await insert('expired', { expiresAt: daysAgo(1) });
+
+      const preview = await store.preview({ now: NOW });
+
+      expect(preview.total).toBe(2);
+      expect(preview.groups).toEqual([
+        expect.objectContaining({ reason: 'policy', policy_id: policy.id, action: 'delete', count: 1, sample: [expect.objectContaining({ id: 'status-old' })] }),
+        expect.objectContaining({ reason: 'expires_at', policy_id: null, action: 'delete', count: 1 })
+      ]);
+      expect(await remainingIds()).toHaveLength(3);
+    });
+  });
+});
+
+describe('resolveExpiresAt', () => {
+  it('accepts an absolute timestamp or a relative TTL', () => {
+    expect(resolveExpiresAt({ expires_at: '2026-03-02T00:00:00Z' })).toBe('2026-03-02T00:00:00.000Z');
+    expect(resolveExpiresAt({ ttl_seconds: 60 }, NOW)).toBe('2026-03-01T00:01:00.000Z');
+    expect(resolveExpiresAt({})).toBeNull();
+  });
+
+  it('rejects malformed values', () => {
+    expect(() => resolveExpiresAt({ expires_at: 'tomorrow' })).toThrow(/ISO timestamp/);
+    expect(() => resolveExpiresAt({ ttl_seconds: 0 })).toThrow(/positive integer/);
+  });
+});
+
+describe('RetentionReaper', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('shares a pass in progress and stops cleanly', async () => {
+    let finish;
+    const store = { reap: jest.fn(() => new Promise(resolve => { finish = resolve; })) };
+    const reaper = new RetentionReaper(store, { intervalMs: 60 * 60 * 1000 });
+
+    reaper.start();
+    const manual = reaper.run();
+    expect(store.reap).toHaveBeenCalledTimes(1);
+
+    const stopped = reaper.stop();
+    finish({ deleted: 2, archived: 0 });
+    await expect(manual).resolves.toEqual({ deleted: 2, archived: 0 });
+    await stopped;
+    expect(reaper.interval).toBeNull();
+  });
+});
@@ -0,0 +1,156 @@
+const sqlite3 = require('sqlite3');
+const MemoryDatabase = require('../database/memory-database-production');
+const MigrationRunner = require('../database/migration-runner');
+const RevisionStore = require('../database/revision-store');
+const { parseAsOf } = require('../database/revision-store');
+
+// Revisions are stamped in milliseconds; leave a gap so "before" and "after" differ
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+describe('RevisionStore', () => {
+  let db;
+
+  const add = (id, message, { project = 'proj-a', platform = 'claude' } = {}) => db.addConversation({
+    id,
+    platform,
+    projectId: project,
+    message,
+    context: { note: message },
+    timestamp: new Date().toISOString(),
+    type: 'general'
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('records every create, edit and delete in order', async () => {
+    await add('m1', 'first draft');
+    await db.updateConversation('m1', { message: 'second draft' }, { changedBy: 'aria' });
+    await db.deleteConversation('m1', { deletedBy: 'sage' });
+
+    const history = await db.revisions.history('m1');
+
+    expect(history.map(r => [r.revision, r.operation, r.changed_by])).toEqual([
+      [1, 'create', null],
+      [2, 'update', 'aria'],
+      [3, 'delete', 'sage']
+    ]);
+    expect(history[0].data).toMatchObject({ id: 'm1', project_id: 'proj-a', message: 'first draft' });
+    expect(history[1].data.message).toBe('second draft');
+    expect(history[2].data).toBeNull();
+  });
+
+  it('returns a record as it stood at a point in time', async () => {
+    const beforeCreate = new Date().toISOString();
+    await tick();
+    await add('m1', 'original belief');
+    await tick();
+    const afterCreate = new Date().toISOString();
+    await tick();
+    await db.updateConversation('m1', { message: 'revised belief' });
+    await tick();
+    const afterUpdate = new Date().toISOString();
+    await tick();
+    await db.deleteConversation('m1');
+
+    expect(await db.revisions.getAsOf('conversations', 'm1', beforeCreate)).toBeNull();
+    expect((await db.revisions.getAsOf('conversations', 'm1', afterCreate)).message).toBe('original belief');
+    expect((await db.revisions.getAsOf('conversations', 'm1', afterUpdate)).message).toBe('revised belief');
+    expect(await db.revisions.getAsOf('conversations', 'm1', new Date())).toBeNull();
+  });
+
+  it('snapshots a project and searches it as of then', async () => {
+    await add('m1', 'We cache sessions in Redis');
+    await add('m2', 'Deploys go through the staging pipeline');
+    await add('other', 'Redis is also used elsewhere', { project: 'proj-b' });
+    await tick();
+    const then = new Date().toISOString();
+    await tick();
+    await db.updateConversation('m1', { message: 'We cache sessions in Memcached', context: {} });
+    await db.deleteConversation('m2');
+
+    const snapshot = await db.getConversationsAsOf(then, { projectId: 'proj-a' });
+    expect(snapshot.map(row => row.id).sort()).toEqual(['m1', 'm2']);
+
+    const past = await db.fullTextSearchConversations('redis', { projectId: 'proj-a', asOf: then });
+    expect(past.map(row => row.id)).toEqual(['m1']);
+    expect(past[0].snippet).toContain('<mark>Redis</mark>');
+
+    expect(await db.fullTextSearchConversations('redis', { projectId: 'proj-a' })).toEqual([]);
+  });
+
+  it('erases the content of every revision on purge', async () => {
+    await add('m1', 'secret token abc');
+    await db.updateConversation('m1', { message: 'secret token def' });
+    await db.purgeConversation('m1');
+
+    const history = await db.revisions.history('m1');
+    expect(history.map(r => r.operation)).toEqual(['create', 'update', 'purge']);
+    expect(history.every(r => r.data === null)).toBe(true);
+  });
+
+  it('records retention expiry and constellation memories', async () => {
+    await db.addConversation({
+      id: 'expired', platform: 'claude', projectId: 'proj-a', message: 'short-lived', context: {},
+      timestamp: new Date().toISOString(), type: 'status', expiresAt: '2020-01-01T00:00:00.000Z'
+    });
+    await db.retention.reap();
+
+    await db.addSCRIEntity({ id: 'e1', name: 'aria', type: 'assistant', status: 'online' });
+    await db.addSCRIMemory({
+      id: 'c1', entity_type: 'assistant', entity_name: 'aria', project_id: 'proj-a',
+      memory_type: 'insight', content: { text: 'hello' }, timestamp: new Date().toISOString()
+    });
+
+    expect((await db.revisions.history('expired')).map(r => [r.operation, r.changed_by]))
+      .toEqual([['create', null], ['expire', 'expires_at']]);
+    expect(await db.revisions.history('c1')).toEqual([
+      expect.objectContaining({ record_table: 'scri_constellation_memory', operation: 'create', project_id: 'proj-a' })
+    ]);
+  });
+
+  it('rejects malformed points in time', () => {
+    expect(parseAsOf('2026-03-01T00:00:00Z')).toBe('2026-03-01T00:00:00.000Z');
+    expect(() => parseAsOf('yesterday')).toThrow(/as_of must be an ISO timestamp/);
+    expect(() => parseAsOf('')).toThrow(/as_of/);
+  });
+});
+
+describe('revision history migration', () => {
+  it('starts existing records with a create revision dated by their timestamp', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const db = new sqlite3.Database(':memory:');
+    const runner = new MigrationRunner({ db, isProduction: false });
+    await runner.migrate({ to: 9 });
+    await run(db, `
+      INSERT INTO conversations (id, platform, project_id, message, context, timestamp, type)
+      VALUES ('old', 'claude', 'proj-a', 'from before history', '{}', '2025-06-01T12:00:00Z', 'general')
+    `);
+    await runner.migrate();
+
+    const history = await new RevisionStore({ db, isProduction: false }).history('old');
+    expect(history).toEqual([expect.objectContaining({
+      revision: 1,
+      operation: 'create',
+      changed_at: '2025-06-01T12:00:00.000Z',
+      data: expect.objectContaining({ message: 'from before history' })
+    })]);
+
+    db.close();
+    jest.restoreAllMocks();
+  });
+});
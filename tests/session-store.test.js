@@ -0,0 +1,188 @@
+const sqlite3 = require('sqlite3');
+const MemoryDatabase = require('../database/memory-database-production');
+const MigrationRunner = require('../database/migration-runner');
+const StorageAdapter = require('../database/storage-adapter');
+const { SessionError } = require('../database/session-store');
+const { createMemoryHub } = require('../core/memory-server');
+
+describe('SessionStore', () => {
+  let db;
+  let store;
+
+  const addConversation = (id, message, context, projectId = 'akasha') => db.addConversation({
+    id, platform: 'vscode', projectId, message, context, timestamp: new Date().toISOString(), type: 'general'
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+    store = db.sessions;
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('links what is stored while a session is open into its transcript', async () => {
+    const { session, created } = await store.begin({ id: 's-1', projectId: 'akasha', platform: 'vscode', agent: 'claude' });
+    expect(created).toBe(true);
+    expect(session).toMatchObject({ status: 'open', agent: 'claude', conversation_count: 0, summary: null });
+    expect((await store.begin({ id: 's-1', projectId: 'akasha', platform: 'vscode' })).created).toBe(false);
+
+    await addConversation('c-1', 'Moved the cache to Redis', { session_id: 's-1' });
+    await db.memories.add({ projectId: 'akasha', category: 'insight', content: 'Redis needs a TTL', sessionId: 's-1' });
+    await addConversation('c-2', 'Unrelated', {});
+    await addConversation('c-3', 'Other project', { session_id: 's-1' }, 'uda');
+
+    const transcript = await store.transcript('s-1');
+    expect(transcript.map(entry => [entry.record_table, entry.text])).toEqual([
+      ['conversations', 'Moved the cache to Redis'],
+      ['memories', 'Redis needs a TTL']
+    ]);
+    expect((await store.get('s-1')).conversation_count).toBe(1);
+
+    const ended = await store.end('s-1', { summary: { brief: 'Cache moved' } });
+    expect(ended).toMatchObject({ status: 'closed', summary: { brief: 'Cache moved' } });
+    expect(ended.duration).toBeGreaterThanOrEqual(0);
+
+    // A closed session takes nothing more and cannot be reopened or closed again
+    await addConversation('c-4', 'Too late', { session_id: 's-1' });
+    expect(await store.transcript('s-1')).toHaveLength(2);
+    await expect(store.end('s-1')).rejects.toThrow(SessionError);
+    await expect(store.begin({ id: 's-1', projectId: 'akasha', platform: 'vscode' })).rejects.toMatchObject({ code: 'closed' });
+    await expect(store.begin({ id: 'bad id!', projectId: 'akasha', platform: 'vscode' }))
+      .rejects.toMatchObject({ name: 'SessionError', code: 'invalid', message: expect.stringMatching(/session id/) });
+    expect(await store.end('missing')).toBeNull();
+  });
+
+  it('finds the last session to resume and keeps the legacy session methods', async () => {
+    await db.startSession('s-old', 'vscode', 'akasha');
+    await db.endSession('s-old', 5);
+    expect(await store.get('s-old')).toMatchObject({ status: 'closed', conversation_count: 5 });
+    await expect(db.endSession('missing')).rejects.toThrow('Session not found');
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.begin({ id: 's-new', projectId: 'akasha', platform: 'mcp', agent: 'claude' });
+    expect((await store.latest('akasha')).id).toBe('s-new');
+    expect((await store.latest('akasha', { excludeId: 's-new' })).id).toBe('s-old');
+    expect((await store.latest('akasha', { agent: 'claude' })).id).toBe('s-new');
+    expect(await store.list({ projects: [] })).toEqual([]);
+    expect((await store.list({ status: 'closed' })).map(s => s.id)).toEqual(['s-old']);
+  });
+});
+
+describe('session lifecycle migration', () => {
+  it('closes sessions that already ended and rolls back', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const db = new sqlite3.Database(':memory:');
+    const storage = new StorageAdapter({ db, isProduction: false });
+    const runner = new MigrationRunner({ db, isProduction: false });
+    await runner.migrate({ to: 18 });
+    await storage.run(`
+      INSERT INTO sessions (id, platform, project_id, started_at, ended_at)
+      VALUES ('done', 'vscode', 'akasha', '2026-01-01', '2026-01-02'), ('running', 'vscode', 'akasha', '2026-01-03', NULL)
+    `);
+
+    await runner.migrate({ to: 19 });
+    expect(await storage.all('SELECT id, status, last_activity_at FROM sessions ORDER BY id')).toEqual([
+      { id: 'done', status: 'closed', last_activity_at: '2026-01-02' },
+      { id: 'running', status: 'open', last_activity_at: '2026-01-03' }
+    ]);
+    await runner.rollback({ to: 18 });
+    const columns = (await storage.all('PRAGMA table_info(sessions)')).map(c => c.name);
+    expect(columns).not.toContain('status');
+    expect(await storage.get(`SELECT name FROM sqlite_master WHERE name = 'session_records'`)).toBeUndefined();
+    db.close();
+    jest.restoreAllMocks();
+  });
+});
+
+describe('session routes', () => {
+  let hub;
+  let adminKey;
+
+  const request = async (method, path, { key = adminKey, body } = {}) => {
+    const res = await fetch(`http://127.0.0.1:${hub.port}/api${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': key },
+      body: body && JSON.stringify(body)
+    });
+    const text = await res.text();
+    return { status: res.status, body: res.headers.get('content-type').includes('json') ? JSON.parse(text) : text };
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, bridges: false, federation: false, scanProjects: false });
+    await hub.start();
+    adminKey = (await hub.db.apiKeys.createKey({ name: 'admin', scopes: ['admin'] })).key;
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('opens, records, summarizes and resumes sessions', async () => {
+    const announced = [];
+    jest.spyOn(hub, 'broadcast').mockImplementation((event, payload) => announced.push(event));
+    const key = (await hub.db.apiKeys.createKey({ name: 'claude', scopes: ['memory:read', 'memory:write'], projects: ['akasha'] })).key;
+
+    const opened = await request('POST', '/sessions', { key, body: { id: 'mcp-1', project_id: 'akasha', platform: 'mcp', agent: 'someone-else' } });
+    expect(opened).toMatchObject({ status: 201, body: { session: { id: 'mcp-1', agent: 'claude', status: 'open' }, resumed: null } });
+
+    await request('POST', '/conversations', { key, body: {
+      projectId: 'akasha', platform: 'mcp', message: 'We decided to shard the vector index by project.', context: { session_id: 'mcp-1' }
+    } });
+    await request('POST', '/memory/store', { body: {
+      source_project: 'akasha', memory_type: 'insight', content: 'Sharding keeps the vector index small.', session_id: 'mcp-1'
+    } });
+
+    const transcript = await request('GET', '/sessions/mcp-1/transcript', { key });
+    expect(transcript.body.transcript.map(entry => entry.record_table)).toEqual(['conversations', 'memories']);
+    const text = await request('GET', '/sessions/mcp-1/transcript?format=text', { key });
+    expect(text.body).toContain('mcp (general): We decided to shard the vector index by project.');
+
+    const ended = await request('POST', '/sessions/mcp-1/end', { key });
+    expect(ended.status).toBe(200);
+    expect(ended.body.session).toMatchObject({ status: 'closed', conversation_count: 1, summary: { summarizer: 'extractive' } });
+    expect(ended.body.session.summary.brief).toMatch(/shard/i);
+    expect((await request('POST', '/sessions/mcp-1/end', { key })).status).toBe(409);
+    expect(announced).toEqual(expect.arrayContaining(['session:started', 'session:ended']));
+
+    const next = await request('POST', '/sessions', { key, body: { project_id: 'akasha', resume: true } });
+    expect(next.body.session.previous_session_id).toBe('mcp-1');
+    expect(next.body.resumed).toMatchObject({ session: { id: 'mcp-1' }, transcript: expect.any(Array) });
+    const resume = await request('GET', '/sessions/resume?project_id=akasha&agent=claude', { key });
+    expect(resume.body.session.id).toBe(next.body.session.id);
+
+    const other = (await hub.db.apiKeys.createKey({ name: 'uda', scopes: ['memory:read', 'memory:write'], projects: ['uda'] })).key;
+    expect((await request('GET', '/sessions/mcp-1', { key: other })).status).toBe(403);
+    expect((await request('GET', '/sessions/mcp-1/transcript', { key: other })).status).toBe(403);
+    expect((await request('POST', '/sessions/mcp-1/end', { key: other })).status).toBe(403);
+    expect((await request('GET', '/sessions/resume?project_id=akasha', { key: other })).status).toBe(403);
+    expect((await request('GET', '/sessions/missing')).status).toBe(404);
+    expect((await request('POST', '/sessions', { body: { project_id: 'akasha', metadata: [] } })).status).toBe(400);
+    expect((await request('GET', '/sessions?status=paused')).status).toBe(400);
+  });
+
+  it('takes a summary from the client and notes sessions where nothing was stored', async () => {
+    await request('POST', '/sessions', { body: { id: 'empty', project_id: 'akasha' } });
+    expect((await request('POST', '/sessions/empty/end')).body.session.summary.brief).toBe('Nothing was stored during this session.');
+
+    await request('POST', '/sessions', { body: { id: 'quiet', project_id: 'akasha' } });
+    const ended = await request('POST', '/sessions/quiet/end', { body: { summary: 'Only looked around.' } });
+    expect(ended.body.session.summary.brief).toBe('Only looked around.');
+    expect((await request('POST', '/sessions/quiet/end', { body: { summary: 42 } })).status).toBe(400);
+ 
+    expect((await request('POST', '/sessions', { body: { id: 'bad id!', project_id: 'akasha' } })).status).toBe(400);
+
+    // Failures that are not bad input are not the client's fault
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(hub, 'beginSession').mockRejectedValue(new Error('database is locked'));
+    expect((await request('POST', '/sessions', { body: { project_id: 'akasha' } })).status).toBe(500);
+  });
+});
@@ -0,0 +1,3 @@
+// Keep the suite off disk: anything that opens the default database gets the
+// in-memory backend unless a test asks for something else
+process.env.DATABASE_BACKEND = process.env.DATABASE_BACKEND || 'memory';
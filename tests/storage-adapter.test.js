@@ -0,0 +1,146 @@
+const sqlite3 = require('sqlite3');
+const StorageAdapter = require('../database/storage-adapter');
+const { toPostgresPlaceholders } = require('../database/storage-adapter');
+
+describe('toPostgresPlaceholders', () => {
+  it('numbers placeholders in order', () => {
+    expect(toPostgresPlaceholders('SELECT * FROM t WHERE a = ? AND b IN (?, ?)'))
+      .toBe('SELECT * FROM t WHERE a = $1 AND b IN ($2, $3)');
+  });
+
+  it('leaves question marks in strings, identifiers and comments alone', () => {
+    expect(toPostgresPlaceholders(`SELECT '?', "col?", 'it''s ?' FROM t -- why?\nWHERE a = ? /* ? */`))
+      .toBe(`SELECT '?', "col?", 'it''s ?' FROM t -- why?\nWHERE a = $1 /* ? */`);
+  });
+});
+
+describe('StorageAdapter (SQLite)', () => {
+  let db;
+  let storage;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    storage = new StorageAdapter({ db, isProduction: false });
+    await storage.run('CREATE TABLE items (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT UNIQUE, qty INTEGER, meta TEXT)');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('returns rows, changes and lastID', async () => {
+    const inserted = await storage.run('INSERT INTO items (name, qty) VALUES (?, ?)', ['bolt', 3]);
+    expect(inserted).toEqual({ changes: 1, lastID: 1 });
+
+    const returned = await storage.query('INSERT INTO items (name, qty) VALUES (?, ?) RETURNING id', ['nut', 5]);
+    expect(returned.lastID).toBe(2);
+
+    expect(await storage.get('SELECT name FROM items WHERE qty > ?', [4])).toEqual({ name: 'nut' });
+    expect(await storage.all('SELECT name FROM items ORDER BY id')).toHaveLength(2);
+    expect((await storage.run('UPDATE items SET qty = qty + 1')).changes).toBe(2);
+  });
+
+  it('upserts on a conflict key', async () => {
+    await storage.upsert('items', { name: 'bolt', qty: 1 }, ['name']);
+    await storage.upsert('items', { name: 'bolt', qty: 7 }, ['name']);
+    await storage.upsert('items', { name: 'bolt', qty: 9 }, ['name'], { update: [] });
+
+    expect(await storage.all('SELECT name, qty FROM items')).toEqual([{ name: 'bolt', qty: 7 }]);
+  });
+
+  it('rejects unsafe identifiers', async () => {
+    await expect(storage.upsert('items; DROP TABLE items', { name: 'x' }, ['name'])).rejects.toThrow(/Invalid SQL identifier/);
+  });
+
+  it('commits a transaction, or rolls all of it back on error', async () => {
+    await storage.transaction(async (tx) => {
+      await tx.run('INSERT INTO items (name, qty) VALUES (?, ?)', ['kept', 1]);
+    });
+
+    await expect(storage.transaction(async (tx) => {
+      await tx.run('INSERT INTO items (name, qty) VALUES (?, ?)', ['discarded', 1]);
+      await tx.run('INSERT INTO items (name, qty) VALUES (?, ?)', ['kept', 2]);
+    })).rejects.toThrow(/UNIQUE/);
+
+    expect((await storage.all('SELECT name FROM items')).map(row => row.name)).toEqual(['kept']);
+  });
+
+  it('makes other queries wait for an open transaction', async () => {
+    let outside;
+    await storage.transaction(async (tx) => {
+      await tx.run('INSERT INTO items (name, qty) VALUES (?, ?)', ['a', 1]);
+      outside = storage.get('SELECT COUNT(*) AS count FROM items');
+      // Nested transactions join the outer one
+      await tx.transaction(inner => inner.run('INSERT INTO items (name, qty) VALUES (?, ?)', ['b', 2]));
+    });
+
+    expect((await outside).count).toBe(2);
+  });
+
+  it('runs concurrent transactions one at a time', async () => {
+    const increment = () => storage.transaction(async (tx) => {
+      const row = await tx.get('SELECT qty FROM items WHERE name = ?', ['counter']);
+      await tx.run('UPDATE items SET qty = ? WHERE name = ?', [row.qty + 1, 'counter']);
+    });
+
+    await storage.run('INSERT INTO items (name, qty) VALUES (?, ?)', ['counter', 0]);
+    await Promise.all([increment(), increment(), increment()]);
+
+    expect((await storage.get('SELECT qty FROM items WHERE name = ?', ['counter'])).qty).toBe(3);
+  });
+
+  it('renders JSON and case-insensitive fragments', async () => {
+    await storage.run('INSERT INTO items (name, meta) VALUES (?, ?)', ['Widget', JSON.stringify({ status: 'open', tags: ['red', 'blue'] })]);
+    await storage.run('INSERT INTO items (name, meta) VALUES (?, ?)', ['gadget', JSON.stringify({ status: 'closed', tags: ['green'] })]);
+
+    const byStatus = await storage.all(`SELECT name FROM items WHERE ${storage.jsonField('meta', 'status')} = ?`, ['open']);
+    expect(byStatus).toEqual([{ name: 'Widget' }]);
+
+    const byTag = await storage.all(`SELECT name FROM items WHERE ${storage.jsonArrayContains('meta', 'tags')}`, ['green']);
+    expect(byTag).toEqual([{ name: 'gadget' }]);
+
+    const byName = await storage.all(`SELECT name FROM items WHERE name ${storage.ilike} ?`, ['widg%']);
+    expect(byName).toEqual([{ name: 'Widget' }]);
+  });
+
+  it('is shared through StorageAdapter.from()', () => {
+    const database = { db, isProduction: false };
+    database.storage = new StorageAdapter(database);
+
+    expect(StorageAdapter.from(database)).toBe(database.storage);
+    expect(StorageAdapter.from(database.storage)).toBe(database.storage);
+    expect(StorageAdapter.from({ db, isProduction: false })).not.toBe(database.storage);
+  });
+});
+
+describe('StorageAdapter (Postgres dialect)', () => {
+  it('numbers placeholders and normalises pg results', async () => {
+    const pool = { query: jest.fn(async () => ({ rows: [{ id: 42 }], rowCount: 1 })) };
+    const storage = new StorageAdapter({ db: pool, isProduction: true });
+
+    const result = await storage.upsert('items', { id: 42, name: 'bolt' }, ['id'], { returning: 'id' });
+
+    expect(pool.query).toHaveBeenCalledWith(
+      'INSERT INTO items (id, name) VALUES ($1, $2) ON CONFLICT (id) DO UPDATE SET name = excluded.name RETURNING id',
+      [42, 'bolt']
+    );
+    expect(result).toEqual({ rows: [{ id: 42 }], changes: 1, lastID: 42 });
+    expect(storage.jsonField('meta', 'status')).toBe("(meta::jsonb ->> 'status')");
+    expect(storage.ilike).toBe('ILIKE');
+  });
+
+  it('runs transactions on a dedicated client', async () => {
+    const client = { query: jest.fn(async () => ({ rows: [], rowCount: 0 })), release: jest.fn() };
+    const pool = { query: jest.fn(), connect: jest.fn(async () => client) };
+    const storage = new StorageAdapter({ db: pool, isProduction: true });
+
+    await expect(storage.transaction(async (tx) => {
+      await tx.run('DELETE FROM items WHERE id = ?', [1]);
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(client.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'DELETE FROM items WHERE id = $1', 'ROLLBACK']);
+    expect(client.release).toHaveBeenCalled();
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,244 @@
+const sqlite3 = require('sqlite3');
+const MemoryDatabase = require('../database/memory-database-production');
+const MigrationRunner = require('../database/migration-runner');
+const StorageAdapter = require('../database/storage-adapter');
+const { TenantError } = require('../database/tenant-store');
+const { tenantDatabaseOptions } = require('../database/connection');
+const { runAsTenant, currentTenant, tenantRoom } = require('../core/tenant-context');
+const { createMemoryHub } = require('../core/memory-server');
+const ioClient = require('socket.io-client');
+
+describe('TenantStore', () => {
+  let db;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = new MemoryDatabase({ backend: 'memory' });
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  it('provisions, lists and updates tenants with their quotas', async () => {
+    const tenant = await db.tenants.create({ id: 'acme', name: 'Acme', quotas: { max_projects: 2, max_api_keys: null } });
+    expect(tenant).toMatchObject({ id: 'acme', name: 'Acme', status: 'active', quotas: { max_projects: 2 } });
+    await expect(db.tenants.create({ id: 'acme' })).rejects.toThrow(TenantError);
+    await expect(db.tenants.create({ id: 'default' })).rejects.toThrow(/not "default"/);
+    await expect(db.tenants.create({ id: 'Bad-Id' })).rejects.toMatchObject({ name: 'TenantError', code: 'invalid' });
+    await expect(db.tenants.create({ id: 'Bad-Id' })).rejects.toThrow(/lower-case/);
+    await expect(db.tenants.create({ id: 'other', quotas: { max_disk: 1 } })).rejects.toThrow(/Unknown quota/);
+
+    await db.tenants.create({ id: 'globex' });
+    const updated = await db.tenants.update('acme', { status: 'suspended', quotas: { max_memories: 10, max_projects: null } });
+    expect(updated).toMatchObject({ status: 'suspended', quotas: { max_memories: 10 } });
+    expect((await db.tenants.list({ status: 'active' })).map(t => t.id)).toEqual(['globex']);
+    expect(await db.tenants.update('missing', { name: 'x' })).toBeNull();
+    await expect(db.tenants.update('acme', { status: 'deleted' })).rejects.toThrow(/status/);
+
+    await db.apiKeys.createKey({ name: 'acme-bot', scopes: ['memory:read'], tenantId: 'acme' });
+    await db.apiKeys.createKey({ name: 'own', scopes: ['memory:read'] });
+    expect(await db.tenants.countApiKeys('acme')).toBe(1);
+    expect((await db.apiKeys.listKeys({ tenantId: 'acme' })).map(k => k.name)).toEqual(['acme-bot']);
+  });
+
+  it('opens tenant databases next to the hub database', () => {
+    expect(tenantDatabaseOptions({ backend: 'sqlite', sqlitePath: '/data/scri-core-memory.db' }, 'acme'))
+      .toEqual({ backend: 'sqlite', sqlitePath: '/data/scri-core-memory.acme.db' });
+    expect(tenantDatabaseOptions({ backend: 'postgres' }, 'acme')).toEqual({ backend: 'postgres', schema: 'tenant_acme' });
+    expect(tenantDatabaseOptions({ backend: 'memory' }, 'acme')).toEqual({ backend: 'memory' });
+  });
+
+  it('runs code as a tenant and names its rooms', async () => {
+    expect(currentTenant()).toBe('default');
+    await runAsTenant('acme', async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      expect(currentTenant()).toBe('acme');
+      expect(tenantRoom('project-akasha')).toBe('tenant:acme:project-akasha');
+    });
+    expect(tenantRoom('project-akasha')).toBe('tenant:default:project-akasha');
+  });
+});
+
+describe('tenants migration', () => {
+  it('records the tenant of every row and rolls back', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const db = new sqlite3.Database(':memory:');
+    const storage = new StorageAdapter({ db, isProduction: false });
+    const runner = new MigrationRunner({ db, isProduction: false, tenantId: 'acme' });
+    await runner.migrate({ to: 19 });
+    await storage.run(`
+      INSERT INTO conversations (id, platform, project_id, message, timestamp, type)
+      VALUES ('c-1', 'vscode', 'akasha', 'Before tenants', '2026-01-01', 'general')
+    `);
+
+    await runner.migrate({ to: 20 });
+    expect(await storage.get(`SELECT tenant_id FROM conversations WHERE id = 'c-1'`)).toEqual({ tenant_id: 'acme' });
+    expect(await storage.get(`SELECT name FROM sqlite_master WHERE name = 'tenants'`)).toEqual({ name: 'tenants' });
+
+    await runner.rollback({ to: 19 });
+    const columns = (await storage.all('PRAGMA table_info(conversations)')).map(c => c.name);
+    expect(columns).not.toContain('tenant_id');
+    expect(await storage.get(`SELECT name FROM sqlite_master WHERE name = 'tenants'`)).toBeUndefined();
+    db.close();
+    jest.restoreAllMocks();
+  });
+});
+
+describe('tenant routes', () => {
+  let hub;
+  let operatorKey;
+
+  const request = async (method, path, { key = operatorKey, body } = {}) => {
+    const res = await fetch(`http://127.0.0.1:${hub.port}/api${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': key },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const provision = async (id, quotas) => {
+    const created = await request('POST', '/admin/tenants', { body: { id, quotas } });
+    expect(created.status).toBe(201);
+    const keyed = await request('POST', '/admin/api-keys', {
+      body: { name: `${id}-admin`, scopes: ['admin'], tenant_id: id }
+    });
+    expect(keyed.status).toBe(201);
+    return keyed.body.key;
+  };
+
+  const addConversation = (key, projectId, message) => request('POST', '/conversations', {
+    key, body: { projectId, platform: 'vscode', message }
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hub = createMemoryHub({ port: 0, databaseOptions: { backend: 'memory' }, bridges: false, federation: false, scanProjects: false });
+    await hub.start();
+    operatorKey = (await hub.db.apiKeys.createKey({ name: 'operator', scopes: ['admin'] })).key;
+  });
+
+  afterEach(async () => {
+    await hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('keeps each tenant to its own memories and broadcasts', async () => {
+    const acme = await provision('acme');
+    const globex = await provision('globex');
+    const announced = [];
+    jest.spyOn(hub.io, 'to').mockImplementation(room => ({ emit: (event) => announced.push([room, event]) }));
+
+    expect((await addConversation(acme, 'akasha', 'Acme ships on Fridays')).status).toBe(201);
+    expect((await addConversation(globex, 'akasha', 'Globex never ships')).status).toBe(201);
+    await request('POST', '/sessions', { key: acme, body: { id: 'shared-id', project_id: 'akasha' } });
+    expect((await request('POST', '/sessions', { key: globex, body: { id: 'shared-id', project_id: 'akasha' } })).status).toBe(201);
+
+    const seenBy = async (key) => (await request('GET', '/conversations/project/akasha', { key })).body.conversations.map(c => c.message);
+    expect(await seenBy(acme)).toEqual(['Acme ships on Fridays']);
+    expect(await seenBy(globex)).toEqual(['Globex never ships']);
+    expect(await seenBy(operatorKey)).toEqual([]);
+    expect(announced).toEqual([['tenant:acme', 'session:started'], ['tenant:globex', 'session:started']]);
+
+    const tenant = await request('GET', '/admin/tenants/acme');
+    expect(tenant.body).toMatchObject({ tenant: { id: 'acme' }, usage: { projects: 1, memories: 1, api_keys: 1 } });
+    expect((await request('GET', '/admin/tenants/missing')).status).toBe(404);
+  });
+
+  it('keeps mycelium messages within the sender\'s tenant', async () => {
+    const acme = await provision('acme');
+    const globex = await provision('globex');
+    const clients = [];
+    const connect = (key) => new Promise((resolve, reject) => {
+      const client = ioClient(`http://127.0.0.1:${hub.port}`, { transports: ['websocket'], reconnection: false, auth: { token: key } });
+      clients.push(client);
+      client.on('connect', () => resolve(client));
+      client.on('connect_error', reject);
+    });
+
+    try {
+      const [sender, colleague, outsider] = await Promise.all([connect(acme), connect(acme), connect(globex)]);
+      const heard = [];
+      outsider.on('mycelium:message', message => heard.push(message));
+      const delivered = new Promise(resolve => colleague.on('mycelium:message', resolve));
+      sender.emit('message', { content: 'Acme ships on Fridays' });
+
+      expect(await delivered).toMatchObject({ message: 'Acme ships on Fridays' });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(heard).toEqual([]);
+    } finally {
+      clients.forEach(client => client.close());
+    }
+  });
+
+  it('leaves tenants and other tenants\' keys to the operator', async () => {
+    const acme = await provision('acme');
+    await provision('globex');
+
+    expect((await request('GET', '/admin/tenants', { key: acme })).status).toBe(403);
+    expect((await request('POST', '/admin/tenants', { key: acme, body: { id: 'mine' } })).status).toBe(403);
+    expect((await request('GET', '/visitors/stats', { key: acme })).status).toBe(403);
+    expect((await request('POST', '/admin/tenants', { body: { id: 'acme' } })).status).toBe(409);
+    expect((await request('POST', '/admin/tenants', { body: { id: 'x' } })).status).toBe(400);
+
+    // Failures that are not bad input are not the operator's fault
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(hub, 'provisionTenant').mockRejectedValueOnce(new Error('database is locked'));
+    expect((await request('POST', '/admin/tenants', { body: { id: 'initech' } })).status).toBe(500);
+
+    const keys = await request('GET', '/admin/api-keys', { key: acme });
+    expect(keys.body.api_keys.map(k => k.name)).toEqual(['acme-admin']);
+    expect((await request('GET', '/admin/api-keys?tenant_id=globex')).body.api_keys.map(k => k.name)).toEqual(['globex-admin']);
+    expect((await request('POST', '/admin/api-keys', {
+      key: acme, body: { name: 'sneaky', scopes: ['admin'], tenant_id: 'globex' }
+    })).status).toBe(403);
+    expect((await request('POST', '/admin/api-keys', {
+      body: { name: 'orphan', scopes: ['admin'], tenant_id: 'missing' }
+    })).status).toBe(404);
+
+    const own = await request('POST', '/admin/api-keys', { key: acme, body: { name: 'acme-reader', scopes: ['memory:read'] } });
+    expect(own.body.api_key.tenant_id).toBe('acme');
+    const operatorKeyId = (await hub.db.apiKeys.listKeys()).find(k => k.name === 'operator').id;
+    expect((await request('DELETE', `/admin/api-keys/${operatorKeyId}`, { key: acme })).status).toBe(404);
+  });
+
+  it('refuses new memories past a quota and every request once suspended', async () => {
+    const acme = await provision('acme', { max_projects: 1, max_memories: 2, max_api_keys: 2 });
+
+    expect((await addConversation(acme, 'akasha', 'First')).status).toBe(201);
+    expect((await addConversation(acme, 'uda', 'Second project')).status).toBe(403);
+    expect((await addConversation(acme, 'akasha', 'Second')).status).toBe(201);
+    const over = await addConversation(acme, 'akasha', 'Third');
+    expect(over).toMatchObject({ status: 403, body: { error: expect.stringContaining('max_memories') } });
+    expect((await request('GET', '/conversations/project/akasha', { key: acme })).body.count).toBe(2);
+
+    expect((await request('POST', '/admin/api-keys', { key: acme, body: { name: 'second', scopes: ['memory:read'] } })).status).toBe(201);
+    expect((await request('POST', '/admin/api-keys', { key: acme, body: { name: 'third', scopes: ['memory:read'] } })).status).toBe(403);
+
+    const suspended = await request('PATCH', '/admin/tenants/acme', { body: { status: 'suspended' } });
+    expect(suspended.body.tenant.status).toBe('suspended');
+    expect((await request('GET', '/conversations/project/akasha', { key: acme })).status).toBe(403);
+    expect((await request('GET', '/admin/tenants/acme')).body.usage).toBeNull();
+
+    await request('PATCH', '/admin/tenants/acme', { body: { status: 'active', quotas: { max_memories: null } } });
+    expect((await addConversation(acme, 'akasha', 'Third')).status).toBe(201);
+    expect((await request('PATCH', '/admin/tenants/acme', { body: { status: 'deleted' } })).status).toBe(400);
+  });
+
+  it('counts the project a memory is stored under against max_projects', async () => {
+    const acme = await provision('acme', { max_projects: 1 });
+    const store = (body) => request('POST', '/memory/store', {
+      key: acme, body: { memory_type: 'insight', content: 'Ships on Fridays', ...body }
+    });
+
+    expect((await addConversation(acme, 'akasha', 'First')).status).toBe(201);
+    const over = await store({ project_id: 'akasha', source_project: 'uda' });
+    expect(over).toMatchObject({ status: 403, body: { error: expect.stringContaining('max_projects') } });
+    expect((await store({ source_project: 'akasha' })).status).toBe(201);
+    expect((await request('GET', '/admin/tenants/acme')).body.usage).toMatchObject({ projects: 1, memories: 2 });
+  });
+});
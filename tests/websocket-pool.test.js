@@ -31,6 +31,7 @@ function createMockHub(identityAuth = null) {
 }
 
 const FederationWebSocketPool = require('../federation/services/websocket-pool');
+const { runAsTenant } = require('../core/tenant-context');
 
 describe('FederationWebSocketPool', () => {
   let pool;
@@ -166,5 +167,27 @@ describe('FederationWebSocketPool', () => {
       pool.handleDisconnect(mockSocket);
       expect(pool.getConnectionCount()).toBe(0);
     });
+
+    test('keeps nodes to the federation room and broadcasts of their tenant', async () => {
+      const identityAuth = {
+        validateToken: jest.fn((token) => ({ valid: true, node_id: token })),
+      };
+      pool = new FederationWebSocketPool(createMockHub(identityAuth));
+      const socketOf = (id) => ({ ...mockSocket, id, emit: jest.fn(), join: jest.fn() });
+      const acme = socketOf('acme-socket');
+      const globex = socketOf('globex-socket');
+
+      await runAsTenant('acme', () => pool.handleNodeRegistration(acme, { node_id: 'acme-node', auth_token: 'acme-node' }));
+      await runAsTenant('globex', () => pool.handleNodeRegistration(globex, { node_id: 'globex-node', auth_token: 'globex-node' }));
+      expect(acme.join).toHaveBeenCalledWith('tenant:acme:federation');
+      expect(globex.join).toHaveBeenCalledWith('tenant:globex:federation');
+
+      await runAsTenant('acme', () => pool.broadcastToAll({ content: 'Acme only' }));
+      expect(acme.emit).toHaveBeenCalledWith('federation:message', { content: 'Acme only' });
+      expect(globex.emit).not.toHaveBeenCalledWith('federation:message', expect.anything());
+
+      pool.handleDisconnect(globex);
+      expect(mockIo.to).toHaveBeenCalledWith('tenant:globex:federation');
+    });
   });
 });